@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * @description A benchmark that compares the engines that run Please
+ *     programs. Each program of this folder is run several times with each
+ *     engine, after some runs to warm up
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {run} = require('../src/main.js');
+
+const ENGINES = ['tree', 'closure', 'stackless'];
+const WARMUP = 2;
+const RUNS = Number(process.argv[2]) || 5;
+
+/**
+ * Measures the mean time a program takes to run with an engine
+ * @param {string} source The source of the program
+ * @param {string} fileName The name of the file of the program
+ * @param {string} engine The engine
+ * @return {number} The time in milliseconds
+ */
+const measure = (source, fileName, engine) => {
+  for (let i = 0; i < WARMUP; i++) {
+    run(source, fileName, {engine});
+  }
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < RUNS; i++) {
+    run(source, fileName, {engine});
+  }
+  return Number(process.hrtime.bigint() - start) / 1e6 / RUNS;
+};
+
+const programs = fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith('.pls'));
+console.log(['program'].concat(ENGINES).join('\t'));
+programs.forEach((file) => {
+  const fileName = path.join(__dirname, file);
+  const source = fs.readFileSync(fileName, 'utf8');
+  const times = ENGINES.map((engine) => measure(source, fileName, engine));
+  // Each time is followed by the speedup over the tree walker
+  console.log([file].concat(times.map((time) => {
+    return `${time.toFixed(1)}ms (${(times[0] / time).toFixed(2)}x)`;
+  })).join('\t'));
+});
@@ -10,7 +10,8 @@
 
 const {program} = require('commander');
 const {version} = require('../../package.json');
-const {compile} = require('../main.js');
+const {pluginOption, loadPlugins} = require('./plugin-option.js');
+const {compile, formatError} = require('../main.js');
 
 program
     .version(version)
@@ -20,6 +21,10 @@ program
         'specified the path of the origin file will be used,' +
         'changing the extension to .cpls',
     )
+    .addOption(pluginOption(
+        'Path for a plugin file, so the words it defines are known. It can ' +
+        'be repeated to load several plugins',
+    ))
     .description(
         'Compile a Please lang file',
         {
@@ -28,9 +33,10 @@ program
     )
     .action((origin, options) => {
       try {
+        loadPlugins(options);
         compile(origin, options.out);
       } catch (err) {
-        console.log('There was an error: ' + err.message);
+        console.log('There was an error: ' + formatError(err));
       }
     });
 
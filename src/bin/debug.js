@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * @description A executable to be able to debug Please lang files
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const {program} = require('commander');
+const {version} = require('../../package.json');
+const {pluginOption, loadPlugins} = require('./plugin-option.js');
+const {
+  Debugger,
+  terminalFrontend,
+  formatError,
+} = require('../main.js');
+const {readInput} = require('../lib/debugger.js');
+
+/**
+ * Reads a line from the standard input synchronously, so the program can
+ *     stay paused while the user types the commands
+ * @return {string|null} The line or null if the input has ended
+ */
+const readLine = () => {
+  process.stdout.write('(debug) ');
+  const bytes = [];
+  const buffer = Buffer.alloc(1);
+  for (;;) {
+    const read = readInput(0, buffer);
+    if (read === 0) {
+      return bytes.length > 0 ? Buffer.from(bytes).toString() : null;
+    }
+    if (buffer[0] === 10) {
+      return Buffer.from(bytes).toString().replace(/\r$/, '');
+    }
+    bytes.push(buffer[0]);
+  }
+};
+
+program
+    .version(version)
+    .arguments('<fileName>')
+    .option(
+        '-b, --break <lines...>', 'Lines with breakpoints. If there are ' +
+        'none the program is paused before the first call',
+    )
+    .addOption(pluginOption())
+    .description(
+        'Debug a Please lang file',
+        {fileName: 'The path of the file to debug'},
+    )
+    .action((fileName, options) => {
+      const io = {readLine, write: (text) => console.log(text)};
+      const dbg = new Debugger(terminalFrontend(io));
+      try {
+        loadPlugins(options);
+        if (options.break != undefined) {
+          options.break.forEach((line) => {
+            dbg.setBreakpoint(fileName, Number(line));
+          });
+        }
+        dbg.runFromFile(fileName, options.break == undefined);
+      } catch (err) {
+        console.log('There was an error: ' + formatError(err));
+      }
+    });
+
+program.parse(process.argv);
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * @description A executable to format Please lang files
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const {program} = require('commander');
+const {version} = require('../../package.json');
+const {formatFile, formatError} = require('../main.js');
+const fs = require('fs');
+
+program
+    .version(version)
+    .arguments('<files...>')
+    .option(
+        '-c, --check', 'Only check that the files are formatted. The ' +
+        'command fails if any of them isn\'t',
+    )
+    .description(
+        'Format Please lang files in place',
+        {files: 'The paths of the files to format'},
+    )
+    .action((files, options) => {
+      files.forEach((fileName) => {
+        try {
+          const formatted = formatFile(fileName);
+          if (formatted === fs.readFileSync(fileName, 'utf8')) {
+            return;
+          }
+          if (options.check) {
+            console.log(`${fileName} is not formatted`);
+            process.exitCode = 1;
+          } else {
+            fs.writeFileSync(fileName, formatted);
+          }
+        } catch (err) {
+          console.log('There was an error: ' + formatError(err));
+          process.exitCode = 1;
+        }
+      });
+    });
+
+program.parse(process.argv);
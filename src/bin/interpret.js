@@ -10,29 +10,37 @@
 
 const {program} = require('commander');
 const {version} = require('../../package.json');
-const {interpretFromFile} = require('../main.js');
-const path = require('path');
+const {pluginOption, loadPlugins} = require('./plugin-option.js');
+const {
+  interpretFromFile,
+  formatError,
+  setArguments,
+  resetExitCode,
+  exitStatus,
+} = require('../main.js');
 
 program
     .version(version)
-    .arguments('<fileName>')
-    .option(
-        '-p, --plugin <plugins...>', 'Paths for the plugin files',
-    )
+    .arguments('<fileName> [args...]')
+    .passThroughOptions()
+    .addOption(pluginOption())
     .description(
         'Interpret a Please lang file',
-        {fileName: 'The path of the file to interpret'},
+        {
+          fileName: 'The path of the file to interpret',
+          args: 'The arguments of the program',
+        },
     )
-    .action((fileName, options) => {
+    .action((fileName, args, options) => {
       try {
-        if (options.plugin != undefined) {
-          options.plugin.forEach((plugin) => {
-            require(path.join(process.cwd(), plugin));
-          });
-        }
+        loadPlugins(options);
+        setArguments(args);
+        resetExitCode();
         interpretFromFile(fileName);
+        process.exitCode = exitStatus();
       } catch (err) {
-        console.log('There was an error: ' + err.message);
+        console.log('There was an error: ' + formatError(err));
+        process.exitCode = 1;
       }
     });
 
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * @description A executable to serve the Language Server Protocol on the
+ *     standard input and output, so editors can check Please lang files
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const {program} = require('commander');
+const {version} = require('../../package.json');
+const {pluginOption, loadPlugins} = require('./plugin-option.js');
+const {LanguageServer, createTransport} = require('../main.js');
+const {readInput} = require('../lib/debugger.js');
+const fs = require('fs');
+
+/**
+ * Reads a chunk from the standard input synchronously
+ * @return {Buffer|null} The chunk or null if the input has ended
+ */
+const readChunk = () => {
+  const buffer = Buffer.alloc(4096);
+  const read = readInput(0, buffer);
+  return read === 0 ? null : buffer.slice(0, read);
+};
+
+program
+    .version(version)
+    .addOption(pluginOption())
+    .description(
+        'Serve the Language Server Protocol on the standard input and output',
+    )
+    .action((options) => {
+      loadPlugins(options);
+      const transport = createTransport(
+          readChunk, (text) => fs.writeSync(1, text),
+      );
+      new LanguageServer(transport).start();
+    });
+
+program.parse(process.argv);
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * @description A executable to lint Please lang files
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const {program} = require('commander');
+const {version} = require('../../package.json');
+const {
+  lintFile,
+  findConfig,
+  loadConfig,
+  formatProblem,
+  formatError,
+} = require('../main.js');
+
+program
+    .version(version)
+    .arguments('<files...>')
+    .option(
+        '-c, --config <file>', 'Path of the configuration of the rules. If ' +
+        'it isn\'t specified the .pleaselintrc.json file of the current ' +
+        'directory is used if it exists',
+    )
+    .description(
+        'Report common mistakes of Please lang files without running them',
+        {files: 'The paths of the files to lint'},
+    )
+    .action((files, options) => {
+      let config = {};
+      try {
+        const configFile = options.config || findConfig();
+        if (configFile !== undefined) {
+          config = loadConfig(configFile);
+        }
+      } catch (err) {
+        console.log('There was an error: ' + formatError(err));
+        process.exitCode = 1;
+        return;
+      }
+      files.forEach((fileName) => {
+        try {
+          lintFile(fileName, config).forEach((problem) => {
+            console.log(formatProblem(problem));
+            if (problem.severity === 'error') {
+              process.exitCode = 1;
+            }
+          });
+        } catch (err) {
+          console.log('There was an error: ' + formatError(err));
+          process.exitCode = 1;
+        }
+      });
+    });
+
+program.parse(process.argv);
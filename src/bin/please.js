@@ -21,7 +21,7 @@ program
         {executableFile: 'repl.js', isDefault: true},
     )
     .command(
-        'run <fileName>',
+        'run <fileName> [args...]',
         'Run a Please lang file',
         {executableFile: 'run.js'},
     ).alias('r')
@@ -31,7 +31,7 @@ program
         {executableFile: 'compile.js'},
     ).alias('c')
     .command(
-        'interpret <fileName>',
+        'interpret <fileName> [args...]',
         'interpret a compiled Please lang file',
         {executableFile: 'interpret.js'},
     ).alias('i')
@@ -39,6 +39,31 @@ program
         'transpile <fileName>',
         'transpile a Please lang file to JS',
         {executableFile: 'transpile.js'},
-    ).alias('t');
+    ).alias('t')
+    .command(
+        'debug <fileName>',
+        'debug a Please lang file',
+        {executableFile: 'debug.js'},
+    ).alias('d')
+    .command(
+        'fmt <files...>',
+        'format Please lang files',
+        {executableFile: 'fmt.js'},
+    ).alias('f')
+    .command(
+        'lint <files...>',
+        'lint Please lang files',
+        {executableFile: 'lint.js'},
+    ).alias('l')
+    .command(
+        'debug-adapter',
+        'serve the Debug Adapter Protocol on stdio',
+        {executableFile: 'debug-adapter.js'},
+    )
+    .command(
+        'language-server',
+        'serve the Language Server Protocol on stdio',
+        {executableFile: 'language-server.js'},
+    );
 
 program.parse(process.argv);
@@ -0,0 +1,48 @@
+// @ts-check
+/**
+ * @description The file with the -p, --plugin option of the executables of
+ *     Please lang, which loads plugins before they do their work
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const {Option} = require('commander');
+const {loadPlugin} = require('../main.js');
+const path = require('path');
+
+/**
+ * Adds the value of an option that can be repeated to the previous ones
+ * @param {string} value The value
+ * @param {Array<string>} previous The previous values
+ * @return {Array<string>} All of them
+ */
+const collect = (value, previous) => previous.concat([value]);
+
+/**
+ * Creates the option to load plugins. It can be repeated
+ * @param {string} [description] The description of the option in the help
+ * @return {Option} The option
+ */
+const pluginOption = (description = 'Path for a plugin file. It can be ' +
+    'repeated to load several plugins') => {
+  return new Option('-p, --plugin <plugin>', description)
+      .argParser(collect)
+      .default([]);
+};
+
+/**
+ * Loads the plugins given with the option, in order
+ * @param {Object} options The options of the executable
+ * @param {Array<string>} options.plugin The paths of the plugins, from the
+ *     current folder
+ * @throws Will throw if a plugin can't be loaded
+ */
+const loadPlugins = (options) => {
+  options.plugin.forEach((plugin) => {
+    loadPlugin(path.join(process.cwd(), plugin));
+  });
+};
+
+module.exports = {pluginOption, loadPlugins};
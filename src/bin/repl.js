@@ -10,13 +10,25 @@
 
 const {version} = require('../../package.json');
 const readline = require('readline');
-const {parse, Lexer, keywords, topScope} = require('../main.js');
+const {
+  parse,
+  Lexer,
+  createInterpreter,
+  formatError,
+} = require('../main.js');
 require('colors');
-require('../lib/plugins/repl.js');
+const replPlugin = require('../lib/plugins/repl.js');
+const {Environment, EMPTY_LAYOUT} = require('../lib/environment.js');
 const {WHITE} = require('../lib/compiler');
 const ALL_WHITE = new RegExp(WHITE.source + '$');
 const PROMPT = '>';
-const scope = Object.create(topScope);
+const interpreter = createInterpreter({plugins: [replPlugin]});
+const {topScope, keywords} = interpreter;
+const scope = new Environment(
+    null, EMPTY_LAYOUT, Object.create(topScope), keywords,
+);
+scope.module = interpreter.createModule();
+const inputs = Object.create(null);
 
 let program = '';
 let stack = 0;
@@ -54,11 +66,15 @@ rl.on('line', (line) => {
     program = '';
     stack = 0;
   } else if (stack === 0 && !ALL_WHITE.test(program)) {
+    const name = `repl#${Object.keys(inputs).length + 1}`;
+    inputs[name] = program;
     try {
-      const r = parse(program).evaluate(scope);
+      const r = parse(program, name).evaluate(scope);
       console.log(r ? JSON.stringify(r).blue : 'No value returned'.blue);
     } catch (err) {
-      console.log(err.toString().red);
+      const source = err instanceof Error && err.loc != undefined ?
+          inputs[err.loc.file] : undefined;
+      console.log(formatError(err, source).red);
     }
     program = '';
     stack = 0;
@@ -10,29 +10,41 @@
 
 const {program} = require('commander');
 const {version} = require('../../package.json');
-const {runFromFile} = require('../main.js');
-const path = require('path');
+const {pluginOption, loadPlugins} = require('./plugin-option.js');
+const {
+  runFromFile,
+  formatError,
+  setArguments,
+  resetExitCode,
+  exitStatus,
+} = require('../main.js');
 
 program
     .version(version)
-    .arguments('<fileName>')
+    .arguments('<fileName> [args...]')
+    .passThroughOptions()
+    .addOption(pluginOption())
     .option(
-        '-p, --plugin <plugins...>', 'Paths for the plugin files',
+        '-e, --engine <engine>', 'The engine that runs the file: tree, ' +
+        'closure or stackless', 'tree',
     )
     .description(
         'Run a Please lang file',
-        {fileName: 'The path of the file to execute'},
+        {
+          fileName: 'The path of the file to execute',
+          args: 'The arguments of the program',
+        },
     )
-    .action((fileName, options) => {
+    .action((fileName, args, options) => {
       try {
-        if (options.plugin != undefined) {
-          options.plugin.forEach((plugin) => {
-            require(path.join(process.cwd(), plugin));
-          });
-        }
-        runFromFile(fileName);
+        loadPlugins(options);
+        setArguments(args);
+        resetExitCode();
+        runFromFile(fileName, {engine: options.engine});
+        process.exitCode = exitStatus();
       } catch (err) {
-        console.log('There was an error: ' + err.message);
+        console.log('There was an error: ' + formatError(err));
+        process.exitCode = 1;
       }
     });
 
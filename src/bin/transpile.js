@@ -14,12 +14,6 @@ const ncc = require('@vercel/ncc');
 const path = require('path');
 const fs = require('fs');
 
-const removeMonkeyPatching = () => {
-  Object.keys(Object.prototype).forEach((key) => {
-    delete Object.prototype[key];
-  });
-};
-
 program
     .version(version)
     .arguments('<fileName>')
@@ -61,7 +55,6 @@ program
         } else {
           transpile(fileName, intermediateFile);
         }
-        removeMonkeyPatching();
         ncc(intermediateFile, {minify: true}).then(({code, map, assets}) => {
           fs.writeFileSync(outputFile, code);
           fs.unlinkSync(intermediateFile);
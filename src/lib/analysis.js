@@ -0,0 +1,284 @@
+// @ts-check
+/**
+ * @description The file with the static analysis of the bindings of a Please
+ *     program. It finds the scopes created by the keywords, the definitions
+ *     of each scope and the definition each word refers to
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangAnalysis
+ */
+
+'use strict';
+
+const {Word, Call, MethodCall, keywords} = require('./ast.js');
+const {tryClauses} = require('./plugins/keywords.js');
+
+/**
+ * The keywords that create a binding in the current scope
+ */
+const DEFINITION_KEYWORDS = ['let', 'def', ':='];
+
+/**
+ * The keywords that create a function
+ */
+const FUNCTION_KEYWORDS = ['fn', 'function', '->'];
+
+/**
+ * The keywords that evaluate all their arguments in a new scope
+ */
+const BLOCK_KEYWORDS = ['do', 'run', 'while', 'for'];
+
+/**
+ * Checks if a node is a call to one of a list of keywords
+ * @param {object} node The node
+ * @param {Array} names The names of the keywords
+ * @return {boolean} If it is a call to one of them
+ */
+const isKeywordCall = (node, names) => {
+  return node instanceof Call && node.operator instanceof Word &&
+      names.includes(node.operator.name);
+};
+
+/**
+ * Checks if a location contains an offset. The end is included so a word
+ *     is found with the cursor just after it
+ * @param {object} loc The location
+ * @param {number} offset The offset
+ * @return {boolean} If it contains the offset
+ */
+const contains = (loc, offset) => {
+  return loc.start.offset <= offset && offset <= loc.end.offset;
+};
+
+/**
+ * A class that represents a scope of a Please program
+ */
+class Scope {
+  /**
+   * The constructor
+   * @param {Scope|null} parent The enclosing scope
+   * @param {object} [loc] The location of the node that creates the scope
+   */
+  constructor(parent, loc = undefined) {
+    this.parent = parent;
+    this.loc = loc;
+    /**
+     * @const {Map} bindings The definitions of each name in this scope
+     */
+    this.bindings = new Map();
+    this.children = [];
+    if (parent !== null) {
+      parent.children.push(this);
+    }
+  }
+
+  /**
+   * Adds a definition to the scope
+   * @param {object} definition The definition
+   */
+  define(definition) {
+    if (!this.bindings.has(definition.name)) {
+      this.bindings.set(definition.name, []);
+    }
+    this.bindings.get(definition.name).push(definition);
+  }
+
+  /**
+   * Finds the definition a name refers to. In the scope that defines it,
+   *     the last definition before the offset is chosen, or the first one
+   *     if all of them are after it
+   * @param {string} name The name
+   * @param {number} offset The offset of the reference
+   * @return {object|undefined} The definition or undefined if there isn't
+   *     one in the scope chain
+   */
+  lookup(name, offset) {
+    for (let scope = this; scope !== null; scope = scope.parent) {
+      const definitions = scope.bindings.get(name);
+      if (definitions !== undefined) {
+        const before = definitions.filter((definition) => {
+          return definition.loc.start.offset <= offset;
+        });
+        return before.length > 0 ? before[before.length - 1] : definitions[0];
+      }
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Analyzes the bindings of a program
+ * @param {object} ast The AST of the program, as returned by the parser so
+ *     the nodes have locations. It can be partial or undefined if the
+ *     program has syntax errors
+ * @return {object} An object with the root scope, the list of scopes, the
+ *     list of definitions and the list of references. Each reference has the
+ *     definition it refers to, or undefined, and each definition has the
+ *     list of its references
+ */
+const analyze = (ast) => {
+  const root = new Scope(null, ast != undefined ? ast.loc : undefined);
+  const scopes = [root];
+  const definitions = [];
+  const references = [];
+
+  const newScope = (parent, loc) => {
+    const scope = new Scope(parent, loc);
+    scopes.push(scope);
+    return scope;
+  };
+
+  const define = (word, kind, node, scope) => {
+    const definition = {name: word.name, kind, loc: word.loc, node, scope,
+      references: []};
+    definitions.push(definition);
+    scope.define(definition);
+  };
+
+  const visitAll = (nodes, scope) => {
+    nodes.forEach((node) => visit(node, scope));
+  };
+
+  const referToKeyword = (node, scope) => {
+    references.push({name: node.operator.name, loc: node.operator.loc,
+      node: node.operator, scope, keyword: true});
+  };
+
+  const visitKeyword = (node, scope) => {
+    const name = node.operator.name;
+    const args = node.args;
+    if (DEFINITION_KEYWORDS.includes(name) && args[0] instanceof Word) {
+      visitAll(args.slice(1), scope);
+      const kind = isKeywordCall(args[1], FUNCTION_KEYWORDS) ?
+          'function' : 'variable';
+      define(args[0], kind, node, scope);
+    } else if (FUNCTION_KEYWORDS.includes(name)) {
+      const fnScope = newScope(scope, node.loc);
+      args.forEach((arg, i) => {
+        if (i < args.length - 1 && arg instanceof Word) {
+          define(arg, 'parameter', node, fnScope);
+        } else {
+          visit(arg, fnScope);
+        }
+      });
+    } else if (BLOCK_KEYWORDS.includes(name)) {
+      visitAll(args, newScope(scope, node.loc));
+    } else if (name === 'foreach' && args[0] instanceof Word) {
+      visitAll(args.slice(1, 2), scope);
+      const foreachScope = newScope(scope, node.loc);
+      define(args[0], 'parameter', node, foreachScope);
+      visitAll(args.slice(2), foreachScope);
+    } else if (name === 'try' && tryClauses(args) !== undefined) {
+      const {body, handler, cleanup} = tryClauses(args);
+      visit(body, newScope(scope, node.loc));
+      if (handler !== undefined) {
+        referToKeyword(handler, scope);
+        const catchScope = newScope(scope, handler.loc);
+        define(handler.args[0], 'parameter', handler, catchScope);
+        visit(handler.args[1], catchScope);
+      }
+      if (cleanup !== undefined) {
+        referToKeyword(cleanup, scope);
+        visitAll(cleanup.args, newScope(scope, cleanup.loc));
+      }
+    } else if (name === 'object') {
+      const objectScope = newScope(scope, node.loc);
+      define({name: 'self', loc: node.operator.loc}, 'self', node, objectScope);
+      visitAll(args, objectScope);
+    } else {
+      visitAll(args, scope);
+    }
+  };
+
+  const visit = (node, scope) => {
+    if (node instanceof Word) {
+      references.push({name: node.name, loc: node.loc, node, scope});
+    } else if (node instanceof Call && node.operator instanceof Word &&
+        Object.prototype.hasOwnProperty.call(keywords, node.operator.name)) {
+      referToKeyword(node, scope);
+      visitKeyword(node, scope);
+    } else if (node instanceof Call || node instanceof MethodCall) {
+      visit(node.operator, scope);
+      visitAll(node.args, scope);
+    }
+  };
+
+  visit(ast, root);
+  references.forEach((reference) => {
+    if (!reference.keyword) {
+      reference.definition = reference.scope.lookup(
+          reference.name, reference.loc.start.offset,
+      );
+      if (reference.definition !== undefined) {
+        reference.definition.references.push(reference);
+      }
+    }
+  });
+  return {root, scopes, definitions, references};
+};
+
+/**
+ * Finds the innermost scope that contains an offset
+ * @param {object} analysis The result of analyzing a program
+ * @param {number} offset The offset
+ * @return {Scope} The scope
+ */
+const scopeAt = (analysis, offset) => {
+  let scope = analysis.root;
+  let child = scope.children.find((child) => contains(child.loc, offset));
+  while (child !== undefined) {
+    scope = child;
+    child = scope.children.find((child) => contains(child.loc, offset));
+  }
+  return scope;
+};
+
+/**
+ * Finds the definitions visible from an offset. The inner ones shadow the
+ *     outer ones
+ * @param {object} analysis The result of analyzing a program
+ * @param {number} offset The offset
+ * @return {Map} The visible definition of each name
+ */
+const bindingsAt = (analysis, offset) => {
+  const bindings = new Map();
+  for (let scope = scopeAt(analysis, offset); scope !== null;
+    scope = scope.parent) {
+    scope.bindings.forEach((definitions, name) => {
+      if (!bindings.has(name)) {
+        bindings.set(name, scope.lookup(name, offset));
+      }
+    });
+  }
+  return bindings;
+};
+
+/**
+ * Finds the word at an offset, either a reference or the name of a
+ *     definition
+ * @param {object} analysis The result of analyzing a program
+ * @param {number} offset The offset
+ * @return {object|undefined} The reference, the definition or undefined if
+ *     there isn't a word at the offset
+ */
+const symbolAt = (analysis, offset) => {
+  const reference = analysis.references.find((reference) => {
+    return contains(reference.loc, offset);
+  });
+  if (reference !== undefined) {
+    return reference;
+  }
+  const definition = analysis.definitions.find((definition) => {
+    return contains(definition.loc, offset);
+  });
+  return definition !== undefined ? {...definition, definition} : undefined;
+};
+
+module.exports = {
+  isKeywordCall,
+  Scope,
+  analyze,
+  scopeAt,
+  bindingsAt,
+  symbolAt,
+};
@@ -11,12 +11,91 @@
 
 const XRegExp = require('xregexp');
 const {generateJS} = require('./generate_js.js');
+const {locate} = require('./errors.js');
+const {
+  UNSET,
+  Environment,
+  toEnvironment,
+  lookup,
+} = require('./environment.js');
+const {step, checkResult, checkProperty} = require('./sandbox.js');
+const {methodsOf} = require('./plugins/methods.js');
+const {defaultRuntime} = require('./runtime.js');
 
 /**
  * An object with the different keywords of the language
  */
 const keywords = Object.create(null);
 
+/**
+ * Finds the keywords a program is evaluated with
+ * @param {object} scope The scope, an environment or an object
+ * @return {object} The keywords of the interpreter that created the
+ *     environment or the default ones
+ */
+const keywordsOf = (scope) => {
+  return scope instanceof Environment && scope.keywords !== undefined ?
+      scope.keywords : keywords;
+};
+
+/**
+ * Finds the state of the interpreter a program is evaluated with: the call
+ *     stack, the hooks of the debugger and the sandbox
+ * @param {object} scope The scope, an environment or an object
+ * @return {object} The state of the interpreter that created the
+ *     environment or the one of the process
+ */
+const runtimeOf = (scope) => {
+  return scope instanceof Environment ? scope.runtime : defaultRuntime;
+};
+
+/**
+ * The property of the Please functions that prepares a call in tail
+ *     position. It receives the arguments and returns the tail call without
+ *     running it, so the function that makes it can return it
+ */
+const prepareTailCall = Symbol('prepareTailCall');
+
+/**
+ * A class representing a call to a Please function in tail position that
+ *     hasn't been run yet. The function that returns it runs it in a loop,
+ *     so the tail calls don't make the JavaScript stack grow
+ */
+class TailCall {
+  /**
+   * The constructor
+   * @param {function} fn The function being called
+   * @param {function} body A function that runs the body of the function
+   *     in a scope and returns its value or another tail call
+   * @param {object} scope The scope of the call, with the arguments
+   */
+  constructor(fn, body, scope) {
+    this.fn = fn;
+    this.body = body;
+    this.scope = scope;
+  }
+
+  /**
+   * Runs the body of the function
+   * @return {*} The return value or another tail call
+   */
+  run() {
+    return this.body(this.scope);
+  }
+}
+
+/**
+ * Attaches the location of the node and the current call stack to an error
+ * @param {*} error The thrown value
+ * @param {object} loc The location of the node that was being evaluated
+ * @param {object} scope The scope of the node, whose interpreter has the
+ *     call stack
+ * @return {*} The same error
+ */
+const fail = (error, loc, scope) => {
+  return locate(error, loc, runtimeOf(scope).callStack.frames);
+};
+
 /**
  * A class representing a value. Can be a String or a Number
  */
@@ -28,6 +107,7 @@ class Value {
   constructor(token) {
     this.type = 'Value';
     this.value = token.value;
+    this.loc = token.loc;
   }
 
   /**
@@ -61,19 +141,59 @@ class Word {
   constructor(token) {
     this.type = 'Word';
     this.name = token.name;
+    this.loc = token.loc;
   }
 
   /**
-   * Evaluate the node
+   * Evaluate the node. If the resolver gave the word a slot, the binding is
+   *     read from it, otherwise it is looked up by its name
    * @param {object} scope The scope in which the node will be evaluated
    * @return {*} The result of the evaluation
    */
   evaluate(scope) {
-    if (this.name in scope) {
-      return scope[this.name];
-    } else {
-      throw new ReferenceError(`Undefined binding: ${this.name}`);
+    if (this.slot !== undefined) {
+      let env = scope;
+      for (let depth = this.depth; depth > 0; depth--) {
+        env = env.parent;
+      }
+      const value = env.values[this.slot];
+      if (value !== UNSET) {
+        return value;
+      }
+    } else if (this.global) {
+      const object = scope.global.object;
+      if (this.name in object) {
+        return object[this.name];
+      }
+    }
+    const value = lookup(scope, this.name);
+    if (value === UNSET) {
+      throw fail(
+          new ReferenceError(`Undefined binding: ${this.name}`), this.loc,
+          scope,
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Changes the value of the binding the word refers to
+   * @param {object} scope The environment in which the word is evaluated
+   * @param {*} value The new value
+   * @return {boolean} If the binding was found
+   */
+  assign(scope, value) {
+    if (this.slot !== undefined) {
+      let env = scope;
+      for (let depth = this.depth; depth > 0; depth--) {
+        env = env.parent;
+      }
+      if (env.values[this.slot] !== UNSET) {
+        env.values[this.slot] = value;
+        return true;
+      }
     }
+    return scope.assign(this.name, value);
   }
 
   /**
@@ -94,12 +214,17 @@ class Word {
   }
 
   /**
-   * Convert the node to JS
+   * Convert the node to JS. The generators that have a reference are
+   *     functions, so the word is that function and not a call to it
+   * @param {object} [generators] The functions that generate the JS of the
+   *     keywords and the functions of the top scope
    * @return {string} The result of the convertion
    */
-  toJS() {
-    if (generateJS[this.name] != undefined) {
-      return generateJS[this.name]();
+  toJS(generators = generateJS) {
+    if (generators[this.name] != undefined) {
+      const generator = generators[this.name];
+      return generator.reference !== undefined ?
+          generator.reference : generator();
     }
     return '$' + this.name;
   }
@@ -113,11 +238,13 @@ class REGEXP {
    * The constructor
    * @param {object} expression The representation of the regular expression
    * @param {object} flags The regular expression flags
+   * @param {object} [loc] The location of the node in the source
    */
-  constructor(expression, flags) {
+  constructor(expression, flags, loc = undefined) {
     this.type = 'RegExp';
     this.expression = expression;
     this.flags = flags;
+    this.loc = loc;
   }
 
   /**
@@ -126,8 +253,12 @@ class REGEXP {
    * @return {*} The result of the evaluation
    */
   evaluate(scope) {
-    // eslint-disable-next-line new-cap
-    return XRegExp(this.expression, this.flags);
+    try {
+      // eslint-disable-next-line new-cap
+      return XRegExp(this.expression, this.flags);
+    } catch (err) {
+      throw fail(err, this.loc, scope);
+    }
   }
 
   /**
@@ -150,50 +281,92 @@ class Call {
    *     evaluate to a function or a Word with the value of a keyword
    * @param {Array} args An array of nodes representing the arguments.
    *     Should be filled with nodes that evaluate to arbitrary values
+   * @param {object} [loc] The location of the node in the source
    */
-  constructor(operator, args) {
+  constructor(operator, args, loc = undefined) {
     this.type = 'Call';
     this.operator = operator;
     this.args = args;
+    this.loc = loc;
   }
 
   /**
    * Evaluate the node
    * @param {object} scope The scope in which the node will be evaluated
+   * @param {boolean} [tail] If the call is in tail position: the last
+   *     expression of a function. The calls to Please functions in tail
+   *     position return a tail call instead of running it
    * @return {*} The result of the evaluation
    */
-  evaluate(scope) {
-    if (this.operator instanceof Word &&
-        this.operator.isKeyword(keywords)) {
-      return keywords[this.operator.getName()](this.args, scope);
-    } else {
+  evaluate(scope, tail = false) {
+    const debugHooks = runtimeOf(scope).debugHooks;
+    if (debugHooks.enter === undefined) {
+      return this.evaluateCall_(scope, tail);
+    }
+    debugHooks.enter(this, scope);
+    try {
+      return this.evaluateCall_(scope, tail);
+    } finally {
+      debugHooks.leave(this);
+    }
+  }
+
+  /**
+   * Evaluate the node without notifying the debugger
+   * @param {object} scope The scope in which the node will be evaluated
+   * @param {boolean} tail If the call is in tail position
+   * @return {*} The result of the evaluation
+   * @private
+   */
+  evaluateCall_(scope, tail) {
+    const runtime = runtimeOf(scope);
+    try {
+      step(runtime);
+      const table = keywordsOf(scope);
+      if (this.operator instanceof Word && this.operator.isKeyword(table)) {
+        return table[this.operator.getName()](
+            this.args, toEnvironment(scope), this, tail,
+        );
+      }
       const op = this.operator.evaluate(scope);
       if (typeof op === 'function') {
-        return op(...this.args.map((arg) => arg.evaluate(scope)));
-      } else {
-        throw new TypeError('Calling a non-function.');
+        const args = this.args.map((arg) => arg.evaluate(scope));
+        if (tail && op[prepareTailCall] !== undefined) {
+          return op[prepareTailCall](args);
+        }
+        runtime.callStack.site = this.loc;
+        try {
+          return checkResult(op(...args), runtime);
+        } finally {
+          runtime.callStack.site = undefined;
+        }
       }
+      throw new TypeError('Calling a non-function.');
+    } catch (err) {
+      throw fail(err, this.loc, scope);
     }
   }
 
   /**
    * Convert the node to JS
+   * @param {object} [generators] The functions that generate the JS of the
+   *     keywords and the functions of the top scope
    * @return {string} The result of the convertion
    */
-  toJS() {
+  toJS(generators = generateJS) {
     if (['=', 'set', 'assign'].includes(this.operator.name) &&
        this.args[0].type === 'MethodCall' && this.args.length === 2) {
-      return this.assignmentToJS();
+      return this.assignmentToJS(generators);
     }
     const previousDeclarations = generateJS.declarations;
     generateJS.declarations = [];
-    const args = this.args.map((arg) => arg.toJS());
+    const args = this.args.map((arg) => arg.toJS(generators));
     let result;
     if (this.operator instanceof Word &&
-        generateJS[this.operator.name] != undefined) {
-      result = generateJS[this.operator.name](...args);
+        generators[this.operator.name] != undefined) {
+      result = generators[this.operator.name](...args);
     } else {
-      result = this.operator.toJS() + '(' + args.join(',') + ')';
+      result = this.operator.toJS(generators) + '(' + args.join(',') + ')';
     }
     previousDeclarations.forEach((declaration) => {
       generateJS.declarations.push(declaration);
@@ -203,17 +376,19 @@ class Call {
 
   /**
    * Convert an assignment to JS
+   * @param {object} generators The functions that generate the JS of the
+   *     keywords and the functions of the top scope
    * @return {string} The result of the convertion
    */
-  assignmentToJS() {
+  assignmentToJS(generators) {
     let result = '';
     const keys = [];
     let operator = this.args[0];
     while (operator.type !== 'Word') {
-      keys.push(operator.args[0].toJS());
+      keys.push(operator.args[0].toJS(generators));
       operator = operator.operator;
     }
-    const object = operator.toJS();
+    const object = operator.toJS(generators);
     result += keys.map((key, i) => `var a${i} = ${key};`).join('\n');
     result += `var obj = ${object};\n`;
     result += 'if (';
@@ -225,7 +400,7 @@ class Call {
       }
     }
     result = result.slice(0, -3) + ') {\n';
-    result += `obj${accesses} = ${this.args[1].toJS()};\n}`;
+    result += `obj${accesses} = ${this.args[1].toJS(generators)};\n}`;
     return result;
   }
 }
@@ -271,11 +446,13 @@ class MethodCall {
    *     evaluate to a function or a Word with the value of a keyword
    * @param {Array} args An array of nodes representing the arguments.
    *     Should be filled with nodes that evaluate to arbitrary values
+   * @param {object} [loc] The location of the node in the source
    */
-  constructor(operator, args) {
+  constructor(operator, args, loc = undefined) {
     this.type = 'MethodCall';
     this.operator = operator;
     this.args = args;
+    this.loc = loc;
   }
 
   /**
@@ -284,7 +461,9 @@ class MethodCall {
    * @return {*} The result of the evaluation
    */
   leftEvaluate(scope) {
-    const methodName = this.args[0].evaluate(scope);
+    const methodName = checkProperty(
+        this.args[0].evaluate(scope), runtimeOf(scope),
+    );
     let op;
     if (this.operator instanceof MethodCall) {
       op = this.operator.leftEvaluate(scope);
@@ -307,26 +486,32 @@ class MethodCall {
    * @return {*} The result of the evaluation
    */
   evaluate(scope) {
-    const op = this.operator.evaluate(scope);
-    if (op == undefined) {
-      return undefined;
-    }
-    const processedArgs = this.args.map((arg) => arg.evaluate(scope));
-    const methodName = processedArgs.shift().toString();
-    if (typeof op[methodName] !== 'function') {
-      return op[methodName];
+    try {
+      const op = this.operator.evaluate(scope);
+      if (op == undefined) {
+        return undefined;
+      }
+      const processedArgs = this.args.map((arg) => arg.evaluate(scope));
+      const runtime = runtimeOf(scope);
+      const methodName = checkProperty(
+          processedArgs.shift().toString(), runtime,
+      );
+      return methodsOf(runtime).member(op, methodName, processedArgs);
+    } catch (err) {
+      throw fail(err, this.loc, scope);
     }
-    return (...args) => op[methodName](...processedArgs, ...args);
   }
 
   /**
    * Convert the node to JS
+   * @param {object} [generators] The functions that generate the JS of the
+   *     keywords and the functions of the top scope
    * @return {string} The result of the convertion
    */
-  toJS() {
-    const operator = this.operator.toJS();
-    const name = this.args[0].toJS();
-    const args = this.args.slice(1).map((arg) => arg.toJS());
+  toJS(generators = generateJS) {
+    const operator = this.operator.toJS(generators);
+    const name = this.args[0].toJS(generators);
+    const args = this.args.slice(1).map((arg) => arg.toJS(generators));
     return `(() => {
       let name = ${name};
       let op = ${operator};
@@ -334,12 +519,20 @@ class MethodCall {
       if (op == undefined) {
         return undefined;
       }
-      if (typeof op[name] !== 'function') {
-        return op[name];
-      }
-      return (...args) => op[name](...processedArgs, ...args);
+      return $methods.member(op, name, processedArgs);
     })()`;
   }
 }
 
-module.exports = {Value, Word, REGEXP, Call, MethodCall, keywords};
+module.exports = {
+  Value,
+  Word,
+  REGEXP,
+  Call,
+  MethodCall,
+  keywords,
+  keywordsOf,
+  runtimeOf,
+  prepareTailCall,
+  TailCall,
+};
@@ -0,0 +1,504 @@
+// @ts-check
+/**
+ * @description The file with the closure compiler of the Please lang. It is
+ *     an alternative to evaluating the AST: the tree is converted once into
+ *     JavaScript closures that receive the environment, so the type of each
+ *     node and the keyword each call uses are decided before running it
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangClosures
+ */
+
+'use strict';
+
+const {
+  Value,
+  Word,
+  Call,
+  MethodCall,
+  prepareTailCall,
+} = require('./ast.js');
+const {
+  keywords,
+  builtinKeywords,
+  createsFunction,
+  createFunction,
+  createObjectScope,
+  tryClauses,
+} = require('./plugins/keywords.js');
+const {createError, attempt} = require('./plugins/exceptions.js');
+const {locate} = require('./errors.js');
+const {UNSET} = require('./environment.js');
+const {step, checkResult, checkProperty} = require('./sandbox.js');
+const {methodsOf} = require('./plugins/methods.js');
+
+/**
+ * Attaches the location of a node and the current call stack to an error
+ * @param {*} error The thrown value
+ * @param {object} loc The location of the node that was being run
+ * @param {object} env The environment, whose interpreter has the call stack
+ * @return {*} The same error
+ */
+const fail = (error, loc, env) => {
+  return locate(error, loc, env.runtime.callStack.frames);
+};
+
+/**
+ * Compiles a list of nodes that aren't in tail position
+ * @param {Array} nodes The nodes
+ * @param {object} table The keywords of the program
+ * @return {Array} Their closures
+ */
+const compileAll = (nodes, table) => {
+  return nodes.map((node) => compileNode(node, table));
+};
+
+/**
+ * The compilers of the keywords. Each one receives the call, the keywords
+ *     of the program and if it is in tail position and returns its closure,
+ *     or undefined if the call isn't valid. In that case the
+ *     keyword itself runs, so it throws the same error as the tree walker
+ */
+const compilers = Object.create(null);
+
+compilers.if = (node, table, tail) => {
+  if (node.args.length < 2 || node.args.length > 3) {
+    return undefined;
+  }
+  const [condition, then, otherwise = () => undefined] =
+      node.args.map((arg, i) => compileNode(arg, table, tail && i > 0));
+  return (env) => condition(env) !== false ? then(env) : otherwise(env);
+};
+
+compilers.while = (node, table) => {
+  if (node.args.length !== 2) {
+    return undefined;
+  }
+  const [condition, body] = compileAll(node.args, table);
+  return (env) => {
+    const whileEnv = env.extend(node);
+    while (condition(whileEnv) !== false) {
+      step(env.runtime);
+      body(whileEnv);
+    }
+    return undefined;
+  };
+};
+
+compilers.for = (node, table) => {
+  if (node.args.length !== 4) {
+    return undefined;
+  }
+  const [init, condition, update, body] = compileAll(node.args, table);
+  return (env) => {
+    const forEnv = env.extend(node);
+    for (init(forEnv); condition(forEnv) !== false; update(forEnv)) {
+      step(env.runtime);
+      body(forEnv);
+    }
+    return undefined;
+  };
+};
+
+compilers.foreach = (node, table) => {
+  if (node.args.length !== 3 || !(node.args[0] instanceof Word)) {
+    return undefined;
+  }
+  const name = node.args[0].name;
+  const [, list, body] = compileAll(node.args, table);
+  return (env) => {
+    list(env).forEach((x) => {
+      step(env.runtime);
+      const foreachEnv = env.extend(node);
+      foreachEnv.define(name, x);
+      body(foreachEnv);
+    });
+    return undefined;
+  };
+};
+
+compilers.run = compilers.do = (node, table, tail) => {
+  const body = node.args.map((arg, i) => {
+    return compileNode(arg, table, tail && i === node.args.length - 1);
+  });
+  return (env) => {
+    const doEnv = env.extend(node);
+    let value = undefined;
+    for (let i = 0; i < body.length; i++) {
+      value = body[i](doEnv);
+    }
+    return value;
+  };
+};
+
+compilers.let = compilers.def = compilers[':='] = (node, table) => {
+  if (node.args.length !== 2 || !(node.args[0] instanceof Word)) {
+    return undefined;
+  }
+  const name = node.args[0].name;
+  const named = createsFunction(node.args[1]);
+  const value = compileNode(node.args[1], table);
+  return (env) => {
+    const result = value(env);
+    if (named) {
+      Object.defineProperty(result, 'name', {value: name});
+    }
+    env.define(name, result);
+    return result;
+  };
+};
+
+compilers.fn = compilers.function = compilers['->'] = (node, table) => {
+  const params = node.args.slice(0, -1);
+  if (node.args.length === 0 ||
+      !params.every((param) => param instanceof Word)) {
+    return undefined;
+  }
+  const names = params.map((param) => param.name);
+  const body = compileNode(node.args[node.args.length - 1], table, true);
+  return (env) => createFunction(names, body, env, node);
+};
+
+compilers.assign = compilers.set = compilers['='] = (node, table) => {
+  const args = node.args;
+  const target = args[0];
+  if (args.length < 2 ||
+      !(target instanceof Word || target instanceof MethodCall)) {
+    return undefined;
+  }
+  const value = compileNode(args[args.length - 1], table);
+  if (target instanceof MethodCall) {
+    const reference = compileReference(target, table);
+    return (env) => {
+      const result = value(env);
+      const place = reference(env);
+      if (place !== undefined) {
+        place.object[place.key] = result;
+      }
+      return result;
+    };
+  }
+  const notFound = () => new ReferenceError(
+      `Tried to assign to a non existent variable: ${target.name}`,
+  );
+  if (args.length === 2) {
+    return (env) => {
+      const result = value(env);
+      if (target.assign(env, result)) {
+        return result;
+      }
+      throw notFound();
+    };
+  }
+  const indexes = compileAll(args.slice(1, -1), table);
+  return (env) => {
+    const result = value(env);
+    const keys = indexes.map((index) => index(env));
+    const object = env.lookup(target.name);
+    if (object === UNSET) {
+      throw notFound();
+    }
+    methodsOf(env.runtime).assign(object, result, ...keys);
+    return result;
+  };
+};
+
+compilers.object = (node, table) => {
+  if (node.args.length % 2 !== 0) {
+    return undefined;
+  }
+  const pairs = compileAll(node.args, table);
+  return (env) => {
+    const objectEnv = createObjectScope(env);
+    const object = objectEnv.object;
+    for (let i = 0; i < pairs.length; i += 2) {
+      const name = checkProperty(pairs[i](objectEnv), env.runtime);
+      object[name] = pairs[i + 1](objectEnv);
+    }
+    return object;
+  };
+};
+
+compilers.try = (node, table) => {
+  const clauses = tryClauses(node.args);
+  if (clauses === undefined) {
+    return undefined;
+  }
+  const {handler, cleanup} = clauses;
+  const body = compileNode(clauses.body, table);
+  const onError = handler && compileNode(handler.args[1], table);
+  const onExit = cleanup && compileNode(cleanup.args[0], table);
+  return (env) => attempt(() => body(env.extend(node)), {
+    handler: onError && ((error) => {
+      const catchEnv = env.extend(handler);
+      catchEnv.define(handler.args[0].name, error);
+      return onError(catchEnv);
+    }),
+    cleanup: onExit && (() => onExit(env.extend(cleanup))),
+  });
+};
+
+compilers.throw = (node, table) => {
+  if (node.args.length !== 1) {
+    return undefined;
+  }
+  const value = compileNode(node.args[0], table);
+  return (env) => {
+    throw createError(value(env));
+  };
+};
+
+/**
+ * Compiles a word. The words with a slot or that refer to the top scope
+ *     read it directly and look the binding up by its name only if it
+ *     isn't there
+ * @param {object} node The word
+ * @return {function} The closure
+ */
+const compileWord = (node) => {
+  const name = node.name;
+  const lookup = (env) => {
+    const value = env.lookup(name);
+    if (value === UNSET) {
+      throw fail(
+          new ReferenceError(`Undefined binding: ${name}`), node.loc, env,
+      );
+    }
+    return value;
+  };
+  const {depth, slot} = node;
+  if (slot !== undefined && depth === 0) {
+    return (env) => {
+      const value = env.values[slot];
+      return value !== UNSET ? value : lookup(env);
+    };
+  }
+  if (slot !== undefined) {
+    return (env) => {
+      let frame = env;
+      for (let i = depth; i > 0; i--) {
+        frame = frame.parent;
+      }
+      const value = frame.values[slot];
+      return value !== UNSET ? value : lookup(env);
+    };
+  }
+  if (node.global) {
+    return (env) => {
+      const object = env.global.object;
+      return name in object ? object[name] : lookup(env);
+    };
+  }
+  return lookup;
+};
+
+/**
+ * Compiles a call to a function. The location of the call is kept for the
+ *     call stack. The calls with one or two arguments, like the ones to the
+ *     operators, don't build an array with the arguments
+ * @param {object} node The call
+ * @param {object} table The keywords of the program
+ * @param {boolean} tail If the call is in tail position. In that case the
+ *     calls to Please functions return a tail call
+ * @return {function} The closure, it doesn't attach the location to errors
+ */
+const compileFunctionCall = (node, table, tail) => {
+  const op = compileNode(node.operator, table);
+  const args = compileAll(node.args, table);
+  const loc = node.loc;
+  const callee = (env) => {
+    const fn = op(env);
+    if (typeof fn !== 'function') {
+      throw new TypeError('Calling a non-function.');
+    }
+    return fn;
+  };
+  if (args.length === 1) {
+    const [first] = args;
+    return (env) => {
+      const fn = callee(env);
+      const value = first(env);
+      if (tail && fn[prepareTailCall] !== undefined) {
+        return fn[prepareTailCall]([value]);
+      }
+      env.runtime.callStack.site = loc;
+      try {
+        return checkResult(fn(value), env.runtime);
+      } finally {
+        env.runtime.callStack.site = undefined;
+      }
+    };
+  }
+  if (args.length === 2) {
+    const [first, second] = args;
+    return (env) => {
+      const fn = callee(env);
+      const a = first(env);
+      const b = second(env);
+      if (tail && fn[prepareTailCall] !== undefined) {
+        return fn[prepareTailCall]([a, b]);
+      }
+      env.runtime.callStack.site = loc;
+      try {
+        return checkResult(fn(a, b), env.runtime);
+      } finally {
+        env.runtime.callStack.site = undefined;
+      }
+    };
+  }
+  return (env) => {
+    const fn = callee(env);
+    const values = args.map((arg) => arg(env));
+    if (tail && fn[prepareTailCall] !== undefined) {
+      return fn[prepareTailCall](values);
+    }
+    env.runtime.callStack.site = loc;
+    try {
+      return checkResult(fn(...values), env.runtime);
+    } finally {
+      env.runtime.callStack.site = undefined;
+    }
+  };
+};
+
+/**
+ * Compiles a call. The calls to keywords use the compiler of the keyword,
+ *     the rest call the function their operator evaluates to
+ * @param {object} node The call
+ * @param {object} table The keywords of the program
+ * @param {boolean} tail If the call is in tail position
+ * @return {function} The closure
+ */
+const compileCall = (node, table, tail) => {
+  const operator = node.operator;
+  let run = undefined;
+  if (operator instanceof Word && operator.name in table) {
+    const keyword = table[operator.name];
+    // A keyword is only compiled if a plugin hasn't replaced it
+    if (keyword === builtinKeywords[operator.name] &&
+        operator.name in compilers) {
+      run = compilers[operator.name](node, table, tail);
+    }
+    if (run === undefined) {
+      run = (env) => keyword(node.args, env, node, tail);
+    }
+  } else {
+    run = compileFunctionCall(node, table, tail);
+  }
+  const guarded = (env) => {
+    try {
+      step(env.runtime);
+      return run(env);
+    } catch (err) {
+      throw fail(err, node.loc, env);
+    }
+  };
+  return (env) => {
+    const debugHooks = env.runtime.debugHooks;
+    if (debugHooks.enter === undefined) {
+      return guarded(env);
+    }
+    debugHooks.enter(node, env);
+    try {
+      return guarded(env);
+    } finally {
+      debugHooks.leave(node);
+    }
+  };
+};
+
+/**
+ * Compiles a method call
+ * @param {object} node The method call
+ * @param {object} table The keywords of the program
+ * @return {function} The closure
+ */
+const compileMethodCall = (node, table) => {
+  const op = compileNode(node.operator, table);
+  const args = compileAll(node.args, table);
+  return (env) => {
+    try {
+      const object = op(env);
+      if (object == undefined) {
+        return undefined;
+      }
+      const values = args.map((arg) => arg(env));
+      const methodName = checkProperty(
+          values.shift().toString(), env.runtime,
+      );
+      return methodsOf(env.runtime).member(object, methodName, values);
+    } catch (err) {
+      throw fail(err, node.loc, env);
+    }
+  };
+};
+
+/**
+ * Compiles a method call that is the target of an assignment
+ * @param {object} node The method call
+ * @param {object} table The keywords of the program
+ * @return {function} A closure that returns the object and the key to
+ *     assign to, or undefined if the object doesn't exist
+ */
+const compileReference = (node, table) => {
+  const key = compileNode(node.args[0], table);
+  let target = undefined;
+  if (node.operator instanceof MethodCall) {
+    const reference = compileReference(node.operator, table);
+    target = (env) => {
+      const place = reference(env);
+      return place !== undefined ? place.object[place.key] : undefined;
+    };
+  } else {
+    target = compileNode(node.operator, table);
+  }
+  return (env) => {
+    const name = checkProperty(key(env), env.runtime);
+    const object = target(env);
+    return object != undefined ? {object, key: name} : undefined;
+  };
+};
+
+/**
+ * Compiles a node into a closure
+ * @param {object} node The node
+ * @param {object} table The keywords of the program
+ * @param {boolean} [tail] If the node is in tail position
+ * @return {function} A function that receives the environment and returns
+ *     what the node evaluates to
+ */
+const compileNode = (node, table, tail = false) => {
+  if (node instanceof Value) {
+    const value = node.value;
+    return () => value;
+  }
+  if (node instanceof Word) {
+    return compileWord(node);
+  }
+  if (node instanceof Call) {
+    return compileCall(node, table, tail);
+  }
+  if (node instanceof MethodCall) {
+    return compileMethodCall(node, table);
+  }
+  // The regular expressions are created again each time, like the tree
+  // walker does
+  return (env) => node.evaluate(env);
+};
+
+/**
+ * Compiles a Please AST into closures. The words should have been resolved
+ *     before, otherwise they are looked up by their name
+ * @param {object} ast The AST of the program
+ * @param {object} [table] The keywords of the program, the default ones if
+ *     it isn't given
+ * @return {function} A function that runs the program in an environment
+ *     and returns its value
+ */
+const compileToClosures = (ast, table = keywords) => {
+  return compileNode(ast, table);
+};
+
+module.exports = {
+  compileToClosures,
+};
@@ -12,12 +12,19 @@ const fs = require('fs');
 const {unraw} = require('unraw');
 const {optimize} = require('./optimization.js');
 const {Value, Word, REGEXP, Call, MethodCall} = require('./ast.js');
+const {locate, groupErrors} = require('./errors.js');
+const {resolve} = require('./resolver.js');
 
 /**
  * The defition of whitespace in the Please language
  */
 const WHITE = /^(?:\s|\/\/.*|\/\*(?:.|\n)*?\*\/)*/;
 
+/**
+ * The definition of a comment in the Please language
+ */
+const COMMENT = /\/\/.*|\/\*(?:.|\n)*?\*\//g;
+
 /**
  * A lexer class that takes care of the lexical analysis
  */
@@ -25,8 +32,24 @@ class Lexer {
   /**
    * The constructor of the lexer
    * @param {string} source The source code of the program to analyze
+   * @param {string} [fileName] The name of the file the source comes from.
+   *     It is stored in the location of every token
+   * @param {boolean} [recover] Whether to collect the syntax errors in the
+   *     diagnostics list instead of throwing them
    */
-  constructor(source) {
+  constructor(source, fileName = undefined, recover = false) {
+    /**
+     * @const {string|undefined}
+     */
+    this.fileName = fileName;
+    /**
+     * @const {Array|undefined} The syntax errors found in recovery mode
+     */
+    this.diagnostics = recover ? [] : undefined;
+    /**
+     * @const {Array} The comments found, with their text and location
+     */
+    this.comments = [];
     /**
      * @const {string}
      * @private
@@ -94,25 +117,54 @@ class Lexer {
   advanceToken_() {
     this.skipSpace_();
     if (this.isEmpty()) {
-      this.tokens_.push({type: 'EOF', line: this.line_, column: this.column_});
+      this.tokens_.push({
+        type: 'EOF',
+        line: this.line_,
+        column: this.column_,
+        loc: this.location_(this.position_()),
+      });
       return;
     }
-    let match = this.REGEXP_.exec(this.source_);
+    const match = this.REGEXP_.exec(this.source_);
     if (match == null) {
-      match = /..*?\b|.*$/.exec(this.source_.slice(this.REGEXP_.lastIndex));
-      throw new SyntaxError(
-          `Invalid token: ${match[0]} ` +
-          `at line ${this.line_} and column ${this.column_}`,
-      );
+      const invalid = /^[^\s()\[\]{},]+/.exec(this.source_.slice(this.offset_));
+      const start = this.position_();
+      this.updateAfterMatch_(invalid[0]);
+      this.REGEXP_.lastIndex = this.offset_;
+      this.reportError(`Invalid token: ${invalid[0]}`, this.location_(start));
+      this.advanceToken_();
+      return;
     }
     const result = this.constructResult_(match);
+    const start = this.position_();
     result.offset = this.offset_;
     result.line = this.line_;
     result.column = this.column_;
     this.updateAfterMatch_(match.groups[result.type]);
+    result.loc = this.location_(start);
     this.tokens_.push(result);
   }
 
+  /**
+   * A helper that returns the current position of the lexer
+   * @return {Object} The line, column and offset
+   * @private
+   */
+  position_() {
+    return {line: this.line_, column: this.column_, offset: this.offset_};
+  }
+
+  /**
+   * A helper that builds the location of a token that goes from the
+   *     start position to the current one
+   * @param {Object} start The position where the token starts
+   * @return {Object} The location
+   * @private
+   */
+  location_(start) {
+    return {file: this.fileName, start, end: this.position_()};
+  }
+
   /**
    * A helper function that construct the result from the match
    * @param {Object} match The string that matched with the RegExp
@@ -137,6 +189,26 @@ class Lexer {
     return result;
   }
 
+  /**
+   * Reports a syntax error. In recovery mode it is added to the diagnostics,
+   *     unless there is already one in the same position, otherwise it is
+   *     thrown
+   * @param {string} message The description of the error
+   * @param {Object} loc The location of the error
+   * @throws Will throw if the lexer isn't in recovery mode
+   */
+  reportError(message, loc) {
+    const error = locate(new SyntaxError(message), loc);
+    if (this.diagnostics == undefined) {
+      throw error;
+    }
+    if (!this.diagnostics.some((diagnostic) => {
+      return diagnostic.loc.start.offset === loc.start.offset;
+    })) {
+      this.diagnostics.push(error);
+    }
+  }
+
   /**
    * Transforms the tokens that apply lexical transformations
    */
@@ -156,12 +228,14 @@ class Lexer {
         this.tokens_[i + 1].type = 'STRING';
         this.tokens_[i + 1].value = this.tokens_[i + 1].name;
         delete this.tokens_[i + 1].name;
+        const end = this.tokens_[i + 1].loc.end;
         this.tokens_.splice(i + 2, 0, {
           type: 'RIGHT_BRACKET',
           value: ']',
-          offset: this.tokens_[i + 1].offset + this.tokens_[i + 1].value.length,
-          line: this.tokens_[i + 1].line,
-          column: this.tokens_[i + 1].column + this.tokens_[i + 1].value.length,
+          offset: end.offset,
+          line: end.line,
+          column: end.column,
+          loc: {file: this.fileName, start: end, end},
         });
       }
     }
@@ -189,8 +263,8 @@ class Lexer {
    * @private
    */
   updateAfterMatch_(token) {
-    const lineStart = this.source_.lastIndexOf('\n', this.offset_);
     this.offset_ += token.length;
+    const lineStart = this.source_.lastIndexOf('\n', this.offset_ - 1);
     this.column_ = this.offset_ - lineStart;
     this.line_ += token.split(/\n/).length - 1;
   }
@@ -211,16 +285,60 @@ class Lexer {
   skipSpace_() {
     const match = this.WHITE.exec(this.source_.slice(this.offset_));
     this.REGEXP_.lastIndex += match[0].length;
-    this.updateAfterMatch_(match[0]);
+    let consumed = 0;
+    for (const comment of match[0].matchAll(COMMENT)) {
+      this.updateAfterMatch_(match[0].slice(consumed, comment.index));
+      const start = this.position_();
+      this.updateAfterMatch_(comment[0]);
+      this.comments.push({text: comment[0], loc: this.location_(start)});
+      consumed = comment.index + comment[0].length;
+    }
+    this.updateAfterMatch_(match[0].slice(consumed));
   };
 }
 
 
+/**
+ * The tokens where the parser resynchronizes after a syntax error
+ */
+const SYNCHRONIZATION_TOKENS = ['COMMA', 'RIGHT_PARENTHESIS', 'RIGHT_BRACKET'];
+
+/**
+ * A function that skips tokens until a comma or a closing bracket that
+ *     isn't nested is found, so the parser can continue after a syntax error
+ * @param {Lexer} lexer An instance of the Lexer class properly initialized
+ */
+const synchronize = (lexer) => {
+  let depth = 0;
+  let token = lexer.getLookAhead();
+  while (token.type !== 'EOF' &&
+      !(depth === 0 && SYNCHRONIZATION_TOKENS.includes(token.type))) {
+    if (token.type === 'LEFT_PARENTHESIS' || token.type === 'LEFT_BRACKET') {
+      depth += 1;
+    } else if (token.type === 'RIGHT_PARENTHESIS' ||
+        token.type === 'RIGHT_BRACKET') {
+      depth -= 1;
+    }
+    lexer.advanceToken();
+    token = lexer.getLookAhead();
+  }
+};
+
+/**
+ * A helper that returns the text of a token to show it in the errors
+ * @param {Object} token The token
+ * @return {string} The text of the token
+ */
+const tokenText = (token) => {
+  return token.type === 'WORD' ? token.name : token.value;
+};
+
 /**
  * A function that parses an expression
  * @param {Lexer} lexer An instance of the Lexer class initialized with
  *     the source of the program
- * @return {Object} The JSON AST of the expression
+ * @return {Object} The JSON AST of the expression. In recovery mode it
+ *     is undefined if the expression couldn't be parsed
  * @throws Will throw if there are syntactical errors
  */
 const parseExpression = (lexer) => {
@@ -238,12 +356,12 @@ const parseExpression = (lexer) => {
     return parseCall(new REGEXP(
         token.value.slice(2, token.value.lastIndexOf('/')),
         token.value.slice(token.value.lastIndexOf('/') + 1),
+        token.loc,
     ), lexer);
   }
-  throw new SyntaxError(
-      `Unexpected token: ${token.value} at line` +
-      ` ${token.line} and column ${token.column}`,
-  );
+  lexer.reportError(`Unexpected token: ${tokenText(token)}`, token.loc);
+  synchronize(lexer);
+  return undefined;
 };
 
 /**
@@ -260,10 +378,12 @@ const parseCall = (operator, lexer) => {
     return operator;
   }
   if (token.type !== 'LEFT_PARENTHESIS' && token.type !== 'LEFT_BRACKET') {
-    throw new SyntaxError(
-        `Unexpected token: ${token.value} at line` +
-        ` ${token.line} and column ${token.column}, expected '[', '(' or '{'`,
+    lexer.reportError(
+        `Unexpected token: ${tokenText(token)}, expected '[', '(' or '{'`,
+        token.loc,
     );
+    synchronize(lexer);
+    return operator;
   }
   const finisher = token.value === '[' ? ']' : token.value === '(' ? ')' : '}';
   lexer.advanceToken();
@@ -271,43 +391,117 @@ const parseCall = (operator, lexer) => {
   const args = [];
   while (token.value !== finisher) {
     if (token.type === 'EOF') {
-      throw new SyntaxError(`Unexpected EOF`);
+      lexer.reportError('Unexpected EOF', token.loc);
+      break;
     }
     const arg = parseExpression(lexer);
-    args.push(arg);
+    if (arg !== undefined) {
+      args.push(arg);
+    }
     token = lexer.getLookAhead();
     if (token.type === 'COMMA') {
       lexer.advanceToken();
       token = lexer.getLookAhead();
     } else if (token.value !== finisher) {
-      throw new SyntaxError(
-          `Expected ',' or '${finisher}' at line ${token.line} ` +
-          `and column ${token.column}`,
-      );
+      lexer.reportError(`Expected ',' or '${finisher}'`, token.loc);
+      if (token.type !== 'EOF') {
+        lexer.advanceToken();
+        token = lexer.getLookAhead();
+      }
     }
   }
+  const loc = {
+    file: operator.loc.file,
+    start: operator.loc.start,
+    end: token.loc.end,
+  };
   const call = finisher === ']' ?
-      new MethodCall(operator, args) : new Call(operator, args);
-  lexer.advanceToken();
+      new MethodCall(operator, args, loc) : new Call(operator, args, loc);
+  if (token.type !== 'EOF') {
+    lexer.advanceToken();
+  }
   return parseCall(call, lexer);
 };
 
+/**
+ * A helper that parses a whole program with an already created lexer
+ * @param {Lexer} lexer An instance of the Lexer class properly initialized
+ * @return {Object} The AST of the program
+ * @throws Will throw if there are errors in the program and the lexer
+ *     isn't in recovery mode
+ */
+const parseProgram = (lexer) => {
+  lexer.advanceToken();
+  const ast = parseExpression(lexer);
+  const token = lexer.getLookAhead();
+  if (token.type !== 'EOF') {
+    lexer.reportError('Unexpected text after program', token.loc);
+  }
+  return ast;
+};
+
 /**
  * A function that parses a Please program
  * @param {string} program The string with the unparsed program
+ * @param {string} [fileName] The name of the file of the program, used
+ *     in the locations of the nodes
  * @return {Object} The AST of the program
  * @throws Will throw if there are errors in the program
  */
-const parse = (program) => {
-  const lexer = new Lexer(program);
-  lexer.advanceToken();
-  const ast = parseExpression(lexer);
-  if (lexer.getLookAhead().type !== 'EOF') {
-    throw new SyntaxError('Unexpected text after program');
+const parse = (program, fileName = undefined) => {
+  return parseProgram(new Lexer(program, fileName));
+};
+
+/**
+ * A function that parses a Please program without stopping at the first
+ *     syntax error. The parser resynchronizes at commas and closing brackets
+ * @param {string} program The string with the unparsed program
+ * @param {string} [fileName] The name of the file of the program, used
+ *     in the locations of the nodes
+ * @return {Object} An object with the partial AST of the program in the
+ *     ast property and the syntax errors found in the diagnostics property
+ */
+const parseWithRecovery = (program, fileName = undefined) => {
+  const lexer = new Lexer(program, fileName, true);
+  const ast = parseProgram(lexer);
+  const diagnostics = lexer.diagnostics.sort((a, b) => {
+    return a.loc.start.offset - b.loc.start.offset;
+  });
+  return {ast, diagnostics};
+};
+
+/**
+ * A function that parses a Please program reporting all its syntax errors
+ *     at once
+ * @param {string} program The string with the unparsed program
+ * @param {string} [fileName] The name of the file of the program, used
+ *     in the locations of the nodes
+ * @return {Object} The AST of the program
+ * @throws Will throw if there are errors in the program. The thrown error
+ *     has all of them in the diagnostics property
+ */
+const parseWithAllErrors = (program, fileName = undefined) => {
+  const {ast, diagnostics} = parseWithRecovery(program, fileName);
+  if (diagnostics.length !== 0) {
+    throw groupErrors(diagnostics, SyntaxError);
   }
   return ast;
 };
 
+/**
+ * A function that parses a Please program keeping its comments
+ * @param {string} program The string with the unparsed program
+ * @param {string} [fileName] The name of the file of the program, used
+ *     in the locations of the nodes and the comments
+ * @return {Object} An object with the AST of the program in the ast property
+ *     and the comments in the comments property
+ * @throws Will throw if there are errors in the program
+ */
+const parseWithComments = (program, fileName = undefined) => {
+  const lexer = new Lexer(program, fileName);
+  return {ast: parseProgram(lexer), comments: lexer.comments};
+};
+
 /**
  * A function that reads a file and parses its contents
  * @param {string} fileName The name of the file
@@ -317,7 +511,7 @@ const parse = (program) => {
  */
 const parseFromFile = (fileName) => {
   const source = fs.readFileSync(fileName, 'utf8');
-  return parse(source);
+  return parse(source, fileName);
 };
 
 /**
@@ -325,16 +519,31 @@ const parseFromFile = (fileName) => {
  * @param {string} origin The name of the origin file
  * @param {string} destination The name of the destination file
  * @throws Will throw if there are errors in the program or if the files
- *     can't be opened
+ *     can't be opened. If there are syntax errors or words that aren't
+ *     defined the thrown error has all of them in the diagnostics property
  */
 const compile = (origin, destination = undefined) => {
   const source = fs.readFileSync(origin, 'utf8');
   if (destination == undefined) {
     destination = origin.match(/^[^\.]*/)[0] + '.cpls';
   }
-  const ast = JSON.stringify(optimize(parse(source)), null, 2);
-  fs.writeFileSync(destination, ast);
+  const ast = parseWithAllErrors(source, origin);
+  const {diagnostics} = resolve(ast);
+  if (diagnostics.length !== 0) {
+    throw groupErrors(diagnostics, ReferenceError);
+  }
+  fs.writeFileSync(destination, JSON.stringify(optimize(ast), null, 2));
 };
 
-module.exports =
-    {parse, parseCall, parseExpression, parseFromFile, compile, Lexer, WHITE};
+module.exports = {
+  parse,
+  parseWithRecovery,
+  parseWithAllErrors,
+  parseWithComments,
+  parseCall,
+  parseExpression,
+  parseFromFile,
+  compile,
+  Lexer,
+  WHITE,
+};
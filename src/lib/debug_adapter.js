@@ -0,0 +1,412 @@
+// @ts-check
+/**
+ * @description The file with the Debug Adapter Protocol server of the Please
+ *     lang. It exposes the debugger so editors can control it
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangDebugAdapter
+ */
+
+'use strict';
+
+const path = require('path');
+const util = require('util');
+const {Debugger} = require('./debugger.js');
+const {formatError} = require('./errors.js');
+
+/**
+ * The id of the only thread of a Please program
+ */
+const THREAD_ID = 1;
+
+/**
+ * Converts a value to a string to show it in the editor
+ * @param {*} value The value
+ * @return {string} The representation of the value
+ */
+const show = (value) => {
+  return util.inspect(value, {depth: 1, breakLength: Infinity});
+};
+
+/**
+ * A class that serves a debugging session with the Debug Adapter Protocol.
+ *     The program runs when the launch and configurationDone requests have
+ *     been received. While it is paused the requests are read synchronously
+ */
+class DebugSession {
+  /**
+   * The constructor
+   * @param {object} transport An object with a read function that returns
+   *     the next message or null and a write function that sends a message
+   */
+  constructor(transport) {
+    this.transport = transport;
+    /**
+     * @private
+     */
+    this.seq_ = 1;
+    /**
+     * @private
+     */
+    this.debugger_ = new Debugger((event) => this.pause_(event));
+    /**
+     * @private
+     */
+    this.launch_ = undefined;
+    /**
+     * @private
+     */
+    this.configured_ = false;
+    /**
+     * @private
+     */
+    this.ended_ = false;
+    /**
+     * @private
+     */
+    this.entry_ = false;
+    /**
+     * @private
+     */
+    this.paused_ = undefined;
+    /**
+     * @private
+     */
+    this.resume_ = undefined;
+    /**
+     * @private
+     */
+    this.references_ = [];
+    /**
+     * @private
+     */
+    this.handlers_ = {
+      initialize: () => this.initialize_(),
+      launch: (args) => this.launch(args),
+      setBreakpoints: (args) => this.setBreakpoints_(args),
+      configurationDone: () => {
+        this.configured_ = true;
+      },
+      threads: () => ({threads: [{id: THREAD_ID, name: 'main'}]}),
+      stackTrace: () => this.stackTrace_(),
+      scopes: (args) => this.scopes_(args),
+      variables: (args) => this.variables_(args),
+      evaluate: (args) => this.evaluate_(args),
+      continue: () => this.resume('continue'),
+      next: () => this.resume('step-over'),
+      stepIn: () => this.resume('step-into'),
+      stepOut: () => this.resume('step-out'),
+      disconnect: () => this.disconnect_(),
+    };
+  }
+
+  /**
+   * Serves the requests until the client disconnects or the input ends
+   */
+  start() {
+    while (!this.ended_) {
+      const message = this.transport.read();
+      if (message == null) {
+        return;
+      }
+      this.dispatch_(message);
+    }
+  }
+
+  /**
+   * Sends a message to the client
+   * @param {object} message The message without its sequence number
+   */
+  send(message) {
+    this.transport.write({seq: this.seq_++, ...message});
+  }
+
+  /**
+   * Sends an event to the client
+   * @param {string} event The name of the event
+   * @param {object} [body] The body of the event
+   */
+  sendEvent(event, body = undefined) {
+    this.send({type: 'event', event, body});
+  }
+
+  /**
+   * Handles a request and runs the program if it's ready
+   * @param {object} request The request
+   * @private
+   */
+  dispatch_(request) {
+    const response = {
+      type: 'response',
+      request_seq: request.seq,
+      command: request.command,
+    };
+    try {
+      if (!Object.prototype.hasOwnProperty.call(this.handlers_,
+          request.command)) {
+        throw new Error(`Unknown request: ${request.command}`);
+      }
+      const body = this.handlers_[request.command](request.arguments || {});
+      this.send({...response, success: true, body});
+    } catch (err) {
+      this.send({...response, success: false, message: err.message});
+    }
+    if (request.command === 'initialize') {
+      this.sendEvent('initialized');
+    }
+    if (this.launch_ !== undefined && this.configured_ &&
+        this.paused_ === undefined && !this.ended_) {
+      this.run_();
+    }
+  }
+
+  /**
+   * Handles the initialize request
+   * @return {object} The capabilities of the server
+   * @private
+   */
+  initialize_() {
+    return {
+      supportsConfigurationDoneRequest: true,
+      supportsEvaluateForHovers: true,
+    };
+  }
+
+  /**
+   * Handles the launch request
+   * @param {object} args The arguments, with the program path and
+   *     whether to stop on entry
+   * @throws Will throw if the program isn't specified
+   */
+  launch(args) {
+    if (typeof args.program !== 'string') {
+      throw new TypeError('The program to debug is missing');
+    }
+    this.launch_ = {
+      program: path.resolve(args.program),
+      stopOnEntry: args.stopOnEntry === true,
+    };
+  }
+
+  /**
+   * Handles the setBreakpoints request replacing the breakpoints of a file
+   * @param {object} args The arguments with the source and the breakpoints
+   * @return {object} The verified breakpoints
+   * @private
+   */
+  setBreakpoints_(args) {
+    const file = path.resolve(args.source.path);
+    const breakpoints = args.breakpoints || [];
+    this.debugger_.breakpoints.set(
+        file, new Set(breakpoints.map((breakpoint) => breakpoint.line)),
+    );
+    return {
+      breakpoints: breakpoints.map((breakpoint) => {
+        return {verified: true, line: breakpoint.line};
+      }),
+    };
+  }
+
+  /**
+   * Runs the program sending its output as events
+   * @private
+   */
+  run_() {
+    const {program, stopOnEntry} = this.launch_;
+    this.launch_ = undefined;
+    this.entry_ = stopOnEntry;
+    const log = console.log;
+    console.log = (...values) => {
+      this.sendEvent('output', {
+        category: 'stdout',
+        output: util.format(...values) + '\n',
+      });
+    };
+    let exitCode = 0;
+    try {
+      this.debugger_.runFromFile(program, stopOnEntry);
+    } catch (err) {
+      exitCode = 1;
+      this.sendEvent('output', {
+        category: 'stderr',
+        output: formatError(err) + '\n',
+      });
+    } finally {
+      console.log = log;
+    }
+    this.sendEvent('exited', {exitCode});
+    this.sendEvent('terminated');
+  }
+
+  /**
+   * Handles a pause of the debugger reading requests until one of them
+   *     resumes the execution
+   * @param {object} event The pause event
+   * @return {string} The command to resume the execution
+   * @private
+   */
+  pause_(event) {
+    this.paused_ = event;
+    this.resume_ = undefined;
+    this.references_ = [];
+    const reason = this.entry_ ? 'entry' : event.reason;
+    this.entry_ = false;
+    this.sendEvent('stopped', {reason, threadId: THREAD_ID});
+    while (this.resume_ === undefined) {
+      const message = this.transport.read();
+      if (message == null) {
+        this.resume_ = 'quit';
+      } else {
+        this.dispatch_(message);
+      }
+    }
+    this.paused_ = undefined;
+    return this.resume_;
+  }
+
+  /**
+   * Resumes the execution of the paused program
+   * @param {string} command How to resume it
+   * @throws Will throw if the program isn't paused
+   */
+  resume(command) {
+    this.checkPaused_();
+    this.resume_ = command;
+  }
+
+  /**
+   * Handles the disconnect request stopping the program if it's running
+   * @private
+   */
+  disconnect_() {
+    this.ended_ = true;
+    if (this.paused_ !== undefined) {
+      this.resume_ = 'quit';
+    }
+  }
+
+  /**
+   * Checks that the program is paused
+   * @throws Will throw if it isn't
+   * @private
+   */
+  checkPaused_() {
+    if (this.paused_ === undefined) {
+      throw new Error('The program isn\'t paused');
+    }
+  }
+
+  /**
+   * Handles the stackTrace request
+   * @return {object} The stack frames, the innermost first
+   * @private
+   */
+  stackTrace_() {
+    this.checkPaused_();
+    const {frames, loc} = this.paused_;
+    const locations = frames.map((frame) => frame.loc).concat([loc]);
+    const names = ['<program>'].concat(frames.map((frame) => frame.name));
+    const stackFrames = names.map((name, i) => {
+      const frame = {id: names.length - 1 - i, name, line: 0, column: 0};
+      if (locations[i] != undefined) {
+        frame.line = locations[i].start.line;
+        frame.column = locations[i].start.column;
+        frame.source = {
+          name: path.basename(locations[i].file),
+          path: locations[i].file,
+        };
+      }
+      return frame;
+    }).reverse();
+    return {stackFrames, totalFrames: stackFrames.length};
+  }
+
+  /**
+   * Handles the scopes request. Only the innermost frame has scopes, one
+   *     for each level of the scope chain
+   * @param {object} args The arguments with the id of the frame
+   * @return {object} The scopes
+   * @private
+   */
+  scopes_(args) {
+    this.checkPaused_();
+    if (args.frameId !== 0) {
+      return {scopes: []};
+    }
+    const chain = this.debugger_.scopeChain(this.paused_.scope);
+    return {
+      scopes: chain.map((bindings, i) => {
+        return {
+          name: i === 0 ? 'Local' : `Scope ${i}`,
+          variablesReference: this.reference_(bindings),
+          expensive: false,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Handles the variables request
+   * @param {object} args The arguments with the variables reference
+   * @return {object} The variables
+   * @throws Will throw if the reference doesn't exist
+   * @private
+   */
+  variables_(args) {
+    this.checkPaused_();
+    const container = this.references_[args.variablesReference - 1];
+    if (container === undefined) {
+      throw new RangeError(
+          `Invalid variables reference: ${args.variablesReference}`,
+      );
+    }
+    return {
+      variables: Object.getOwnPropertyNames(container).map((name) => {
+        return this.variable_(name, container[name]);
+      }),
+    };
+  }
+
+  /**
+   * Handles the evaluate request
+   * @param {object} args The arguments with the expression
+   * @return {object} The result
+   * @throws Will throw if the program isn't paused or the expression fails
+   * @private
+   */
+  evaluate_(args) {
+    this.checkPaused_();
+    const value = this.debugger_.evaluate(args.expression, this.paused_.scope);
+    const {value: result, variablesReference} = this.variable_('', value);
+    return {result, variablesReference};
+  }
+
+  /**
+   * Describes a variable, creating a reference if it can be expanded
+   * @param {string} name The name of the variable
+   * @param {*} value The value
+   * @return {object} The variable
+   * @private
+   */
+  variable_(name, value) {
+    const expandable = typeof value === 'object' && value !== null;
+    return {
+      name,
+      value: show(value),
+      type: Array.isArray(value) ? 'array' : typeof value,
+      variablesReference: expandable ? this.reference_(value) : 0,
+    };
+  }
+
+  /**
+   * Stores a value that can be expanded by the client
+   * @param {object} value The value
+   * @return {number} The reference
+   * @private
+   */
+  reference_(value) {
+    return this.references_.push(value);
+  }
+}
+
+module.exports = {DebugSession};
@@ -0,0 +1,463 @@
+// @ts-check
+/**
+ * @description The file with the debugger of the Please lang. It pauses the
+ *     tree-walking interpreter before the evaluation of the calls
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangDebugger
+ */
+
+'use strict';
+
+const fs = require('fs');
+const util = require('util');
+const {parse} = require('./compiler.js');
+const defaultInterpreter = require('./interpreter.js');
+const {toEnvironment} = require('./environment.js');
+const {
+  codeFrame,
+  formatLocation,
+  formatFrames,
+} = require('./errors.js');
+
+/**
+ * The commands that resume the execution after a pause
+ */
+const RESUME_COMMANDS = ['continue', 'step-into', 'step-over', 'step-out'];
+
+/**
+ * The time readInput sleeps when the input has no data yet, in milliseconds
+ */
+const RETRY_DELAY = 10;
+
+/**
+ * Reads from a file descriptor synchronously, so the program being debugged
+ *     stays paused while the frontend waits for the commands. If the input
+ *     is a non-blocking pipe without data yet, the thread sleeps a moment
+ *     before trying again instead of keeping the processor busy
+ * @param {number} fd The file descriptor
+ * @param {Buffer} buffer The buffer where the data is read
+ * @return {number} The number of bytes read, 0 if the input has ended
+ * @throws Will throw if the input can't be read
+ */
+const readInput = (fd, buffer) => {
+  const sleeper = new Int32Array(new SharedArrayBuffer(4));
+  for (;;) {
+    try {
+      return fs.readSync(fd, buffer, 0, buffer.length, null);
+    } catch (err) {
+      if (err.code !== 'EAGAIN') {
+        throw err;
+      }
+      Atomics.wait(sleeper, 0, 0, RETRY_DELAY);
+    }
+  }
+};
+
+/**
+ * A class that controls the execution of a Please program. Every time it
+ *     pauses it calls the onPause function, that must return how to resume
+ */
+class Debugger {
+  /**
+   * The constructor
+   * @param {function} onPause A function that receives the pause event and
+   *     the debugger and returns one of 'continue', 'step-into',
+   *     'step-over', 'step-out' or 'quit'
+   * @param {object} [interpreter] The interpreter that runs the programs,
+   *     one created by createInterpreter. By default it is the one of the
+   *     process
+   */
+  constructor(onPause, interpreter = defaultInterpreter) {
+    this.onPause = onPause;
+    /**
+     * @const {object} interpreter The interpreter that runs the programs
+     */
+    this.interpreter = interpreter;
+    /**
+     * @const {Map} breakpoints The lines with breakpoints of each file
+     */
+    this.breakpoints = new Map();
+    /**
+     * @const {Array} watches The watched expressions
+     */
+    this.watches = [];
+    /**
+     * @private
+     */
+    this.mode_ = 'continue';
+    /**
+     * @private
+     */
+    this.depth_ = 0;
+    /**
+     * @private
+     */
+    this.pauseDepth_ = 0;
+    /**
+     * @private
+     */
+    this.lastLine_ = undefined;
+    /**
+     * @private
+     */
+    this.sources_ = Object.create(null);
+  }
+
+  /**
+   * Adds a breakpoint
+   * @param {string} file The file of the breakpoint
+   * @param {number} line The line of the breakpoint
+   */
+  setBreakpoint(file, line) {
+    if (!this.breakpoints.has(file)) {
+      this.breakpoints.set(file, new Set());
+    }
+    this.breakpoints.get(file).add(line);
+  }
+
+  /**
+   * Removes a breakpoint
+   * @param {string} file The file of the breakpoint
+   * @param {number} line The line of the breakpoint
+   * @return {boolean} Whether the breakpoint existed or not
+   */
+  removeBreakpoint(file, line) {
+    return this.breakpoints.has(file) &&
+        this.breakpoints.get(file).delete(line);
+  }
+
+  /**
+   * Checks if there is a breakpoint in a location
+   * @param {object} loc The location
+   * @return {boolean} Whether there is a breakpoint or not
+   */
+  hasBreakpoint(loc) {
+    return this.breakpoints.has(loc.file) &&
+        this.breakpoints.get(loc.file).has(loc.start.line);
+  }
+
+  /**
+   * Starts receiving the calls evaluated by the interpreter
+   * @param {boolean} [stopOnEntry] Whether to pause before the first call
+   */
+  attach(stopOnEntry = false) {
+    this.mode_ = stopOnEntry ? 'step-into' : 'continue';
+    this.depth_ = 0;
+    this.lastLine_ = undefined;
+    const debugHooks = this.interpreter.runtime.debugHooks;
+    debugHooks.enter = (node, scope) => this.enter_(node, scope);
+    debugHooks.leave = () => {
+      this.depth_ -= 1;
+    };
+  }
+
+  /**
+   * Stops receiving the calls evaluated by the interpreter
+   */
+  detach() {
+    const debugHooks = this.interpreter.runtime.debugHooks;
+    debugHooks.enter = undefined;
+    debugHooks.leave = undefined;
+  }
+
+  /**
+   * Runs a Please program under the debugger
+   * @param {string} source The source code of the program
+   * @param {string} [fileName] The name of the file of the program
+   * @param {boolean} [stopOnEntry] Whether to pause before the first call
+   * @return {*} The return value of the program
+   * @throws Will throw if there are errors in the program or if the
+   *     debugging session is ended
+   */
+  run(source, fileName = undefined, stopOnEntry = false) {
+    if (fileName != undefined) {
+      this.sources_[fileName] = source;
+    }
+    this.attach(stopOnEntry);
+    try {
+      return this.interpreter.run(source, fileName);
+    } finally {
+      this.detach();
+    }
+  }
+
+  /**
+   * Runs a Please file under the debugger
+   * @param {string} fileName The name of the file
+   * @param {boolean} [stopOnEntry] Whether to pause before the first call
+   * @return {*} The return value of the program
+   * @throws Will throw if there are errors in the program, if the file
+   *     can't be read or if the debugging session is ended
+   */
+  runFromFile(fileName, stopOnEntry = false) {
+    const source = fs.readFileSync(fileName, 'utf8');
+    return this.run(source, fileName, stopOnEntry);
+  }
+
+  /**
+   * Returns the source code of a file
+   * @param {string} file The name of the file
+   * @return {string|undefined} The source or undefined if it can't be read
+   */
+  sourceOf(file) {
+    if (this.sources_[file] == undefined) {
+      try {
+        this.sources_[file] = fs.readFileSync(file, 'utf8');
+      } catch (err) {
+        return undefined;
+      }
+    }
+    return this.sources_[file];
+  }
+
+  /**
+   * Evaluates a Please expression in a scope without pausing in it
+   * @param {string} expression The expression
+   * @param {object} scope The scope
+   * @return {*} The value of the expression
+   * @throws Will throw if there are errors in the expression
+   */
+  evaluate(expression, scope) {
+    const debugHooks = this.interpreter.runtime.debugHooks;
+    const {enter, leave} = debugHooks;
+    this.detach();
+    try {
+      return parse(expression).evaluate(scope);
+    } finally {
+      debugHooks.enter = enter;
+      debugHooks.leave = leave;
+    }
+  }
+
+  /**
+   * Lists the bindings of each level of a scope chain, from the innermost
+   *     level to the outermost one. The top scope isn't included
+   * @param {object} scope The innermost scope
+   * @return {Array} An array with an object with the bindings of each level
+   */
+  scopeChain(scope) {
+    const chain = [];
+    for (let env = toEnvironment(scope); env !== null; env = env.parent) {
+      if (env.object === undefined) {
+        chain.push(env.bindings());
+      }
+      for (let object = env.object;
+        object != null && object !== this.interpreter.topScope;
+        object = Object.getPrototypeOf(object)) {
+        const bindings = Object.create(null);
+        for (const name of Object.getOwnPropertyNames(object)) {
+          bindings[name] = object[name];
+        }
+        chain.push(bindings);
+      }
+    }
+    return chain;
+  }
+
+  /**
+   * Decides whether to pause before a call
+   * @param {object} node The call node
+   * @param {object} scope The scope of the call
+   * @private
+   */
+  enter_(node, scope) {
+    this.depth_ += 1;
+    if (node.loc == undefined) {
+      return;
+    }
+    const line = `${node.loc.file}:${node.loc.start.line}`;
+    const newLine = line !== this.lastLine_;
+    this.lastLine_ = line;
+    if (this.mode_ === 'step-into' ||
+        (this.mode_ === 'step-over' && this.depth_ <= this.pauseDepth_) ||
+        (this.mode_ === 'step-out' && this.depth_ < this.pauseDepth_)) {
+      this.pause_(node, scope, 'step');
+    } else if (newLine && this.hasBreakpoint(node.loc)) {
+      this.pause_(node, scope, 'breakpoint');
+    }
+  }
+
+  /**
+   * Pauses the execution and waits for the command to resume it
+   * @param {object} node The call node
+   * @param {object} scope The scope of the call
+   * @param {string} reason Why the execution was paused
+   * @private
+   */
+  pause_(node, scope, reason) {
+    const event = {
+      reason,
+      node,
+      scope,
+      loc: node.loc,
+      frames: this.interpreter.runtime.callStack.frames.slice(),
+    };
+    const command = this.onPause(event, this);
+    if (command === 'quit') {
+      throw new Error('The program was stopped by the debugger');
+    }
+    if (!RESUME_COMMANDS.includes(command)) {
+      throw new TypeError(`Unknown debugger command: ${command}`);
+    }
+    this.mode_ = command;
+    this.pauseDepth_ = this.depth_;
+  }
+}
+
+/**
+ * The help of the terminal debugger
+ */
+const HELP = [
+  's, step            Step into the next call',
+  'n, next            Step over the current call',
+  'o, out             Step out of the current call',
+  'c, continue        Continue until the next breakpoint',
+  'b, break [file:]N  Add a breakpoint in the line N',
+  'd, delete [file:]N Remove the breakpoint in the line N',
+  'p, print EXPR      Evaluate a Please expression in the paused scope',
+  'w, watch EXPR      Evaluate an expression every time the program pauses',
+  'u, unwatch N       Remove the watch expression number N',
+  'scope              Show the bindings of the scope chain',
+  'bt, backtrace      Show the Please call stack',
+  'l, list            Show the source of the current call',
+  'q, quit            Stop the program',
+  'h, help            Show this message',
+].join('\n');
+
+/**
+ * Converts a value to a string to show it in the debugger
+ * @param {*} value The value
+ * @return {string} The representation of the value
+ */
+const show = (value) => {
+  return util.inspect(value, {depth: 2, breakLength: Infinity});
+};
+
+/**
+ * Creates a pause handler that reads debugger commands from a terminal
+ * @param {object} io An object with a readLine function that returns the
+ *     next line of input or null if there isn't more input, and a write
+ *     function that receives the lines of output
+ * @return {function} A function to be used as the onPause of a Debugger
+ */
+const terminalFrontend = (io) => {
+  const evaluate = (dbg, expression, scope) => {
+    try {
+      return show(dbg.evaluate(expression, scope));
+    } catch (err) {
+      return err instanceof Error ? err.message : show(err);
+    }
+  };
+
+  const breakpointLocation = (argument, event) => {
+    const match = /^(?:(.*):)?(\d+)$/.exec(argument);
+    if (match == null) {
+      return undefined;
+    }
+    const file = match[1] != undefined ? match[1] : event.loc.file;
+    return {file, line: Number(match[2])};
+  };
+
+  const list = (dbg, event) => {
+    const source = dbg.sourceOf(event.loc.file);
+    if (source == undefined) {
+      io.write(formatLocation(event.loc));
+    } else {
+      io.write(codeFrame(source, event.loc));
+    }
+  };
+
+  const commands = {
+    'step': () => 'step-into',
+    'next': () => 'step-over',
+    'out': () => 'step-out',
+    'continue': () => 'continue',
+    'quit': () => 'quit',
+    'help': () => {
+      io.write(HELP);
+    },
+    'list': list,
+    'break': (dbg, event, argument) => {
+      const breakpoint = breakpointLocation(argument, event);
+      if (breakpoint == undefined) {
+        io.write('Expected a line number');
+        return;
+      }
+      dbg.setBreakpoint(breakpoint.file, breakpoint.line);
+      io.write(`Breakpoint set at ${breakpoint.file}:${breakpoint.line}`);
+    },
+    'delete': (dbg, event, argument) => {
+      const breakpoint = breakpointLocation(argument, event);
+      if (breakpoint == undefined ||
+          !dbg.removeBreakpoint(breakpoint.file, breakpoint.line)) {
+        io.write('There is no breakpoint there');
+        return;
+      }
+      io.write(`Breakpoint removed at ${breakpoint.file}:${breakpoint.line}`);
+    },
+    'print': (dbg, event, argument) => {
+      io.write(evaluate(dbg, argument, event.scope));
+    },
+    'watch': (dbg, event, argument) => {
+      dbg.watches.push(argument);
+      io.write(`${dbg.watches.length}: ${argument} = ` +
+          evaluate(dbg, argument, event.scope));
+    },
+    'unwatch': (dbg, event, argument) => {
+      const index = Number(argument) - 1;
+      if (!(index >= 0 && index < dbg.watches.length)) {
+        io.write('There is no watch expression with that number');
+        return;
+      }
+      dbg.watches.splice(index, 1);
+    },
+    'scope': (dbg, event) => {
+      dbg.scopeChain(event.scope).forEach((bindings, i) => {
+        io.write(`Scope ${i}:`);
+        Object.keys(bindings).forEach((name) => {
+          io.write(`  ${name} = ${show(bindings[name])}`);
+        });
+      });
+    },
+    'backtrace': (dbg, event) => {
+      io.write(formatFrames(event.frames, event.loc));
+    },
+  };
+
+  const aliases = {
+    's': 'step', 'n': 'next', 'o': 'out', 'c': 'continue', 'q': 'quit',
+    'h': 'help', 'l': 'list', 'b': 'break', 'd': 'delete', 'p': 'print',
+    'w': 'watch', 'u': 'unwatch', 'bt': 'backtrace',
+  };
+
+  return (event, dbg) => {
+    io.write(`Paused at ${formatLocation(event.loc)} (${event.reason})`);
+    list(dbg, event);
+    dbg.watches.forEach((watch, i) => {
+      io.write(`${i + 1}: ${watch} = ${evaluate(dbg, watch, event.scope)}`);
+    });
+    for (;;) {
+      const line = io.readLine();
+      if (line == null) {
+        return 'quit';
+      }
+      const name = line.trim().split(/\s+/)[0];
+      const argument = line.trim().slice(name.length).trim();
+      const command = aliases[name] || name;
+      if (name === '') {
+        continue;
+      }
+      if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        io.write(`Unknown command: ${name}. Type help to see the commands`);
+        continue;
+      }
+      const result = commands[command](dbg, event, argument);
+      if (result != undefined) {
+        return result;
+      }
+    }
+  };
+};
+
+module.exports = {Debugger, terminalFrontend, readInput};
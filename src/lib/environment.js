@@ -0,0 +1,250 @@
+// @ts-check
+/**
+ * @description The file with the environments where the Please programs
+ *     are evaluated. The bindings of a scope known before running the
+ *     program are stored in an array and accessed by their slot
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangEnvironment
+ */
+
+'use strict';
+
+const {defaultRuntime} = require('./runtime.js');
+
+/**
+ * The value of the slots whose binding hasn't been defined yet
+ */
+const UNSET = Symbol('unset');
+
+/**
+ * A class with the names of the bindings of a scope and the slot of each one
+ */
+class Layout {
+  /**
+   * The constructor
+   */
+  constructor() {
+    this.names = [];
+    /**
+     * @const {Map} slots The slot of each name
+     */
+    this.slots = new Map();
+  }
+
+  /**
+   * Adds a name to the layout if it isn't in it yet
+   * @param {string} name The name
+   * @return {number} The slot of the name
+   */
+  add(name) {
+    if (!this.slots.has(name)) {
+      this.slots.set(name, this.names.length);
+      this.names.push(name);
+    }
+    return this.slots.get(name);
+  }
+}
+
+/**
+ * The layout of the scopes whose bindings aren't known before running
+ */
+const EMPTY_LAYOUT = Object.freeze(new Layout());
+
+/**
+ * Finds the layout a keyword call creates its scope with
+ * @param {object} [node] The call. The resolver stores the layout in it
+ * @return {Layout} The layout or an empty one if the call wasn't resolved
+ */
+const layoutOf = (node) => {
+  return node != undefined && node.layout !== undefined ?
+      node.layout : EMPTY_LAYOUT;
+};
+
+/**
+ * A class that represents an environment, a level of the scope chain. The
+ *     bindings of the layout are stored in slots. The environments of the
+ *     top scope and the objects keep their bindings in an object instead
+ */
+class Environment {
+  /**
+   * The constructor
+   * @param {Environment|null} parent The enclosing environment
+   * @param {Layout} [layout] The names that have a slot
+   * @param {object} [object] The object with the bindings. If it is
+   *     given, the layout isn't used
+   * @param {object} [keywords] The keywords of the programs that run in the
+   *     environment. The inner environments take the ones of the outer
+   */
+  constructor(parent, layout = EMPTY_LAYOUT, object = undefined,
+      keywords = undefined) {
+    this.parent = parent;
+    this.layout = layout;
+    this.object = object;
+    this.values = new Array(layout.names.length).fill(UNSET);
+    /**
+     * @const {Environment} global The outermost environment
+     */
+    this.global = parent !== null ? parent.global : this;
+    /**
+     * @const {object|undefined} keywords The keywords of the interpreter
+     *     that runs the environment, undefined for the default ones
+     */
+    this.keywords = parent !== null ? parent.keywords : keywords;
+    /**
+     * @const {object|undefined} module The module of the program that runs
+     *     in the environment, with its exports and the function that loads
+     *     the modules it imports. The interpreter sets it in the outermost
+     *     environment
+     */
+    this.module = parent !== null ? parent.module : undefined;
+    /**
+     * @const {object} runtime The state of the interpreter that runs the
+     *     environment: the call stack, the hooks of the debugger and the
+     *     sandbox. The interpreter sets it in the outermost environment
+     */
+    this.runtime = parent !== null ? parent.runtime : defaultRuntime;
+    /**
+     * The bindings defined while running that don't have a slot
+     * @private
+     */
+    this.others_ = undefined;
+  }
+
+  /**
+   * Creates an environment inside this one
+   * @param {object} [node] The keyword call that creates the scope
+   * @return {Environment} The new environment
+   */
+  extend(node = undefined) {
+    return new Environment(this, layoutOf(node));
+  }
+
+  /**
+   * Finds the value of a binding of this level
+   * @param {string} name The name of the binding
+   * @return {*} The value or UNSET if this level doesn't have it
+   */
+  own(name) {
+    if (this.object !== undefined) {
+      return name in this.object ? this.object[name] : UNSET;
+    }
+    const slot = this.layout.slots.get(name);
+    if (slot !== undefined && this.values[slot] !== UNSET) {
+      return this.values[slot];
+    }
+    if (this.others_ !== undefined && name in this.others_) {
+      return this.others_[name];
+    }
+    return UNSET;
+  }
+
+  /**
+   * Finds the value of a binding in the scope chain
+   * @param {string} name The name of the binding
+   * @return {*} The value or UNSET if it isn't defined
+   */
+  lookup(name) {
+    for (let env = this; env !== null; env = env.parent) {
+      const value = env.own(name);
+      if (value !== UNSET) {
+        return value;
+      }
+    }
+    return UNSET;
+  }
+
+  /**
+   * Creates or replaces a binding of this level
+   * @param {string} name The name of the binding
+   * @param {*} value The value
+   */
+  define(name, value) {
+    if (this.object !== undefined) {
+      this.object[name] = value;
+      return;
+    }
+    const slot = this.layout.slots.get(name);
+    if (slot !== undefined) {
+      this.values[slot] = value;
+      return;
+    }
+    if (this.others_ === undefined) {
+      this.others_ = Object.create(null);
+    }
+    this.others_[name] = value;
+  }
+
+  /**
+   * Changes the value of the innermost binding with a name
+   * @param {string} name The name of the binding
+   * @param {*} value The new value
+   * @return {boolean} If the binding was found
+   */
+  assign(name, value) {
+    const hasProperty = Object.prototype.hasOwnProperty;
+    for (let env = this; env !== null; env = env.parent) {
+      if (env.object === undefined && env.own(name) !== UNSET) {
+        env.define(name, value);
+        return true;
+      }
+      for (let object = env.object; object != null;
+        object = Object.getPrototypeOf(object)) {
+        if (hasProperty.call(object, name)) {
+          object[name] = value;
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Lists the bindings of this level that have a value. The levels backed
+   *     by an object don't have other bindings than the ones of the object
+   * @return {object} The value of each binding
+   */
+  bindings() {
+    const bindings = Object.create(null);
+    this.layout.names.forEach((name, slot) => {
+      if (this.values[slot] !== UNSET) {
+        bindings[name] = this.values[slot];
+      }
+    });
+    return Object.assign(bindings, this.others_);
+  }
+}
+
+/**
+ * Converts a scope into an environment. The objects used as scopes become
+ *     an environment backed by them
+ * @param {Environment|object} scope The scope
+ * @return {Environment} The environment
+ */
+const toEnvironment = (scope) => {
+  return scope instanceof Environment ? scope :
+      new Environment(null, EMPTY_LAYOUT, scope);
+};
+
+/**
+ * Finds the value of a binding in a scope, which can be an environment or
+ *     an object used as a scope
+ * @param {Environment|object} scope The scope
+ * @param {string} name The name of the binding
+ * @return {*} The value or UNSET if it isn't defined
+ */
+const lookup = (scope, name) => {
+  if (scope instanceof Environment) {
+    return scope.lookup(name);
+  }
+  return name in scope ? scope[name] : UNSET;
+};
+
+module.exports = {
+  UNSET,
+  Layout,
+  EMPTY_LAYOUT,
+  Environment,
+  toEnvironment,
+  lookup,
+};
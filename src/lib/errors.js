@@ -0,0 +1,153 @@
+// @ts-check
+/**
+ * @description The file with the helpers to attach source locations to the
+ *     errors thrown by Please programs and to show them to the user
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangErrors
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Converts a location into a readable string
+ * @param {object} loc A location as stored in the AST nodes
+ * @return {string} The location as file:line:column
+ */
+const formatLocation = (loc) => {
+  const file = loc.file != undefined ? loc.file : '<anonymous>';
+  return `${file}:${loc.start.line}:${loc.start.column}`;
+};
+
+/**
+ * Attaches a location to an error if it doesn't have one yet. That way
+ *     the innermost node that failed is the one reported. The same goes for
+ *     the Please call stack
+ * @param {*} error The thrown value
+ * @param {object} loc The location of the node that was being evaluated
+ * @param {Array} [frames] The frames of the Please call stack
+ * @return {*} The same error
+ */
+const locate = (error, loc, frames = undefined) => {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  if (error.loc === undefined && loc != undefined) {
+    error.loc = loc;
+    error.message += ` at ${formatLocation(loc)}`;
+  }
+  if (error.pleaseStack === undefined && frames != undefined) {
+    error.pleaseStack = frames.slice();
+  }
+  return error;
+};
+
+/**
+ * Creates an error that groups several diagnostics. Its message has the
+ *     message of each one in a line
+ * @param {Array} diagnostics The errors to group
+ * @param {function} ErrorType The constructor of the error
+ * @return {Error} The error, with the diagnostics in its diagnostics property
+ */
+const groupErrors = (diagnostics, ErrorType) => {
+  const error = new ErrorType(
+      diagnostics.map((diagnostic) => diagnostic.message).join('\n'),
+  );
+  error.diagnostics = diagnostics;
+  return error;
+};
+
+/**
+ * Creates a Please stack trace. The innermost function goes first, with the
+ *     current location, and the rest with the location of the call to the
+ *     previous one
+ * @param {Array} frames The frames of the Please call stack
+ * @param {object} loc The current location
+ * @return {string} The stack trace
+ */
+const formatFrames = (frames, loc) => {
+  const locations = frames.map((frame) => frame.loc).concat([loc]);
+  const names = ['<program>'].concat(frames.map((frame) => frame.name));
+  return names.map((name, i) => {
+    const where = locations[i] != undefined ?
+        formatLocation(locations[i]) : 'native';
+    return `    at ${name} (${where})`;
+  }).reverse().join('\n');
+};
+
+/**
+ * Creates the Please stack trace of an error
+ * @param {Error} error The error with the Please call stack
+ * @return {string} The stack trace or an empty string if the error wasn't
+ *     thrown inside a Please function
+ */
+const formatStack = (error) => {
+  // @ts-ignore
+  const frames = error.pleaseStack;
+  if (frames == undefined || frames.length === 0) {
+    return '';
+  }
+  // @ts-ignore
+  return formatFrames(frames, error.loc);
+};
+
+/**
+ * Creates an excerpt of the source with the location underlined
+ * @param {string} source The source code of the program
+ * @param {object} loc The location to underline
+ * @return {string} The excerpt
+ */
+const codeFrame = (source, loc) => {
+  const lines = source.replace(/\r/g, '').split('\n');
+  const line = lines[loc.start.line - 1];
+  const length = loc.end.line === loc.start.line ?
+      loc.end.column - loc.start.column :
+      line.length - loc.start.column + 1;
+  const gutter = String(loc.start.line);
+  return `${gutter} | ${line}\n` +
+      `${' '.repeat(gutter.length)} | ${' '.repeat(loc.start.column - 1)}` +
+      '^'.repeat(Math.max(length, 1));
+};
+
+/**
+ * Creates a message for an error with an excerpt of the source if the error
+ *     has a location. If the error groups several diagnostics, all of them
+ *     are formatted
+ * @param {*} error The error to format
+ * @param {string} [source] The source code of the program. If it isn't
+ *     provided it is read from the file stored in the location
+ * @return {string} The message
+ */
+const formatError = (error, source = undefined) => {
+  if (error instanceof Error && error.diagnostics != undefined) {
+    return error.diagnostics.map((diagnostic) => {
+      return formatError(diagnostic, source);
+    }).join('\n');
+  }
+  const message = error instanceof Error ? error.message : String(error);
+  if (!(error instanceof Error) || error.loc == undefined) {
+    return message;
+  }
+  const stack = formatStack(error);
+  const trace = stack !== '' ? '\n' + stack : '';
+  if (source == undefined) {
+    try {
+      source = fs.readFileSync(error.loc.file, 'utf8');
+    } catch (err) {
+      return message + trace;
+    }
+  }
+  return message + '\n' + codeFrame(source, error.loc) + trace;
+};
+
+module.exports = {
+  formatLocation,
+  locate,
+  groupErrors,
+  formatFrames,
+  formatStack,
+  codeFrame,
+  formatError,
+};
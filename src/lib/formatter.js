@@ -0,0 +1,400 @@
+// @ts-check
+/**
+ * @description The file with the formatter of the Please lang. It prints the
+ *     programs in a canonical way keeping their comments
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangFormatter
+ */
+
+'use strict';
+
+const fs = require('fs');
+const {parseWithComments} = require('./compiler.js');
+const {Value, Word, REGEXP, Call, MethodCall} = require('./ast.js');
+
+/**
+ * The maximum length of the lines, unless a single token is longer
+ */
+const MAX_WIDTH = 80;
+
+/**
+ * The indentation of each level
+ */
+const INDENT = '  ';
+
+/**
+ * The names that can be written after a dot or before a colon
+ */
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * The functions and keywords whose arguments are written as key: value
+ */
+const PAIR_OPERATORS = ['object', 'hash', 'map'];
+
+/**
+ * The keywords whose arguments always go in different lines
+ */
+const BLOCK_OPERATORS = ['do', 'run'];
+
+/**
+ * Checks if a node is a call or a method call
+ * @param {object} node The node
+ * @return {boolean} If it is one of them
+ */
+const isCall = (node) => node instanceof Call || node instanceof MethodCall;
+
+/**
+ * Checks if a node is a string that can be written as an identifier
+ * @param {object} node The node
+ * @return {boolean} If it is
+ */
+const isIdentifier = (node) => {
+  return node instanceof Value && typeof node.value === 'string' &&
+      IDENTIFIER.test(node.value);
+};
+
+/**
+ * Checks if a call has an operator that is a word with one of some names
+ * @param {object} node The call
+ * @param {Array} names The names
+ * @return {boolean} If it has one of them
+ */
+const hasOperator = (node, names) => {
+  return node.operator instanceof Word && names.includes(node.operator.name);
+};
+
+/**
+ * Checks if a node is a block, whose arguments always go in different lines
+ * @param {object} node The node
+ * @return {boolean} If it is a block
+ */
+const isBlock = (node) => {
+  return node instanceof Call && hasOperator(node, BLOCK_OPERATORS) &&
+      node.args.length > 1;
+};
+
+/**
+ * Computes the column after writing a text
+ * @param {string} text The text
+ * @param {number} column The column where the text starts
+ * @return {number} The column after it
+ */
+const columnAfter = (text, column) => {
+  const lineStart = text.lastIndexOf('\n');
+  return lineStart === -1 ? column + text.length : text.length - lineStart - 1;
+};
+
+/**
+ * A class that prints a parsed program with its comments
+ */
+class Printer {
+  /**
+   * The constructor
+   * @param {string} source The source of the program without carriage
+   *     returns, as the offsets of the locations refer to it
+   * @param {Array} comments The comments of the program
+   */
+  constructor(source, comments) {
+    this.source = source;
+    this.comments = comments;
+  }
+
+  /**
+   * Finds the comments between two offsets
+   * @param {number} start The start offset
+   * @param {number} end The end offset
+   * @return {Array} The comments
+   */
+  commentsBetween(start, end) {
+    return this.comments.filter((comment) => {
+      return comment.loc.start.offset >= start && comment.loc.end.offset <= end;
+    });
+  }
+
+  /**
+   * Checks if there is an empty line between two offsets
+   * @param {number} start The start offset
+   * @param {number} end The end offset
+   * @return {boolean} If there is one
+   */
+  blankLineBetween(start, end) {
+    return /\n[^\S\n]*\n/.test(this.source.slice(start, end));
+  }
+
+  /**
+   * Creates a list of lines that keeps the empty lines of the source
+   *     between the elements added to it
+   * @param {string} indent The indentation of the lines
+   * @return {object} An object with the lines and an add function that
+   *     receives the text of an element and the offsets where it starts and
+   *     ends in the source
+   */
+  lineList(indent) {
+    const lines = [];
+    let previous = undefined;
+    const add = (text, start, end) => {
+      if (previous !== undefined && this.blankLineBetween(previous, start)) {
+        lines.push('');
+      }
+      lines.push(indent + text);
+      previous = end;
+    };
+    return {lines, add};
+  }
+
+  /**
+   * Adds a comment in its own line
+   * @param {object} list The list of lines
+   * @param {object} comment The comment
+   */
+  addComment(list, comment) {
+    list.add(comment.text, comment.loc.start.offset, comment.loc.end.offset);
+  }
+
+  /**
+   * Distributes the comments between the arguments of a call. The comments
+   *     in the same line where an argument ends go after it, the others go
+   *     before the next argument or before the closing bracket
+   * @param {object} node The call
+   * @return {object} The leading and trailing comments of each argument
+   *     and the dangling ones before the closing bracket
+   */
+  commentsOf(node) {
+    const args = node.args;
+    const leading = args.map(() => []);
+    const trailing = args.map(() => []);
+    let dangling = [];
+    for (let i = 0; i <= args.length; i++) {
+      const start = i === 0 ?
+          node.operator.loc.end.offset : args[i - 1].loc.end.offset;
+      const end = i === args.length ?
+          node.loc.end.offset : args[i].loc.start.offset;
+      const comments = this.commentsBetween(start, end);
+      const after = comments.filter((comment) => {
+        return i > 0 && comment.loc.start.line === args[i - 1].loc.end.line;
+      });
+      const before = comments.filter((comment) => !after.includes(comment));
+      if (i > 0) {
+        trailing[i - 1] = after;
+      }
+      if (i < args.length) {
+        leading[i] = before;
+      } else {
+        dangling = before;
+      }
+    }
+    const count = dangling.length + leading.concat(trailing).reduce((sum,
+        comments) => sum + comments.length, 0);
+    return {leading, trailing, dangling, count};
+  }
+
+  /**
+   * Checks if the arguments of a call can be written as key: value pairs
+   * @param {object} node The call
+   * @param {object} comments The comments of the call
+   * @return {boolean} If they can
+   */
+  usesPairs(node, comments) {
+    return node instanceof Call && hasOperator(node, PAIR_OPERATORS) &&
+        node.args.length > 0 && node.args.length % 2 === 0 &&
+        node.args.every((arg, i) => {
+          return i % 2 === 1 || (isIdentifier(arg) &&
+              comments.trailing[i].length + comments.leading[i + 1].length ===
+              0);
+        });
+  }
+
+  /**
+   * Checks if a method call can be written with the dot operator
+   * @param {object} node The method call
+   * @param {object} comments The comments of the method call
+   * @return {boolean} If it can
+   */
+  usesDot(node, comments) {
+    return node instanceof MethodCall && node.args.length === 1 &&
+        isIdentifier(node.args[0]) && comments.count === 0;
+  }
+
+  /**
+   * Writes a node that isn't a call
+   * @param {object} node The node
+   * @return {string} The text
+   */
+  leaf(node) {
+    if (node instanceof Word) {
+      return node.name;
+    }
+    if (node instanceof REGEXP) {
+      return `r/${node.expression}/${node.flags}`;
+    }
+    return typeof node.value === 'string' ?
+        JSON.stringify(node.value) : String(node.value);
+  }
+
+  /**
+   * Writes a node in a single line
+   * @param {object} node The node
+   * @return {string|null} The text or null if it can't be written in a
+   *     single line
+   */
+  flat(node) {
+    if (!isCall(node)) {
+      const text = this.leaf(node);
+      return text.includes('\n') ? null : text;
+    }
+    const comments = this.commentsOf(node);
+    const operator = this.flat(node.operator);
+    if (comments.count > 0 || operator === null || isBlock(node)) {
+      return null;
+    }
+    if (this.usesDot(node, comments)) {
+      return `${operator}.${node.args[0].value}`;
+    }
+    const args = node.args.map((arg) => this.flat(arg));
+    if (args.includes(null)) {
+      return null;
+    }
+    const [open, close] = node instanceof MethodCall ? '[]' : '()';
+    if (this.usesPairs(node, comments)) {
+      const pairs = [];
+      for (let i = 0; i < args.length; i += 2) {
+        pairs.push(`${node.args[i].value}: ${args[i + 1]}`);
+      }
+      return operator + open + pairs.join(', ') + close;
+    }
+    return operator + open + args.join(', ') + close;
+  }
+
+  /**
+   * Writes a node. It is written in a single line if it fits, otherwise the
+   *     last argument is broken if the rest fit in the line, otherwise each
+   *     argument goes in its own line
+   * @param {object} node The node
+   * @param {string} indent The indentation of the line where it starts
+   * @param {number} column The column where it starts
+   * @return {string} The text. The lines after the first one are indented
+   */
+  format(node, indent, column) {
+    const flat = this.flat(node);
+    if (flat !== null && column + flat.length <= MAX_WIDTH) {
+      return flat;
+    }
+    if (!isCall(node)) {
+      return this.leaf(node);
+    }
+    const comments = this.commentsOf(node);
+    const head = this.format(node.operator, indent, column);
+    if (this.usesDot(node, comments)) {
+      return `${head}.${node.args[0].value}`;
+    }
+    const [open, close] = node instanceof MethodCall ? '[]' : '()';
+    const pairs = this.usesPairs(node, comments);
+    if (comments.count === 0 && !pairs && !isBlock(node) &&
+        node.args.length > 0) {
+      const hugged = this.hug(node, head + open, close, indent, column);
+      if (hugged !== null) {
+        return hugged;
+      }
+    }
+    const inner = indent + INDENT;
+    const list = this.lineList(inner);
+    const step = pairs ? 2 : 1;
+    for (let i = 0; i < node.args.length; i += step) {
+      comments.leading[i].forEach((comment) => this.addComment(list, comment));
+      const last = node.args[i + step - 1];
+      const key = pairs ? `${node.args[i].value}: ` : '';
+      const text = this.format(last, inner, inner.length + key.length);
+      const comma = i + step < node.args.length ? ',' : '';
+      const after = comments.trailing[i + step - 1];
+      const end = after.length > 0 ?
+          after[after.length - 1].loc.end.offset : last.loc.end.offset;
+      list.add(key + text + comma +
+          after.map((comment) => ' ' + comment.text).join(''),
+      node.args[i].loc.start.offset, end);
+    }
+    comments.dangling.forEach((comment) => this.addComment(list, comment));
+    if (list.lines.length === 0) {
+      return head + open + close;
+    }
+    return head + open + '\n' + list.lines.join('\n') + '\n' + indent + close;
+  }
+
+  /**
+   * Tries to write a call with all the arguments in the line where the
+   *     operator ends, breaking the last one if it's needed
+   * @param {object} node The call
+   * @param {string} start The text of the operator and the opening bracket
+   * @param {string} close The closing bracket
+   * @param {string} indent The indentation of the line where it starts
+   * @param {number} column The column where it starts
+   * @return {string|null} The text or null if the call can't be written
+   *     that way
+   */
+  hug(node, start, close, indent, column) {
+    const others = node.args.slice(0, -1).map((arg) => this.flat(arg));
+    if (others.includes(null)) {
+      return null;
+    }
+    const prefix = start + others.map((arg) => arg + ', ').join('');
+    const lastColumn = columnAfter(prefix, column);
+    const last = this.format(node.args[node.args.length - 1], indent,
+        lastColumn);
+    const firstLine = last.includes('\n') ? last.split('\n')[0] : last + close;
+    if (lastColumn + firstLine.length > MAX_WIDTH) {
+      return null;
+    }
+    return prefix + last + close;
+  }
+
+  /**
+   * Writes a whole program with the comments before and after it
+   * @param {object} ast The AST of the program
+   * @return {string} The text, ending with a new line
+   */
+  program(ast) {
+    const list = this.lineList('');
+    const before = this.commentsBetween(0, ast.loc.start.offset);
+    const after = this.commentsBetween(ast.loc.end.offset, Infinity);
+    const trailing = after.filter((comment) => {
+      return comment.loc.start.line === ast.loc.end.line;
+    });
+    before.forEach((comment) => this.addComment(list, comment));
+    list.add(this.format(ast, '', 0) +
+        trailing.map((comment) => ' ' + comment.text).join(''),
+    ast.loc.start.offset, ast.loc.end.offset);
+    after.filter((comment) => !trailing.includes(comment))
+        .forEach((comment) => this.addComment(list, comment));
+    return list.lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Formats a Please program
+ * @param {string} source The source of the program
+ * @param {string} [fileName] The name of the file of the program, used in
+ *     the syntax errors
+ * @return {string} The formatted program
+ * @throws Will throw if there are errors in the program
+ */
+const format = (source, fileName = undefined) => {
+  const {ast, comments} = parseWithComments(source, fileName);
+  return new Printer(source.replace(/\r/g, ''), comments).program(ast);
+};
+
+/**
+ * Formats a Please file
+ * @param {string} fileName The name of the file
+ * @return {string} The formatted program
+ * @throws Will throw if the file can't be read or there are errors in the
+ *     program
+ */
+const formatFile = (fileName) => {
+  return format(fs.readFileSync(fileName, 'utf8'), fileName);
+};
+
+module.exports = {
+  format,
+  formatFile,
+};
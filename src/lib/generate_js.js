@@ -9,6 +9,15 @@
 
 'use strict';
 
+const path = require('path');
+const {resolveModule, requireFrom} = require('./modules.js');
+const {operations, acceptsOperands} = require('./plugins/operators.js');
+const {strings} = require('./plugins/strings.js');
+const {collections} = require('./plugins/collections.js');
+const {math} = require('./plugins/math.js');
+const {system} = require('./plugins/system.js');
+const {json} = require('./plugins/json.js');
+
 /**
  * The hash that stores the functions for generating JS
  */
@@ -19,6 +28,19 @@ const generateJS = {};
  */
 generateJS.declarations = [];
 
+/**
+ * The state of the modules while a program is converted: the file being
+ *     converted, the folder of the program, the modules it imports,
+ *     relative to that folder, and if it uses modules at all
+ */
+generateJS.modules = {file: undefined, base: '', imports: [], used: false};
+
+/**
+ * The JS code of the catch and finally clauses converted so far that aren't
+ *     part of a try yet
+ */
+generateJS.clauses = [];
+
 /**
  * The if function
  * @param {string} condition The JS code for the condition
@@ -90,6 +112,17 @@ generateJS.foreach = (name, iterable, body) => {
   })()`;
 };
 
+/**
+ * Declares a binding at the top of the current block
+ * @param {string} name The name of the binding
+ */
+const declare = (name) => {
+  const declaration = `let ${name};\n`;
+  if (!generateJS.declarations.includes(declaration)) {
+    generateJS.declarations.push(declaration);
+  }
+};
+
 /**
  * The run keyword. Runs the code passed as arguments
  * @param {...string} args A list of JS expressions
@@ -115,10 +148,7 @@ generateJS.run = generateJS.do = (...args) => {
  * @return {string} The JS code
  */
 generateJS.let = generateJS.def = generateJS[':='] = (name, value) => {
-  const declaration = `let ${name};\n`;
-  if (!generateJS.declarations.includes(declaration)) {
-    generateJS.declarations.push(declaration);
-  }
+  declare(name);
   return `${name} = ${value}`;
 };
 
@@ -153,7 +183,98 @@ generateJS.assign = generateJS.set = generateJS['='] = (variable, ...rest) => {
   if (rest.length === 1) {
     return `${variable} = ${rest[0]}`;
   }
-  return `${variable}['='](${rest[rest.length - 1]}, ${rest.slice(0, -1)})`;
+  return `$methods.assign(${variable}, ${rest[rest.length - 1]}, ` +
+      `${rest.slice(0, -1)})`;
+};
+
+/**
+ * The error of the try keywords that aren't valid
+ */
+const tryError = 'try needs a body and then catch(name, body), finally(body) ' +
+    'or both';
+
+/**
+ * The try keyword. The body and the clauses are functions that
+ *     $exceptions.attempt calls, so each one has its own scope
+ * @param {string} body The JS code for the body
+ * @param {...string} clauses The JS code of the catch and finally clauses
+ * @return {string} The JS code
+ * @throws Will throw if there isn't a clause, catch isn't the first one or
+ *     there are other arguments
+ */
+generateJS.try = (body, ...clauses) => {
+  let rest = clauses;
+  if (rest.length > 0 && rest[0].startsWith('handler:')) {
+    rest = rest.slice(1);
+  }
+  if (rest.length > 0 && rest[0].startsWith('cleanup:')) {
+    rest = rest.slice(1);
+  }
+  if (rest.length > 0 || clauses.length === 0) {
+    throw new SyntaxError(tryError);
+  }
+  clauses.forEach((clause) => {
+    generateJS.clauses.splice(generateJS.clauses.lastIndexOf(clause), 1);
+  });
+  const declarations = generateJS.declarations.join('');
+  generateJS.declarations = [];
+  return `$exceptions.attempt(() => {
+    ${declarations}return ${body};
+  }, {${clauses.join(', ')}})`;
+};
+
+/**
+ * The catch clause of a try
+ * @param {string} name The name of the error
+ * @param {string} body The JS code for the body
+ * @param {...string} rest The rest of the arguments, there can't be any
+ * @return {string} The JS code of the handler of the try
+ * @throws Will throw if the name isn't a word or the body is missing
+ */
+generateJS.catch = (name, body, ...rest) => {
+  if (body === undefined || rest.length > 0 || !name.startsWith('$')) {
+    throw new SyntaxError(tryError);
+  }
+  const declarations = generateJS.declarations.join('');
+  generateJS.declarations = [];
+  const clause = `handler: (${name}) => {
+    ${declarations}return ${body};
+  }`;
+  generateJS.clauses.push(clause);
+  return clause;
+};
+
+/**
+ * The finally clause of a try
+ * @param {...string} args The JS code for the body, the only argument
+ * @return {string} The JS code of the cleanup of the try
+ * @throws Will throw if there isn't exactly one argument
+ */
+generateJS.finally = (...args) => {
+  if (args.length !== 1) {
+    throw new SyntaxError(tryError);
+  }
+  const declarations = generateJS.declarations.join('');
+  generateJS.declarations = [];
+  const clause = `cleanup: () => {
+    ${declarations}return ${args[0]};
+  }`;
+  generateJS.clauses.push(clause);
+  return clause;
+};
+
+/**
+ * The throw keyword
+ * @param {...string} args The JS code for the message or the object with
+ *     it, the only argument
+ * @return {string} The JS code
+ * @throws Will throw if there isn't exactly one argument
+ */
+generateJS.throw = (...args) => {
+  if (args.length !== 1) {
+    throw new SyntaxError('throw needs the error to throw');
+  }
+  return `$exceptions.raise(${args[0]})`;
 };
 
 /**
@@ -203,11 +324,65 @@ generateJS.undefined = () => {
 };
 
 /**
- * The basic Please operators
- * @return {string} The JS code
+ * Creates the generator of a function of a library. The transpiled programs
+ *     use the same function as the interpreter, from the variable the
+ *     preface gives to the library
+ * @param {string} library The variable of the library
+ * @param {string} name The name of the function
+ * @return {function} The generator. Its reference is the JS of the function
+ *     itself, for the words that aren't called
+ */
+const libraryFunction = (library, name) => {
+  const reference = `${library}[${JSON.stringify(name)}]`;
+  const generator = (...args) => `${reference}(${args})`;
+  generator.reference = reference;
+  return generator;
+};
+
+/**
+ * Generates the JS of an operator when JS has the same operator
+ * @param {string} op The operator
+ * @param {Array<string>} args The operands
+ * @return {string|undefined} The JS code or undefined if JS would
+ *     evaluate the operands in a different way
+ */
+const inlineOperator = (op, args) => {
+  if (op === '-' && args.length === 1) {
+    return `(-(${args[0]}))`;
+  }
+  if (op === '/' && args.length === 1) {
+    return `(1 / ${args[0]})`;
+  }
+  if (['+', '-', '*', '/', '%'].includes(op)) {
+    return `(${args.join(` ${op} `)})`;
+  }
+  if (op === '**') {
+    // JS doesn't allow a negative number before **
+    return `((${args[0]}) ** ${args[1]})`;
+  }
+  if (op === '!') {
+    return `(!${args[0]})`;
+  }
+  if (args.length === 2 && !['&&', '||'].includes(op)) {
+    return `(${args[0]} ${op} ${args[1]})`;
+  }
+  return undefined;
+};
+
+/**
+ * The basic Please operators. The chained comparisons, the logical
+ *     operators, whose operands are always evaluated in Please, and the
+ *     calls with a wrong number of operands use the functions of the
+ *     interpreter
  */
-['+', '-', '*', '/', '==', '!=', '<', '>', '&&', '||'].forEach((op) => {
-  generateJS[op] = (a, b) => `(${a} ${op} ${b})`;
+Object.keys(operations).forEach((op) => {
+  const call = libraryFunction('$operators', op);
+  generateJS[op] = (...args) => {
+    const inline = acceptsOperands(op, args.length) ?
+        inlineOperator(op, args) : undefined;
+    return inline !== undefined ? inline : call(...args);
+  };
+  generateJS[op].reference = call.reference;
 });
 
 /**
@@ -248,17 +423,16 @@ generateJS.len = generateJS.length = (array) => {
  * @return {string} The JS code
  */
 generateJS.element = (array, ...indexes) => {
-  // @ts-ignore
-  return `${array}.sub(${indexes})`;
+  return `$methods.sub(${array}, ${indexes})`;
 };
 
 /**
- * A function to create hashes or maps
+ * A function to create hashes
  * @param {...*} args The arguments are ordered as keys and then
  *     the value for that key
  * @return {string} The JS code
  */
-generateJS.map = generateJS.hash = (...args) => {
+generateJS.hash = (...args) => {
   let result = '{';
   for (let i = 0; i < args.length; i += 2) {
     result += `${args[i]}: ${args[i + 1]},`;
@@ -267,4 +441,156 @@ generateJS.map = generateJS.hash = (...args) => {
   return result;
 };
 
-module.exports = {generateJS};
+/**
+ * The functions of the string library
+ */
+Object.keys(strings).forEach((name) => {
+  generateJS[name] = libraryFunction('$strings', name);
+});
+
+/**
+ * The functions of the collection library
+ */
+Object.keys(collections).forEach((name) => {
+  generateJS[name] = libraryFunction('$collections', name);
+});
+
+/**
+ * The functions of the math library
+ */
+Object.keys(math).forEach((name) => {
+  generateJS[name] = libraryFunction('$math', name);
+});
+
+/**
+ * The functions to write scripts
+ */
+Object.keys(system).forEach((name) => {
+  generateJS[name] = libraryFunction('$system', name);
+});
+
+/**
+ * The exit-code function of the library, which only keeps the status
+ */
+const setExitCode = libraryFunction('$system', 'exit-code');
+
+/**
+ * A function to set the exit status. The transpiled programs are processes
+ *     of their own, so it is the status of the process
+ * @param {...string} args The JS code of the status
+ * @return {string} The JS code
+ */
+generateJS['exit-code'] = (...args) => {
+  return `(process.exitCode = ${setExitCode(...args)})`;
+};
+generateJS['exit-code'].reference =
+    `((code) => process.exitCode = ${setExitCode.reference}(code))`;
+
+/**
+ * The functions to read and write JSON
+ */
+Object.keys(json).forEach((name) => {
+  generateJS[name] = libraryFunction('$json', name);
+});
+
+/**
+ * Gets the names of the bindings an import or an export refers to
+ * @param {Array<string>} names The JS code of the arguments
+ * @param {string} keyword The keyword
+ * @return {Array<string>} The names
+ * @throws Will throw if an argument isn't a word
+ */
+const bindingNames = (names, keyword) => {
+  return names.map((name) => {
+    if (!name.startsWith('$')) {
+      throw new SyntaxError(`The bindings to ${keyword} must be words`);
+    }
+    return name.slice(1);
+  });
+};
+
+/**
+ * The import keyword. The module is converted with the rest of the program
+ *     and loaded through the registry of the modules
+ * @param {string} fileName The JS code of the path of the module
+ * @param {...string} names The JS code of the bindings to define
+ * @return {string} The JS code
+ * @throws Will throw if the path isn't a string or a binding isn't a word
+ */
+generateJS.import = (fileName, ...names) => {
+  if (fileName === undefined || !fileName.startsWith('"')) {
+    throw new SyntaxError(
+        'The first argument to import must be the path of a module',
+    );
+  }
+  const modules = generateJS.modules;
+  const module = resolveModule(JSON.parse(fileName), modules.file,
+      modules.base);
+  if (!modules.imports.includes(module)) {
+    modules.imports.push(module);
+  }
+  modules.used = true;
+  const key = JSON.stringify(module);
+  const load = `$imports.load(${key}, $sources[${key}])`;
+  if (names.length === 0) {
+    return load;
+  }
+  let result = '(($namespace) => {\n';
+  bindingNames(names, 'import').forEach((name, i) => {
+    declare(names[i]);
+    result += `${names[i]} = $modules.pick($namespace, ${key}, ` +
+        `${JSON.stringify(name)});\n`;
+  });
+  return result + `return $namespace;\n})(${load})`;
+};
+
+/**
+ * The export keyword
+ * @param {...string} names The JS code of the bindings to export
+ * @return {string} The JS code
+ * @throws Will throw if there aren't bindings or one isn't a word
+ */
+generateJS.export = (...names) => {
+  if (names.length === 0) {
+    throw new SyntaxError('export needs the bindings to export');
+  }
+  generateJS.modules.used = true;
+  const exports = bindingNames(names, 'export').map((name, i) => {
+    return `$exports[${JSON.stringify(name)}] = ${names[i]}`;
+  });
+  return `(${exports.join(', ')})`;
+};
+
+/**
+ * The js-require keyword. The module is found when the program is
+ *     converted, so the bundler can include it. The files are required
+ *     with their path from the JS file, so they can be moved together, and
+ *     the packages by their name, so they are found where the JS runs
+ * @param {string} name The JS code of the name of the module
+ * @return {string} The JS code
+ * @throws Will throw if the name isn't a string or the module can't be
+ *     found
+ */
+generateJS['js-require'] = (name) => {
+  if (name === undefined || !name.startsWith('"')) {
+    throw new SyntaxError('js-require needs the name of a JS module');
+  }
+  const modules = generateJS.modules;
+  const specifier = JSON.parse(name);
+  const resolved = requireFrom(modules.file).resolve(specifier);
+  if (!specifier.startsWith('.') && !path.isAbsolute(specifier)) {
+    return `require(${name})`;
+  }
+  const relative = path.relative(modules.output, resolved)
+      .split(path.sep).join('/');
+  return `require(${JSON.stringify(
+      relative.startsWith('../') ? relative : './' + relative)})`;
+};
+
+/**
+ * The functions that generate JS as they are defined by the language, before
+ *     any plugin adds others
+ */
+const builtinGenerators = Object.assign({}, generateJS);
+
+module.exports = {generateJS, builtinGenerators};
@@ -10,62 +10,344 @@
 
 const fs = require('fs');
 const {parse} = require('./compiler.js');
-const {keywords} = require('./plugins/keywords.js');
-const {topScope} = require('./plugins/top-scope.js');
-require('./plugins/monkey-patch.js');
-const {jsonToAST} = require('./json_to_ast.js');
+const {keywords, builtinKeywords} = require('./plugins/keywords.js');
+const {
+  topScope,
+  builtinScope,
+  createLibrary,
+} = require('./plugins/top-scope.js');
+const {
+  jsonToAST,
+  jsonToASTMap,
+  builtinNodeTypes,
+} = require('./json_to_ast.js');
+const {generateJS, builtinGenerators} = require('./generate_js.js');
+const {optimize, passes} = require('./optimization.js');
+const {convertToJS} = require('./transpiler.js');
+const {installPlugin} = require('./plugin_api.js');
+const {resolve} = require('./resolver.js');
+const {Environment, EMPTY_LAYOUT} = require('./environment.js');
+const {compileToClosures} = require('./closures.js');
+const {evaluateStackless} = require('./stackless.js');
+const {HIDDEN_GLOBALS, runSandboxed} = require('./sandbox.js');
+const {ModuleRegistry, resolveModule, fileOf} = require('./modules.js');
+const {createRandom} = require('./plugins/math.js');
+const {createRuntime, defaultRuntime} = require('./runtime.js');
 
 /**
- * A function that interprets a Please AST
- * @param {Object} program The AST of the program to interpret
- * @return {*} The return value of the program
- * @throws Will throw if there are syntactical errors
+ * The ways a program can be run. The tree walker evaluates the nodes of the
+ *     AST, the closure engine compiles them into closures first and the
+ *     stackless engine keeps its own stack, so deep recursion doesn't
+ *     overflow the JavaScript one
  */
-const interpret = (program) => {
-  return program.evaluate(Object.create(topScope));
+const engines = {
+  tree: (program, env) => program.evaluate(env),
+  closure: (program, env) => compileToClosures(program, env.keywords)(env),
+  stackless: (program, env) => evaluateStackless(program, env),
 };
 
 /**
- * A function that interprets a compiled Please file
- * @param {string} fileName The name of the file
- * @return {*} The return value of the program
- * @throws Will throw if it isn't possible to read the file or if there
- *     are syntactical errors
+ * Creates the top scope of the sandboxed programs, which is a top scope
+ *     without the bindings that give access to the host and with a
+ *     generator of random numbers of its own
+ * @param {Object} scope The top scope of the interpreter
+ * @return {Object} The scope
  */
-const interpretFromFile = (fileName) => {
-  const source = fs.readFileSync(fileName, 'utf8');
-  const json = JSON.parse(source);
-  const ast = jsonToAST(json);
-  return interpret(ast);
+const createSandboxScope = (scope) => {
+  const sandboxScope = Object.create(null);
+  Object.keys(scope)
+      .filter((name) => !HIDDEN_GLOBALS.includes(name))
+      .forEach((name) => sandboxScope[name] = scope[name]);
+  return Object.assign(sandboxScope, createRandom());
 };
 
 /**
- * Parses and executes a Please program
- * @param {Object} program The Please program to run
- * @return {*} The return value of the program
- * @throws Will throw if there are errors in the program
+ * Creates an interpreter that runs the programs with some tables
+ * @param {Object} tables The tables of the interpreter
+ * @param {Object} tables.topScope The top scope
+ * @param {Object} tables.keywords The keywords
+ * @param {Object} tables.generateJS The functions that generate JS
+ * @param {Object} tables.jsonToASTMap The node types of the compiled files
+ * @param {Array<function>} tables.passes The optimizer passes
+ * @param {Object} runtime The state the interpreter keeps while it runs the
+ *     programs: their call stack, the hooks of the debugger, the sandbox and
+ *     the exit code
+ * @return {Object} The interpreter, with its tables, its state, the plugins
+ *     installed in it, the cache of the modules it has loaded and the
+ *     functions that use them
  */
-const run = (program) => {
-  return interpret(parse(program));
+const createInstance = (tables, runtime) => {
+  const interpreter = Object.assign({
+    plugins: [],
+    modules: Object.create(null),
+    runtime,
+  }, tables);
+  const scope = interpreter.topScope;
+  const table = interpreter.keywords;
+
+  /**
+   * Parses a Please program after the beforeParse hooks of the plugins
+   *     change its source
+   * @param {string} program The source of the program
+   * @param {string} [fileName] The name of the file of the program
+   * @return {Object} The AST of the program
+   * @throws Will throw if there are errors in the program or a hook doesn't
+   *     return a string
+   */
+  interpreter.parse = (program, fileName = undefined) => {
+    const source = interpreter.plugins
+        .filter((plugin) => plugin.beforeParse !== undefined)
+        .reduce((current, plugin) => {
+          const result = plugin.beforeParse(current, fileName);
+          if (typeof result !== 'string') {
+            throw new TypeError(
+                `The beforeParse hook of the plugin ${plugin.name} must ` +
+                'return a string',
+            );
+          }
+          return result;
+        }, program);
+    return parse(source, fileName);
+  };
+
+  /**
+   * Optimizes an AST with the passes of the language and the plugins
+   * @param {Object} ast The AST
+   * @return {Object} The optimized AST
+   */
+  interpreter.optimize = (ast) => optimize(ast, interpreter.passes);
+
+  /**
+   * Converts a Please AST to JS with the generators of the language and the
+   *     plugins
+   * @param {Object} ast The AST
+   * @param {string} [destination] The file where the JS will be
+   * @return {string} The program in JS
+   */
+  interpreter.convertToJS = (ast, destination = undefined) => {
+    return convertToJS(ast, interpreter.generateJS, destination);
+  };
+
+  /**
+   * Runs a program with an engine, in the sandbox if it has limits
+   * @param {Object} program The AST of the program
+   * @param {Object} options The options of interpret
+   * @param {Object} module The module of the program
+   * @return {*} The return value of the program
+   */
+  const evaluate = (program, options, module) => {
+    const engine = options.engine !== undefined ? options.engine : 'tree';
+    const {layout} = resolve(program, scope, table);
+    if (options.limits === undefined) {
+      const global = new Environment(null, EMPTY_LAYOUT, scope, table);
+      global.module = module;
+      global.runtime = runtime;
+      return engines[engine](program, new Environment(global, layout));
+    }
+    const global = new Environment(
+        null, EMPTY_LAYOUT, createSandboxScope(scope), table,
+    );
+    global.module = module;
+    global.runtime = runtime;
+    return runSandboxed(runtime, options.limits, () => {
+      return engines[engine](program, new Environment(global, layout));
+    });
+  };
+
+  /**
+   * Creates the module of a program. The modules it imports run with the
+   *     same options and are loaded once by its registry
+   * @param {string} [fileName] The name of the file of the program
+   * @param {Object} [options] The options of interpret
+   * @param {ModuleRegistry} [registry] The registry of the modules, by
+   *     default a new one
+   * @param {Object} [exports] The object where the program puts its exports
+   * @return {Object} The module
+   */
+  interpreter.createModule = (fileName = undefined, options = {},
+      registry = new ModuleRegistry(), exports = Object.create(null)) => {
+    return {
+      fileName,
+      exports,
+      registry,
+      load: (key) => registry.load(key, (moduleExports) => {
+        const source = fs.readFileSync(key, 'utf8');
+        const module = interpreter.createModule(
+            key, options, registry, moduleExports,
+        );
+        evaluate(interpreter.parse(source, key), options, module);
+      }),
+    };
+  };
+
+  /**
+   * Interprets a Please AST. The words are resolved before running it and
+   *     the afterEvaluate hooks of the plugins receive its value
+   * @param {Object} program The AST of the program to interpret
+   * @param {Object} [options] The options
+   * @param {string} [options.engine] The engine that runs the program:
+   *     tree, closure or stackless. By default it is tree
+   * @param {Object} [options.limits] If it is given the program runs in the
+   *     sandbox with these limits: steps, the number of calls and
+   *     iterations of loops, time, in milliseconds, and memory, the growth
+   *     of the heap in bytes. An empty object sandboxes the program without
+   *     limits
+   * @return {*} The return value of the program. The status it sets with
+   *     exit-code is kept in the runtime of the interpreter, even by the
+   *     modules it requires, and exitStatus gives it
+   * @throws Will throw if there are syntactical errors, the engine doesn't
+   *     exist, the program exceeds its limits or a module imports itself
+   */
+  interpreter.interpret = (program, options = {}) => {
+    const engine = options.engine !== undefined ? options.engine : 'tree';
+    if (!Object.prototype.hasOwnProperty.call(engines, engine)) {
+      throw new Error(`Unknown engine: ${engine}`);
+    }
+    const fileName = fileOf(program);
+    const key = fileName !== undefined ?
+        resolveModule(fileName, undefined, process.cwd()) : undefined;
+    const module = interpreter.createModule(fileName, options);
+    const value = module.registry.run(key, () => {
+      return evaluate(program, options, module);
+    });
+    interpreter.plugins
+        .filter((plugin) => plugin.afterEvaluate !== undefined)
+        .forEach((plugin) => plugin.afterEvaluate(value, program));
+    return value;
+  };
+
+  /**
+   * Interprets a compiled Please file
+   * @param {string} fileName The name of the file
+   * @param {Object} [options] The options, the same as the ones of
+   *     interpret
+   * @return {*} The return value of the program
+   * @throws Will throw if it isn't possible to read the file or if there
+   *     are syntactical errors
+   */
+  interpreter.interpretFromFile = (fileName, options = {}) => {
+    const source = fs.readFileSync(fileName, 'utf8');
+    const json = JSON.parse(source);
+    const ast = jsonToAST(json, interpreter.jsonToASTMap);
+    return interpreter.interpret(ast, options);
+  };
+
+  /**
+   * Parses and executes a Please program
+   * @param {Object} program The Please program to run
+   * @param {string|Object} [fileName] The name of the file of the program,
+   *     used to report the location of the errors. It can be the options
+   *     instead, as in run(program, {limits})
+   * @param {Object} [options] The options, the same as the ones of
+   *     interpret
+   * @return {*} The return value of the program
+   * @throws Will throw if there are errors in the program
+   */
+  interpreter.run = (program, fileName = undefined, options = {}) => {
+    if (typeof fileName === 'object' && fileName !== null) {
+      return interpreter.interpret(interpreter.parse(program), fileName);
+    }
+    return interpreter.interpret(
+        interpreter.parse(program, fileName), options,
+    );
+  };
+
+  /**
+   * Runs a Please file
+   * @param {string} fileName The name of the file
+   * @param {Object} [options] The options, the same as the ones of
+   *     interpret
+   * @return {*} The return value of the program
+   * @throws Will throw if it isn't possible to read the file or if there
+   *     are errors in the program
+   */
+  interpreter.runFromFile = (fileName, options = {}) => {
+    const source = fs.readFileSync(fileName, 'utf8');
+    return interpreter.run(source, fileName, options);
+  };
+
+  return interpreter;
 };
 
 /**
- * A function that interprets a Please file
- * @param {string} fileName The name of the file
- * @return {*} The return value of the program
- * @throws Will throw if it isn't possible to read the file or if there
- *     are errors in the program
+ * The interpreter of the functions this module exports. Its tables are the
+ *     ones shared by the whole process, which the compiler and the
+ *     transpiler also use
  */
-const runFromFile = (fileName) => {
-  const source = fs.readFileSync(fileName, 'utf8');
-  return run(source);
+const defaultInterpreter = createInstance({
+  topScope,
+  keywords,
+  generateJS,
+  jsonToASTMap,
+  passes,
+}, defaultRuntime);
+
+/**
+ * Creates an interpreter with its own tables, state and cache of modules,
+ *     which start as the ones of the language. The plugins installed in it
+ *     aren't seen by the other interpreters, nor are the call stack, the
+ *     debugger, the sandbox and the exit code of its programs
+ * @param {Object} [options] The options
+ * @param {Array<Object>} [options.plugins] The plugins to install
+ * @param {Object} [options.globals] Bindings to add to the top scope, after
+ *     the plugins
+ * @return {Object} The interpreter. Its interpret, interpretFromFile, run
+ *     and runFromFile work like the functions of this module
+ * @throws Will throw if a plugin isn't valid or has conflicts
+ */
+const createInterpreter = ({plugins = [], globals = {}} = {}) => {
+  const runtime = createRuntime();
+  const interpreter = createInstance({
+    topScope: Object.assign(
+        Object.create(null), builtinScope, createRandom(),
+        createLibrary(runtime),
+    ),
+    keywords: Object.assign(Object.create(null), builtinKeywords),
+    generateJS: Object.assign({}, builtinGenerators),
+    jsonToASTMap: Object.assign(Object.create(null), builtinNodeTypes),
+    passes: [],
+  }, runtime);
+  plugins.forEach((plugin) => installPlugin(interpreter, plugin));
+  Object.assign(interpreter.topScope, globals);
+  return interpreter;
+};
+
+/**
+ * Installs a plugin in the interpreter shared by the whole process
+ * @param {Object} plugin The plugin
+ * @throws Will throw if the plugin isn't valid or has conflicts
+ */
+const usePlugin = (plugin) => {
+  installPlugin(defaultInterpreter, plugin);
+};
+
+/**
+ * Loads a plugin from a file and installs it in the interpreter shared by
+ *     the whole process. The files that don't export anything are only
+ *     run, like the plugins that change the top scope or the keywords
+ *     themselves
+ * @param {string} fileName The absolute path of the file
+ * @throws Will throw if the plugin isn't valid or has conflicts
+ */
+const loadPlugin = (fileName) => {
+  const plugin = require(fileName);
+  if (typeof plugin === 'object' && Object.keys(plugin).length === 0) {
+    return;
+  }
+  usePlugin(plugin);
 };
 
+const {interpret, interpretFromFile, run, runFromFile} = defaultInterpreter;
+
 module.exports = {
   interpret,
   interpretFromFile,
   run,
   runFromFile,
+  createInterpreter,
+  usePlugin,
+  loadPlugin,
   topScope,
   keywords,
+  runtime: defaultRuntime,
 };
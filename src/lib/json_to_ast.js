@@ -12,7 +12,9 @@
 const {Word, Value, Call, MethodCall, REGEXP} = require('./ast.js');
 
 /**
- * Stores functions capable of transforming a node type from parsed JSON to AST
+ * Stores functions capable of transforming a node type from parsed JSON to
+ *     AST. Each one receives the JSON of the node and a function that
+ *     converts its children
  */
 const jsonToASTMap = Object.create(null);
 
@@ -40,36 +42,52 @@ jsonToASTMap.Word = (json) => {
  * @return {REGEXP} The AST representation
  */
 jsonToASTMap.RegExp = (json) => {
-  return new REGEXP(json.expression, json.flags);
+  return new REGEXP(json.expression, json.flags, json.loc);
 };
 
 /**
  * Converts a Call node
  * @param {object} json The already parsed JSON representation
+ * @param {function} convert The function that converts the children
  * @return {Call} The AST representation
  */
-jsonToASTMap.Call = (json) => {
-  const operator = jsonToAST(json.operator);
-  const args = json.args.map(jsonToAST);
-  return new Call(operator, args);
+jsonToASTMap.Call = (json, convert) => {
+  const operator = convert(json.operator);
+  const args = json.args.map(convert);
+  return new Call(operator, args, json.loc);
 };
 
 /**
  * Converts a MethodCall node
  * @param {object} json The already parsed JSON representation
+ * @param {function} convert The function that converts the children
  * @return {MethodCall} The AST representation
  */
-jsonToASTMap.MethodCall = (json) => {
-  const operator = jsonToAST(json.operator);
-  const args = json.args.map(jsonToAST);
-  return new MethodCall(operator, args);
+jsonToASTMap.MethodCall = (json, convert) => {
+  const operator = convert(json.operator);
+  const args = json.args.map(convert);
+  return new MethodCall(operator, args, json.loc);
 };
 
-const jsonToAST = (json) => {
-  if (jsonToASTMap[json.type] != undefined) {
-    return jsonToASTMap[json.type](json);
+/**
+ * Converts a compiled Please program already parsed as JSON into an AST
+ * @param {object} json The already parsed JSON representation
+ * @param {object} [map] The functions that convert each node type, by
+ *     default the ones of the language
+ * @return {object} The AST representation
+ * @throws Will throw if there is a node of an unknown type
+ */
+const jsonToAST = (json, map = jsonToASTMap) => {
+  if (map[json.type] != undefined) {
+    return map[json.type](json, (child) => jsonToAST(child, map));
   }
   throw new SyntaxError('Invalid node type: ' + json.type);
 };
 
-module.exports = {jsonToAST, jsonToASTMap};
+/**
+ * The node types as they are defined by the language, before any plugin
+ *     adds others
+ */
+const builtinNodeTypes = Object.assign(Object.create(null), jsonToASTMap);
+
+module.exports = {jsonToAST, jsonToASTMap, builtinNodeTypes};
@@ -0,0 +1,402 @@
+// @ts-check
+/**
+ * @description The file with the Language Server Protocol server of the
+ *     Please lang. It gives editors diagnostics, completion, definitions,
+ *     hovers and symbols of the open files
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangLanguageServer
+ */
+
+'use strict';
+
+const {parseWithRecovery} = require('./compiler.js');
+const {topScope} = require('./interpreter.js');
+const {keywords} = require('./ast.js');
+const {formatLocation} = require('./errors.js');
+const {
+  analyze,
+  bindingsAt,
+  symbolAt,
+  isKeywordCall,
+} = require('./analysis.js');
+const {version} = require('../../package.json');
+
+/**
+ * The JSON-RPC error codes used by the server
+ */
+const ErrorCodes = {
+  METHOD_NOT_FOUND: -32601,
+  INTERNAL_ERROR: -32603,
+};
+
+/**
+ * The kinds of the completion items, the symbols and the diagnostics
+ */
+const CompletionKind = {function: 3, variable: 6, keyword: 14};
+const SymbolKind = {function: 12, variable: 13};
+const Severity = {error: 1, warning: 2};
+
+/**
+ * Converts a location to a range of the protocol, where the lines and the
+ *     characters start at 0
+ * @param {object} loc The location
+ * @return {object} The range
+ */
+const toRange = (loc) => {
+  return {
+    start: {line: loc.start.line - 1, character: loc.start.column - 1},
+    end: {line: loc.end.line - 1, character: loc.end.column - 1},
+  };
+};
+
+/**
+ * A class that represents an open document
+ */
+class Document {
+  /**
+   * The constructor. Parses and analyzes the text
+   * @param {string} uri The uri of the document
+   * @param {string} text The text of the document
+   */
+  constructor(uri, text) {
+    this.uri = uri;
+    this.text = text;
+    const {ast, diagnostics} = parseWithRecovery(text, uri);
+    this.ast = ast;
+    this.syntaxErrors = diagnostics;
+    this.analysis = analyze(ast);
+  }
+
+  /**
+   * Converts a position of the protocol to an offset of the text. The
+   *     carriage returns are left out like the lexer does, so the offset
+   *     matches the ones of the analysis
+   * @param {object} position The position with the line and the character
+   * @return {number} The offset
+   */
+  offsetAt(position) {
+    const lines = this.text.replace(/\r/g, '').split('\n')
+        .slice(0, position.line);
+    return lines.reduce((offset, line) => offset + line.length + 1, 0) +
+        position.character;
+  }
+
+  /**
+   * Creates the diagnostics of the document: the syntax errors and the
+   *     words that don't refer to any binding
+   * @return {Array} The diagnostics
+   */
+  diagnostics() {
+    const errors = this.syntaxErrors.map((error) => {
+      const suffix = ` at ${formatLocation(error.loc)}`;
+      return {
+        range: toRange(error.loc),
+        severity: Severity.error,
+        source: 'please',
+        message: error.message.slice(0, -suffix.length),
+      };
+    });
+    const undefinedBindings = this.analysis.references.filter((reference) => {
+      return !reference.keyword && reference.definition === undefined &&
+          !(reference.name in topScope);
+    }).map((reference) => {
+      return {
+        range: toRange(reference.loc),
+        severity: Severity.warning,
+        source: 'please',
+        message: `Undefined binding: ${reference.name}`,
+      };
+    });
+    return errors.concat(undefinedBindings);
+  }
+
+  /**
+   * Finds the top level definitions of the document. Those are the ones in
+   *     the outermost do, or the program itself if it's a definition
+   * @return {Array} The definitions
+   */
+  topLevelDefinitions() {
+    const statements = isKeywordCall(this.ast, ['do', 'run']) ?
+        this.ast.args : [this.ast];
+    return this.analysis.definitions.filter((definition) => {
+      return statements.includes(definition.node) &&
+          ['function', 'variable'].includes(definition.kind);
+    });
+  }
+}
+
+/**
+ * A class that serves the Language Server Protocol. The documents are
+ *     synchronized sending their full text
+ */
+class LanguageServer {
+  /**
+   * The constructor
+   * @param {object} transport An object with a read function that returns
+   *     the next message or null and a write function that sends a message
+   */
+  constructor(transport) {
+    this.transport = transport;
+    /**
+     * @const {Map} documents The open documents by their uri
+     */
+    this.documents = new Map();
+    /**
+     * @private
+     */
+    this.ended_ = false;
+    /**
+     * @private
+     */
+    this.requests_ = {
+      'initialize': () => this.initialize_(),
+      'shutdown': () => null,
+      'textDocument/completion': (params) => this.completion_(params),
+      'textDocument/definition': (params) => this.definition_(params),
+      'textDocument/hover': (params) => this.hover_(params),
+      'textDocument/documentSymbol': (params) => this.documentSymbol_(params),
+    };
+    /**
+     * @private
+     */
+    this.notifications_ = {
+      'exit': () => {
+        this.ended_ = true;
+      },
+      'textDocument/didOpen': (params) => {
+        this.update_(params.textDocument.uri, params.textDocument.text);
+      },
+      'textDocument/didChange': (params) => {
+        const changes = params.contentChanges;
+        this.update_(params.textDocument.uri, changes[changes.length - 1].text);
+      },
+      'textDocument/didClose': (params) => {
+        this.documents.delete(params.textDocument.uri);
+        this.notify('textDocument/publishDiagnostics', {
+          uri: params.textDocument.uri,
+          diagnostics: [],
+        });
+      },
+    };
+  }
+
+  /**
+   * Serves the messages until the exit notification or the end of the input
+   */
+  start() {
+    while (!this.ended_) {
+      const message = this.transport.read();
+      if (message == null) {
+        return;
+      }
+      this.handle_(message);
+    }
+  }
+
+  /**
+   * Sends a notification to the client
+   * @param {string} method The method
+   * @param {object} params The parameters
+   */
+  notify(method, params) {
+    this.transport.write({jsonrpc: '2.0', method, params});
+  }
+
+  /**
+   * Handles a request or a notification. The notifications without a
+   *     handler are ignored
+   * @param {object} message The message
+   * @private
+   */
+  handle_(message) {
+    const has = (handlers) => {
+      return Object.prototype.hasOwnProperty.call(handlers, message.method);
+    };
+    if (message.id === undefined) {
+      if (has(this.notifications_)) {
+        this.notifications_[message.method](message.params);
+      }
+      return;
+    }
+    const response = {jsonrpc: '2.0', id: message.id};
+    if (!has(this.requests_)) {
+      this.transport.write({...response, error: {
+        code: ErrorCodes.METHOD_NOT_FOUND,
+        message: `Unhandled method: ${message.method}`,
+      }});
+      return;
+    }
+    try {
+      const result = this.requests_[message.method](message.params);
+      this.transport.write({...response, result});
+    } catch (err) {
+      this.transport.write({...response, error: {
+        code: ErrorCodes.INTERNAL_ERROR,
+        message: err.message,
+      }});
+    }
+  }
+
+  /**
+   * Handles the initialize request
+   * @return {object} The capabilities of the server
+   * @private
+   */
+  initialize_() {
+    return {
+      capabilities: {
+        textDocumentSync: 1,
+        completionProvider: {},
+        definitionProvider: true,
+        hoverProvider: true,
+        documentSymbolProvider: true,
+      },
+      serverInfo: {name: 'please-language-server', version},
+    };
+  }
+
+  /**
+   * Parses a document again and publishes its diagnostics
+   * @param {string} uri The uri of the document
+   * @param {string} text The new text
+   * @private
+   */
+  update_(uri, text) {
+    const document = new Document(uri, text);
+    this.documents.set(uri, document);
+    this.notify('textDocument/publishDiagnostics', {
+      uri,
+      diagnostics: document.diagnostics(),
+    });
+  }
+
+  /**
+   * Finds an open document
+   * @param {object} params The parameters of the request
+   * @return {Document} The document
+   * @throws Will throw if the document isn't open
+   * @private
+   */
+  document_(params) {
+    const document = this.documents.get(params.textDocument.uri);
+    if (document === undefined) {
+      throw new Error(`The document isn't open: ${params.textDocument.uri}`);
+    }
+    return document;
+  }
+
+  /**
+   * Handles the completion request. The items are the bindings in scope,
+   *     the keywords and the bindings of the top scope
+   * @param {object} params The parameters with the document and the position
+   * @return {Array} The completion items
+   * @private
+   */
+  completion_(params) {
+    const document = this.document_(params);
+    const offset = document.offsetAt(params.position);
+    const items = new Map();
+    bindingsAt(document.analysis, offset).forEach((definition, name) => {
+      items.set(name, {
+        label: name,
+        kind: definition.kind === 'function' ?
+            CompletionKind.function : CompletionKind.variable,
+        detail: `${definition.kind} defined at line ` +
+            definition.loc.start.line,
+      });
+    });
+    Object.keys(keywords).forEach((name) => {
+      if (!items.has(name)) {
+        items.set(name, {label: name, kind: CompletionKind.keyword,
+          detail: 'keyword'});
+      }
+    });
+    Object.keys(topScope).forEach((name) => {
+      if (!items.has(name)) {
+        items.set(name, {
+          label: name,
+          kind: typeof topScope[name] === 'function' ?
+              CompletionKind.function : CompletionKind.variable,
+          detail: 'built-in',
+        });
+      }
+    });
+    return [...items.values()];
+  }
+
+  /**
+   * Handles the definition request
+   * @param {object} params The parameters with the document and the position
+   * @return {object|null} The location of the definition or null if the
+   *     word at the position isn't defined in the document
+   * @private
+   */
+  definition_(params) {
+    const document = this.document_(params);
+    const symbol = symbolAt(document.analysis, document.offsetAt(
+        params.position,
+    ));
+    if (symbol === undefined || symbol.definition === undefined) {
+      return null;
+    }
+    return {uri: document.uri, range: toRange(symbol.definition.loc)};
+  }
+
+  /**
+   * Handles the hover request showing where the binding at the position
+   *     comes from
+   * @param {object} params The parameters with the document and the position
+   * @return {object|null} The hover or null if there isn't a known binding
+   *     at the position
+   * @private
+   */
+  hover_(params) {
+    const document = this.document_(params);
+    const symbol = symbolAt(document.analysis, document.offsetAt(
+        params.position,
+    ));
+    if (symbol === undefined) {
+      return null;
+    }
+    let value;
+    if (symbol.keyword) {
+      value = `\`\`\`please\n(keyword) ${symbol.name}\n\`\`\``;
+    } else if (symbol.definition !== undefined) {
+      const {kind, loc} = symbol.definition;
+      value = `\`\`\`please\n(${kind}) ${symbol.name}\n\`\`\`\n` +
+          `Defined at line ${loc.start.line}, column ${loc.start.column}`;
+    } else if (symbol.name in topScope) {
+      value = `\`\`\`please\n(built-in) ${symbol.name}\n\`\`\``;
+    } else {
+      return null;
+    }
+    return {
+      contents: {kind: 'markdown', value},
+      range: toRange(symbol.loc),
+    };
+  }
+
+  /**
+   * Handles the document symbol request
+   * @param {object} params The parameters with the document
+   * @return {Array} The symbols of the top level definitions
+   * @private
+   */
+  documentSymbol_(params) {
+    const definitions = this.document_(params).topLevelDefinitions();
+    return definitions.map((definition) => {
+      return {
+        name: definition.name,
+        kind: SymbolKind[definition.kind],
+        range: toRange(definition.node.loc),
+        selectionRange: toRange(definition.loc),
+      };
+    });
+  }
+}
+
+module.exports = {
+  Document,
+  LanguageServer,
+};
@@ -0,0 +1,344 @@
+// @ts-check
+/**
+ * @description The file with the linter of the Please lang. It reports
+ *     common mistakes of a program without running it. Each rule can be
+ *     enabled or disabled in a configuration file
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangLinter
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {parseWithAllErrors} = require('./compiler.js');
+const {Value, Word, Call, MethodCall, keywords} = require('./ast.js');
+const {topScope} = require('./interpreter.js');
+const {operators} = require('./plugins/top-scope.js');
+const {acceptsOperands} = require('./plugins/operators.js');
+const {analyze, isKeywordCall} = require('./analysis.js');
+const {formatLocation} = require('./errors.js');
+
+/**
+ * The name of the configuration file that is used if there isn't another one
+ */
+const CONFIG_FILE = '.pleaselintrc.json';
+
+/**
+ * The severities a rule can have. The rules that are off aren't checked
+ */
+const SEVERITIES = ['off', 'warn', 'error'];
+
+/**
+ * The minimum and maximum number of arguments of the keywords
+ */
+const ARITIES = {
+  'if': [2, 3],
+  'while': [2, 2],
+  'for': [4, 4],
+  'foreach': [3, 3],
+  'let': [2, 2],
+  'def': [2, 2],
+  ':=': [2, 2],
+  'fn': [1, Infinity],
+  'function': [1, Infinity],
+  '->': [1, Infinity],
+  'assign': [2, Infinity],
+  'set': [2, Infinity],
+  '=': [2, Infinity],
+  'import': [1, Infinity],
+  'export': [1, Infinity],
+  'js-require': [1, 1],
+  'try': [2, 3],
+  'catch': [2, 2],
+  'finally': [1, 1],
+  'throw': [1, 1],
+};
+
+/**
+ * The words of the top scope whose value never changes
+ */
+const CONSTANTS = ['true', 'false', 'undefined'];
+
+/**
+ * Checks if an object has an own property
+ * @param {object} object The object
+ * @param {string} name The name of the property
+ * @return {boolean} If it has it
+ */
+const has = (object, name) => {
+  return Object.prototype.hasOwnProperty.call(object, name);
+};
+
+/**
+ * Finds the calls to keywords of a program
+ * @param {object} node The root of the program
+ * @param {Array} [calls] The list where the calls are added
+ * @return {Array} The calls
+ */
+const keywordCalls = (node, calls = []) => {
+  if (node instanceof Call && node.operator instanceof Word &&
+      has(keywords, node.operator.name)) {
+    calls.push(node);
+  }
+  if (node instanceof Call || node instanceof MethodCall) {
+    keywordCalls(node.operator, calls);
+    node.args.forEach((arg) => keywordCalls(arg, calls));
+  }
+  return calls;
+};
+
+/**
+ * Checks if a word refers to the binding of the top scope with its name
+ * @param {object} context The context of the rules
+ * @param {object} word The word
+ * @return {boolean} If it refers to the top scope
+ */
+const isBuiltIn = (context, word) => {
+  const reference = context.referenceOf(word);
+  return reference.definition === undefined && word.name in topScope;
+};
+
+/**
+ * Tries to compute the value of an expression without running the program,
+ *     folding the operators whose arguments are constants
+ * @param {object} context The context of the rules
+ * @param {object} node The expression
+ * @return {object|undefined} An object with the value or undefined if it
+ *     isn't a constant
+ */
+const constantValue = (context, node) => {
+  if (node instanceof Value) {
+    return {value: node.value};
+  }
+  if (node instanceof Word && CONSTANTS.includes(node.name) &&
+      isBuiltIn(context, node)) {
+    return {value: topScope[node.name]};
+  }
+  if (!(node instanceof Call && node.operator instanceof Word &&
+      operators.includes(node.operator.name) &&
+      acceptsOperands(node.operator.name, node.args.length) &&
+      isBuiltIn(context, node.operator))) {
+    return undefined;
+  }
+  const args = node.args.map((arg) => constantValue(context, arg));
+  if (args.includes(undefined)) {
+    return undefined;
+  }
+  const values = args.map((arg) => arg.value);
+  return {value: topScope[node.operator.name](...values)};
+};
+
+/**
+ * The rules of the linter. Each one has its default severity, a description
+ *     and a function that receives the context of the rules and reports
+ *     the problems it finds
+ */
+const rules = {
+  'unused-definition': {
+    severity: 'warn',
+    description: 'Bindings defined with let, def or := that are never used',
+    check: (context) => {
+      context.analysis.definitions.forEach((definition) => {
+        if (['function', 'variable'].includes(definition.kind) &&
+            definition.references.length === 0) {
+          context.report(definition.loc,
+              `'${definition.name}' is defined but never used`);
+        }
+      });
+    },
+  },
+  'undefined-assignment': {
+    severity: 'error',
+    description: 'Assignments to bindings that were never defined',
+    check: (context) => {
+      context.calls.forEach((call) => {
+        const target = call.args[0];
+        if (isKeywordCall(call, ['assign', 'set', '=']) &&
+            target instanceof Word &&
+            context.referenceOf(target).definition === undefined &&
+            !(target.name in topScope)) {
+          context.report(target.loc,
+              `'${target.name}' is assigned but it was never defined`);
+        }
+      });
+    },
+  },
+  'keyword-arity': {
+    severity: 'error',
+    description: 'Calls to keywords with a wrong number of arguments',
+    check: (context) => {
+      context.calls.forEach((call) => {
+        const name = call.operator.name;
+        if (!has(ARITIES, name)) {
+          return;
+        }
+        const [min, max] = ARITIES[name];
+        if (call.args.length >= min && call.args.length <= max) {
+          return;
+        }
+        let expected = `between ${min} and ${max}`;
+        if (min === max) {
+          expected = String(min);
+        } else if (max === Infinity) {
+          expected = `at least ${min}`;
+        }
+        context.report(call.loc, `Wrong number of arguments to ${name}: ` +
+            `expected ${expected} but got ${call.args.length}`);
+      });
+    },
+  },
+  'shadowed-builtin': {
+    severity: 'warn',
+    description: 'Definitions that hide a binding of the top scope',
+    check: (context) => {
+      context.analysis.definitions.forEach((definition) => {
+        if (definition.name in topScope) {
+          context.report(definition.loc,
+              `'${definition.name}' shadows a built-in binding`);
+        }
+      });
+    },
+  },
+  'unreachable-branch': {
+    severity: 'warn',
+    description: 'Branches of an if that are never run because the ' +
+        'condition is a constant',
+    check: (context) => {
+      context.calls.forEach((call) => {
+        if (!isKeywordCall(call, ['if']) || call.args.length < 2) {
+          return;
+        }
+        const condition = constantValue(context, call.args[0]);
+        if (condition === undefined) {
+          return;
+        }
+        if (condition.value === false) {
+          context.report(call.args[1].loc, 'The then branch is unreachable ' +
+              'because the condition is always false');
+        } else if (call.args.length === 3) {
+          context.report(call.args[2].loc, 'The else branch is unreachable ' +
+              'because the condition is always true');
+        }
+      });
+    },
+  },
+};
+
+/**
+ * Computes the severity of each rule from a configuration
+ * @param {object} config The configuration. Its rules property can map the
+ *     name of a rule to its severity: off, warn or error
+ * @return {object} The severity of each rule
+ * @throws Will throw if the configuration has unknown rules or severities
+ */
+const severities = (config) => {
+  const result = {};
+  Object.keys(rules).forEach((name) => {
+    result[name] = rules[name].severity;
+  });
+  const configured = config.rules != undefined ? config.rules : {};
+  Object.keys(configured).forEach((name) => {
+    if (!has(rules, name)) {
+      throw new Error(`Unknown lint rule: ${name}`);
+    }
+    if (!SEVERITIES.includes(configured[name])) {
+      throw new Error(
+          `Invalid severity for the lint rule ${name}: ${configured[name]}`,
+      );
+    }
+    result[name] = configured[name];
+  });
+  return result;
+};
+
+/**
+ * Lints a Please program
+ * @param {string} source The source of the program
+ * @param {string} [fileName] The name of the file of the program, used in
+ *     the locations
+ * @param {object} [config] The configuration of the rules
+ * @return {Array} The problems found, sorted by their position. Each one has
+ *     the rule, the severity, the message and the location
+ * @throws Will throw if there are syntax errors in the program or the
+ *     configuration isn't valid
+ */
+const lint = (source, fileName = undefined, config = {}) => {
+  const enabled = severities(config);
+  const ast = parseWithAllErrors(source, fileName);
+  const analysis = analyze(ast);
+  const references = new Map();
+  analysis.references.forEach((reference) => {
+    references.set(reference.node, reference);
+  });
+  const problems = [];
+  Object.keys(rules).filter((name) => enabled[name] !== 'off')
+      .forEach((name) => {
+        rules[name].check({
+          ast,
+          analysis,
+          calls: keywordCalls(ast),
+          referenceOf: (word) => references.get(word),
+          report: (loc, message) => {
+            problems.push({rule: name, severity: enabled[name], message, loc});
+          },
+        });
+      });
+  return problems.sort((a, b) => a.loc.start.offset - b.loc.start.offset);
+};
+
+/**
+ * Lints a Please file
+ * @param {string} fileName The name of the file
+ * @param {object} [config] The configuration of the rules
+ * @return {Array} The problems found
+ * @throws Will throw if the file can't be read, there are syntax errors in
+ *     the program or the configuration isn't valid
+ */
+const lintFile = (fileName, config = {}) => {
+  return lint(fs.readFileSync(fileName, 'utf8'), fileName, config);
+};
+
+/**
+ * Converts a problem into a readable string
+ * @param {object} problem The problem
+ * @return {string} The problem as file:line:column: severity: message (rule)
+ */
+const formatProblem = (problem) => {
+  return `${formatLocation(problem.loc)}: ${problem.severity}: ` +
+      `${problem.message} (${problem.rule})`;
+};
+
+/**
+ * Finds the configuration file of a directory
+ * @param {string} [directory] The directory, by default the current one
+ * @return {string|undefined} The path of the file or undefined if there
+ *     isn't one
+ */
+const findConfig = (directory = process.cwd()) => {
+  const fileName = path.join(directory, CONFIG_FILE);
+  return fs.existsSync(fileName) ? fileName : undefined;
+};
+
+/**
+ * Reads a configuration file
+ * @param {string} fileName The name of the file, it must contain JSON
+ * @return {object} The configuration
+ * @throws Will throw if the file can't be read or the configuration isn't
+ *     valid
+ */
+const loadConfig = (fileName) => {
+  const config = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+  severities(config);
+  return config;
+};
+
+module.exports = {
+  rules,
+  lint,
+  lintFile,
+  formatProblem,
+  findConfig,
+  loadConfig,
+};
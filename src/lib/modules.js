@@ -0,0 +1,186 @@
+// @ts-check
+/**
+ * @description The file with the modules of the Please lang. A module is a
+ *     file that exports some of its bindings with export, which other
+ *     files get with import. The interpreter and the transpiled programs
+ *     load them through the same registry
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangModules
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {createRequire} = require('module');
+
+/**
+ * A class with the modules a program has loaded. Each module runs once, the
+ *     first time it is imported, and the rest of the imports get the same
+ *     exports
+ */
+class ModuleRegistry {
+  /**
+   * The constructor
+   */
+  constructor() {
+    /**
+     * The exports of each module that has been loaded
+     * @private
+     */
+    this.modules_ = new Map();
+    /**
+     * The modules that are running, each one imported by the previous one
+     * @private
+     */
+    this.running_ = [];
+  }
+
+  /**
+   * Runs a module, so the modules it imports can't import it back
+   * @param {string|undefined} key The path of the module. The programs
+   *     that aren't in a file don't have one
+   * @param {function} callback The function that runs the module
+   * @return {*} What the callback returns
+   * @throws Will throw if the module is already running
+   */
+  run(key, callback) {
+    if (key === undefined) {
+      return callback();
+    }
+    const start = this.running_.indexOf(key);
+    if (start !== -1) {
+      const cycle = this.running_.slice(start).concat(key);
+      throw new Error(`Circular import: ${cycle.join(' -> ')}`);
+    }
+    this.running_.push(key);
+    try {
+      return callback();
+    } finally {
+      this.running_.pop();
+    }
+  }
+
+  /**
+   * Loads a module. It only runs if it hasn't been loaded before
+   * @param {string} key The path of the module
+   * @param {function} run The function that runs the module. It receives
+   *     the object where the module puts its exports
+   * @return {object} The exports of the module
+   * @throws Will throw if there is a circular import or the module fails
+   */
+  load(key, run) {
+    if (!this.modules_.has(key)) {
+      const exports = Object.create(null);
+      this.run(key, () => run(exports));
+      this.modules_.set(key, Object.freeze(exports));
+    }
+    return this.modules_.get(key);
+  }
+}
+
+/**
+ * Checks if a path refers to a package. The paths of the files start with a
+ *     dot or a slash or end with .pls
+ * @param {string} fileName The path
+ * @return {boolean} If it is the name of a package
+ */
+const isPackage = (fileName) => {
+  return !/^[./]/.test(fileName) && !fileName.endsWith('.pls');
+};
+
+/**
+ * Finds the entry file of a Please package. It is looked for in the
+ *     node_modules folder of a folder and of each of its parents, and its
+ *     package.json must say which file it is in the please field
+ * @param {string} name The name of the package
+ * @param {string} folder The folder where the search starts
+ * @return {string} The path of the entry file
+ * @throws Will throw if the package isn't installed or it doesn't have a
+ *     Please entry file
+ */
+const resolvePackage = (name, folder) => {
+  const packageFolder = path.join(folder, 'node_modules', name);
+  const packageFile = path.join(packageFolder, 'package.json');
+  if (fs.existsSync(packageFile)) {
+    const {please} = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+    if (typeof please !== 'string') {
+      throw new Error(
+          `The package ${name} doesn't have a please field in its ` +
+          'package.json',
+      );
+    }
+    return path.join(packageFolder, please);
+  }
+  if (path.dirname(folder) === folder) {
+    throw new Error(`Cannot find the Please package ${name}`);
+  }
+  return resolvePackage(name, path.dirname(folder));
+};
+
+/**
+ * Finds the path of the module an import refers to. The relative paths
+ *     start at the folder of the file that imports the module and the
+ *     packages are looked for from there
+ * @param {string} fileName The path in the import
+ * @param {string|undefined} importer The file that imports the module. The
+ *     programs that aren't in a file import from the base folder
+ * @param {string} base The folder the paths of the modules are relative to
+ * @return {string} The path of the module, relative to the base folder
+ * @throws Will throw if it is a package that can't be found
+ */
+const resolveModule = (fileName, importer, base) => {
+  const folder = path.resolve(
+      base, importer === undefined ? base : path.dirname(importer),
+  );
+  const file = isPackage(fileName) ?
+      resolvePackage(fileName, folder) : path.resolve(folder, fileName);
+  return path.relative(base, file);
+};
+
+/**
+ * Creates the require function of a file, which finds the JS modules from
+ *     the folder of the file like Node does
+ * @param {string|undefined} importer The file. The programs that aren't in
+ *     a file require from the current folder
+ * @return {function} The function
+ */
+const requireFrom = (importer) => {
+  return createRequire(importer !== undefined ?
+      path.resolve(importer) : process.cwd() + path.sep);
+};
+
+/**
+ * Gets a binding a module exports
+ * @param {object} exports The exports of the module
+ * @param {string} key The path of the module
+ * @param {string} name The name of the binding
+ * @return {*} The value of the binding
+ * @throws Will throw if the module doesn't export it
+ */
+const pick = (exports, key, name) => {
+  if (!(name in exports)) {
+    throw new ReferenceError(`The module ${key} doesn't export ${name}`);
+  }
+  return exports[name];
+};
+
+/**
+ * Finds the file a program comes from
+ * @param {object} program The AST of the program
+ * @return {string|undefined} The name of the file or undefined if it
+ *     wasn't parsed from one
+ */
+const fileOf = (program) => {
+  return program.loc !== undefined && program.loc.file != undefined ?
+      program.loc.file : undefined;
+};
+
+module.exports = {
+  ModuleRegistry,
+  resolveModule,
+  requireFrom,
+  pick,
+  fileOf,
+};
@@ -11,7 +11,9 @@
 
 const {replace, VisitorOption} = require('estraverse');
 const {Value, Call, Word} = require('./ast');
+const {Environment, EMPTY_LAYOUT} = require('./environment.js');
 const {operators, topScope} = require('./plugins/top-scope.js');
+const {acceptsOperands} = require('./plugins/operators.js');
 
 /**
  * A helper to register the variables that haven't changed and the functions that are able
@@ -30,15 +32,23 @@ let depth;
 let functions;
 
 /**
- * Optimizes an ast
+ * The optimizer passes added by plugins. Each one receives an ast and returns
+ *     the optimized one
+ */
+const passes = [];
+
+/**
+ * Optimizes an ast. The passes run after constant folding and propagation
  * @param {Object} ast The ast of the Please program to optimize
+ * @param {Array<function>} [extraPasses] The passes to run, by default the
+ *     ones added by plugins
  * @return {Object} The optimized ast
  */
-const optimize = (ast) => {
+const optimize = (ast, extraPasses = passes) => {
   constantVariables = [Object.create(null)];
   depth = 0;
   functions = [];
-  return replace(ast, {
+  const optimized = replace(ast, {
     enter: registerScopeChangesOnEnter,
     leave: (node, parent) => {
       const fold = constantFolding(node);
@@ -47,21 +57,26 @@ const optimize = (ast) => {
     },
     fallback: (node) => {
       return Object.keys(node).filter((key) => {
-        return !['type', 'value', 'name', 'expression', 'flags'].includes(key);
+        return !['type', 'value', 'name', 'expression', 'flags', 'loc'].includes(key);
       });
     },
   });
+  return extraPasses.reduce((tree, pass) => pass(tree), optimized);
 };
 
 /**
- * Tries to apply constant folding to a node
+ * Tries to apply constant folding to a node. The node is evaluated in an
+ *     environment, because the resolver may have marked its operator as a
+ *     binding of the global one
  * @param {Object} node The node to fold
  * @return {Object} A new Value node if it was possible to fold or undefined
  */
 const constantFolding = (node) => {
   if (node instanceof Call && operators.includes(node.operator.name) &&
-      node.args[0] instanceof Value && node.args[1] instanceof Value) {
-    return new Value({value: node.evaluate(topScope)});
+      acceptsOperands(node.operator.name, node.args.length) &&
+      node.args.every((arg) => arg instanceof Value)) {
+    const env = new Environment(null, EMPTY_LAYOUT, topScope);
+    return new Value({value: node.evaluate(env), loc: node.loc});
   }
   return undefined;
 };
@@ -81,12 +96,32 @@ const constantPropagation = (node, parent) => {
       !(constantVariables[depth][node.name] instanceof Array) &&
       !(parent instanceof Call && parent.operator instanceof Word &&
       ['assign', 'set', '='].includes(parent.operator.name) &&
-      parent.args[0] === node)) {
-    return new Value({value: constantVariables[depth][node.name]});
+      parent.args[0] === node) &&
+      !(parent instanceof Call && parent.operator instanceof Word &&
+      ['import', 'export'].includes(parent.operator.name))) {
+    return new Value({
+      value: constantVariables[depth][node.name],
+      loc: node.loc,
+    });
   }
   return undefined;
 };
 
+/**
+ * Checks if a node is a clause of a try. Like the loops, they have a
+ *     separated scope, because the body of the try may have stopped at any
+ *     point when they run
+ * @param {Object} node The node
+ * @param {Object} parent The parent of the node
+ * @return {boolean} If it is a catch or a finally inside a try
+ */
+const isTryClause = (node, parent) => {
+  return node instanceof Call && node.operator instanceof Word &&
+      ['catch', 'finally'].includes(node.operator.name) &&
+      parent instanceof Call && parent.operator instanceof Word &&
+      parent.operator.name === 'try';
+};
+
 /**
  * Checks if a new scope has been entered and acts accordingly
  * @param {Object} node The node
@@ -95,7 +130,7 @@ const constantPropagation = (node, parent) => {
  */
 const registerScopeChangesOnEnter = (node, parent) => {
   if (node instanceof Call && node.operator instanceof Word &&
-      ['run', 'do'].includes(node.operator.name)) {
+      ['run', 'do', 'try'].includes(node.operator.name)) {
     addScope();
   } else if ((node instanceof Call && node.operator instanceof Word &&
       (['foreach', 'for', 'while'].includes(node.operator.name) ||
@@ -104,7 +139,8 @@ const registerScopeChangesOnEnter = (node, parent) => {
       ['let', 'def', ':=', 'assign', 'set', '='].includes(parent.operator.name) &&
       parent.args[0] instanceof Word))) ||
       (parent instanceof Call && parent.operator instanceof Word &&
-      parent.operator.name === 'for' && parent.args[1] === node)) {
+      parent.operator.name === 'for' && parent.args[1] === node) ||
+      isTryClause(node, parent)) {
     addSeparatedScope();
   } else if (node instanceof Call && !(node.operator instanceof Word ||
       (node.operator instanceof Call && node.operator.operator instanceof Word &&
@@ -121,7 +157,7 @@ const registerScopeChangesOnEnter = (node, parent) => {
  */
 const registerScopeChangesOnLeave = (node, parent) => {
   if (node instanceof Call && node.operator instanceof Word &&
-      ['run', 'do'].includes(node.operator.name)) {
+      ['run', 'do', 'try'].includes(node.operator.name)) {
     removeScope();
   } else if (node instanceof Call && node.operator instanceof Word &&
       ['foreach', 'for', 'while'].includes(node.operator.name)) {
@@ -129,6 +165,8 @@ const registerScopeChangesOnLeave = (node, parent) => {
     if (node.operator.name === 'for') {
       removeSeparatedScope();
     }
+  } else if (isTryClause(node, parent)) {
+    removeSeparatedScope();
   } else if (node instanceof Call && node.operator instanceof Word &&
       ['fn', 'function', '->'].includes(node.operator.name) &&
       parent instanceof Call && parent.operator instanceof Word &&
@@ -156,8 +194,8 @@ const registerVariables = (node) => {
 };
 
 /**
- * Checks if a node is changing a variable and deletes that variables
- *     from the constantVariables list
+ * Checks if a node is changing a variable, by assigning it or importing
+ *     it, and deletes that variables from the constantVariables list
  * @param {Object} node The node to check
  */
 const registerVariableChanges = (node) => {
@@ -165,6 +203,9 @@ const registerVariableChanges = (node) => {
       ['assign', 'set', '='].includes(node.operator.name) &&
       node.args[0] instanceof Word) {
     removeConstant(node.args[0].name);
+  } else if (node instanceof Call && node.operator instanceof Word &&
+      node.operator.name === 'import') {
+    node.args.filter((arg) => arg instanceof Word).map((arg) => removeConstant(arg.name));
   } else if (node instanceof Call && node.operator instanceof Word) {
     const hasProperty = Object.prototype.hasOwnProperty;
     let scope = constantVariables[depth];
@@ -218,7 +259,8 @@ const resetConstants = () => {
 };
 
 /**
- * Adds a new scope. Used when entering a run block, for example
+ * Adds a new scope. Used when entering a run block or a try, whose body
+ *     has its own scope, for example
  */
 const addScope = () => {
   constantVariables[depth] = Object.create(constantVariables[depth]);
@@ -289,4 +331,4 @@ const addChangesToFunction = (name) => {
   }
 };
 
-module.exports = {optimize};
+module.exports = {optimize, passes};
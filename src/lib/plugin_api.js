@@ -0,0 +1,161 @@
+// @ts-check
+/**
+ * @description The file with the plugin API of the Please lang. A plugin is
+ *     an object that declares what it adds to an interpreter: keywords,
+ *     bindings of the top scope, the JS the transpiler generates for them,
+ *     node types of the compiled files, optimizer passes and hooks
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangPluginAPI
+ */
+
+'use strict';
+
+/**
+ * The fields a plugin can have. Only the name is mandatory
+ */
+const FIELDS = [
+  'name',
+  'keywords',
+  'globals',
+  'generateJS',
+  'nodeTypes',
+  'passes',
+  'install',
+  'beforeParse',
+  'afterEvaluate',
+];
+
+/**
+ * The fields of a plugin that are tables of functions
+ */
+const FUNCTION_TABLES = ['keywords', 'generateJS', 'nodeTypes'];
+
+/**
+ * The fields of a plugin that are hooks
+ */
+const HOOKS = ['install', 'beforeParse', 'afterEvaluate'];
+
+/**
+ * Checks if a value is an object that can be used as a table
+ * @param {*} value The value
+ * @return {boolean} If it is an object
+ */
+const isTable = (value) => typeof value === 'object' && value !== null;
+
+/**
+ * Checks that a plugin follows the plugin API
+ * @param {*} plugin The plugin
+ * @throws Will throw a TypeError that explains what is wrong if it doesn't
+ */
+const validatePlugin = (plugin) => {
+  if (!isTable(plugin)) {
+    throw new TypeError('A plugin must be an object');
+  }
+  if (typeof plugin.name !== 'string' || plugin.name === '') {
+    throw new TypeError('A plugin must have a name');
+  }
+  const invalid = (message) => {
+    return new TypeError(`Invalid plugin ${plugin.name}: ${message}`);
+  };
+  Object.keys(plugin).forEach((field) => {
+    if (!FIELDS.includes(field)) {
+      throw invalid(`unknown field ${field}`);
+    }
+  });
+  FUNCTION_TABLES.concat('globals').forEach((field) => {
+    if (plugin[field] !== undefined && !isTable(plugin[field])) {
+      throw invalid(`${field} must be an object`);
+    }
+  });
+  FUNCTION_TABLES.filter((field) => plugin[field] !== undefined)
+      .forEach((field) => {
+        Object.keys(plugin[field]).forEach((name) => {
+          if (typeof plugin[field][name] !== 'function') {
+            throw invalid(`${field}.${name} must be a function`);
+          }
+        });
+      });
+  if (plugin.passes !== undefined && (!Array.isArray(plugin.passes) ||
+      plugin.passes.some((pass) => typeof pass !== 'function'))) {
+    throw invalid('passes must be an array of functions');
+  }
+  HOOKS.forEach((hook) => {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+      throw invalid(`${hook} must be a function`);
+    }
+  });
+};
+
+/**
+ * Finds who defined a name of an interpreter
+ * @param {Object} interpreter The interpreter
+ * @param {string} name The name
+ * @param {Array<string>} fields The fields of the plugins where the name
+ *     could be
+ * @return {string} The plugin that defined it or the language
+ */
+const ownerOf = (interpreter, name, fields) => {
+  const owner = interpreter.plugins.find((plugin) => {
+    return fields.some((field) => {
+      return plugin[field] !== undefined && name in plugin[field];
+    });
+  });
+  return owner !== undefined ? `the plugin ${owner.name}` : 'the language';
+};
+
+/**
+ * Checks that a plugin doesn't define anything the interpreter already has
+ * @param {Object} interpreter The interpreter
+ * @param {Object} plugin The plugin
+ * @throws Will throw if the plugin is already installed or if it defines
+ *     a name that is already defined
+ */
+const checkConflicts = (interpreter, plugin) => {
+  if (interpreter.plugins.some((other) => other.name === plugin.name)) {
+    throw new Error(`The plugin ${plugin.name} is already installed`);
+  }
+  const check = (field, kind, tables, fields) => {
+    Object.keys(plugin[field] || {}).forEach((name) => {
+      if (tables.some((table) => name in table)) {
+        throw new Error(
+            `The plugin ${plugin.name} defines the ${kind} ${name}, which ` +
+            `is already defined by ${ownerOf(interpreter, name, fields)}`,
+        );
+      }
+    });
+  };
+  const bindings = [interpreter.keywords, interpreter.topScope];
+  check('keywords', 'keyword', bindings, ['keywords', 'globals']);
+  check('globals', 'binding', bindings, ['keywords', 'globals']);
+  check('generateJS', 'JS generator', [interpreter.generateJS],
+      ['generateJS']);
+  check('nodeTypes', 'node type', [interpreter.jsonToASTMap], ['nodeTypes']);
+};
+
+/**
+ * Installs a plugin in an interpreter. Nothing is installed if the plugin
+ *     isn't valid or has conflicts. The install hook runs at the end
+ * @param {Object} interpreter The interpreter
+ * @param {Object} plugin The plugin
+ * @throws Will throw if the plugin isn't valid or if it conflicts with the
+ *     interpreter or the plugins it already has
+ */
+const installPlugin = (interpreter, plugin) => {
+  validatePlugin(plugin);
+  checkConflicts(interpreter, plugin);
+  Object.assign(interpreter.keywords, plugin.keywords);
+  Object.assign(interpreter.topScope, plugin.globals);
+  Object.assign(interpreter.generateJS, plugin.generateJS);
+  Object.assign(interpreter.jsonToASTMap, plugin.nodeTypes);
+  interpreter.passes.push(...(plugin.passes || []));
+  interpreter.plugins.push(plugin);
+  if (plugin.install !== undefined) {
+    plugin.install(interpreter);
+  }
+};
+
+module.exports = {
+  validatePlugin,
+  installPlugin,
+};
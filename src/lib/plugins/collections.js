@@ -0,0 +1,387 @@
+// @ts-check
+/**
+ * @description The file with the collection library of the Please lang,
+ *     functions that work with arrays and receive Please functions. As in
+ *     the conditions of if and while, only false makes a test fail
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangCollections
+ */
+
+'use strict';
+
+const {step, checkProperty} = require('../sandbox.js');
+
+/**
+ * Checks that the first argument of a function of the library is an array
+ * @param {*} array The argument
+ * @param {string} name The name of the function
+ * @throws Will throw if it isn't an array
+ */
+const checkArray = (array, name) => {
+  if (!Array.isArray(array)) {
+    throw new TypeError(`The first argument to ${name} must be an array`);
+  }
+};
+
+/**
+ * Checks that the second argument of a function of the library is a
+ *     function
+ * @param {*} fn The argument
+ * @param {string} name The name of the function that receives it
+ * @throws Will throw if it isn't a function
+ */
+const checkFunction = (fn, name) => {
+  if (typeof fn !== 'function') {
+    throw new TypeError(`The second argument to ${name} must be a function`);
+  }
+};
+
+/**
+ * Checks that a number is a non negative integer
+ * @param {*} count The number
+ * @param {string} name The name of the function that receives it
+ * @param {string} [what] What the number is
+ * @throws Will throw if it isn't
+ */
+const checkCount = (count, name, what = 'number of elements') => {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new RangeError(
+        `The ${what} of ${name} must be a non negative integer`,
+    );
+  }
+};
+
+/**
+ * Creates the request of a call that a function of the library makes to a
+ *     function it receives
+ * @param {function} fn The function
+ * @param {...*} args The arguments
+ * @return {object} The request, which the generators of the library yield
+ */
+const call = (fn, ...args) => ({fn, args});
+
+/**
+ * Runs a function of the library written as a generator, making at once
+ *     the calls it yields
+ * @param {Generator} generator The generator
+ * @return {*} The value it returns
+ */
+const callNow = (generator) => {
+  let next = generator.next();
+  while (!next.done) {
+    const {fn, args} = next.value;
+    next = generator.next(fn(...args));
+  }
+  return next.value;
+};
+
+/**
+ * The functions of the library that receive functions. They are generators
+ *     that yield the calls to them and get back their values, so the
+ *     stackless engine makes those calls with its own stack
+ */
+const callbacks = Object.create(null);
+
+/**
+ * Creates a hash
+ * @param {Array} args The arguments are ordered as keys and then
+ *     the value for that key
+ * @param {object} [runtime] The state of the interpreter that creates it,
+ *     whose sandbox checks the keys
+ * @return {object} The newly created object
+ * @throws Will throw if a key doesn't have a value
+ */
+const createHash = (args, runtime) => {
+  const hash = {};
+  if (args.length % 2 !== 0) {
+    throw new Error(
+        'To create a hash the number of arguments must be a multiple of two',
+    );
+  }
+  for (let index = 0; index < args.length; index += 2) {
+    hash[checkProperty(args[index], runtime)] = args[index + 1];
+  }
+  return hash;
+};
+
+/**
+ * Gets the elements of an array that pass a test
+ * @param {Array} array The array
+ * @param {function} test The test, which receives an element
+ * @return {Array} The elements
+ */
+callbacks.filter = function* (array, test) {
+  checkArray(array, 'filter');
+  checkFunction(test, 'filter');
+  const elements = [];
+  for (const element of array) {
+    if ((yield call(test, element)) !== false) {
+      elements.push(element);
+    }
+  }
+  return elements;
+};
+
+/**
+ * Combines the elements of an array in a value, from the first to the last
+ * @param {Array} array The array
+ * @param {function} fn The function, which receives the value so far and
+ *     an element
+ * @param {...*} initial The initial value. If there isn't one, the first
+ *     element is
+ * @return {*} The value
+ * @throws Will throw if the array is empty and there isn't an initial value
+ */
+callbacks.reduce = function* (array, fn, ...initial) {
+  checkArray(array, 'reduce');
+  checkFunction(fn, 'reduce');
+  if (initial.length === 0 && array.length === 0) {
+    throw new TypeError('reduce needs an initial value for an empty array');
+  }
+  const start = initial.length === 0 ? 1 : 0;
+  let value = initial.length === 0 ? array[0] : initial[0];
+  for (const element of array.slice(start)) {
+    value = yield call(fn, value, element);
+  }
+  return value;
+};
+
+/**
+ * Finds the first element of an array that passes a test
+ * @param {Array} array The array
+ * @param {function} test The test, which receives an element
+ * @return {*} The element or undefined if none passes it
+ */
+callbacks.find = function* (array, test) {
+  checkArray(array, 'find');
+  checkFunction(test, 'find');
+  for (const element of array) {
+    if ((yield call(test, element)) !== false) {
+      return element;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Checks if an element of an array passes a test
+ * @param {Array} array The array
+ * @param {function} test The test, which receives an element
+ * @return {boolean} If any element passes it
+ */
+callbacks.some = function* (array, test) {
+  checkArray(array, 'some');
+  checkFunction(test, 'some');
+  for (const element of array) {
+    if ((yield call(test, element)) !== false) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Checks if every element of an array passes a test
+ * @param {Array} array The array
+ * @param {function} test The test, which receives an element
+ * @return {boolean} If all of them pass it
+ */
+callbacks.every = function* (array, test) {
+  checkArray(array, 'every');
+  checkFunction(test, 'every');
+  for (const element of array) {
+    if ((yield call(test, element)) === false) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Sorts an array by a key of its elements, from the smallest one. The
+ *     elements with the same key keep their order
+ * @param {Array} array The array
+ * @param {function} key The function that gets the key of an element
+ * @return {Array} A sorted copy of the array
+ */
+callbacks['sort-by'] = function* (array, key) {
+  checkArray(array, 'sort-by');
+  checkFunction(key, 'sort-by');
+  const keyed = [];
+  for (const element of array) {
+    keyed.push({element, key: yield call(key, element)});
+  }
+  return keyed.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+      .map(({element}) => element);
+};
+
+/**
+ * Creates the functions of the library that receive functions for an
+ *     interpreter. The hashes that map and group-by create have their keys
+ *     checked by its sandbox
+ * @param {object} [runtime] The state of the interpreter
+ * @return {object} The generators of the functions
+ */
+const createCallbacks = (runtime) => {
+  const interpreterCallbacks = Object.assign(Object.create(null), callbacks);
+
+  /**
+   * Applies a function to each element of an array. When the first
+   *     argument isn't an array it creates a hash, like hash, as map always
+   *     did
+   * @param {...*} args The array and the function, which receives an
+   *     element, or the keys and values of the hash
+   * @return {Array|object} The results or the hash
+   */
+  interpreterCallbacks.map = function* (...args) {
+    if (!Array.isArray(args[0])) {
+      return createHash(args, runtime);
+    }
+    const [array, fn] = args;
+    checkFunction(fn, 'map');
+    const results = [];
+    for (const element of array) {
+      results.push(yield call(fn, element));
+    }
+    return results;
+  };
+
+  /**
+   * Groups the elements of an array by a key
+   * @param {Array} array The array
+   * @param {function} key The function that gets the key of an element
+   * @return {object} A hash with an array of elements for each key
+   */
+  interpreterCallbacks['group-by'] = function* (array, key) {
+    checkArray(array, 'group-by');
+    checkFunction(key, 'group-by');
+    const groups = {};
+    for (const element of array) {
+      const name = checkProperty(yield call(key, element), runtime);
+      if (!Object.prototype.hasOwnProperty.call(groups, name)) {
+        groups[name] = [];
+      }
+      groups[name].push(element);
+    }
+    return groups;
+  };
+
+  return interpreterCallbacks;
+};
+
+/**
+ * The functions of the library that don't receive functions nor use the
+ *     state of the interpreter
+ */
+const arrays = Object.create(null);
+
+/**
+ * Joins the elements of some arrays that are in the same position. The
+ *     result is as long as the shortest array
+ * @param {...Array} arrays The arrays
+ * @return {Array<Array>} An array with the elements of each position
+ */
+arrays.zip = (...arrays) => {
+  arrays.forEach((array) => checkArray(array, 'zip'));
+  if (arrays.length === 0) {
+    return [];
+  }
+  const length = Math.min(...arrays.map((array) => array.length));
+  return Array.from({length}, (_, i) => arrays.map((array) => array[i]));
+};
+
+/**
+ * Creates an array of numbers. range(end) goes from 0 to end and
+ *     range(start, end, step) from start to end with that step. The end is
+ *     never included
+ * @param {Array<number>} args The start, the end and the step, which is 1
+ *     by default
+ * @param {object} [runtime] The state of the interpreter, whose sandbox
+ *     counts a step for each number
+ * @return {Array<number>} The numbers
+ * @throws Will throw if the arguments aren't numbers or the step is 0
+ */
+const range = (args, runtime) => {
+  if (args.length === 0 || args.length > 3 ||
+      args.some((arg) => typeof arg !== 'number')) {
+    throw new TypeError('range needs between one and three numbers');
+  }
+  const [start, end, increment = 1] = args.length === 1 ? [0, ...args] : args;
+  if (increment === 0) {
+    throw new RangeError('The step of range can\'t be 0');
+  }
+  const numbers = [];
+  for (let i = start; increment > 0 ? i < end : i > end; i += increment) {
+    step(runtime);
+    numbers.push(i);
+  }
+  return numbers;
+};
+
+/**
+ * Puts the elements of the arrays inside an array in it
+ * @param {Array} array The array
+ * @param {number} [depth] How many levels of arrays are flattened, one by
+ *     default
+ * @return {Array} The flattened array
+ */
+arrays.flatten = (array, depth = 1) => {
+  checkArray(array, 'flatten');
+  checkCount(depth, 'flatten', 'depth');
+  return array.flat(depth);
+};
+
+/**
+ * Gets the first elements of an array
+ * @param {Array} array The array
+ * @param {number} count The number of elements
+ * @return {Array} The elements
+ */
+arrays.take = (array, count) => {
+  checkArray(array, 'take');
+  checkCount(count, 'take');
+  return array.slice(0, count);
+};
+
+/**
+ * Gets an array without its first elements
+ * @param {Array} array The array
+ * @param {number} count The number of elements that are left out
+ * @return {Array} The rest of the elements
+ */
+arrays.drop = (array, count) => {
+  checkArray(array, 'drop');
+  checkCount(count, 'drop');
+  return array.slice(count);
+};
+
+/**
+ * The generators of the functions of the library that receive functions.
+ *     The stackless engine runs them instead of the functions
+ */
+const generators = new WeakMap();
+
+/**
+ * Creates the functions of the library for an interpreter
+ * @param {object} [runtime] The state of the interpreter
+ * @return {object} The functions
+ */
+const createCollections = (runtime) => {
+  const library = Object.create(null);
+  const interpreterCallbacks = createCallbacks(runtime);
+  Object.keys(interpreterCallbacks).forEach((name) => {
+    library[name] = (...args) => callNow(interpreterCallbacks[name](...args));
+    generators.set(library[name], interpreterCallbacks[name]);
+  });
+  library.range = (...args) => range(args, runtime);
+  return Object.assign(library, arrays);
+};
+
+/**
+ * The functions of the library for the programs that don't run in an
+ *     interpreter, like the transpiled ones
+ */
+const collections = createCollections(undefined);
+
+module.exports = {collections, generators, createCollections, createHash};
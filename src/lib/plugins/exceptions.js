@@ -0,0 +1,143 @@
+// @ts-check
+/**
+ * @description The file with the errors of the Please lang: the ones the
+ *     programs throw with throw and the values try gives to catch, which
+ *     are the same in the interpreter and in the transpiled programs
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangExceptions
+ */
+
+'use strict';
+
+const {LimitError} = require('../sandbox.js');
+const {formatLocation} = require('../errors.js');
+
+/**
+ * A class representing an error thrown by a Please program
+ */
+class PleaseError extends Error {
+  /**
+   * The constructor
+   * @param {string} message The message
+   * @param {string} kind The kind of error, which is also its name
+   * @param {*} value The value given to throw, if it isn't the message
+   */
+  constructor(message, kind, value) {
+    super(message);
+    this.name = kind;
+    this.value = value;
+  }
+}
+
+/**
+ * Creates the error thrown by throw
+ * @param {*} value A message or a hash or object with a message and,
+ *     optionally, a kind. By default the kind is Error
+ * @return {PleaseError} The error
+ * @throws Will throw if the value doesn't have a message
+ */
+const createError = (value) => {
+  if (typeof value === 'string') {
+    return new PleaseError(value, 'Error', undefined);
+  }
+  if (value == undefined || typeof value.message !== 'string') {
+    throw new TypeError('throw needs a message or an object with a message');
+  }
+  const kind = typeof value.kind === 'string' ? value.kind : 'Error';
+  return new PleaseError(value.message, kind, value);
+};
+
+/**
+ * Throws a value as an error, as throw does. The transpiled programs use it
+ * @param {*} value The value
+ * @throws Will always throw
+ */
+const raise = (value) => {
+  throw createError(value);
+};
+
+/**
+ * Checks if try can catch an error. The errors of the limits of the sandbox
+ *     can't be caught
+ * @param {*} error The thrown value
+ * @return {boolean} If it can be caught
+ */
+const isCatchable = (error) => !(error instanceof LimitError);
+
+/**
+ * Creates the value catch receives for an error
+ * @param {*} error The thrown value
+ * @return {object} A hash with the kind of error, its message, where it was
+ *     thrown, if it is known, and the value given to throw, if there was one
+ */
+const toErrorValue = (error) => {
+  if (!(error instanceof Error)) {
+    return {kind: 'Error', message: String(error), location: undefined,
+      line: undefined, column: undefined, value: error};
+  }
+  // The message has the location at the end once the error is located
+  const loc = error.loc;
+  const location = loc != undefined ? formatLocation(loc) : undefined;
+  const suffix = ` at ${location}`;
+  const message = location !== undefined && error.message.endsWith(suffix) ?
+      error.message.slice(0, -suffix.length) : error.message;
+  return {
+    kind: error.name,
+    message,
+    location,
+    line: loc != undefined ? loc.start.line : undefined,
+    column: loc != undefined ? loc.start.column : undefined,
+    value: error instanceof PleaseError ? error.value : undefined,
+  };
+};
+
+/**
+ * Runs the body of a try and, if it throws, the catch clause. The finally
+ *     clause runs after them even if they throw, unless the error can't be
+ *     caught
+ * @param {function} body The body
+ * @param {object} clauses The clauses
+ * @param {function} [clauses.handler] The catch clause, which receives the
+ *     value of the error
+ * @param {function} [clauses.cleanup] The finally clause
+ * @return {*} What the body returns or, if it throws, what catch returns
+ */
+const attempt = (body, {handler = undefined, cleanup = undefined}) => {
+  const finish = (result) => {
+    if (cleanup !== undefined) {
+      cleanup();
+    }
+    return result;
+  };
+  let result = undefined;
+  try {
+    result = body();
+  } catch (error) {
+    if (!isCatchable(error)) {
+      throw error;
+    }
+    if (handler === undefined) {
+      finish(undefined);
+      throw error;
+    }
+    try {
+      result = handler(toErrorValue(error));
+    } catch (failure) {
+      if (isCatchable(failure)) {
+        finish(undefined);
+      }
+      throw failure;
+    }
+  }
+  return finish(result);
+};
+
+module.exports = {
+  PleaseError,
+  createError,
+  raise,
+  isCatchable,
+  toErrorValue,
+  attempt,
+};
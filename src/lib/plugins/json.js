@@ -0,0 +1,123 @@
+// @ts-check
+/**
+ * @description The file with the JSON library of the Please lang. The JSON
+ *     objects are hashes and the Please objects are written as their own
+ *     properties, so self and the methods they get from their environment
+ *     are left out
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangJSON
+ */
+
+'use strict';
+
+const {step} = require('../sandbox.js');
+
+/**
+ * Copies a value as the data JSON.stringify writes. Unlike it, the toJSON
+ *     methods aren't called, so it never runs code of the program
+ * @param {*} value The value
+ * @param {Array} ancestors The arrays and objects that contain the value
+ * @param {string} path Where the value is, like $.list[0]
+ * @param {object} [runtime] The state of the interpreter, whose sandbox
+ *     counts a step for each value
+ * @return {*} The copy. The functions are copied as undefined, so a toJSON
+ *     method is left out too
+ * @throws Will throw if the value contains itself or a big integer
+ */
+const toData = (value, ancestors, path, runtime) => {
+  step(runtime);
+  if (typeof value === 'bigint') {
+    throw new TypeError(
+        `json-stringify can't write the big integer at ${path}`,
+    );
+  }
+  if (typeof value === 'function') {
+    return undefined;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (ancestors.includes(value)) {
+    throw new TypeError(
+        `json-stringify can't write a cyclic value: the one at ${path} ` +
+        'contains itself',
+    );
+  }
+  const inside = ancestors.concat([value]);
+  if (Array.isArray(value)) {
+    return value.map((element, i) => {
+      return toData(element, inside, `${path}[${i}]`, runtime);
+    });
+  }
+  // Without a prototype, a key like __proto__ is a property of the copy
+  const data = Object.create(null);
+  Object.keys(value).forEach((key) => {
+    data[key] = toData(value[key], inside, `${path}.${key}`, runtime);
+  });
+  return data;
+};
+
+/**
+ * The functions of the library that don't use the state of the interpreter
+ */
+const parsers = Object.create(null);
+
+/**
+ * Reads a JSON text
+ * @param {string} text The text
+ * @return {*} The value. The objects are hashes
+ * @throws Will throw if the text isn't valid JSON
+ */
+parsers['json-parse'] = (text) => {
+  if (typeof text !== 'string') {
+    throw new TypeError('The text given to json-parse must be a string');
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new SyntaxError(`json-parse got invalid JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Writes a value as JSON. As in JSON.stringify, the functions and undefined
+ *     are left out of the hashes and objects and are null in the arrays
+ * @param {*} value The value
+ * @param {number|string} indent The number of spaces or the text each
+ *     level is indented with, up to ten. With 0, the JSON is in one line
+ * @param {object} [runtime] The state of the interpreter
+ * @return {string|undefined} The JSON, or undefined if the value is a
+ *     function or undefined
+ * @throws Will throw if the value contains itself or a big integer
+ */
+const stringify = (value, indent, runtime) => {
+  if (typeof indent !== 'number' && typeof indent !== 'string') {
+    throw new TypeError(
+        'The indentation of json-stringify must be a number or a string',
+    );
+  }
+  return JSON.stringify(toData(value, [], '$', runtime), null, indent);
+};
+
+/**
+ * Creates the functions of the library for an interpreter
+ * @param {object} [runtime] The state of the interpreter
+ * @return {object} The functions. The indentation of json-stringify is 0
+ *     by default
+ */
+const createJSON = (runtime) => {
+  return Object.assign(Object.create(null), parsers, {
+    'json-stringify': (value, indent = 0) => {
+      return stringify(value, indent, runtime);
+    },
+  });
+};
+
+/**
+ * The functions of the library for the programs that don't run in an
+ *     interpreter, like the transpiled ones
+ */
+const json = createJSON(undefined);
+
+module.exports = {json, createJSON};
@@ -8,7 +8,147 @@
 
 'use strict';
 
-const {keywords, Word, MethodCall} = require('../ast.js');
+const {
+  keywords,
+  prepareTailCall,
+  TailCall,
+  Value,
+  Word,
+  Call,
+  MethodCall,
+} = require('../ast.js');
+const {UNSET, Environment} = require('../environment.js');
+const {
+  isSandboxed,
+  step,
+  isBlocked,
+  checkProperty,
+} = require('../sandbox.js');
+const {methodsOf} = require('./methods.js');
+const {resolveModule, requireFrom, pick} = require('../modules.js');
+const {createError, attempt} = require('./exceptions.js');
+
+/**
+ * The names of the keywords that create functions
+ */
+const functionKeywords = ['fn', 'function', '->'];
+
+/**
+ * Checks if a node is a call to one of the keywords that create functions
+ * @param {Object} node The node
+ * @return {boolean} If it creates a function
+ */
+const createsFunction = (node) => {
+  return node instanceof Call && node.operator instanceof Word &&
+      functionKeywords.includes(node.operator.name);
+};
+
+/**
+ * Creates a Please function. Each call checks the number of arguments, runs
+ *     the body in a new scope with the parameters and keeps the call stack.
+ *     The tail calls the body returns are run in a loop, replacing the frame
+ *     of the function, so they don't make the stack grow
+ * @param {Array} params The names of the parameters
+ * @param {function} body A function that runs the body in a scope, with
+ *     its last expression in tail position
+ * @param {Object} scope The scope where the function is created
+ * @param {Object} node The call that creates the function, which has the
+ *     layout of the scope of its body
+ * @return {function} The function
+ */
+const createFunction = (params, body, scope, node) => {
+  const enter = (args) => {
+    if (args.length !== params.length) {
+      throw new TypeError('Wrong number of arguments');
+    }
+    const localScope = scope.extend(node);
+    for (let i = 0; i < args.length; i++) {
+      localScope.define(params[i], args[i]);
+    }
+    return localScope;
+  };
+  const callStack = scope.runtime.callStack;
+  const fn = (...args) => {
+    const localScope = enter(args);
+    const site = callStack.site;
+    callStack.frames.push({name: fn.name || '<anonymous>', loc: site});
+    try {
+      let result = body(localScope);
+      while (result instanceof TailCall) {
+        callStack.frames[callStack.frames.length - 1] =
+            {name: result.fn.name || '<anonymous>', loc: site};
+        result = result.run();
+      }
+      return result;
+    } finally {
+      callStack.frames.pop();
+      callStack.site = site;
+    }
+  };
+  Object.defineProperty(fn, prepareTailCall, {
+    value: (args) => new TailCall(fn, body, enter(args)),
+  });
+  // The name is set when the function is bound with let
+  Object.defineProperty(fn, 'name', {value: ''});
+  return fn;
+};
+
+/**
+ * Creates an empty object and the scope to evaluate its properties. The
+ *     object has self and the methods of Object.prototype, but it doesn't
+ *     see the bindings of the enclosing scope as its own
+ * @param {Object} scope The enclosing scope
+ * @return {Environment} The scope, the object is in its object property
+ */
+const createObjectScope = (scope) => {
+  const objectEnv = Object.create(null);
+  const object = Object.create(objectEnv);
+  objectEnv.self = object;
+  for (const key of Object.getOwnPropertyNames(Object.prototype)) {
+    if (key[0] !== '_' && !isBlocked(key, scope.runtime)) {
+      objectEnv[key] = Object.prototype[key];
+    }
+  };
+  return new Environment(scope, undefined, object);
+};
+
+/**
+ * Checks if a node is a call to a clause of try
+ * @param {Object} node The node
+ * @param {string} name The name of the clause, catch or finally
+ * @return {boolean} If it is a call to the clause
+ */
+const isClause = (node, name) => {
+  return node instanceof Call && node.operator instanceof Word &&
+      node.operator.name === name;
+};
+
+/**
+ * Finds the parts of a try: its body, a catch clause with the name of the
+ *     error and its body and a finally clause with its body. At least one
+ *     of the clauses must be there and catch must go first
+ * @param {Array} args The arguments of the try
+ * @return {Object|undefined} The body and the calls to catch and finally,
+ *     handler and cleanup, or undefined if the try isn't valid
+ */
+const tryClauses = (args) => {
+  const clauses = {body: args[0], handler: undefined, cleanup: undefined};
+  let rest = args.slice(1);
+  if (rest.length > 0 && isClause(rest[0], 'catch') &&
+      rest[0].args.length === 2 && rest[0].args[0] instanceof Word) {
+    clauses.handler = rest[0];
+    rest = rest.slice(1);
+  }
+  if (rest.length > 0 && isClause(rest[0], 'finally') &&
+      rest[0].args.length === 1) {
+    clauses.cleanup = rest[0];
+    rest = rest.slice(1);
+  }
+  if (rest.length > 0 || args.length < 2) {
+    return undefined;
+  }
+  return clauses;
+};
 
 /**
  * The if function
@@ -18,18 +158,20 @@ const {keywords, Word, MethodCall} = require('../ast.js');
  *     and the optional third argument is the action to perform if the
  *     condition evaluates to false
  * @param {Object} scope The scope for executing the if
+ * @param {Object} node The call
+ * @param {boolean} [tail] If the if is in tail position, so are its branches
  * @return {*} What the if evaluates to
  * @throws Will throw if there are syntactical errors
  */
-keywords.if = (args, scope) => {
+keywords.if = (args, scope, node, tail = false) => {
   if (args.length > 3 || args.length < 2) {
     throw new SyntaxError('Wrong number of args to if');
   }
   if (args[0].evaluate(scope) !== false) {
-    return args[1].evaluate(scope);
+    return args[1].evaluate(scope, tail);
   }
   if (args.length === 3) {
-    return args[2].evaluate(scope);
+    return args[2].evaluate(scope, tail);
   }
 };
 
@@ -39,14 +181,16 @@ keywords.if = (args, scope) => {
  *     The first argument is a condition and the body of the while. Both
  *     must AST nodes
  * @param {Object} scope The scope for executing the while
+ * @param {Object} node The call, which has the layout of the new scope
  * @throws Will throw if there are syntactical errors
  */
-keywords.while = (args, scope) => {
+keywords.while = (args, scope, node) => {
   if (args.length !== 2) {
     throw new SyntaxError('Wrong number of arguments to while');
   }
-  const whileScope = Object.create(scope);
+  const whileScope = scope.extend(node);
   while (args[0].evaluate(whileScope) !== false) {
+    step(scope.runtime);
     args[1].evaluate(whileScope);
   }
 };
@@ -57,15 +201,17 @@ keywords.while = (args, scope) => {
  *     Each argument corresponds to the normal parts of a typical JS for loop
  *     and the last one being the body of the loop
  * @param {Object} scope The scope for executing the for loop
+ * @param {Object} node The call, which has the layout of the new scope
  * @throws Will throw if there are syntactical errors
  */
-keywords.for = (args, scope) => {
+keywords.for = (args, scope, node) => {
   if (args.length !== 4) {
     throw new SyntaxError('Wrong number of arguments to for');
   }
-  const forScope = Object.create(scope);
+  const forScope = scope.extend(node);
   // eslint-disable-next-line max-len
   for (args[0].evaluate(forScope); args[1].evaluate(forScope) !== false; args[2].evaluate(forScope)) {
+    step(scope.runtime);
     args[3].evaluate(forScope);
   }
 };
@@ -77,15 +223,17 @@ keywords.for = (args, scope) => {
  *     parameter will have, the second has to be an Array and the third the
  *     code to execute for each element of the array
  * @param {Object} scope The scope for executing the foreach loop
+ * @param {Object} node The call, which has the layout of the new scope
  * @throws Will throw if there are syntactical errors
  */
-keywords.foreach = (args, scope) => {
+keywords.foreach = (args, scope, node) => {
   if (args.length !== 3) {
     throw new SyntaxError('Wrong number of arguments to foreach');
   }
   args[1].evaluate(scope).forEach((x) => {
-    const foreachScope = Object.create(scope);
-    foreachScope[args[0].getName()] = x;
+    step(scope.runtime);
+    const foreachScope = scope.extend(node);
+    foreachScope.define(args[0].getName(), x);
     args[2].evaluate(foreachScope);
   });
 };
@@ -94,13 +242,16 @@ keywords.foreach = (args, scope) => {
  * The run keyword. Runs the code passed as arguments
  * @param {Array} args A list of expression nodes to run
  * @param {Object} scope The scope
+ * @param {Object} node The call, which has the layout of the new scope
+ * @param {boolean} [tail] If the call is in tail position, so is its last
+ *     expression
  * @return {*} The return value of the last executed expression
  */
-keywords.run = keywords.do = (args, scope) => {
+keywords.run = keywords.do = (args, scope, node, tail = false) => {
   let value = undefined;
-  const doScope = Object.create(scope);
-  args.forEach((arg) => {
-    value = arg.evaluate(doScope);
+  const doScope = scope.extend(node);
+  args.forEach((arg, i) => {
+    value = arg.evaluate(doScope, tail && i === args.length - 1);
   });
   return value;
 };
@@ -122,7 +273,10 @@ keywords.let = keywords.def = keywords[':='] = (args, scope) => {
     );
   }
   const value = args[1].evaluate(scope);
-  scope[args[0].name] = value;
+  if (createsFunction(args[1])) {
+    Object.defineProperty(value, 'name', {value: args[0].name});
+  }
+  scope.define(args[0].name, value);
   return value;
 };
 
@@ -131,14 +285,14 @@ keywords.let = keywords.def = keywords[':='] = (args, scope) => {
  * @param {Array} args The args should be a list of args and then the
  *     function body
  * @param {Object} scope The scope
+ * @param {Object} node The call, which has the layout of the new scope
  * @return {function} The created function
  * @throws Will throw if there are syntactical errors
  */
-keywords.fn = keywords.function = keywords['->'] = (args, scope) => {
+keywords.fn = keywords.function = keywords['->'] = (args, scope, node) => {
   if (!args.length) {
     throw new SyntaxError('Functions need a body');
   }
-  const body = args[args.length - 1];
   const params = args.slice(0, args.length - 1).map((expr) => {
     if (!(expr instanceof Word)) {
       throw new SyntaxError('Parameter names must be words');
@@ -146,16 +300,9 @@ keywords.fn = keywords.function = keywords['->'] = (args, scope) => {
     return expr.getName();
   });
 
-  return (...args) => {
-    if (args.length !== params.length) {
-      throw new TypeError('Wrong number of arguments');
-    }
-    const localScope = Object.create(scope);
-    for (let i = 0; i < args.length; i++) {
-      localScope[params[i]] = args[i];
-    }
-    return body.evaluate(localScope);
-  };
+  const body = args[args.length - 1];
+  return createFunction(params,
+      (localScope) => body.evaluate(localScope, true), scope, node);
 };
 
 /**
@@ -184,20 +331,19 @@ keywords.assign = keywords.set = keywords['='] = (args, scope) => {
     return value;
   }
   const varName = args[0].getName();
-  const indexes = args.slice(1, -1).map((arg) => {
-    return arg.evaluate(scope);
-  });
-  const hasProperty = Object.prototype.hasOwnProperty;
-  while (scope != null) {
-    if (hasProperty.call(scope, varName)) {
-      if (indexes.length === 0) {
-        scope[varName] = value;
-      } else {
-        scope[varName]['='](value, ...indexes);
-      }
+  if (args.length === 2) {
+    if (args[0].assign(scope, value)) {
+      return value;
+    }
+  } else {
+    const indexes = args.slice(1, -1).map((arg) => {
+      return arg.evaluate(scope);
+    });
+    const object = scope.lookup(varName);
+    if (object !== UNSET) {
+      methodsOf(scope.runtime).assign(object, value, ...indexes);
       return value;
     }
-    scope = Object.getPrototypeOf(scope);
   }
   throw new ReferenceError(
       `Tried to assign to a non existent variable: ${varName}`,
@@ -217,20 +363,172 @@ keywords.object = (args, scope) => {
         'To create an object the number of arguments must be a multiple of two',
     );
   }
-  const objectEnv = Object.create(scope);
-  const object = Object.create(objectEnv);
-  objectEnv.self = object;
-  for (const key of Object.getOwnPropertyNames(Object.prototype)) {
-    if (key[0] !== '_') {
-      objectEnv[key] = Object.prototype[key];
-    }
-  };
+  const objectScope = createObjectScope(scope);
+  const object = objectScope.object;
   for (let i = 0; i < args.length; i += 2) {
-    const name = args[i].evaluate(object);
-    const value = args[i + 1].evaluate(object);
+    const name = checkProperty(
+        args[i].evaluate(objectScope), scope.runtime,
+    );
+    const value = args[i + 1].evaluate(objectScope);
     object[name] = value;
   }
   return object;
 };
 
-module.exports = {keywords};
+/**
+ * The try keyword. Runs its body in a new scope and, if it throws, the
+ *     catch clause, with the error bound to a name in a new scope. The
+ *     finally clause runs after them in any case. The errors of the limits
+ *     of the sandbox aren't caught
+ * @param {Array} args The args should be the body, a catch clause like
+ *     catch(error, body) and a finally clause like finally(body). One of the
+ *     clauses can be left out
+ * @param {Object} scope The scope
+ * @param {Object} node The call, which has the layout of the scope of the
+ *     body
+ * @return {*} What the body evaluates to or, if it throws, what the catch
+ *     clause evaluates to
+ * @throws Will throw if there are syntactical errors or the body throws and
+ *     there isn't a catch clause
+ */
+keywords.try = (args, scope, node) => {
+  const clauses = tryClauses(args);
+  if (clauses === undefined) {
+    throw new SyntaxError(
+        'try needs a body and then catch(name, body), finally(body) or both',
+    );
+  }
+  const {handler, cleanup} = clauses;
+  return attempt(() => clauses.body.evaluate(scope.extend(node)), {
+    handler: handler && ((error) => {
+      const catchScope = scope.extend(handler);
+      catchScope.define(handler.args[0].getName(), error);
+      return handler.args[1].evaluate(catchScope);
+    }),
+    cleanup: cleanup && (() => cleanup.args[0].evaluate(scope.extend(cleanup))),
+  });
+};
+
+/**
+ * The catch and finally keywords. They are clauses of try, so they can't be
+ *     used on their own
+ * @throws Will always throw
+ */
+keywords.catch = keywords.finally = () => {
+  throw new SyntaxError('catch and finally can only be clauses of a try');
+};
+
+/**
+ * The throw keyword. Throws an error that a try can catch
+ * @param {Array} args The args should be a message or a hash or object with
+ *     a message and a kind
+ * @param {Object} scope The scope
+ * @throws Will always throw
+ */
+keywords.throw = (args, scope) => {
+  if (args.length !== 1) {
+    throw new SyntaxError('throw needs the error to throw');
+  }
+  throw createError(args[0].evaluate(scope));
+};
+
+/**
+ * The import keyword. Loads a module and defines the bindings it exports
+ *     whose names follow the path. The relative paths start at the folder
+ *     of the file that imports the module
+ * @param {Array} args The args should be the path of the module, a
+ *     string, and the names of the bindings to define
+ * @param {Object} scope The scope
+ * @return {object} The exports of the module
+ * @throws Will throw if there are syntactical errors, if the module can't
+ *     be loaded or if it doesn't export one of the bindings
+ */
+keywords.import = (args, scope) => {
+  if (!(args[0] instanceof Value) || typeof args[0].value !== 'string') {
+    throw new SyntaxError(
+        'The first argument to import must be the path of a module',
+    );
+  }
+  const names = args.slice(1).map((arg) => {
+    if (!(arg instanceof Word)) {
+      throw new SyntaxError('The bindings to import must be words');
+    }
+    return arg.getName();
+  });
+  const module = scope.module;
+  if (module === undefined) {
+    throw new Error('Modules can only be imported by programs in a module');
+  }
+  if (isSandboxed(scope.runtime)) {
+    throw new Error('Modules can\'t be imported in the sandbox');
+  }
+  const key = resolveModule(args[0].value, module.fileName, process.cwd());
+  const exports = module.load(key);
+  names.forEach((name) => scope.define(name, pick(exports, key, name)));
+  return exports;
+};
+
+/**
+ * The export keyword. Adds bindings to the exports of the module, with the
+ *     value they have when it runs
+ * @param {Array} args The args should be the names of the bindings
+ * @param {Object} scope The scope
+ * @return {*} The value of the last binding
+ * @throws Will throw if there are syntactical errors or if a binding
+ *     doesn't exist
+ */
+keywords.export = (args, scope) => {
+  if (args.length === 0) {
+    throw new SyntaxError('export needs the bindings to export');
+  }
+  const module = scope.module;
+  if (module === undefined) {
+    throw new Error('Only the programs in a module can export bindings');
+  }
+  let value = undefined;
+  args.forEach((arg) => {
+    if (!(arg instanceof Word)) {
+      throw new SyntaxError('The bindings to export must be words');
+    }
+    value = arg.evaluate(scope);
+    module.exports[arg.getName()] = value;
+  });
+  return value;
+};
+
+/**
+ * The js-require keyword. Loads a JS module like Node does, from the folder
+ *     of the file that requires it
+ * @param {Array} args The args should be the name of the module, a string
+ * @param {Object} scope The scope
+ * @return {*} The exports of the module
+ * @throws Will throw if there are syntactical errors or the module can't be
+ *     loaded
+ */
+keywords['js-require'] = (args, scope) => {
+  if (args.length !== 1 || !(args[0] instanceof Value) ||
+      typeof args[0].value !== 'string') {
+    throw new SyntaxError('js-require needs the name of a JS module');
+  }
+  if (isSandboxed(scope.runtime)) {
+    throw new Error('JS modules can\'t be required in the sandbox');
+  }
+  const module = scope.module;
+  const fileName = module !== undefined ? module.fileName : undefined;
+  return requireFrom(fileName)(args[0].value);
+};
+
+/**
+ * The keywords as they are defined by the language, before any plugin
+ *     changes them
+ */
+const builtinKeywords = Object.assign(Object.create(null), keywords);
+
+module.exports = {
+  keywords,
+  builtinKeywords,
+  createsFunction,
+  createFunction,
+  createObjectScope,
+  tryClauses,
+};
@@ -0,0 +1,262 @@
+// @ts-check
+/**
+ * @description The file with the math library of the Please lang. Besides
+ *     the numbers, most of the functions work with the integers of any size
+ *     that big creates, which are JS BigInts
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangMath
+ */
+
+'use strict';
+
+/**
+ * Checks that the arguments of a function of the library are numbers
+ * @param {Array} values The arguments
+ * @param {string} name The name of the function
+ * @throws Will throw if one of them isn't a number or a big integer
+ */
+const checkNumbers = (values, name) => {
+  if (values.some((value) => {
+    return typeof value !== 'number' && typeof value !== 'bigint';
+  })) {
+    throw new TypeError(`The arguments to ${name} must be numbers`);
+  }
+};
+
+/**
+ * The functions of the library
+ */
+const math = Object.create(null);
+
+/**
+ * The ratio of the circumference of a circle to its diameter
+ */
+math.pi = Math.PI;
+
+/**
+ * Gets the absolute value of a number
+ * @param {number|bigint} x The number
+ * @return {number|bigint} The absolute value
+ */
+math.abs = (x) => {
+  checkNumbers([x], 'abs');
+  return x < 0 ? -x : x;
+};
+
+/**
+ * Rounds a number down. The big integers don't change
+ * @param {number|bigint} x The number
+ * @return {number|bigint} The rounded number
+ */
+math.floor = (x) => {
+  checkNumbers([x], 'floor');
+  return typeof x === 'bigint' ? x : Math.floor(x);
+};
+
+/**
+ * Rounds a number up. The big integers don't change
+ * @param {number|bigint} x The number
+ * @return {number|bigint} The rounded number
+ */
+math.ceil = (x) => {
+  checkNumbers([x], 'ceil');
+  return typeof x === 'bigint' ? x : Math.ceil(x);
+};
+
+/**
+ * Rounds a number to the closest integer. The big integers don't change
+ * @param {number|bigint} x The number
+ * @return {number|bigint} The rounded number
+ */
+math.round = (x) => {
+  checkNumbers([x], 'round');
+  return typeof x === 'bigint' ? x : Math.round(x);
+};
+
+/**
+ * Gets the smallest of some numbers
+ * @param {...(number|bigint)} values The numbers
+ * @return {number|bigint} The smallest one
+ * @throws Will throw if there aren't any numbers
+ */
+math.min = (...values) => {
+  checkNumbers(values, 'min');
+  if (values.length === 0) {
+    throw new RangeError('min needs at least one number');
+  }
+  return values.reduce((a, b) => b < a ? b : a);
+};
+
+/**
+ * Gets the biggest of some numbers
+ * @param {...(number|bigint)} values The numbers
+ * @return {number|bigint} The biggest one
+ * @throws Will throw if there aren't any numbers
+ */
+math.max = (...values) => {
+  checkNumbers(values, 'max');
+  if (values.length === 0) {
+    throw new RangeError('max needs at least one number');
+  }
+  return values.reduce((a, b) => b > a ? b : a);
+};
+
+/**
+ * Gets the square root of a number. The one of a big integer is rounded
+ *     down
+ * @param {number|bigint} x The number
+ * @return {number|bigint} The square root
+ * @throws Will throw if it is a negative big integer
+ */
+math.sqrt = (x) => {
+  checkNumbers([x], 'sqrt');
+  if (typeof x === 'number') {
+    return Math.sqrt(x);
+  }
+  if (x < 0n) {
+    throw new RangeError('The square root of a negative big integer');
+  }
+  // Newton's method, which gets closer from above
+  const improve = (root) => {
+    const next = (root + x / root) / 2n;
+    return next < root ? improve(next) : root;
+  };
+  return x < 2n ? x : improve(x);
+};
+
+/**
+ * Raises a number to a power, like **
+ * @param {number|bigint} base The base
+ * @param {number|bigint} exponent The exponent
+ * @return {number|bigint} The power
+ */
+math.pow = (base, exponent) => {
+  checkNumbers([base, exponent], 'pow');
+  return base ** exponent;
+};
+
+/**
+ * Divides two numbers and drops the decimals, so div(a, b) * b + %(a, b)
+ *     is a
+ * @param {number|bigint} a The dividend
+ * @param {number|bigint} b The divisor
+ * @return {number|bigint} The quotient
+ */
+math.div = (a, b) => {
+  checkNumbers([a, b], 'div');
+  return typeof a === 'bigint' && typeof b === 'bigint' ?
+      a / b : Math.trunc(Number(a) / Number(b));
+};
+
+/**
+ * The trigonometric functions, in radians
+ */
+['sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2'].forEach((name) => {
+  math[name] = (...args) => {
+    checkNumbers(args, name);
+    return Math[name](...args);
+  };
+});
+
+/**
+ * Creates random and seed-random with a generator of random numbers of
+ *     their own, so the seed a program gives doesn't change the numbers of
+ *     the programs of other interpreters
+ * @return {object} The functions
+ */
+const createRandom = () => {
+  /**
+   * The state of the generator after it has been seeded. Until then, the
+   *     random numbers come from Math.random
+   */
+  let state = undefined;
+
+  /**
+   * Gets the next random number, with the algorithm Mulberry32 if the
+   *     generator has a seed
+   * @return {number} A number between 0 and 1, without 1
+   */
+  const next = () => {
+    if (state === undefined) {
+      return Math.random();
+    }
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const functions = Object.create(null);
+
+  /**
+   * Gets a random number. The generator can be seeded with seed-random to
+   *     get the same numbers each time
+   * @param {number} [max] If it is given, the number is an integer between
+   *     0 and max, without max
+   * @return {number} The number, between 0 and 1 without max if there is
+   *     no max
+   * @throws Will throw if max isn't a positive integer
+   */
+  functions.random = (...max) => {
+    if (max.length === 0) {
+      return next();
+    }
+    if (!Number.isInteger(max[0]) || max[0] <= 0) {
+      throw new RangeError('The maximum of random must be a positive integer');
+    }
+    return Math.floor(next() * max[0]);
+  };
+
+  /**
+   * Seeds the generator of random numbers
+   * @param {number} [seed] An integer. Without a seed, the numbers are
+   *     unpredictable again
+   * @return {number} The seed
+   * @throws Will throw if the seed isn't an integer
+   */
+  functions['seed-random'] = (seed = undefined) => {
+    if (seed !== undefined && !Number.isInteger(seed)) {
+      throw new TypeError('The seed of seed-random must be an integer');
+    }
+    state = seed === undefined ? undefined : seed | 0;
+    return seed;
+  };
+
+  return functions;
+};
+
+/**
+ * The random numbers of the transpiled programs, which run in a process of
+ *     their own
+ */
+Object.assign(math, createRandom());
+
+/**
+ * Creates an integer of any size
+ * @param {number|string|bigint} value An integer or a string with one
+ * @return {bigint} The big integer
+ * @throws Will throw if the value isn't an integer
+ */
+math.big = (value) => {
+  if (!['number', 'string', 'bigint'].includes(typeof value)) {
+    throw new TypeError('big needs a number or a string');
+  }
+  try {
+    return BigInt(value);
+  } catch (error) {
+    throw new RangeError(`${String(value)} isn't an integer`);
+  }
+};
+
+/**
+ * Converts a big integer to a number, which can lose precision
+ * @param {number|bigint} value The big integer
+ * @return {number} The number
+ */
+math.number = (value) => {
+  checkNumbers([value], 'number');
+  return Number(value);
+};
+
+module.exports = {math, createRandom};
@@ -0,0 +1,158 @@
+// @ts-check
+/**
+ * @description The file with the methods Please adds to the values. They
+ *     are kept in a table instead of the prototypes, so the objects of the
+ *     host don't change
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 29/04/2021
+ * @module PleaseLangMethods
+ */
+
+'use strict';
+
+const {checkProperty} = require('../sandbox.js');
+const {operations} = require('./operators.js');
+
+/**
+ * The methods the numbers have, the arithmetic operators, which take any
+ *     number of operands
+ */
+const numberMethods = Object.create(null);
+
+['+', '-', '*', '/', '%', '**'].forEach((op) => {
+  numberMethods[op] = operations[op];
+});
+
+/**
+ * Creates the functions that index the values and find their methods for
+ *     an interpreter. While it runs a sandboxed program they can't reach
+ *     the blocked properties
+ * @param {object} [runtime] The state of the interpreter. Without it they
+ *     never check the properties, like in the transpiled programs
+ * @return {object} The functions sub, assign and member
+ */
+const createMethods = (runtime) => {
+  /**
+   * Indexes an object with several levels of depth
+   * @param {*} object The object
+   * @param  {...*} indexes The indexes
+   * @return {*} The element behind that index
+   */
+  const sub = (object, ...indexes) => {
+    indexes[0] = checkProperty(indexes[0], runtime);
+    if (indexes[0] < 0 && object instanceof Array) {
+      indexes[0] += object.length;
+    }
+    if (object[indexes[0]] == undefined) {
+      return undefined;
+    }
+    const rest = indexes.slice(1);
+    if (rest.length === 0) {
+      return object[indexes[0]];
+    }
+    return sub(object[indexes[0]], ...rest);
+  };
+
+  /**
+   * Assigns a value to a certain position in an object. The position can be
+   *     indexed through more than one level
+   * @param {*} object The object
+   * @param  {*} value The value to assign
+   * @param  {...*} indexes The indexes
+   * @throws Will throw if the object or one of the levels isn't indexable
+   */
+  const assign = (object, value, ...indexes) => {
+    if (typeof object !== 'object' || object == undefined) {
+      throw new TypeError(
+          `The object ${JSON.stringify(object)} isn't indexable`,
+      );
+    }
+    indexes[0] = checkProperty(indexes[0], runtime);
+    if (indexes[0] < 0 && object instanceof Array) {
+      indexes[0] += object.length;
+    }
+    const rest = indexes.slice(1);
+    if (rest.length === 0) {
+      object[indexes[0]] = value;
+      return;
+    }
+    assign(object[indexes[0]], value, ...rest);
+  };
+
+  /**
+   * The methods every value has. Each one receives the value and the
+   *     arguments of the call
+   */
+  const valueMethods = Object.create(null);
+
+  valueMethods.sub = sub;
+
+  valueMethods['='] = assign;
+
+  /**
+   * Finds the method of the table a value has
+   * @param {*} object The value
+   * @param {string} name The name of the method
+   * @return {function|undefined} The method, or undefined if there isn't
+   *     one
+   */
+  const findMethod = (object, name) => {
+    if (typeof object === 'number' && name in numberMethods) {
+      return numberMethods[name];
+    }
+    return valueMethods[name];
+  };
+
+  /**
+   * Computes what a method call evaluates to. The properties of the value
+   *     hide the methods of the table with the same name
+   * @param {*} object The value, it can't be null or undefined
+   * @param {string} name The name of the property
+   * @param {Array} args The arguments of the method call
+   * @return {*} The property or, if it's a method, a function that calls
+   *     it with the arguments and the ones it receives
+   */
+  const member = (object, name, args) => {
+    if (!(name in Object(object))) {
+      const method = findMethod(object, name);
+      if (method !== undefined) {
+        return (...rest) => method(object, ...args, ...rest);
+      }
+    }
+    if (typeof object[name] !== 'function') {
+      return object[name];
+    }
+    return (...rest) => object[name](...args, ...rest);
+  };
+
+  return {sub, assign, member};
+};
+
+/**
+ * The functions of each interpreter, created the first time they are used
+ */
+const instances = new WeakMap();
+
+/**
+ * Finds the functions that index the values for an interpreter
+ * @param {object} runtime The state of the interpreter
+ * @return {object} The functions sub, assign and member
+ */
+const methodsOf = (runtime) => {
+  if (!instances.has(runtime)) {
+    instances.set(runtime, createMethods(runtime));
+  }
+  return instances.get(runtime);
+};
+
+/**
+ * The functions of the programs that don't run in an interpreter
+ */
+const {sub, assign, member} = createMethods(undefined);
+
+module.exports = {
+  sub,
+  assign,
+  member,
+  methodsOf,
+};
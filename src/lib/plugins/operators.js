@@ -0,0 +1,117 @@
+// @ts-check
+/**
+ * @description The file with the operators of the Please lang. Most of them
+ *     take any number of operands: the arithmetic and logical ones combine
+ *     them from left to right and the comparisons are chained, so <(a, b, c)
+ *     means that a < b and b < c. As in maths, -(a) is the opposite of a
+ *     and /(a) its inverse
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangOperators
+ */
+
+'use strict';
+
+/**
+ * The minimum and maximum number of operands of each operator
+ */
+const ARITIES = {
+  '+': [1, Infinity],
+  '-': [1, Infinity],
+  '*': [1, Infinity],
+  '/': [1, Infinity],
+  '%': [2, 2],
+  '**': [2, 2],
+  '==': [2, Infinity],
+  '!=': [2, Infinity],
+  '<': [2, Infinity],
+  '>': [2, Infinity],
+  '<=': [2, Infinity],
+  '>=': [2, Infinity],
+  '&&': [1, Infinity],
+  '||': [1, Infinity],
+  '!': [1, 1],
+};
+
+/**
+ * Checks if an operator can be used with a number of operands
+ * @param {string} name The operator
+ * @param {number} count The number of operands
+ * @return {boolean} If it can
+ */
+const acceptsOperands = (name, count) => {
+  const [min, max] = ARITIES[name];
+  return count >= min && count <= max;
+};
+
+/**
+ * Checks the number of operands of an operator
+ * @param {string} name The operator
+ * @param {number} count The number of operands
+ * @throws Will throw if the operator can't be used with that many
+ */
+const checkOperands = (name, count) => {
+  if (acceptsOperands(name, count)) {
+    return;
+  }
+  const [min, max] = ARITIES[name];
+  let expected = String(min);
+  if (max === Infinity) {
+    expected = `at least ${min}`;
+  }
+  throw new TypeError(`Wrong number of operands to ${name}: expected ` +
+      `${expected} but got ${count}`);
+};
+
+/**
+ * Creates an operator that combines its operands from left to right
+ * @param {string} name The operator
+ * @param {function} combine The function that combines two operands
+ * @param {function} [single] The function that gives the result of a single
+ *     operand. By default it is the operand itself
+ * @return {function} The operator
+ */
+const fold = (name, combine, single = (a) => a) => (...operands) => {
+  checkOperands(name, operands.length);
+  if (operands.length === 1) {
+    return single(operands[0]);
+  }
+  return operands.reduce((a, b) => combine(a, b));
+};
+
+/**
+ * Creates a comparison that checks each operand against the next one
+ * @param {string} name The operator
+ * @param {function} compare The function that compares two operands
+ * @return {function} The operator
+ */
+const chain = (name, compare) => (...operands) => {
+  checkOperands(name, operands.length);
+  return operands.slice(1).every((b, i) => compare(operands[i], b));
+};
+
+/**
+ * The functions of the operators
+ */
+const operations = Object.create(null);
+
+operations['+'] = fold('+', (a, b) => a + b);
+operations['-'] = fold('-', (a, b) => a - b, (a) => -a);
+operations['*'] = fold('*', (a, b) => a * b);
+operations['/'] = fold('/', (a, b) => a / b, (a) => 1 / a);
+operations['%'] = fold('%', (a, b) => a % b);
+operations['**'] = fold('**', (a, b) => a ** b);
+operations['=='] = chain('==', (a, b) => a == b);
+operations['!='] = chain('!=', (a, b) => a != b);
+operations['<'] = chain('<', (a, b) => a < b);
+operations['>'] = chain('>', (a, b) => a > b);
+operations['<='] = chain('<=', (a, b) => a <= b);
+operations['>='] = chain('>=', (a, b) => a >= b);
+operations['&&'] = fold('&&', (a, b) => a && b);
+operations['||'] = fold('||', (a, b) => a || b);
+operations['!'] = (...operands) => {
+  checkOperands('!', operands.length);
+  return !operands[0];
+};
+
+module.exports = {operations, acceptsOperands};
@@ -9,14 +9,22 @@
 
 'use strict';
 
-const {topScope} = require('./top-scope.js');
 require('colors');
 
-topScope.exit = () => {
-  console.log('\nPlease come back soon!'.blue);
+/**
+ * The plugin with the functions of the REPL
+ */
+const replPlugin = {
+  name: 'repl',
+  globals: {
+    exit: () => {
+      console.log('\nPlease come back soon!'.blue);
+    },
+    help: () => {
+      console.log('help()'.blue + ' shows this message'.green);
+      console.log('exit() or CTRL-D'.blue + ' exits the REPL'.green);
+    },
+  },
 };
 
-topScope.help = () => {
-  console.log('help()'.blue + ' shows this message'.green);
-  console.log('exit() or CTRL-D'.blue + ' exits the REPL'.green);
-};
+module.exports = replPlugin;
@@ -1,6 +1,6 @@
 // @ts-check
 /**
- * @description The file with the keywords of the Please lang
+ * @description The file with the require function of the Please lang
  * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
  * @since 22/04/2021
  * @module PleaseLangRequirePlugin
@@ -8,20 +8,30 @@
 
 'use strict';
 
-const {topScope} = require('./top-scope.js');
-const {runFromFile} = require('../interpreter.js');
+const {resolveModule} = require('../modules.js');
 
-const requireResults = Object.create(null);
-
-topScope.require = (filePath) => {
-  if (typeof filePath !== 'string') {
-    throw new Error('Invalid argument for require, expected a string');
-  }
-  if (requireResults[filePath] != undefined) {
-    return requireResults[filePath];
-  } else {
-    const result = runFromFile(filePath);
-    requireResults[filePath] = result;
-    return result;
-  }
+/**
+ * The plugin with the require function. It runs a file or the entry file of
+ *     a Please package and returns its value, which is kept in the cache of
+ *     modules of the interpreter. The paths start at the current folder
+ */
+const requirePlugin = {
+  name: 'require',
+  install: (interpreter) => {
+    interpreter.topScope.require = (filePath) => {
+      if (typeof filePath !== 'string') {
+        throw new Error('Invalid argument for require, expected a string');
+      }
+      const key = resolveModule(filePath, undefined, process.cwd());
+      if (interpreter.modules[key] != undefined) {
+        return interpreter.modules[key];
+      } else {
+        const result = interpreter.runFromFile(key);
+        interpreter.modules[key] = result;
+        return result;
+      }
+    };
+  },
 };
+
+module.exports = requirePlugin;
@@ -0,0 +1,265 @@
+// @ts-check
+/**
+ * @description The file with the string library of the Please lang. The
+ *     interpreter adds these functions to the top scope and the transpiled
+ *     programs call them from here, so both behave in the same way
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangStrings
+ */
+
+'use strict';
+
+const XRegExp = require('xregexp');
+const {checkProperty} = require('../sandbox.js');
+
+/**
+ * Checks that an argument of a function of the library is a string
+ * @param {*} value The argument
+ * @param {string} name The name of the function
+ * @param {string} [position] The position of the argument
+ * @throws Will throw if it isn't a string
+ */
+const checkString = (value, name, position = 'first') => {
+  if (typeof value !== 'string') {
+    throw new TypeError(`The ${position} argument to ${name} must be a string`);
+  }
+};
+
+/**
+ * Checks that a pattern is a string or a regular expression
+ * @param {*} pattern The pattern
+ * @param {string} name The name of the function that uses it
+ * @throws Will throw if it isn't
+ */
+const checkPattern = (pattern, name) => {
+  if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+    throw new TypeError(
+        `The second argument to ${name} must be a string or a regular ` +
+        'expression',
+    );
+  }
+};
+
+/**
+ * The functions of the library that don't use the state of the interpreter
+ */
+const common = Object.create(null);
+
+/**
+ * Splits a string
+ * @param {string} string The string
+ * @param {string|RegExp} separator The string or the regular expression
+ *     that separates the parts
+ * @param {number} [limit] The maximum number of parts
+ * @return {Array<string>} The parts
+ */
+common.split = (string, separator, limit = undefined) => {
+  checkString(string, 'split');
+  checkPattern(separator, 'split');
+  return XRegExp.split(string, separator, limit);
+};
+
+/**
+ * Joins the elements of an array in a string
+ * @param {Array} array The array
+ * @param {string} [separator] The string between the elements, none by
+ *     default
+ * @return {string} The string
+ */
+common.join = (array, separator = '') => {
+  if (!Array.isArray(array)) {
+    throw new TypeError('The first argument to join must be an array');
+  }
+  checkString(separator, 'join', 'second');
+  return array.join(separator);
+};
+
+/**
+ * Removes the whitespace at both ends of a string
+ * @param {string} string The string
+ * @return {string} The trimmed string
+ */
+common.trim = (string) => {
+  checkString(string, 'trim');
+  return string.trim();
+};
+
+/**
+ * Removes the whitespace at the start of a string
+ * @param {string} string The string
+ * @return {string} The trimmed string
+ */
+common['trim-start'] = (string) => {
+  checkString(string, 'trim-start');
+  return string.trimStart();
+};
+
+/**
+ * Removes the whitespace at the end of a string
+ * @param {string} string The string
+ * @return {string} The trimmed string
+ */
+common['trim-end'] = (string) => {
+  checkString(string, 'trim-end');
+  return string.trimEnd();
+};
+
+/**
+ * Pads the start of a string until it has a length
+ * @param {string} string The string
+ * @param {number} length The length
+ * @param {string} [fill] The string used to pad, a space by default
+ * @return {string} The padded string
+ */
+common['pad-start'] = (string, length, fill = ' ') => {
+  checkString(string, 'pad-start');
+  checkString(fill, 'pad-start', 'third');
+  return string.padStart(length, fill);
+};
+
+/**
+ * Pads the end of a string until it has a length
+ * @param {string} string The string
+ * @param {number} length The length
+ * @param {string} [fill] The string used to pad, a space by default
+ * @return {string} The padded string
+ */
+common['pad-end'] = (string, length, fill = ' ') => {
+  checkString(string, 'pad-end');
+  checkString(fill, 'pad-end', 'third');
+  return string.padEnd(length, fill);
+};
+
+/**
+ * Replaces every match of a pattern in a string. The replacement can refer
+ *     to the groups of a regular expression, as in $1 or ${name}, or be a
+ *     function that receives the match and the groups
+ * @param {string} string The string
+ * @param {string|RegExp} pattern The text or the regular expression
+ * @param {string|function} replacement The replacement
+ * @return {string} The new string
+ */
+common.replace = (string, pattern, replacement) => {
+  checkString(string, 'replace');
+  checkPattern(pattern, 'replace');
+  if (typeof replacement === 'function') {
+    const replace = replacement;
+    // The groups are followed by the position of the match, a number
+    replacement = (match, ...rest) => {
+      const groups = rest.slice(0, rest.findIndex(Number.isInteger));
+      return replace(match, ...groups);
+    };
+  }
+  return XRegExp.replace(string, pattern, replacement, 'all');
+};
+
+/**
+ * Converts a string to upper case
+ * @param {string} string The string
+ * @return {string} The string in upper case
+ */
+common.upper = (string) => {
+  checkString(string, 'upper');
+  return string.toUpperCase();
+};
+
+/**
+ * Converts a string to lower case
+ * @param {string} string The string
+ * @return {string} The string in lower case
+ */
+common.lower = (string) => {
+  checkString(string, 'lower');
+  return string.toLowerCase();
+};
+
+/**
+ * Gets a part of a string. The negative indexes count from the end
+ * @param {string} string The string
+ * @param {number} start The index where the part starts
+ * @param {number} [end] The index after the part, the end by default
+ * @return {string} The part
+ */
+common.slice = (string, start, end = undefined) => {
+  checkString(string, 'slice');
+  return string.slice(start, end);
+};
+
+/**
+ * Gets the code point of a character of a string
+ * @param {string} string The string
+ * @param {number} [index] The index of the character, the first by default
+ * @return {number|undefined} The code or undefined if there isn't a
+ *     character in that index
+ */
+common['char-code'] = (string, index = 0) => {
+  checkString(string, 'char-code');
+  return string.codePointAt(index);
+};
+
+/**
+ * Creates a string from code points
+ * @param {...number} codes The codes
+ * @return {string} The string
+ */
+common['from-char-code'] = (...codes) => {
+  return String.fromCodePoint(...codes);
+};
+
+/**
+ * Replaces the placeholders of a template. {} is the next value, {n} the
+ *     value n and {key} the property key of the first value. {{ and }} are
+ *     the braces themselves
+ * @param {string} template The template
+ * @param {Array} values The values
+ * @param {object} [runtime] The state of the interpreter, whose sandbox
+ *     checks the property keys
+ * @return {string} The string
+ * @throws Will throw if a placeholder doesn't have a value
+ */
+const format = (template, values, runtime) => {
+  checkString(template, 'format');
+  let next = 0;
+  return template.replace(/\{\{|\}\}|\{([^{}]*)\}/g, (match, key) => {
+    if (key === undefined) {
+      return match[0];
+    }
+    let found = false;
+    let value = undefined;
+    if (key === '') {
+      found = next < values.length;
+      value = values[next++];
+    } else if (/^\d+$/.test(key)) {
+      found = Number(key) < values.length;
+      value = values[Number(key)];
+    } else if (values[0] != undefined) {
+      checkProperty(key, runtime);
+      found = key in Object(values[0]);
+      value = values[0][key];
+    }
+    if (!found) {
+      throw new RangeError(`There isn't a value for {${key}} in format`);
+    }
+    return String(value);
+  });
+};
+
+/**
+ * Creates the functions of the library for an interpreter
+ * @param {object} [runtime] The state of the interpreter
+ * @return {object} The functions
+ */
+const createStrings = (runtime) => {
+  return Object.assign(Object.create(null), common, {
+    format: (template, ...values) => format(template, values, runtime),
+  });
+};
+
+/**
+ * The functions of the library for the programs that don't run in an
+ *     interpreter, like the transpiled ones
+ */
+const strings = createStrings(undefined);
+
+module.exports = {strings, createStrings};
@@ -0,0 +1,179 @@
+// @ts-check
+/**
+ * @description The file with the library of the Please lang to write
+ *     scripts: it reads and writes files and gets the arguments and the
+ *     environment of the process. The sandboxed programs don't have it
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangSystem
+ */
+
+'use strict';
+
+const fs = require('fs');
+const {defaultRuntime} = require('../runtime.js');
+
+/**
+ * The arguments of the script. By default they are the ones after the
+ *     file of the process, as in a transpiled program
+ */
+let scriptArguments = process.argv.slice(2);
+
+/**
+ * Checks that a path is a string
+ * @param {*} path The path
+ * @param {string} name The name of the function that receives it
+ * @throws Will throw if it isn't a string
+ */
+const checkPath = (path, name) => {
+  if (typeof path !== 'string') {
+    throw new TypeError(`The path given to ${name} must be a string`);
+  }
+};
+
+/**
+ * The functions of the library that don't use the state of the interpreter
+ */
+const common = Object.create(null);
+
+/**
+ * Reads a text file
+ * @param {string} path The path of the file
+ * @return {string} The content of the file
+ * @throws Will throw if the file can't be read
+ */
+common['read-file'] = (path) => {
+  checkPath(path, 'read-file');
+  return fs.readFileSync(path, 'utf8');
+};
+
+/**
+ * Writes a text file, replacing its content if it exists
+ * @param {string} path The path of the file
+ * @param {string} text The content
+ * @return {string} The content
+ * @throws Will throw if the file can't be written
+ */
+common['write-file'] = (path, text) => {
+  checkPath(path, 'write-file');
+  if (typeof text !== 'string') {
+    throw new TypeError('The content given to write-file must be a string');
+  }
+  fs.writeFileSync(path, text);
+  return text;
+};
+
+/**
+ * Checks if a file or a folder exists
+ * @param {string} path The path
+ * @return {boolean} If it exists
+ */
+common['file-exists'] = (path) => {
+  checkPath(path, 'file-exists');
+  return fs.existsSync(path);
+};
+
+/**
+ * Lists the files and folders inside a folder
+ * @param {string} [path] The path of the folder, the current one by default
+ * @return {Array<string>} Their names, in alphabetical order
+ * @throws Will throw if the folder can't be read
+ */
+common['list-dir'] = (path = '.') => {
+  checkPath(path, 'list-dir');
+  return fs.readdirSync(path).sort();
+};
+
+/**
+ * Gets the command line arguments of the script
+ * @return {Array<string>} The arguments after the file of the script
+ */
+common.args = () => {
+  return scriptArguments.slice();
+};
+
+/**
+ * Gets the environment variables
+ * @param {string} [name] The name of a variable
+ * @return {string|object|undefined} The value of the variable or, if there
+ *     isn't a name, a hash with all of them
+ */
+common.env = (...name) => {
+  if (name.length === 0) {
+    return Object.assign({}, process.env);
+  }
+  return process.env[name[0]];
+};
+
+/**
+ * Sets the status the process exits with when the script ends
+ * @param {number} code An integer between 0 and 255
+ * @param {object} [runtime] The state of the interpreter that keeps the
+ *     status. The transpiled programs don't have one
+ * @return {number} The code
+ * @throws Will throw if it isn't a valid status
+ */
+const setExitCode = (code, runtime) => {
+  if (!Number.isInteger(code) || code < 0 || code > 255) {
+    throw new RangeError('The exit code must be an integer between 0 and 255');
+  }
+  if (runtime !== undefined) {
+    runtime.exitCode = code;
+  }
+  return code;
+};
+
+/**
+ * Creates the functions of the library for an interpreter
+ * @param {object} [runtime] The state of the interpreter
+ * @return {object} The functions
+ */
+const createSystem = (runtime) => {
+  return Object.assign(Object.create(null), common, {
+    'exit-code': (code) => setExitCode(code, runtime),
+  });
+};
+
+/**
+ * The functions of the library for the programs that don't run in an
+ *     interpreter, like the transpiled ones
+ */
+const system = createSystem(undefined);
+
+/**
+ * Sets the command line arguments of the script
+ * @param {Array<string>} args The arguments after the file of the script
+ */
+const setArguments = (args) => {
+  scriptArguments = args.slice();
+};
+
+/**
+ * Forgets the status set with exit-code, so it doesn't carry into the next
+ *     run. The executables call it before running the file they receive
+ * @param {object} [runtime] The state of the interpreter, the one of the
+ *     process by default
+ */
+const resetExitCode = (runtime = defaultRuntime) => {
+  runtime.exitCode = undefined;
+};
+
+/**
+ * Finds the status a process exits with after running a script. What the
+ *     script returns doesn't change it
+ * @param {object} [runtime] The state of the interpreter that ran it, the
+ *     one of the process by default
+ * @return {number} The status the script set with exit-code since the last
+ *     reset or 0
+ */
+const exitStatus = (runtime = defaultRuntime) => {
+  return runtime.exitCode !== undefined ? runtime.exitCode : 0;
+};
+
+module.exports = {
+  system,
+  createSystem,
+  setArguments,
+  resetExitCode,
+  exitStatus,
+};
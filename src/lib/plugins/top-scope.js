@@ -8,6 +8,47 @@
 
 'use strict';
 
+const {methodsOf} = require('./methods.js');
+const {operations} = require('./operators.js');
+const {createStrings} = require('./strings.js');
+const {createCollections, createHash} = require('./collections.js');
+const {math, createRandom} = require('./math.js');
+const {createSystem} = require('./system.js');
+const {createJSON} = require('./json.js');
+const {defaultRuntime} = require('../runtime.js');
+
+/**
+ * Creates the functions of the top scope that use the state of the
+ *     interpreter, the ones that count steps or check the properties in its
+ *     sandbox and the ones to write scripts, which keep its exit code
+ * @param {object} runtime The state of the interpreter
+ * @return {object} The functions
+ */
+const createLibrary = (runtime) => {
+  const library = Object.create(null);
+  const {sub} = methodsOf(runtime);
+
+  /**
+   * A function to access an element of an array
+   * @param {Array} array An array
+   * @param {...*} indexes The index of the position to be accessed
+   * @return {*} The value in that position
+   */
+  library.element = (array, ...indexes) => {
+    return sub(array, ...indexes);
+  };
+
+  /**
+   * A function to create hashes
+   * @param {...*} args The arguments are ordered as keys and then
+   *     the value for that key
+   * @return {object} The newly created object
+   */
+  library.hash = (...args) => createHash(args, runtime);
+
+  return Object.assign(library, createStrings(runtime),
+      createCollections(runtime), createJSON(runtime), createSystem(runtime));
+};
 
 /**
  * Some functions that are always available in Please
@@ -37,10 +78,8 @@ topScope.XRegExp = require('xregexp');
 /**
  * The basic Please operators
  */
-const operators = ['+', '-', '*', '/', '==', '!=', '<', '>', '&&', '||'];
-operators.forEach((op) => {
-  topScope[op] = Function('a, b', `return a ${op} b;`);
-});
+Object.assign(topScope, operations);
+const operators = Object.keys(operations);
 
 /**
  * A function to print a line
@@ -71,33 +110,22 @@ topScope.len = topScope.length = (array) => {
 };
 
 /**
- * A function to access an element of an array
- * @param {Array} array An array
- * @param {...*} indexes The index of the position to be accessed
- * @return {*} The value in that position
+ * The functions to access elements and create hashes and the ones of the
+ *     string, collection, JSON and system libraries, for the interpreter of
+ *     the process
  */
-topScope.element = (array, ...indexes) => {
-  // @ts-ignore
-  return array.sub(...indexes);
-};
+Object.assign(topScope, createLibrary(defaultRuntime));
 
 /**
- * A function to create hashes or maps
- * @param {...*} args The arguments are ordered as keys and then
- *     the value for that key
- * @return {object} The newly created object
+ * The functions of the math library. The interpreter of the process has a
+ *     generator of random numbers of its own
  */
-topScope.map = topScope.hash = (...args) => {
-  const hash = {};
-  if (args.length % 2 !== 0) {
-    throw new Error(
-        'To create a hash the number of arguments must be a multiple of two',
-    );
-  }
-  for (let index = 0; index < args.length; index += 2) {
-    hash[args[index]] = args[index + 1];
-  }
-  return hash;
-};
+Object.assign(topScope, math, createRandom());
+
+/**
+ * The bindings of the top scope as they are defined by the language, before
+ *     any plugin changes them
+ */
+const builtinScope = Object.assign(Object.create(null), topScope);
 
-module.exports = {topScope, operators};
+module.exports = {topScope, builtinScope, operators, createLibrary};
@@ -10,9 +10,35 @@
 
 'use strict';
 
-const preface = (() => {
+/**
+ * Gets the code of the body of a function
+ * @param {function} fn The function
+ * @return {string} The code
+ */
+const bodyOf = (fn) => {
+  return fn.toString().split('\n').slice(1, -1)
+      .map((line) => line.slice(2)).join('\n');
+};
+
+const preface = bodyOf(() => {
   const $XRegExp = require('xregexp');
-  require('../lib/plugins/monkey-patch.js');
-}).toString().split('\n').slice(1, -1).map((line) => line.slice(2)).join('\n');
+  const $methods = require('../lib/plugins/methods.js');
+  const $operators = require('../lib/plugins/operators.js').operations;
+  const $strings = require('../lib/plugins/strings.js').strings;
+  const $collections = require('../lib/plugins/collections.js').collections;
+  const $math = require('../lib/plugins/math.js').math;
+  const $system = require('../lib/plugins/system.js').system;
+  const $json = require('../lib/plugins/json.js').json;
+  const $exceptions = require('../lib/plugins/exceptions.js');
+});
+
+/**
+ * The code the programs that use modules also need
+ */
+const modulesPreface = bodyOf(() => {
+  const $modules = require('../lib/modules.js');
+  const $imports = new $modules.ModuleRegistry();
+  const $exports = Object.create(null);
+});
 
-module.exports = {preface};
+module.exports = {preface, modulesPreface};
@@ -0,0 +1,112 @@
+// @ts-check
+/**
+ * @description The file with the base protocol shared by the Debug Adapter
+ *     Protocol and the Language Server Protocol servers. Each message is
+ *     a JSON object preceded by a header with its length
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangProtocol
+ */
+
+'use strict';
+
+/**
+ * The separator between the header and the content of a message
+ */
+const HEADER_END = '\r\n\r\n';
+
+/**
+ * Encodes a message with the base protocol
+ * @param {object} message The message
+ * @return {string} The message with its header
+ */
+const encodeMessage = (message) => {
+  const content = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(content)}${HEADER_END}` +
+      content;
+};
+
+/**
+ * A class that decodes the messages of the base protocol from chunks of
+ *     input
+ */
+class MessageReader {
+  /**
+   * The constructor
+   */
+  constructor() {
+    /**
+     * @private
+     */
+    this.buffer_ = Buffer.alloc(0);
+  }
+
+  /**
+   * Adds a chunk of input
+   * @param {Buffer|string} chunk The chunk
+   */
+  push(chunk) {
+    this.buffer_ = Buffer.concat([this.buffer_, Buffer.from(chunk)]);
+  }
+
+  /**
+   * Extracts the next complete message
+   * @return {object|undefined} The message or undefined if there isn't a
+   *     complete one yet
+   * @throws Will throw if the header of the message is invalid
+   */
+  next() {
+    const headerEnd = this.buffer_.indexOf(HEADER_END);
+    if (headerEnd === -1) {
+      return undefined;
+    }
+    const header = this.buffer_.slice(0, headerEnd).toString();
+    const match = /Content-Length: *(\d+)/i.exec(header);
+    if (match == null) {
+      throw new SyntaxError(`Invalid message header: ${header}`);
+    }
+    const start = headerEnd + HEADER_END.length;
+    const end = start + Number(match[1]);
+    if (this.buffer_.length < end) {
+      return undefined;
+    }
+    const content = this.buffer_.slice(start, end).toString();
+    this.buffer_ = this.buffer_.slice(end);
+    return JSON.parse(content);
+  }
+}
+
+/**
+ * Creates a transport that reads and writes messages of the base protocol
+ * @param {function} readChunk A function that returns the next chunk of
+ *     input, waiting for it if necessary, or null if the input has ended
+ * @param {function} writeText A function that writes text to the output
+ * @return {object} An object with a read function, that returns the next
+ *     message or null, and a write function, that sends a message
+ */
+const createTransport = (readChunk, writeText) => {
+  const reader = new MessageReader();
+  return {
+    read: () => {
+      let message = reader.next();
+      while (message === undefined) {
+        const chunk = readChunk();
+        if (chunk == null) {
+          return null;
+        }
+        reader.push(chunk);
+        message = reader.next();
+      }
+      return message;
+    },
+    write: (message) => {
+      writeText(encodeMessage(message));
+    },
+  };
+};
+
+module.exports = {
+  encodeMessage,
+  MessageReader,
+  createTransport,
+};
@@ -0,0 +1,200 @@
+// @ts-check
+/**
+ * @description The file with the resolver of the Please lang. It finds the
+ *     scope each word refers to before running the program, so the
+ *     interpreter can access the bindings by their slot
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangResolver
+ */
+
+'use strict';
+
+const {Word, Call, MethodCall, keywords} = require('./ast.js');
+const {Layout, EMPTY_LAYOUT} = require('./environment.js');
+const {topScope} = require('./plugins/top-scope.js');
+const {locate} = require('./errors.js');
+const {tryClauses} = require('./plugins/keywords.js');
+
+/**
+ * The keywords that create a binding in the current scope
+ */
+const DEFINITION_KEYWORDS = ['let', 'def', ':='];
+
+/**
+ * The keywords that create a function
+ */
+const FUNCTION_KEYWORDS = ['fn', 'function', '->'];
+
+/**
+ * The keywords that evaluate all their arguments in a new scope
+ */
+const BLOCK_KEYWORDS = ['do', 'run', 'while', 'for'];
+
+/**
+ * The keywords that evaluate all their arguments in the current scope
+ */
+const PLAIN_KEYWORDS = [
+  'if', 'assign', 'set', '=', 'export', 'js-require', 'throw',
+];
+
+/**
+ * Stores a property in a node without making it enumerable, so it isn't
+ *     part of the JSON of the AST
+ * @param {object} node The node
+ * @param {string} key The name of the property
+ * @param {*} value The value
+ */
+const annotate = (node, key, value) => {
+  Object.defineProperty(node, key, {value, writable: true, configurable: true});
+};
+
+/**
+ * Resolves the words of a program. Each word gets the depth of the scope
+ *     that defines it, counting from the scope where it is used, and its
+ *     slot in that scope. The words that can refer to bindings created
+ *     while running, like the ones inside an object or the arguments of
+ *     unknown keywords, and the ones of the top scope don't get a slot and
+ *     are looked up by their name. The calls that create a scope get the
+ *     layout of the scope
+ * @param {object} ast The AST of the program
+ * @param {object} [globals] The bindings available to the program, by
+ *     default the top scope
+ * @param {object} [table] The keywords of the program, by default the
+ *     keywords of the language
+ * @return {object} An object with the layout of the outermost scope of the
+ *     program and the list of errors for the words that aren't defined
+ */
+const resolve = (ast, globals = topScope, table = keywords) => {
+  const diagnostics = [];
+  const words = [];
+
+  /**
+   * Creates a scope of the resolver. The dynamic ones can get bindings
+   *     while running that the resolver doesn't know
+   * @param {object|null} parent The enclosing scope
+   * @param {boolean} dynamic If it is dynamic
+   * @param {Layout} [layout] The layout of the scope. The scopes without
+   *     one don't have slots
+   * @return {object} The scope
+   */
+  const newScope = (parent, dynamic, layout = EMPTY_LAYOUT) => {
+    return {parent, dynamic, layout};
+  };
+
+  /**
+   * Creates the scope of a keyword call and stores its layout in the call
+   * @param {object} parent The enclosing scope
+   * @param {object} node The call
+   * @return {object} The scope
+   */
+  const scopeOf = (parent, node) => {
+    const scope = newScope(parent, false, new Layout());
+    annotate(node, 'layout', scope.layout);
+    return scope;
+  };
+
+  const define = (word, scope) => {
+    if (scope.layout !== EMPTY_LAYOUT) {
+      scope.layout.add(word.name);
+    }
+  };
+
+  const visitAll = (nodes, scope) => {
+    nodes.forEach((node) => visit(node, scope));
+  };
+
+  const visitKeyword = (node, scope) => {
+    const name = node.operator.name;
+    const args = node.args;
+    if (DEFINITION_KEYWORDS.includes(name) && args[0] instanceof Word) {
+      visitAll(args.slice(1), scope);
+      define(args[0], scope);
+    } else if (FUNCTION_KEYWORDS.includes(name)) {
+      const fnScope = scopeOf(scope, node);
+      args.forEach((arg, i) => {
+        if (i < args.length - 1 && arg instanceof Word) {
+          define(arg, fnScope);
+        } else {
+          visit(arg, fnScope);
+        }
+      });
+    } else if (BLOCK_KEYWORDS.includes(name)) {
+      visitAll(args, scopeOf(scope, node));
+    } else if (name === 'foreach' && args[0] instanceof Word) {
+      visitAll(args.slice(1, 2), scope);
+      const foreachScope = scopeOf(scope, node);
+      define(args[0], foreachScope);
+      visitAll(args.slice(2), foreachScope);
+    } else if (name === 'try' && tryClauses(args) !== undefined) {
+      const {body, handler, cleanup} = tryClauses(args);
+      visit(body, scopeOf(scope, node));
+      if (handler !== undefined) {
+        const catchScope = scopeOf(scope, handler);
+        define(handler.args[0], catchScope);
+        visit(handler.args[1], catchScope);
+      }
+      if (cleanup !== undefined) {
+        visitAll(cleanup.args, scopeOf(scope, cleanup));
+      }
+    } else if (name === 'import') {
+      args.forEach((arg) => {
+        if (arg instanceof Word) {
+          define(arg, scope);
+        } else {
+          visit(arg, scope);
+        }
+      });
+    } else if (name === 'object') {
+      visitAll(args, newScope(scope, true));
+    } else if (PLAIN_KEYWORDS.includes(name) || name === 'foreach') {
+      visitAll(args, scope);
+    } else {
+      // Other keywords may define bindings or create scopes of their own
+      scope.dynamic = true;
+      visitAll(args, newScope(scope, true));
+    }
+  };
+
+  const visit = (node, scope) => {
+    if (node instanceof Word) {
+      words.push({word: node, scope});
+    } else if (node instanceof Call && node.operator instanceof Word &&
+        node.operator.isKeyword(table)) {
+      visitKeyword(node, scope);
+    } else if (node instanceof Call || node instanceof MethodCall) {
+      visit(node.operator, scope);
+      visitAll(node.args, scope);
+    }
+  };
+
+  const resolveWord = (word, scope) => {
+    annotate(word, 'depth', undefined);
+    annotate(word, 'slot', undefined);
+    annotate(word, 'global', false);
+    for (let depth = 0; scope !== null; scope = scope.parent, depth++) {
+      const slot = scope.layout.slots.get(word.name);
+      if (slot !== undefined) {
+        annotate(word, 'depth', depth);
+        annotate(word, 'slot', slot);
+        return;
+      }
+      if (scope.dynamic) {
+        return;
+      }
+    }
+    annotate(word, 'global', true);
+    if (!(word.name in globals)) {
+      diagnostics.push(locate(
+          new ReferenceError(`Undefined binding: ${word.name}`), word.loc,
+      ));
+    }
+  };
+
+  const root = newScope(null, false, new Layout());
+  visit(ast, root);
+  words.forEach(({word, scope}) => resolveWord(word, scope));
+  return {layout: root.layout, diagnostics};
+};
+
+module.exports = {resolve};
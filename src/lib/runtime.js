@@ -0,0 +1,40 @@
+// @ts-check
+/**
+ * @description The file with the state an interpreter keeps while it runs
+ *     the programs: their call stack, the hooks of the debugger, the
+ *     budget of the sandbox and the exit code. Each interpreter has its
+ *     own, so the programs of one don't see the state of another
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangRuntime
+ */
+
+'use strict';
+
+/**
+ * Creates the state of an interpreter
+ * @return {object} The state. The frames of the call stack have the name
+ *     of the Please function being executed and the location of the call
+ *     and the site is the location of the call that is about to be made.
+ *     If the hooks of the debugger are defined, enter is called before
+ *     evaluating a call and leave after it, even if it throws. While a
+ *     sandboxed program runs, sandbox has the functions that count its
+ *     steps and check its limits. exitCode is the status the programs
+ *     set with exit-code, if they set one
+ */
+const createRuntime = () => ({
+  callStack: {frames: [], site: undefined},
+  debugHooks: {enter: undefined, leave: undefined},
+  sandbox: undefined,
+  exitCode: undefined,
+});
+
+/**
+ * The state of the interpreter shared by the whole process
+ */
+const defaultRuntime = createRuntime();
+
+module.exports = {
+  createRuntime,
+  defaultRuntime,
+};
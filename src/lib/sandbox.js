@@ -0,0 +1,247 @@
+// @ts-check
+/**
+ * @description The file with the sandbox of the Please lang. The sandboxed
+ *     programs have a budget of steps, time and memory and they can't
+ *     access the properties that lead to the host, like constructor
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangSandbox
+ */
+
+'use strict';
+
+/**
+ * The properties the sandboxed programs can't read or write. Through them a
+ *     program could reach the Function constructor or change the prototypes
+ *     of the host
+ */
+const BLOCKED_PROPERTIES = [
+  'constructor',
+  'prototype',
+  '__proto__',
+  '__defineGetter__',
+  '__defineSetter__',
+  '__lookupGetter__',
+  '__lookupSetter__',
+];
+
+/**
+ * The bindings of the top scope the sandboxed programs don't have, because
+ *     they give access to the host
+ */
+const HIDDEN_GLOBALS = [
+  'XRegExp',
+  'require',
+  'read-file',
+  'write-file',
+  'file-exists',
+  'list-dir',
+  'args',
+  'env',
+  'exit-code',
+];
+
+/**
+ * The limits a sandboxed program can have
+ */
+const LIMITS = ['steps', 'time', 'memory'];
+
+/**
+ * The number of steps between two checks of the memory
+ */
+const MEMORY_CHECK_INTERVAL = 1000;
+
+/**
+ * Checks if an interpreter is running a sandboxed program
+ * @param {object} [runtime] The state of the interpreter. The code that
+ *     doesn't run in an interpreter, like the transpiled programs, doesn't
+ *     have one
+ * @return {boolean} If it is sandboxed
+ */
+const isSandboxed = (runtime) => {
+  return runtime !== undefined && runtime.sandbox !== undefined;
+};
+
+/**
+ * Counts a step of the program, a call or an iteration of a loop, if it is
+ *     sandboxed
+ * @param {object} [runtime] The state of the interpreter that runs it
+ * @throws Will throw if the program exceeds its limits
+ */
+const step = (runtime) => {
+  if (isSandboxed(runtime)) {
+    runtime.sandbox.step();
+  }
+};
+
+/**
+ * Checks the value a function returns to a sandboxed program, so a single
+ *     call to a function of the host can't exceed its limits
+ * @param {*} value The value
+ * @param {object} [runtime] The state of the interpreter that runs it
+ * @return {*} The value
+ * @throws Will throw if the program exceeds its limits
+ */
+const checkResult = (value, runtime) => {
+  if (isSandboxed(runtime)) {
+    runtime.sandbox.check(value);
+  }
+  return value;
+};
+
+/**
+ * Checks if a property can't be accessed because a sandboxed program is
+ *     running
+ * @param {*} name The name of the property
+ * @param {object} [runtime] The state of the interpreter that runs it
+ * @return {boolean} If it is blocked
+ */
+const isBlocked = (name, runtime) => {
+  return isSandboxed(runtime) && BLOCKED_PROPERTIES.includes(String(name));
+};
+
+/**
+ * Converts the name of a property to the key the access uses. The objects
+ *     are converted only once, because their toString could give a
+ *     different key each time it is called
+ * @param {*} name The name of the property
+ * @return {*} The key, the name itself if it isn't an object
+ */
+const toPropertyKey = (name) => {
+  if (typeof name === 'function' ||
+      (typeof name === 'object' && name !== null)) {
+    return String(name);
+  }
+  return name;
+};
+
+/**
+ * Checks that a property can be accessed. The access must use the key it
+ *     returns instead of the name, so it can't reach a different property
+ * @param {*} name The name of the property
+ * @param {object} [runtime] The state of the interpreter that runs the
+ *     access
+ * @return {*} The key of the property
+ * @throws Will throw if a sandboxed program is running and the property is
+ *     blocked
+ */
+const checkProperty = (name, runtime) => {
+  const key = toPropertyKey(name);
+  if (isBlocked(key, runtime)) {
+    throw new TypeError(
+        `The property ${String(key)} can't be accessed in the sandbox`,
+    );
+  }
+  return key;
+};
+
+/**
+ * The error of the programs that exceed a limit of the sandbox. It is a
+ *     RangeError that try can't catch, so a program can't ignore its limits
+ */
+class LimitError extends RangeError {}
+
+/**
+ * Estimates the memory a value takes. The strings can be made of pieces
+ *     that V8 only joins when they are read, so the heap doesn't grow when
+ *     they are created
+ * @param {*} value The value
+ * @return {number} The bytes of its characters, if it is a string, or of
+ *     the references to its elements, if it is an array
+ */
+const sizeOf = (value) => {
+  if (typeof value === 'string') {
+    return value.length * 2;
+  }
+  return Array.isArray(value) ? value.length * 8 : 0;
+};
+
+/**
+ * Creates the functions that check the limits of a sandboxed program
+ * @param {object} limits The limits
+ * @return {object} The functions: step counts a step and check checks the
+ *     value a function of the host returns
+ */
+const createSandbox = (limits) => {
+  const {steps = Infinity, time = Infinity, memory = Infinity} = limits;
+  const deadline = Date.now() + time;
+  const baseline = process.memoryUsage().heapUsed;
+  let count = 0;
+  let used = 0;
+  const checkTime = () => {
+    if (Date.now() > deadline) {
+      throw new LimitError(`The program exceeded the time limit of ${time}ms`);
+    }
+  };
+  const checkMemory = (size) => {
+    if (used + size > memory) {
+      throw new LimitError(
+          `The program exceeded the memory limit of ${memory} bytes`,
+      );
+    }
+  };
+  return {
+    step: () => {
+      count++;
+      if (count > steps) {
+        throw new LimitError(
+            `The program exceeded the limit of ${steps} steps`,
+        );
+      }
+      checkTime();
+      if (count % MEMORY_CHECK_INTERVAL === 0) {
+        used = process.memoryUsage().heapUsed - baseline;
+        checkMemory(0);
+      }
+    },
+    check: (value) => {
+      checkTime();
+      checkMemory(sizeOf(value));
+    },
+  };
+};
+
+/**
+ * Runs a function with the sandbox of an interpreter active
+ * @param {object} runtime The state of the interpreter
+ * @param {object} limits The limits of the program. The steps are the
+ *     number of calls and iterations of loops, the time is in milliseconds
+ *     and the memory is the growth of the heap in bytes. The heap is
+ *     measured every thousand steps and includes the garbage that hasn't
+ *     been collected yet. The time and the size of the strings and the
+ *     arrays the functions of the host return are also checked after each
+ *     call. The limits that aren't given don't apply
+ * @param {function} callback The function that runs the program
+ * @return {*} What the function returns
+ * @throws Will throw if the limits aren't valid or the program exceeds them
+ */
+const runSandboxed = (runtime, limits, callback) => {
+  Object.keys(limits).forEach((name) => {
+    if (!LIMITS.includes(name)) {
+      throw new Error(`Unknown limit: ${name}`);
+    }
+    if (typeof limits[name] !== 'number' || !(limits[name] >= 0)) {
+      throw new Error(`The limit ${name} must be a non negative number`);
+    }
+  });
+  const previous = runtime.sandbox;
+  runtime.sandbox = createSandbox(limits);
+  try {
+    return callback();
+  } finally {
+    runtime.sandbox = previous;
+  }
+};
+
+module.exports = {
+  BLOCKED_PROPERTIES,
+  HIDDEN_GLOBALS,
+  LimitError,
+  isSandboxed,
+  step,
+  checkResult,
+  isBlocked,
+  toPropertyKey,
+  checkProperty,
+  runSandboxed,
+};
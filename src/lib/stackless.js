@@ -0,0 +1,796 @@
+// @ts-check
+/**
+ * @description The file with the stackless engine of the Please lang. It
+ *     evaluates the AST with a machine that keeps its own stack of pending
+ *     tasks instead of recursing through evaluate, so the depth of the
+ *     recursion of the Please functions is only limited by the memory
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ * @module PleaseLangStackless
+ */
+
+'use strict';
+
+const {
+  Word,
+  Call,
+  MethodCall,
+  keywordsOf,
+  prepareTailCall,
+} = require('./ast.js');
+const {
+  builtinKeywords,
+  createsFunction,
+  createFunction,
+  createObjectScope,
+  tryClauses,
+} = require('./plugins/keywords.js');
+const {
+  createError,
+  isCatchable,
+  toErrorValue,
+} = require('./plugins/exceptions.js');
+const {locate} = require('./errors.js');
+const {UNSET} = require('./environment.js');
+const {step, checkResult, checkProperty} = require('./sandbox.js');
+const {methodsOf} = require('./plugins/methods.js');
+const {generators} = require('./plugins/collections.js');
+
+/**
+ * The bodies of the functions created by the machine. The calls to them
+ *     from Please run their body in the same machine
+ */
+const bodies = new WeakMap();
+
+/**
+ * The functions that the method calls evaluate to when the method is one of
+ *     the functions the machine runs itself, with the method and the
+ *     arguments of the method call
+ */
+const methods = new WeakMap();
+
+/**
+ * A class representing the machine that evaluates a node. It has a stack of
+ *     tasks and a stack with the values computed by them. Each task has the
+ *     function that runs it, the node and the environment it belongs to
+ *     and, optionally, some data
+ */
+class Machine {
+  /**
+   * The constructor
+   */
+  constructor() {
+    this.tasks = [];
+    this.values = [];
+  }
+
+  /**
+   * Adds a task to the stack
+   * @param {function} resume The function that runs the task
+   * @param {object} node The node the task belongs to
+   * @param {object} env The environment
+   * @param {*} [data] The data of the task
+   */
+  push(resume, node, env, data = undefined) {
+    this.tasks.push({resume, node, env, data});
+  }
+
+  /**
+   * Adds a task that evaluates a node and leaves its value in the stack
+   * @param {object} node The node
+   * @param {object} env The environment
+   */
+  evaluate(node, env) {
+    this.push(evaluate, node, env);
+  }
+
+  /**
+   * Removes the last values from the stack
+   * @param {number} count The number of values
+   * @return {Array} The values, in the order they were computed
+   */
+  popMany(count) {
+    return this.values.splice(this.values.length - count, count);
+  }
+
+  /**
+   * Runs the tasks until the stack is empty. The errors a try catches make
+   *     the machine continue with its clauses
+   * @return {*} The value the tasks computed
+   * @throws Will throw the errors of the program, with their location
+   */
+  run() {
+    while (this.tasks.length > 0) {
+      const task = this.tasks.pop();
+      try {
+        task.resume(this, task);
+      } catch (err) {
+        const handler = this.unwind(err, task);
+        if (handler === undefined) {
+          throw err;
+        }
+        recover(this, handler, err);
+      }
+    }
+    return this.values.pop();
+  }
+
+  /**
+   * Attaches the location to an error and discards the pending tasks until
+   *     the innermost try that catches it. The ones that leave a call or a
+   *     function still run, so the debugger and the call stack are notified
+   * @param {*} error The thrown value
+   * @param {object} task The task that threw it
+   * @return {object|undefined} The task of the try or undefined if none
+   *     catches the error
+   */
+  unwind(error, task) {
+    locate(error, task.node.loc, task.env.runtime.callStack.frames);
+    while (this.tasks.length > 0) {
+      const pending = this.tasks.pop();
+      if (pending.resume === leave || pending.resume === returnFrom) {
+        pending.resume(this, pending);
+      } else if (pending.resume === settle && isCatchable(error)) {
+        return pending;
+      }
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Evaluates a node. The leaves are evaluated at once and the calls add the
+ *     tasks that evaluate them
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const evaluate = (machine, {node, env}) => {
+  if (node instanceof Call) {
+    startCall(machine, node, env);
+  } else if (node instanceof MethodCall) {
+    machine.push(methodOperator, node, env);
+    machine.evaluate(node.operator, env);
+  } else {
+    machine.values.push(node.evaluate(env));
+  }
+};
+
+/**
+ * Discards the last value
+ * @param {Machine} machine The machine
+ */
+const discard = (machine) => {
+  machine.values.pop();
+};
+
+/**
+ * Notifies the debugger that a call has finished
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const leave = (machine, {node, env}) => {
+  env.runtime.debugHooks.leave(node);
+};
+
+/**
+ * Removes the frame of a function that has returned from the call stack
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const returnFrom = (machine, {env}) => {
+  const callStack = env.runtime.callStack;
+  callStack.frames.pop();
+  callStack.site = undefined;
+};
+
+/**
+ * The functions that start the calls to the keywords. Each one receives the
+ *     machine, the call and the environment and returns false if the call
+ *     isn't valid. In that case the keyword itself runs, so it throws the
+ *     same error as the tree walker
+ */
+const starters = Object.create(null);
+
+starters.if = (machine, node, env) => {
+  if (node.args.length < 2 || node.args.length > 3) {
+    return false;
+  }
+  machine.push(chooseBranch, node, env);
+  machine.evaluate(node.args[0], env);
+  return true;
+};
+
+/**
+ * Evaluates the branch of an if chosen by its condition
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const chooseBranch = (machine, {node, env}) => {
+  if (machine.values.pop() !== false) {
+    machine.evaluate(node.args[1], env);
+  } else if (node.args.length === 3) {
+    machine.evaluate(node.args[2], env);
+  } else {
+    machine.values.push(undefined);
+  }
+};
+
+starters.while = (machine, node, env) => {
+  if (node.args.length !== 2) {
+    return false;
+  }
+  const whileEnv = env.extend(node);
+  machine.push(whileTest, node, whileEnv);
+  machine.evaluate(node.args[0], whileEnv);
+  return true;
+};
+
+/**
+ * Checks the condition of a while and runs its body if it holds
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const whileTest = (machine, {node, env}) => {
+  if (machine.values.pop() === false) {
+    machine.values.push(undefined);
+    return;
+  }
+  step(env.runtime);
+  machine.push(whileTest, node, env);
+  machine.evaluate(node.args[0], env);
+  machine.push(discard, node, env);
+  machine.evaluate(node.args[1], env);
+};
+
+starters.for = (machine, node, env) => {
+  if (node.args.length !== 4) {
+    return false;
+  }
+  const forEnv = env.extend(node);
+  machine.push(forTest, node, forEnv);
+  machine.evaluate(node.args[1], forEnv);
+  machine.push(discard, node, forEnv);
+  machine.evaluate(node.args[0], forEnv);
+  return true;
+};
+
+/**
+ * Checks the condition of a for and runs its body and its update if it
+ *     holds
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const forTest = (machine, {node, env}) => {
+  if (machine.values.pop() === false) {
+    machine.values.push(undefined);
+    return;
+  }
+  step(env.runtime);
+  machine.push(forTest, node, env);
+  machine.evaluate(node.args[1], env);
+  machine.push(discard, node, env);
+  machine.evaluate(node.args[2], env);
+  machine.push(discard, node, env);
+  machine.evaluate(node.args[3], env);
+};
+
+starters.foreach = (machine, node, env) => {
+  if (node.args.length !== 3 || !(node.args[0] instanceof Word)) {
+    return false;
+  }
+  machine.push(foreachStart, node, env);
+  machine.evaluate(node.args[1], env);
+  return true;
+};
+
+/**
+ * Collects the elements a foreach goes through
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const foreachStart = (machine, {node, env}) => {
+  const items = [];
+  machine.values.pop().forEach((x) => items.push(x));
+  machine.values.push(undefined);
+  machine.push(foreachStep, node, env, {items, index: 0});
+};
+
+/**
+ * Runs the body of a foreach for the next element
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const foreachStep = (machine, {node, env, data}) => {
+  machine.values.pop();
+  if (data.index === data.items.length) {
+    machine.values.push(undefined);
+    return;
+  }
+  step(env.runtime);
+  const foreachEnv = env.extend(node);
+  foreachEnv.define(node.args[0].name, data.items[data.index]);
+  machine.push(foreachStep, node, env,
+      {items: data.items, index: data.index + 1});
+  machine.evaluate(node.args[2], foreachEnv);
+};
+
+starters.run = starters.do = (machine, node, env) => {
+  const doEnv = env.extend(node);
+  if (node.args.length === 0) {
+    machine.values.push(undefined);
+  }
+  for (let i = node.args.length - 1; i >= 0; i--) {
+    machine.evaluate(node.args[i], doEnv);
+    if (i > 0) {
+      machine.push(discard, node, doEnv);
+    }
+  }
+  return true;
+};
+
+starters.let = starters.def = starters[':='] = (machine, node, env) => {
+  if (node.args.length !== 2 || !(node.args[0] instanceof Word)) {
+    return false;
+  }
+  machine.push(define, node, env);
+  machine.evaluate(node.args[1], env);
+  return true;
+};
+
+/**
+ * Creates the binding of a let with the last value
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const define = (machine, {node, env}) => {
+  const name = node.args[0].name;
+  const value = machine.values[machine.values.length - 1];
+  if (createsFunction(node.args[1])) {
+    Object.defineProperty(value, 'name', {value: name});
+  }
+  env.define(name, value);
+};
+
+starters.fn = starters.function = starters['->'] = (machine, node, env) => {
+  const params = node.args.slice(0, -1);
+  if (node.args.length === 0 ||
+      !params.every((param) => param instanceof Word)) {
+    return false;
+  }
+  const body = node.args[node.args.length - 1];
+  const fn = createFunction(params.map((param) => param.name),
+      (scope) => evaluateStackless(body, scope), env, node);
+  bodies.set(fn, body);
+  machine.values.push(fn);
+  return true;
+};
+
+starters.assign = starters.set = starters['='] = (machine, node, env) => {
+  const args = node.args;
+  const target = args[0];
+  if (args.length < 2 ||
+      !(target instanceof Word || target instanceof MethodCall)) {
+    return false;
+  }
+  if (target instanceof MethodCall) {
+    machine.push(assignReference, node, env);
+    pushReference(machine, target, env);
+  } else if (args.length === 2) {
+    machine.push(assignWord, node, env);
+  } else {
+    machine.push(assignIndexes, node, env);
+    for (let i = args.length - 2; i > 0; i--) {
+      machine.evaluate(args[i], env);
+    }
+  }
+  machine.evaluate(args[args.length - 1], env);
+  return true;
+};
+
+/**
+ * Creates the error of the assignments to bindings that don't exist
+ * @param {object} node The assignment
+ * @return {ReferenceError} The error
+ */
+const notFound = (node) => {
+  return new ReferenceError(
+      `Tried to assign to a non existent variable: ${node.args[0].name}`,
+  );
+};
+
+/**
+ * Assigns the last value to a binding
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const assignWord = (machine, {node, env}) => {
+  const value = machine.values[machine.values.length - 1];
+  if (!node.args[0].assign(env, value)) {
+    throw notFound(node);
+  }
+};
+
+/**
+ * Assigns a value to an element of a binding, using the computed indexes
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const assignIndexes = (machine, {node, env}) => {
+  const keys = machine.popMany(node.args.length - 2);
+  const value = machine.values[machine.values.length - 1];
+  const object = env.lookup(node.args[0].name);
+  if (object === UNSET) {
+    throw notFound(node);
+  }
+  methodsOf(env.runtime).assign(object, value, ...keys);
+};
+
+/**
+ * Assigns a value to the property of the computed reference, if the object
+ *     exists
+ * @param {Machine} machine The machine
+ */
+const assignReference = (machine) => {
+  const reference = machine.values.pop();
+  const value = machine.values[machine.values.length - 1];
+  if (reference !== undefined) {
+    reference.object[reference.key] = value;
+  }
+};
+
+/**
+ * Adds the tasks that compute the object and the key a method call
+ *     refers to when it is the target of an assignment
+ * @param {Machine} machine The machine
+ * @param {object} node The method call
+ * @param {object} env The environment
+ */
+const pushReference = (machine, node, env) => {
+  machine.push(reference, node, env);
+  if (node.operator instanceof MethodCall) {
+    machine.push(dereference, node, env);
+    pushReference(machine, node.operator, env);
+  } else {
+    machine.evaluate(node.operator, env);
+  }
+  machine.evaluate(node.args[0], env);
+};
+
+/**
+ * Creates a reference with the computed key and object
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const reference = (machine, {env}) => {
+  const object = machine.values.pop();
+  const key = checkProperty(machine.values.pop(), env.runtime);
+  machine.values.push(object != undefined ? {object, key} : undefined);
+};
+
+/**
+ * Replaces a reference with the value it refers to
+ * @param {Machine} machine The machine
+ */
+const dereference = (machine) => {
+  const place = machine.values.pop();
+  machine.values.push(place !== undefined ?
+      place.object[place.key] : undefined);
+};
+
+starters.object = (machine, node, env) => {
+  if (node.args.length % 2 !== 0) {
+    return false;
+  }
+  const objectEnv = createObjectScope(env);
+  machine.values.push(objectEnv.object);
+  for (let i = node.args.length - 2; i >= 0; i -= 2) {
+    machine.push(storeProperty, node, objectEnv);
+    machine.evaluate(node.args[i + 1], objectEnv);
+    machine.evaluate(node.args[i], objectEnv);
+  }
+  return true;
+};
+
+/**
+ * Stores the last computed key and value in the object being created
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const storeProperty = (machine, {env}) => {
+  const value = machine.values.pop();
+  const key = checkProperty(machine.values.pop(), env.runtime);
+  env.object[key] = value;
+};
+
+starters.try = (machine, node, env) => {
+  const clauses = tryClauses(node.args);
+  if (clauses === undefined) {
+    return false;
+  }
+  machine.push(settle, node, env,
+      {clauses, values: machine.values.length, caught: false});
+  machine.evaluate(clauses.body, env.extend(node));
+  return true;
+};
+
+/**
+ * Runs the finally clause of a try, if it has one, after its body or its
+ *     catch clause, keeping their value. The machine stops in this task
+ *     when it unwinds an error thrown by them
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const settle = (machine, {env, data}) => {
+  const cleanup = data.clauses.cleanup;
+  if (cleanup !== undefined) {
+    machine.push(discard, cleanup, env);
+    machine.evaluate(cleanup.args[0], env.extend(cleanup));
+  }
+};
+
+/**
+ * Continues a try after an error thrown by its body, with the catch clause,
+ *     or by its catch clause, with the finally clause and then the error
+ *     again
+ * @param {Machine} machine The machine
+ * @param {object} task The task of the try
+ * @param {*} error The error
+ */
+const recover = (machine, {node, env, data}, error) => {
+  machine.values.length = data.values;
+  const {handler, cleanup} = data.clauses;
+  if (data.caught || handler === undefined) {
+    machine.push(rethrow, cleanup, env, error);
+    machine.evaluate(cleanup.args[0], env.extend(cleanup));
+    return;
+  }
+  if (cleanup !== undefined) {
+    machine.push(settle, node, env, {...data, caught: true});
+  }
+  const catchEnv = env.extend(handler);
+  catchEnv.define(handler.args[0].name, toErrorValue(error));
+  machine.evaluate(handler.args[1], catchEnv);
+};
+
+/**
+ * Throws again the error of a try once its finally clause has run
+ * @param {Machine} machine The machine
+ * @param {object} task The task, with the error as its data
+ * @throws Will always throw
+ */
+const rethrow = (machine, {data}) => {
+  throw data;
+};
+
+starters.throw = (machine, node, env) => {
+  if (node.args.length !== 1) {
+    return false;
+  }
+  machine.push(raise, node, env);
+  machine.evaluate(node.args[0], env);
+  return true;
+};
+
+/**
+ * Throws the error created from the last value
+ * @param {Machine} machine The machine
+ * @throws Will always throw
+ */
+const raise = (machine) => {
+  throw createError(machine.values.pop());
+};
+
+/**
+ * Checks if a node is a call or a method call, the nodes that are evaluated
+ *     with tasks
+ * @param {object} node The node
+ * @return {boolean} If it is one of them
+ */
+const isCall = (node) => node instanceof Call || node instanceof MethodCall;
+
+/**
+ * Evaluates the arguments of a call from an index and then runs the rest of
+ *     the call. The arguments that aren't calls are evaluated at once, the
+ *     first one that is a call is left to a task, which continues with the
+ *     next argument when it finishes
+ * @param {Machine} machine The machine
+ * @param {object} node The call
+ * @param {object} env The environment
+ * @param {number} index The index of the first argument to evaluate
+ * @param {function} then The function that runs the rest of the call
+ */
+const evaluateArgs = (machine, node, env, index, then) => {
+  for (let i = index; i < node.args.length; i++) {
+    if (isCall(node.args[i])) {
+      machine.push(nextArgs, node, env, {index: i + 1, then});
+      machine.evaluate(node.args[i], env);
+      return;
+    }
+    machine.values.push(node.args[i].evaluate(env));
+  }
+  then(machine, {node, env});
+};
+
+/**
+ * Continues evaluating the arguments of a call
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const nextArgs = (machine, {node, env, data}) => {
+  evaluateArgs(machine, node, env, data.index, data.then);
+};
+
+/**
+ * Starts a call. The calls to keywords run them and the rest evaluate
+ *     their operator first
+ * @param {Machine} machine The machine
+ * @param {object} node The call
+ * @param {object} env The environment
+ */
+const startCall = (machine, node, env) => {
+  const debugHooks = env.runtime.debugHooks;
+  if (debugHooks.enter !== undefined) {
+    debugHooks.enter(node, env);
+    machine.push(leave, node, env);
+  }
+  step(env.runtime);
+  const operator = node.operator;
+  if (isCall(operator)) {
+    machine.push(callee, node, env);
+    machine.evaluate(operator, env);
+    return;
+  }
+  const keywords = keywordsOf(env);
+  if (!(operator instanceof Word && operator.name in keywords)) {
+    machine.values.push(operator.evaluate(env));
+    callee(machine, {node, env});
+    return;
+  }
+  const keyword = keywords[operator.name];
+  // A keyword is only run by the machine if a plugin hasn't replaced it
+  const start = keyword === builtinKeywords[operator.name] ?
+      starters[operator.name] : undefined;
+  if (start === undefined || !start(machine, node, env)) {
+    machine.values.push(keyword(node.args, env, node));
+  }
+};
+
+/**
+ * Checks that the operator of a call is a function and evaluates the
+ *     arguments
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const callee = (machine, {node, env}) => {
+  if (typeof machine.values[machine.values.length - 1] !== 'function') {
+    throw new TypeError('Calling a non-function.');
+  }
+  evaluateArgs(machine, node, env, 0, apply);
+};
+
+/**
+ * Calls a function with the computed arguments
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const apply = (machine, {node, env}) => {
+  const args = machine.popMany(node.args.length);
+  const fn = machine.values.pop();
+  callFunction(machine, fn, args, node, env);
+};
+
+/**
+ * Calls a function and leaves its value in the stack. The functions
+ *     created by the machine run their body in it, the methods of the
+ *     objects too and the functions of the library that receive functions
+ *     run their generator. If the call is the last task of a function, it
+ *     replaces the frame of that function
+ * @param {Machine} machine The machine
+ * @param {function} fn The function
+ * @param {Array} args The arguments
+ * @param {object} node The call
+ * @param {object} env The environment
+ */
+const callFunction = (machine, fn, args, node, env) => {
+  const method = methods.get(fn);
+  if (method !== undefined) {
+    callFunction(machine, method.fn, method.args.concat(args), node, env);
+    return;
+  }
+  const generator = generators.get(fn);
+  if (generator !== undefined) {
+    machine.values.push(undefined);
+    resumeLibrary(machine, {node, env, data: generator(...args)});
+    return;
+  }
+  const body = bodies.get(fn);
+  const callStack = env.runtime.callStack;
+  if (body === undefined) {
+    callStack.site = node.loc;
+    try {
+      machine.values.push(checkResult(fn(...args), env.runtime));
+    } finally {
+      callStack.site = undefined;
+    }
+    return;
+  }
+  const {scope} = fn[prepareTailCall](args);
+  const frames = callStack.frames;
+  const name = fn.name || '<anonymous>';
+  const last = machine.tasks[machine.tasks.length - 1];
+  if (last !== undefined && last.resume === returnFrom) {
+    frames[frames.length - 1] = {name, loc: frames[frames.length - 1].loc};
+  } else {
+    frames.push({name, loc: node.loc});
+    machine.push(returnFrom, node, env);
+  }
+  machine.evaluate(body, scope);
+};
+
+/**
+ * Gives the last value to the generator of a function of the library and
+ *     makes the next call it yields or leaves the value it returns
+ * @param {Machine} machine The machine
+ * @param {object} task The task, with the generator as its data
+ */
+const resumeLibrary = (machine, {node, env, data}) => {
+  const next = data.next(machine.values.pop());
+  if (next.done) {
+    machine.values.push(checkResult(next.value, env.runtime));
+    return;
+  }
+  machine.push(resumeLibrary, node, env, data);
+  callFunction(machine, next.value.fn, next.value.args, node, env);
+};
+
+/**
+ * Evaluates the arguments of a method call if its object exists
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const methodOperator = (machine, {node, env}) => {
+  if (machine.values[machine.values.length - 1] == undefined) {
+    machine.values.pop();
+    machine.values.push(undefined);
+    return;
+  }
+  evaluateArgs(machine, node, env, 0, methodCall);
+};
+
+/**
+ * Computes the value of a method call: the property or, if it's a method,
+ *     a function that calls it with the rest of the arguments
+ * @param {Machine} machine The machine
+ * @param {object} task The task
+ */
+const methodCall = (machine, {node, env}) => {
+  const values = machine.popMany(node.args.length);
+  const object = machine.values.pop();
+  const methodName = checkProperty(values.shift().toString(), env.runtime);
+  const value = methodsOf(env.runtime).member(object, methodName, values);
+  const property = object[methodName];
+  if (bodies.has(property) || generators.has(property)) {
+    methods.set(value, {fn: property, args: values});
+  }
+  machine.values.push(value);
+};
+
+/**
+ * Evaluates a node without using the JavaScript stack for the calls
+ *     between Please functions, their methods and the functions of the
+ *     collection library that call them. The keywords added by plugins are
+ *     run as they are, so they work like in the tree walker
+ * @param {object} node The node
+ * @param {object} env The environment
+ * @return {*} What the node evaluates to
+ * @throws Will throw the errors of the program, with their location
+ */
+const evaluateStackless = (node, env) => {
+  const machine = new Machine();
+  machine.evaluate(node, env);
+  return machine.run();
+};
+
+module.exports = {
+  evaluateStackless,
+};
@@ -9,52 +9,115 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
 const {parse} = require('./compiler.js');
 const {jsonToAST} = require('./json_to_ast.js');
-const {preface} = require('./preface.js');
+const {preface, modulesPreface} = require('./preface.js');
 const {generateJS} = require('./generate_js.js');
+const {fileOf} = require('./modules.js');
 const beautify = require('js-beautify').js;
 
 /**
- * A function that converts a Please program to JS
- * @param {Object} program The AST of the program to convert
- * @return {string} The program in JS
- * @throws Will throw if there are syntactical errors
+ * Converts the AST of a file to JS
+ * @param {Object} program The AST
+ * @param {Object} generators The functions that generate the JS
+ * @return {Object} The JS of the program and the declarations of the
+ *     bindings it defines, which have to be before it
+ * @throws Will throw if there are catch or finally clauses out of a try
  */
-const convertToJS = (program) => {
-  const convertedProgram = program.toJS();
+const convertFile = (program, generators) => {
+  const converted = program.toJS(generators);
   const declarations = generateJS.declarations.join('');
   generateJS.declarations = [];
-  return beautify(
-      preface + declarations + convertedProgram,
-      {indent_size: 2, end_with_newline: true},
-  );
+  if (generateJS.clauses.length > 0) {
+    throw new SyntaxError('catch and finally can only be clauses of a try');
+  }
+  return {declarations, converted};
+};
+
+/**
+ * Converts the modules a program imports, and the ones they import, to
+ *     JS. Each one is a function that receives its exports
+ * @param {Object} generators The functions that generate the JS
+ * @return {string} The JS code of the object with the modules
+ */
+const convertModules = (generators) => {
+  const modules = generateJS.modules;
+  let result = 'const $sources = {\n';
+  // The list grows while the modules are converted
+  for (let i = 0; i < modules.imports.length; i++) {
+    const fileName = path.join(modules.base, modules.imports[i]);
+    modules.file = fileName;
+    const source = fs.readFileSync(fileName, 'utf8');
+    const {declarations, converted} = convertFile(
+        parse(source, fileName), generators,
+    );
+    result += `${JSON.stringify(modules.imports[i])}: ($exports) => {\n` +
+        `${declarations}${converted};\n},\n`;
+  }
+  return result + '};\n';
+};
+
+/**
+ * A function that converts a Please program to JS. The modules it imports
+ *     are part of the JS, their paths start at the folder of the program
+ * @param {Object} program The AST of the program to convert
+ * @param {Object} [generators] The functions that generate the JS of the
+ *     keywords and the functions of the top scope, by default the ones of
+ *     the language
+ * @param {string} [destination] The file where the JS will be, the JS
+ *     modules are required from it. By default it is in the folder of the
+ *     program
+ * @return {string} The program in JS
+ * @throws Will throw if there are syntactical errors or if a module can't
+ *     be read
+ */
+const convertToJS = (program, generators = generateJS,
+    destination = undefined) => {
+  const fileName = fileOf(program);
+  const file = fileName !== undefined ? path.resolve(fileName) : undefined;
+  const base = file !== undefined ? path.dirname(file) : process.cwd();
+  const output = destination !== undefined ?
+      path.dirname(path.resolve(destination)) : base;
+  generateJS.modules = {file, base, output, imports: [], used: false};
+  generateJS.clauses = [];
+  const {declarations, converted} = convertFile(program, generators);
+  let js = preface + declarations + converted;
+  if (generateJS.modules.used) {
+    const key = file !== undefined ? path.relative(base, file) : undefined;
+    js = preface + modulesPreface + convertModules(generators) +
+        declarations + `$imports.run(${JSON.stringify(key)}, () => {\n` +
+        `return ${converted};\n});`;
+  }
+  return beautify(js, {indent_size: 2, end_with_newline: true});
 };
 
 /**
  * A function that converts a compiled Please file to JS
  * @param {string} fileName The name of the file
+ * @param {string} [destination] The file where the JS will be
  * @return {string} The program in JS
  * @throws Will throw if it isn't possible to read the file or if there
  *     are syntactical errors
  */
-const convertToJSFromCompiledFile = (fileName) => {
+const convertToJSFromCompiledFile = (fileName, destination = undefined) => {
   const source = fs.readFileSync(fileName, 'utf8');
   const json = JSON.parse(source);
   const ast = jsonToAST(json);
-  return convertToJS(ast);
+  return convertToJS(ast, generateJS, destination);
 };
 
 /**
  * A function that converts a Please file to JS
  * @param {string} fileName The name of the file
+ * @param {string} [destination] The file where the JS will be
  * @return {string} The program in JS
  * @throws Will throw if it isn't possible to read the file or if there
  *     are errors in the program
  */
-const convertToJSFromFile = (fileName) => {
+const convertToJSFromFile = (fileName, destination = undefined) => {
   const source = fs.readFileSync(fileName, 'utf8');
-  return convertToJS(parse(source));
+  return convertToJS(parse(source, fileName), generateJS, destination);
 };
 
 /**
@@ -65,10 +128,10 @@ const convertToJSFromFile = (fileName) => {
  *     can't be opened
  */
 const transpile = (origin, destination = undefined) => {
-  const js = convertToJSFromFile(origin);
   if (destination == undefined) {
     destination = origin.match(/^[^\.]*/)[0] + '.js';
   }
+  const js = convertToJSFromFile(origin, destination);
   fs.writeFileSync(destination, js);
 };
 
@@ -80,10 +143,10 @@ const transpile = (origin, destination = undefined) => {
  *     can't be opened
  */
 const transpileFromCompiled = (origin, destination = undefined) => {
-  const js = convertToJSFromCompiledFile(origin);
   if (destination == undefined) {
     destination = origin.match(/^[^\.]*/)[0] + '.js';
   }
+  const js = convertToJSFromCompiledFile(origin, destination);
   fs.writeFileSync(destination, js);
 };
 
@@ -13,12 +13,18 @@ const {
   interpretFromFile,
   run,
   runFromFile,
+  createInterpreter,
+  usePlugin,
+  loadPlugin,
   topScope,
   keywords,
 } = require('./lib/interpreter.js');
 
 const {
   parse,
+  parseWithRecovery,
+  parseWithAllErrors,
+  parseWithComments,
   parseCall,
   parseExpression,
   parseFromFile,
@@ -47,12 +53,41 @@ const {
   transpileFromCompiled,
 } = require('./lib/transpiler.js');
 const {optimize} = require('./lib/optimization.js');
+const {
+  setArguments,
+  resetExitCode,
+  exitStatus,
+} = require('./lib/plugins/system.js');
+const {formatError} = require('./lib/errors.js');
+const {Debugger, terminalFrontend} = require('./lib/debugger.js');
+const {DebugSession} = require('./lib/debug_adapter.js');
+const {LanguageServer} = require('./lib/language_server.js');
+const {analyze} = require('./lib/analysis.js');
+const {resolve} = require('./lib/resolver.js');
+const {compileToClosures} = require('./lib/closures.js');
+const {evaluateStackless} = require('./lib/stackless.js');
+const {format, formatFile} = require('./lib/formatter.js');
+const {
+  lint,
+  lintFile,
+  formatProblem,
+  findConfig,
+  loadConfig,
+} = require('./lib/linter.js');
+const {
+  createTransport,
+  encodeMessage,
+  MessageReader,
+} = require('./lib/protocol.js');
 
 module.exports = {
   interpret,
   interpretFromFile,
   run,
   runFromFile,
+  createInterpreter,
+  usePlugin,
+  loadPlugin,
   topScope,
   keywords,
   Value,
@@ -61,6 +96,9 @@ module.exports = {
   MethodCall,
   REGEXP,
   parse,
+  parseWithRecovery,
+  parseWithAllErrors,
+  parseWithComments,
   parseCall,
   parseExpression,
   parseFromFile,
@@ -74,4 +112,26 @@ module.exports = {
   transpile,
   transpileFromCompiled,
   optimize,
+  setArguments,
+  resetExitCode,
+  exitStatus,
+  resolve,
+  compileToClosures,
+  evaluateStackless,
+  formatError,
+  Debugger,
+  terminalFrontend,
+  DebugSession,
+  LanguageServer,
+  analyze,
+  format,
+  formatFile,
+  lint,
+  lintFile,
+  formatProblem,
+  findConfig,
+  loadConfig,
+  createTransport,
+  encodeMessage,
+  MessageReader,
 };
@@ -1,39 +1,39 @@
-(()=>{var u={3361:(u,d,a)=>{u.exports=a(531)},5401:(u,d,a)=>{u.exports=a(2674)},466:(u,d,a)=>{u.exports=a(6910)},3046:(u,d,a)=>{u.exports=a(1737)},669:(u,d,a)=>{u.exports=a(4151)},3781:(u,d,a)=>{u.exports=a(2594)},5502:(u,d,a)=>{u.exports=a(3466)},6099:(u,d,a)=>{u.exports=a(5426)},9188:(u,d,a)=>{u.exports=a(8034)},8979:(u,d,a)=>{u.exports=a(7180)},6761:(u,d,a)=>{u.exports=a(2491)},4218:(u,d,a)=>{u.exports=a(9327)},1308:(u,d,a)=>{u.exports=a(3567)},7652:(u,d,a)=>{u.exports=a(7556)},1477:(u,d,a)=>{u.exports=a(7587)},2146:(u,d,a)=>{u.exports=a(1656)},9640:(u,d,a)=>{u.exports=a(7800)},1345:(u,d,a)=>{u.exports=a(7161)},7196:(u,d,a)=>{u.exports=a(4941)},5007:(u,d,a)=>{u.exports=a(2686)},5437:u=>{function _arrayLikeToArray(u,d){if(d==null||d>u.length)d=u.length;for(var a=0,r=new Array(d);a<d;a++){r[a]=u[a]}return r}u.exports=_arrayLikeToArray;u.exports.default=u.exports,u.exports.__esModule=true},9991:(u,d,a)=>{var r=a(2146);function _arrayWithHoles(u){if(r(u))return u}u.exports=_arrayWithHoles;u.exports.default=u.exports,u.exports.__esModule=true},4393:u=>{function _interopRequireDefault(u){return u&&u.__esModule?u:{default:u}}u.exports=_interopRequireDefault;u.exports.default=u.exports,u.exports.__esModule=true},7061:(u,d,a)=>{var r=a(5007);var c=a(9640);function _iterableToArrayLimit(u,d){var a=u&&(typeof r!=="undefined"&&c(u)||u["@@iterator"]);if(a==null)return;var t=[];var D=true;var o=false;var i,l;try{for(a=a.call(u);!(D=(i=a.next()).done);D=true){t.push(i.value);if(d&&t.length===d)break}}catch(u){o=true;l=u}finally{try{if(!D&&a["return"]!=null)a["return"]()}finally{if(o)throw l}}return t}u.exports=_iterableToArrayLimit;u.exports.default=u.exports,u.exports.__esModule=true},3558:u=>{function _nonIterableRest(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}u.exports=_nonIterableRest;u.exports.default=u.exports,u.exports.__esModule=true},8135:(u,d,a)=>{var r=a(9991);var c=a(7061);var t=a(499);var D=a(3558);function _slicedToArray(u,d){return r(u)||c(u,d)||t(u,d)||D()}u.exports=_slicedToArray;u.exports.default=u.exports,u.exports.__esModule=true},499:(u,d,a)=>{var r=a(7196);var c=a(1477);var t=a(5437);function _unsupportedIterableToArray(u,d){var a;if(!u)return;if(typeof u==="string")return t(u,d);var D=r(a=Object.prototype.toString.call(u)).call(a,8,-1);if(D==="Object"&&u.constructor)D=u.constructor.name;if(D==="Map"||D==="Set")return c(u);if(D==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(D))return t(u,d)}u.exports=_unsupportedIterableToArray;u.exports.default=u.exports,u.exports.__esModule=true},4605:(u,d,a)=>{a(8580);a(6618);var r=a(9454);u.exports=r.Array.from},5918:(u,d,a)=>{a(3780);var r=a(9454);u.exports=r.Array.isArray},4496:(u,d,a)=>{a(7547);var r=a(2570);u.exports=r("Array").concat},2952:(u,d,a)=>{a(1966);var r=a(2570);u.exports=r("Array").forEach},6662:(u,d,a)=>{a(700);var r=a(2570);u.exports=r("Array").indexOf},9187:(u,d,a)=>{a(3845);var r=a(2570);u.exports=r("Array").map},6260:(u,d,a)=>{a(3449);var r=a(2570);u.exports=r("Array").reduce},8049:(u,d,a)=>{a(6668);var r=a(2570);u.exports=r("Array").slice},7638:(u,d,a)=>{a(9479);var r=a(2570);u.exports=r("Array").sort},6988:(u,d,a)=>{var r=a(4496);var c=Array.prototype;u.exports=function(u){var d=u.concat;return u===c||u instanceof Array&&d===c.concat?r:d}},4665:(u,d,a)=>{var r=a(8278);var c=RegExp.prototype;u.exports=function(u){return(u===c||u instanceof RegExp)&&!("flags"in u)?r(u):u.flags}},4362:(u,d,a)=>{var r=a(6662);var c=Array.prototype;u.exports=function(u){var d=u.indexOf;return u===c||u instanceof Array&&d===c.indexOf?r:d}},7091:(u,d,a)=>{var r=a(9187);var c=Array.prototype;u.exports=function(u){var d=u.map;return u===c||u instanceof Array&&d===c.map?r:d}},1781:(u,d,a)=>{var r=a(6260);var c=Array.prototype;u.exports=function(u){var d=u.reduce;return u===c||u instanceof Array&&d===c.reduce?r:d}},2637:(u,d,a)=>{var r=a(8049);var c=Array.prototype;u.exports=function(u){var d=u.slice;return u===c||u instanceof Array&&d===c.slice?r:d}},2916:(u,d,a)=>{var r=a(7638);var c=Array.prototype;u.exports=function(u){var d=u.sort;return u===c||u instanceof Array&&d===c.sort?r:d}},1222:(u,d,a)=>{a(4780);var r=a(9454);var c=r.Object;u.exports=function create(u,d){return c.create(u,d)}},701:(u,d,a)=>{a(3388);var r=a(9454);var c=r.Object;var t=u.exports=function defineProperty(u,d,a){return c.defineProperty(u,d,a)};if(c.defineProperty.sham)t.sham=true},2865:(u,d,a)=>{a(2359);var r=a(9454);u.exports=r.parseInt},8278:(u,d,a)=>{a(3439);var r=a(4111);u.exports=function(u){return r.call(u)}},1232:(u,d,a)=>{a(7547);a(6027);a(5911);a(3794);a(7682);a(679);a(7146);a(2427);a(7715);a(2230);a(8162);a(4479);a(9976);a(6430);a(1943);a(2038);a(4513);a(6086);a(180);a(6629);var r=a(9454);u.exports=r.Symbol},7587:(u,d,a)=>{var r=a(4605);u.exports=r},1656:(u,d,a)=>{var r=a(5918);u.exports=r},7800:(u,d,a)=>{a(1896);a(8580);var r=a(2540);u.exports=r},7161:(u,d,a)=>{a(1896);a(8580);var r=a(2445);u.exports=r},4941:(u,d,a)=>{var r=a(2637);u.exports=r},2686:(u,d,a)=>{var r=a(1232);a(5951);a(5764);a(745);a(4483);a(6519);a(9180);a(6730);u.exports=r},8504:u=>{u.exports=function(u){if(typeof u!="function"){throw TypeError(String(u)+" is not a function")}return u}},5997:(u,d,a)=>{var r=a(1225);u.exports=function(u){if(!r(u)&&u!==null){throw TypeError("Can't set "+String(u)+" as a prototype")}return u}},3955:u=>{u.exports=function(){}},5107:(u,d,a)=>{var r=a(1225);u.exports=function(u){if(!r(u)){throw TypeError(String(u)+" is not an object")}return u}},8731:(u,d,a)=>{"use strict";var r=a(2302).forEach;var c=a(2388);var t=c("forEach");u.exports=!t?function forEach(u){return r(this,u,arguments.length>1?arguments[1]:undefined)}:[].forEach},8202:(u,d,a)=>{"use strict";var r=a(5070);var c=a(4093);var t=a(1664);var D=a(3024);var o=a(270);var i=a(4433);var l=a(2540);u.exports=function from(u){var d=c(u);var a=typeof this=="function"?this:Array;var v=arguments.length;var p=v>1?arguments[1]:undefined;var b=p!==undefined;var A=l(d);var C=0;var E,m,g,h,y,B;if(b)p=r(p,v>2?arguments[2]:undefined,2);if(A!=undefined&&!(a==Array&&D(A))){h=A.call(d);y=h.next;m=new a;for(;!(g=y.call(h)).done;C++){B=b?t(h,p,[g.value,C],true):g.value;i(m,C,B)}}else{E=o(d.length);m=new a(E);for(;E>C;C++){B=b?p(d[C],C):d[C];i(m,C,B)}}m.length=C;return m}},9771:(u,d,a)=>{var r=a(1935);var c=a(270);var t=a(6410);var createMethod=function(u){return function(d,a,D){var o=r(d);var i=c(o.length);var l=t(D,i);var v;if(u&&a!=a)while(i>l){v=o[l++];if(v!=v)return true}else for(;i>l;l++){if((u||l in o)&&o[l]===a)return u||l||0}return!u&&-1}};u.exports={includes:createMethod(true),indexOf:createMethod(false)}},2302:(u,d,a)=>{var r=a(5070);var c=a(4282);var t=a(4093);var D=a(270);var o=a(9758);var i=[].push;var createMethod=function(u){var d=u==1;var a=u==2;var l=u==3;var v=u==4;var p=u==6;var b=u==7;var A=u==5||p;return function(C,E,m,g){var h=t(C);var y=c(h);var B=r(E,m,3);var x=D(y.length);var w=0;var _=g||o;var S=d?_(C,x):a||b?_(C,0):undefined;var O,R;for(;x>w;w++)if(A||w in y){O=y[w];R=B(O,w,h);if(u){if(d)S[w]=R;else if(R)switch(u){case 3:return true;case 5:return O;case 6:return w;case 2:i.call(S,O)}else switch(u){case 4:return false;case 7:i.call(S,O)}}}return p?-1:l||v?v:S}};u.exports={forEach:createMethod(0),map:createMethod(1),filter:createMethod(2),some:createMethod(3),every:createMethod(4),find:createMethod(5),findIndex:createMethod(6),filterOut:createMethod(7)}},5394:(u,d,a)=>{var r=a(1598);var c=a(4685);var t=a(2600);var D=c("species");u.exports=function(u){return t>=51||!r((function(){var d=[];var a=d.constructor={};a[D]=function(){return{foo:1}};return d[u](Boolean).foo!==1}))}},2388:(u,d,a)=>{"use strict";var r=a(1598);u.exports=function(u,d){var a=[][u];return!!a&&r((function(){a.call(null,d||function(){throw 1},1)}))}},3274:(u,d,a)=>{var r=a(8504);var c=a(4093);var t=a(4282);var D=a(270);var createMethod=function(u){return function(d,a,o,i){r(a);var l=c(d);var v=t(l);var p=D(l.length);var b=u?p-1:0;var A=u?-1:1;if(o<2)while(true){if(b in v){i=v[b];b+=A;break}b+=A;if(u?b<0:p<=b){throw TypeError("Reduce of empty array with no initial value")}}for(;u?b>=0:p>b;b+=A)if(b in v){i=a(i,v[b],b,l)}return i}};u.exports={left:createMethod(false),right:createMethod(true)}},9758:(u,d,a)=>{var r=a(1225);var c=a(5113);var t=a(4685);var D=t("species");u.exports=function(u,d){var a;if(c(u)){a=u.constructor;if(typeof a=="function"&&(a===Array||c(a.prototype)))a=undefined;else if(r(a)){a=a[D];if(a===null)a=undefined}}return new(a===undefined?Array:a)(d===0?0:d)}},1664:(u,d,a)=>{var r=a(5107);var c=a(2844);u.exports=function(u,d,a,t){try{return t?d(r(a)[0],a[1]):d(a)}catch(d){c(u);throw d}}},9693:(u,d,a)=>{var r=a(4685);var c=r("iterator");var t=false;try{var D=0;var o={next:function(){return{done:!!D++}},return:function(){t=true}};o[c]=function(){return this};Array.from(o,(function(){throw 2}))}catch(u){}u.exports=function(u,d){if(!d&&!t)return false;var a=false;try{var r={};r[c]=function(){return{next:function(){return{done:a=true}}}};u(r)}catch(u){}return a}},7543:u=>{var d={}.toString;u.exports=function(u){return d.call(u).slice(8,-1)}},4090:(u,d,a)=>{var r=a(6818);var c=a(7543);var t=a(4685);var D=t("toStringTag");var o=c(function(){return arguments}())=="Arguments";var tryGet=function(u,d){try{return u[d]}catch(u){}};u.exports=r?c:function(u){var d,a,r;return u===undefined?"Undefined":u===null?"Null":typeof(a=tryGet(d=Object(u),D))=="string"?a:o?c(d):(r=c(d))=="Object"&&typeof d.callee=="function"?"Arguments":r}},7281:(u,d,a)=>{var r=a(1598);u.exports=!r((function(){function F(){}F.prototype.constructor=null;return Object.getPrototypeOf(new F)!==F.prototype}))},8005:(u,d,a)=>{"use strict";var r=a(4253).IteratorPrototype;var c=a(7108);var t=a(8410);var D=a(9397);var o=a(9122);var returnThis=function(){return this};u.exports=function(u,d,a){var i=d+" Iterator";u.prototype=c(r,{next:t(1,a)});D(u,i,false,true);o[i]=returnThis;return u}},1246:(u,d,a)=>{var r=a(7627);var c=a(5128);var t=a(8410);u.exports=r?function(u,d,a){return c.f(u,d,t(1,a))}:function(u,d,a){u[d]=a;return u}},8410:u=>{u.exports=function(u,d){return{enumerable:!(u&1),configurable:!(u&2),writable:!(u&4),value:d}}},4433:(u,d,a)=>{"use strict";var r=a(5192);var c=a(5128);var t=a(8410);u.exports=function(u,d,a){var D=r(d);if(D in u)c.f(u,D,t(0,a));else u[D]=a}},6154:(u,d,a)=>{"use strict";var r=a(8836);var c=a(8005);var t=a(3019);var D=a(9488);var o=a(9397);var i=a(1246);var l=a(2460);var v=a(4685);var p=a(2081);var b=a(9122);var A=a(4253);var C=A.IteratorPrototype;var E=A.BUGGY_SAFARI_ITERATORS;var m=v("iterator");var g="keys";var h="values";var y="entries";var returnThis=function(){return this};u.exports=function(u,d,a,v,A,B,x){c(a,d,v);var getIterationMethod=function(u){if(u===A&&R)return R;if(!E&&u in S)return S[u];switch(u){case g:return function keys(){return new a(this,u)};case h:return function values(){return new a(this,u)};case y:return function entries(){return new a(this,u)}}return function(){return new a(this)}};var w=d+" Iterator";var _=false;var S=u.prototype;var O=S[m]||S["@@iterator"]||A&&S[A];var R=!E&&O||getIterationMethod(A);var T=d=="Array"?S.entries||O:O;var k,I,P;if(T){k=t(T.call(new u));if(C!==Object.prototype&&k.next){if(!p&&t(k)!==C){if(D){D(k,C)}else if(typeof k[m]!="function"){i(k,m,returnThis)}}o(k,w,true,true);if(p)b[w]=returnThis}}if(A==h&&O&&O.name!==h){_=true;R=function values(){return O.call(this)}}if((!p||x)&&S[m]!==R){i(S,m,R)}b[d]=R;if(A){I={values:getIterationMethod(h),keys:B?R:getIterationMethod(g),entries:getIterationMethod(y)};if(x)for(P in I){if(E||_||!(P in S)){l(S,P,I[P])}}else r({target:d,proto:true,forced:E||_},I)}return I}},147:(u,d,a)=>{var r=a(9454);var c=a(2002);var t=a(5382);var D=a(5128).f;u.exports=function(u){var d=r.Symbol||(r.Symbol={});if(!c(d,u))D(d,u,{value:t.f(u)})}},7627:(u,d,a)=>{var r=a(1598);u.exports=!r((function(){return Object.defineProperty({},1,{get:function(){return 7}})[1]!=7}))},4106:(u,d,a)=>{var r=a(7977);var c=a(1225);var t=r.document;var D=c(t)&&c(t.createElement);u.exports=function(u){return D?t.createElement(u):{}}},3988:u=>{u.exports={CSSRuleList:0,CSSStyleDeclaration:0,CSSValueList:0,ClientRectList:0,DOMRectList:0,DOMStringList:0,DOMTokenList:1,DataTransferItemList:0,FileList:0,HTMLAllCollection:0,HTMLCollection:0,HTMLFormElement:0,HTMLSelectElement:0,MediaList:0,MimeTypeArray:0,NamedNodeMap:0,NodeList:1,PaintRequestList:0,Plugin:0,PluginArray:0,SVGLengthList:0,SVGNumberList:0,SVGPathSegList:0,SVGPointList:0,SVGStringList:0,SVGTransformList:0,SourceBufferList:0,StyleSheetList:0,TextTrackCueList:0,TextTrackList:0,TouchList:0}},5971:(u,d,a)=>{var r=a(7543);var c=a(7977);u.exports=r(c.process)=="process"},4691:(u,d,a)=>{var r=a(6186);u.exports=r("navigator","userAgent")||""},2600:(u,d,a)=>{var r=a(7977);var c=a(4691);var t=r.process;var D=t&&t.versions;var o=D&&D.v8;var i,l;if(o){i=o.split(".");l=i[0]<4?1:i[0]+i[1]}else if(c){i=c.match(/Edge\/(\d+)/);if(!i||i[1]>=74){i=c.match(/Chrome\/(\d+)/);if(i)l=i[1]}}u.exports=l&&+l},2570:(u,d,a)=>{var r=a(9454);u.exports=function(u){return r[u+"Prototype"]}},3674:u=>{u.exports=["constructor","hasOwnProperty","isPrototypeOf","propertyIsEnumerable","toLocaleString","toString","valueOf"]},8836:(u,d,a)=>{"use strict";var r=a(7977);var c=a(3146).f;var t=a(3376);var D=a(9454);var o=a(5070);var i=a(1246);var l=a(2002);var wrapConstructor=function(u){var Wrapper=function(d,a,r){if(this instanceof u){switch(arguments.length){case 0:return new u;case 1:return new u(d);case 2:return new u(d,a)}return new u(d,a,r)}return u.apply(this,arguments)};Wrapper.prototype=u.prototype;return Wrapper};u.exports=function(u,d){var a=u.target;var v=u.global;var p=u.stat;var b=u.proto;var A=v?r:p?r[a]:(r[a]||{}).prototype;var C=v?D:D[a]||(D[a]={});var E=C.prototype;var m,g,h;var y,B,x,w,_,S;for(y in d){m=t(v?y:a+(p?".":"#")+y,u.forced);g=!m&&A&&l(A,y);x=C[y];if(g)if(u.noTargetGet){S=c(A,y);w=S&&S.value}else w=A[y];B=g&&w?w:d[y];if(g&&typeof x===typeof B)continue;if(u.bind&&g)_=o(B,r);else if(u.wrap&&g)_=wrapConstructor(B);else if(b&&typeof B=="function")_=o(Function.call,B);else _=B;if(u.sham||B&&B.sham||x&&x.sham){i(_,"sham",true)}C[y]=_;if(b){h=a+"Prototype";if(!l(D,h)){i(D,h,{})}D[h][y]=B;if(u.real&&E&&!E[y]){i(E,y,B)}}}}},1598:u=>{u.exports=function(u){try{return!!u()}catch(u){return true}}},5070:(u,d,a)=>{var r=a(8504);u.exports=function(u,d,a){r(u);if(d===undefined)return u;switch(a){case 0:return function(){return u.call(d)};case 1:return function(a){return u.call(d,a)};case 2:return function(a,r){return u.call(d,a,r)};case 3:return function(a,r,c){return u.call(d,a,r,c)}}return function(){return u.apply(d,arguments)}}},6186:(u,d,a)=>{var r=a(9454);var c=a(7977);var aFunction=function(u){return typeof u=="function"?u:undefined};u.exports=function(u,d){return arguments.length<2?aFunction(r[u])||aFunction(c[u]):r[u]&&r[u][d]||c[u]&&c[u][d]}},2540:(u,d,a)=>{var r=a(4090);var c=a(9122);var t=a(4685);var D=t("iterator");u.exports=function(u){if(u!=undefined)return u[D]||u["@@iterator"]||c[r(u)]}},2445:(u,d,a)=>{var r=a(5107);var c=a(2540);u.exports=function(u){var d=c(u);if(typeof d!="function"){throw TypeError(String(u)+" is not iterable")}return r(d.call(u))}},7977:u=>{var check=function(u){return u&&u.Math==Math&&u};u.exports=check(typeof globalThis=="object"&&globalThis)||check(typeof window=="object"&&window)||check(typeof self=="object"&&self)||check(typeof global=="object"&&global)||function(){return this}()||Function("return this")()},2002:(u,d,a)=>{var r=a(4093);var c={}.hasOwnProperty;u.exports=function hasOwn(u,d){return c.call(r(u),d)}},5052:u=>{u.exports={}},6859:(u,d,a)=>{var r=a(6186);u.exports=r("document","documentElement")},6933:(u,d,a)=>{var r=a(7627);var c=a(1598);var t=a(4106);u.exports=!r&&!c((function(){return Object.defineProperty(t("div"),"a",{get:function(){return 7}}).a!=7}))},4282:(u,d,a)=>{var r=a(1598);var c=a(7543);var t="".split;u.exports=r((function(){return!Object("z").propertyIsEnumerable(0)}))?function(u){return c(u)=="String"?t.call(u,""):Object(u)}:Object},1335:(u,d,a)=>{var r=a(4676);var c=Function.toString;if(typeof r.inspectSource!="function"){r.inspectSource=function(u){return c.call(u)}}u.exports=r.inspectSource},3056:(u,d,a)=>{var r=a(3232);var c=a(7977);var t=a(1225);var D=a(1246);var o=a(2002);var i=a(4676);var l=a(8872);var v=a(5052);var p="Object already initialized";var b=c.WeakMap;var A,C,E;var enforce=function(u){return E(u)?C(u):A(u,{})};var getterFor=function(u){return function(d){var a;if(!t(d)||(a=C(d)).type!==u){throw TypeError("Incompatible receiver, "+u+" required")}return a}};if(r||i.state){var m=i.state||(i.state=new b);var g=m.get;var h=m.has;var y=m.set;A=function(u,d){if(h.call(m,u))throw new TypeError(p);d.facade=u;y.call(m,u,d);return d};C=function(u){return g.call(m,u)||{}};E=function(u){return h.call(m,u)}}else{var B=l("state");v[B]=true;A=function(u,d){if(o(u,B))throw new TypeError(p);d.facade=u;D(u,B,d);return d};C=function(u){return o(u,B)?u[B]:{}};E=function(u){return o(u,B)}}u.exports={set:A,get:C,has:E,enforce:enforce,getterFor:getterFor}},3024:(u,d,a)=>{var r=a(4685);var c=a(9122);var t=r("iterator");var D=Array.prototype;u.exports=function(u){return u!==undefined&&(c.Array===u||D[t]===u)}},5113:(u,d,a)=>{var r=a(7543);u.exports=Array.isArray||function isArray(u){return r(u)=="Array"}},3376:(u,d,a)=>{var r=a(1598);var c=/#|\.prototype\./;var isForced=function(u,d){var a=D[t(u)];return a==i?true:a==o?false:typeof d=="function"?r(d):!!d};var t=isForced.normalize=function(u){return String(u).replace(c,".").toLowerCase()};var D=isForced.data={};var o=isForced.NATIVE="N";var i=isForced.POLYFILL="P";u.exports=isForced},1225:u=>{u.exports=function(u){return typeof u==="object"?u!==null:typeof u==="function"}},2081:u=>{u.exports=true},2844:(u,d,a)=>{var r=a(5107);u.exports=function(u){var d=u["return"];if(d!==undefined){return r(d.call(u)).value}}},4253:(u,d,a)=>{"use strict";var r=a(1598);var c=a(3019);var t=a(1246);var D=a(2002);var o=a(4685);var i=a(2081);var l=o("iterator");var v=false;var returnThis=function(){return this};var p,b,A;if([].keys){A=[].keys();if(!("next"in A))v=true;else{b=c(c(A));if(b!==Object.prototype)p=b}}var C=p==undefined||r((function(){var u={};return p[l].call(u)!==u}));if(C)p={};if((!i||C)&&!D(p,l)){t(p,l,returnThis)}u.exports={IteratorPrototype:p,BUGGY_SAFARI_ITERATORS:v}},9122:u=>{u.exports={}},594:(u,d,a)=>{var r=a(2600);var c=a(1598);u.exports=!!Object.getOwnPropertySymbols&&!c((function(){return!String(Symbol())||!Symbol.sham&&r&&r<41}))},3232:(u,d,a)=>{var r=a(7977);var c=a(1335);var t=r.WeakMap;u.exports=typeof t==="function"&&/native code/.test(c(t))},463:(u,d,a)=>{var r=a(7977);var c=a(5122).trim;var t=a(3470);var D=r.parseInt;var o=/^[+-]?0[Xx]/;var i=D(t+"08")!==8||D(t+"0x16")!==22;u.exports=i?function parseInt(u,d){var a=c(String(u));return D(a,d>>>0||(o.test(a)?16:10))}:D},7108:(u,d,a)=>{var r=a(5107);var c=a(1121);var t=a(3674);var D=a(5052);var o=a(6859);var i=a(4106);var l=a(8872);var v=">";var p="<";var b="prototype";var A="script";var C=l("IE_PROTO");var EmptyConstructor=function(){};var scriptTag=function(u){return p+A+v+u+p+"/"+A+v};var NullProtoObjectViaActiveX=function(u){u.write(scriptTag(""));u.close();var d=u.parentWindow.Object;u=null;return d};var NullProtoObjectViaIFrame=function(){var u=i("iframe");var d="java"+A+":";var a;u.style.display="none";o.appendChild(u);u.src=String(d);a=u.contentWindow.document;a.open();a.write(scriptTag("document.F=Object"));a.close();return a.F};var E;var NullProtoObject=function(){try{E=document.domain&&new ActiveXObject("htmlfile")}catch(u){}NullProtoObject=E?NullProtoObjectViaActiveX(E):NullProtoObjectViaIFrame();var u=t.length;while(u--)delete NullProtoObject[b][t[u]];return NullProtoObject()};D[C]=true;u.exports=Object.create||function create(u,d){var a;if(u!==null){EmptyConstructor[b]=r(u);a=new EmptyConstructor;EmptyConstructor[b]=null;a[C]=u}else a=NullProtoObject();return d===undefined?a:c(a,d)}},1121:(u,d,a)=>{var r=a(7627);var c=a(5128);var t=a(5107);var D=a(7760);u.exports=r?Object.defineProperties:function defineProperties(u,d){t(u);var a=D(d);var r=a.length;var o=0;var i;while(r>o)c.f(u,i=a[o++],d[i]);return u}},5128:(u,d,a)=>{var r=a(7627);var c=a(6933);var t=a(5107);var D=a(5192);var o=Object.defineProperty;d.f=r?o:function defineProperty(u,d,a){t(u);d=D(d,true);t(a);if(c)try{return o(u,d,a)}catch(u){}if("get"in a||"set"in a)throw TypeError("Accessors not supported");if("value"in a)u[d]=a.value;return u}},3146:(u,d,a)=>{var r=a(7627);var c=a(3635);var t=a(8410);var D=a(1935);var o=a(5192);var i=a(2002);var l=a(6933);var v=Object.getOwnPropertyDescriptor;d.f=r?v:function getOwnPropertyDescriptor(u,d){u=D(u);d=o(d,true);if(l)try{return v(u,d)}catch(u){}if(i(u,d))return t(!c.f.call(u,d),u[d])}},4154:(u,d,a)=>{var r=a(1935);var c=a(4929).f;var t={}.toString;var D=typeof window=="object"&&window&&Object.getOwnPropertyNames?Object.getOwnPropertyNames(window):[];var getWindowNames=function(u){try{return c(u)}catch(u){return D.slice()}};u.exports.f=function getOwnPropertyNames(u){return D&&t.call(u)=="[object Window]"?getWindowNames(u):c(r(u))}},4929:(u,d,a)=>{var r=a(3891);var c=a(3674);var t=c.concat("length","prototype");d.f=Object.getOwnPropertyNames||function getOwnPropertyNames(u){return r(u,t)}},5693:(u,d)=>{d.f=Object.getOwnPropertySymbols},3019:(u,d,a)=>{var r=a(2002);var c=a(4093);var t=a(8872);var D=a(7281);var o=t("IE_PROTO");var i=Object.prototype;u.exports=D?Object.getPrototypeOf:function(u){u=c(u);if(r(u,o))return u[o];if(typeof u.constructor=="function"&&u instanceof u.constructor){return u.constructor.prototype}return u instanceof Object?i:null}},3891:(u,d,a)=>{var r=a(2002);var c=a(1935);var t=a(9771).indexOf;var D=a(5052);u.exports=function(u,d){var a=c(u);var o=0;var i=[];var l;for(l in a)!r(D,l)&&r(a,l)&&i.push(l);while(d.length>o)if(r(a,l=d[o++])){~t(i,l)||i.push(l)}return i}},7760:(u,d,a)=>{var r=a(3891);var c=a(3674);u.exports=Object.keys||function keys(u){return r(u,c)}},3635:(u,d)=>{"use strict";var a={}.propertyIsEnumerable;var r=Object.getOwnPropertyDescriptor;var c=r&&!a.call({1:2},1);d.f=c?function propertyIsEnumerable(u){var d=r(this,u);return!!d&&d.enumerable}:a},9488:(u,d,a)=>{var r=a(5107);var c=a(5997);u.exports=Object.setPrototypeOf||("__proto__"in{}?function(){var u=false;var d={};var a;try{a=Object.getOwnPropertyDescriptor(Object.prototype,"__proto__").set;a.call(d,[]);u=d instanceof Array}catch(u){}return function setPrototypeOf(d,t){r(d);c(t);if(u)a.call(d,t);else d.__proto__=t;return d}}():undefined)},7393:(u,d,a)=>{"use strict";var r=a(6818);var c=a(4090);u.exports=r?{}.toString:function toString(){return"[object "+c(this)+"]"}},9454:u=>{u.exports={}},2460:(u,d,a)=>{var r=a(1246);u.exports=function(u,d,a,c){if(c&&c.enumerable)u[d]=a;else r(u,d,a)}},4111:(u,d,a)=>{"use strict";var r=a(5107);u.exports=function(){var u=r(this);var d="";if(u.global)d+="g";if(u.ignoreCase)d+="i";if(u.multiline)d+="m";if(u.dotAll)d+="s";if(u.unicode)d+="u";if(u.sticky)d+="y";return d}},705:u=>{u.exports=function(u){if(u==undefined)throw TypeError("Can't call method on "+u);return u}},2046:(u,d,a)=>{var r=a(7977);var c=a(1246);u.exports=function(u,d){try{c(r,u,d)}catch(a){r[u]=d}return d}},9397:(u,d,a)=>{var r=a(6818);var c=a(5128).f;var t=a(1246);var D=a(2002);var o=a(7393);var i=a(4685);var l=i("toStringTag");u.exports=function(u,d,a,i){if(u){var v=a?u:u.prototype;if(!D(v,l)){c(v,l,{configurable:true,value:d})}if(i&&!r){t(v,"toString",o)}}}},8872:(u,d,a)=>{var r=a(6682);var c=a(9330);var t=r("keys");u.exports=function(u){return t[u]||(t[u]=c(u))}},4676:(u,d,a)=>{var r=a(7977);var c=a(2046);var t="__core-js_shared__";var D=r[t]||c(t,{});u.exports=D},6682:(u,d,a)=>{var r=a(2081);var c=a(4676);(u.exports=function(u,d){return c[u]||(c[u]=d!==undefined?d:{})})("versions",[]).push({version:"3.12.1",mode:r?"pure":"global",copyright:"© 2021 Denis Pushkarev (zloirock.ru)"})},2638:(u,d,a)=>{var r=a(8742);var c=a(705);var createMethod=function(u){return function(d,a){var t=String(c(d));var D=r(a);var o=t.length;var i,l;if(D<0||D>=o)return u?"":undefined;i=t.charCodeAt(D);return i<55296||i>56319||D+1===o||(l=t.charCodeAt(D+1))<56320||l>57343?u?t.charAt(D):i:u?t.slice(D,D+2):(i-55296<<10)+(l-56320)+65536}};u.exports={codeAt:createMethod(false),charAt:createMethod(true)}},5122:(u,d,a)=>{var r=a(705);var c=a(3470);var t="["+c+"]";var D=RegExp("^"+t+t+"*");var o=RegExp(t+t+"*$");var createMethod=function(u){return function(d){var a=String(r(d));if(u&1)a=a.replace(D,"");if(u&2)a=a.replace(o,"");return a}};u.exports={start:createMethod(1),end:createMethod(2),trim:createMethod(3)}},6410:(u,d,a)=>{var r=a(8742);var c=Math.max;var t=Math.min;u.exports=function(u,d){var a=r(u);return a<0?c(a+d,0):t(a,d)}},1935:(u,d,a)=>{var r=a(4282);var c=a(705);u.exports=function(u){return r(c(u))}},8742:u=>{var d=Math.ceil;var a=Math.floor;u.exports=function(u){return isNaN(u=+u)?0:(u>0?a:d)(u)}},270:(u,d,a)=>{var r=a(8742);var c=Math.min;u.exports=function(u){return u>0?c(r(u),9007199254740991):0}},4093:(u,d,a)=>{var r=a(705);u.exports=function(u){return Object(r(u))}},5192:(u,d,a)=>{var r=a(1225);u.exports=function(u,d){if(!r(u))return u;var a,c;if(d&&typeof(a=u.toString)=="function"&&!r(c=a.call(u)))return c;if(typeof(a=u.valueOf)=="function"&&!r(c=a.call(u)))return c;if(!d&&typeof(a=u.toString)=="function"&&!r(c=a.call(u)))return c;throw TypeError("Can't convert object to primitive value")}},6818:(u,d,a)=>{var r=a(4685);var c=r("toStringTag");var t={};t[c]="z";u.exports=String(t)==="[object z]"},9330:u=>{var d=0;var a=Math.random();u.exports=function(u){return"Symbol("+String(u===undefined?"":u)+")_"+(++d+a).toString(36)}},6904:(u,d,a)=>{var r=a(594);u.exports=r&&!Symbol.sham&&typeof Symbol.iterator=="symbol"},5382:(u,d,a)=>{var r=a(4685);d.f=r},4685:(u,d,a)=>{var r=a(7977);var c=a(6682);var t=a(2002);var D=a(9330);var o=a(594);var i=a(6904);var l=c("wks");var v=r.Symbol;var p=i?v:v&&v.withoutSetter||D;u.exports=function(u){if(!t(l,u)||!(o||typeof l[u]=="string")){if(o&&t(v,u)){l[u]=v[u]}else{l[u]=p("Symbol."+u)}}return l[u]}},3470:u=>{u.exports="\t\n\v\f\r      "+"          　\u2028\u2029\ufeff"},7547:(u,d,a)=>{"use strict";var r=a(8836);var c=a(1598);var t=a(5113);var D=a(1225);var o=a(4093);var i=a(270);var l=a(4433);var v=a(9758);var p=a(5394);var b=a(4685);var A=a(2600);var C=b("isConcatSpreadable");var E=9007199254740991;var m="Maximum allowed index exceeded";var g=A>=51||!c((function(){var u=[];u[C]=false;return u.concat()[0]!==u}));var h=p("concat");var isConcatSpreadable=function(u){if(!D(u))return false;var d=u[C];return d!==undefined?!!d:t(u)};var y=!g||!h;r({target:"Array",proto:true,forced:y},{concat:function concat(u){var d=o(this);var a=v(d,0);var r=0;var c,t,D,p,b;for(c=-1,D=arguments.length;c<D;c++){b=c===-1?d:arguments[c];if(isConcatSpreadable(b)){p=i(b.length);if(r+p>E)throw TypeError(m);for(t=0;t<p;t++,r++)if(t in b)l(a,r,b[t])}else{if(r>=E)throw TypeError(m);l(a,r++,b)}}a.length=r;return a}})},1966:(u,d,a)=>{"use strict";var r=a(8836);var c=a(8731);r({target:"Array",proto:true,forced:[].forEach!=c},{forEach:c})},6618:(u,d,a)=>{var r=a(8836);var c=a(8202);var t=a(9693);var D=!t((function(u){Array.from(u)}));r({target:"Array",stat:true,forced:D},{from:c})},700:(u,d,a)=>{"use strict";var r=a(8836);var c=a(9771).indexOf;var t=a(2388);var D=[].indexOf;var o=!!D&&1/[1].indexOf(1,-0)<0;var i=t("indexOf");r({target:"Array",proto:true,forced:o||!i},{indexOf:function indexOf(u){return o?D.apply(this,arguments)||0:c(this,u,arguments.length>1?arguments[1]:undefined)}})},3780:(u,d,a)=>{var r=a(8836);var c=a(5113);r({target:"Array",stat:true},{isArray:c})},2326:(u,d,a)=>{"use strict";var r=a(1935);var c=a(3955);var t=a(9122);var D=a(3056);var o=a(6154);var i="Array Iterator";var l=D.set;var v=D.getterFor(i);u.exports=o(Array,"Array",(function(u,d){l(this,{type:i,target:r(u),index:0,kind:d})}),(function(){var u=v(this);var d=u.target;var a=u.kind;var r=u.index++;if(!d||r>=d.length){u.target=undefined;return{value:undefined,done:true}}if(a=="keys")return{value:r,done:false};if(a=="values")return{value:d[r],done:false};return{value:[r,d[r]],done:false}}),"values");t.Arguments=t.Array;c("keys");c("values");c("entries")},3845:(u,d,a)=>{"use strict";var r=a(8836);var c=a(2302).map;var t=a(5394);var D=t("map");r({target:"Array",proto:true,forced:!D},{map:function map(u){return c(this,u,arguments.length>1?arguments[1]:undefined)}})},3449:(u,d,a)=>{"use strict";var r=a(8836);var c=a(3274).left;var t=a(2388);var D=a(2600);var o=a(5971);var i=t("reduce");var l=!o&&D>79&&D<83;r({target:"Array",proto:true,forced:!i||l},{reduce:function reduce(u){return c(this,u,arguments.length,arguments.length>1?arguments[1]:undefined)}})},6668:(u,d,a)=>{"use strict";var r=a(8836);var c=a(1225);var t=a(5113);var D=a(6410);var o=a(270);var i=a(1935);var l=a(4433);var v=a(4685);var p=a(5394);var b=p("slice");var A=v("species");var C=[].slice;var E=Math.max;r({target:"Array",proto:true,forced:!b},{slice:function slice(u,d){var a=i(this);var r=o(a.length);var v=D(u,r);var p=D(d===undefined?r:d,r);var b,m,g;if(t(a)){b=a.constructor;if(typeof b=="function"&&(b===Array||t(b.prototype))){b=undefined}else if(c(b)){b=b[A];if(b===null)b=undefined}if(b===Array||b===undefined){return C.call(a,v,p)}}m=new(b===undefined?Array:b)(E(p-v,0));for(g=0;v<p;v++,g++)if(v in a)l(m,g,a[v]);m.length=g;return m}})},9479:(u,d,a)=>{"use strict";var r=a(8836);var c=a(8504);var t=a(4093);var D=a(1598);var o=a(2388);var i=[];var l=i.sort;var v=D((function(){i.sort(undefined)}));var p=D((function(){i.sort(null)}));var b=o("sort");var A=v||!p||!b;r({target:"Array",proto:true,forced:A},{sort:function sort(u){return u===undefined?l.call(t(this)):l.call(t(this),c(u))}})},6086:(u,d,a)=>{var r=a(7977);var c=a(9397);c(r.JSON,"JSON",true)},180:()=>{},4780:(u,d,a)=>{var r=a(8836);var c=a(7627);var t=a(7108);r({target:"Object",stat:true,sham:!c},{create:t})},3388:(u,d,a)=>{var r=a(8836);var c=a(7627);var t=a(5128);r({target:"Object",stat:true,forced:!c,sham:!c},{defineProperty:t.f})},6027:()=>{},2359:(u,d,a)=>{var r=a(8836);var c=a(463);r({global:true,forced:parseInt!=c},{parseInt:c})},6629:()=>{},3439:()=>{},8580:(u,d,a)=>{"use strict";var r=a(2638).charAt;var c=a(3056);var t=a(6154);var D="String Iterator";var o=c.set;var i=c.getterFor(D);t(String,"String",(function(u){o(this,{type:D,string:String(u),index:0})}),(function next(){var u=i(this);var d=u.string;var a=u.index;var c;if(a>=d.length)return{value:undefined,done:true};c=r(d,a);u.index+=c.length;return{value:c,done:false}}))},3794:(u,d,a)=>{var r=a(147);r("asyncIterator")},7682:()=>{},679:(u,d,a)=>{var r=a(147);r("hasInstance")},7146:(u,d,a)=>{var r=a(147);r("isConcatSpreadable")},2427:(u,d,a)=>{var r=a(147);r("iterator")},5911:(u,d,a)=>{"use strict";var r=a(8836);var c=a(7977);var t=a(6186);var D=a(2081);var o=a(7627);var i=a(594);var l=a(6904);var v=a(1598);var p=a(2002);var b=a(5113);var A=a(1225);var C=a(5107);var E=a(4093);var m=a(1935);var g=a(5192);var h=a(8410);var y=a(7108);var B=a(7760);var x=a(4929);var w=a(4154);var _=a(5693);var S=a(3146);var O=a(5128);var R=a(3635);var T=a(1246);var k=a(2460);var I=a(6682);var P=a(8872);var N=a(5052);var j=a(9330);var L=a(4685);var M=a(5382);var X=a(147);var U=a(9397);var G=a(3056);var z=a(2302).forEach;var H=P("hidden");var $="Symbol";var Z="prototype";var q=L("toPrimitive");var Y=G.set;var V=G.getterFor($);var W=Object[Z];var K=c.Symbol;var J=t("JSON","stringify");var Q=S.f;var uu=O.f;var du=w.f;var eu=R.f;var au=I("symbols");var ru=I("op-symbols");var fu=I("string-to-symbol-registry");var cu=I("symbol-to-string-registry");var tu=I("wks");var nu=c.QObject;var Du=!nu||!nu[Z]||!nu[Z].findChild;var ou=o&&v((function(){return y(uu({},"a",{get:function(){return uu(this,"a",{value:7}).a}})).a!=7}))?function(u,d,a){var r=Q(W,d);if(r)delete W[d];uu(u,d,a);if(r&&u!==W){uu(W,d,r)}}:uu;var wrap=function(u,d){var a=au[u]=y(K[Z]);Y(a,{type:$,tag:u,description:d});if(!o)a.description=d;return a};var iu=l?function(u){return typeof u=="symbol"}:function(u){return Object(u)instanceof K};var su=function defineProperty(u,d,a){if(u===W)su(ru,d,a);C(u);var r=g(d,true);C(a);if(p(au,r)){if(!a.enumerable){if(!p(u,H))uu(u,H,h(1,{}));u[H][r]=true}else{if(p(u,H)&&u[H][r])u[H][r]=false;a=y(a,{enumerable:h(0,false)})}return ou(u,r,a)}return uu(u,r,a)};var lu=function defineProperties(u,d){C(u);var a=m(d);var r=B(a).concat(Au(a));z(r,(function(d){if(!o||pu.call(a,d))su(u,d,a[d])}));return u};var vu=function create(u,d){return d===undefined?y(u):lu(y(u),d)};var pu=function propertyIsEnumerable(u){var d=g(u,true);var a=eu.call(this,d);if(this===W&&p(au,d)&&!p(ru,d))return false;return a||!p(this,d)||!p(au,d)||p(this,H)&&this[H][d]?a:true};var bu=function getOwnPropertyDescriptor(u,d){var a=m(u);var r=g(d,true);if(a===W&&p(au,r)&&!p(ru,r))return;var c=Q(a,r);if(c&&p(au,r)&&!(p(a,H)&&a[H][r])){c.enumerable=true}return c};var Fu=function getOwnPropertyNames(u){var d=du(m(u));var a=[];z(d,(function(u){if(!p(au,u)&&!p(N,u))a.push(u)}));return a};var Au=function getOwnPropertySymbols(u){var d=u===W;var a=du(d?ru:m(u));var r=[];z(a,(function(u){if(p(au,u)&&(!d||p(W,u))){r.push(au[u])}}));return r};if(!i){K=function Symbol(){if(this instanceof K)throw TypeError("Symbol is not a constructor");var u=!arguments.length||arguments[0]===undefined?undefined:String(arguments[0]);var d=j(u);var setter=function(u){if(this===W)setter.call(ru,u);if(p(this,H)&&p(this[H],d))this[H][d]=false;ou(this,d,h(1,u))};if(o&&Du)ou(W,d,{configurable:true,set:setter});return wrap(d,u)};k(K[Z],"toString",(function toString(){return V(this).tag}));k(K,"withoutSetter",(function(u){return wrap(j(u),u)}));R.f=pu;O.f=su;S.f=bu;x.f=w.f=Fu;_.f=Au;M.f=function(u){return wrap(L(u),u)};if(o){uu(K[Z],"description",{configurable:true,get:function description(){return V(this).description}});if(!D){k(W,"propertyIsEnumerable",pu,{unsafe:true})}}}r({global:true,wrap:true,forced:!i,sham:!i},{Symbol:K});z(B(tu),(function(u){X(u)}));r({target:$,stat:true,forced:!i},{for:function(u){var d=String(u);if(p(fu,d))return fu[d];var a=K(d);fu[d]=a;cu[a]=d;return a},keyFor:function keyFor(u){if(!iu(u))throw TypeError(u+" is not a symbol");if(p(cu,u))return cu[u]},useSetter:function(){Du=true},useSimple:function(){Du=false}});r({target:"Object",stat:true,forced:!i,sham:!o},{create:vu,defineProperty:su,defineProperties:lu,getOwnPropertyDescriptor:bu});r({target:"Object",stat:true,forced:!i},{getOwnPropertyNames:Fu,getOwnPropertySymbols:Au});r({target:"Object",stat:true,forced:v((function(){_.f(1)}))},{getOwnPropertySymbols:function getOwnPropertySymbols(u){return _.f(E(u))}});if(J){var Cu=!i||v((function(){var u=K();return J([u])!="[null]"||J({a:u})!="{}"||J(Object(u))!="{}"}));r({target:"JSON",stat:true,forced:Cu},{stringify:function stringify(u,d,a){var r=[u];var c=1;var t;while(arguments.length>c)r.push(arguments[c++]);t=d;if(!A(d)&&u===undefined||iu(u))return;if(!b(d))d=function(u,d){if(typeof t=="function")d=t.call(this,u,d);if(!iu(d))return d};r[1]=d;return J.apply(null,r)}})}if(!K[Z][q]){T(K[Z],q,K[Z].valueOf)}U(K,$);N[H]=true},2230:(u,d,a)=>{var r=a(147);r("matchAll")},7715:(u,d,a)=>{var r=a(147);r("match")},8162:(u,d,a)=>{var r=a(147);r("replace")},4479:(u,d,a)=>{var r=a(147);r("search")},9976:(u,d,a)=>{var r=a(147);r("species")},6430:(u,d,a)=>{var r=a(147);r("split")},1943:(u,d,a)=>{var r=a(147);r("toPrimitive")},2038:(u,d,a)=>{var r=a(147);r("toStringTag")},4513:(u,d,a)=>{var r=a(147);r("unscopables")},5951:(u,d,a)=>{var r=a(147);r("asyncDispose")},5764:(u,d,a)=>{var r=a(147);r("dispose")},745:(u,d,a)=>{var r=a(147);r("matcher")},4483:(u,d,a)=>{var r=a(147);r("metadata")},6519:(u,d,a)=>{var r=a(147);r("observable")},9180:(u,d,a)=>{var r=a(147);r("patternMatch")},6730:(u,d,a)=>{var r=a(147);r("replaceAll")},1896:(u,d,a)=>{a(2326);var r=a(3988);var c=a(7977);var t=a(4090);var D=a(1246);var o=a(9122);var i=a(4685);var l=i("toStringTag");for(var v in r){var p=c[v];var b=p&&p.prototype;if(b&&t(b)!==l){D(b,l,v)}o[v]=o.Array}},531:(u,d,a)=>{var r=a(4605);u.exports=r},2674:(u,d,a)=>{var r=a(5918);u.exports=r},2495:(u,d,a)=>{var r=a(2952);u.exports=r},6910:(u,d,a)=>{var r=a(6988);u.exports=r},1737:(u,d,a)=>{var r=a(4665);u.exports=r},4151:(u,d,a)=>{a(1896);var r=a(2495);var c=a(4090);var t=Array.prototype;var D={DOMTokenList:true,NodeList:true};u.exports=function(u){var d=u.forEach;return u===t||u instanceof Array&&d===t.forEach||D.hasOwnProperty(c(u))?r:d}},2594:(u,d,a)=>{var r=a(4362);u.exports=r},3466:(u,d,a)=>{var r=a(7091);u.exports=r},5426:(u,d,a)=>{var r=a(1781);u.exports=r},8034:(u,d,a)=>{var r=a(2637);u.exports=r},7180:(u,d,a)=>{var r=a(2916);u.exports=r},2491:(u,d,a)=>{var r=a(1222);u.exports=r},9327:(u,d,a)=>{var r=a(701);u.exports=r},3567:(u,d,a)=>{var r=a(2865);u.exports=r},7556:(u,d,a)=>{var r=a(1232);u.exports=r},380:(u,d,a)=>{"use strict";var r=a(4218);var c=a(4393);r(d,"__esModule",{value:true});d.default=void 0;var t=c(a(6099));var D=c(a(5502));var o=c(a(3781));var i=c(a(466));
+(()=>{var u={3361:(u,d,r)=>{u.exports=r(531)},5401:(u,d,r)=>{u.exports=r(2674)},466:(u,d,r)=>{u.exports=r(6910)},3046:(u,d,r)=>{u.exports=r(1737)},669:(u,d,r)=>{u.exports=r(4151)},3781:(u,d,r)=>{u.exports=r(2594)},5502:(u,d,r)=>{u.exports=r(3466)},6099:(u,d,r)=>{u.exports=r(5426)},9188:(u,d,r)=>{u.exports=r(8034)},8979:(u,d,r)=>{u.exports=r(7180)},6761:(u,d,r)=>{u.exports=r(2491)},4218:(u,d,r)=>{u.exports=r(9327)},1308:(u,d,r)=>{u.exports=r(3567)},7652:(u,d,r)=>{u.exports=r(7556)},1477:(u,d,r)=>{u.exports=r(7587)},2146:(u,d,r)=>{u.exports=r(1656)},9640:(u,d,r)=>{u.exports=r(7800)},1345:(u,d,r)=>{u.exports=r(7161)},7196:(u,d,r)=>{u.exports=r(4941)},5007:(u,d,r)=>{u.exports=r(2686)},5437:u=>{function _arrayLikeToArray(u,d){if(d==null||d>u.length)d=u.length;for(var r=0,a=new Array(d);r<d;r++){a[r]=u[r]}return a}u.exports=_arrayLikeToArray;u.exports.default=u.exports,u.exports.__esModule=true},9991:(u,d,r)=>{var a=r(2146);function _arrayWithHoles(u){if(a(u))return u}u.exports=_arrayWithHoles;u.exports.default=u.exports,u.exports.__esModule=true},4393:u=>{function _interopRequireDefault(u){return u&&u.__esModule?u:{default:u}}u.exports=_interopRequireDefault;u.exports.default=u.exports,u.exports.__esModule=true},7061:(u,d,r)=>{var a=r(5007);var t=r(9640);function _iterableToArrayLimit(u,d){var r=u&&(typeof a!=="undefined"&&t(u)||u["@@iterator"]);if(r==null)return;var c=[];var o=true;var i=false;var D,l;try{for(r=r.call(u);!(o=(D=r.next()).done);o=true){c.push(D.value);if(d&&c.length===d)break}}catch(u){i=true;l=u}finally{try{if(!o&&r["return"]!=null)r["return"]()}finally{if(i)throw l}}return c}u.exports=_iterableToArrayLimit;u.exports.default=u.exports,u.exports.__esModule=true},3558:u=>{function _nonIterableRest(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}u.exports=_nonIterableRest;u.exports.default=u.exports,u.exports.__esModule=true},8135:(u,d,r)=>{var a=r(9991);var t=r(7061);var c=r(499);var o=r(3558);function _slicedToArray(u,d){return a(u)||t(u,d)||c(u,d)||o()}u.exports=_slicedToArray;u.exports.default=u.exports,u.exports.__esModule=true},499:(u,d,r)=>{var a=r(7196);var t=r(1477);var c=r(5437);function _unsupportedIterableToArray(u,d){var r;if(!u)return;if(typeof u==="string")return c(u,d);var o=a(r=Object.prototype.toString.call(u)).call(r,8,-1);if(o==="Object"&&u.constructor)o=u.constructor.name;if(o==="Map"||o==="Set")return t(u);if(o==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(o))return c(u,d)}u.exports=_unsupportedIterableToArray;u.exports.default=u.exports,u.exports.__esModule=true},4605:(u,d,r)=>{r(8580);r(6618);var a=r(9454);u.exports=a.Array.from},5918:(u,d,r)=>{r(3780);var a=r(9454);u.exports=a.Array.isArray},4496:(u,d,r)=>{r(7547);var a=r(2570);u.exports=a("Array").concat},2952:(u,d,r)=>{r(1966);var a=r(2570);u.exports=a("Array").forEach},6662:(u,d,r)=>{r(700);var a=r(2570);u.exports=a("Array").indexOf},9187:(u,d,r)=>{r(3845);var a=r(2570);u.exports=a("Array").map},6260:(u,d,r)=>{r(3449);var a=r(2570);u.exports=a("Array").reduce},8049:(u,d,r)=>{r(6668);var a=r(2570);u.exports=a("Array").slice},7638:(u,d,r)=>{r(9479);var a=r(2570);u.exports=a("Array").sort},6988:(u,d,r)=>{var a=r(4496);var t=Array.prototype;u.exports=function(u){var d=u.concat;return u===t||u instanceof Array&&d===t.concat?a:d}},4665:(u,d,r)=>{var a=r(8278);var t=RegExp.prototype;u.exports=function(u){return(u===t||u instanceof RegExp)&&!("flags"in u)?a(u):u.flags}},4362:(u,d,r)=>{var a=r(6662);var t=Array.prototype;u.exports=function(u){var d=u.indexOf;return u===t||u instanceof Array&&d===t.indexOf?a:d}},7091:(u,d,r)=>{var a=r(9187);var t=Array.prototype;u.exports=function(u){var d=u.map;return u===t||u instanceof Array&&d===t.map?a:d}},1781:(u,d,r)=>{var a=r(6260);var t=Array.prototype;u.exports=function(u){var d=u.reduce;return u===t||u instanceof Array&&d===t.reduce?a:d}},2637:(u,d,r)=>{var a=r(8049);var t=Array.prototype;u.exports=function(u){var d=u.slice;return u===t||u instanceof Array&&d===t.slice?a:d}},2916:(u,d,r)=>{var a=r(7638);var t=Array.prototype;u.exports=function(u){var d=u.sort;return u===t||u instanceof Array&&d===t.sort?a:d}},1222:(u,d,r)=>{r(4780);var a=r(9454);var t=a.Object;u.exports=function create(u,d){return t.create(u,d)}},701:(u,d,r)=>{r(3388);var a=r(9454);var t=a.Object;var c=u.exports=function defineProperty(u,d,r){return t.defineProperty(u,d,r)};if(t.defineProperty.sham)c.sham=true},2865:(u,d,r)=>{r(2359);var a=r(9454);u.exports=a.parseInt},8278:(u,d,r)=>{r(3439);var a=r(4111);u.exports=function(u){return a.call(u)}},1232:(u,d,r)=>{r(7547);r(6027);r(5911);r(3794);r(7682);r(679);r(7146);r(2427);r(7715);r(2230);r(8162);r(4479);r(9976);r(6430);r(1943);r(2038);r(4513);r(6086);r(180);r(6629);var a=r(9454);u.exports=a.Symbol},7587:(u,d,r)=>{var a=r(4605);u.exports=a},1656:(u,d,r)=>{var a=r(5918);u.exports=a},7800:(u,d,r)=>{r(1896);r(8580);var a=r(2540);u.exports=a},7161:(u,d,r)=>{r(1896);r(8580);var a=r(2445);u.exports=a},4941:(u,d,r)=>{var a=r(2637);u.exports=a},2686:(u,d,r)=>{var a=r(1232);r(5951);r(5764);r(745);r(4483);r(6519);r(9180);r(6730);u.exports=a},8504:u=>{u.exports=function(u){if(typeof u!="function"){throw TypeError(String(u)+" is not a function")}return u}},5997:(u,d,r)=>{var a=r(1225);u.exports=function(u){if(!a(u)&&u!==null){throw TypeError("Can't set "+String(u)+" as a prototype")}return u}},3955:u=>{u.exports=function(){}},5107:(u,d,r)=>{var a=r(1225);u.exports=function(u){if(!a(u)){throw TypeError(String(u)+" is not an object")}return u}},8731:(u,d,r)=>{"use strict";var a=r(2302).forEach;var t=r(2388);var c=t("forEach");u.exports=!c?function forEach(u){return a(this,u,arguments.length>1?arguments[1]:undefined)}:[].forEach},8202:(u,d,r)=>{"use strict";var a=r(5070);var t=r(4093);var c=r(1664);var o=r(3024);var i=r(270);var D=r(4433);var l=r(2540);u.exports=function from(u){var d=t(u);var r=typeof this=="function"?this:Array;var p=arguments.length;var v=p>1?arguments[1]:undefined;var b=v!==undefined;var E=l(d);var A=0;var m,C,g,h,y,x;if(b)v=a(v,p>2?arguments[2]:undefined,2);if(E!=undefined&&!(r==Array&&o(E))){h=E.call(d);y=h.next;C=new r;for(;!(g=y.call(h)).done;A++){x=b?c(h,v,[g.value,A],true):g.value;D(C,A,x)}}else{m=i(d.length);C=new r(m);for(;m>A;A++){x=b?v(d[A],A):d[A];D(C,A,x)}}C.length=A;return C}},9771:(u,d,r)=>{var a=r(1935);var t=r(270);var c=r(6410);var createMethod=function(u){return function(d,r,o){var i=a(d);var D=t(i.length);var l=c(o,D);var p;if(u&&r!=r)while(D>l){p=i[l++];if(p!=p)return true}else for(;D>l;l++){if((u||l in i)&&i[l]===r)return u||l||0}return!u&&-1}};u.exports={includes:createMethod(true),indexOf:createMethod(false)}},2302:(u,d,r)=>{var a=r(5070);var t=r(4282);var c=r(4093);var o=r(270);var i=r(9758);var D=[].push;var createMethod=function(u){var d=u==1;var r=u==2;var l=u==3;var p=u==4;var v=u==6;var b=u==7;var E=u==5||v;return function(A,m,C,g){var h=c(A);var y=t(h);var x=a(m,C,3);var B=o(y.length);var w=0;var _=g||i;var S=d?_(A,B):r||b?_(A,0):undefined;var O,T;for(;B>w;w++)if(E||w in y){O=y[w];T=x(O,w,h);if(u){if(d)S[w]=T;else if(T)switch(u){case 3:return true;case 5:return O;case 6:return w;case 2:D.call(S,O)}else switch(u){case 4:return false;case 7:D.call(S,O)}}}return v?-1:l||p?p:S}};u.exports={forEach:createMethod(0),map:createMethod(1),filter:createMethod(2),some:createMethod(3),every:createMethod(4),find:createMethod(5),findIndex:createMethod(6),filterOut:createMethod(7)}},5394:(u,d,r)=>{var a=r(1598);var t=r(4685);var c=r(2600);var o=t("species");u.exports=function(u){return c>=51||!a((function(){var d=[];var r=d.constructor={};r[o]=function(){return{foo:1}};return d[u](Boolean).foo!==1}))}},2388:(u,d,r)=>{"use strict";var a=r(1598);u.exports=function(u,d){var r=[][u];return!!r&&a((function(){r.call(null,d||function(){throw 1},1)}))}},3274:(u,d,r)=>{var a=r(8504);var t=r(4093);var c=r(4282);var o=r(270);var createMethod=function(u){return function(d,r,i,D){a(r);var l=t(d);var p=c(l);var v=o(l.length);var b=u?v-1:0;var E=u?-1:1;if(i<2)while(true){if(b in p){D=p[b];b+=E;break}b+=E;if(u?b<0:v<=b){throw TypeError("Reduce of empty array with no initial value")}}for(;u?b>=0:v>b;b+=E)if(b in p){D=r(D,p[b],b,l)}return D}};u.exports={left:createMethod(false),right:createMethod(true)}},9758:(u,d,r)=>{var a=r(1225);var t=r(5113);var c=r(4685);var o=c("species");u.exports=function(u,d){var r;if(t(u)){r=u.constructor;if(typeof r=="function"&&(r===Array||t(r.prototype)))r=undefined;else if(a(r)){r=r[o];if(r===null)r=undefined}}return new(r===undefined?Array:r)(d===0?0:d)}},1664:(u,d,r)=>{var a=r(5107);var t=r(2844);u.exports=function(u,d,r,c){try{return c?d(a(r)[0],r[1]):d(r)}catch(d){t(u);throw d}}},9693:(u,d,r)=>{var a=r(4685);var t=a("iterator");var c=false;try{var o=0;var i={next:function(){return{done:!!o++}},return:function(){c=true}};i[t]=function(){return this};Array.from(i,(function(){throw 2}))}catch(u){}u.exports=function(u,d){if(!d&&!c)return false;var r=false;try{var a={};a[t]=function(){return{next:function(){return{done:r=true}}}};u(a)}catch(u){}return r}},7543:u=>{var d={}.toString;u.exports=function(u){return d.call(u).slice(8,-1)}},4090:(u,d,r)=>{var a=r(6818);var t=r(7543);var c=r(4685);var o=c("toStringTag");var i=t(function(){return arguments}())=="Arguments";var tryGet=function(u,d){try{return u[d]}catch(u){}};u.exports=a?t:function(u){var d,r,a;return u===undefined?"Undefined":u===null?"Null":typeof(r=tryGet(d=Object(u),o))=="string"?r:i?t(d):(a=t(d))=="Object"&&typeof d.callee=="function"?"Arguments":a}},7281:(u,d,r)=>{var a=r(1598);u.exports=!a((function(){function F(){}F.prototype.constructor=null;return Object.getPrototypeOf(new F)!==F.prototype}))},8005:(u,d,r)=>{"use strict";var a=r(4253).IteratorPrototype;var t=r(7108);var c=r(8410);var o=r(9397);var i=r(9122);var returnThis=function(){return this};u.exports=function(u,d,r){var D=d+" Iterator";u.prototype=t(a,{next:c(1,r)});o(u,D,false,true);i[D]=returnThis;return u}},1246:(u,d,r)=>{var a=r(7627);var t=r(5128);var c=r(8410);u.exports=a?function(u,d,r){return t.f(u,d,c(1,r))}:function(u,d,r){u[d]=r;return u}},8410:u=>{u.exports=function(u,d){return{enumerable:!(u&1),configurable:!(u&2),writable:!(u&4),value:d}}},4433:(u,d,r)=>{"use strict";var a=r(5192);var t=r(5128);var c=r(8410);u.exports=function(u,d,r){var o=a(d);if(o in u)t.f(u,o,c(0,r));else u[o]=r}},6154:(u,d,r)=>{"use strict";var a=r(8836);var t=r(8005);var c=r(3019);var o=r(9488);var i=r(9397);var D=r(1246);var l=r(2460);var p=r(4685);var v=r(2081);var b=r(9122);var E=r(4253);var A=E.IteratorPrototype;var m=E.BUGGY_SAFARI_ITERATORS;var C=p("iterator");var g="keys";var h="values";var y="entries";var returnThis=function(){return this};u.exports=function(u,d,r,p,E,x,B){t(r,d,p);var getIterationMethod=function(u){if(u===E&&T)return T;if(!m&&u in S)return S[u];switch(u){case g:return function keys(){return new r(this,u)};case h:return function values(){return new r(this,u)};case y:return function entries(){return new r(this,u)}}return function(){return new r(this)}};var w=d+" Iterator";var _=false;var S=u.prototype;var O=S[C]||S["@@iterator"]||E&&S[E];var T=!m&&O||getIterationMethod(E);var k=d=="Array"?S.entries||O:O;var R,j,I;if(k){R=c(k.call(new u));if(A!==Object.prototype&&R.next){if(!v&&c(R)!==A){if(o){o(R,A)}else if(typeof R[C]!="function"){D(R,C,returnThis)}}i(R,w,true,true);if(v)b[w]=returnThis}}if(E==h&&O&&O.name!==h){_=true;T=function values(){return O.call(this)}}if((!v||B)&&S[C]!==T){D(S,C,T)}b[d]=T;if(E){j={values:getIterationMethod(h),keys:x?T:getIterationMethod(g),entries:getIterationMethod(y)};if(B)for(I in j){if(m||_||!(I in S)){l(S,I,j[I])}}else a({target:d,proto:true,forced:m||_},j)}return j}},147:(u,d,r)=>{var a=r(9454);var t=r(2002);var c=r(5382);var o=r(5128).f;u.exports=function(u){var d=a.Symbol||(a.Symbol={});if(!t(d,u))o(d,u,{value:c.f(u)})}},7627:(u,d,r)=>{var a=r(1598);u.exports=!a((function(){return Object.defineProperty({},1,{get:function(){return 7}})[1]!=7}))},4106:(u,d,r)=>{var a=r(7977);var t=r(1225);var c=a.document;var o=t(c)&&t(c.createElement);u.exports=function(u){return o?c.createElement(u):{}}},3988:u=>{u.exports={CSSRuleList:0,CSSStyleDeclaration:0,CSSValueList:0,ClientRectList:0,DOMRectList:0,DOMStringList:0,DOMTokenList:1,DataTransferItemList:0,FileList:0,HTMLAllCollection:0,HTMLCollection:0,HTMLFormElement:0,HTMLSelectElement:0,MediaList:0,MimeTypeArray:0,NamedNodeMap:0,NodeList:1,PaintRequestList:0,Plugin:0,PluginArray:0,SVGLengthList:0,SVGNumberList:0,SVGPathSegList:0,SVGPointList:0,SVGStringList:0,SVGTransformList:0,SourceBufferList:0,StyleSheetList:0,TextTrackCueList:0,TextTrackList:0,TouchList:0}},5971:(u,d,r)=>{var a=r(7543);var t=r(7977);u.exports=a(t.process)=="process"},4691:(u,d,r)=>{var a=r(6186);u.exports=a("navigator","userAgent")||""},2600:(u,d,r)=>{var a=r(7977);var t=r(4691);var c=a.process;var o=c&&c.versions;var i=o&&o.v8;var D,l;if(i){D=i.split(".");l=D[0]<4?1:D[0]+D[1]}else if(t){D=t.match(/Edge\/(\d+)/);if(!D||D[1]>=74){D=t.match(/Chrome\/(\d+)/);if(D)l=D[1]}}u.exports=l&&+l},2570:(u,d,r)=>{var a=r(9454);u.exports=function(u){return a[u+"Prototype"]}},3674:u=>{u.exports=["constructor","hasOwnProperty","isPrototypeOf","propertyIsEnumerable","toLocaleString","toString","valueOf"]},8836:(u,d,r)=>{"use strict";var a=r(7977);var t=r(3146).f;var c=r(3376);var o=r(9454);var i=r(5070);var D=r(1246);var l=r(2002);var wrapConstructor=function(u){var Wrapper=function(d,r,a){if(this instanceof u){switch(arguments.length){case 0:return new u;case 1:return new u(d);case 2:return new u(d,r)}return new u(d,r,a)}return u.apply(this,arguments)};Wrapper.prototype=u.prototype;return Wrapper};u.exports=function(u,d){var r=u.target;var p=u.global;var v=u.stat;var b=u.proto;var E=p?a:v?a[r]:(a[r]||{}).prototype;var A=p?o:o[r]||(o[r]={});var m=A.prototype;var C,g,h;var y,x,B,w,_,S;for(y in d){C=c(p?y:r+(v?".":"#")+y,u.forced);g=!C&&E&&l(E,y);B=A[y];if(g)if(u.noTargetGet){S=t(E,y);w=S&&S.value}else w=E[y];x=g&&w?w:d[y];if(g&&typeof B===typeof x)continue;if(u.bind&&g)_=i(x,a);else if(u.wrap&&g)_=wrapConstructor(x);else if(b&&typeof x=="function")_=i(Function.call,x);else _=x;if(u.sham||x&&x.sham||B&&B.sham){D(_,"sham",true)}A[y]=_;if(b){h=r+"Prototype";if(!l(o,h)){D(o,h,{})}o[h][y]=x;if(u.real&&m&&!m[y]){D(m,y,x)}}}}},1598:u=>{u.exports=function(u){try{return!!u()}catch(u){return true}}},5070:(u,d,r)=>{var a=r(8504);u.exports=function(u,d,r){a(u);if(d===undefined)return u;switch(r){case 0:return function(){return u.call(d)};case 1:return function(r){return u.call(d,r)};case 2:return function(r,a){return u.call(d,r,a)};case 3:return function(r,a,t){return u.call(d,r,a,t)}}return function(){return u.apply(d,arguments)}}},6186:(u,d,r)=>{var a=r(9454);var t=r(7977);var aFunction=function(u){return typeof u=="function"?u:undefined};u.exports=function(u,d){return arguments.length<2?aFunction(a[u])||aFunction(t[u]):a[u]&&a[u][d]||t[u]&&t[u][d]}},2540:(u,d,r)=>{var a=r(4090);var t=r(9122);var c=r(4685);var o=c("iterator");u.exports=function(u){if(u!=undefined)return u[o]||u["@@iterator"]||t[a(u)]}},2445:(u,d,r)=>{var a=r(5107);var t=r(2540);u.exports=function(u){var d=t(u);if(typeof d!="function"){throw TypeError(String(u)+" is not iterable")}return a(d.call(u))}},7977:u=>{var check=function(u){return u&&u.Math==Math&&u};u.exports=check(typeof globalThis=="object"&&globalThis)||check(typeof window=="object"&&window)||check(typeof self=="object"&&self)||check(typeof global=="object"&&global)||function(){return this}()||Function("return this")()},2002:(u,d,r)=>{var a=r(4093);var t={}.hasOwnProperty;u.exports=function hasOwn(u,d){return t.call(a(u),d)}},5052:u=>{u.exports={}},6859:(u,d,r)=>{var a=r(6186);u.exports=a("document","documentElement")},6933:(u,d,r)=>{var a=r(7627);var t=r(1598);var c=r(4106);u.exports=!a&&!t((function(){return Object.defineProperty(c("div"),"a",{get:function(){return 7}}).a!=7}))},4282:(u,d,r)=>{var a=r(1598);var t=r(7543);var c="".split;u.exports=a((function(){return!Object("z").propertyIsEnumerable(0)}))?function(u){return t(u)=="String"?c.call(u,""):Object(u)}:Object},1335:(u,d,r)=>{var a=r(4676);var t=Function.toString;if(typeof a.inspectSource!="function"){a.inspectSource=function(u){return t.call(u)}}u.exports=a.inspectSource},3056:(u,d,r)=>{var a=r(3232);var t=r(7977);var c=r(1225);var o=r(1246);var i=r(2002);var D=r(4676);var l=r(8872);var p=r(5052);var v="Object already initialized";var b=t.WeakMap;var E,A,m;var enforce=function(u){return m(u)?A(u):E(u,{})};var getterFor=function(u){return function(d){var r;if(!c(d)||(r=A(d)).type!==u){throw TypeError("Incompatible receiver, "+u+" required")}return r}};if(a||D.state){var C=D.state||(D.state=new b);var g=C.get;var h=C.has;var y=C.set;E=function(u,d){if(h.call(C,u))throw new TypeError(v);d.facade=u;y.call(C,u,d);return d};A=function(u){return g.call(C,u)||{}};m=function(u){return h.call(C,u)}}else{var x=l("state");p[x]=true;E=function(u,d){if(i(u,x))throw new TypeError(v);d.facade=u;o(u,x,d);return d};A=function(u){return i(u,x)?u[x]:{}};m=function(u){return i(u,x)}}u.exports={set:E,get:A,has:m,enforce:enforce,getterFor:getterFor}},3024:(u,d,r)=>{var a=r(4685);var t=r(9122);var c=a("iterator");var o=Array.prototype;u.exports=function(u){return u!==undefined&&(t.Array===u||o[c]===u)}},5113:(u,d,r)=>{var a=r(7543);u.exports=Array.isArray||function isArray(u){return a(u)=="Array"}},3376:(u,d,r)=>{var a=r(1598);var t=/#|\.prototype\./;var isForced=function(u,d){var r=o[c(u)];return r==D?true:r==i?false:typeof d=="function"?a(d):!!d};var c=isForced.normalize=function(u){return String(u).replace(t,".").toLowerCase()};var o=isForced.data={};var i=isForced.NATIVE="N";var D=isForced.POLYFILL="P";u.exports=isForced},1225:u=>{u.exports=function(u){return typeof u==="object"?u!==null:typeof u==="function"}},2081:u=>{u.exports=true},2844:(u,d,r)=>{var a=r(5107);u.exports=function(u){var d=u["return"];if(d!==undefined){return a(d.call(u)).value}}},4253:(u,d,r)=>{"use strict";var a=r(1598);var t=r(3019);var c=r(1246);var o=r(2002);var i=r(4685);var D=r(2081);var l=i("iterator");var p=false;var returnThis=function(){return this};var v,b,E;if([].keys){E=[].keys();if(!("next"in E))p=true;else{b=t(t(E));if(b!==Object.prototype)v=b}}var A=v==undefined||a((function(){var u={};return v[l].call(u)!==u}));if(A)v={};if((!D||A)&&!o(v,l)){c(v,l,returnThis)}u.exports={IteratorPrototype:v,BUGGY_SAFARI_ITERATORS:p}},9122:u=>{u.exports={}},594:(u,d,r)=>{var a=r(2600);var t=r(1598);u.exports=!!Object.getOwnPropertySymbols&&!t((function(){return!String(Symbol())||!Symbol.sham&&a&&a<41}))},3232:(u,d,r)=>{var a=r(7977);var t=r(1335);var c=a.WeakMap;u.exports=typeof c==="function"&&/native code/.test(t(c))},463:(u,d,r)=>{var a=r(7977);var t=r(5122).trim;var c=r(3470);var o=a.parseInt;var i=/^[+-]?0[Xx]/;var D=o(c+"08")!==8||o(c+"0x16")!==22;u.exports=D?function parseInt(u,d){var r=t(String(u));return o(r,d>>>0||(i.test(r)?16:10))}:o},7108:(u,d,r)=>{var a=r(5107);var t=r(1121);var c=r(3674);var o=r(5052);var i=r(6859);var D=r(4106);var l=r(8872);var p=">";var v="<";var b="prototype";var E="script";var A=l("IE_PROTO");var EmptyConstructor=function(){};var scriptTag=function(u){return v+E+p+u+v+"/"+E+p};var NullProtoObjectViaActiveX=function(u){u.write(scriptTag(""));u.close();var d=u.parentWindow.Object;u=null;return d};var NullProtoObjectViaIFrame=function(){var u=D("iframe");var d="java"+E+":";var r;u.style.display="none";i.appendChild(u);u.src=String(d);r=u.contentWindow.document;r.open();r.write(scriptTag("document.F=Object"));r.close();return r.F};var m;var NullProtoObject=function(){try{m=document.domain&&new ActiveXObject("htmlfile")}catch(u){}NullProtoObject=m?NullProtoObjectViaActiveX(m):NullProtoObjectViaIFrame();var u=c.length;while(u--)delete NullProtoObject[b][c[u]];return NullProtoObject()};o[A]=true;u.exports=Object.create||function create(u,d){var r;if(u!==null){EmptyConstructor[b]=a(u);r=new EmptyConstructor;EmptyConstructor[b]=null;r[A]=u}else r=NullProtoObject();return d===undefined?r:t(r,d)}},1121:(u,d,r)=>{var a=r(7627);var t=r(5128);var c=r(5107);var o=r(7760);u.exports=a?Object.defineProperties:function defineProperties(u,d){c(u);var r=o(d);var a=r.length;var i=0;var D;while(a>i)t.f(u,D=r[i++],d[D]);return u}},5128:(u,d,r)=>{var a=r(7627);var t=r(6933);var c=r(5107);var o=r(5192);var i=Object.defineProperty;d.f=a?i:function defineProperty(u,d,r){c(u);d=o(d,true);c(r);if(t)try{return i(u,d,r)}catch(u){}if("get"in r||"set"in r)throw TypeError("Accessors not supported");if("value"in r)u[d]=r.value;return u}},3146:(u,d,r)=>{var a=r(7627);var t=r(3635);var c=r(8410);var o=r(1935);var i=r(5192);var D=r(2002);var l=r(6933);var p=Object.getOwnPropertyDescriptor;d.f=a?p:function getOwnPropertyDescriptor(u,d){u=o(u);d=i(d,true);if(l)try{return p(u,d)}catch(u){}if(D(u,d))return c(!t.f.call(u,d),u[d])}},4154:(u,d,r)=>{var a=r(1935);var t=r(4929).f;var c={}.toString;var o=typeof window=="object"&&window&&Object.getOwnPropertyNames?Object.getOwnPropertyNames(window):[];var getWindowNames=function(u){try{return t(u)}catch(u){return o.slice()}};u.exports.f=function getOwnPropertyNames(u){return o&&c.call(u)=="[object Window]"?getWindowNames(u):t(a(u))}},4929:(u,d,r)=>{var a=r(3891);var t=r(3674);var c=t.concat("length","prototype");d.f=Object.getOwnPropertyNames||function getOwnPropertyNames(u){return a(u,c)}},5693:(u,d)=>{d.f=Object.getOwnPropertySymbols},3019:(u,d,r)=>{var a=r(2002);var t=r(4093);var c=r(8872);var o=r(7281);var i=c("IE_PROTO");var D=Object.prototype;u.exports=o?Object.getPrototypeOf:function(u){u=t(u);if(a(u,i))return u[i];if(typeof u.constructor=="function"&&u instanceof u.constructor){return u.constructor.prototype}return u instanceof Object?D:null}},3891:(u,d,r)=>{var a=r(2002);var t=r(1935);var c=r(9771).indexOf;var o=r(5052);u.exports=function(u,d){var r=t(u);var i=0;var D=[];var l;for(l in r)!a(o,l)&&a(r,l)&&D.push(l);while(d.length>i)if(a(r,l=d[i++])){~c(D,l)||D.push(l)}return D}},7760:(u,d,r)=>{var a=r(3891);var t=r(3674);u.exports=Object.keys||function keys(u){return a(u,t)}},3635:(u,d)=>{"use strict";var r={}.propertyIsEnumerable;var a=Object.getOwnPropertyDescriptor;var t=a&&!r.call({1:2},1);d.f=t?function propertyIsEnumerable(u){var d=a(this,u);return!!d&&d.enumerable}:r},9488:(u,d,r)=>{var a=r(5107);var t=r(5997);u.exports=Object.setPrototypeOf||("__proto__"in{}?function(){var u=false;var d={};var r;try{r=Object.getOwnPropertyDescriptor(Object.prototype,"__proto__").set;r.call(d,[]);u=d instanceof Array}catch(u){}return function setPrototypeOf(d,c){a(d);t(c);if(u)r.call(d,c);else d.__proto__=c;return d}}():undefined)},7393:(u,d,r)=>{"use strict";var a=r(6818);var t=r(4090);u.exports=a?{}.toString:function toString(){return"[object "+t(this)+"]"}},9454:u=>{u.exports={}},2460:(u,d,r)=>{var a=r(1246);u.exports=function(u,d,r,t){if(t&&t.enumerable)u[d]=r;else a(u,d,r)}},4111:(u,d,r)=>{"use strict";var a=r(5107);u.exports=function(){var u=a(this);var d="";if(u.global)d+="g";if(u.ignoreCase)d+="i";if(u.multiline)d+="m";if(u.dotAll)d+="s";if(u.unicode)d+="u";if(u.sticky)d+="y";return d}},705:u=>{u.exports=function(u){if(u==undefined)throw TypeError("Can't call method on "+u);return u}},2046:(u,d,r)=>{var a=r(7977);var t=r(1246);u.exports=function(u,d){try{t(a,u,d)}catch(r){a[u]=d}return d}},9397:(u,d,r)=>{var a=r(6818);var t=r(5128).f;var c=r(1246);var o=r(2002);var i=r(7393);var D=r(4685);var l=D("toStringTag");u.exports=function(u,d,r,D){if(u){var p=r?u:u.prototype;if(!o(p,l)){t(p,l,{configurable:true,value:d})}if(D&&!a){c(p,"toString",i)}}}},8872:(u,d,r)=>{var a=r(6682);var t=r(9330);var c=a("keys");u.exports=function(u){return c[u]||(c[u]=t(u))}},4676:(u,d,r)=>{var a=r(7977);var t=r(2046);var c="__core-js_shared__";var o=a[c]||t(c,{});u.exports=o},6682:(u,d,r)=>{var a=r(2081);var t=r(4676);(u.exports=function(u,d){return t[u]||(t[u]=d!==undefined?d:{})})("versions",[]).push({version:"3.12.1",mode:a?"pure":"global",copyright:"© 2021 Denis Pushkarev (zloirock.ru)"})},2638:(u,d,r)=>{var a=r(8742);var t=r(705);var createMethod=function(u){return function(d,r){var c=String(t(d));var o=a(r);var i=c.length;var D,l;if(o<0||o>=i)return u?"":undefined;D=c.charCodeAt(o);return D<55296||D>56319||o+1===i||(l=c.charCodeAt(o+1))<56320||l>57343?u?c.charAt(o):D:u?c.slice(o,o+2):(D-55296<<10)+(l-56320)+65536}};u.exports={codeAt:createMethod(false),charAt:createMethod(true)}},5122:(u,d,r)=>{var a=r(705);var t=r(3470);var c="["+t+"]";var o=RegExp("^"+c+c+"*");var i=RegExp(c+c+"*$");var createMethod=function(u){return function(d){var r=String(a(d));if(u&1)r=r.replace(o,"");if(u&2)r=r.replace(i,"");return r}};u.exports={start:createMethod(1),end:createMethod(2),trim:createMethod(3)}},6410:(u,d,r)=>{var a=r(8742);var t=Math.max;var c=Math.min;u.exports=function(u,d){var r=a(u);return r<0?t(r+d,0):c(r,d)}},1935:(u,d,r)=>{var a=r(4282);var t=r(705);u.exports=function(u){return a(t(u))}},8742:u=>{var d=Math.ceil;var r=Math.floor;u.exports=function(u){return isNaN(u=+u)?0:(u>0?r:d)(u)}},270:(u,d,r)=>{var a=r(8742);var t=Math.min;u.exports=function(u){return u>0?t(a(u),9007199254740991):0}},4093:(u,d,r)=>{var a=r(705);u.exports=function(u){return Object(a(u))}},5192:(u,d,r)=>{var a=r(1225);u.exports=function(u,d){if(!a(u))return u;var r,t;if(d&&typeof(r=u.toString)=="function"&&!a(t=r.call(u)))return t;if(typeof(r=u.valueOf)=="function"&&!a(t=r.call(u)))return t;if(!d&&typeof(r=u.toString)=="function"&&!a(t=r.call(u)))return t;throw TypeError("Can't convert object to primitive value")}},6818:(u,d,r)=>{var a=r(4685);var t=a("toStringTag");var c={};c[t]="z";u.exports=String(c)==="[object z]"},9330:u=>{var d=0;var r=Math.random();u.exports=function(u){return"Symbol("+String(u===undefined?"":u)+")_"+(++d+r).toString(36)}},6904:(u,d,r)=>{var a=r(594);u.exports=a&&!Symbol.sham&&typeof Symbol.iterator=="symbol"},5382:(u,d,r)=>{var a=r(4685);d.f=a},4685:(u,d,r)=>{var a=r(7977);var t=r(6682);var c=r(2002);var o=r(9330);var i=r(594);var D=r(6904);var l=t("wks");var p=a.Symbol;var v=D?p:p&&p.withoutSetter||o;u.exports=function(u){if(!c(l,u)||!(i||typeof l[u]=="string")){if(i&&c(p,u)){l[u]=p[u]}else{l[u]=v("Symbol."+u)}}return l[u]}},3470:u=>{u.exports="\t\n\v\f\r      "+"          　\u2028\u2029\ufeff"},7547:(u,d,r)=>{"use strict";var a=r(8836);var t=r(1598);var c=r(5113);var o=r(1225);var i=r(4093);var D=r(270);var l=r(4433);var p=r(9758);var v=r(5394);var b=r(4685);var E=r(2600);var A=b("isConcatSpreadable");var m=9007199254740991;var C="Maximum allowed index exceeded";var g=E>=51||!t((function(){var u=[];u[A]=false;return u.concat()[0]!==u}));var h=v("concat");var isConcatSpreadable=function(u){if(!o(u))return false;var d=u[A];return d!==undefined?!!d:c(u)};var y=!g||!h;a({target:"Array",proto:true,forced:y},{concat:function concat(u){var d=i(this);var r=p(d,0);var a=0;var t,c,o,v,b;for(t=-1,o=arguments.length;t<o;t++){b=t===-1?d:arguments[t];if(isConcatSpreadable(b)){v=D(b.length);if(a+v>m)throw TypeError(C);for(c=0;c<v;c++,a++)if(c in b)l(r,a,b[c])}else{if(a>=m)throw TypeError(C);l(r,a++,b)}}r.length=a;return r}})},1966:(u,d,r)=>{"use strict";var a=r(8836);var t=r(8731);a({target:"Array",proto:true,forced:[].forEach!=t},{forEach:t})},6618:(u,d,r)=>{var a=r(8836);var t=r(8202);var c=r(9693);var o=!c((function(u){Array.from(u)}));a({target:"Array",stat:true,forced:o},{from:t})},700:(u,d,r)=>{"use strict";var a=r(8836);var t=r(9771).indexOf;var c=r(2388);var o=[].indexOf;var i=!!o&&1/[1].indexOf(1,-0)<0;var D=c("indexOf");a({target:"Array",proto:true,forced:i||!D},{indexOf:function indexOf(u){return i?o.apply(this,arguments)||0:t(this,u,arguments.length>1?arguments[1]:undefined)}})},3780:(u,d,r)=>{var a=r(8836);var t=r(5113);a({target:"Array",stat:true},{isArray:t})},2326:(u,d,r)=>{"use strict";var a=r(1935);var t=r(3955);var c=r(9122);var o=r(3056);var i=r(6154);var D="Array Iterator";var l=o.set;var p=o.getterFor(D);u.exports=i(Array,"Array",(function(u,d){l(this,{type:D,target:a(u),index:0,kind:d})}),(function(){var u=p(this);var d=u.target;var r=u.kind;var a=u.index++;if(!d||a>=d.length){u.target=undefined;return{value:undefined,done:true}}if(r=="keys")return{value:a,done:false};if(r=="values")return{value:d[a],done:false};return{value:[a,d[a]],done:false}}),"values");c.Arguments=c.Array;t("keys");t("values");t("entries")},3845:(u,d,r)=>{"use strict";var a=r(8836);var t=r(2302).map;var c=r(5394);var o=c("map");a({target:"Array",proto:true,forced:!o},{map:function map(u){return t(this,u,arguments.length>1?arguments[1]:undefined)}})},3449:(u,d,r)=>{"use strict";var a=r(8836);var t=r(3274).left;var c=r(2388);var o=r(2600);var i=r(5971);var D=c("reduce");var l=!i&&o>79&&o<83;a({target:"Array",proto:true,forced:!D||l},{reduce:function reduce(u){return t(this,u,arguments.length,arguments.length>1?arguments[1]:undefined)}})},6668:(u,d,r)=>{"use strict";var a=r(8836);var t=r(1225);var c=r(5113);var o=r(6410);var i=r(270);var D=r(1935);var l=r(4433);var p=r(4685);var v=r(5394);var b=v("slice");var E=p("species");var A=[].slice;var m=Math.max;a({target:"Array",proto:true,forced:!b},{slice:function slice(u,d){var r=D(this);var a=i(r.length);var p=o(u,a);var v=o(d===undefined?a:d,a);var b,C,g;if(c(r)){b=r.constructor;if(typeof b=="function"&&(b===Array||c(b.prototype))){b=undefined}else if(t(b)){b=b[E];if(b===null)b=undefined}if(b===Array||b===undefined){return A.call(r,p,v)}}C=new(b===undefined?Array:b)(m(v-p,0));for(g=0;p<v;p++,g++)if(p in r)l(C,g,r[p]);C.length=g;return C}})},9479:(u,d,r)=>{"use strict";var a=r(8836);var t=r(8504);var c=r(4093);var o=r(1598);var i=r(2388);var D=[];var l=D.sort;var p=o((function(){D.sort(undefined)}));var v=o((function(){D.sort(null)}));var b=i("sort");var E=p||!v||!b;a({target:"Array",proto:true,forced:E},{sort:function sort(u){return u===undefined?l.call(c(this)):l.call(c(this),t(u))}})},6086:(u,d,r)=>{var a=r(7977);var t=r(9397);t(a.JSON,"JSON",true)},180:()=>{},4780:(u,d,r)=>{var a=r(8836);var t=r(7627);var c=r(7108);a({target:"Object",stat:true,sham:!t},{create:c})},3388:(u,d,r)=>{var a=r(8836);var t=r(7627);var c=r(5128);a({target:"Object",stat:true,forced:!t,sham:!t},{defineProperty:c.f})},6027:()=>{},2359:(u,d,r)=>{var a=r(8836);var t=r(463);a({global:true,forced:parseInt!=t},{parseInt:t})},6629:()=>{},3439:()=>{},8580:(u,d,r)=>{"use strict";var a=r(2638).charAt;var t=r(3056);var c=r(6154);var o="String Iterator";var i=t.set;var D=t.getterFor(o);c(String,"String",(function(u){i(this,{type:o,string:String(u),index:0})}),(function next(){var u=D(this);var d=u.string;var r=u.index;var t;if(r>=d.length)return{value:undefined,done:true};t=a(d,r);u.index+=t.length;return{value:t,done:false}}))},3794:(u,d,r)=>{var a=r(147);a("asyncIterator")},7682:()=>{},679:(u,d,r)=>{var a=r(147);a("hasInstance")},7146:(u,d,r)=>{var a=r(147);a("isConcatSpreadable")},2427:(u,d,r)=>{var a=r(147);a("iterator")},5911:(u,d,r)=>{"use strict";var a=r(8836);var t=r(7977);var c=r(6186);var o=r(2081);var i=r(7627);var D=r(594);var l=r(6904);var p=r(1598);var v=r(2002);var b=r(5113);var E=r(1225);var A=r(5107);var m=r(4093);var C=r(1935);var g=r(5192);var h=r(8410);var y=r(7108);var x=r(7760);var B=r(4929);var w=r(4154);var _=r(5693);var S=r(3146);var O=r(5128);var T=r(3635);var k=r(1246);var R=r(2460);var j=r(6682);var I=r(8872);var P=r(5052);var N=r(9330);var L=r(4685);var M=r(5382);var X=r(147);var $=r(9397);var U=r(3056);var G=r(2302).forEach;var z=I("hidden");var H="Symbol";var q="prototype";var Z=L("toPrimitive");var W=U.set;var Y=U.getterFor(H);var V=Object[q];var K=t.Symbol;var J=c("JSON","stringify");var Q=S.f;var uu=O.f;var du=w.f;var eu=T.f;var ru=j("symbols");var au=j("op-symbols");var tu=j("string-to-symbol-registry");var fu=j("symbol-to-string-registry");var cu=j("wks");var nu=t.QObject;var ou=!nu||!nu[q]||!nu[q].findChild;var iu=i&&p((function(){return y(uu({},"a",{get:function(){return uu(this,"a",{value:7}).a}})).a!=7}))?function(u,d,r){var a=Q(V,d);if(a)delete V[d];uu(u,d,r);if(a&&u!==V){uu(V,d,a)}}:uu;var wrap=function(u,d){var r=ru[u]=y(K[q]);W(r,{type:H,tag:u,description:d});if(!i)r.description=d;return r};var su=l?function(u){return typeof u=="symbol"}:function(u){return Object(u)instanceof K};var Du=function defineProperty(u,d,r){if(u===V)Du(au,d,r);A(u);var a=g(d,true);A(r);if(v(ru,a)){if(!r.enumerable){if(!v(u,z))uu(u,z,h(1,{}));u[z][a]=true}else{if(v(u,z)&&u[z][a])u[z][a]=false;r=y(r,{enumerable:h(0,false)})}return iu(u,a,r)}return uu(u,a,r)};var lu=function defineProperties(u,d){A(u);var r=C(d);var a=x(r).concat(Eu(r));G(a,(function(d){if(!i||vu.call(r,d))Du(u,d,r[d])}));return u};var pu=function create(u,d){return d===undefined?y(u):lu(y(u),d)};var vu=function propertyIsEnumerable(u){var d=g(u,true);var r=eu.call(this,d);if(this===V&&v(ru,d)&&!v(au,d))return false;return r||!v(this,d)||!v(ru,d)||v(this,z)&&this[z][d]?r:true};var bu=function getOwnPropertyDescriptor(u,d){var r=C(u);var a=g(d,true);if(r===V&&v(ru,a)&&!v(au,a))return;var t=Q(r,a);if(t&&v(ru,a)&&!(v(r,z)&&r[z][a])){t.enumerable=true}return t};var Fu=function getOwnPropertyNames(u){var d=du(C(u));var r=[];G(d,(function(u){if(!v(ru,u)&&!v(P,u))r.push(u)}));return r};var Eu=function getOwnPropertySymbols(u){var d=u===V;var r=du(d?au:C(u));var a=[];G(r,(function(u){if(v(ru,u)&&(!d||v(V,u))){a.push(ru[u])}}));return a};if(!D){K=function Symbol(){if(this instanceof K)throw TypeError("Symbol is not a constructor");var u=!arguments.length||arguments[0]===undefined?undefined:String(arguments[0]);var d=N(u);var setter=function(u){if(this===V)setter.call(au,u);if(v(this,z)&&v(this[z],d))this[z][d]=false;iu(this,d,h(1,u))};if(i&&ou)iu(V,d,{configurable:true,set:setter});return wrap(d,u)};R(K[q],"toString",(function toString(){return Y(this).tag}));R(K,"withoutSetter",(function(u){return wrap(N(u),u)}));T.f=vu;O.f=Du;S.f=bu;B.f=w.f=Fu;_.f=Eu;M.f=function(u){return wrap(L(u),u)};if(i){uu(K[q],"description",{configurable:true,get:function description(){return Y(this).description}});if(!o){R(V,"propertyIsEnumerable",vu,{unsafe:true})}}}a({global:true,wrap:true,forced:!D,sham:!D},{Symbol:K});G(x(cu),(function(u){X(u)}));a({target:H,stat:true,forced:!D},{for:function(u){var d=String(u);if(v(tu,d))return tu[d];var r=K(d);tu[d]=r;fu[r]=d;return r},keyFor:function keyFor(u){if(!su(u))throw TypeError(u+" is not a symbol");if(v(fu,u))return fu[u]},useSetter:function(){ou=true},useSimple:function(){ou=false}});a({target:"Object",stat:true,forced:!D,sham:!i},{create:pu,defineProperty:Du,defineProperties:lu,getOwnPropertyDescriptor:bu});a({target:"Object",stat:true,forced:!D},{getOwnPropertyNames:Fu,getOwnPropertySymbols:Eu});a({target:"Object",stat:true,forced:p((function(){_.f(1)}))},{getOwnPropertySymbols:function getOwnPropertySymbols(u){return _.f(m(u))}});if(J){var Au=!D||p((function(){var u=K();return J([u])!="[null]"||J({a:u})!="{}"||J(Object(u))!="{}"}));a({target:"JSON",stat:true,forced:Au},{stringify:function stringify(u,d,r){var a=[u];var t=1;var c;while(arguments.length>t)a.push(arguments[t++]);c=d;if(!E(d)&&u===undefined||su(u))return;if(!b(d))d=function(u,d){if(typeof c=="function")d=c.call(this,u,d);if(!su(d))return d};a[1]=d;return J.apply(null,a)}})}if(!K[q][Z]){k(K[q],Z,K[q].valueOf)}$(K,H);P[z]=true},2230:(u,d,r)=>{var a=r(147);a("matchAll")},7715:(u,d,r)=>{var a=r(147);a("match")},8162:(u,d,r)=>{var a=r(147);a("replace")},4479:(u,d,r)=>{var a=r(147);a("search")},9976:(u,d,r)=>{var a=r(147);a("species")},6430:(u,d,r)=>{var a=r(147);a("split")},1943:(u,d,r)=>{var a=r(147);a("toPrimitive")},2038:(u,d,r)=>{var a=r(147);a("toStringTag")},4513:(u,d,r)=>{var a=r(147);a("unscopables")},5951:(u,d,r)=>{var a=r(147);a("asyncDispose")},5764:(u,d,r)=>{var a=r(147);a("dispose")},745:(u,d,r)=>{var a=r(147);a("matcher")},4483:(u,d,r)=>{var a=r(147);a("metadata")},6519:(u,d,r)=>{var a=r(147);a("observable")},9180:(u,d,r)=>{var a=r(147);a("patternMatch")},6730:(u,d,r)=>{var a=r(147);a("replaceAll")},1896:(u,d,r)=>{r(2326);var a=r(3988);var t=r(7977);var c=r(4090);var o=r(1246);var i=r(9122);var D=r(4685);var l=D("toStringTag");for(var p in a){var v=t[p];var b=v&&v.prototype;if(b&&c(b)!==l){o(b,l,p)}i[p]=i.Array}},531:(u,d,r)=>{var a=r(4605);u.exports=a},2674:(u,d,r)=>{var a=r(5918);u.exports=a},2495:(u,d,r)=>{var a=r(2952);u.exports=a},6910:(u,d,r)=>{var a=r(6988);u.exports=a},1737:(u,d,r)=>{var a=r(4665);u.exports=a},4151:(u,d,r)=>{r(1896);var a=r(2495);var t=r(4090);var c=Array.prototype;var o={DOMTokenList:true,NodeList:true};u.exports=function(u){var d=u.forEach;return u===c||u instanceof Array&&d===c.forEach||o.hasOwnProperty(t(u))?a:d}},2594:(u,d,r)=>{var a=r(4362);u.exports=a},3466:(u,d,r)=>{var a=r(7091);u.exports=a},5426:(u,d,r)=>{var a=r(1781);u.exports=a},8034:(u,d,r)=>{var a=r(2637);u.exports=a},7180:(u,d,r)=>{var a=r(2916);u.exports=a},2491:(u,d,r)=>{var a=r(1222);u.exports=a},9327:(u,d,r)=>{var a=r(701);u.exports=a},3567:(u,d,r)=>{var a=r(2865);u.exports=a},7556:(u,d,r)=>{var a=r(1232);u.exports=a},380:(u,d,r)=>{"use strict";var a=r(4218);var t=r(4393);a(d,"__esModule",{value:true});d.default=void 0;var c=t(r(6099));var o=t(r(5502));var i=t(r(3781));var D=t(r(466));
 /*!
  * XRegExp.build 5.0.2
  * <xregexp.com>
  * Steven Levithan (c) 2012-present MIT License
- */var l=function _default(u){var d="xregexp";var a=/(\()(?!\?)|\\([1-9]\d*)|\\[\s\S]|\[(?:[^\\\]]|\\[\s\S])*\]/g;var r=u.union([/\({{([\w$]+)}}\)|{{([\w$]+)}}/,a],"g",{conjunction:"or"});function deanchor(u){var d=/^(?:\(\?:\))*\^/;var a=/\$(?:\(\?:\))*$/;if(d.test(u)&&a.test(u)&&a.test(u.replace(/\\[\s\S]/g,""))){return u.replace(d,"").replace(a,"")}return u}function asXRegExp(a,r){var c=r?"x":"";return u.isRegExp(a)?a[d]&&a[d].captureNames?a:u(a.source,c):u(a,c)}function interpolate(d){return d instanceof RegExp?d:u.escape(d)}function reduceToSubpatternsObject(u,d,a){u["subpattern".concat(a)]=d;return u}function embedSubpatternAfter(u,d,a){var r=d<a.length-1;return u+(r?"{{subpattern".concat(d,"}}"):"")}u.tag=function(d){return function(a){var r,c;for(var o=arguments.length,i=new Array(o>1?o-1:0),l=1;l<o;l++){i[l-1]=arguments[l]}var v=(0,t["default"])(r=(0,D["default"])(i).call(i,interpolate)).call(r,reduceToSubpatternsObject,{});var p=(0,D["default"])(c=a.raw).call(c,embedSubpatternAfter).join("");return u.build(p,v,d)}};u.build=function(c,t,D){D=D||"";var l=(0,o["default"])(D).call(D,"x")!==-1;var v=/^\(\?([\w$]+)\)/.exec(c);if(v){D=u._clipDuplicates(D+v[1])}var p={};for(var b in t){if(t.hasOwnProperty(b)){var A=asXRegExp(t[b],l);p[b]={pattern:deanchor(A.source),names:A[d].captureNames||[]}}}var C=asXRegExp(c,l);var E=0;var m;var g=0;var h=[0];var y=C[d].captureNames||[];var B=C.source.replace(r,(function(u,d,r,c,t){var D=d||r;var o;var l;var v;if(D){var b;if(!p.hasOwnProperty(D)){throw new ReferenceError("Undefined property ".concat(u))}if(d){o=y[g];h[++g]=++E;l="(?<".concat(o||D,">")}else{l="(?:"}m=E;var A=p[D].pattern.replace(a,(function(u,d,a){if(d){o=p[D].names[E-m];++E;if(o){return"(?<".concat(o,">")}}else if(a){v=+a-1;return p[D].names[v]?"\\k<".concat(p[D].names[v],">"):"\\".concat(+a+m)}return u}));return(0,i["default"])(b="".concat(l)).call(b,A,")")}if(c){o=y[g];h[++g]=++E;if(o){return"(?<".concat(o,">")}}else if(t){v=+t-1;return y[v]?"\\k<".concat(y[v],">"):"\\".concat(h[+t])}return u}));return u(B,D)}};d.default=l;u.exports=d.default},4811:(u,d,a)=>{"use strict";var r=a(4218);var c=a(4393);r(d,"__esModule",{value:true});d.default=void 0;var t=c(a(3781));var D=c(a(466));var o=c(a(9188));
+ */var l=function _default(u){var d="xregexp";var r=/(\()(?!\?)|\\([1-9]\d*)|\\[\s\S]|\[(?:[^\\\]]|\\[\s\S])*\]/g;var a=u.union([/\({{([\w$]+)}}\)|{{([\w$]+)}}/,r],"g",{conjunction:"or"});function deanchor(u){var d=/^(?:\(\?:\))*\^/;var r=/\$(?:\(\?:\))*$/;if(d.test(u)&&r.test(u)&&r.test(u.replace(/\\[\s\S]/g,""))){return u.replace(d,"").replace(r,"")}return u}function asXRegExp(r,a){var t=a?"x":"";return u.isRegExp(r)?r[d]&&r[d].captureNames?r:u(r.source,t):u(r,t)}function interpolate(d){return d instanceof RegExp?d:u.escape(d)}function reduceToSubpatternsObject(u,d,r){u["subpattern".concat(r)]=d;return u}function embedSubpatternAfter(u,d,r){var a=d<r.length-1;return u+(a?"{{subpattern".concat(d,"}}"):"")}u.tag=function(d){return function(r){var a,t;for(var i=arguments.length,D=new Array(i>1?i-1:0),l=1;l<i;l++){D[l-1]=arguments[l]}var p=(0,c["default"])(a=(0,o["default"])(D).call(D,interpolate)).call(a,reduceToSubpatternsObject,{});var v=(0,o["default"])(t=r.raw).call(t,embedSubpatternAfter).join("");return u.build(v,p,d)}};u.build=function(t,c,o){o=o||"";var l=(0,i["default"])(o).call(o,"x")!==-1;var p=/^\(\?([\w$]+)\)/.exec(t);if(p){o=u._clipDuplicates(o+p[1])}var v={};for(var b in c){if(c.hasOwnProperty(b)){var E=asXRegExp(c[b],l);v[b]={pattern:deanchor(E.source),names:E[d].captureNames||[]}}}var A=asXRegExp(t,l);var m=0;var C;var g=0;var h=[0];var y=A[d].captureNames||[];var x=A.source.replace(a,(function(u,d,a,t,c){var o=d||a;var i;var l;var p;if(o){var b;if(!v.hasOwnProperty(o)){throw new ReferenceError("Undefined property ".concat(u))}if(d){i=y[g];h[++g]=++m;l="(?<".concat(i||o,">")}else{l="(?:"}C=m;var E=v[o].pattern.replace(r,(function(u,d,r){if(d){i=v[o].names[m-C];++m;if(i){return"(?<".concat(i,">")}}else if(r){p=+r-1;return v[o].names[p]?"\\k<".concat(v[o].names[p],">"):"\\".concat(+r+C)}return u}));return(0,D["default"])(b="".concat(l)).call(b,E,")")}if(t){i=y[g];h[++g]=++m;if(i){return"(?<".concat(i,">")}}else if(c){p=+c-1;return y[p]?"\\k<".concat(y[p],">"):"\\".concat(h[+c])}return u}));return u(x,o)}};d.default=l;u.exports=d.default},4811:(u,d,r)=>{"use strict";var a=r(4218);var t=r(4393);a(d,"__esModule",{value:true});d.default=void 0;var c=t(r(3781));var o=t(r(466));var i=t(r(9188));
 /*!
  * XRegExp.matchRecursive 5.0.2
  * <xregexp.com>
  * Steven Levithan (c) 2009-present MIT License
- */var i=function _default(u){function row(u,d,a,r){return{name:u,value:d,start:a,end:r}}u.matchRecursive=function(d,a,r,c,i){c=c||"";i=i||{};var l=(0,t["default"])(c).call(c,"g")!==-1;var v=(0,t["default"])(c).call(c,"y")!==-1;var p=c.replace(/y/g,"");var b=i,A=b.escapeChar;var C=i.valueNames;var E=[];var m=0;var g=0;var h=0;var y=0;var B;var x;var w;var _;var S;a=u(a,p);r=u(r,p);if(A){var O,R;if(A.length>1){throw new Error("Cannot use more than one escape character")}A=u.escape(A);S=new RegExp((0,D["default"])(O=(0,D["default"])(R="(?:".concat(A,"[\\S\\s]|(?:(?!")).call(R,u.union([a,r],"",{conjunction:"or"}).source,")[^")).call(O,A,"])+)+"),c.replace(u._hasNativeFlag("s")?/[^imsu]/g:/[^imu]/g,""))}while(true){if(A){h+=(u.exec(d,S,h,"sticky")||[""])[0].length}w=u.exec(d,a,h);_=u.exec(d,r,h);if(w&&_){if(w.index<=_.index){_=null}else{w=null}}if(w||_){g=(w||_).index;h=g+(w||_)[0].length}else if(!m){break}if(v&&!m&&g>y){break}if(w){if(!m){B=g;x=h}++m}else if(_&&m){if(!--m){if(C){if(C[0]&&B>y){E.push(row(C[0],(0,o["default"])(d).call(d,y,B),y,B))}if(C[1]){E.push(row(C[1],(0,o["default"])(d).call(d,B,x),B,x))}if(C[2]){E.push(row(C[2],(0,o["default"])(d).call(d,x,g),x,g))}if(C[3]){E.push(row(C[3],(0,o["default"])(d).call(d,g,h),g,h))}}else{E.push((0,o["default"])(d).call(d,x,g))}y=h;if(!l){break}}}else{var T;var k=_?"right":"left";var I=_?g:B;throw new Error((0,D["default"])(T="Unbalanced ".concat(k," delimiter found in string at position ")).call(T,I))}if(g===h){++h}}if(l&&!v&&C&&C[0]&&d.length>y){E.push(row(C[0],(0,o["default"])(d).call(d,y),y,d.length))}return E}};d.default=i;u.exports=d.default},3110:(u,d,a)=>{"use strict";var r=a(9188);var c=a(3361);var t=a(7652);var D=a(9640);var o=a(5401);var i=a(1345);var l=a(4218);var v=a(4393);l(d,"__esModule",{value:true});d.default=void 0;var p=v(a(8135));var b=v(a(669));var A=v(a(466));var C=v(a(3781));function _createForOfIteratorHelper(u,d){var a;if(typeof t==="undefined"||D(u)==null){if(o(u)||(a=_unsupportedIterableToArray(u))||d&&u&&typeof u.length==="number"){if(a)u=a;var r=0;var c=function F(){};return{s:c,n:function n(){if(r>=u.length)return{done:true};return{done:false,value:u[r++]}},e:function e(u){throw u},f:c}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var l=true,v=false,p;return{s:function s(){a=i(u)},n:function n(){var u=a.next();l=u.done;return u},e:function e(u){v=true;p=u},f:function f(){try{if(!l&&a["return"]!=null)a["return"]()}finally{if(v)throw p}}}}function _unsupportedIterableToArray(u,d){var a;if(!u)return;if(typeof u==="string")return _arrayLikeToArray(u,d);var t=r(a=Object.prototype.toString.call(u)).call(a,8,-1);if(t==="Object"&&u.constructor)t=u.constructor.name;if(t==="Map"||t==="Set")return c(u);if(t==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t))return _arrayLikeToArray(u,d)}function _arrayLikeToArray(u,d){if(d==null||d>u.length)d=u.length;for(var a=0,r=new Array(d);a<d;a++){r[a]=u[a]}return r}
+ */var D=function _default(u){function row(u,d,r,a){return{name:u,value:d,start:r,end:a}}u.matchRecursive=function(d,r,a,t,D){t=t||"";D=D||{};var l=(0,c["default"])(t).call(t,"g")!==-1;var p=(0,c["default"])(t).call(t,"y")!==-1;var v=t.replace(/y/g,"");var b=D,E=b.escapeChar;var A=D.valueNames;var m=[];var C=0;var g=0;var h=0;var y=0;var x;var B;var w;var _;var S;r=u(r,v);a=u(a,v);if(E){var O,T;if(E.length>1){throw new Error("Cannot use more than one escape character")}E=u.escape(E);S=new RegExp((0,o["default"])(O=(0,o["default"])(T="(?:".concat(E,"[\\S\\s]|(?:(?!")).call(T,u.union([r,a],"",{conjunction:"or"}).source,")[^")).call(O,E,"])+)+"),t.replace(u._hasNativeFlag("s")?/[^imsu]/g:/[^imu]/g,""))}while(true){if(E){h+=(u.exec(d,S,h,"sticky")||[""])[0].length}w=u.exec(d,r,h);_=u.exec(d,a,h);if(w&&_){if(w.index<=_.index){_=null}else{w=null}}if(w||_){g=(w||_).index;h=g+(w||_)[0].length}else if(!C){break}if(p&&!C&&g>y){break}if(w){if(!C){x=g;B=h}++C}else if(_&&C){if(!--C){if(A){if(A[0]&&x>y){m.push(row(A[0],(0,i["default"])(d).call(d,y,x),y,x))}if(A[1]){m.push(row(A[1],(0,i["default"])(d).call(d,x,B),x,B))}if(A[2]){m.push(row(A[2],(0,i["default"])(d).call(d,B,g),B,g))}if(A[3]){m.push(row(A[3],(0,i["default"])(d).call(d,g,h),g,h))}}else{m.push((0,i["default"])(d).call(d,B,g))}y=h;if(!l){break}}}else{var k;var R=_?"right":"left";var j=_?g:x;throw new Error((0,o["default"])(k="Unbalanced ".concat(R," delimiter found in string at position ")).call(k,j))}if(g===h){++h}}if(l&&!p&&A&&A[0]&&d.length>y){m.push(row(A[0],(0,i["default"])(d).call(d,y),y,d.length))}return m}};d.default=D;u.exports=d.default},3110:(u,d,r)=>{"use strict";var a=r(9188);var t=r(3361);var c=r(7652);var o=r(9640);var i=r(5401);var D=r(1345);var l=r(4218);var p=r(4393);l(d,"__esModule",{value:true});d.default=void 0;var v=p(r(8135));var b=p(r(669));var E=p(r(466));var A=p(r(3781));function _createForOfIteratorHelper(u,d){var r;if(typeof c==="undefined"||o(u)==null){if(i(u)||(r=_unsupportedIterableToArray(u))||d&&u&&typeof u.length==="number"){if(r)u=r;var a=0;var t=function F(){};return{s:t,n:function n(){if(a>=u.length)return{done:true};return{done:false,value:u[a++]}},e:function e(u){throw u},f:t}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var l=true,p=false,v;return{s:function s(){r=D(u)},n:function n(){var u=r.next();l=u.done;return u},e:function e(u){p=true;v=u},f:function f(){try{if(!l&&r["return"]!=null)r["return"]()}finally{if(p)throw v}}}}function _unsupportedIterableToArray(u,d){var r;if(!u)return;if(typeof u==="string")return _arrayLikeToArray(u,d);var c=a(r=Object.prototype.toString.call(u)).call(r,8,-1);if(c==="Object"&&u.constructor)c=u.constructor.name;if(c==="Map"||c==="Set")return t(u);if(c==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(c))return _arrayLikeToArray(u,d)}function _arrayLikeToArray(u,d){if(d==null||d>u.length)d=u.length;for(var r=0,a=new Array(d);r<d;r++){a[r]=u[r]}return a}
 /*!
  * XRegExp Unicode Base 5.0.2
  * <xregexp.com>
  * Steven Levithan (c) 2008-present MIT License
- */var E=function _default(u){var d={};var a={};var r=u._dec;var c=u._hex;var t=u._pad4;function normalize(u){return u.replace(/[- _]+/g,"").toLowerCase()}function charCode(u){var d=/^\\[xu](.+)/.exec(u);return d?r(d[1]):u.charCodeAt(u[0]==="\\"?1:0)}function invertBmp(d){var a="";var r=-1;(0,b["default"])(u).call(u,d,/(\\x..|\\u....|\\?[\s\S])(?:-(\\x..|\\u....|\\?[\s\S]))?/,(function(u){var d=charCode(u[1]);if(d>r+1){a+="\\u".concat(t(c(r+1)));if(d>r+2){a+="-\\u".concat(t(c(d-1)))}}r=charCode(u[2]||u[1])}));if(r<65535){a+="\\u".concat(t(c(r+1)));if(r<65534){a+="-\\uFFFF"}}return a}function cacheInvertedBmp(u){var a="b!";return d[u][a]||(d[u][a]=invertBmp(d[u].bmp))}function buildAstral(u,a){var r=d[u];var c="";if(r.bmp&&!r.isBmpLast){var t;c=(0,A["default"])(t="[".concat(r.bmp,"]")).call(t,r.astral?"|":"")}if(r.astral){c+=r.astral}if(r.isBmpLast&&r.bmp){var D;c+=(0,A["default"])(D="".concat(r.astral?"|":"","[")).call(D,r.bmp,"]")}return a?"(?:(?!".concat(c,")(?:[\ud800-\udbff][\udc00-\udfff]|[\0-￿]))"):"(?:".concat(c,")")}function cacheAstral(u,a){var r=a?"a!":"a=";return d[u][r]||(d[u][r]=buildAstral(u,a))}u.addToken(/\\([pP])(?:{(\^?)(?:(\w+)=)?([^}]*)}|([A-Za-z]))/,(function(u,r,c){var t="Invalid double negation ";var D="Unknown Unicode token ";var o="Unicode token missing data ";var i="Astral mode required for Unicode token ";var l="Astral mode does not support Unicode tokens within character classes";var v=(0,p["default"])(u,6),b=v[0],E=v[1],m=v[2],g=v[3],h=v[4],y=v[5];var B=E==="P"||!!m;var x=(0,C["default"])(c).call(c,"A")!==-1;var w=normalize(y||h);var _=d[w];if(E==="P"&&m){throw new SyntaxError(t+b)}if(!d.hasOwnProperty(w)){throw new SyntaxError(D+b)}if(g){if(!(a[g]&&a[g][w])){throw new SyntaxError(D+b)}}if(_.inverseOf){w=normalize(_.inverseOf);if(!d.hasOwnProperty(w)){var S;throw new ReferenceError((0,A["default"])(S="".concat(o+b," -> ")).call(S,_.inverseOf))}_=d[w];B=!B}if(!(_.bmp||x)){throw new SyntaxError(i+b)}if(x){if(r==="class"){throw new SyntaxError(l)}return cacheAstral(w,B)}return r==="class"?B?cacheInvertedBmp(w):_.bmp:"".concat((B?"[^":"[")+_.bmp,"]")}),{scope:"all",optionalFlags:"A",leadChar:"\\"});u.addUnicodeData=function(r,c){var t="Unicode token requires name";var D="Unicode token has no character data ";if(c){a[c]={}}var o=_createForOfIteratorHelper(r),i;try{for(o.s();!(i=o.n()).done;){var l=i.value;if(!l.name){throw new Error(t)}if(!(l.inverseOf||l.bmp||l.astral)){throw new Error(D+l.name)}var v=normalize(l.name);d[v]=l;if(c){a[c][v]=true}if(l.alias){var p=normalize(l.alias);d[p]=l;if(c){a[c][p]=true}}}}catch(u){o.e(u)}finally{o.f()}u.cache.flush("patterns")};u._getUnicodeProperty=function(u){var a=normalize(u);return d[a]}};d.default=E;u.exports=d.default},1996:(u,d,a)=>{"use strict";var r=a(4218);var c=a(4393);r(d,"__esModule",{value:true});d.default=void 0;var t=c(a(8537));
+ */var m=function _default(u){var d={};var r={};var a=u._dec;var t=u._hex;var c=u._pad4;function normalize(u){return u.replace(/[- _]+/g,"").toLowerCase()}function charCode(u){var d=/^\\[xu](.+)/.exec(u);return d?a(d[1]):u.charCodeAt(u[0]==="\\"?1:0)}function invertBmp(d){var r="";var a=-1;(0,b["default"])(u).call(u,d,/(\\x..|\\u....|\\?[\s\S])(?:-(\\x..|\\u....|\\?[\s\S]))?/,(function(u){var d=charCode(u[1]);if(d>a+1){r+="\\u".concat(c(t(a+1)));if(d>a+2){r+="-\\u".concat(c(t(d-1)))}}a=charCode(u[2]||u[1])}));if(a<65535){r+="\\u".concat(c(t(a+1)));if(a<65534){r+="-\\uFFFF"}}return r}function cacheInvertedBmp(u){var r="b!";return d[u][r]||(d[u][r]=invertBmp(d[u].bmp))}function buildAstral(u,r){var a=d[u];var t="";if(a.bmp&&!a.isBmpLast){var c;t=(0,E["default"])(c="[".concat(a.bmp,"]")).call(c,a.astral?"|":"")}if(a.astral){t+=a.astral}if(a.isBmpLast&&a.bmp){var o;t+=(0,E["default"])(o="".concat(a.astral?"|":"","[")).call(o,a.bmp,"]")}return r?"(?:(?!".concat(t,")(?:[\ud800-\udbff][\udc00-\udfff]|[\0-￿]))"):"(?:".concat(t,")")}function cacheAstral(u,r){var a=r?"a!":"a=";return d[u][a]||(d[u][a]=buildAstral(u,r))}u.addToken(/\\([pP])(?:{(\^?)(?:(\w+)=)?([^}]*)}|([A-Za-z]))/,(function(u,a,t){var c="Invalid double negation ";var o="Unknown Unicode token ";var i="Unicode token missing data ";var D="Astral mode required for Unicode token ";var l="Astral mode does not support Unicode tokens within character classes";var p=(0,v["default"])(u,6),b=p[0],m=p[1],C=p[2],g=p[3],h=p[4],y=p[5];var x=m==="P"||!!C;var B=(0,A["default"])(t).call(t,"A")!==-1;var w=normalize(y||h);var _=d[w];if(m==="P"&&C){throw new SyntaxError(c+b)}if(!d.hasOwnProperty(w)){throw new SyntaxError(o+b)}if(g){if(!(r[g]&&r[g][w])){throw new SyntaxError(o+b)}}if(_.inverseOf){w=normalize(_.inverseOf);if(!d.hasOwnProperty(w)){var S;throw new ReferenceError((0,E["default"])(S="".concat(i+b," -> ")).call(S,_.inverseOf))}_=d[w];x=!x}if(!(_.bmp||B)){throw new SyntaxError(D+b)}if(B){if(a==="class"){throw new SyntaxError(l)}return cacheAstral(w,x)}return a==="class"?x?cacheInvertedBmp(w):_.bmp:"".concat((x?"[^":"[")+_.bmp,"]")}),{scope:"all",optionalFlags:"A",leadChar:"\\"});u.addUnicodeData=function(a,t){var c="Unicode token requires name";var o="Unicode token has no character data ";if(t){r[t]={}}var i=_createForOfIteratorHelper(a),D;try{for(i.s();!(D=i.n()).done;){var l=D.value;if(!l.name){throw new Error(c)}if(!(l.inverseOf||l.bmp||l.astral)){throw new Error(o+l.name)}var p=normalize(l.name);d[p]=l;if(t){r[t][p]=true}if(l.alias){var v=normalize(l.alias);d[v]=l;if(t){r[t][v]=true}}}}catch(u){i.e(u)}finally{i.f()}u.cache.flush("patterns")};u._getUnicodeProperty=function(u){var r=normalize(u);return d[r]}};d.default=m;u.exports=d.default},1996:(u,d,r)=>{"use strict";var a=r(4218);var t=r(4393);a(d,"__esModule",{value:true});d.default=void 0;var c=t(r(8537));
 /*!
  * XRegExp Unicode Categories 5.0.2
  * <xregexp.com>
  * Steven Levithan (c) 2010-present MIT License
  * Unicode data by Mathias Bynens <mathiasbynens.be>
- */var D=function _default(u){if(!u.addUnicodeData){throw new ReferenceError("Unicode Base must be loaded before Unicode Categories")}u.addUnicodeData(t["default"])};d.default=D;u.exports=d.default},9250:(u,d,a)=>{"use strict";var r=a(4218);var c=a(4393);r(d,"__esModule",{value:true});d.default=void 0;var t=c(a(616));
+ */var o=function _default(u){if(!u.addUnicodeData){throw new ReferenceError("Unicode Base must be loaded before Unicode Categories")}u.addUnicodeData(c["default"])};d.default=o;u.exports=d.default},9250:(u,d,r)=>{"use strict";var a=r(4218);var t=r(4393);a(d,"__esModule",{value:true});d.default=void 0;var c=t(r(616));
 /*!
  * XRegExp Unicode Properties 5.0.2
  * <xregexp.com>
  * Steven Levithan (c) 2012-present MIT License
  * Unicode data by Mathias Bynens <mathiasbynens.be>
- */var D=function _default(u){if(!u.addUnicodeData){throw new ReferenceError("Unicode Base must be loaded before Unicode Properties")}var d=t["default"];d.push({name:"Assigned",inverseOf:"Cn"});u.addUnicodeData(d)};d.default=D;u.exports=d.default},5715:(u,d,a)=>{"use strict";var r=a(4218);var c=a(4393);r(d,"__esModule",{value:true});d.default=void 0;var t=c(a(2524));
+ */var o=function _default(u){if(!u.addUnicodeData){throw new ReferenceError("Unicode Base must be loaded before Unicode Properties")}var d=c["default"];d.push({name:"Assigned",inverseOf:"Cn"});u.addUnicodeData(d)};d.default=o;u.exports=d.default},5715:(u,d,r)=>{"use strict";var a=r(4218);var t=r(4393);a(d,"__esModule",{value:true});d.default=void 0;var c=t(r(2524));
 /*!
  * XRegExp Unicode Scripts 5.0.2
  * <xregexp.com>
  * Steven Levithan (c) 2010-present MIT License
  * Unicode data by Mathias Bynens <mathiasbynens.be>
- */var D=function _default(u){if(!u.addUnicodeData){throw new ReferenceError("Unicode Base must be loaded before Unicode Scripts")}u.addUnicodeData(t["default"],"Script")};d.default=D;u.exports=d.default},7750:(u,d,a)=>{"use strict";var r=a(4218);var c=a(4393);r(d,"__esModule",{value:true});d.default=void 0;var t=c(a(8612));var D=c(a(380));var o=c(a(4811));var i=c(a(3110));var l=c(a(1996));var v=c(a(9250));var p=c(a(5715));(0,D["default"])(t["default"]);(0,o["default"])(t["default"]);(0,i["default"])(t["default"]);(0,l["default"])(t["default"]);(0,v["default"])(t["default"]);(0,p["default"])(t["default"]);var b=t["default"];d.default=b;u.exports=d.default},8612:(u,d,a)=>{"use strict";var r=a(9188);var c=a(3361);var t=a(7652);var D=a(9640);var o=a(5401);var i=a(1345);var l=a(4218);var v=a(4393);l(d,"__esModule",{value:true});d.default=void 0;var p=v(a(8135));var b=v(a(3046));var A=v(a(8979));var C=v(a(9188));var E=v(a(1308));var m=v(a(3781));var g=v(a(669));var h=v(a(6761));var y=v(a(466));function _createForOfIteratorHelper(u,d){var a;if(typeof t==="undefined"||D(u)==null){if(o(u)||(a=_unsupportedIterableToArray(u))||d&&u&&typeof u.length==="number"){if(a)u=a;var r=0;var c=function F(){};return{s:c,n:function n(){if(r>=u.length)return{done:true};return{done:false,value:u[r++]}},e:function e(u){throw u},f:c}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var l=true,v=false,p;return{s:function s(){a=i(u)},n:function n(){var u=a.next();l=u.done;return u},e:function e(u){v=true;p=u},f:function f(){try{if(!l&&a["return"]!=null)a["return"]()}finally{if(v)throw p}}}}function _unsupportedIterableToArray(u,d){var a;if(!u)return;if(typeof u==="string")return _arrayLikeToArray(u,d);var t=r(a=Object.prototype.toString.call(u)).call(a,8,-1);if(t==="Object"&&u.constructor)t=u.constructor.name;if(t==="Map"||t==="Set")return c(u);if(t==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t))return _arrayLikeToArray(u,d)}function _arrayLikeToArray(u,d){if(d==null||d>u.length)d=u.length;for(var a=0,r=new Array(d);a<d;a++){r[a]=u[a]}return r}
+ */var o=function _default(u){if(!u.addUnicodeData){throw new ReferenceError("Unicode Base must be loaded before Unicode Scripts")}u.addUnicodeData(c["default"],"Script")};d.default=o;u.exports=d.default},7750:(u,d,r)=>{"use strict";var a=r(4218);var t=r(4393);a(d,"__esModule",{value:true});d.default=void 0;var c=t(r(8612));var o=t(r(380));var i=t(r(4811));var D=t(r(3110));var l=t(r(1996));var p=t(r(9250));var v=t(r(5715));(0,o["default"])(c["default"]);(0,i["default"])(c["default"]);(0,D["default"])(c["default"]);(0,l["default"])(c["default"]);(0,p["default"])(c["default"]);(0,v["default"])(c["default"]);var b=c["default"];d.default=b;u.exports=d.default},8612:(u,d,r)=>{"use strict";var a=r(9188);var t=r(3361);var c=r(7652);var o=r(9640);var i=r(5401);var D=r(1345);var l=r(4218);var p=r(4393);l(d,"__esModule",{value:true});d.default=void 0;var v=p(r(8135));var b=p(r(3046));var E=p(r(8979));var A=p(r(9188));var m=p(r(1308));var C=p(r(3781));var g=p(r(669));var h=p(r(6761));var y=p(r(466));function _createForOfIteratorHelper(u,d){var r;if(typeof c==="undefined"||o(u)==null){if(i(u)||(r=_unsupportedIterableToArray(u))||d&&u&&typeof u.length==="number"){if(r)u=r;var a=0;var t=function F(){};return{s:t,n:function n(){if(a>=u.length)return{done:true};return{done:false,value:u[a++]}},e:function e(u){throw u},f:t}}throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}var l=true,p=false,v;return{s:function s(){r=D(u)},n:function n(){var u=r.next();l=u.done;return u},e:function e(u){p=true;v=u},f:function f(){try{if(!l&&r["return"]!=null)r["return"]()}finally{if(p)throw v}}}}function _unsupportedIterableToArray(u,d){var r;if(!u)return;if(typeof u==="string")return _arrayLikeToArray(u,d);var c=a(r=Object.prototype.toString.call(u)).call(r,8,-1);if(c==="Object"&&u.constructor)c=u.constructor.name;if(c==="Map"||c==="Set")return t(u);if(c==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(c))return _arrayLikeToArray(u,d)}function _arrayLikeToArray(u,d){if(d==null||d>u.length)d=u.length;for(var r=0,a=new Array(d);r<d;r++){a[r]=u[r]}return a}
 /*!
  * XRegExp 5.0.2
  * <xregexp.com>
  * Steven Levithan (c) 2007-present MIT License
- */var B="xregexp";var x={astral:false,namespacing:true};var w={};var _={};var S={};var O=[];var R="default";var T="class";var k={default:/\\(?:0(?:[0-3][0-7]{0,2}|[4-7][0-7]?)?|[1-9]\d*|x[\dA-Fa-f]{2}|u(?:[\dA-Fa-f]{4}|{[\dA-Fa-f]+})|c[A-Za-z]|[\s\S])|\(\?(?:[:=!]|<[=!])|[?*+]\?|{\d+(?:,\d*)?}\??|[\s\S]/,class:/\\(?:[0-3][0-7]{0,2}|[4-7][0-7]?|x[\dA-Fa-f]{2}|u(?:[\dA-Fa-f]{4}|{[\dA-Fa-f]+})|c[A-Za-z]|[\s\S])|[\s\S]/};var I=/\$(?:\{([^\}]+)\}|<([^>]+)>|(\d\d?|[\s\S]?))/g;var P=/()??/.exec("")[1]===undefined;var N=(0,b["default"])(/x/)!==undefined;function hasNativeFlag(u){var d=true;try{new RegExp("",u);if(u==="y"){var a=function(){return"gy"}();var r=".a".replace(new RegExp("a",a),".")==="..";if(r){d=false}}}catch(u){d=false}return d}var j=hasNativeFlag("s");var L=hasNativeFlag("u");var M=hasNativeFlag("y");var X={g:true,i:true,m:true,s:j,u:L,y:M};var U=j?/[^gimsuy]+/g:/[^gimuy]+/g;function augment(u,d,a,r,c){var t;u[B]={captureNames:d};if(c){return u}if(u.__proto__){u.__proto__=XRegExp.prototype}else{for(var D in XRegExp.prototype){u[D]=XRegExp.prototype[D]}}u[B].source=a;u[B].flags=r?(0,A["default"])(t=r.split("")).call(t).join(""):r;return u}function clipDuplicates(u){return u.replace(/([\s\S])(?=[\s\S]*\1)/g,"")}function copyRegex(u,d){var a;if(!XRegExp.isRegExp(u)){throw new TypeError("Type RegExp expected")}var r=u[B]||{};var c=getNativeFlags(u);var t="";var D="";var o=null;var i=null;d=d||{};if(d.removeG){D+="g"}if(d.removeY){D+="y"}if(D){c=c.replace(new RegExp("[".concat(D,"]+"),"g"),"")}if(d.addG){t+="g"}if(d.addY){t+="y"}if(t){c=clipDuplicates(c+t)}if(!d.isInternalOnly){if(r.source!==undefined){o=r.source}if((0,b["default"])(r)!=null){i=t?clipDuplicates((0,b["default"])(r)+t):(0,b["default"])(r)}}u=augment(new RegExp(d.source||u.source,c),hasNamedCapture(u)?(0,C["default"])(a=r.captureNames).call(a,0):null,o,i,d.isInternalOnly);return u}function dec(u){return(0,E["default"])(u,16)}function getContextualTokenSeparator(u,d,a){var r=u.index+u[0].length;var c=u.input[u.index-1];var t=u.input[r];if(/^[()|]$/.test(c)||/^[()|]$/.test(t)||u.index===0||r===u.input.length||/\(\?(?:[:=!]|<[=!])$/.test(u.input.substring(u.index-4,u.index))||isQuantifierNext(u.input,r,a)){return""}return"(?:)"}function getNativeFlags(u){return N?(0,b["default"])(u):/\/([a-z]*)$/i.exec(RegExp.prototype.toString.call(u))[1]}function hasNamedCapture(u){return!!(u[B]&&u[B].captureNames)}function hex(u){return(0,E["default"])(u,10).toString(16)}function isQuantifierNext(u,d,a){var r="\\(\\?#[^)]*\\)";var c="#[^#\\n]*";var t="[?*+]|{\\d+(?:,\\d*)?}";var D=(0,m["default"])(a).call(a,"x")!==-1?/^(?:\s|#[^#\n]*|\(\?#[^)]*\))*(?:[?*+]|{\d+(?:,\d*)?})/:/^(?:\(\?#[^)]*\))*(?:[?*+]|{\d+(?:,\d*)?})/;return D.test((0,C["default"])(u).call(u,d))}function isType(u,d){return Object.prototype.toString.call(u)==="[object ".concat(d,"]")}function nullThrows(u){if(u==null){throw new TypeError("Cannot convert null or undefined to object")}return u}function pad4(u){while(u.length<4){u="0".concat(u)}return u}function prepareFlags(u,d){if(clipDuplicates(d)!==d){throw new SyntaxError("Invalid duplicate regex flag ".concat(d))}u=u.replace(/^\(\?([\w$]+)\)/,(function(u,a){if(/[gy]/.test(a)){throw new SyntaxError("Cannot use flag g or y in mode modifier ".concat(u))}d=clipDuplicates(d+a);return""}));var a=_createForOfIteratorHelper(d),r;try{for(a.s();!(r=a.n()).done;){var c=r.value;if(!X[c]){throw new SyntaxError("Unknown regex flag ".concat(c))}}}catch(u){a.e(u)}finally{a.f()}return{pattern:u,flags:d}}function prepareOptions(u){var d={};if(isType(u,"String")){(0,g["default"])(XRegExp).call(XRegExp,u,/[^\s,]+/,(function(u){d[u]=true}));return d}return u}function registerFlag(u){if(!/^[\w$]$/.test(u)){throw new Error("Flag must be a single character A-Za-z0-9_$")}X[u]=true}function runTokens(u,d,a,r,c){var t=O.length;var D=u[a];var o=null;var i;var l;while(t--){l=O[t];if(l.leadChar&&l.leadChar!==D||l.scope!==r&&l.scope!=="all"||l.flag&&!((0,m["default"])(d).call(d,l.flag)!==-1)){continue}i=XRegExp.exec(u,l.regex,a,"sticky");if(i){o={matchLength:i[0].length,output:l.handler.call(c,i,r,d),reparse:l.reparse};break}}return o}function setAstral(u){x.astral=u}function setNamespacing(u){x.namespacing=u}function XRegExp(u,d){if(XRegExp.isRegExp(u)){if(d!==undefined){throw new TypeError("Cannot supply flags when copying a RegExp")}return copyRegex(u)}u=u===undefined?"":String(u);d=d===undefined?"":String(d);if(XRegExp.isInstalled("astral")&&!((0,m["default"])(d).call(d,"A")!==-1)){d+="A"}if(!S[u]){S[u]={}}if(!S[u][d]){var a={hasNamedCapture:false,captureNames:[]};var r=R;var c="";var t=0;var D;var o=prepareFlags(u,d);var i=o.pattern;var l=(0,b["default"])(o);while(t<i.length){do{D=runTokens(i,l,t,r,a);if(D&&D.reparse){i=(0,C["default"])(i).call(i,0,t)+D.output+(0,C["default"])(i).call(i,t+D.matchLength)}}while(D&&D.reparse);if(D){c+=D.output;t+=D.matchLength||1}else{var v=XRegExp.exec(i,k[r],t,"sticky"),A=(0,p["default"])(v,1),E=A[0];c+=E;t+=E.length;if(E==="["&&r===R){r=T}else if(E==="]"&&r===T){r=R}}}S[u][d]={pattern:c.replace(/(?:\(\?:\))+/g,"(?:)"),flags:l.replace(U,""),captures:a.hasNamedCapture?a.captureNames:null}}var g=S[u][d];return augment(new RegExp(g.pattern,(0,b["default"])(g)),g.captures,u,d)}XRegExp.prototype=/(?:)/;XRegExp.version="5.0.2";XRegExp._clipDuplicates=clipDuplicates;XRegExp._hasNativeFlag=hasNativeFlag;XRegExp._dec=dec;XRegExp._hex=hex;XRegExp._pad4=pad4;XRegExp.addToken=function(u,d,a){a=a||{};var r=a,c=r.optionalFlags;if(a.flag){registerFlag(a.flag)}if(c){c=c.split("");var t=_createForOfIteratorHelper(c),D;try{for(t.s();!(D=t.n()).done;){var o=D.value;registerFlag(o)}}catch(u){t.e(u)}finally{t.f()}}O.push({regex:copyRegex(u,{addG:true,addY:M,isInternalOnly:true}),handler:d,scope:a.scope||R,flag:a.flag,reparse:a.reparse,leadChar:a.leadChar});XRegExp.cache.flush("patterns")};XRegExp.cache=function(u,d){if(!_[u]){_[u]={}}return _[u][d]||(_[u][d]=XRegExp(u,d))};XRegExp.cache.flush=function(u){if(u==="patterns"){S={}}else{_={}}};XRegExp.escape=function(u){return String(nullThrows(u)).replace(/[\\\[\]{}()*+?.^$|]/g,"\\$&").replace(/[\s#\-,]/g,(function(u){return"\\u".concat(pad4(hex(u.charCodeAt(0))))}))};XRegExp.exec=function(u,d,a,r){var c="g";var t=false;var D=false;var o;t=M&&!!(r||d.sticky&&r!==false);if(t){c+="y"}else if(r){D=true;c+="FakeY"}d[B]=d[B]||{};var i=d[B][c]||(d[B][c]=copyRegex(d,{addG:true,addY:t,source:D?"".concat(d.source,"|()"):undefined,removeY:r===false,isInternalOnly:true}));a=a||0;i.lastIndex=a;o=w.exec.call(i,u);if(D&&o&&o.pop()===""){o=null}if(d.global){d.lastIndex=o?i.lastIndex:0}return o};XRegExp.forEach=function(u,d,a){var r=0;var c=-1;var t;while(t=XRegExp.exec(u,d,r)){a(t,++c,u,d);r=t.index+(t[0].length||1)}};XRegExp.globalize=function(u){return copyRegex(u,{addG:true})};XRegExp.install=function(u){u=prepareOptions(u);if(!x.astral&&u.astral){setAstral(true)}if(!x.namespacing&&u.namespacing){setNamespacing(true)}};XRegExp.isInstalled=function(u){return!!x[u]};XRegExp.isRegExp=function(u){return Object.prototype.toString.call(u)==="[object RegExp]"};XRegExp.match=function(u,d,a){var r=d.global&&a!=="one"||a==="all";var c=(r?"g":"")+(d.sticky?"y":"")||"noGY";d[B]=d[B]||{};var t=d[B][c]||(d[B][c]=copyRegex(d,{addG:!!r,removeG:a==="one",isInternalOnly:true}));var D=String(nullThrows(u)).match(t);if(d.global){d.lastIndex=a==="one"&&D?D.index+D[0].length:0}return r?D||[]:D&&D[0]};XRegExp.matchChain=function(u,d){return function recurseChain(u,a){var r=d[a].regex?d[a]:{regex:d[a]};var c=[];function addMatch(u){if(r.backref){var d="Backreference to undefined group: ".concat(r.backref);var a=isNaN(r.backref);if(a&&XRegExp.isInstalled("namespacing")){if(!(u.groups&&r.backref in u.groups)){throw new ReferenceError(d)}}else if(!u.hasOwnProperty(r.backref)){throw new ReferenceError(d)}var t=a&&XRegExp.isInstalled("namespacing")?u.groups[r.backref]:u[r.backref];c.push(t||"")}else{c.push(u[0])}}var t=_createForOfIteratorHelper(u),D;try{for(t.s();!(D=t.n()).done;){var o=D.value;(0,g["default"])(XRegExp).call(XRegExp,o,r.regex,addMatch)}}catch(u){t.e(u)}finally{t.f()}return a===d.length-1||!c.length?c:recurseChain(c,a+1)}([u],0)};XRegExp.replace=function(u,d,a,r){var c=XRegExp.isRegExp(d);var t=d.global&&r!=="one"||r==="all";var D=(t?"g":"")+(d.sticky?"y":"")||"noGY";var o=d;if(c){d[B]=d[B]||{};o=d[B][D]||(d[B][D]=copyRegex(d,{addG:!!t,removeG:r==="one",isInternalOnly:true}))}else if(t){o=new RegExp(XRegExp.escape(String(d)),"g")}var i=w.replace.call(nullThrows(u),o,a);if(c&&d.global){d.lastIndex=0}return i};XRegExp.replaceEach=function(u,d){var a=_createForOfIteratorHelper(d),r;try{for(a.s();!(r=a.n()).done;){var c=r.value;u=XRegExp.replace(u,c[0],c[1],c[2])}}catch(u){a.e(u)}finally{a.f()}return u};XRegExp.split=function(u,d,a){return w.split.call(nullThrows(u),d,a)};XRegExp.test=function(u,d,a,r){return!!XRegExp.exec(u,d,a,r)};XRegExp.uninstall=function(u){u=prepareOptions(u);if(x.astral&&u.astral){setAstral(false)}if(x.namespacing&&u.namespacing){setNamespacing(false)}};XRegExp.union=function(u,d,a){a=a||{};var r=a.conjunction||"or";var c=0;var t;var D;function rewrite(u,d,a){var r=D[c-t];if(d){++c;if(r){return"(?<".concat(r,">")}}else if(a){return"\\".concat(+a+t)}return u}if(!(isType(u,"Array")&&u.length)){throw new TypeError("Must provide a nonempty array of patterns to merge")}var o=/(\()(?!\?)|\\([1-9]\d*)|\\[\s\S]|\[(?:[^\\\]]|\\[\s\S])*\]/g;var i=[];var l=_createForOfIteratorHelper(u),v;try{for(l.s();!(v=l.n()).done;){var p=v.value;if(XRegExp.isRegExp(p)){t=c;D=p[B]&&p[B].captureNames||[];i.push(XRegExp(p.source).source.replace(o,rewrite))}else{i.push(XRegExp.escape(p))}}}catch(u){l.e(u)}finally{l.f()}var b=r==="none"?"":"|";return XRegExp(i.join(b),d)};w.exec=function(u){var d=this.lastIndex;var a=RegExp.prototype.exec.apply(this,arguments);if(a){if(!P&&a.length>1&&(0,m["default"])(a).call(a,"")!==-1){var r;var c=copyRegex(this,{removeG:true,isInternalOnly:true});(0,C["default"])(r=String(u)).call(r,a.index).replace(c,(function(){var u=arguments.length;for(var d=1;d<u-2;++d){if((d<0||arguments.length<=d?undefined:arguments[d])===undefined){a[d]=undefined}}}))}if(this[B]&&this[B].captureNames){var t=a;if(XRegExp.isInstalled("namespacing")){a.groups=(0,h["default"])(null);t=a.groups}for(var D=1;D<a.length;++D){var o=this[B].captureNames[D-1];if(o){t[o]=a[D]}}}else if(!a.groups&&XRegExp.isInstalled("namespacing")){a.groups=undefined}if(this.global&&!a[0].length&&this.lastIndex>a.index){this.lastIndex=a.index}}if(!this.global){this.lastIndex=d}return a};w.test=function(u){return!!w.exec.call(this,u)};w.match=function(u){if(!XRegExp.isRegExp(u)){u=new RegExp(u)}else if(u.global){var d=String.prototype.match.apply(this,arguments);u.lastIndex=0;return d}return w.exec.call(u,nullThrows(this))};w.replace=function(u,d){var a=XRegExp.isRegExp(u);var r;var c;var t;if(a){if(u[B]){c=u[B].captureNames}r=u.lastIndex}else{u+=""}if(isType(d,"Function")){t=String(this).replace(u,(function(){for(var u=arguments.length,a=new Array(u),r=0;r<u;r++){a[r]=arguments[r]}if(c){var t;if(XRegExp.isInstalled("namespacing")){t=(0,h["default"])(null);a.push(t)}else{a[0]=new String(a[0]);t=a[0]}for(var D=0;D<c.length;++D){if(c[D]){t[c[D]]=a[D+1]}}}return d.apply(void 0,a)}))}else{t=String(nullThrows(this)).replace(u,(function(){for(var u=arguments.length,a=new Array(u),r=0;r<u;r++){a[r]=arguments[r]}return String(d).replace(I,replacer);function replacer(u,d,r,t){d=d||r;var D=isType(a[a.length-1],"Object")?4:3;var o=a.length-D;if(d){if(/^\d+$/.test(d)){var i=+d;if(i<=o){return a[i]||""}}var l=c?(0,m["default"])(c).call(c,d):-1;if(l<0){throw new SyntaxError("Backreference to undefined group ".concat(u))}return a[l+1]||""}if(t===""||t===" "){throw new SyntaxError("Invalid token ".concat(u))}if(t==="&"||+t===0){return a[0]}if(t==="$"){return"$"}if(t==="`"){var v;return(0,C["default"])(v=a[a.length-1]).call(v,0,a[a.length-2])}if(t==="'"){var p;return(0,C["default"])(p=a[a.length-1]).call(p,a[a.length-2]+a[0].length)}t=+t;if(!isNaN(t)){if(t>o){throw new SyntaxError("Backreference to undefined group ".concat(u))}return a[t]||""}throw new SyntaxError("Invalid token ".concat(u))}}))}if(a){if(u.global){u.lastIndex=0}else{u.lastIndex=r}}return t};w.split=function(u,d){if(!XRegExp.isRegExp(u)){return String.prototype.split.apply(this,arguments)}var a=String(this);var r=[];var c=u.lastIndex;var t=0;var D;d=(d===undefined?-1:d)>>>0;(0,g["default"])(XRegExp).call(XRegExp,a,u,(function(u){if(u.index+u[0].length>t){r.push((0,C["default"])(a).call(a,t,u.index));if(u.length>1&&u.index<a.length){Array.prototype.push.apply(r,(0,C["default"])(u).call(u,1))}D=u[0].length;t=u.index+D}}));if(t===a.length){if(!u.test("")||D){r.push("")}}else{r.push((0,C["default"])(a).call(a,t))}u.lastIndex=c;return r.length>d?(0,C["default"])(r).call(r,0,d):r};XRegExp.addToken(/\\([ABCE-RTUVXYZaeg-mopqyz]|c(?![A-Za-z])|u(?![\dA-Fa-f]{4}|{[\dA-Fa-f]+})|x(?![\dA-Fa-f]{2}))/,(function(u,d){if(u[1]==="B"&&d===R){return u[0]}throw new SyntaxError("Invalid escape ".concat(u[0]))}),{scope:"all",leadChar:"\\"});XRegExp.addToken(/\\u{([\dA-Fa-f]+)}/,(function(u,d,a){var r=dec(u[1]);if(r>1114111){throw new SyntaxError("Invalid Unicode code point ".concat(u[0]))}if(r<=65535){return"\\u".concat(pad4(hex(r)))}if(L&&(0,m["default"])(a).call(a,"u")!==-1){return u[0]}throw new SyntaxError("Cannot use Unicode code point above \\u{FFFF} without flag u")}),{scope:"all",leadChar:"\\"});XRegExp.addToken(/\(\?#[^)]*\)/,getContextualTokenSeparator,{leadChar:"("});XRegExp.addToken(/\s+|#[^\n]*\n?/,getContextualTokenSeparator,{flag:"x"});if(!j){XRegExp.addToken(/\./,(function(){return"[\\s\\S]"}),{flag:"s",leadChar:"."})}XRegExp.addToken(/\\k<([^>]+)>/,(function(u){var d,a;var r=isNaN(u[1])?(0,m["default"])(d=this.captureNames).call(d,u[1])+1:+u[1];var c=u.index+u[0].length;if(!r||r>this.captureNames.length){throw new SyntaxError("Backreference to undefined group ".concat(u[0]))}return(0,y["default"])(a="\\".concat(r)).call(a,c===u.input.length||isNaN(u.input[c])?"":"(?:)")}),{leadChar:"\\"});XRegExp.addToken(/\\(\d+)/,(function(u,d){if(!(d===R&&/^[1-9]/.test(u[1])&&+u[1]<=this.captureNames.length)&&u[1]!=="0"){throw new SyntaxError("Cannot use octal escape or backreference to undefined group ".concat(u[0]))}return u[0]}),{scope:"all",leadChar:"\\"});XRegExp.addToken(/\(\?P?<((?:[\$A-Z_a-z\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u052F\u0531-\u0556\u0559\u0560-\u0588\u05D0-\u05EA\u05EF-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u0860-\u086A\u08A0-\u08B4\u08B6-\u08C7\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0980\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u09FC\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0AF9\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D\u0C58-\u0C5A\u0C60\u0C61\u0C80\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D04-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D54-\u0D56\u0D5F-\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E86-\u0E8A\u0E8C-\u0EA3\u0EA5\u0EA7-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1711\u1720-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1878\u1880-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191E\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4B\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1C80-\u1C88\u1C90-\u1CBA\u1CBD-\u1CBF\u1CE9-\u1CEC\u1CEE-\u1CF3\u1CF5\u1CF6\u1CFA\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2118-\u211D\u2124\u2126\u2128\u212A-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u3005-\u3007\u3021-\u3029\u3031-\u3035\u3038-\u303C\u3041-\u3096\u309B-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312F\u3131-\u318E\u31A0-\u31BF\u31F0-\u31FF\u3400-\u4DBF\u4E00-\u9FFC\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA69D\uA6A0-\uA6EF\uA717-\uA71F\uA722-\uA788\uA78B-\uA7BF\uA7C2-\uA7CA\uA7F5-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA8FD\uA8FE\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uA9E0-\uA9E4\uA9E6-\uA9EF\uA9FA-\uA9FE\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA7E-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB69\uAB70-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC]|\uD800[\uDC00-\uDC0B\uDC0D-\uDC26\uDC28-\uDC3A\uDC3C\uDC3D\uDC3F-\uDC4D\uDC50-\uDC5D\uDC80-\uDCFA\uDD40-\uDD74\uDE80-\uDE9C\uDEA0-\uDED0\uDF00-\uDF1F\uDF2D-\uDF4A\uDF50-\uDF75\uDF80-\uDF9D\uDFA0-\uDFC3\uDFC8-\uDFCF\uDFD1-\uDFD5]|\uD801[\uDC00-\uDC9D\uDCB0-\uDCD3\uDCD8-\uDCFB\uDD00-\uDD27\uDD30-\uDD63\uDE00-\uDF36\uDF40-\uDF55\uDF60-\uDF67]|\uD802[\uDC00-\uDC05\uDC08\uDC0A-\uDC35\uDC37\uDC38\uDC3C\uDC3F-\uDC55\uDC60-\uDC76\uDC80-\uDC9E\uDCE0-\uDCF2\uDCF4\uDCF5\uDD00-\uDD15\uDD20-\uDD39\uDD80-\uDDB7\uDDBE\uDDBF\uDE00\uDE10-\uDE13\uDE15-\uDE17\uDE19-\uDE35\uDE60-\uDE7C\uDE80-\uDE9C\uDEC0-\uDEC7\uDEC9-\uDEE4\uDF00-\uDF35\uDF40-\uDF55\uDF60-\uDF72\uDF80-\uDF91]|\uD803[\uDC00-\uDC48\uDC80-\uDCB2\uDCC0-\uDCF2\uDD00-\uDD23\uDE80-\uDEA9\uDEB0\uDEB1\uDF00-\uDF1C\uDF27\uDF30-\uDF45\uDFB0-\uDFC4\uDFE0-\uDFF6]|\uD804[\uDC03-\uDC37\uDC83-\uDCAF\uDCD0-\uDCE8\uDD03-\uDD26\uDD44\uDD47\uDD50-\uDD72\uDD76\uDD83-\uDDB2\uDDC1-\uDDC4\uDDDA\uDDDC\uDE00-\uDE11\uDE13-\uDE2B\uDE80-\uDE86\uDE88\uDE8A-\uDE8D\uDE8F-\uDE9D\uDE9F-\uDEA8\uDEB0-\uDEDE\uDF05-\uDF0C\uDF0F\uDF10\uDF13-\uDF28\uDF2A-\uDF30\uDF32\uDF33\uDF35-\uDF39\uDF3D\uDF50\uDF5D-\uDF61]|\uD805[\uDC00-\uDC34\uDC47-\uDC4A\uDC5F-\uDC61\uDC80-\uDCAF\uDCC4\uDCC5\uDCC7\uDD80-\uDDAE\uDDD8-\uDDDB\uDE00-\uDE2F\uDE44\uDE80-\uDEAA\uDEB8\uDF00-\uDF1A]|\uD806[\uDC00-\uDC2B\uDCA0-\uDCDF\uDCFF-\uDD06\uDD09\uDD0C-\uDD13\uDD15\uDD16\uDD18-\uDD2F\uDD3F\uDD41\uDDA0-\uDDA7\uDDAA-\uDDD0\uDDE1\uDDE3\uDE00\uDE0B-\uDE32\uDE3A\uDE50\uDE5C-\uDE89\uDE9D\uDEC0-\uDEF8]|\uD807[\uDC00-\uDC08\uDC0A-\uDC2E\uDC40\uDC72-\uDC8F\uDD00-\uDD06\uDD08\uDD09\uDD0B-\uDD30\uDD46\uDD60-\uDD65\uDD67\uDD68\uDD6A-\uDD89\uDD98\uDEE0-\uDEF2\uDFB0]|\uD808[\uDC00-\uDF99]|\uD809[\uDC00-\uDC6E\uDC80-\uDD43]|[\uD80C\uD81C-\uD820\uD822\uD840-\uD868\uD86A-\uD86C\uD86F-\uD872\uD874-\uD879\uD880-\uD883][\uDC00-\uDFFF]|\uD80D[\uDC00-\uDC2E]|\uD811[\uDC00-\uDE46]|\uD81A[\uDC00-\uDE38\uDE40-\uDE5E\uDED0-\uDEED\uDF00-\uDF2F\uDF40-\uDF43\uDF63-\uDF77\uDF7D-\uDF8F]|\uD81B[\uDE40-\uDE7F\uDF00-\uDF4A\uDF50\uDF93-\uDF9F\uDFE0\uDFE1\uDFE3]|\uD821[\uDC00-\uDFF7]|\uD823[\uDC00-\uDCD5\uDD00-\uDD08]|\uD82C[\uDC00-\uDD1E\uDD50-\uDD52\uDD64-\uDD67\uDD70-\uDEFB]|\uD82F[\uDC00-\uDC6A\uDC70-\uDC7C\uDC80-\uDC88\uDC90-\uDC99]|\uD835[\uDC00-\uDC54\uDC56-\uDC9C\uDC9E\uDC9F\uDCA2\uDCA5\uDCA6\uDCA9-\uDCAC\uDCAE-\uDCB9\uDCBB\uDCBD-\uDCC3\uDCC5-\uDD05\uDD07-\uDD0A\uDD0D-\uDD14\uDD16-\uDD1C\uDD1E-\uDD39\uDD3B-\uDD3E\uDD40-\uDD44\uDD46\uDD4A-\uDD50\uDD52-\uDEA5\uDEA8-\uDEC0\uDEC2-\uDEDA\uDEDC-\uDEFA\uDEFC-\uDF14\uDF16-\uDF34\uDF36-\uDF4E\uDF50-\uDF6E\uDF70-\uDF88\uDF8A-\uDFA8\uDFAA-\uDFC2\uDFC4-\uDFCB]|\uD838[\uDD00-\uDD2C\uDD37-\uDD3D\uDD4E\uDEC0-\uDEEB]|\uD83A[\uDC00-\uDCC4\uDD00-\uDD43\uDD4B]|\uD83B[\uDE00-\uDE03\uDE05-\uDE1F\uDE21\uDE22\uDE24\uDE27\uDE29-\uDE32\uDE34-\uDE37\uDE39\uDE3B\uDE42\uDE47\uDE49\uDE4B\uDE4D-\uDE4F\uDE51\uDE52\uDE54\uDE57\uDE59\uDE5B\uDE5D\uDE5F\uDE61\uDE62\uDE64\uDE67-\uDE6A\uDE6C-\uDE72\uDE74-\uDE77\uDE79-\uDE7C\uDE7E\uDE80-\uDE89\uDE8B-\uDE9B\uDEA1-\uDEA3\uDEA5-\uDEA9\uDEAB-\uDEBB]|\uD869[\uDC00-\uDEDD\uDF00-\uDFFF]|\uD86D[\uDC00-\uDF34\uDF40-\uDFFF]|\uD86E[\uDC00-\uDC1D\uDC20-\uDFFF]|\uD873[\uDC00-\uDEA1\uDEB0-\uDFFF]|\uD87A[\uDC00-\uDFE0]|\uD87E[\uDC00-\uDE1D]|\uD884[\uDC00-\uDF4A])(?:[\$0-9A-Z_a-z\xAA\xB5\xB7\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0300-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u0483-\u0487\u048A-\u052F\u0531-\u0556\u0559\u0560-\u0588\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u05D0-\u05EA\u05EF-\u05F2\u0610-\u061A\u0620-\u0669\u066E-\u06D3\u06D5-\u06DC\u06DF-\u06E8\u06EA-\u06FC\u06FF\u0710-\u074A\u074D-\u07B1\u07C0-\u07F5\u07FA\u07FD\u0800-\u082D\u0840-\u085B\u0860-\u086A\u08A0-\u08B4\u08B6-\u08C7\u08D3-\u08E1\u08E3-\u0963\u0966-\u096F\u0971-\u0983\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BC-\u09C4\u09C7\u09C8\u09CB-\u09CE\u09D7\u09DC\u09DD\u09DF-\u09E3\u09E6-\u09F1\u09FC\u09FE\u0A01-\u0A03\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A3C\u0A3E-\u0A42\u0A47\u0A48\u0A4B-\u0A4D\u0A51\u0A59-\u0A5C\u0A5E\u0A66-\u0A75\u0A81-\u0A83\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABC-\u0AC5\u0AC7-\u0AC9\u0ACB-\u0ACD\u0AD0\u0AE0-\u0AE3\u0AE6-\u0AEF\u0AF9-\u0AFF\u0B01-\u0B03\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3C-\u0B44\u0B47\u0B48\u0B4B-\u0B4D\u0B55-\u0B57\u0B5C\u0B5D\u0B5F-\u0B63\u0B66-\u0B6F\u0B71\u0B82\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BBE-\u0BC2\u0BC6-\u0BC8\u0BCA-\u0BCD\u0BD0\u0BD7\u0BE6-\u0BEF\u0C00-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D-\u0C44\u0C46-\u0C48\u0C4A-\u0C4D\u0C55\u0C56\u0C58-\u0C5A\u0C60-\u0C63\u0C66-\u0C6F\u0C80-\u0C83\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBC-\u0CC4\u0CC6-\u0CC8\u0CCA-\u0CCD\u0CD5\u0CD6\u0CDE\u0CE0-\u0CE3\u0CE6-\u0CEF\u0CF1\u0CF2\u0D00-\u0D0C\u0D0E-\u0D10\u0D12-\u0D44\u0D46-\u0D48\u0D4A-\u0D4E\u0D54-\u0D57\u0D5F-\u0D63\u0D66-\u0D6F\u0D7A-\u0D7F\u0D81-\u0D83\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0DCA\u0DCF-\u0DD4\u0DD6\u0DD8-\u0DDF\u0DE6-\u0DEF\u0DF2\u0DF3\u0E01-\u0E3A\u0E40-\u0E4E\u0E50-\u0E59\u0E81\u0E82\u0E84\u0E86-\u0E8A\u0E8C-\u0EA3\u0EA5\u0EA7-\u0EBD\u0EC0-\u0EC4\u0EC6\u0EC8-\u0ECD\u0ED0-\u0ED9\u0EDC-\u0EDF\u0F00\u0F18\u0F19\u0F20-\u0F29\u0F35\u0F37\u0F39\u0F3E-\u0F47\u0F49-\u0F6C\u0F71-\u0F84\u0F86-\u0F97\u0F99-\u0FBC\u0FC6\u1000-\u1049\u1050-\u109D\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u135D-\u135F\u1369-\u1371\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1714\u1720-\u1734\u1740-\u1753\u1760-\u176C\u176E-\u1770\u1772\u1773\u1780-\u17D3\u17D7\u17DC\u17DD\u17E0-\u17E9\u180B-\u180D\u1810-\u1819\u1820-\u1878\u1880-\u18AA\u18B0-\u18F5\u1900-\u191E\u1920-\u192B\u1930-\u193B\u1946-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u19D0-\u19DA\u1A00-\u1A1B\u1A20-\u1A5E\u1A60-\u1A7C\u1A7F-\u1A89\u1A90-\u1A99\u1AA7\u1AB0-\u1ABD\u1ABF\u1AC0\u1B00-\u1B4B\u1B50-\u1B59\u1B6B-\u1B73\u1B80-\u1BF3\u1C00-\u1C37\u1C40-\u1C49\u1C4D-\u1C7D\u1C80-\u1C88\u1C90-\u1CBA\u1CBD-\u1CBF\u1CD0-\u1CD2\u1CD4-\u1CFA\u1D00-\u1DF9\u1DFB-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u200C\u200D\u203F\u2040\u2054\u2071\u207F\u2090-\u209C\u20D0-\u20DC\u20E1\u20E5-\u20F0\u2102\u2107\u210A-\u2113\u2115\u2118-\u211D\u2124\u2126\u2128\u212A-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D7F-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u2DE0-\u2DFF\u3005-\u3007\u3021-\u302F\u3031-\u3035\u3038-\u303C\u3041-\u3096\u3099-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312F\u3131-\u318E\u31A0-\u31BF\u31F0-\u31FF\u3400-\u4DBF\u4E00-\u9FFC\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA62B\uA640-\uA66F\uA674-\uA67D\uA67F-\uA6F1\uA717-\uA71F\uA722-\uA788\uA78B-\uA7BF\uA7C2-\uA7CA\uA7F5-\uA827\uA82C\uA840-\uA873\uA880-\uA8C5\uA8D0-\uA8D9\uA8E0-\uA8F7\uA8FB\uA8FD-\uA92D\uA930-\uA953\uA960-\uA97C\uA980-\uA9C0\uA9CF-\uA9D9\uA9E0-\uA9FE\uAA00-\uAA36\uAA40-\uAA4D\uAA50-\uAA59\uAA60-\uAA76\uAA7A-\uAAC2\uAADB-\uAADD\uAAE0-\uAAEF\uAAF2-\uAAF6\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB69\uAB70-\uABEA\uABEC\uABED\uABF0-\uABF9\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE00-\uFE0F\uFE20-\uFE2F\uFE33\uFE34\uFE4D-\uFE4F\uFE70-\uFE74\uFE76-\uFEFC\uFF10-\uFF19\uFF21-\uFF3A\uFF3F\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC]|\uD800[\uDC00-\uDC0B\uDC0D-\uDC26\uDC28-\uDC3A\uDC3C\uDC3D\uDC3F-\uDC4D\uDC50-\uDC5D\uDC80-\uDCFA\uDD40-\uDD74\uDDFD\uDE80-\uDE9C\uDEA0-\uDED0\uDEE0\uDF00-\uDF1F\uDF2D-\uDF4A\uDF50-\uDF7A\uDF80-\uDF9D\uDFA0-\uDFC3\uDFC8-\uDFCF\uDFD1-\uDFD5]|\uD801[\uDC00-\uDC9D\uDCA0-\uDCA9\uDCB0-\uDCD3\uDCD8-\uDCFB\uDD00-\uDD27\uDD30-\uDD63\uDE00-\uDF36\uDF40-\uDF55\uDF60-\uDF67]|\uD802[\uDC00-\uDC05\uDC08\uDC0A-\uDC35\uDC37\uDC38\uDC3C\uDC3F-\uDC55\uDC60-\uDC76\uDC80-\uDC9E\uDCE0-\uDCF2\uDCF4\uDCF5\uDD00-\uDD15\uDD20-\uDD39\uDD80-\uDDB7\uDDBE\uDDBF\uDE00-\uDE03\uDE05\uDE06\uDE0C-\uDE13\uDE15-\uDE17\uDE19-\uDE35\uDE38-\uDE3A\uDE3F\uDE60-\uDE7C\uDE80-\uDE9C\uDEC0-\uDEC7\uDEC9-\uDEE6\uDF00-\uDF35\uDF40-\uDF55\uDF60-\uDF72\uDF80-\uDF91]|\uD803[\uDC00-\uDC48\uDC80-\uDCB2\uDCC0-\uDCF2\uDD00-\uDD27\uDD30-\uDD39\uDE80-\uDEA9\uDEAB\uDEAC\uDEB0\uDEB1\uDF00-\uDF1C\uDF27\uDF30-\uDF50\uDFB0-\uDFC4\uDFE0-\uDFF6]|\uD804[\uDC00-\uDC46\uDC66-\uDC6F\uDC7F-\uDCBA\uDCD0-\uDCE8\uDCF0-\uDCF9\uDD00-\uDD34\uDD36-\uDD3F\uDD44-\uDD47\uDD50-\uDD73\uDD76\uDD80-\uDDC4\uDDC9-\uDDCC\uDDCE-\uDDDA\uDDDC\uDE00-\uDE11\uDE13-\uDE37\uDE3E\uDE80-\uDE86\uDE88\uDE8A-\uDE8D\uDE8F-\uDE9D\uDE9F-\uDEA8\uDEB0-\uDEEA\uDEF0-\uDEF9\uDF00-\uDF03\uDF05-\uDF0C\uDF0F\uDF10\uDF13-\uDF28\uDF2A-\uDF30\uDF32\uDF33\uDF35-\uDF39\uDF3B-\uDF44\uDF47\uDF48\uDF4B-\uDF4D\uDF50\uDF57\uDF5D-\uDF63\uDF66-\uDF6C\uDF70-\uDF74]|\uD805[\uDC00-\uDC4A\uDC50-\uDC59\uDC5E-\uDC61\uDC80-\uDCC5\uDCC7\uDCD0-\uDCD9\uDD80-\uDDB5\uDDB8-\uDDC0\uDDD8-\uDDDD\uDE00-\uDE40\uDE44\uDE50-\uDE59\uDE80-\uDEB8\uDEC0-\uDEC9\uDF00-\uDF1A\uDF1D-\uDF2B\uDF30-\uDF39]|\uD806[\uDC00-\uDC3A\uDCA0-\uDCE9\uDCFF-\uDD06\uDD09\uDD0C-\uDD13\uDD15\uDD16\uDD18-\uDD35\uDD37\uDD38\uDD3B-\uDD43\uDD50-\uDD59\uDDA0-\uDDA7\uDDAA-\uDDD7\uDDDA-\uDDE1\uDDE3\uDDE4\uDE00-\uDE3E\uDE47\uDE50-\uDE99\uDE9D\uDEC0-\uDEF8]|\uD807[\uDC00-\uDC08\uDC0A-\uDC36\uDC38-\uDC40\uDC50-\uDC59\uDC72-\uDC8F\uDC92-\uDCA7\uDCA9-\uDCB6\uDD00-\uDD06\uDD08\uDD09\uDD0B-\uDD36\uDD3A\uDD3C\uDD3D\uDD3F-\uDD47\uDD50-\uDD59\uDD60-\uDD65\uDD67\uDD68\uDD6A-\uDD8E\uDD90\uDD91\uDD93-\uDD98\uDDA0-\uDDA9\uDEE0-\uDEF6\uDFB0]|\uD808[\uDC00-\uDF99]|\uD809[\uDC00-\uDC6E\uDC80-\uDD43]|[\uD80C\uD81C-\uD820\uD822\uD840-\uD868\uD86A-\uD86C\uD86F-\uD872\uD874-\uD879\uD880-\uD883][\uDC00-\uDFFF]|\uD80D[\uDC00-\uDC2E]|\uD811[\uDC00-\uDE46]|\uD81A[\uDC00-\uDE38\uDE40-\uDE5E\uDE60-\uDE69\uDED0-\uDEED\uDEF0-\uDEF4\uDF00-\uDF36\uDF40-\uDF43\uDF50-\uDF59\uDF63-\uDF77\uDF7D-\uDF8F]|\uD81B[\uDE40-\uDE7F\uDF00-\uDF4A\uDF4F-\uDF87\uDF8F-\uDF9F\uDFE0\uDFE1\uDFE3\uDFE4\uDFF0\uDFF1]|\uD821[\uDC00-\uDFF7]|\uD823[\uDC00-\uDCD5\uDD00-\uDD08]|\uD82C[\uDC00-\uDD1E\uDD50-\uDD52\uDD64-\uDD67\uDD70-\uDEFB]|\uD82F[\uDC00-\uDC6A\uDC70-\uDC7C\uDC80-\uDC88\uDC90-\uDC99\uDC9D\uDC9E]|\uD834[\uDD65-\uDD69\uDD6D-\uDD72\uDD7B-\uDD82\uDD85-\uDD8B\uDDAA-\uDDAD\uDE42-\uDE44]|\uD835[\uDC00-\uDC54\uDC56-\uDC9C\uDC9E\uDC9F\uDCA2\uDCA5\uDCA6\uDCA9-\uDCAC\uDCAE-\uDCB9\uDCBB\uDCBD-\uDCC3\uDCC5-\uDD05\uDD07-\uDD0A\uDD0D-\uDD14\uDD16-\uDD1C\uDD1E-\uDD39\uDD3B-\uDD3E\uDD40-\uDD44\uDD46\uDD4A-\uDD50\uDD52-\uDEA5\uDEA8-\uDEC0\uDEC2-\uDEDA\uDEDC-\uDEFA\uDEFC-\uDF14\uDF16-\uDF34\uDF36-\uDF4E\uDF50-\uDF6E\uDF70-\uDF88\uDF8A-\uDFA8\uDFAA-\uDFC2\uDFC4-\uDFCB\uDFCE-\uDFFF]|\uD836[\uDE00-\uDE36\uDE3B-\uDE6C\uDE75\uDE84\uDE9B-\uDE9F\uDEA1-\uDEAF]|\uD838[\uDC00-\uDC06\uDC08-\uDC18\uDC1B-\uDC21\uDC23\uDC24\uDC26-\uDC2A\uDD00-\uDD2C\uDD30-\uDD3D\uDD40-\uDD49\uDD4E\uDEC0-\uDEF9]|\uD83A[\uDC00-\uDCC4\uDCD0-\uDCD6\uDD00-\uDD4B\uDD50-\uDD59]|\uD83B[\uDE00-\uDE03\uDE05-\uDE1F\uDE21\uDE22\uDE24\uDE27\uDE29-\uDE32\uDE34-\uDE37\uDE39\uDE3B\uDE42\uDE47\uDE49\uDE4B\uDE4D-\uDE4F\uDE51\uDE52\uDE54\uDE57\uDE59\uDE5B\uDE5D\uDE5F\uDE61\uDE62\uDE64\uDE67-\uDE6A\uDE6C-\uDE72\uDE74-\uDE77\uDE79-\uDE7C\uDE7E\uDE80-\uDE89\uDE8B-\uDE9B\uDEA1-\uDEA3\uDEA5-\uDEA9\uDEAB-\uDEBB]|\uD83E[\uDFF0-\uDFF9]|\uD869[\uDC00-\uDEDD\uDF00-\uDFFF]|\uD86D[\uDC00-\uDF34\uDF40-\uDFFF]|\uD86E[\uDC00-\uDC1D\uDC20-\uDFFF]|\uD873[\uDC00-\uDEA1\uDEB0-\uDFFF]|\uD87A[\uDC00-\uDFE0]|\uD87E[\uDC00-\uDE1D]|\uD884[\uDC00-\uDF4A]|\uDB40[\uDD00-\uDDEF])*)>/,(function(u){var d;if(!XRegExp.isInstalled("namespacing")&&(u[1]==="length"||u[1]==="__proto__")){throw new SyntaxError("Cannot use reserved word as capture name ".concat(u[0]))}if((0,m["default"])(d=this.captureNames).call(d,u[1])!==-1){throw new SyntaxError("Cannot use same name for multiple groups ".concat(u[0]))}this.captureNames.push(u[1]);this.hasNamedCapture=true;return"("}),{leadChar:"("});XRegExp.addToken(/\((?!\?)/,(function(u,d,a){if((0,m["default"])(a).call(a,"n")!==-1){return"(?:"}this.captureNames.push(null);return"("}),{optionalFlags:"n",leadChar:"("});var G=XRegExp;d.default=G;u.exports=d.default},8537:u=>{u.exports=[{name:"C",alias:"Other",isBmpLast:true,bmp:"\0--­͸͹΀-΃΋΍΢԰՗՘֋֌֐׈-׏׫-׮׵-؅؜؝۝܎܏݋݌޲-޿߻߼࠮࠯࠿࡜࡝࡟࡫-࢟ࢵࣈ-࣒࣢঄঍঎঑঒঩঱঳-঵঺঻৅৆৉৊৏-৖৘-৛৞৤৥৿਀਄਋-਎਑਒਩਱਴਷਺਻਽੃-੆੉੊੎-੐੒-੘੝੟-੥੷-઀઄઎઒઩઱઴઺઻૆૊૎૏૑-૟૤૥૲-૸଀଄଍଎଑଒଩଱଴଺଻୅୆୉୊୎-୔୘-୛୞୤୥୸-஁஄஋-஍஑஖-஘஛஝஠-஢஥-஧஫-஭஺-஽௃-௅௉௎௏௑-௖௘-௥௻-௿఍఑఩఺-఼౅౉౎-౔౗౛-౟౤౥౰-౶಍಑಩಴಺಻೅೉೎-೔೗-ೝ೟೤೥೰ೳ-೿഍഑൅൉൐-൓൤൥඀඄඗-඙඲඼඾඿෇-෉෋-෎෕෗෠-෥෰෱෵-฀฻-฾๜-຀຃຅຋຤຦຾຿໅໇໎໏໚໛໠-໿཈཭-཰྘྽࿍࿛-࿿჆჈-჌჎჏቉቎቏቗቙቞቟኉኎኏኱኶኷኿዁዆዇዗጑጖጗፛፜፽-፿᎚-᎟᏶᏷᏾᏿᚝-᚟᛹-᛿ᜍ᜕-ᜟ᜷-᜿᝔-᝟᝭᝱᝴-᝿៞៟៪-៯៺-៿᠎᠏᠚-᠟᡹-᡿᢫-᢯᣶-᣿᤟᤬-᤯᤼-᤿᥁-᥃᥮᥯᥵-᥿᦬-᦯᧊-᧏᧛-᧝᨜᨝᩟᩽᩾᪊-᪏᪚-᪟᪮᪯᫁-᫿ᭌ-᭏᭽-᭿᯴-᯻᰸-᰺᱊-᱌Ᲊ-᲏᲻᲼᳈-᳏᳻-᳿᷺἖἗἞἟὆὇὎὏὘὚὜὞὾὿᾵῅῔῕῜῰῱῵῿​-‏‪-‮⁠-⁯⁲⁳₏₝-₟⃀-⃏⃱-⃿↌-↏␧-␿⑋-⑟⭴⭵⮖Ⱟⱟ⳴-⳸⴦⴨-⴬⴮⴯⵨-⵮⵱-⵾⶗-⶟⶧⶯⶷⶿⷇⷏⷗⷟⹓-⹿⺚⻴-⻿⿖-⿯⿼-⿿぀゗゘㄀-㄄㄰㆏㇤-㇯㈟鿽-鿿꒍-꒏꓇-꓏꘬-꘿꛸-꛿ꟀꟁꟋ-ꟴ꠭-꠯꠺-꠿꡸-꡿꣆-꣍꣚-꣟꥔-꥞꥽-꥿꧎꧚-꧝꧿꨷-꨿꩎꩏꩚꩛꫃-꫚꫷-꬀꬇꬈꬏꬐꬗-꬟꬧꬯꭬-꭯꯮꯯꯺-꯿힤-힯퟇-퟊퟼-﩮﩯﫚-﫿﬇-﬒﬘-﬜﬷﬽﬿﭂﭅﯂-﯒﵀-﵏﶐﶑﷈-﷯﷾﷿︚-︟﹓﹧﹬-﹯﹵﻽-＀﾿-￁￈￉￐￑￘￙￝-￟￧￯-￻￾￿",astral:"\ud800[\udc0c\udc27\udc3b\udc3e\udc4e\udc4f\udc5e-\udc7f\udcfb-\udcff\udd03-\udd06\udd34-\udd36\udd8f\udd9d-\udd9f\udda1-\uddcf\uddfe-\ude7f\ude9d-\ude9f\uded1-\udedf\udefc-\udeff\udf24-\udf2c\udf4b-\udf4f\udf7b-\udf7f\udf9e\udfc4-\udfc7\udfd6-\udfff]|\ud801[\udc9e\udc9f\udcaa-\udcaf\udcd4-\udcd7\udcfc-\udcff\udd28-\udd2f\udd64-\udd6e\udd70-\uddff\udf37-\udf3f\udf56-\udf5f\udf68-\udfff]|\ud802[\udc06\udc07\udc09\udc36\udc39-\udc3b\udc3d\udc3e\udc56\udc9f-\udca6\udcb0-\udcdf\udcf3\udcf6-\udcfa\udd1c-\udd1e\udd3a-\udd3e\udd40-\udd7f\uddb8-\uddbb\uddd0\uddd1\ude04\ude07-\ude0b\ude14\ude18\ude36\ude37\ude3b-\ude3e\ude49-\ude4f\ude59-\ude5f\udea0-\udebf\udee7-\udeea\udef7-\udeff\udf36-\udf38\udf56\udf57\udf73-\udf77\udf92-\udf98\udf9d-\udfa8\udfb0-\udfff]|\ud803[\udc49-\udc7f\udcb3-\udcbf\udcf3-\udcf9\udd28-\udd2f\udd3a-\ude5f\ude7f\udeaa\udeae\udeaf\udeb2-\udeff\udf28-\udf2f\udf5a-\udfaf\udfcc-\udfdf\udff7-\udfff]|\ud804[\udc4e-\udc51\udc70-\udc7e\udcbd\udcc2-\udccf\udce9-\udcef\udcfa-\udcff\udd35\udd48-\udd4f\udd77-\udd7f\udde0\uddf5-\uddff\ude12\ude3f-\ude7f\ude87\ude89\ude8e\ude9e\udeaa-\udeaf\udeeb-\udeef\udefa-\udeff\udf04\udf0d\udf0e\udf11\udf12\udf29\udf31\udf34\udf3a\udf45\udf46\udf49\udf4a\udf4e\udf4f\udf51-\udf56\udf58-\udf5c\udf64\udf65\udf6d-\udf6f\udf75-\udfff]|\ud805[\udc5c\udc62-\udc7f\udcc8-\udccf\udcda-\udd7f\uddb6\uddb7\uddde-\uddff\ude45-\ude4f\ude5a-\ude5f\ude6d-\ude7f\udeb9-\udebf\udeca-\udeff\udf1b\udf1c\udf2c-\udf2f\udf40-\udfff]|\ud806[\udc3c-\udc9f\udcf3-\udcfe\udd07\udd08\udd0a\udd0b\udd14\udd17\udd36\udd39\udd3a\udd47-\udd4f\udd5a-\udd9f\udda8\udda9\uddd8\uddd9\udde5-\uddff\ude48-\ude4f\udea3-\udebf\udef9-\udfff]|\ud807[\udc09\udc37\udc46-\udc4f\udc6d-\udc6f\udc90\udc91\udca8\udcb7-\udcff\udd07\udd0a\udd37-\udd39\udd3b\udd3e\udd48-\udd4f\udd5a-\udd5f\udd66\udd69\udd8f\udd92\udd99-\udd9f\uddaa-\udedf\udef9-\udfaf\udfb1-\udfbf\udff2-\udffe]|\ud808[\udf9a-\udfff]|\ud809[\udc6f\udc75-\udc7f\udd44-\udfff]|[\ud80a\ud80b\ud80e-\ud810\ud812-\ud819\ud824-\ud82b\ud82d\ud82e\ud830-\ud833\ud837\ud839\ud83f\ud87b-\ud87d\ud87f\ud885-\udb3f\udb41-\udbff][\udc00-\udfff]|\ud80d[\udc2f-\udfff]|\ud811[\ude47-\udfff]|\ud81a[\ude39-\ude3f\ude5f\ude6a-\ude6d\ude70-\udecf\udeee\udeef\udef6-\udeff\udf46-\udf4f\udf5a\udf62\udf78-\udf7c\udf90-\udfff]|\ud81b[\udc00-\ude3f\ude9b-\udeff\udf4b-\udf4e\udf88-\udf8e\udfa0-\udfdf\udfe5-\udfef\udff2-\udfff]|\ud821[\udff8-\udfff]|\ud823[\udcd6-\udcff\udd09-\udfff]|\ud82c[\udd1f-\udd4f\udd53-\udd63\udd68-\udd6f\udefc-\udfff]|\ud82f[\udc6b-\udc6f\udc7d-\udc7f\udc89-\udc8f\udc9a\udc9b\udca0-\udfff]|\ud834[\udcf6-\udcff\udd27\udd28\udd73-\udd7a\udde9-\uddff\ude46-\udedf\udef4-\udeff\udf57-\udf5f\udf79-\udfff]|\ud835[\udc55\udc9d\udca0\udca1\udca3\udca4\udca7\udca8\udcad\udcba\udcbc\udcc4\udd06\udd0b\udd0c\udd15\udd1d\udd3a\udd3f\udd45\udd47-\udd49\udd51\udea6\udea7\udfcc\udfcd]|\ud836[\ude8c-\ude9a\udea0\udeb0-\udfff]|\ud838[\udc07\udc19\udc1a\udc22\udc25\udc2b-\udcff\udd2d-\udd2f\udd3e\udd3f\udd4a-\udd4d\udd50-\udebf\udefa-\udefe\udf00-\udfff]|\ud83a[\udcc5\udcc6\udcd7-\udcff\udd4c-\udd4f\udd5a-\udd5d\udd60-\udfff]|\ud83b[\udc00-\udc70\udcb5-\udd00\udd3e-\uddff\ude04\ude20\ude23\ude25\ude26\ude28\ude33\ude38\ude3a\ude3c-\ude41\ude43-\ude46\ude48\ude4a\ude4c\ude50\ude53\ude55\ude56\ude58\ude5a\ude5c\ude5e\ude60\ude63\ude65\ude66\ude6b\ude73\ude78\ude7d\ude7f\ude8a\ude9c-\udea0\udea4\udeaa\udebc-\udeef\udef2-\udfff]|\ud83c[\udc2c-\udc2f\udc94-\udc9f\udcaf\udcb0\udcc0\udcd0\udcf6-\udcff\uddae-\udde5\ude03-\ude0f\ude3c-\ude3f\ude49-\ude4f\ude52-\ude5f\ude66-\udeff]|\ud83d[\uded8-\udedf\udeed-\udeef\udefd-\udeff\udf74-\udf7f\udfd9-\udfdf\udfec-\udfff]|\ud83e[\udc0c-\udc0f\udc48-\udc4f\udc5a-\udc5f\udc88-\udc8f\udcae\udcaf\udcb2-\udcff\udd79\uddcc\ude54-\ude5f\ude6e\ude6f\ude75-\ude77\ude7b-\ude7f\ude87-\ude8f\udea9-\udeaf\udeb7-\udebf\udec3-\udecf\uded7-\udeff\udf93\udfcb-\udfef\udffa-\udfff]|\ud869[\udede-\udeff]|\ud86d[\udf35-\udf3f]|\ud86e[\udc1e\udc1f]|\ud873[\udea2-\udeaf]|\ud87a[\udfe1-\udfff]|\ud87e[\ude1e-\udfff]|\ud884[\udf4b-\udfff]|\udb40[\udc00-\udcff\uddf0-\udfff]"},{name:"Cc",alias:"Control",bmp:"\0--"},{name:"Cf",alias:"Format",bmp:"­؀-؅؜۝܏࣢᠎​-‏‪-‮⁠-⁤⁦-⁯\ufeff￹-￻",astral:"\ud804[\udcbd\udccd]|\ud80d[\udc30-\udc38]|\ud82f[\udca0-\udca3]|\ud834[\udd73-\udd7a]|\udb40[\udc01\udc20-\udc7f]"},{name:"Cn",alias:"Unassigned",bmp:"͸͹΀-΃΋΍΢԰՗՘֋֌֐׈-׏׫-׮׵-׿؝܎݋݌޲-޿߻߼࠮࠯࠿࡜࡝࡟࡫-࢟ࢵࣈ-࣒঄঍঎঑঒঩঱঳-঵঺঻৅৆৉৊৏-৖৘-৛৞৤৥৿਀਄਋-਎਑਒਩਱਴਷਺਻਽੃-੆੉੊੎-੐੒-੘੝੟-੥੷-઀઄઎઒઩઱઴઺઻૆૊૎૏૑-૟૤૥૲-૸଀଄଍଎଑଒଩଱଴଺଻୅୆୉୊୎-୔୘-୛୞୤୥୸-஁஄஋-஍஑஖-஘஛஝஠-஢஥-஧஫-஭஺-஽௃-௅௉௎௏௑-௖௘-௥௻-௿఍఑఩఺-఼౅౉౎-౔౗౛-౟౤౥౰-౶಍಑಩಴಺಻೅೉೎-೔೗-ೝ೟೤೥೰ೳ-೿഍഑൅൉൐-൓൤൥඀඄඗-඙඲඼඾඿෇-෉෋-෎෕෗෠-෥෰෱෵-฀฻-฾๜-຀຃຅຋຤຦຾຿໅໇໎໏໚໛໠-໿཈཭-཰྘྽࿍࿛-࿿჆჈-჌჎჏቉቎቏቗቙቞቟኉኎኏኱኶኷኿዁዆዇዗጑጖጗፛፜፽-፿᎚-᎟᏶᏷᏾᏿᚝-᚟᛹-᛿ᜍ᜕-ᜟ᜷-᜿᝔-᝟᝭᝱᝴-᝿៞៟៪-៯៺-៿᠏᠚-᠟᡹-᡿᢫-᢯᣶-᣿᤟᤬-᤯᤼-᤿᥁-᥃᥮᥯᥵-᥿᦬-᦯᧊-᧏᧛-᧝᨜᨝᩟᩽᩾᪊-᪏᪚-᪟᪮᪯᫁-᫿ᭌ-᭏᭽-᭿᯴-᯻᰸-᰺᱊-᱌Ᲊ-᲏᲻᲼᳈-᳏᳻-᳿᷺἖἗἞἟὆὇὎὏὘὚὜὞὾὿᾵῅῔῕῜῰῱῵῿⁥⁲⁳₏₝-₟⃀-⃏⃱-⃿↌-↏␧-␿⑋-⑟⭴⭵⮖Ⱟⱟ⳴-⳸⴦⴨-⴬⴮⴯⵨-⵮⵱-⵾⶗-⶟⶧⶯⶷⶿⷇⷏⷗⷟⹓-⹿⺚⻴-⻿⿖-⿯⿼-⿿぀゗゘㄀-㄄㄰㆏㇤-㇯㈟鿽-鿿꒍-꒏꓇-꓏꘬-꘿꛸-꛿ꟀꟁꟋ-ꟴ꠭-꠯꠺-꠿꡸-꡿꣆-꣍꣚-꣟꥔-꥞꥽-꥿꧎꧚-꧝꧿꨷-꨿꩎꩏꩚꩛꫃-꫚꫷-꬀꬇꬈꬏꬐꬗-꬟꬧꬯꭬-꭯꯮꯯꯺-꯿힤-힯퟇-퟊퟼-퟿﩮﩯﫚-﫿﬇-﬒﬘-﬜﬷﬽﬿﭂﭅﯂-﯒﵀-﵏﶐﶑﷈-﷯﷾﷿︚-︟﹓﹧﹬-﹯﹵﻽﻾＀﾿-￁￈￉￐￑￘￙￝-￟￧￯-￸￾￿",astral:"\ud800[\udc0c\udc27\udc3b\udc3e\udc4e\udc4f\udc5e-\udc7f\udcfb-\udcff\udd03-\udd06\udd34-\udd36\udd8f\udd9d-\udd9f\udda1-\uddcf\uddfe-\ude7f\ude9d-\ude9f\uded1-\udedf\udefc-\udeff\udf24-\udf2c\udf4b-\udf4f\udf7b-\udf7f\udf9e\udfc4-\udfc7\udfd6-\udfff]|\ud801[\udc9e\udc9f\udcaa-\udcaf\udcd4-\udcd7\udcfc-\udcff\udd28-\udd2f\udd64-\udd6e\udd70-\uddff\udf37-\udf3f\udf56-\udf5f\udf68-\udfff]|\ud802[\udc06\udc07\udc09\udc36\udc39-\udc3b\udc3d\udc3e\udc56\udc9f-\udca6\udcb0-\udcdf\udcf3\udcf6-\udcfa\udd1c-\udd1e\udd3a-\udd3e\udd40-\udd7f\uddb8-\uddbb\uddd0\uddd1\ude04\ude07-\ude0b\ude14\ude18\ude36\ude37\ude3b-\ude3e\ude49-\ude4f\ude59-\ude5f\udea0-\udebf\udee7-\udeea\udef7-\udeff\udf36-\udf38\udf56\udf57\udf73-\udf77\udf92-\udf98\udf9d-\udfa8\udfb0-\udfff]|\ud803[\udc49-\udc7f\udcb3-\udcbf\udcf3-\udcf9\udd28-\udd2f\udd3a-\ude5f\ude7f\udeaa\udeae\udeaf\udeb2-\udeff\udf28-\udf2f\udf5a-\udfaf\udfcc-\udfdf\udff7-\udfff]|\ud804[\udc4e-\udc51\udc70-\udc7e\udcc2-\udccc\udcce\udccf\udce9-\udcef\udcfa-\udcff\udd35\udd48-\udd4f\udd77-\udd7f\udde0\uddf5-\uddff\ude12\ude3f-\ude7f\ude87\ude89\ude8e\ude9e\udeaa-\udeaf\udeeb-\udeef\udefa-\udeff\udf04\udf0d\udf0e\udf11\udf12\udf29\udf31\udf34\udf3a\udf45\udf46\udf49\udf4a\udf4e\udf4f\udf51-\udf56\udf58-\udf5c\udf64\udf65\udf6d-\udf6f\udf75-\udfff]|\ud805[\udc5c\udc62-\udc7f\udcc8-\udccf\udcda-\udd7f\uddb6\uddb7\uddde-\uddff\ude45-\ude4f\ude5a-\ude5f\ude6d-\ude7f\udeb9-\udebf\udeca-\udeff\udf1b\udf1c\udf2c-\udf2f\udf40-\udfff]|\ud806[\udc3c-\udc9f\udcf3-\udcfe\udd07\udd08\udd0a\udd0b\udd14\udd17\udd36\udd39\udd3a\udd47-\udd4f\udd5a-\udd9f\udda8\udda9\uddd8\uddd9\udde5-\uddff\ude48-\ude4f\udea3-\udebf\udef9-\udfff]|\ud807[\udc09\udc37\udc46-\udc4f\udc6d-\udc6f\udc90\udc91\udca8\udcb7-\udcff\udd07\udd0a\udd37-\udd39\udd3b\udd3e\udd48-\udd4f\udd5a-\udd5f\udd66\udd69\udd8f\udd92\udd99-\udd9f\uddaa-\udedf\udef9-\udfaf\udfb1-\udfbf\udff2-\udffe]|\ud808[\udf9a-\udfff]|\ud809[\udc6f\udc75-\udc7f\udd44-\udfff]|[\ud80a\ud80b\ud80e-\ud810\ud812-\ud819\ud824-\ud82b\ud82d\ud82e\ud830-\ud833\ud837\ud839\ud83f\ud87b-\ud87d\ud87f\ud885-\udb3f\udb41-\udb7f][\udc00-\udfff]|\ud80d[\udc2f\udc39-\udfff]|\ud811[\ude47-\udfff]|\ud81a[\ude39-\ude3f\ude5f\ude6a-\ude6d\ude70-\udecf\udeee\udeef\udef6-\udeff\udf46-\udf4f\udf5a\udf62\udf78-\udf7c\udf90-\udfff]|\ud81b[\udc00-\ude3f\ude9b-\udeff\udf4b-\udf4e\udf88-\udf8e\udfa0-\udfdf\udfe5-\udfef\udff2-\udfff]|\ud821[\udff8-\udfff]|\ud823[\udcd6-\udcff\udd09-\udfff]|\ud82c[\udd1f-\udd4f\udd53-\udd63\udd68-\udd6f\udefc-\udfff]|\ud82f[\udc6b-\udc6f\udc7d-\udc7f\udc89-\udc8f\udc9a\udc9b\udca4-\udfff]|\ud834[\udcf6-\udcff\udd27\udd28\udde9-\uddff\ude46-\udedf\udef4-\udeff\udf57-\udf5f\udf79-\udfff]|\ud835[\udc55\udc9d\udca0\udca1\udca3\udca4\udca7\udca8\udcad\udcba\udcbc\udcc4\udd06\udd0b\udd0c\udd15\udd1d\udd3a\udd3f\udd45\udd47-\udd49\udd51\udea6\udea7\udfcc\udfcd]|\ud836[\ude8c-\ude9a\udea0\udeb0-\udfff]|\ud838[\udc07\udc19\udc1a\udc22\udc25\udc2b-\udcff\udd2d-\udd2f\udd3e\udd3f\udd4a-\udd4d\udd50-\udebf\udefa-\udefe\udf00-\udfff]|\ud83a[\udcc5\udcc6\udcd7-\udcff\udd4c-\udd4f\udd5a-\udd5d\udd60-\udfff]|\ud83b[\udc00-\udc70\udcb5-\udd00\udd3e-\uddff\ude04\ude20\ude23\ude25\ude26\ude28\ude33\ude38\ude3a\ude3c-\ude41\ude43-\ude46\ude48\ude4a\ude4c\ude50\ude53\ude55\ude56\ude58\ude5a\ude5c\ude5e\ude60\ude63\ude65\ude66\ude6b\ude73\ude78\ude7d\ude7f\ude8a\ude9c-\udea0\udea4\udeaa\udebc-\udeef\udef2-\udfff]|\ud83c[\udc2c-\udc2f\udc94-\udc9f\udcaf\udcb0\udcc0\udcd0\udcf6-\udcff\uddae-\udde5\ude03-\ude0f\ude3c-\ude3f\ude49-\ude4f\ude52-\ude5f\ude66-\udeff]|\ud83d[\uded8-\udedf\udeed-\udeef\udefd-\udeff\udf74-\udf7f\udfd9-\udfdf\udfec-\udfff]|\ud83e[\udc0c-\udc0f\udc48-\udc4f\udc5a-\udc5f\udc88-\udc8f\udcae\udcaf\udcb2-\udcff\udd79\uddcc\ude54-\ude5f\ude6e\ude6f\ude75-\ude77\ude7b-\ude7f\ude87-\ude8f\udea9-\udeaf\udeb7-\udebf\udec3-\udecf\uded7-\udeff\udf93\udfcb-\udfef\udffa-\udfff]|\ud869[\udede-\udeff]|\ud86d[\udf35-\udf3f]|\ud86e[\udc1e\udc1f]|\ud873[\udea2-\udeaf]|\ud87a[\udfe1-\udfff]|\ud87e[\ude1e-\udfff]|\ud884[\udf4b-\udfff]|\udb40[\udc00\udc02-\udc1f\udc80-\udcff\uddf0-\udfff]|[\udbbf\udbff][\udffe\udfff]"},{name:"Co",alias:"Private_Use",bmp:"-",astral:"[\udb80-\udbbe\udbc0-\udbfe][\udc00-\udfff]|[\udbbf\udbff][\udc00-\udffd]"},{name:"Cs",alias:"Surrogate",bmp:"\ud800-\udfff"},{name:"L",alias:"Letter",bmp:"A-Za-zªµºÀ-ÖØ-öø-ˁˆ-ˑˠ-ˤˬˮͰ-ʹͶͷͺ-ͽͿΆΈ-ΊΌΎ-ΡΣ-ϵϷ-ҁҊ-ԯԱ-Ֆՙՠ-ֈא-תׯ-ײؠ-يٮٯٱ-ۓەۥۦۮۯۺ-ۼۿܐܒ-ܯݍ-ޥޱߊ-ߪߴߵߺࠀ-ࠕࠚࠤࠨࡀ-ࡘࡠ-ࡪࢠ-ࢴࢶ-ࣇऄ-हऽॐक़-ॡॱ-ঀঅ-ঌএঐও-নপ-রলশ-হঽৎড়ঢ়য়-ৡৰৱৼਅ-ਊਏਐਓ-ਨਪ-ਰਲਲ਼ਵਸ਼ਸਹਖ਼-ੜਫ਼ੲ-ੴઅ-ઍએ-ઑઓ-નપ-રલળવ-હઽૐૠૡૹଅ-ଌଏଐଓ-ନପ-ରଲଳଵ-ହଽଡ଼ଢ଼ୟ-ୡୱஃஅ-ஊஎ-ஐஒ-கஙசஜஞடணதந-பம-ஹௐఅ-ఌఎ-ఐఒ-నప-హఽౘ-ౚౠౡಀಅ-ಌಎ-ಐಒ-ನಪ-ಳವ-ಹಽೞೠೡೱೲഄ-ഌഎ-ഐഒ-ഺഽൎൔ-ൖൟ-ൡൺ-ൿඅ-ඖක-නඳ-රලව-ෆก-ะาำเ-ๆກຂຄຆ-ຊຌ-ຣລວ-ະາຳຽເ-ໄໆໜ-ໟༀཀ-ཇཉ-ཬྈ-ྌက-ဪဿၐ-ၕၚ-ၝၡၥၦၮ-ၰၵ-ႁႎႠ-ჅჇჍა-ჺჼ-ቈቊ-ቍቐ-ቖቘቚ-ቝበ-ኈኊ-ኍነ-ኰኲ-ኵኸ-ኾዀዂ-ዅወ-ዖዘ-ጐጒ-ጕጘ-ፚᎀ-ᎏᎠ-Ᏽᏸ-ᏽᐁ-ᙬᙯ-ᙿᚁ-ᚚᚠ-ᛪᛱ-ᛸᜀ-ᜌᜎ-ᜑᜠ-ᜱᝀ-ᝑᝠ-ᝬᝮ-ᝰក-ឳៗៜᠠ-ᡸᢀ-ᢄᢇ-ᢨᢪᢰ-ᣵᤀ-ᤞᥐ-ᥭᥰ-ᥴᦀ-ᦫᦰ-ᧉᨀ-ᨖᨠ-ᩔᪧᬅ-ᬳᭅ-ᭋᮃ-ᮠᮮᮯᮺ-ᯥᰀ-ᰣᱍ-ᱏᱚ-ᱽᲀ-ᲈᲐ-ᲺᲽ-Ჿᳩ-ᳬᳮ-ᳳᳵᳶᳺᴀ-ᶿḀ-ἕἘ-Ἕἠ-ὅὈ-Ὅὐ-ὗὙὛὝὟ-ώᾀ-ᾴᾶ-ᾼιῂ-ῄῆ-ῌῐ-ΐῖ-Ίῠ-Ῥῲ-ῴῶ-ῼⁱⁿₐ-ₜℂℇℊ-ℓℕℙ-ℝℤΩℨK-ℭℯ-ℹℼ-ℿⅅ-ⅉⅎↃↄⰀ-Ⱞⰰ-ⱞⱠ-ⳤⳫ-ⳮⳲⳳⴀ-ⴥⴧⴭⴰ-ⵧⵯⶀ-ⶖⶠ-ⶦⶨ-ⶮⶰ-ⶶⶸ-ⶾⷀ-ⷆⷈ-ⷎⷐ-ⷖⷘ-ⷞⸯ々〆〱-〵〻〼ぁ-ゖゝ-ゟァ-ヺー-ヿㄅ-ㄯㄱ-ㆎㆠ-ㆿㇰ-ㇿ㐀-䶿一-鿼ꀀ-ꒌꓐ-ꓽꔀ-ꘌꘐ-ꘟꘪꘫꙀ-ꙮꙿ-ꚝꚠ-ꛥꜗ-ꜟꜢ-ꞈꞋ-ꞿꟂ-ꟊꟵ-ꠁꠃ-ꠅꠇ-ꠊꠌ-ꠢꡀ-ꡳꢂ-ꢳꣲ-ꣷꣻꣽꣾꤊ-ꤥꤰ-ꥆꥠ-ꥼꦄ-ꦲꧏꧠ-ꧤꧦ-ꧯꧺ-ꧾꨀ-ꨨꩀ-ꩂꩄ-ꩋꩠ-ꩶꩺꩾ-ꪯꪱꪵꪶꪹ-ꪽꫀꫂꫛ-ꫝꫠ-ꫪꫲ-ꫴꬁ-ꬆꬉ-ꬎꬑ-ꬖꬠ-ꬦꬨ-ꬮꬰ-ꭚꭜ-ꭩꭰ-ꯢ가-힣ힰ-ퟆퟋ-ퟻ豈-舘並-龎ﬀ-ﬆﬓ-ﬗיִײַ-ﬨשׁ-זּטּ-לּמּנּסּףּפּצּ-ﮱﯓ-ﴽﵐ-ﶏﶒ-ﷇﷰ-ﷻﹰ-ﹴﹶ-ﻼＡ-Ｚａ-ｚｦ-ﾾￂ-ￇￊ-ￏￒ-ￗￚ-ￜ",astral:"\ud800[\udc00-\udc0b\udc0d-\udc26\udc28-\udc3a\udc3c\udc3d\udc3f-\udc4d\udc50-\udc5d\udc80-\udcfa\ude80-\ude9c\udea0-\uded0\udf00-\udf1f\udf2d-\udf40\udf42-\udf49\udf50-\udf75\udf80-\udf9d\udfa0-\udfc3\udfc8-\udfcf]|\ud801[\udc00-\udc9d\udcb0-\udcd3\udcd8-\udcfb\udd00-\udd27\udd30-\udd63\ude00-\udf36\udf40-\udf55\udf60-\udf67]|\ud802[\udc00-\udc05\udc08\udc0a-\udc35\udc37\udc38\udc3c\udc3f-\udc55\udc60-\udc76\udc80-\udc9e\udce0-\udcf2\udcf4\udcf5\udd00-\udd15\udd20-\udd39\udd80-\uddb7\uddbe\uddbf\ude00\ude10-\ude13\ude15-\ude17\ude19-\ude35\ude60-\ude7c\ude80-\ude9c\udec0-\udec7\udec9-\udee4\udf00-\udf35\udf40-\udf55\udf60-\udf72\udf80-\udf91]|\ud803[\udc00-\udc48\udc80-\udcb2\udcc0-\udcf2\udd00-\udd23\ude80-\udea9\udeb0\udeb1\udf00-\udf1c\udf27\udf30-\udf45\udfb0-\udfc4\udfe0-\udff6]|\ud804[\udc03-\udc37\udc83-\udcaf\udcd0-\udce8\udd03-\udd26\udd44\udd47\udd50-\udd72\udd76\udd83-\uddb2\uddc1-\uddc4\uddda\udddc\ude00-\ude11\ude13-\ude2b\ude80-\ude86\ude88\ude8a-\ude8d\ude8f-\ude9d\ude9f-\udea8\udeb0-\udede\udf05-\udf0c\udf0f\udf10\udf13-\udf28\udf2a-\udf30\udf32\udf33\udf35-\udf39\udf3d\udf50\udf5d-\udf61]|\ud805[\udc00-\udc34\udc47-\udc4a\udc5f-\udc61\udc80-\udcaf\udcc4\udcc5\udcc7\udd80-\uddae\uddd8-\udddb\ude00-\ude2f\ude44\ude80-\udeaa\udeb8\udf00-\udf1a]|\ud806[\udc00-\udc2b\udca0-\udcdf\udcff-\udd06\udd09\udd0c-\udd13\udd15\udd16\udd18-\udd2f\udd3f\udd41\udda0-\udda7\uddaa-\uddd0\udde1\udde3\ude00\ude0b-\ude32\ude3a\ude50\ude5c-\ude89\ude9d\udec0-\udef8]|\ud807[\udc00-\udc08\udc0a-\udc2e\udc40\udc72-\udc8f\udd00-\udd06\udd08\udd09\udd0b-\udd30\udd46\udd60-\udd65\udd67\udd68\udd6a-\udd89\udd98\udee0-\udef2\udfb0]|\ud808[\udc00-\udf99]|\ud809[\udc80-\udd43]|[\ud80c\ud81c-\ud820\ud822\ud840-\ud868\ud86a-\ud86c\ud86f-\ud872\ud874-\ud879\ud880-\ud883][\udc00-\udfff]|\ud80d[\udc00-\udc2e]|\ud811[\udc00-\ude46]|\ud81a[\udc00-\ude38\ude40-\ude5e\uded0-\udeed\udf00-\udf2f\udf40-\udf43\udf63-\udf77\udf7d-\udf8f]|\ud81b[\ude40-\ude7f\udf00-\udf4a\udf50\udf93-\udf9f\udfe0\udfe1\udfe3]|\ud821[\udc00-\udff7]|\ud823[\udc00-\udcd5\udd00-\udd08]|\ud82c[\udc00-\udd1e\udd50-\udd52\udd64-\udd67\udd70-\udefb]|\ud82f[\udc00-\udc6a\udc70-\udc7c\udc80-\udc88\udc90-\udc99]|\ud835[\udc00-\udc54\udc56-\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd1e-\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd52-\udea5\udea8-\udec0\udec2-\udeda\udedc-\udefa\udefc-\udf14\udf16-\udf34\udf36-\udf4e\udf50-\udf6e\udf70-\udf88\udf8a-\udfa8\udfaa-\udfc2\udfc4-\udfcb]|\ud838[\udd00-\udd2c\udd37-\udd3d\udd4e\udec0-\udeeb]|\ud83a[\udc00-\udcc4\udd00-\udd43\udd4b]|\ud83b[\ude00-\ude03\ude05-\ude1f\ude21\ude22\ude24\ude27\ude29-\ude32\ude34-\ude37\ude39\ude3b\ude42\ude47\ude49\ude4b\ude4d-\ude4f\ude51\ude52\ude54\ude57\ude59\ude5b\ude5d\ude5f\ude61\ude62\ude64\ude67-\ude6a\ude6c-\ude72\ude74-\ude77\ude79-\ude7c\ude7e\ude80-\ude89\ude8b-\ude9b\udea1-\udea3\udea5-\udea9\udeab-\udebb]|\ud869[\udc00-\udedd\udf00-\udfff]|\ud86d[\udc00-\udf34\udf40-\udfff]|\ud86e[\udc00-\udc1d\udc20-\udfff]|\ud873[\udc00-\udea1\udeb0-\udfff]|\ud87a[\udc00-\udfe0]|\ud87e[\udc00-\ude1d]|\ud884[\udc00-\udf4a]"},{name:"LC",alias:"Cased_Letter",bmp:"A-Za-zµÀ-ÖØ-öø-ƺƼ-ƿǄ-ʓʕ-ʯͰ-ͳͶͷͻ-ͽͿΆΈ-ΊΌΎ-ΡΣ-ϵϷ-ҁҊ-ԯԱ-Ֆՠ-ֈႠ-ჅჇჍა-ჺჽ-ჿᎠ-Ᏽᏸ-ᏽᲀ-ᲈᲐ-ᲺᲽ-Ჿᴀ-ᴫᵫ-ᵷᵹ-ᶚḀ-ἕἘ-Ἕἠ-ὅὈ-Ὅὐ-ὗὙὛὝὟ-ώᾀ-ᾴᾶ-ᾼιῂ-ῄῆ-ῌῐ-ΐῖ-Ίῠ-Ῥῲ-ῴῶ-ῼℂℇℊ-ℓℕℙ-ℝℤΩℨK-ℭℯ-ℴℹℼ-ℿⅅ-ⅉⅎↃↄⰀ-Ⱞⰰ-ⱞⱠ-ⱻⱾ-ⳤⳫ-ⳮⳲⳳⴀ-ⴥⴧⴭꙀ-ꙭꚀ-ꚛꜢ-ꝯꝱ-ꞇꞋ-ꞎꞐ-ꞿꟂ-ꟊꟵꟶꟺꬰ-ꭚꭠ-ꭨꭰ-ꮿﬀ-ﬆﬓ-ﬗＡ-Ｚａ-ｚ",astral:"\ud801[\udc00-\udc4f\udcb0-\udcd3\udcd8-\udcfb]|\ud803[\udc80-\udcb2\udcc0-\udcf2]|\ud806[\udca0-\udcdf]|\ud81b[\ude40-\ude7f]|\ud835[\udc00-\udc54\udc56-\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd1e-\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd52-\udea5\udea8-\udec0\udec2-\udeda\udedc-\udefa\udefc-\udf14\udf16-\udf34\udf36-\udf4e\udf50-\udf6e\udf70-\udf88\udf8a-\udfa8\udfaa-\udfc2\udfc4-\udfcb]|\ud83a[\udd00-\udd43]"},{name:"Ll",alias:"Lowercase_Letter",bmp:"a-zµß-öø-ÿāăąćĉċčďđēĕėęěĝğġģĥħĩīĭįıĳĵķĸĺļľŀłńņňŉŋōŏőœŕŗřśŝşšţťŧũūŭůűųŵŷźżž-ƀƃƅƈƌƍƒƕƙ-ƛƞơƣƥƨƪƫƭưƴƶƹƺƽ-ƿǆǉǌǎǐǒǔǖǘǚǜǝǟǡǣǥǧǩǫǭǯǰǳǵǹǻǽǿȁȃȅȇȉȋȍȏȑȓȕȗșțȝȟȡȣȥȧȩȫȭȯȱȳ-ȹȼȿɀɂɇɉɋɍɏ-ʓʕ-ʯͱͳͷͻ-ͽΐά-ώϐϑϕ-ϗϙϛϝϟϡϣϥϧϩϫϭϯ-ϳϵϸϻϼа-џѡѣѥѧѩѫѭѯѱѳѵѷѹѻѽѿҁҋҍҏґғҕҗҙқҝҟҡңҥҧҩҫҭүұҳҵҷҹһҽҿӂӄӆӈӊӌӎӏӑӓӕӗәӛӝӟӡӣӥӧөӫӭӯӱӳӵӷӹӻӽӿԁԃԅԇԉԋԍԏԑԓԕԗԙԛԝԟԡԣԥԧԩԫԭԯՠ-ֈა-ჺჽ-ჿᏸ-ᏽᲀ-ᲈᴀ-ᴫᵫ-ᵷᵹ-ᶚḁḃḅḇḉḋḍḏḑḓḕḗḙḛḝḟḡḣḥḧḩḫḭḯḱḳḵḷḹḻḽḿṁṃṅṇṉṋṍṏṑṓṕṗṙṛṝṟṡṣṥṧṩṫṭṯṱṳṵṷṹṻṽṿẁẃẅẇẉẋẍẏẑẓẕ-ẝẟạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹỻỽỿ-ἇἐ-ἕἠ-ἧἰ-ἷὀ-ὅὐ-ὗὠ-ὧὰ-ώᾀ-ᾇᾐ-ᾗᾠ-ᾧᾰ-ᾴᾶᾷιῂ-ῄῆῇῐ-ΐῖῗῠ-ῧῲ-ῴῶῷℊℎℏℓℯℴℹℼℽⅆ-ⅉⅎↄⰰ-ⱞⱡⱥⱦⱨⱪⱬⱱⱳⱴⱶ-ⱻⲁⲃⲅⲇⲉⲋⲍⲏⲑⲓⲕⲗⲙⲛⲝⲟⲡⲣⲥⲧⲩⲫⲭⲯⲱⲳⲵⲷⲹⲻⲽⲿⳁⳃⳅⳇⳉⳋⳍⳏⳑⳓⳕⳗⳙⳛⳝⳟⳡⳣⳤⳬⳮⳳⴀ-ⴥⴧⴭꙁꙃꙅꙇꙉꙋꙍꙏꙑꙓꙕꙗꙙꙛꙝꙟꙡꙣꙥꙧꙩꙫꙭꚁꚃꚅꚇꚉꚋꚍꚏꚑꚓꚕꚗꚙꚛꜣꜥꜧꜩꜫꜭꜯ-ꜱꜳꜵꜷꜹꜻꜽꜿꝁꝃꝅꝇꝉꝋꝍꝏꝑꝓꝕꝗꝙꝛꝝꝟꝡꝣꝥꝧꝩꝫꝭꝯꝱ-ꝸꝺꝼꝿꞁꞃꞅꞇꞌꞎꞑꞓ-ꞕꞗꞙꞛꞝꞟꞡꞣꞥꞧꞩꞯꞵꞷꞹꞻꞽꞿꟃꟈꟊꟶꟺꬰ-ꭚꭠ-ꭨꭰ-ꮿﬀ-ﬆﬓ-ﬗａ-ｚ",astral:"\ud801[\udc28-\udc4f\udcd8-\udcfb]|\ud803[\udcc0-\udcf2]|\ud806[\udcc0-\udcdf]|\ud81b[\ude60-\ude7f]|\ud835[\udc1a-\udc33\udc4e-\udc54\udc56-\udc67\udc82-\udc9b\udcb6-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udccf\udcea-\udd03\udd1e-\udd37\udd52-\udd6b\udd86-\udd9f\uddba-\uddd3\uddee-\ude07\ude22-\ude3b\ude56-\ude6f\ude8a-\udea5\udec2-\udeda\udedc-\udee1\udefc-\udf14\udf16-\udf1b\udf36-\udf4e\udf50-\udf55\udf70-\udf88\udf8a-\udf8f\udfaa-\udfc2\udfc4-\udfc9\udfcb]|\ud83a[\udd22-\udd43]"},{name:"Lm",alias:"Modifier_Letter",bmp:"ʰ-ˁˆ-ˑˠ-ˤˬˮʹͺՙـۥۦߴߵߺࠚࠤࠨॱๆໆჼៗᡃᪧᱸ-ᱽᴬ-ᵪᵸᶛ-ᶿⁱⁿₐ-ₜⱼⱽⵯⸯ々〱-〵〻ゝゞー-ヾꀕꓸ-ꓽꘌꙿꚜꚝꜗ-ꜟꝰꞈꟸꟹꧏꧦꩰꫝꫳꫴꭜ-ꭟꭩｰﾞﾟ",astral:"\ud81a[\udf40-\udf43]|\ud81b[\udf93-\udf9f\udfe0\udfe1\udfe3]|\ud838[\udd37-\udd3d]|𞥋"},{name:"Lo",alias:"Other_Letter",bmp:"ªºƻǀ-ǃʔא-תׯ-ײؠ-ؿف-يٮٯٱ-ۓەۮۯۺ-ۼۿܐܒ-ܯݍ-ޥޱߊ-ߪࠀ-ࠕࡀ-ࡘࡠ-ࡪࢠ-ࢴࢶ-ࣇऄ-हऽॐक़-ॡॲ-ঀঅ-ঌএঐও-নপ-রলশ-হঽৎড়ঢ়য়-ৡৰৱৼਅ-ਊਏਐਓ-ਨਪ-ਰਲਲ਼ਵਸ਼ਸਹਖ਼-ੜਫ਼ੲ-ੴઅ-ઍએ-ઑઓ-નપ-રલળવ-હઽૐૠૡૹଅ-ଌଏଐଓ-ନପ-ରଲଳଵ-ହଽଡ଼ଢ଼ୟ-ୡୱஃஅ-ஊஎ-ஐஒ-கஙசஜஞடணதந-பம-ஹௐఅ-ఌఎ-ఐఒ-నప-హఽౘ-ౚౠౡಀಅ-ಌಎ-ಐಒ-ನಪ-ಳವ-ಹಽೞೠೡೱೲഄ-ഌഎ-ഐഒ-ഺഽൎൔ-ൖൟ-ൡൺ-ൿඅ-ඖක-නඳ-රලව-ෆก-ะาำเ-ๅກຂຄຆ-ຊຌ-ຣລວ-ະາຳຽເ-ໄໜ-ໟༀཀ-ཇཉ-ཬྈ-ྌက-ဪဿၐ-ၕၚ-ၝၡၥၦၮ-ၰၵ-ႁႎᄀ-ቈቊ-ቍቐ-ቖቘቚ-ቝበ-ኈኊ-ኍነ-ኰኲ-ኵኸ-ኾዀዂ-ዅወ-ዖዘ-ጐጒ-ጕጘ-ፚᎀ-ᎏᐁ-ᙬᙯ-ᙿᚁ-ᚚᚠ-ᛪᛱ-ᛸᜀ-ᜌᜎ-ᜑᜠ-ᜱᝀ-ᝑᝠ-ᝬᝮ-ᝰក-ឳៜᠠ-ᡂᡄ-ᡸᢀ-ᢄᢇ-ᢨᢪᢰ-ᣵᤀ-ᤞᥐ-ᥭᥰ-ᥴᦀ-ᦫᦰ-ᧉᨀ-ᨖᨠ-ᩔᬅ-ᬳᭅ-ᭋᮃ-ᮠᮮᮯᮺ-ᯥᰀ-ᰣᱍ-ᱏᱚ-ᱷᳩ-ᳬᳮ-ᳳᳵᳶᳺℵ-ℸⴰ-ⵧⶀ-ⶖⶠ-ⶦⶨ-ⶮⶰ-ⶶⶸ-ⶾⷀ-ⷆⷈ-ⷎⷐ-ⷖⷘ-ⷞ〆〼ぁ-ゖゟァ-ヺヿㄅ-ㄯㄱ-ㆎㆠ-ㆿㇰ-ㇿ㐀-䶿一-鿼ꀀ-ꀔꀖ-ꒌꓐ-ꓷꔀ-ꘋꘐ-ꘟꘪꘫꙮꚠ-ꛥꞏꟷꟻ-ꠁꠃ-ꠅꠇ-ꠊꠌ-ꠢꡀ-ꡳꢂ-ꢳꣲ-ꣷꣻꣽꣾꤊ-ꤥꤰ-ꥆꥠ-ꥼꦄ-ꦲꧠ-ꧤꧧ-ꧯꧺ-ꧾꨀ-ꨨꩀ-ꩂꩄ-ꩋꩠ-ꩯꩱ-ꩶꩺꩾ-ꪯꪱꪵꪶꪹ-ꪽꫀꫂꫛꫜꫠ-ꫪꫲꬁ-ꬆꬉ-ꬎꬑ-ꬖꬠ-ꬦꬨ-ꬮꯀ-ꯢ가-힣ힰ-ퟆퟋ-ퟻ豈-舘並-龎יִײַ-ﬨשׁ-זּטּ-לּמּנּסּףּפּצּ-ﮱﯓ-ﴽﵐ-ﶏﶒ-ﷇﷰ-ﷻﹰ-ﹴﹶ-ﻼｦ-ｯｱ-ﾝﾠ-ﾾￂ-ￇￊ-ￏￒ-ￗￚ-ￜ",astral:"\ud800[\udc00-\udc0b\udc0d-\udc26\udc28-\udc3a\udc3c\udc3d\udc3f-\udc4d\udc50-\udc5d\udc80-\udcfa\ude80-\ude9c\udea0-\uded0\udf00-\udf1f\udf2d-\udf40\udf42-\udf49\udf50-\udf75\udf80-\udf9d\udfa0-\udfc3\udfc8-\udfcf]|\ud801[\udc50-\udc9d\udd00-\udd27\udd30-\udd63\ude00-\udf36\udf40-\udf55\udf60-\udf67]|\ud802[\udc00-\udc05\udc08\udc0a-\udc35\udc37\udc38\udc3c\udc3f-\udc55\udc60-\udc76\udc80-\udc9e\udce0-\udcf2\udcf4\udcf5\udd00-\udd15\udd20-\udd39\udd80-\uddb7\uddbe\uddbf\ude00\ude10-\ude13\ude15-\ude17\ude19-\ude35\ude60-\ude7c\ude80-\ude9c\udec0-\udec7\udec9-\udee4\udf00-\udf35\udf40-\udf55\udf60-\udf72\udf80-\udf91]|\ud803[\udc00-\udc48\udd00-\udd23\ude80-\udea9\udeb0\udeb1\udf00-\udf1c\udf27\udf30-\udf45\udfb0-\udfc4\udfe0-\udff6]|\ud804[\udc03-\udc37\udc83-\udcaf\udcd0-\udce8\udd03-\udd26\udd44\udd47\udd50-\udd72\udd76\udd83-\uddb2\uddc1-\uddc4\uddda\udddc\ude00-\ude11\ude13-\ude2b\ude80-\ude86\ude88\ude8a-\ude8d\ude8f-\ude9d\ude9f-\udea8\udeb0-\udede\udf05-\udf0c\udf0f\udf10\udf13-\udf28\udf2a-\udf30\udf32\udf33\udf35-\udf39\udf3d\udf50\udf5d-\udf61]|\ud805[\udc00-\udc34\udc47-\udc4a\udc5f-\udc61\udc80-\udcaf\udcc4\udcc5\udcc7\udd80-\uddae\uddd8-\udddb\ude00-\ude2f\ude44\ude80-\udeaa\udeb8\udf00-\udf1a]|\ud806[\udc00-\udc2b\udcff-\udd06\udd09\udd0c-\udd13\udd15\udd16\udd18-\udd2f\udd3f\udd41\udda0-\udda7\uddaa-\uddd0\udde1\udde3\ude00\ude0b-\ude32\ude3a\ude50\ude5c-\ude89\ude9d\udec0-\udef8]|\ud807[\udc00-\udc08\udc0a-\udc2e\udc40\udc72-\udc8f\udd00-\udd06\udd08\udd09\udd0b-\udd30\udd46\udd60-\udd65\udd67\udd68\udd6a-\udd89\udd98\udee0-\udef2\udfb0]|\ud808[\udc00-\udf99]|\ud809[\udc80-\udd43]|[\ud80c\ud81c-\ud820\ud822\ud840-\ud868\ud86a-\ud86c\ud86f-\ud872\ud874-\ud879\ud880-\ud883][\udc00-\udfff]|\ud80d[\udc00-\udc2e]|\ud811[\udc00-\ude46]|\ud81a[\udc00-\ude38\ude40-\ude5e\uded0-\udeed\udf00-\udf2f\udf63-\udf77\udf7d-\udf8f]|\ud81b[\udf00-\udf4a\udf50]|\ud821[\udc00-\udff7]|\ud823[\udc00-\udcd5\udd00-\udd08]|\ud82c[\udc00-\udd1e\udd50-\udd52\udd64-\udd67\udd70-\udefb]|\ud82f[\udc00-\udc6a\udc70-\udc7c\udc80-\udc88\udc90-\udc99]|\ud838[\udd00-\udd2c\udd4e\udec0-\udeeb]|\ud83a[\udc00-\udcc4]|\ud83b[\ude00-\ude03\ude05-\ude1f\ude21\ude22\ude24\ude27\ude29-\ude32\ude34-\ude37\ude39\ude3b\ude42\ude47\ude49\ude4b\ude4d-\ude4f\ude51\ude52\ude54\ude57\ude59\ude5b\ude5d\ude5f\ude61\ude62\ude64\ude67-\ude6a\ude6c-\ude72\ude74-\ude77\ude79-\ude7c\ude7e\ude80-\ude89\ude8b-\ude9b\udea1-\udea3\udea5-\udea9\udeab-\udebb]|\ud869[\udc00-\udedd\udf00-\udfff]|\ud86d[\udc00-\udf34\udf40-\udfff]|\ud86e[\udc00-\udc1d\udc20-\udfff]|\ud873[\udc00-\udea1\udeb0-\udfff]|\ud87a[\udc00-\udfe0]|\ud87e[\udc00-\ude1d]|\ud884[\udc00-\udf4a]"},{name:"Lt",alias:"Titlecase_Letter",bmp:"ǅǈǋǲᾈ-ᾏᾘ-ᾟᾨ-ᾯᾼῌῼ"},{name:"Lu",alias:"Uppercase_Letter",bmp:"A-ZÀ-ÖØ-ÞĀĂĄĆĈĊČĎĐĒĔĖĘĚĜĞĠĢĤĦĨĪĬĮİĲĴĶĹĻĽĿŁŃŅŇŊŌŎŐŒŔŖŘŚŜŞŠŢŤŦŨŪŬŮŰŲŴŶŸŹŻŽƁƂƄƆƇƉ-ƋƎ-ƑƓƔƖ-ƘƜƝƟƠƢƤƦƧƩƬƮƯƱ-ƳƵƷƸƼǄǇǊǍǏǑǓǕǗǙǛǞǠǢǤǦǨǪǬǮǱǴǶ-ǸǺǼǾȀȂȄȆȈȊȌȎȐȒȔȖȘȚȜȞȠȢȤȦȨȪȬȮȰȲȺȻȽȾɁɃ-ɆɈɊɌɎͰͲͶͿΆΈ-ΊΌΎΏΑ-ΡΣ-ΫϏϒ-ϔϘϚϜϞϠϢϤϦϨϪϬϮϴϷϹϺϽ-ЯѠѢѤѦѨѪѬѮѰѲѴѶѸѺѼѾҀҊҌҎҐҒҔҖҘҚҜҞҠҢҤҦҨҪҬҮҰҲҴҶҸҺҼҾӀӁӃӅӇӉӋӍӐӒӔӖӘӚӜӞӠӢӤӦӨӪӬӮӰӲӴӶӸӺӼӾԀԂԄԆԈԊԌԎԐԒԔԖԘԚԜԞԠԢԤԦԨԪԬԮԱ-ՖႠ-ჅჇჍᎠ-ᏵᲐ-ᲺᲽ-ᲿḀḂḄḆḈḊḌḎḐḒḔḖḘḚḜḞḠḢḤḦḨḪḬḮḰḲḴḶḸḺḼḾṀṂṄṆṈṊṌṎṐṒṔṖṘṚṜṞṠṢṤṦṨṪṬṮṰṲṴṶṸṺṼṾẀẂẄẆẈẊẌẎẐẒẔẞẠẢẤẦẨẪẬẮẰẲẴẶẸẺẼẾỀỂỄỆỈỊỌỎỐỒỔỖỘỚỜỞỠỢỤỦỨỪỬỮỰỲỴỶỸỺỼỾἈ-ἏἘ-ἝἨ-ἯἸ-ἿὈ-ὍὙὛὝὟὨ-ὯᾸ-ΆῈ-ΉῘ-ΊῨ-ῬῸ-Ώℂℇℋ-ℍℐ-ℒℕℙ-ℝℤΩℨK-ℭℰ-ℳℾℿⅅↃⰀ-ⰮⱠⱢ-ⱤⱧⱩⱫⱭ-ⱰⱲⱵⱾ-ⲀⲂⲄⲆⲈⲊⲌⲎⲐⲒⲔⲖⲘⲚⲜⲞⲠⲢⲤⲦⲨⲪⲬⲮⲰⲲⲴⲶⲸⲺⲼⲾⳀⳂⳄⳆⳈⳊⳌⳎⳐⳒⳔⳖⳘⳚⳜⳞⳠⳢⳫⳭⳲꙀꙂꙄꙆꙈꙊꙌꙎꙐꙒꙔꙖꙘꙚꙜꙞꙠꙢꙤꙦꙨꙪꙬꚀꚂꚄꚆꚈꚊꚌꚎꚐꚒꚔꚖꚘꚚꜢꜤꜦꜨꜪꜬꜮꜲꜴꜶꜸꜺꜼꜾꝀꝂꝄꝆꝈꝊꝌꝎꝐꝒꝔꝖꝘꝚꝜꝞꝠꝢꝤꝦꝨꝪꝬꝮꝹꝻꝽꝾꞀꞂꞄꞆꞋꞍꞐꞒꞖꞘꞚꞜꞞꞠꞢꞤꞦꞨꞪ-ꞮꞰ-ꞴꞶꞸꞺꞼꞾꟂꟄ-ꟇꟉꟵＡ-Ｚ",astral:"\ud801[\udc00-\udc27\udcb0-\udcd3]|\ud803[\udc80-\udcb2]|\ud806[\udca0-\udcbf]|\ud81b[\ude40-\ude5f]|\ud835[\udc00-\udc19\udc34-\udc4d\udc68-\udc81\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb5\udcd0-\udce9\udd04\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd38\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd6c-\udd85\udda0-\uddb9\uddd4-\udded\ude08-\ude21\ude3c-\ude55\ude70-\ude89\udea8-\udec0\udee2-\udefa\udf1c-\udf34\udf56-\udf6e\udf90-\udfa8\udfca]|\ud83a[\udd00-\udd21]"},{name:"M",alias:"Mark",bmp:"̀-ͯ҃-҉֑-ׇֽֿׁׂׅׄؐ-ًؚ-ٰٟۖ-ۜ۟-۪ۤۧۨ-ܑۭܰ-݊ަ-ް߫-߽߳ࠖ-࠙ࠛ-ࠣࠥ-ࠧࠩ-࡙࠭-࡛࣓-ࣣ࣡-ःऺ-़ा-ॏ॑-ॗॢॣঁ-ঃ়া-ৄেৈো-্ৗৢৣ৾ਁ-ਃ਼ਾ-ੂੇੈੋ-੍ੑੰੱੵઁ-ઃ઼ા-ૅે-ૉો-્ૢૣૺ-૿ଁ-ଃ଼ା-ୄେୈୋ-୍୕-ୗୢୣஂா-ூெ-ைொ-்ௗఀ-ఄా-ౄె-ైొ-్ౕౖౢౣಁ-ಃ಼ಾ-ೄೆ-ೈೊ-್ೕೖೢೣഀ-ഃ഻഼ാ-ൄെ-ൈൊ-്ൗൢൣඁ-ඃ්ා-ුූෘ-ෟෲෳัิ-ฺ็-๎ັິ-ຼ່-ໍ༹༘༙༵༷༾༿ཱ-྄྆྇ྍ-ྗྙ-ྼ࿆ါ-ှၖ-ၙၞ-ၠၢ-ၤၧ-ၭၱ-ၴႂ-ႍႏႚ-ႝ፝-፟ᜒ-᜔ᜲ-᜴ᝒᝓᝲᝳ឴-៓៝᠋-᠍ᢅᢆᢩᤠ-ᤫᤰ-᤻ᨗ-ᨛᩕ-ᩞ᩠-᩿᩼᪰-ᫀᬀ-ᬄ᬴-᭄᭫-᭳ᮀ-ᮂᮡ-ᮭ᯦-᯳ᰤ-᰷᳐-᳔᳒-᳨᳭᳴᳷-᳹᷀-᷹᷻-᷿⃐-⃰⳯-⵿⳱ⷠ-〪ⷿ-゙゚〯꙯-꙲ꙴ-꙽ꚞꚟ꛰꛱ꠂ꠆ꠋꠣ-ꠧ꠬ꢀꢁꢴ-ꣅ꣠-꣱ꣿꤦ-꤭ꥇ-꥓ꦀ-ꦃ꦳-꧀ꧥꨩ-ꨶꩃꩌꩍꩻ-ꩽꪰꪲ-ꪴꪷꪸꪾ꪿꫁ꫫ-ꫯꫵ꫶ꯣ-ꯪ꯬꯭ﬞ︀-️︠-︯",astral:"\ud800[\uddfd\udee0\udf76-\udf7a]|\ud802[\ude01-\ude03\ude05\ude06\ude0c-\ude0f\ude38-\ude3a\ude3f\udee5\udee6]|\ud803[\udd24-\udd27\udeab\udeac\udf46-\udf50]|\ud804[\udc00-\udc02\udc38-\udc46\udc7f-\udc82\udcb0-\udcba\udd00-\udd02\udd27-\udd34\udd45\udd46\udd73\udd80-\udd82\uddb3-\uddc0\uddc9-\uddcc\uddce\uddcf\ude2c-\ude37\ude3e\udedf-\udeea\udf00-\udf03\udf3b\udf3c\udf3e-\udf44\udf47\udf48\udf4b-\udf4d\udf57\udf62\udf63\udf66-\udf6c\udf70-\udf74]|\ud805[\udc35-\udc46\udc5e\udcb0-\udcc3\uddaf-\uddb5\uddb8-\uddc0\udddc\udddd\ude30-\ude40\udeab-\udeb7\udf1d-\udf2b]|\ud806[\udc2c-\udc3a\udd30-\udd35\udd37\udd38\udd3b-\udd3e\udd40\udd42\udd43\uddd1-\uddd7\uddda-\udde0\udde4\ude01-\ude0a\ude33-\ude39\ude3b-\ude3e\ude47\ude51-\ude5b\ude8a-\ude99]|\ud807[\udc2f-\udc36\udc38-\udc3f\udc92-\udca7\udca9-\udcb6\udd31-\udd36\udd3a\udd3c\udd3d\udd3f-\udd45\udd47\udd8a-\udd8e\udd90\udd91\udd93-\udd97\udef3-\udef6]|\ud81a[\udef0-\udef4\udf30-\udf36]|\ud81b[\udf4f\udf51-\udf87\udf8f-\udf92\udfe4\udff0\udff1]|\ud82f[\udc9d\udc9e]|\ud834[\udd65-\udd69\udd6d-\udd72\udd7b-\udd82\udd85-\udd8b\uddaa-\uddad\ude42-\ude44]|\ud836[\ude00-\ude36\ude3b-\ude6c\ude75\ude84\ude9b-\ude9f\udea1-\udeaf]|\ud838[\udc00-\udc06\udc08-\udc18\udc1b-\udc21\udc23\udc24\udc26-\udc2a\udd30-\udd36\udeec-\udeef]|\ud83a[\udcd0-\udcd6\udd44-\udd4a]|\udb40[\udd00-\uddef]"},{name:"Mc",alias:"Spacing_Mark",bmp:"ःऻा-ीॉ-ौॎॏংঃা-ীেৈোৌৗਃਾ-ੀઃા-ીૉોૌଂଃାୀେୈୋୌୗாிுூெ-ைொ-ௌௗఁ-ఃు-ౄಂಃಾೀ-ೄೇೈೊೋೕೖംഃാ-ീെ-ൈൊ-ൌൗංඃා-ෑෘ-ෟෲෳ༾༿ཿါာေးျြၖၗၢ-ၤၧ-ၭႃႄႇ-ႌႏႚ-ႜាើ-ៅះៈᤣ-ᤦᤩ-ᤫᤰᤱᤳ-ᤸᨙᨚᩕᩗᩡᩣᩤᩭ-ᩲᬄᬵᬻᬽ-ᭁᭃ᭄ᮂᮡᮦᮧ᮪ᯧᯪ-ᯬᯮ᯲᯳ᰤ-ᰫᰴᰵ᳡᳷〮〯ꠣꠤꠧꢀꢁꢴ-ꣃꥒ꥓ꦃꦴꦵꦺꦻꦾ-꧀ꨯꨰꨳꨴꩍꩻꩽꫫꫮꫯꫵꯣꯤꯦꯧꯩꯪ꯬",astral:"\ud804[\udc00\udc02\udc82\udcb0-\udcb2\udcb7\udcb8\udd2c\udd45\udd46\udd82\uddb3-\uddb5\uddbf\uddc0\uddce\ude2c-\ude2e\ude32\ude33\ude35\udee0-\udee2\udf02\udf03\udf3e\udf3f\udf41-\udf44\udf47\udf48\udf4b-\udf4d\udf57\udf62\udf63]|\ud805[\udc35-\udc37\udc40\udc41\udc45\udcb0-\udcb2\udcb9\udcbb-\udcbe\udcc1\uddaf-\uddb1\uddb8-\uddbb\uddbe\ude30-\ude32\ude3b\ude3c\ude3e\udeac\udeae\udeaf\udeb6\udf20\udf21\udf26]|\ud806[\udc2c-\udc2e\udc38\udd30-\udd35\udd37\udd38\udd3d\udd40\udd42\uddd1-\uddd3\udddc-\udddf\udde4\ude39\ude57\ude58\ude97]|\ud807[\udc2f\udc3e\udca9\udcb1\udcb4\udd8a-\udd8e\udd93\udd94\udd96\udef5\udef6]|\ud81b[\udf51-\udf87\udff0\udff1]|\ud834[\udd65\udd66\udd6d-\udd72]"},{name:"Me",alias:"Enclosing_Mark",bmp:"҈҉᪾⃝-⃠⃢-⃤꙰-꙲"},{name:"Mn",alias:"Nonspacing_Mark",bmp:"̀-ͯ҃-֑҇-ׇֽֿׁׂׅׄؐ-ًؚ-ٰٟۖ-ۜ۟-۪ۤۧۨ-ܑۭܰ-݊ަ-ް߫-߽߳ࠖ-࠙ࠛ-ࠣࠥ-ࠧࠩ-࡙࠭-࡛࣓-ࣣ࣡-ंऺ़ु-ै्॑-ॗॢॣঁ়ু-ৄ্ৢৣ৾ਁਂ਼ੁੂੇੈੋ-੍ੑੰੱੵઁં઼ુ-ૅેૈ્ૢૣૺ-૿ଁ଼ିୁ-ୄ୍୕ୖୢୣஂீ்ఀఄా-ీె-ైొ-్ౕౖౢౣಁ಼ಿೆೌ್ೢೣഀഁ഻഼ു-ൄ്ൢൣඁ්ි-ුූัิ-ฺ็-๎ັິ-ຼ່-ໍཱ༹༘༙༵༷-ཾྀ-྄྆྇ྍ-ྗྙ-ྼ࿆ိ-ူဲ-့္်ွှၘၙၞ-ၠၱ-ၴႂႅႆႍႝ፝-፟ᜒ-᜔ᜲ-᜴ᝒᝓᝲᝳ឴឵ិ-ួំ៉-៓៝᠋-᠍ᢅᢆᢩᤠ-ᤢᤧᤨᤲ᤹-᤻ᨘᨗᨛᩖᩘ-ᩞ᩠ᩢᩥ-ᩬᩳ-᩿᩼᪰-᪽ᪿᫀᬀ-ᬃ᬴ᬶ-ᬺᬼᭂ᭫-᭳ᮀᮁᮢ-ᮥᮨᮩ᮫-ᮭ᯦ᯨᯩᯭᯯ-ᯱᰬ-ᰳᰶ᰷᳐-᳔᳒-᳢᳠-᳨᳭᳴᳸᳹᷀-᷹᷻-᷿⃐-⃥⃜⃡-⃰⳯-⵿⳱ⷠ-〪ⷿ-゙゚〭꙯ꙴ-꙽ꚞꚟ꛰꛱ꠂ꠆ꠋꠥꠦ꠬꣄ꣅ꣠-꣱ꣿꤦ-꤭ꥇ-ꥑꦀ-ꦂ꦳ꦶ-ꦹꦼꦽꧥꨩ-ꨮꨱꨲꨵꨶꩃꩌꩼꪰꪲ-ꪴꪷꪸꪾ꪿꫁ꫬꫭ꫶ꯥꯨ꯭ﬞ︀-️︠-︯",astral:"\ud800[\uddfd\udee0\udf76-\udf7a]|\ud802[\ude01-\ude03\ude05\ude06\ude0c-\ude0f\ude38-\ude3a\ude3f\udee5\udee6]|\ud803[\udd24-\udd27\udeab\udeac\udf46-\udf50]|\ud804[\udc01\udc38-\udc46\udc7f-\udc81\udcb3-\udcb6\udcb9\udcba\udd00-\udd02\udd27-\udd2b\udd2d-\udd34\udd73\udd80\udd81\uddb6-\uddbe\uddc9-\uddcc\uddcf\ude2f-\ude31\ude34\ude36\ude37\ude3e\udedf\udee3-\udeea\udf00\udf01\udf3b\udf3c\udf40\udf66-\udf6c\udf70-\udf74]|\ud805[\udc38-\udc3f\udc42-\udc44\udc46\udc5e\udcb3-\udcb8\udcba\udcbf\udcc0\udcc2\udcc3\uddb2-\uddb5\uddbc\uddbd\uddbf\uddc0\udddc\udddd\ude33-\ude3a\ude3d\ude3f\ude40\udeab\udead\udeb0-\udeb5\udeb7\udf1d-\udf1f\udf22-\udf25\udf27-\udf2b]|\ud806[\udc2f-\udc37\udc39\udc3a\udd3b\udd3c\udd3e\udd43\uddd4-\uddd7\uddda\udddb\udde0\ude01-\ude0a\ude33-\ude38\ude3b-\ude3e\ude47\ude51-\ude56\ude59-\ude5b\ude8a-\ude96\ude98\ude99]|\ud807[\udc30-\udc36\udc38-\udc3d\udc3f\udc92-\udca7\udcaa-\udcb0\udcb2\udcb3\udcb5\udcb6\udd31-\udd36\udd3a\udd3c\udd3d\udd3f-\udd45\udd47\udd90\udd91\udd95\udd97\udef3\udef4]|\ud81a[\udef0-\udef4\udf30-\udf36]|\ud81b[\udf4f\udf8f-\udf92\udfe4]|\ud82f[\udc9d\udc9e]|\ud834[\udd67-\udd69\udd7b-\udd82\udd85-\udd8b\uddaa-\uddad\ude42-\ude44]|\ud836[\ude00-\ude36\ude3b-\ude6c\ude75\ude84\ude9b-\ude9f\udea1-\udeaf]|\ud838[\udc00-\udc06\udc08-\udc18\udc1b-\udc21\udc23\udc24\udc26-\udc2a\udd30-\udd36\udeec-\udeef]|\ud83a[\udcd0-\udcd6\udd44-\udd4a]|\udb40[\udd00-\uddef]"},{name:"N",alias:"Number",bmp:"0-9²³¹¼-¾٠-٩۰-۹߀-߉०-९০-৯৴-৹੦-੯૦-૯୦-୯୲-୷௦-௲౦-౯౸-౾೦-೯൘-൞൦-൸෦-෯๐-๙໐-໙༠-༳၀-၉႐-႙፩-፼ᛮ-ᛰ០-៩៰-៹᠐-᠙᥆-᥏᧐-᧚᪀-᪉᪐-᪙᭐-᭙᮰-᮹᱀-᱉᱐-᱙⁰⁴-⁹₀-₉⅐-ↂↅ-↉①-⒛⓪-⓿❶-➓⳽〇〡-〩〸-〺㆒-㆕㈠-㈩㉈-㉏㉑-㉟㊀-㊉㊱-㊿꘠-꘩ꛦ-ꛯ꠰-꠵꣐-꣙꤀-꤉꧐-꧙꧰-꧹꩐-꩙꯰-꯹０-９",astral:"\ud800[\udd07-\udd33\udd40-\udd78\udd8a\udd8b\udee1-\udefb\udf20-\udf23\udf41\udf4a\udfd1-\udfd5]|\ud801[\udca0-\udca9]|\ud802[\udc58-\udc5f\udc79-\udc7f\udca7-\udcaf\udcfb-\udcff\udd16-\udd1b\uddbc\uddbd\uddc0-\uddcf\uddd2-\uddff\ude40-\ude48\ude7d\ude7e\ude9d-\ude9f\udeeb-\udeef\udf58-\udf5f\udf78-\udf7f\udfa9-\udfaf]|\ud803[\udcfa-\udcff\udd30-\udd39\ude60-\ude7e\udf1d-\udf26\udf51-\udf54\udfc5-\udfcb]|\ud804[\udc52-\udc6f\udcf0-\udcf9\udd36-\udd3f\uddd0-\uddd9\udde1-\uddf4\udef0-\udef9]|\ud805[\udc50-\udc59\udcd0-\udcd9\ude50-\ude59\udec0-\udec9\udf30-\udf3b]|\ud806[\udce0-\udcf2\udd50-\udd59]|\ud807[\udc50-\udc6c\udd50-\udd59\udda0-\udda9\udfc0-\udfd4]|\ud809[\udc00-\udc6e]|\ud81a[\ude60-\ude69\udf50-\udf59\udf5b-\udf61]|\ud81b[\ude80-\ude96]|\ud834[\udee0-\udef3\udf60-\udf78]|\ud835[\udfce-\udfff]|\ud838[\udd40-\udd49\udef0-\udef9]|\ud83a[\udcc7-\udccf\udd50-\udd59]|\ud83b[\udc71-\udcab\udcad-\udcaf\udcb1-\udcb4\udd01-\udd2d\udd2f-\udd3d]|\ud83c[\udd00-\udd0c]|\ud83e[\udff0-\udff9]"},{name:"Nd",alias:"Decimal_Number",bmp:"0-9٠-٩۰-۹߀-߉०-९০-৯੦-੯૦-૯୦-୯௦-௯౦-౯೦-೯൦-൯෦-෯๐-๙໐-໙༠-༩၀-၉႐-႙០-៩᠐-᠙᥆-᥏᧐-᧙᪀-᪉᪐-᪙᭐-᭙᮰-᮹᱀-᱉᱐-᱙꘠-꘩꣐-꣙꤀-꤉꧐-꧙꧰-꧹꩐-꩙꯰-꯹０-９",astral:"\ud801[\udca0-\udca9]|\ud803[\udd30-\udd39]|\ud804[\udc66-\udc6f\udcf0-\udcf9\udd36-\udd3f\uddd0-\uddd9\udef0-\udef9]|\ud805[\udc50-\udc59\udcd0-\udcd9\ude50-\ude59\udec0-\udec9\udf30-\udf39]|\ud806[\udce0-\udce9\udd50-\udd59]|\ud807[\udc50-\udc59\udd50-\udd59\udda0-\udda9]|\ud81a[\ude60-\ude69\udf50-\udf59]|\ud835[\udfce-\udfff]|\ud838[\udd40-\udd49\udef0-\udef9]|\ud83a[\udd50-\udd59]|\ud83e[\udff0-\udff9]"},{name:"Nl",alias:"Letter_Number",bmp:"ᛮ-ᛰⅠ-ↂↅ-ↈ〇〡-〩〸-〺ꛦ-ꛯ",astral:"\ud800[\udd40-\udd74\udf41\udf4a\udfd1-\udfd5]|\ud809[\udc00-\udc6e]"},{name:"No",alias:"Other_Number",bmp:"²³¹¼-¾৴-৹୲-୷௰-௲౸-౾൘-൞൰-൸༪-༳፩-፼៰-៹᧚⁰⁴-⁹₀-₉⅐-⅟↉①-⒛⓪-⓿❶-➓⳽㆒-㆕㈠-㈩㉈-㉏㉑-㉟㊀-㊉㊱-㊿꠰-꠵",astral:"\ud800[\udd07-\udd33\udd75-\udd78\udd8a\udd8b\udee1-\udefb\udf20-\udf23]|\ud802[\udc58-\udc5f\udc79-\udc7f\udca7-\udcaf\udcfb-\udcff\udd16-\udd1b\uddbc\uddbd\uddc0-\uddcf\uddd2-\uddff\ude40-\ude48\ude7d\ude7e\ude9d-\ude9f\udeeb-\udeef\udf58-\udf5f\udf78-\udf7f\udfa9-\udfaf]|\ud803[\udcfa-\udcff\ude60-\ude7e\udf1d-\udf26\udf51-\udf54\udfc5-\udfcb]|\ud804[\udc52-\udc65\udde1-\uddf4]|\ud805[\udf3a\udf3b]|\ud806[\udcea-\udcf2]|\ud807[\udc5a-\udc6c\udfc0-\udfd4]|\ud81a[\udf5b-\udf61]|\ud81b[\ude80-\ude96]|\ud834[\udee0-\udef3\udf60-\udf78]|\ud83a[\udcc7-\udccf]|\ud83b[\udc71-\udcab\udcad-\udcaf\udcb1-\udcb4\udd01-\udd2d\udd2f-\udd3d]|\ud83c[\udd00-\udd0c]"},{name:"P",alias:"Punctuation",bmp:"!-#%-\\*,-\\/:;\\?@\\[-\\]_\\{\\}¡§«¶·»¿;·՚-՟։֊־׀׃׆׳״؉؊،؍؛؞؟٪-٭۔܀-܍߷-߹࠰-࠾࡞।॥॰৽੶૰౷಄෴๏๚๛༄-༒༔༺-༽྅࿐-࿔࿙࿚၊-၏჻፠-፨᐀᙮᚛᚜᛫-᛭᜵᜶។-៖៘-៚᠀-᠊᥄᥅᨞᨟᪠-᪦᪨-᪭᭚-᭠᯼-᯿᰻-᰿᱾᱿᳀-᳇᳓‐-‧‰-⁃⁅-⁑⁓-⁞⁽⁾₍₎⌈-⌋〈〉❨-❵⟅⟆⟦-⟯⦃-⦘⧘-⧛⧼⧽⳹-⳼⳾⳿⵰⸀-⸮⸰-⹏⹒、-〃〈-】〔-〟〰〽゠・꓾꓿꘍-꘏꙳꙾꛲-꛷꡴-꡷꣎꣏꣸-꣺꣼꤮꤯꥟꧁-꧍꧞꧟꩜-꩟꫞꫟꫰꫱꯫﴾﴿︐-︙︰-﹒﹔-﹡﹣﹨﹪﹫！-＃％-＊，-／：；？＠［-］＿｛｝｟-･",astral:"\ud800[\udd00-\udd02\udf9f\udfd0]|𐕯|\ud802[\udc57\udd1f\udd3f\ude50-\ude58\ude7f\udef0-\udef6\udf39-\udf3f\udf99-\udf9c]|\ud803[\udead\udf55-\udf59]|\ud804[\udc47-\udc4d\udcbb\udcbc\udcbe-\udcc1\udd40-\udd43\udd74\udd75\uddc5-\uddc8\uddcd\udddb\udddd-\udddf\ude38-\ude3d\udea9]|\ud805[\udc4b-\udc4f\udc5a\udc5b\udc5d\udcc6\uddc1-\uddd7\ude41-\ude43\ude60-\ude6c\udf3c-\udf3e]|\ud806[\udc3b\udd44-\udd46\udde2\ude3f-\ude46\ude9a-\ude9c\ude9e-\udea2]|\ud807[\udc41-\udc45\udc70\udc71\udef7\udef8\udfff]|\ud809[\udc70-\udc74]|\ud81a[\ude6e\ude6f\udef5\udf37-\udf3b\udf44]|\ud81b[\ude97-\ude9a\udfe2]|𛲟|\ud836[\ude87-\ude8b]|\ud83a[\udd5e\udd5f]"},{name:"Pc",alias:"Connector_Punctuation",bmp:"_‿⁀⁔︳︴﹍-﹏＿"},{name:"Pd",alias:"Dash_Punctuation",bmp:"\\-֊־᐀᠆‐-―⸗⸚⸺⸻⹀〜〰゠︱︲﹘﹣－",astral:"𐺭"},{name:"Pe",alias:"Close_Punctuation",bmp:"\\)\\]\\}༻༽᚜⁆⁾₎⌉⌋〉❩❫❭❯❱❳❵⟆⟧⟩⟫⟭⟯⦄⦆⦈⦊⦌⦎⦐⦒⦔⦖⦘⧙⧛⧽⸣⸥⸧⸩〉》」』】〕〗〙〛〞〟﴾︘︶︸︺︼︾﹀﹂﹄﹈﹚﹜﹞）］｝｠｣"},{name:"Pf",alias:"Final_Punctuation",bmp:"»’”›⸃⸅⸊⸍⸝⸡"},{name:"Pi",alias:"Initial_Punctuation",bmp:"«‘‛“‟‹⸂⸄⸉⸌⸜⸠"},{name:"Po",alias:"Other_Punctuation",bmp:"!-#%-'\\*,\\.\\/:;\\?@\\¡§¶·¿;·՚-՟։׀׃׆׳״؉؊،؍؛؞؟٪-٭۔܀-܍߷-߹࠰-࠾࡞।॥॰৽੶૰౷಄෴๏๚๛༄-༒༔྅࿐-࿔࿙࿚၊-၏჻፠-፨᙮᛫-᛭᜵᜶។-៖៘-៚᠀-᠅᠇-᠊᥄᥅᨞᨟᪠-᪦᪨-᪭᭚-᭠᯼-᯿᰻-᰿᱾᱿᳀-᳇᳓‖‗†-‧‰-‸※-‾⁁-⁃⁇-⁑⁓⁕-⁞⳹-⳼⳾⳿⵰⸀⸁⸆-⸈⸋⸎-⸖⸘⸙⸛⸞⸟⸪-⸮⸰-⸹⸼-⸿⹁⹃-⹏⹒、-〃〽・꓾꓿꘍-꘏꙳꙾꛲-꛷꡴-꡷꣎꣏꣸-꣺꣼꤮꤯꥟꧁-꧍꧞꧟꩜-꩟꫞꫟꫰꫱꯫︐-︖︙︰﹅﹆﹉-﹌﹐-﹒﹔-﹗﹟-﹡﹨﹪﹫！-＃％-＇＊，．／：；？＠＼｡､･",astral:"\ud800[\udd00-\udd02\udf9f\udfd0]|𐕯|\ud802[\udc57\udd1f\udd3f\ude50-\ude58\ude7f\udef0-\udef6\udf39-\udf3f\udf99-\udf9c]|\ud803[\udf55-\udf59]|\ud804[\udc47-\udc4d\udcbb\udcbc\udcbe-\udcc1\udd40-\udd43\udd74\udd75\uddc5-\uddc8\uddcd\udddb\udddd-\udddf\ude38-\ude3d\udea9]|\ud805[\udc4b-\udc4f\udc5a\udc5b\udc5d\udcc6\uddc1-\uddd7\ude41-\ude43\ude60-\ude6c\udf3c-\udf3e]|\ud806[\udc3b\udd44-\udd46\udde2\ude3f-\ude46\ude9a-\ude9c\ude9e-\udea2]|\ud807[\udc41-\udc45\udc70\udc71\udef7\udef8\udfff]|\ud809[\udc70-\udc74]|\ud81a[\ude6e\ude6f\udef5\udf37-\udf3b\udf44]|\ud81b[\ude97-\ude9a\udfe2]|𛲟|\ud836[\ude87-\ude8b]|\ud83a[\udd5e\udd5f]"},{name:"Ps",alias:"Open_Punctuation",bmp:"\\(\\[\\{༺༼᚛‚„⁅⁽₍⌈⌊〈❨❪❬❮❰❲❴⟅⟦⟨⟪⟬⟮⦃⦅⦇⦉⦋⦍⦏⦑⦓⦕⦗⧘⧚⧼⸢⸤⸦⸨⹂〈《「『【〔〖〘〚〝﴿︗︵︷︹︻︽︿﹁﹃﹇﹙﹛﹝（［｛｟｢"},{name:"S",alias:"Symbol",bmp:"\\$\\+<->\\^`\\|~¢-¦¨©¬®-±´¸×÷˂-˅˒-˟˥-˫˭˯-˿͵΄΅϶҂֍-֏؆-؈؋؎؏۞۩۽۾߶߾߿৲৳৺৻૱୰௳-௺౿൏൹฿༁-༃༓༕-༗༚-༟༴༶༸྾-࿅࿇-࿌࿎࿏࿕-࿘႞႟᎐-᎙᙭៛᥀᧞-᧿᭡-᭪᭴-᭼᾽᾿-῁῍-῏῝-῟῭-`´῾⁄⁒⁺-⁼₊-₌₠-₿℀℁℃-℆℈℉℔№-℘℞-℣℥℧℩℮℺℻⅀-⅄⅊-⅍⅏↊↋←-⌇⌌-⌨⌫-␦⑀-⑊⒜-ⓩ─-❧➔-⟄⟇-⟥⟰-⦂⦙-⧗⧜-⧻⧾-⭳⭶-⮕⮗-⯿⳥-⳪⹐⹑⺀-⺙⺛-⻳⼀-⿕⿰-⿻〄〒〓〠〶〷〾〿゛゜㆐㆑㆖-㆟㇀-㇣㈀-㈞㈪-㉇㉐㉠-㉿㊊-㊰㋀-㏿䷀-䷿꒐-꓆꜀-꜖꜠꜡꞉꞊꠨-꠫꠶-꠹꩷-꩹꭛꭪꭫﬩﮲-﯁﷼﷽﹢﹤-﹦﹩＄＋＜-＞＾｀｜～￠-￦￨-￮￼�",astral:"\ud800[\udd37-\udd3f\udd79-\udd89\udd8c-\udd8e\udd90-\udd9c\udda0\uddd0-\uddfc]|\ud802[\udc77\udc78\udec8]|𑜿|\ud807[\udfd5-\udff1]|\ud81a[\udf3c-\udf3f\udf45]|𛲜|\ud834[\udc00-\udcf5\udd00-\udd26\udd29-\udd64\udd6a-\udd6c\udd83\udd84\udd8c-\udda9\uddae-\udde8\ude00-\ude41\ude45\udf00-\udf56]|\ud835[\udec1\udedb\udefb\udf15\udf35\udf4f\udf6f\udf89\udfa9\udfc3]|\ud836[\udc00-\uddff\ude37-\ude3a\ude6d-\ude74\ude76-\ude83\ude85\ude86]|\ud838[\udd4f\udeff]|\ud83b[\udcac\udcb0\udd2e\udef0\udef1]|\ud83c[\udc00-\udc2b\udc30-\udc93\udca0-\udcae\udcb1-\udcbf\udcc1-\udccf\udcd1-\udcf5\udd0d-\uddad\udde6-\ude02\ude10-\ude3b\ude40-\ude48\ude50\ude51\ude60-\ude65\udf00-\udfff]|\ud83d[\udc00-\uded7\udee0-\udeec\udef0-\udefc\udf00-\udf73\udf80-\udfd8\udfe0-\udfeb]|\ud83e[\udc00-\udc0b\udc10-\udc47\udc50-\udc59\udc60-\udc87\udc90-\udcad\udcb0\udcb1\udd00-\udd78\udd7a-\uddcb\uddcd-\ude53\ude60-\ude6d\ude70-\ude74\ude78-\ude7a\ude80-\ude86\ude90-\udea8\udeb0-\udeb6\udec0-\udec2\uded0-\uded6\udf00-\udf92\udf94-\udfca]"},{name:"Sc",alias:"Currency_Symbol",bmp:"\\$¢-¥֏؋߾߿৲৳৻૱௹฿៛₠-₿꠸﷼﹩＄￠￡￥￦",astral:"\ud807[\udfdd-\udfe0]|𞋿|𞲰"},{name:"Sk",alias:"Modifier_Symbol",bmp:"\\^`¨¯´¸˂-˅˒-˟˥-˫˭˯-˿͵΄΅᾽᾿-῁῍-῏῝-῟῭-`´῾゛゜꜀-꜖꜠꜡꞉꞊꭛꭪꭫﮲-﯁＾｀￣",astral:"\ud83c[\udffb-\udfff]"},{name:"Sm",alias:"Math_Symbol",bmp:"\\+<->\\|~¬±×÷϶؆-؈⁄⁒⁺-⁼₊-₌℘⅀-⅄⅋←-↔↚↛↠↣↦↮⇎⇏⇒⇔⇴-⋿⌠⌡⍼⎛-⎳⏜-⏡▷◁◸-◿♯⟀-⟄⟇-⟥⟰-⟿⤀-⦂⦙-⧗⧜-⧻⧾-⫿⬰-⭄⭇-⭌﬩﹢﹤-﹦＋＜-＞｜～￢￩-￬",astral:"\ud835[\udec1\udedb\udefb\udf15\udf35\udf4f\udf6f\udf89\udfa9\udfc3]|\ud83b[\udef0\udef1]"},{name:"So",alias:"Other_Symbol",bmp:"¦©®°҂֍֎؎؏۞۩۽۾߶৺୰௳-௸௺౿൏൹༁-༃༓༕-༗༚-༟༴༶༸྾-࿅࿇-࿌࿎࿏࿕-࿘႞႟᎐-᎙᙭᥀᧞-᧿᭡-᭪᭴-᭼℀℁℃-℆℈℉℔№℗℞-℣℥℧℩℮℺℻⅊⅌⅍⅏↊↋↕-↙↜-↟↡↢↤↥↧-↭↯-⇍⇐⇑⇓⇕-⇳⌀-⌇⌌-⌟⌢-⌨⌫-⍻⍽-⎚⎴-⏛⏢-␦⑀-⑊⒜-ⓩ─-▶▸-◀◂-◷☀-♮♰-❧➔-➿⠀-⣿⬀-⬯⭅⭆⭍-⭳⭶-⮕⮗-⯿⳥-⳪⹐⹑⺀-⺙⺛-⻳⼀-⿕⿰-⿻〄〒〓〠〶〷〾〿㆐㆑㆖-㆟㇀-㇣㈀-㈞㈪-㉇㉐㉠-㉿㊊-㊰㋀-㏿䷀-䷿꒐-꓆꠨-꠫꠶꠷꠹꩷-꩹﷽￤￨￭￮￼�",astral:"\ud800[\udd37-\udd3f\udd79-\udd89\udd8c-\udd8e\udd90-\udd9c\udda0\uddd0-\uddfc]|\ud802[\udc77\udc78\udec8]|𑜿|\ud807[\udfd5-\udfdc\udfe1-\udff1]|\ud81a[\udf3c-\udf3f\udf45]|𛲜|\ud834[\udc00-\udcf5\udd00-\udd26\udd29-\udd64\udd6a-\udd6c\udd83\udd84\udd8c-\udda9\uddae-\udde8\ude00-\ude41\ude45\udf00-\udf56]|\ud836[\udc00-\uddff\ude37-\ude3a\ude6d-\ude74\ude76-\ude83\ude85\ude86]|𞅏|\ud83b[\udcac\udd2e]|\ud83c[\udc00-\udc2b\udc30-\udc93\udca0-\udcae\udcb1-\udcbf\udcc1-\udccf\udcd1-\udcf5\udd0d-\uddad\udde6-\ude02\ude10-\ude3b\ude40-\ude48\ude50\ude51\ude60-\ude65\udf00-\udffa]|\ud83d[\udc00-\uded7\udee0-\udeec\udef0-\udefc\udf00-\udf73\udf80-\udfd8\udfe0-\udfeb]|\ud83e[\udc00-\udc0b\udc10-\udc47\udc50-\udc59\udc60-\udc87\udc90-\udcad\udcb0\udcb1\udd00-\udd78\udd7a-\uddcb\uddcd-\ude53\ude60-\ude6d\ude70-\ude74\ude78-\ude7a\ude80-\ude86\ude90-\udea8\udeb0-\udeb6\udec0-\udec2\uded0-\uded6\udf00-\udf92\udf94-\udfca]"},{name:"Z",alias:"Separator",bmp:"    - \u2028\u2029  　"},{name:"Zl",alias:"Line_Separator",bmp:"\u2028"},{name:"Zp",alias:"Paragraph_Separator",bmp:"\u2029"},{name:"Zs",alias:"Space_Separator",bmp:"    -   　"}]},616:u=>{u.exports=[{name:"ASCII",bmp:"\0-"},{name:"Alphabetic",bmp:"A-Za-zªµºÀ-ÖØ-öø-ˁˆ-ˑˠ-ˤˬˮͅͰ-ʹͶͷͺ-ͽͿΆΈ-ΊΌΎ-ΡΣ-ϵϷ-ҁҊ-ԯԱ-Ֆՙՠ-ֈְ-ׇֽֿׁׂׅׄא-תׯ-ײؐ-ؚؠ-ٗٙ-ٟٮ-ۓە-ۜۡ-ۭۨ-ۯۺ-ۼۿܐ-ܿݍ-ޱߊ-ߪߴߵߺࠀ-ࠗࠚ-ࠬࡀ-ࡘࡠ-ࡪࢠ-ࢴࢶ-ࣇࣔ-ࣣࣟ-ࣰࣩ-ऻऽ-ौॎ-ॐॕ-ॣॱ-ঃঅ-ঌএঐও-নপ-রলশ-হঽ-ৄেৈোৌৎৗড়ঢ়য়-ৣৰৱৼਁ-ਃਅ-ਊਏਐਓ-ਨਪ-ਰਲਲ਼ਵਸ਼ਸਹਾ-ੂੇੈੋੌੑਖ਼-ੜਫ਼ੰ-ੵઁ-ઃઅ-ઍએ-ઑઓ-નપ-રલળવ-હઽ-ૅે-ૉોૌૐૠ-ૣૹ-ૼଁ-ଃଅ-ଌଏଐଓ-ନପ-ରଲଳଵ-ହଽ-ୄେୈୋୌୖୗଡ଼ଢ଼ୟ-ୣୱஂஃஅ-ஊஎ-ஐஒ-கஙசஜஞடணதந-பம-ஹா-ூெ-ைொ-ௌௐௗఀ-ఃఅ-ఌఎ-ఐఒ-నప-హఽ-ౄె-ైొ-ౌౕౖౘ-ౚౠ-ౣಀ-ಃಅ-ಌಎ-ಐಒ-ನಪ-ಳವ-ಹಽ-ೄೆ-ೈೊ-ೌೕೖೞೠ-ೣೱೲഀ-ഌഎ-ഐഒ-ഺഽ-ൄെ-ൈൊ-ൌൎൔ-ൗൟ-ൣൺ-ൿඁ-ඃඅ-ඖක-නඳ-රලව-ෆා-ුූෘ-ෟෲෳก-ฺเ-ๆํກຂຄຆ-ຊຌ-ຣລວ-ູົ-ຽເ-ໄໆໍໜ-ໟༀཀ-ཇཉ-ཬཱ-ཱྀྈ-ྗྙ-ྼက-ံးျ-ဿၐ-ႏႚ-ႝႠ-ჅჇჍა-ჺჼ-ቈቊ-ቍቐ-ቖቘቚ-ቝበ-ኈኊ-ኍነ-ኰኲ-ኵኸ-ኾዀዂ-ዅወ-ዖዘ-ጐጒ-ጕጘ-ፚᎀ-ᎏᎠ-Ᏽᏸ-ᏽᐁ-ᙬᙯ-ᙿᚁ-ᚚᚠ-ᛪᛮ-ᛸᜀ-ᜌᜎ-ᜓᜠ-ᜳᝀ-ᝓᝠ-ᝬᝮ-ᝰᝲᝳក-ឳា-ៈៗៜᠠ-ᡸᢀ-ᢪᢰ-ᣵᤀ-ᤞᤠ-ᤫᤰ-ᤸᥐ-ᥭᥰ-ᥴᦀ-ᦫᦰ-ᧉᨀ-ᨛᨠ-ᩞᩡ-ᩴᪧᪿᫀᬀ-ᬳᬵ-ᭃᭅ-ᭋᮀ-ᮩᮬ-ᮯᮺ-ᯥᯧ-ᯱᰀ-ᰶᱍ-ᱏᱚ-ᱽᲀ-ᲈᲐ-ᲺᲽ-Ჿᳩ-ᳬᳮ-ᳳᳵᳶᳺᴀ-ᶿᷧ-ᷴḀ-ἕἘ-Ἕἠ-ὅὈ-Ὅὐ-ὗὙὛὝὟ-ώᾀ-ᾴᾶ-ᾼιῂ-ῄῆ-ῌῐ-ΐῖ-Ίῠ-Ῥῲ-ῴῶ-ῼⁱⁿₐ-ₜℂℇℊ-ℓℕℙ-ℝℤΩℨK-ℭℯ-ℹℼ-ℿⅅ-ⅉⅎⅠ-ↈⒶ-ⓩⰀ-Ⱞⰰ-ⱞⱠ-ⳤⳫ-ⳮⳲⳳⴀ-ⴥⴧⴭⴰ-ⵧⵯⶀ-ⶖⶠ-ⶦⶨ-ⶮⶰ-ⶶⶸ-ⶾⷀ-ⷆⷈ-ⷎⷐ-ⷖⷘ-ⷞⷠ-ⷿⸯ々-〇〡-〩〱-〵〸-〼ぁ-ゖゝ-ゟァ-ヺー-ヿㄅ-ㄯㄱ-ㆎㆠ-ㆿㇰ-ㇿ㐀-䶿一-鿼ꀀ-ꒌꓐ-ꓽꔀ-ꘌꘐ-ꘟꘪꘫꙀ-ꙮꙴ-ꙻꙿ-ꛯꜗ-ꜟꜢ-ꞈꞋ-ꞿꟂ-ꟊꟵ-ꠅꠇ-ꠧꡀ-ꡳꢀ-ꣃꣅꣲ-ꣷꣻꣽ-ꣿꤊ-ꤪꤰ-ꥒꥠ-ꥼꦀ-ꦲꦴ-ꦿꧏꧠ-ꧯꧺ-ꧾꨀ-ꨶꩀ-ꩍꩠ-ꩶꩺ-ꪾꫀꫂꫛ-ꫝꫠ-ꫯꫲ-ꫵꬁ-ꬆꬉ-ꬎꬑ-ꬖꬠ-ꬦꬨ-ꬮꬰ-ꭚꭜ-ꭩꭰ-ꯪ가-힣ힰ-ퟆퟋ-ퟻ豈-舘並-龎ﬀ-ﬆﬓ-ﬗיִ-ﬨשׁ-זּטּ-לּמּנּסּףּפּצּ-ﮱﯓ-ﴽﵐ-ﶏﶒ-ﷇﷰ-ﷻﹰ-ﹴﹶ-ﻼＡ-Ｚａ-ｚｦ-ﾾￂ-ￇￊ-ￏￒ-ￗￚ-ￜ",astral:"\ud800[\udc00-\udc0b\udc0d-\udc26\udc28-\udc3a\udc3c\udc3d\udc3f-\udc4d\udc50-\udc5d\udc80-\udcfa\udd40-\udd74\ude80-\ude9c\udea0-\uded0\udf00-\udf1f\udf2d-\udf4a\udf50-\udf7a\udf80-\udf9d\udfa0-\udfc3\udfc8-\udfcf\udfd1-\udfd5]|\ud801[\udc00-\udc9d\udcb0-\udcd3\udcd8-\udcfb\udd00-\udd27\udd30-\udd63\ude00-\udf36\udf40-\udf55\udf60-\udf67]|\ud802[\udc00-\udc05\udc08\udc0a-\udc35\udc37\udc38\udc3c\udc3f-\udc55\udc60-\udc76\udc80-\udc9e\udce0-\udcf2\udcf4\udcf5\udd00-\udd15\udd20-\udd39\udd80-\uddb7\uddbe\uddbf\ude00-\ude03\ude05\ude06\ude0c-\ude13\ude15-\ude17\ude19-\ude35\ude60-\ude7c\ude80-\ude9c\udec0-\udec7\udec9-\udee4\udf00-\udf35\udf40-\udf55\udf60-\udf72\udf80-\udf91]|\ud803[\udc00-\udc48\udc80-\udcb2\udcc0-\udcf2\udd00-\udd27\ude80-\udea9\udeab\udeac\udeb0\udeb1\udf00-\udf1c\udf27\udf30-\udf45\udfb0-\udfc4\udfe0-\udff6]|\ud804[\udc00-\udc45\udc82-\udcb8\udcd0-\udce8\udd00-\udd32\udd44-\udd47\udd50-\udd72\udd76\udd80-\uddbf\uddc1-\uddc4\uddce\uddcf\uddda\udddc\ude00-\ude11\ude13-\ude34\ude37\ude3e\ude80-\ude86\ude88\ude8a-\ude8d\ude8f-\ude9d\ude9f-\udea8\udeb0-\udee8\udf00-\udf03\udf05-\udf0c\udf0f\udf10\udf13-\udf28\udf2a-\udf30\udf32\udf33\udf35-\udf39\udf3d-\udf44\udf47\udf48\udf4b\udf4c\udf50\udf57\udf5d-\udf63]|\ud805[\udc00-\udc41\udc43-\udc45\udc47-\udc4a\udc5f-\udc61\udc80-\udcc1\udcc4\udcc5\udcc7\udd80-\uddb5\uddb8-\uddbe\uddd8-\udddd\ude00-\ude3e\ude40\ude44\ude80-\udeb5\udeb8\udf00-\udf1a\udf1d-\udf2a]|\ud806[\udc00-\udc38\udca0-\udcdf\udcff-\udd06\udd09\udd0c-\udd13\udd15\udd16\udd18-\udd35\udd37\udd38\udd3b\udd3c\udd3f-\udd42\udda0-\udda7\uddaa-\uddd7\uddda-\udddf\udde1\udde3\udde4\ude00-\ude32\ude35-\ude3e\ude50-\ude97\ude9d\udec0-\udef8]|\ud807[\udc00-\udc08\udc0a-\udc36\udc38-\udc3e\udc40\udc72-\udc8f\udc92-\udca7\udca9-\udcb6\udd00-\udd06\udd08\udd09\udd0b-\udd36\udd3a\udd3c\udd3d\udd3f-\udd41\udd43\udd46\udd47\udd60-\udd65\udd67\udd68\udd6a-\udd8e\udd90\udd91\udd93-\udd96\udd98\udee0-\udef6\udfb0]|\ud808[\udc00-\udf99]|\ud809[\udc00-\udc6e\udc80-\udd43]|[\ud80c\ud81c-\ud820\ud822\ud840-\ud868\ud86a-\ud86c\ud86f-\ud872\ud874-\ud879\ud880-\ud883][\udc00-\udfff]|\ud80d[\udc00-\udc2e]|\ud811[\udc00-\ude46]|\ud81a[\udc00-\ude38\ude40-\ude5e\uded0-\udeed\udf00-\udf2f\udf40-\udf43\udf63-\udf77\udf7d-\udf8f]|\ud81b[\ude40-\ude7f\udf00-\udf4a\udf4f-\udf87\udf8f-\udf9f\udfe0\udfe1\udfe3\udff0\udff1]|\ud821[\udc00-\udff7]|\ud823[\udc00-\udcd5\udd00-\udd08]|\ud82c[\udc00-\udd1e\udd50-\udd52\udd64-\udd67\udd70-\udefb]|\ud82f[\udc00-\udc6a\udc70-\udc7c\udc80-\udc88\udc90-\udc99\udc9e]|\ud835[\udc00-\udc54\udc56-\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd1e-\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd52-\udea5\udea8-\udec0\udec2-\udeda\udedc-\udefa\udefc-\udf14\udf16-\udf34\udf36-\udf4e\udf50-\udf6e\udf70-\udf88\udf8a-\udfa8\udfaa-\udfc2\udfc4-\udfcb]|\ud838[\udc00-\udc06\udc08-\udc18\udc1b-\udc21\udc23\udc24\udc26-\udc2a\udd00-\udd2c\udd37-\udd3d\udd4e\udec0-\udeeb]|\ud83a[\udc00-\udcc4\udd00-\udd43\udd47\udd4b]|\ud83b[\ude00-\ude03\ude05-\ude1f\ude21\ude22\ude24\ude27\ude29-\ude32\ude34-\ude37\ude39\ude3b\ude42\ude47\ude49\ude4b\ude4d-\ude4f\ude51\ude52\ude54\ude57\ude59\ude5b\ude5d\ude5f\ude61\ude62\ude64\ude67-\ude6a\ude6c-\ude72\ude74-\ude77\ude79-\ude7c\ude7e\ude80-\ude89\ude8b-\ude9b\udea1-\udea3\udea5-\udea9\udeab-\udebb]|\ud83c[\udd30-\udd49\udd50-\udd69\udd70-\udd89]|\ud869[\udc00-\udedd\udf00-\udfff]|\ud86d[\udc00-\udf34\udf40-\udfff]|\ud86e[\udc00-\udc1d\udc20-\udfff]|\ud873[\udc00-\udea1\udeb0-\udfff]|\ud87a[\udc00-\udfe0]|\ud87e[\udc00-\ude1d]|\ud884[\udc00-\udf4a]"},{name:"Any",isBmpLast:true,bmp:"\0-￿",astral:"[\ud800-\udbff][\udc00-\udfff]"},{name:"Default_Ignorable_Code_Point",bmp:"­͏؜ᅟᅠ឴឵᠋-᠎​-‏‪-‮⁠-⁯ㅤ︀-️\ufeffﾠ￰-￸",astral:"\ud82f[\udca0-\udca3]|\ud834[\udd73-\udd7a]|[\udb40-\udb43][\udc00-\udfff]"},{name:"Lowercase",bmp:"a-zªµºß-öø-ÿāăąćĉċčďđēĕėęěĝğġģĥħĩīĭįıĳĵķĸĺļľŀłńņňŉŋōŏőœŕŗřśŝşšţťŧũūŭůűųŵŷźżž-ƀƃƅƈƌƍƒƕƙ-ƛƞơƣƥƨƪƫƭưƴƶƹƺƽ-ƿǆǉǌǎǐǒǔǖǘǚǜǝǟǡǣǥǧǩǫǭǯǰǳǵǹǻǽǿȁȃȅȇȉȋȍȏȑȓȕȗșțȝȟȡȣȥȧȩȫȭȯȱȳ-ȹȼȿɀɂɇɉɋɍɏ-ʓʕ-ʸˀˁˠ-ˤͅͱͳͷͺ-ͽΐά-ώϐϑϕ-ϗϙϛϝϟϡϣϥϧϩϫϭϯ-ϳϵϸϻϼа-џѡѣѥѧѩѫѭѯѱѳѵѷѹѻѽѿҁҋҍҏґғҕҗҙқҝҟҡңҥҧҩҫҭүұҳҵҷҹһҽҿӂӄӆӈӊӌӎӏӑӓӕӗәӛӝӟӡӣӥӧөӫӭӯӱӳӵӷӹӻӽӿԁԃԅԇԉԋԍԏԑԓԕԗԙԛԝԟԡԣԥԧԩԫԭԯՠ-ֈა-ჺჽ-ჿᏸ-ᏽᲀ-ᲈᴀ-ᶿḁḃḅḇḉḋḍḏḑḓḕḗḙḛḝḟḡḣḥḧḩḫḭḯḱḳḵḷḹḻḽḿṁṃṅṇṉṋṍṏṑṓṕṗṙṛṝṟṡṣṥṧṩṫṭṯṱṳṵṷṹṻṽṿẁẃẅẇẉẋẍẏẑẓẕ-ẝẟạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹỻỽỿ-ἇἐ-ἕἠ-ἧἰ-ἷὀ-ὅὐ-ὗὠ-ὧὰ-ώᾀ-ᾇᾐ-ᾗᾠ-ᾧᾰ-ᾴᾶᾷιῂ-ῄῆῇῐ-ΐῖῗῠ-ῧῲ-ῴῶῷⁱⁿₐ-ₜℊℎℏℓℯℴℹℼℽⅆ-ⅉⅎⅰ-ⅿↄⓐ-ⓩⰰ-ⱞⱡⱥⱦⱨⱪⱬⱱⱳⱴⱶ-ⱽⲁⲃⲅⲇⲉⲋⲍⲏⲑⲓⲕⲗⲙⲛⲝⲟⲡⲣⲥⲧⲩⲫⲭⲯⲱⲳⲵⲷⲹⲻⲽⲿⳁⳃⳅⳇⳉⳋⳍⳏⳑⳓⳕⳗⳙⳛⳝⳟⳡⳣⳤⳬⳮⳳⴀ-ⴥⴧⴭꙁꙃꙅꙇꙉꙋꙍꙏꙑꙓꙕꙗꙙꙛꙝꙟꙡꙣꙥꙧꙩꙫꙭꚁꚃꚅꚇꚉꚋꚍꚏꚑꚓꚕꚗꚙꚛ-ꚝꜣꜥꜧꜩꜫꜭꜯ-ꜱꜳꜵꜷꜹꜻꜽꜿꝁꝃꝅꝇꝉꝋꝍꝏꝑꝓꝕꝗꝙꝛꝝꝟꝡꝣꝥꝧꝩꝫꝭꝯ-ꝸꝺꝼꝿꞁꞃꞅꞇꞌꞎꞑꞓ-ꞕꞗꞙꞛꞝꞟꞡꞣꞥꞧꞩꞯꞵꞷꞹꞻꞽꞿꟃꟈꟊꟶꟸ-ꟺꬰ-ꭚꭜ-ꭨꭰ-ꮿﬀ-ﬆﬓ-ﬗａ-ｚ",astral:"\ud801[\udc28-\udc4f\udcd8-\udcfb]|\ud803[\udcc0-\udcf2]|\ud806[\udcc0-\udcdf]|\ud81b[\ude60-\ude7f]|\ud835[\udc1a-\udc33\udc4e-\udc54\udc56-\udc67\udc82-\udc9b\udcb6-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udccf\udcea-\udd03\udd1e-\udd37\udd52-\udd6b\udd86-\udd9f\uddba-\uddd3\uddee-\ude07\ude22-\ude3b\ude56-\ude6f\ude8a-\udea5\udec2-\udeda\udedc-\udee1\udefc-\udf14\udf16-\udf1b\udf36-\udf4e\udf50-\udf55\udf70-\udf88\udf8a-\udf8f\udfaa-\udfc2\udfc4-\udfc9\udfcb]|\ud83a[\udd22-\udd43]"},{name:"Noncharacter_Code_Point",bmp:"﷐-﷯￾￿",astral:"[\ud83f\ud87f\ud8bf\ud8ff\ud93f\ud97f\ud9bf\ud9ff\uda3f\uda7f\udabf\udaff\udb3f\udb7f\udbbf\udbff][\udffe\udfff]"},{name:"Uppercase",bmp:"A-ZÀ-ÖØ-ÞĀĂĄĆĈĊČĎĐĒĔĖĘĚĜĞĠĢĤĦĨĪĬĮİĲĴĶĹĻĽĿŁŃŅŇŊŌŎŐŒŔŖŘŚŜŞŠŢŤŦŨŪŬŮŰŲŴŶŸŹŻŽƁƂƄƆƇƉ-ƋƎ-ƑƓƔƖ-ƘƜƝƟƠƢƤƦƧƩƬƮƯƱ-ƳƵƷƸƼǄǇǊǍǏǑǓǕǗǙǛǞǠǢǤǦǨǪǬǮǱǴǶ-ǸǺǼǾȀȂȄȆȈȊȌȎȐȒȔȖȘȚȜȞȠȢȤȦȨȪȬȮȰȲȺȻȽȾɁɃ-ɆɈɊɌɎͰͲͶͿΆΈ-ΊΌΎΏΑ-ΡΣ-ΫϏϒ-ϔϘϚϜϞϠϢϤϦϨϪϬϮϴϷϹϺϽ-ЯѠѢѤѦѨѪѬѮѰѲѴѶѸѺѼѾҀҊҌҎҐҒҔҖҘҚҜҞҠҢҤҦҨҪҬҮҰҲҴҶҸҺҼҾӀӁӃӅӇӉӋӍӐӒӔӖӘӚӜӞӠӢӤӦӨӪӬӮӰӲӴӶӸӺӼӾԀԂԄԆԈԊԌԎԐԒԔԖԘԚԜԞԠԢԤԦԨԪԬԮԱ-ՖႠ-ჅჇჍᎠ-ᏵᲐ-ᲺᲽ-ᲿḀḂḄḆḈḊḌḎḐḒḔḖḘḚḜḞḠḢḤḦḨḪḬḮḰḲḴḶḸḺḼḾṀṂṄṆṈṊṌṎṐṒṔṖṘṚṜṞṠṢṤṦṨṪṬṮṰṲṴṶṸṺṼṾẀẂẄẆẈẊẌẎẐẒẔẞẠẢẤẦẨẪẬẮẰẲẴẶẸẺẼẾỀỂỄỆỈỊỌỎỐỒỔỖỘỚỜỞỠỢỤỦỨỪỬỮỰỲỴỶỸỺỼỾἈ-ἏἘ-ἝἨ-ἯἸ-ἿὈ-ὍὙὛὝὟὨ-ὯᾸ-ΆῈ-ΉῘ-ΊῨ-ῬῸ-Ώℂℇℋ-ℍℐ-ℒℕℙ-ℝℤΩℨK-ℭℰ-ℳℾℿⅅⅠ-ⅯↃⒶ-ⓏⰀ-ⰮⱠⱢ-ⱤⱧⱩⱫⱭ-ⱰⱲⱵⱾ-ⲀⲂⲄⲆⲈⲊⲌⲎⲐⲒⲔⲖⲘⲚⲜⲞⲠⲢⲤⲦⲨⲪⲬⲮⲰⲲⲴⲶⲸⲺⲼⲾⳀⳂⳄⳆⳈⳊⳌⳎⳐⳒⳔⳖⳘⳚⳜⳞⳠⳢⳫⳭⳲꙀꙂꙄꙆꙈꙊꙌꙎꙐꙒꙔꙖꙘꙚꙜꙞꙠꙢꙤꙦꙨꙪꙬꚀꚂꚄꚆꚈꚊꚌꚎꚐꚒꚔꚖꚘꚚꜢꜤꜦꜨꜪꜬꜮꜲꜴꜶꜸꜺꜼꜾꝀꝂꝄꝆꝈꝊꝌꝎꝐꝒꝔꝖꝘꝚꝜꝞꝠꝢꝤꝦꝨꝪꝬꝮꝹꝻꝽꝾꞀꞂꞄꞆꞋꞍꞐꞒꞖꞘꞚꞜꞞꞠꞢꞤꞦꞨꞪ-ꞮꞰ-ꞴꞶꞸꞺꞼꞾꟂꟄ-ꟇꟉꟵＡ-Ｚ",astral:"\ud801[\udc00-\udc27\udcb0-\udcd3]|\ud803[\udc80-\udcb2]|\ud806[\udca0-\udcbf]|\ud81b[\ude40-\ude5f]|\ud835[\udc00-\udc19\udc34-\udc4d\udc68-\udc81\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb5\udcd0-\udce9\udd04\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd38\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd6c-\udd85\udda0-\uddb9\uddd4-\udded\ude08-\ude21\ude3c-\ude55\ude70-\ude89\udea8-\udec0\udee2-\udefa\udf1c-\udf34\udf56-\udf6e\udf90-\udfa8\udfca]|\ud83a[\udd00-\udd21]|\ud83c[\udd30-\udd49\udd50-\udd69\udd70-\udd89]"},{name:"White_Space",bmp:"\t-\r    - \u2028\u2029  　"}]},2524:u=>{u.exports=[{name:"Adlam",astral:"\ud83a[\udd00-\udd4b\udd50-\udd59\udd5e\udd5f]"},{name:"Ahom",astral:"\ud805[\udf00-\udf1a\udf1d-\udf2b\udf30-\udf3f]"},{name:"Anatolian_Hieroglyphs",astral:"\ud811[\udc00-\ude46]"},{name:"Arabic",bmp:"؀-؄؆-؋؍-ؚ؜؞ؠ-ؿف-يٖ-ٯٱ-ۜ۞-ۿݐ-ݿࢠ-ࢴࢶ-ࣇ࣓-ࣣ࣡-ࣿﭐ-﯁ﯓ-ﴽﵐ-ﶏﶒ-ﷇﷰ-﷽ﹰ-ﹴﹶ-ﻼ",astral:"\ud803[\ude60-\ude7e]|\ud83b[\ude00-\ude03\ude05-\ude1f\ude21\ude22\ude24\ude27\ude29-\ude32\ude34-\ude37\ude39\ude3b\ude42\ude47\ude49\ude4b\ude4d-\ude4f\ude51\ude52\ude54\ude57\ude59\ude5b\ude5d\ude5f\ude61\ude62\ude64\ude67-\ude6a\ude6c-\ude72\ude74-\ude77\ude79-\ude7c\ude7e\ude80-\ude89\ude8b-\ude9b\udea1-\udea3\udea5-\udea9\udeab-\udebb\udef0\udef1]"},{name:"Armenian",bmp:"Ա-Ֆՙ-֊֍-֏ﬓ-ﬗ"},{name:"Avestan",astral:"\ud802[\udf00-\udf35\udf39-\udf3f]"},{name:"Balinese",bmp:"ᬀ-ᭋ᭐-᭼"},{name:"Bamum",bmp:"ꚠ-꛷",astral:"\ud81a[\udc00-\ude38]"},{name:"Bassa_Vah",astral:"\ud81a[\uded0-\udeed\udef0-\udef5]"},{name:"Batak",bmp:"ᯀ-᯳᯼-᯿"},{name:"Bengali",bmp:"ঀ-ঃঅ-ঌএঐও-নপ-রলশ-হ়-ৄেৈো-ৎৗড়ঢ়য়-ৣ০-৾"},{name:"Bhaiksuki",astral:"\ud807[\udc00-\udc08\udc0a-\udc36\udc38-\udc45\udc50-\udc6c]"},{name:"Bopomofo",bmp:"˪˫ㄅ-ㄯㆠ-ㆿ"},{name:"Brahmi",astral:"\ud804[\udc00-\udc4d\udc52-\udc6f\udc7f]"},{name:"Braille",bmp:"⠀-⣿"},{name:"Buginese",bmp:"ᨀ-ᨛ᨞᨟"},{name:"Buhid",bmp:"ᝀ-ᝓ"},{name:"Canadian_Aboriginal",bmp:"᐀-ᙿᢰ-ᣵ"},{name:"Carian",astral:"\ud800[\udea0-\uded0]"},{name:"Caucasian_Albanian",astral:"\ud801[\udd30-\udd63\udd6f]"},{name:"Chakma",astral:"\ud804[\udd00-\udd34\udd36-\udd47]"},{name:"Cham",bmp:"ꨀ-ꨶꩀ-ꩍ꩐-꩙꩜-꩟"},{name:"Cherokee",bmp:"Ꭰ-Ᏽᏸ-ᏽꭰ-ꮿ"},{name:"Chorasmian",astral:"\ud803[\udfb0-\udfcb]"},{name:"Common",bmp:"\0-@\\[-`\\{-©«-¹»-¿×÷ʹ-˟˥-˩ˬ-˿ʹ;΅·؅،؛؟ـ۝࣢।॥฿࿕-࿘჻᛫-᛭᜵᜶᠂᠃᠅᳓᳡ᳩ-ᳬᳮ-ᳳᳵ-᳷ᳺ -​‎-⁤⁦-⁰⁴-⁾₀-₎₠-₿℀-℥℧-℩ℬ-ℱℳ-⅍⅏-⅟↉-↋←-␦⑀-⑊①-⟿⤀-⭳⭶-⮕⮗-⯿⸀-⹒⿰-⿻　-〄〆〈-〠〰-〷〼-〿゛゜゠・ー㆐-㆟㇀-㇣㈠-㉟㉿-㋏㋿㍘-㏿䷀-䷿꜀-꜡ꞈ-꞊꠰-꠹꤮ꧏ꭛꭪꭫﴾﴿︐-︙︰-﹒﹔-﹦﹨-﹫\ufeff！-＠［-｀｛-･ｰﾞﾟ￠-￦￨-￮￹-�",astral:"\ud800[\udd00-\udd02\udd07-\udd33\udd37-\udd3f\udd90-\udd9c\uddd0-\uddfc\udee1-\udefb]|\ud81b[\udfe2\udfe3]|\ud82f[\udca0-\udca3]|\ud834[\udc00-\udcf5\udd00-\udd26\udd29-\udd66\udd6a-\udd7a\udd83\udd84\udd8c-\udda9\uddae-\udde8\udee0-\udef3\udf00-\udf56\udf60-\udf78]|\ud835[\udc00-\udc54\udc56-\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd1e-\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd52-\udea5\udea8-\udfcb\udfce-\udfff]|\ud83b[\udc71-\udcb4\udd01-\udd3d]|\ud83c[\udc00-\udc2b\udc30-\udc93\udca0-\udcae\udcb1-\udcbf\udcc1-\udccf\udcd1-\udcf5\udd00-\uddad\udde6-\uddff\ude01\ude02\ude10-\ude3b\ude40-\ude48\ude50\ude51\ude60-\ude65\udf00-\udfff]|\ud83d[\udc00-\uded7\udee0-\udeec\udef0-\udefc\udf00-\udf73\udf80-\udfd8\udfe0-\udfeb]|\ud83e[\udc00-\udc0b\udc10-\udc47\udc50-\udc59\udc60-\udc87\udc90-\udcad\udcb0\udcb1\udd00-\udd78\udd7a-\uddcb\uddcd-\ude53\ude60-\ude6d\ude70-\ude74\ude78-\ude7a\ude80-\ude86\ude90-\udea8\udeb0-\udeb6\udec0-\udec2\uded0-\uded6\udf00-\udf92\udf94-\udfca\udff0-\udff9]|\udb40[\udc01\udc20-\udc7f]"},{name:"Coptic",bmp:"Ϣ-ϯⲀ-ⳳ⳹-⳿"},{name:"Cuneiform",astral:"\ud808[\udc00-\udf99]|\ud809[\udc00-\udc6e\udc70-\udc74\udc80-\udd43]"},{name:"Cypriot",astral:"\ud802[\udc00-\udc05\udc08\udc0a-\udc35\udc37\udc38\udc3c\udc3f]"},{name:"Cyrillic",bmp:"Ѐ-҄҇-ԯᲀ-ᲈᴫᵸⷠ-ⷿꙀ-ꚟ︮︯"},{name:"Deseret",astral:"\ud801[\udc00-\udc4f]"},{name:"Devanagari",bmp:"ऀ-ॐॕ-ॣ०-ॿ꣠-ꣿ"},{name:"Dives_Akuru",astral:"\ud806[\udd00-\udd06\udd09\udd0c-\udd13\udd15\udd16\udd18-\udd35\udd37\udd38\udd3b-\udd46\udd50-\udd59]"},{name:"Dogra",astral:"\ud806[\udc00-\udc3b]"},{name:"Duployan",astral:"\ud82f[\udc00-\udc6a\udc70-\udc7c\udc80-\udc88\udc90-\udc99\udc9c-\udc9f]"},{name:"Egyptian_Hieroglyphs",astral:"\ud80c[\udc00-\udfff]|\ud80d[\udc00-\udc2e\udc30-\udc38]"},{name:"Elbasan",astral:"\ud801[\udd00-\udd27]"},{name:"Elymaic",astral:"\ud803[\udfe0-\udff6]"},{name:"Ethiopic",bmp:"ሀ-ቈቊ-ቍቐ-ቖቘቚ-ቝበ-ኈኊ-ኍነ-ኰኲ-ኵኸ-ኾዀዂ-ዅወ-ዖዘ-ጐጒ-ጕጘ-ፚ፝-፼ᎀ-᎙ⶀ-ⶖⶠ-ⶦⶨ-ⶮⶰ-ⶶⶸ-ⶾⷀ-ⷆⷈ-ⷎⷐ-ⷖⷘ-ⷞꬁ-ꬆꬉ-ꬎꬑ-ꬖꬠ-ꬦꬨ-ꬮ"},{name:"Georgian",bmp:"Ⴀ-ჅჇჍა-ჺჼ-ჿᲐ-ᲺᲽ-Ჿⴀ-ⴥⴧⴭ"},{name:"Glagolitic",bmp:"Ⰰ-Ⱞⰰ-ⱞ",astral:"\ud838[\udc00-\udc06\udc08-\udc18\udc1b-\udc21\udc23\udc24\udc26-\udc2a]"},{name:"Gothic",astral:"\ud800[\udf30-\udf4a]"},{name:"Grantha",astral:"\ud804[\udf00-\udf03\udf05-\udf0c\udf0f\udf10\udf13-\udf28\udf2a-\udf30\udf32\udf33\udf35-\udf39\udf3c-\udf44\udf47\udf48\udf4b-\udf4d\udf50\udf57\udf5d-\udf63\udf66-\udf6c\udf70-\udf74]"},{name:"Greek",bmp:"Ͱ-ͳ͵-ͷͺ-ͽͿ΄ΆΈ-ΊΌΎ-ΡΣ-ϡϰ-Ͽᴦ-ᴪᵝ-ᵡᵦ-ᵪᶿἀ-ἕἘ-Ἕἠ-ὅὈ-Ὅὐ-ὗὙὛὝὟ-ώᾀ-ᾴᾶ-ῄῆ-ΐῖ-Ί῝-`ῲ-ῴῶ-῾Ωꭥ",astral:"\ud800[\udd40-\udd8e\udda0]|\ud834[\ude00-\ude45]"},{name:"Gujarati",bmp:"ઁ-ઃઅ-ઍએ-ઑઓ-નપ-રલળવ-હ઼-ૅે-ૉો-્ૐૠ-ૣ૦-૱ૹ-૿"},{name:"Gunjala_Gondi",astral:"\ud807[\udd60-\udd65\udd67\udd68\udd6a-\udd8e\udd90\udd91\udd93-\udd98\udda0-\udda9]"},{name:"Gurmukhi",bmp:"ਁ-ਃਅ-ਊਏਐਓ-ਨਪ-ਰਲਲ਼ਵਸ਼ਸਹ਼ਾ-ੂੇੈੋ-੍ੑਖ਼-ੜਫ਼੦-੶"},{name:"Han",bmp:"⺀-⺙⺛-⻳⼀-⿕々〇〡-〩〸-〻㐀-䶿一-鿼豈-舘並-龎",astral:"\ud81b[\udff0\udff1]|[\ud840-\ud868\ud86a-\ud86c\ud86f-\ud872\ud874-\ud879\ud880-\ud883][\udc00-\udfff]|\ud869[\udc00-\udedd\udf00-\udfff]|\ud86d[\udc00-\udf34\udf40-\udfff]|\ud86e[\udc00-\udc1d\udc20-\udfff]|\ud873[\udc00-\udea1\udeb0-\udfff]|\ud87a[\udc00-\udfe0]|\ud87e[\udc00-\ude1d]|\ud884[\udc00-\udf4a]"},{name:"Hangul",bmp:"ᄀ-ᇿ〮〯ㄱ-ㆎ㈀-㈞㉠-㉾ꥠ-ꥼ가-힣ힰ-ퟆퟋ-ퟻﾠ-ﾾￂ-ￇￊ-ￏￒ-ￗￚ-ￜ"},{name:"Hanifi_Rohingya",astral:"\ud803[\udd00-\udd27\udd30-\udd39]"},{name:"Hanunoo",bmp:"ᜠ-᜴"},{name:"Hatran",astral:"\ud802[\udce0-\udcf2\udcf4\udcf5\udcfb-\udcff]"},{name:"Hebrew",bmp:"֑-ׇא-תׯ-״יִ-זּטּ-לּמּנּסּףּפּצּ-ﭏ"},{name:"Hiragana",bmp:"ぁ-ゖゝ-ゟ",astral:"\ud82c[\udc01-\udd1e\udd50-\udd52]|🈀"},{name:"Imperial_Aramaic",astral:"\ud802[\udc40-\udc55\udc57-\udc5f]"},{name:"Inherited",bmp:"̀-ًͯ҅҆-ٰٕ॑-॔᪰-ᫀ᳐-᳔᳒-᳢᳠-᳨᳭᳴᳸᳹᷀-᷹᷻-᷿‌‍⃐-〪⃰-゙゚〭︀-️︠-︭",astral:"\ud800[\uddfd\udee0]|𑌻|\ud834[\udd67-\udd69\udd7b-\udd82\udd85-\udd8b\uddaa-\uddad]|\udb40[\udd00-\uddef]"},{name:"Inscriptional_Pahlavi",astral:"\ud802[\udf60-\udf72\udf78-\udf7f]"},{name:"Inscriptional_Parthian",astral:"\ud802[\udf40-\udf55\udf58-\udf5f]"},{name:"Javanese",bmp:"ꦀ-꧍꧐-꧙꧞꧟"},{name:"Kaithi",astral:"\ud804[\udc80-\udcc1\udccd]"},{name:"Kannada",bmp:"ಀ-ಌಎ-ಐಒ-ನಪ-ಳವ-ಹ಼-ೄೆ-ೈೊ-್ೕೖೞೠ-ೣ೦-೯ೱೲ"},{name:"Katakana",bmp:"ァ-ヺヽ-ヿㇰ-ㇿ㋐-㋾㌀-㍗ｦ-ｯｱ-ﾝ",astral:"\ud82c[\udc00\udd64-\udd67]"},{name:"Kayah_Li",bmp:"꤀-꤭꤯"},{name:"Kharoshthi",astral:"\ud802[\ude00-\ude03\ude05\ude06\ude0c-\ude13\ude15-\ude17\ude19-\ude35\ude38-\ude3a\ude3f-\ude48\ude50-\ude58]"},{name:"Khitan_Small_Script",astral:"𖿤|\ud822[\udf00-\udfff]|\ud823[\udc00-\udcd5]"},{name:"Khmer",bmp:"ក-៝០-៩៰-៹᧠-᧿"},{name:"Khojki",astral:"\ud804[\ude00-\ude11\ude13-\ude3e]"},{name:"Khudawadi",astral:"\ud804[\udeb0-\udeea\udef0-\udef9]"},{name:"Lao",bmp:"ກຂຄຆ-ຊຌ-ຣລວ-ຽເ-ໄໆ່-ໍ໐-໙ໜ-ໟ"},{name:"Latin",bmp:"A-Za-zªºÀ-ÖØ-öø-ʸˠ-ˤᴀ-ᴥᴬ-ᵜᵢ-ᵥᵫ-ᵷᵹ-ᶾḀ-ỿⁱⁿₐ-ₜKÅℲⅎⅠ-ↈⱠ-ⱿꜢ-ꞇꞋ-ꞿꟂ-ꟊꟵ-ꟿꬰ-ꭚꭜ-ꭤꭦ-ꭩﬀ-ﬆＡ-Ｚａ-ｚ"},{name:"Lepcha",bmp:"ᰀ-᰷᰻-᱉ᱍ-ᱏ"},{name:"Limbu",bmp:"ᤀ-ᤞᤠ-ᤫᤰ-᤻᥀᥄-᥏"},{name:"Linear_A",astral:"\ud801[\ude00-\udf36\udf40-\udf55\udf60-\udf67]"},{name:"Linear_B",astral:"\ud800[\udc00-\udc0b\udc0d-\udc26\udc28-\udc3a\udc3c\udc3d\udc3f-\udc4d\udc50-\udc5d\udc80-\udcfa]"},{name:"Lisu",bmp:"ꓐ-꓿",astral:"𑾰"},{name:"Lycian",astral:"\ud800[\ude80-\ude9c]"},{name:"Lydian",astral:"\ud802[\udd20-\udd39\udd3f]"},{name:"Mahajani",astral:"\ud804[\udd50-\udd76]"},{name:"Makasar",astral:"\ud807[\udee0-\udef8]"},{name:"Malayalam",bmp:"ഀ-ഌഎ-ഐഒ-ൄെ-ൈൊ-൏ൔ-ൣ൦-ൿ"},{name:"Mandaic",bmp:"ࡀ-࡛࡞"},{name:"Manichaean",astral:"\ud802[\udec0-\udee6\udeeb-\udef6]"},{name:"Marchen",astral:"\ud807[\udc70-\udc8f\udc92-\udca7\udca9-\udcb6]"},{name:"Masaram_Gondi",astral:"\ud807[\udd00-\udd06\udd08\udd09\udd0b-\udd36\udd3a\udd3c\udd3d\udd3f-\udd47\udd50-\udd59]"},{name:"Medefaidrin",astral:"\ud81b[\ude40-\ude9a]"},{name:"Meetei_Mayek",bmp:"ꫠ-꫶ꯀ-꯭꯰-꯹"},{name:"Mende_Kikakui",astral:"\ud83a[\udc00-\udcc4\udcc7-\udcd6]"},{name:"Meroitic_Cursive",astral:"\ud802[\udda0-\uddb7\uddbc-\uddcf\uddd2-\uddff]"},{name:"Meroitic_Hieroglyphs",astral:"\ud802[\udd80-\udd9f]"},{name:"Miao",astral:"\ud81b[\udf00-\udf4a\udf4f-\udf87\udf8f-\udf9f]"},{name:"Modi",astral:"\ud805[\ude00-\ude44\ude50-\ude59]"},{name:"Mongolian",bmp:"᠀᠁᠄᠆-᠎᠐-᠙ᠠ-ᡸᢀ-ᢪ",astral:"\ud805[\ude60-\ude6c]"},{name:"Mro",astral:"\ud81a[\ude40-\ude5e\ude60-\ude69\ude6e\ude6f]"},{name:"Multani",astral:"\ud804[\ude80-\ude86\ude88\ude8a-\ude8d\ude8f-\ude9d\ude9f-\udea9]"},{name:"Myanmar",bmp:"က-႟ꧠ-ꧾꩠ-ꩿ"},{name:"Nabataean",astral:"\ud802[\udc80-\udc9e\udca7-\udcaf]"},{name:"Nandinagari",astral:"\ud806[\udda0-\udda7\uddaa-\uddd7\uddda-\udde4]"},{name:"New_Tai_Lue",bmp:"ᦀ-ᦫᦰ-ᧉ᧐-᧚᧞᧟"},{name:"Newa",astral:"\ud805[\udc00-\udc5b\udc5d-\udc61]"},{name:"Nko",bmp:"߀-ߺ߽-߿"},{name:"Nushu",astral:"𖿡|\ud82c[\udd70-\udefb]"},{name:"Nyiakeng_Puachue_Hmong",astral:"\ud838[\udd00-\udd2c\udd30-\udd3d\udd40-\udd49\udd4e\udd4f]"},{name:"Ogham",bmp:" -᚜"},{name:"Ol_Chiki",bmp:"᱐-᱿"},{name:"Old_Hungarian",astral:"\ud803[\udc80-\udcb2\udcc0-\udcf2\udcfa-\udcff]"},{name:"Old_Italic",astral:"\ud800[\udf00-\udf23\udf2d-\udf2f]"},{name:"Old_North_Arabian",astral:"\ud802[\ude80-\ude9f]"},{name:"Old_Permic",astral:"\ud800[\udf50-\udf7a]"},{name:"Old_Persian",astral:"\ud800[\udfa0-\udfc3\udfc8-\udfd5]"},{name:"Old_Sogdian",astral:"\ud803[\udf00-\udf27]"},{name:"Old_South_Arabian",astral:"\ud802[\ude60-\ude7f]"},{name:"Old_Turkic",astral:"\ud803[\udc00-\udc48]"},{name:"Oriya",bmp:"ଁ-ଃଅ-ଌଏଐଓ-ନପ-ରଲଳଵ-ହ଼-ୄେୈୋ-୍୕-ୗଡ଼ଢ଼ୟ-ୣ୦-୷"},{name:"Osage",astral:"\ud801[\udcb0-\udcd3\udcd8-\udcfb]"},{name:"Osmanya",astral:"\ud801[\udc80-\udc9d\udca0-\udca9]"},{name:"Pahawh_Hmong",astral:"\ud81a[\udf00-\udf45\udf50-\udf59\udf5b-\udf61\udf63-\udf77\udf7d-\udf8f]"},{name:"Palmyrene",astral:"\ud802[\udc60-\udc7f]"},{name:"Pau_Cin_Hau",astral:"\ud806[\udec0-\udef8]"},{name:"Phags_Pa",bmp:"ꡀ-꡷"},{name:"Phoenician",astral:"\ud802[\udd00-\udd1b\udd1f]"},{name:"Psalter_Pahlavi",astral:"\ud802[\udf80-\udf91\udf99-\udf9c\udfa9-\udfaf]"},{name:"Rejang",bmp:"ꤰ-꥓꥟"},{name:"Runic",bmp:"ᚠ-ᛪᛮ-ᛸ"},{name:"Samaritan",bmp:"ࠀ-࠭࠰-࠾"},{name:"Saurashtra",bmp:"ꢀ-ꣅ꣎-꣙"},{name:"Sharada",astral:"\ud804[\udd80-\udddf]"},{name:"Shavian",astral:"\ud801[\udc50-\udc7f]"},{name:"Siddham",astral:"\ud805[\udd80-\uddb5\uddb8-\udddd]"},{name:"SignWriting",astral:"\ud836[\udc00-\ude8b\ude9b-\ude9f\udea1-\udeaf]"},{name:"Sinhala",bmp:"ඁ-ඃඅ-ඖක-නඳ-රලව-ෆ්ා-ුූෘ-ෟ෦-෯ෲ-෴",astral:"\ud804[\udde1-\uddf4]"},{name:"Sogdian",astral:"\ud803[\udf30-\udf59]"},{name:"Sora_Sompeng",astral:"\ud804[\udcd0-\udce8\udcf0-\udcf9]"},{name:"Soyombo",astral:"\ud806[\ude50-\udea2]"},{name:"Sundanese",bmp:"ᮀ-ᮿ᳀-᳇"},{name:"Syloti_Nagri",bmp:"ꠀ-꠬"},{name:"Syriac",bmp:"܀-܍܏-݊ݍ-ݏࡠ-ࡪ"},{name:"Tagalog",bmp:"ᜀ-ᜌᜎ-᜔"},{name:"Tagbanwa",bmp:"ᝠ-ᝬᝮ-ᝰᝲᝳ"},{name:"Tai_Le",bmp:"ᥐ-ᥭᥰ-ᥴ"},{name:"Tai_Tham",bmp:"ᨠ-ᩞ᩠-᩿᩼-᪉᪐-᪙᪠-᪭"},{name:"Tai_Viet",bmp:"ꪀ-ꫂꫛ-꫟"},{name:"Takri",astral:"\ud805[\ude80-\udeb8\udec0-\udec9]"},{name:"Tamil",bmp:"ஂஃஅ-ஊஎ-ஐஒ-கஙசஜஞடணதந-பம-ஹா-ூெ-ைொ-்ௐௗ௦-௺",astral:"\ud807[\udfc0-\udff1\udfff]"},{name:"Tangut",astral:"𖿠|[\ud81c-\ud820][\udc00-\udfff]|\ud821[\udc00-\udff7]|\ud822[\udc00-\udeff]|\ud823[\udd00-\udd08]"},{name:"Telugu",bmp:"ఀ-ఌఎ-ఐఒ-నప-హఽ-ౄె-ైొ-్ౕౖౘ-ౚౠ-ౣ౦-౯౷-౿"},{name:"Thaana",bmp:"ހ-ޱ"},{name:"Thai",bmp:"ก-ฺเ-๛"},{name:"Tibetan",bmp:"ༀ-ཇཉ-ཬཱ-ྗྙ-ྼ྾-࿌࿎-࿔࿙࿚"},{name:"Tifinagh",bmp:"ⴰ-ⵧⵯ⵰⵿"},{name:"Tirhuta",astral:"\ud805[\udc80-\udcc7\udcd0-\udcd9]"},{name:"Ugaritic",astral:"\ud800[\udf80-\udf9d\udf9f]"},{name:"Vai",bmp:"ꔀ-ꘫ"},{name:"Wancho",astral:"\ud838[\udec0-\udef9\udeff]"},{name:"Warang_Citi",astral:"\ud806[\udca0-\udcf2\udcff]"},{name:"Yezidi",astral:"\ud803[\ude80-\udea9\udeab-\udead\udeb0\udeb1]"},{name:"Yi",bmp:"ꀀ-ꒌ꒐-꓆"},{name:"Zanabazar_Square",astral:"\ud806[\ude00-\ude47]"}]},188:u=>{"use strict";Object.prototype.sub=function(...u){if(u[0]<0&&this instanceof Array){u[0]+=this.length}if(this[u[0]]==undefined){return undefined}const d=u.slice(1);if(d.length===0){return this[u[0]]}return this[u[0]].sub(d)};Object.prototype["="]=function(u,...d){if(typeof this!=="object"||this==undefined){throw new TypeError(`The object ${JSON.stringify(this)} isn't indexable`)}if(d[0]<0&&this instanceof Array){d[0]+=this.length}const a=d.slice(1);if(a.length===0){this[d[0]]=u;return}this[d[0]]["="](u,a)};Number.prototype["+"]=function(...u){return u.reduce(((u,d)=>u+d),this)};Number.prototype["-"]=function(...u){return u.reduce(((u,d)=>u-d),this)};Number.prototype["*"]=function(...u){return u.reduce(((u,d)=>u*d),this)};Number.prototype["/"]=function(...u){return u.reduce(((u,d)=>u/d),this)};u.exports={}}};var d={};function __nccwpck_require__(a){var r=d[a];if(r!==undefined){return r.exports}var c=d[a]={exports:{}};var t=true;try{u[a](c,c.exports,__nccwpck_require__);t=false}finally{if(t)delete d[a]}return c.exports}if(typeof __nccwpck_require__!=="undefined")__nccwpck_require__.ab=__dirname+"/";var a={};(()=>{const u=__nccwpck_require__(7750);__nccwpck_require__(188);let d;let a;(()=>{let u=[a=d=3];console.log(...u);return u})()})();module.exports=a})();
\ No newline at end of file
+ */var x="xregexp";var B={astral:false,namespacing:true};var w={};var _={};var S={};var O=[];var T="default";var k="class";var R={default:/\\(?:0(?:[0-3][0-7]{0,2}|[4-7][0-7]?)?|[1-9]\d*|x[\dA-Fa-f]{2}|u(?:[\dA-Fa-f]{4}|{[\dA-Fa-f]+})|c[A-Za-z]|[\s\S])|\(\?(?:[:=!]|<[=!])|[?*+]\?|{\d+(?:,\d*)?}\??|[\s\S]/,class:/\\(?:[0-3][0-7]{0,2}|[4-7][0-7]?|x[\dA-Fa-f]{2}|u(?:[\dA-Fa-f]{4}|{[\dA-Fa-f]+})|c[A-Za-z]|[\s\S])|[\s\S]/};var j=/\$(?:\{([^\}]+)\}|<([^>]+)>|(\d\d?|[\s\S]?))/g;var I=/()??/.exec("")[1]===undefined;var P=(0,b["default"])(/x/)!==undefined;function hasNativeFlag(u){var d=true;try{new RegExp("",u);if(u==="y"){var r=function(){return"gy"}();var a=".a".replace(new RegExp("a",r),".")==="..";if(a){d=false}}}catch(u){d=false}return d}var N=hasNativeFlag("s");var L=hasNativeFlag("u");var M=hasNativeFlag("y");var X={g:true,i:true,m:true,s:N,u:L,y:M};var $=N?/[^gimsuy]+/g:/[^gimuy]+/g;function augment(u,d,r,a,t){var c;u[x]={captureNames:d};if(t){return u}if(u.__proto__){u.__proto__=XRegExp.prototype}else{for(var o in XRegExp.prototype){u[o]=XRegExp.prototype[o]}}u[x].source=r;u[x].flags=a?(0,E["default"])(c=a.split("")).call(c).join(""):a;return u}function clipDuplicates(u){return u.replace(/([\s\S])(?=[\s\S]*\1)/g,"")}function copyRegex(u,d){var r;if(!XRegExp.isRegExp(u)){throw new TypeError("Type RegExp expected")}var a=u[x]||{};var t=getNativeFlags(u);var c="";var o="";var i=null;var D=null;d=d||{};if(d.removeG){o+="g"}if(d.removeY){o+="y"}if(o){t=t.replace(new RegExp("[".concat(o,"]+"),"g"),"")}if(d.addG){c+="g"}if(d.addY){c+="y"}if(c){t=clipDuplicates(t+c)}if(!d.isInternalOnly){if(a.source!==undefined){i=a.source}if((0,b["default"])(a)!=null){D=c?clipDuplicates((0,b["default"])(a)+c):(0,b["default"])(a)}}u=augment(new RegExp(d.source||u.source,t),hasNamedCapture(u)?(0,A["default"])(r=a.captureNames).call(r,0):null,i,D,d.isInternalOnly);return u}function dec(u){return(0,m["default"])(u,16)}function getContextualTokenSeparator(u,d,r){var a=u.index+u[0].length;var t=u.input[u.index-1];var c=u.input[a];if(/^[()|]$/.test(t)||/^[()|]$/.test(c)||u.index===0||a===u.input.length||/\(\?(?:[:=!]|<[=!])$/.test(u.input.substring(u.index-4,u.index))||isQuantifierNext(u.input,a,r)){return""}return"(?:)"}function getNativeFlags(u){return P?(0,b["default"])(u):/\/([a-z]*)$/i.exec(RegExp.prototype.toString.call(u))[1]}function hasNamedCapture(u){return!!(u[x]&&u[x].captureNames)}function hex(u){return(0,m["default"])(u,10).toString(16)}function isQuantifierNext(u,d,r){var a="\\(\\?#[^)]*\\)";var t="#[^#\\n]*";var c="[?*+]|{\\d+(?:,\\d*)?}";var o=(0,C["default"])(r).call(r,"x")!==-1?/^(?:\s|#[^#\n]*|\(\?#[^)]*\))*(?:[?*+]|{\d+(?:,\d*)?})/:/^(?:\(\?#[^)]*\))*(?:[?*+]|{\d+(?:,\d*)?})/;return o.test((0,A["default"])(u).call(u,d))}function isType(u,d){return Object.prototype.toString.call(u)==="[object ".concat(d,"]")}function nullThrows(u){if(u==null){throw new TypeError("Cannot convert null or undefined to object")}return u}function pad4(u){while(u.length<4){u="0".concat(u)}return u}function prepareFlags(u,d){if(clipDuplicates(d)!==d){throw new SyntaxError("Invalid duplicate regex flag ".concat(d))}u=u.replace(/^\(\?([\w$]+)\)/,(function(u,r){if(/[gy]/.test(r)){throw new SyntaxError("Cannot use flag g or y in mode modifier ".concat(u))}d=clipDuplicates(d+r);return""}));var r=_createForOfIteratorHelper(d),a;try{for(r.s();!(a=r.n()).done;){var t=a.value;if(!X[t]){throw new SyntaxError("Unknown regex flag ".concat(t))}}}catch(u){r.e(u)}finally{r.f()}return{pattern:u,flags:d}}function prepareOptions(u){var d={};if(isType(u,"String")){(0,g["default"])(XRegExp).call(XRegExp,u,/[^\s,]+/,(function(u){d[u]=true}));return d}return u}function registerFlag(u){if(!/^[\w$]$/.test(u)){throw new Error("Flag must be a single character A-Za-z0-9_$")}X[u]=true}function runTokens(u,d,r,a,t){var c=O.length;var o=u[r];var i=null;var D;var l;while(c--){l=O[c];if(l.leadChar&&l.leadChar!==o||l.scope!==a&&l.scope!=="all"||l.flag&&!((0,C["default"])(d).call(d,l.flag)!==-1)){continue}D=XRegExp.exec(u,l.regex,r,"sticky");if(D){i={matchLength:D[0].length,output:l.handler.call(t,D,a,d),reparse:l.reparse};break}}return i}function setAstral(u){B.astral=u}function setNamespacing(u){B.namespacing=u}function XRegExp(u,d){if(XRegExp.isRegExp(u)){if(d!==undefined){throw new TypeError("Cannot supply flags when copying a RegExp")}return copyRegex(u)}u=u===undefined?"":String(u);d=d===undefined?"":String(d);if(XRegExp.isInstalled("astral")&&!((0,C["default"])(d).call(d,"A")!==-1)){d+="A"}if(!S[u]){S[u]={}}if(!S[u][d]){var r={hasNamedCapture:false,captureNames:[]};var a=T;var t="";var c=0;var o;var i=prepareFlags(u,d);var D=i.pattern;var l=(0,b["default"])(i);while(c<D.length){do{o=runTokens(D,l,c,a,r);if(o&&o.reparse){D=(0,A["default"])(D).call(D,0,c)+o.output+(0,A["default"])(D).call(D,c+o.matchLength)}}while(o&&o.reparse);if(o){t+=o.output;c+=o.matchLength||1}else{var p=XRegExp.exec(D,R[a],c,"sticky"),E=(0,v["default"])(p,1),m=E[0];t+=m;c+=m.length;if(m==="["&&a===T){a=k}else if(m==="]"&&a===k){a=T}}}S[u][d]={pattern:t.replace(/(?:\(\?:\))+/g,"(?:)"),flags:l.replace($,""),captures:r.hasNamedCapture?r.captureNames:null}}var g=S[u][d];return augment(new RegExp(g.pattern,(0,b["default"])(g)),g.captures,u,d)}XRegExp.prototype=/(?:)/;XRegExp.version="5.0.2";XRegExp._clipDuplicates=clipDuplicates;XRegExp._hasNativeFlag=hasNativeFlag;XRegExp._dec=dec;XRegExp._hex=hex;XRegExp._pad4=pad4;XRegExp.addToken=function(u,d,r){r=r||{};var a=r,t=a.optionalFlags;if(r.flag){registerFlag(r.flag)}if(t){t=t.split("");var c=_createForOfIteratorHelper(t),o;try{for(c.s();!(o=c.n()).done;){var i=o.value;registerFlag(i)}}catch(u){c.e(u)}finally{c.f()}}O.push({regex:copyRegex(u,{addG:true,addY:M,isInternalOnly:true}),handler:d,scope:r.scope||T,flag:r.flag,reparse:r.reparse,leadChar:r.leadChar});XRegExp.cache.flush("patterns")};XRegExp.cache=function(u,d){if(!_[u]){_[u]={}}return _[u][d]||(_[u][d]=XRegExp(u,d))};XRegExp.cache.flush=function(u){if(u==="patterns"){S={}}else{_={}}};XRegExp.escape=function(u){return String(nullThrows(u)).replace(/[\\\[\]{}()*+?.^$|]/g,"\\$&").replace(/[\s#\-,]/g,(function(u){return"\\u".concat(pad4(hex(u.charCodeAt(0))))}))};XRegExp.exec=function(u,d,r,a){var t="g";var c=false;var o=false;var i;c=M&&!!(a||d.sticky&&a!==false);if(c){t+="y"}else if(a){o=true;t+="FakeY"}d[x]=d[x]||{};var D=d[x][t]||(d[x][t]=copyRegex(d,{addG:true,addY:c,source:o?"".concat(d.source,"|()"):undefined,removeY:a===false,isInternalOnly:true}));r=r||0;D.lastIndex=r;i=w.exec.call(D,u);if(o&&i&&i.pop()===""){i=null}if(d.global){d.lastIndex=i?D.lastIndex:0}return i};XRegExp.forEach=function(u,d,r){var a=0;var t=-1;var c;while(c=XRegExp.exec(u,d,a)){r(c,++t,u,d);a=c.index+(c[0].length||1)}};XRegExp.globalize=function(u){return copyRegex(u,{addG:true})};XRegExp.install=function(u){u=prepareOptions(u);if(!B.astral&&u.astral){setAstral(true)}if(!B.namespacing&&u.namespacing){setNamespacing(true)}};XRegExp.isInstalled=function(u){return!!B[u]};XRegExp.isRegExp=function(u){return Object.prototype.toString.call(u)==="[object RegExp]"};XRegExp.match=function(u,d,r){var a=d.global&&r!=="one"||r==="all";var t=(a?"g":"")+(d.sticky?"y":"")||"noGY";d[x]=d[x]||{};var c=d[x][t]||(d[x][t]=copyRegex(d,{addG:!!a,removeG:r==="one",isInternalOnly:true}));var o=String(nullThrows(u)).match(c);if(d.global){d.lastIndex=r==="one"&&o?o.index+o[0].length:0}return a?o||[]:o&&o[0]};XRegExp.matchChain=function(u,d){return function recurseChain(u,r){var a=d[r].regex?d[r]:{regex:d[r]};var t=[];function addMatch(u){if(a.backref){var d="Backreference to undefined group: ".concat(a.backref);var r=isNaN(a.backref);if(r&&XRegExp.isInstalled("namespacing")){if(!(u.groups&&a.backref in u.groups)){throw new ReferenceError(d)}}else if(!u.hasOwnProperty(a.backref)){throw new ReferenceError(d)}var c=r&&XRegExp.isInstalled("namespacing")?u.groups[a.backref]:u[a.backref];t.push(c||"")}else{t.push(u[0])}}var c=_createForOfIteratorHelper(u),o;try{for(c.s();!(o=c.n()).done;){var i=o.value;(0,g["default"])(XRegExp).call(XRegExp,i,a.regex,addMatch)}}catch(u){c.e(u)}finally{c.f()}return r===d.length-1||!t.length?t:recurseChain(t,r+1)}([u],0)};XRegExp.replace=function(u,d,r,a){var t=XRegExp.isRegExp(d);var c=d.global&&a!=="one"||a==="all";var o=(c?"g":"")+(d.sticky?"y":"")||"noGY";var i=d;if(t){d[x]=d[x]||{};i=d[x][o]||(d[x][o]=copyRegex(d,{addG:!!c,removeG:a==="one",isInternalOnly:true}))}else if(c){i=new RegExp(XRegExp.escape(String(d)),"g")}var D=w.replace.call(nullThrows(u),i,r);if(t&&d.global){d.lastIndex=0}return D};XRegExp.replaceEach=function(u,d){var r=_createForOfIteratorHelper(d),a;try{for(r.s();!(a=r.n()).done;){var t=a.value;u=XRegExp.replace(u,t[0],t[1],t[2])}}catch(u){r.e(u)}finally{r.f()}return u};XRegExp.split=function(u,d,r){return w.split.call(nullThrows(u),d,r)};XRegExp.test=function(u,d,r,a){return!!XRegExp.exec(u,d,r,a)};XRegExp.uninstall=function(u){u=prepareOptions(u);if(B.astral&&u.astral){setAstral(false)}if(B.namespacing&&u.namespacing){setNamespacing(false)}};XRegExp.union=function(u,d,r){r=r||{};var a=r.conjunction||"or";var t=0;var c;var o;function rewrite(u,d,r){var a=o[t-c];if(d){++t;if(a){return"(?<".concat(a,">")}}else if(r){return"\\".concat(+r+c)}return u}if(!(isType(u,"Array")&&u.length)){throw new TypeError("Must provide a nonempty array of patterns to merge")}var i=/(\()(?!\?)|\\([1-9]\d*)|\\[\s\S]|\[(?:[^\\\]]|\\[\s\S])*\]/g;var D=[];var l=_createForOfIteratorHelper(u),p;try{for(l.s();!(p=l.n()).done;){var v=p.value;if(XRegExp.isRegExp(v)){c=t;o=v[x]&&v[x].captureNames||[];D.push(XRegExp(v.source).source.replace(i,rewrite))}else{D.push(XRegExp.escape(v))}}}catch(u){l.e(u)}finally{l.f()}var b=a==="none"?"":"|";return XRegExp(D.join(b),d)};w.exec=function(u){var d=this.lastIndex;var r=RegExp.prototype.exec.apply(this,arguments);if(r){if(!I&&r.length>1&&(0,C["default"])(r).call(r,"")!==-1){var a;var t=copyRegex(this,{removeG:true,isInternalOnly:true});(0,A["default"])(a=String(u)).call(a,r.index).replace(t,(function(){var u=arguments.length;for(var d=1;d<u-2;++d){if((d<0||arguments.length<=d?undefined:arguments[d])===undefined){r[d]=undefined}}}))}if(this[x]&&this[x].captureNames){var c=r;if(XRegExp.isInstalled("namespacing")){r.groups=(0,h["default"])(null);c=r.groups}for(var o=1;o<r.length;++o){var i=this[x].captureNames[o-1];if(i){c[i]=r[o]}}}else if(!r.groups&&XRegExp.isInstalled("namespacing")){r.groups=undefined}if(this.global&&!r[0].length&&this.lastIndex>r.index){this.lastIndex=r.index}}if(!this.global){this.lastIndex=d}return r};w.test=function(u){return!!w.exec.call(this,u)};w.match=function(u){if(!XRegExp.isRegExp(u)){u=new RegExp(u)}else if(u.global){var d=String.prototype.match.apply(this,arguments);u.lastIndex=0;return d}return w.exec.call(u,nullThrows(this))};w.replace=function(u,d){var r=XRegExp.isRegExp(u);var a;var t;var c;if(r){if(u[x]){t=u[x].captureNames}a=u.lastIndex}else{u+=""}if(isType(d,"Function")){c=String(this).replace(u,(function(){for(var u=arguments.length,r=new Array(u),a=0;a<u;a++){r[a]=arguments[a]}if(t){var c;if(XRegExp.isInstalled("namespacing")){c=(0,h["default"])(null);r.push(c)}else{r[0]=new String(r[0]);c=r[0]}for(var o=0;o<t.length;++o){if(t[o]){c[t[o]]=r[o+1]}}}return d.apply(void 0,r)}))}else{c=String(nullThrows(this)).replace(u,(function(){for(var u=arguments.length,r=new Array(u),a=0;a<u;a++){r[a]=arguments[a]}return String(d).replace(j,replacer);function replacer(u,d,a,c){d=d||a;var o=isType(r[r.length-1],"Object")?4:3;var i=r.length-o;if(d){if(/^\d+$/.test(d)){var D=+d;if(D<=i){return r[D]||""}}var l=t?(0,C["default"])(t).call(t,d):-1;if(l<0){throw new SyntaxError("Backreference to undefined group ".concat(u))}return r[l+1]||""}if(c===""||c===" "){throw new SyntaxError("Invalid token ".concat(u))}if(c==="&"||+c===0){return r[0]}if(c==="$"){return"$"}if(c==="`"){var p;return(0,A["default"])(p=r[r.length-1]).call(p,0,r[r.length-2])}if(c==="'"){var v;return(0,A["default"])(v=r[r.length-1]).call(v,r[r.length-2]+r[0].length)}c=+c;if(!isNaN(c)){if(c>i){throw new SyntaxError("Backreference to undefined group ".concat(u))}return r[c]||""}throw new SyntaxError("Invalid token ".concat(u))}}))}if(r){if(u.global){u.lastIndex=0}else{u.lastIndex=a}}return c};w.split=function(u,d){if(!XRegExp.isRegExp(u)){return String.prototype.split.apply(this,arguments)}var r=String(this);var a=[];var t=u.lastIndex;var c=0;var o;d=(d===undefined?-1:d)>>>0;(0,g["default"])(XRegExp).call(XRegExp,r,u,(function(u){if(u.index+u[0].length>c){a.push((0,A["default"])(r).call(r,c,u.index));if(u.length>1&&u.index<r.length){Array.prototype.push.apply(a,(0,A["default"])(u).call(u,1))}o=u[0].length;c=u.index+o}}));if(c===r.length){if(!u.test("")||o){a.push("")}}else{a.push((0,A["default"])(r).call(r,c))}u.lastIndex=t;return a.length>d?(0,A["default"])(a).call(a,0,d):a};XRegExp.addToken(/\\([ABCE-RTUVXYZaeg-mopqyz]|c(?![A-Za-z])|u(?![\dA-Fa-f]{4}|{[\dA-Fa-f]+})|x(?![\dA-Fa-f]{2}))/,(function(u,d){if(u[1]==="B"&&d===T){return u[0]}throw new SyntaxError("Invalid escape ".concat(u[0]))}),{scope:"all",leadChar:"\\"});XRegExp.addToken(/\\u{([\dA-Fa-f]+)}/,(function(u,d,r){var a=dec(u[1]);if(a>1114111){throw new SyntaxError("Invalid Unicode code point ".concat(u[0]))}if(a<=65535){return"\\u".concat(pad4(hex(a)))}if(L&&(0,C["default"])(r).call(r,"u")!==-1){return u[0]}throw new SyntaxError("Cannot use Unicode code point above \\u{FFFF} without flag u")}),{scope:"all",leadChar:"\\"});XRegExp.addToken(/\(\?#[^)]*\)/,getContextualTokenSeparator,{leadChar:"("});XRegExp.addToken(/\s+|#[^\n]*\n?/,getContextualTokenSeparator,{flag:"x"});if(!N){XRegExp.addToken(/\./,(function(){return"[\\s\\S]"}),{flag:"s",leadChar:"."})}XRegExp.addToken(/\\k<([^>]+)>/,(function(u){var d,r;var a=isNaN(u[1])?(0,C["default"])(d=this.captureNames).call(d,u[1])+1:+u[1];var t=u.index+u[0].length;if(!a||a>this.captureNames.length){throw new SyntaxError("Backreference to undefined group ".concat(u[0]))}return(0,y["default"])(r="\\".concat(a)).call(r,t===u.input.length||isNaN(u.input[t])?"":"(?:)")}),{leadChar:"\\"});XRegExp.addToken(/\\(\d+)/,(function(u,d){if(!(d===T&&/^[1-9]/.test(u[1])&&+u[1]<=this.captureNames.length)&&u[1]!=="0"){throw new SyntaxError("Cannot use octal escape or backreference to undefined group ".concat(u[0]))}return u[0]}),{scope:"all",leadChar:"\\"});XRegExp.addToken(/\(\?P?<((?:[\$A-Z_a-z\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u052F\u0531-\u0556\u0559\u0560-\u0588\u05D0-\u05EA\u05EF-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u0860-\u086A\u08A0-\u08B4\u08B6-\u08C7\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0980\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u09FC\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0AF9\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D\u0C58-\u0C5A\u0C60\u0C61\u0C80\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D04-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D54-\u0D56\u0D5F-\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E86-\u0E8A\u0E8C-\u0EA3\u0EA5\u0EA7-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1711\u1720-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1878\u1880-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191E\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4B\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1C80-\u1C88\u1C90-\u1CBA\u1CBD-\u1CBF\u1CE9-\u1CEC\u1CEE-\u1CF3\u1CF5\u1CF6\u1CFA\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2118-\u211D\u2124\u2126\u2128\u212A-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u3005-\u3007\u3021-\u3029\u3031-\u3035\u3038-\u303C\u3041-\u3096\u309B-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312F\u3131-\u318E\u31A0-\u31BF\u31F0-\u31FF\u3400-\u4DBF\u4E00-\u9FFC\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA69D\uA6A0-\uA6EF\uA717-\uA71F\uA722-\uA788\uA78B-\uA7BF\uA7C2-\uA7CA\uA7F5-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA8FD\uA8FE\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uA9E0-\uA9E4\uA9E6-\uA9EF\uA9FA-\uA9FE\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA7E-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB69\uAB70-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC]|\uD800[\uDC00-\uDC0B\uDC0D-\uDC26\uDC28-\uDC3A\uDC3C\uDC3D\uDC3F-\uDC4D\uDC50-\uDC5D\uDC80-\uDCFA\uDD40-\uDD74\uDE80-\uDE9C\uDEA0-\uDED0\uDF00-\uDF1F\uDF2D-\uDF4A\uDF50-\uDF75\uDF80-\uDF9D\uDFA0-\uDFC3\uDFC8-\uDFCF\uDFD1-\uDFD5]|\uD801[\uDC00-\uDC9D\uDCB0-\uDCD3\uDCD8-\uDCFB\uDD00-\uDD27\uDD30-\uDD63\uDE00-\uDF36\uDF40-\uDF55\uDF60-\uDF67]|\uD802[\uDC00-\uDC05\uDC08\uDC0A-\uDC35\uDC37\uDC38\uDC3C\uDC3F-\uDC55\uDC60-\uDC76\uDC80-\uDC9E\uDCE0-\uDCF2\uDCF4\uDCF5\uDD00-\uDD15\uDD20-\uDD39\uDD80-\uDDB7\uDDBE\uDDBF\uDE00\uDE10-\uDE13\uDE15-\uDE17\uDE19-\uDE35\uDE60-\uDE7C\uDE80-\uDE9C\uDEC0-\uDEC7\uDEC9-\uDEE4\uDF00-\uDF35\uDF40-\uDF55\uDF60-\uDF72\uDF80-\uDF91]|\uD803[\uDC00-\uDC48\uDC80-\uDCB2\uDCC0-\uDCF2\uDD00-\uDD23\uDE80-\uDEA9\uDEB0\uDEB1\uDF00-\uDF1C\uDF27\uDF30-\uDF45\uDFB0-\uDFC4\uDFE0-\uDFF6]|\uD804[\uDC03-\uDC37\uDC83-\uDCAF\uDCD0-\uDCE8\uDD03-\uDD26\uDD44\uDD47\uDD50-\uDD72\uDD76\uDD83-\uDDB2\uDDC1-\uDDC4\uDDDA\uDDDC\uDE00-\uDE11\uDE13-\uDE2B\uDE80-\uDE86\uDE88\uDE8A-\uDE8D\uDE8F-\uDE9D\uDE9F-\uDEA8\uDEB0-\uDEDE\uDF05-\uDF0C\uDF0F\uDF10\uDF13-\uDF28\uDF2A-\uDF30\uDF32\uDF33\uDF35-\uDF39\uDF3D\uDF50\uDF5D-\uDF61]|\uD805[\uDC00-\uDC34\uDC47-\uDC4A\uDC5F-\uDC61\uDC80-\uDCAF\uDCC4\uDCC5\uDCC7\uDD80-\uDDAE\uDDD8-\uDDDB\uDE00-\uDE2F\uDE44\uDE80-\uDEAA\uDEB8\uDF00-\uDF1A]|\uD806[\uDC00-\uDC2B\uDCA0-\uDCDF\uDCFF-\uDD06\uDD09\uDD0C-\uDD13\uDD15\uDD16\uDD18-\uDD2F\uDD3F\uDD41\uDDA0-\uDDA7\uDDAA-\uDDD0\uDDE1\uDDE3\uDE00\uDE0B-\uDE32\uDE3A\uDE50\uDE5C-\uDE89\uDE9D\uDEC0-\uDEF8]|\uD807[\uDC00-\uDC08\uDC0A-\uDC2E\uDC40\uDC72-\uDC8F\uDD00-\uDD06\uDD08\uDD09\uDD0B-\uDD30\uDD46\uDD60-\uDD65\uDD67\uDD68\uDD6A-\uDD89\uDD98\uDEE0-\uDEF2\uDFB0]|\uD808[\uDC00-\uDF99]|\uD809[\uDC00-\uDC6E\uDC80-\uDD43]|[\uD80C\uD81C-\uD820\uD822\uD840-\uD868\uD86A-\uD86C\uD86F-\uD872\uD874-\uD879\uD880-\uD883][\uDC00-\uDFFF]|\uD80D[\uDC00-\uDC2E]|\uD811[\uDC00-\uDE46]|\uD81A[\uDC00-\uDE38\uDE40-\uDE5E\uDED0-\uDEED\uDF00-\uDF2F\uDF40-\uDF43\uDF63-\uDF77\uDF7D-\uDF8F]|\uD81B[\uDE40-\uDE7F\uDF00-\uDF4A\uDF50\uDF93-\uDF9F\uDFE0\uDFE1\uDFE3]|\uD821[\uDC00-\uDFF7]|\uD823[\uDC00-\uDCD5\uDD00-\uDD08]|\uD82C[\uDC00-\uDD1E\uDD50-\uDD52\uDD64-\uDD67\uDD70-\uDEFB]|\uD82F[\uDC00-\uDC6A\uDC70-\uDC7C\uDC80-\uDC88\uDC90-\uDC99]|\uD835[\uDC00-\uDC54\uDC56-\uDC9C\uDC9E\uDC9F\uDCA2\uDCA5\uDCA6\uDCA9-\uDCAC\uDCAE-\uDCB9\uDCBB\uDCBD-\uDCC3\uDCC5-\uDD05\uDD07-\uDD0A\uDD0D-\uDD14\uDD16-\uDD1C\uDD1E-\uDD39\uDD3B-\uDD3E\uDD40-\uDD44\uDD46\uDD4A-\uDD50\uDD52-\uDEA5\uDEA8-\uDEC0\uDEC2-\uDEDA\uDEDC-\uDEFA\uDEFC-\uDF14\uDF16-\uDF34\uDF36-\uDF4E\uDF50-\uDF6E\uDF70-\uDF88\uDF8A-\uDFA8\uDFAA-\uDFC2\uDFC4-\uDFCB]|\uD838[\uDD00-\uDD2C\uDD37-\uDD3D\uDD4E\uDEC0-\uDEEB]|\uD83A[\uDC00-\uDCC4\uDD00-\uDD43\uDD4B]|\uD83B[\uDE00-\uDE03\uDE05-\uDE1F\uDE21\uDE22\uDE24\uDE27\uDE29-\uDE32\uDE34-\uDE37\uDE39\uDE3B\uDE42\uDE47\uDE49\uDE4B\uDE4D-\uDE4F\uDE51\uDE52\uDE54\uDE57\uDE59\uDE5B\uDE5D\uDE5F\uDE61\uDE62\uDE64\uDE67-\uDE6A\uDE6C-\uDE72\uDE74-\uDE77\uDE79-\uDE7C\uDE7E\uDE80-\uDE89\uDE8B-\uDE9B\uDEA1-\uDEA3\uDEA5-\uDEA9\uDEAB-\uDEBB]|\uD869[\uDC00-\uDEDD\uDF00-\uDFFF]|\uD86D[\uDC00-\uDF34\uDF40-\uDFFF]|\uD86E[\uDC00-\uDC1D\uDC20-\uDFFF]|\uD873[\uDC00-\uDEA1\uDEB0-\uDFFF]|\uD87A[\uDC00-\uDFE0]|\uD87E[\uDC00-\uDE1D]|\uD884[\uDC00-\uDF4A])(?:[\$0-9A-Z_a-z\xAA\xB5\xB7\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0300-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u0483-\u0487\u048A-\u052F\u0531-\u0556\u0559\u0560-\u0588\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u05D0-\u05EA\u05EF-\u05F2\u0610-\u061A\u0620-\u0669\u066E-\u06D3\u06D5-\u06DC\u06DF-\u06E8\u06EA-\u06FC\u06FF\u0710-\u074A\u074D-\u07B1\u07C0-\u07F5\u07FA\u07FD\u0800-\u082D\u0840-\u085B\u0860-\u086A\u08A0-\u08B4\u08B6-\u08C7\u08D3-\u08E1\u08E3-\u0963\u0966-\u096F\u0971-\u0983\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BC-\u09C4\u09C7\u09C8\u09CB-\u09CE\u09D7\u09DC\u09DD\u09DF-\u09E3\u09E6-\u09F1\u09FC\u09FE\u0A01-\u0A03\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A3C\u0A3E-\u0A42\u0A47\u0A48\u0A4B-\u0A4D\u0A51\u0A59-\u0A5C\u0A5E\u0A66-\u0A75\u0A81-\u0A83\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABC-\u0AC5\u0AC7-\u0AC9\u0ACB-\u0ACD\u0AD0\u0AE0-\u0AE3\u0AE6-\u0AEF\u0AF9-\u0AFF\u0B01-\u0B03\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3C-\u0B44\u0B47\u0B48\u0B4B-\u0B4D\u0B55-\u0B57\u0B5C\u0B5D\u0B5F-\u0B63\u0B66-\u0B6F\u0B71\u0B82\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BBE-\u0BC2\u0BC6-\u0BC8\u0BCA-\u0BCD\u0BD0\u0BD7\u0BE6-\u0BEF\u0C00-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D-\u0C44\u0C46-\u0C48\u0C4A-\u0C4D\u0C55\u0C56\u0C58-\u0C5A\u0C60-\u0C63\u0C66-\u0C6F\u0C80-\u0C83\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBC-\u0CC4\u0CC6-\u0CC8\u0CCA-\u0CCD\u0CD5\u0CD6\u0CDE\u0CE0-\u0CE3\u0CE6-\u0CEF\u0CF1\u0CF2\u0D00-\u0D0C\u0D0E-\u0D10\u0D12-\u0D44\u0D46-\u0D48\u0D4A-\u0D4E\u0D54-\u0D57\u0D5F-\u0D63\u0D66-\u0D6F\u0D7A-\u0D7F\u0D81-\u0D83\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0DCA\u0DCF-\u0DD4\u0DD6\u0DD8-\u0DDF\u0DE6-\u0DEF\u0DF2\u0DF3\u0E01-\u0E3A\u0E40-\u0E4E\u0E50-\u0E59\u0E81\u0E82\u0E84\u0E86-\u0E8A\u0E8C-\u0EA3\u0EA5\u0EA7-\u0EBD\u0EC0-\u0EC4\u0EC6\u0EC8-\u0ECD\u0ED0-\u0ED9\u0EDC-\u0EDF\u0F00\u0F18\u0F19\u0F20-\u0F29\u0F35\u0F37\u0F39\u0F3E-\u0F47\u0F49-\u0F6C\u0F71-\u0F84\u0F86-\u0F97\u0F99-\u0FBC\u0FC6\u1000-\u1049\u1050-\u109D\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u135D-\u135F\u1369-\u1371\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1714\u1720-\u1734\u1740-\u1753\u1760-\u176C\u176E-\u1770\u1772\u1773\u1780-\u17D3\u17D7\u17DC\u17DD\u17E0-\u17E9\u180B-\u180D\u1810-\u1819\u1820-\u1878\u1880-\u18AA\u18B0-\u18F5\u1900-\u191E\u1920-\u192B\u1930-\u193B\u1946-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u19D0-\u19DA\u1A00-\u1A1B\u1A20-\u1A5E\u1A60-\u1A7C\u1A7F-\u1A89\u1A90-\u1A99\u1AA7\u1AB0-\u1ABD\u1ABF\u1AC0\u1B00-\u1B4B\u1B50-\u1B59\u1B6B-\u1B73\u1B80-\u1BF3\u1C00-\u1C37\u1C40-\u1C49\u1C4D-\u1C7D\u1C80-\u1C88\u1C90-\u1CBA\u1CBD-\u1CBF\u1CD0-\u1CD2\u1CD4-\u1CFA\u1D00-\u1DF9\u1DFB-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u200C\u200D\u203F\u2040\u2054\u2071\u207F\u2090-\u209C\u20D0-\u20DC\u20E1\u20E5-\u20F0\u2102\u2107\u210A-\u2113\u2115\u2118-\u211D\u2124\u2126\u2128\u212A-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D7F-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u2DE0-\u2DFF\u3005-\u3007\u3021-\u302F\u3031-\u3035\u3038-\u303C\u3041-\u3096\u3099-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312F\u3131-\u318E\u31A0-\u31BF\u31F0-\u31FF\u3400-\u4DBF\u4E00-\u9FFC\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA62B\uA640-\uA66F\uA674-\uA67D\uA67F-\uA6F1\uA717-\uA71F\uA722-\uA788\uA78B-\uA7BF\uA7C2-\uA7CA\uA7F5-\uA827\uA82C\uA840-\uA873\uA880-\uA8C5\uA8D0-\uA8D9\uA8E0-\uA8F7\uA8FB\uA8FD-\uA92D\uA930-\uA953\uA960-\uA97C\uA980-\uA9C0\uA9CF-\uA9D9\uA9E0-\uA9FE\uAA00-\uAA36\uAA40-\uAA4D\uAA50-\uAA59\uAA60-\uAA76\uAA7A-\uAAC2\uAADB-\uAADD\uAAE0-\uAAEF\uAAF2-\uAAF6\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB69\uAB70-\uABEA\uABEC\uABED\uABF0-\uABF9\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE00-\uFE0F\uFE20-\uFE2F\uFE33\uFE34\uFE4D-\uFE4F\uFE70-\uFE74\uFE76-\uFEFC\uFF10-\uFF19\uFF21-\uFF3A\uFF3F\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC]|\uD800[\uDC00-\uDC0B\uDC0D-\uDC26\uDC28-\uDC3A\uDC3C\uDC3D\uDC3F-\uDC4D\uDC50-\uDC5D\uDC80-\uDCFA\uDD40-\uDD74\uDDFD\uDE80-\uDE9C\uDEA0-\uDED0\uDEE0\uDF00-\uDF1F\uDF2D-\uDF4A\uDF50-\uDF7A\uDF80-\uDF9D\uDFA0-\uDFC3\uDFC8-\uDFCF\uDFD1-\uDFD5]|\uD801[\uDC00-\uDC9D\uDCA0-\uDCA9\uDCB0-\uDCD3\uDCD8-\uDCFB\uDD00-\uDD27\uDD30-\uDD63\uDE00-\uDF36\uDF40-\uDF55\uDF60-\uDF67]|\uD802[\uDC00-\uDC05\uDC08\uDC0A-\uDC35\uDC37\uDC38\uDC3C\uDC3F-\uDC55\uDC60-\uDC76\uDC80-\uDC9E\uDCE0-\uDCF2\uDCF4\uDCF5\uDD00-\uDD15\uDD20-\uDD39\uDD80-\uDDB7\uDDBE\uDDBF\uDE00-\uDE03\uDE05\uDE06\uDE0C-\uDE13\uDE15-\uDE17\uDE19-\uDE35\uDE38-\uDE3A\uDE3F\uDE60-\uDE7C\uDE80-\uDE9C\uDEC0-\uDEC7\uDEC9-\uDEE6\uDF00-\uDF35\uDF40-\uDF55\uDF60-\uDF72\uDF80-\uDF91]|\uD803[\uDC00-\uDC48\uDC80-\uDCB2\uDCC0-\uDCF2\uDD00-\uDD27\uDD30-\uDD39\uDE80-\uDEA9\uDEAB\uDEAC\uDEB0\uDEB1\uDF00-\uDF1C\uDF27\uDF30-\uDF50\uDFB0-\uDFC4\uDFE0-\uDFF6]|\uD804[\uDC00-\uDC46\uDC66-\uDC6F\uDC7F-\uDCBA\uDCD0-\uDCE8\uDCF0-\uDCF9\uDD00-\uDD34\uDD36-\uDD3F\uDD44-\uDD47\uDD50-\uDD73\uDD76\uDD80-\uDDC4\uDDC9-\uDDCC\uDDCE-\uDDDA\uDDDC\uDE00-\uDE11\uDE13-\uDE37\uDE3E\uDE80-\uDE86\uDE88\uDE8A-\uDE8D\uDE8F-\uDE9D\uDE9F-\uDEA8\uDEB0-\uDEEA\uDEF0-\uDEF9\uDF00-\uDF03\uDF05-\uDF0C\uDF0F\uDF10\uDF13-\uDF28\uDF2A-\uDF30\uDF32\uDF33\uDF35-\uDF39\uDF3B-\uDF44\uDF47\uDF48\uDF4B-\uDF4D\uDF50\uDF57\uDF5D-\uDF63\uDF66-\uDF6C\uDF70-\uDF74]|\uD805[\uDC00-\uDC4A\uDC50-\uDC59\uDC5E-\uDC61\uDC80-\uDCC5\uDCC7\uDCD0-\uDCD9\uDD80-\uDDB5\uDDB8-\uDDC0\uDDD8-\uDDDD\uDE00-\uDE40\uDE44\uDE50-\uDE59\uDE80-\uDEB8\uDEC0-\uDEC9\uDF00-\uDF1A\uDF1D-\uDF2B\uDF30-\uDF39]|\uD806[\uDC00-\uDC3A\uDCA0-\uDCE9\uDCFF-\uDD06\uDD09\uDD0C-\uDD13\uDD15\uDD16\uDD18-\uDD35\uDD37\uDD38\uDD3B-\uDD43\uDD50-\uDD59\uDDA0-\uDDA7\uDDAA-\uDDD7\uDDDA-\uDDE1\uDDE3\uDDE4\uDE00-\uDE3E\uDE47\uDE50-\uDE99\uDE9D\uDEC0-\uDEF8]|\uD807[\uDC00-\uDC08\uDC0A-\uDC36\uDC38-\uDC40\uDC50-\uDC59\uDC72-\uDC8F\uDC92-\uDCA7\uDCA9-\uDCB6\uDD00-\uDD06\uDD08\uDD09\uDD0B-\uDD36\uDD3A\uDD3C\uDD3D\uDD3F-\uDD47\uDD50-\uDD59\uDD60-\uDD65\uDD67\uDD68\uDD6A-\uDD8E\uDD90\uDD91\uDD93-\uDD98\uDDA0-\uDDA9\uDEE0-\uDEF6\uDFB0]|\uD808[\uDC00-\uDF99]|\uD809[\uDC00-\uDC6E\uDC80-\uDD43]|[\uD80C\uD81C-\uD820\uD822\uD840-\uD868\uD86A-\uD86C\uD86F-\uD872\uD874-\uD879\uD880-\uD883][\uDC00-\uDFFF]|\uD80D[\uDC00-\uDC2E]|\uD811[\uDC00-\uDE46]|\uD81A[\uDC00-\uDE38\uDE40-\uDE5E\uDE60-\uDE69\uDED0-\uDEED\uDEF0-\uDEF4\uDF00-\uDF36\uDF40-\uDF43\uDF50-\uDF59\uDF63-\uDF77\uDF7D-\uDF8F]|\uD81B[\uDE40-\uDE7F\uDF00-\uDF4A\uDF4F-\uDF87\uDF8F-\uDF9F\uDFE0\uDFE1\uDFE3\uDFE4\uDFF0\uDFF1]|\uD821[\uDC00-\uDFF7]|\uD823[\uDC00-\uDCD5\uDD00-\uDD08]|\uD82C[\uDC00-\uDD1E\uDD50-\uDD52\uDD64-\uDD67\uDD70-\uDEFB]|\uD82F[\uDC00-\uDC6A\uDC70-\uDC7C\uDC80-\uDC88\uDC90-\uDC99\uDC9D\uDC9E]|\uD834[\uDD65-\uDD69\uDD6D-\uDD72\uDD7B-\uDD82\uDD85-\uDD8B\uDDAA-\uDDAD\uDE42-\uDE44]|\uD835[\uDC00-\uDC54\uDC56-\uDC9C\uDC9E\uDC9F\uDCA2\uDCA5\uDCA6\uDCA9-\uDCAC\uDCAE-\uDCB9\uDCBB\uDCBD-\uDCC3\uDCC5-\uDD05\uDD07-\uDD0A\uDD0D-\uDD14\uDD16-\uDD1C\uDD1E-\uDD39\uDD3B-\uDD3E\uDD40-\uDD44\uDD46\uDD4A-\uDD50\uDD52-\uDEA5\uDEA8-\uDEC0\uDEC2-\uDEDA\uDEDC-\uDEFA\uDEFC-\uDF14\uDF16-\uDF34\uDF36-\uDF4E\uDF50-\uDF6E\uDF70-\uDF88\uDF8A-\uDFA8\uDFAA-\uDFC2\uDFC4-\uDFCB\uDFCE-\uDFFF]|\uD836[\uDE00-\uDE36\uDE3B-\uDE6C\uDE75\uDE84\uDE9B-\uDE9F\uDEA1-\uDEAF]|\uD838[\uDC00-\uDC06\uDC08-\uDC18\uDC1B-\uDC21\uDC23\uDC24\uDC26-\uDC2A\uDD00-\uDD2C\uDD30-\uDD3D\uDD40-\uDD49\uDD4E\uDEC0-\uDEF9]|\uD83A[\uDC00-\uDCC4\uDCD0-\uDCD6\uDD00-\uDD4B\uDD50-\uDD59]|\uD83B[\uDE00-\uDE03\uDE05-\uDE1F\uDE21\uDE22\uDE24\uDE27\uDE29-\uDE32\uDE34-\uDE37\uDE39\uDE3B\uDE42\uDE47\uDE49\uDE4B\uDE4D-\uDE4F\uDE51\uDE52\uDE54\uDE57\uDE59\uDE5B\uDE5D\uDE5F\uDE61\uDE62\uDE64\uDE67-\uDE6A\uDE6C-\uDE72\uDE74-\uDE77\uDE79-\uDE7C\uDE7E\uDE80-\uDE89\uDE8B-\uDE9B\uDEA1-\uDEA3\uDEA5-\uDEA9\uDEAB-\uDEBB]|\uD83E[\uDFF0-\uDFF9]|\uD869[\uDC00-\uDEDD\uDF00-\uDFFF]|\uD86D[\uDC00-\uDF34\uDF40-\uDFFF]|\uD86E[\uDC00-\uDC1D\uDC20-\uDFFF]|\uD873[\uDC00-\uDEA1\uDEB0-\uDFFF]|\uD87A[\uDC00-\uDFE0]|\uD87E[\uDC00-\uDE1D]|\uD884[\uDC00-\uDF4A]|\uDB40[\uDD00-\uDDEF])*)>/,(function(u){var d;if(!XRegExp.isInstalled("namespacing")&&(u[1]==="length"||u[1]==="__proto__")){throw new SyntaxError("Cannot use reserved word as capture name ".concat(u[0]))}if((0,C["default"])(d=this.captureNames).call(d,u[1])!==-1){throw new SyntaxError("Cannot use same name for multiple groups ".concat(u[0]))}this.captureNames.push(u[1]);this.hasNamedCapture=true;return"("}),{leadChar:"("});XRegExp.addToken(/\((?!\?)/,(function(u,d,r){if((0,C["default"])(r).call(r,"n")!==-1){return"(?:"}this.captureNames.push(null);return"("}),{optionalFlags:"n",leadChar:"("});var U=XRegExp;d.default=U;u.exports=d.default},8537:u=>{u.exports=[{name:"C",alias:"Other",isBmpLast:true,bmp:"\0--­͸͹΀-΃΋΍΢԰՗՘֋֌֐׈-׏׫-׮׵-؅؜؝۝܎܏݋݌޲-޿߻߼࠮࠯࠿࡜࡝࡟࡫-࢟ࢵࣈ-࣒࣢঄঍঎঑঒঩঱঳-঵঺঻৅৆৉৊৏-৖৘-৛৞৤৥৿਀਄਋-਎਑਒਩਱਴਷਺਻਽੃-੆੉੊੎-੐੒-੘੝੟-੥੷-઀઄઎઒઩઱઴઺઻૆૊૎૏૑-૟૤૥૲-૸଀଄଍଎଑଒଩଱଴଺଻୅୆୉୊୎-୔୘-୛୞୤୥୸-஁஄஋-஍஑஖-஘஛஝஠-஢஥-஧஫-஭஺-஽௃-௅௉௎௏௑-௖௘-௥௻-௿఍఑఩఺-఼౅౉౎-౔౗౛-౟౤౥౰-౶಍಑಩಴಺಻೅೉೎-೔೗-ೝ೟೤೥೰ೳ-೿഍഑൅൉൐-൓൤൥඀඄඗-඙඲඼඾඿෇-෉෋-෎෕෗෠-෥෰෱෵-฀฻-฾๜-຀຃຅຋຤຦຾຿໅໇໎໏໚໛໠-໿཈཭-཰྘྽࿍࿛-࿿჆჈-჌჎჏቉቎቏቗቙቞቟኉኎኏኱኶኷኿዁዆዇዗጑጖጗፛፜፽-፿᎚-᎟᏶᏷᏾᏿᚝-᚟᛹-᛿ᜍ᜕-ᜟ᜷-᜿᝔-᝟᝭᝱᝴-᝿៞៟៪-៯៺-៿᠎᠏᠚-᠟᡹-᡿᢫-᢯᣶-᣿᤟᤬-᤯᤼-᤿᥁-᥃᥮᥯᥵-᥿᦬-᦯᧊-᧏᧛-᧝᨜᨝᩟᩽᩾᪊-᪏᪚-᪟᪮᪯᫁-᫿ᭌ-᭏᭽-᭿᯴-᯻᰸-᰺᱊-᱌Ᲊ-᲏᲻᲼᳈-᳏᳻-᳿᷺἖἗἞἟὆὇὎὏὘὚὜὞὾὿᾵῅῔῕῜῰῱῵῿​-‏‪-‮⁠-⁯⁲⁳₏₝-₟⃀-⃏⃱-⃿↌-↏␧-␿⑋-⑟⭴⭵⮖Ⱟⱟ⳴-⳸⴦⴨-⴬⴮⴯⵨-⵮⵱-⵾⶗-⶟⶧⶯⶷⶿⷇⷏⷗⷟⹓-⹿⺚⻴-⻿⿖-⿯⿼-⿿぀゗゘㄀-㄄㄰㆏㇤-㇯㈟鿽-鿿꒍-꒏꓇-꓏꘬-꘿꛸-꛿ꟀꟁꟋ-ꟴ꠭-꠯꠺-꠿꡸-꡿꣆-꣍꣚-꣟꥔-꥞꥽-꥿꧎꧚-꧝꧿꨷-꨿꩎꩏꩚꩛꫃-꫚꫷-꬀꬇꬈꬏꬐꬗-꬟꬧꬯꭬-꭯꯮꯯꯺-꯿힤-힯퟇-퟊퟼-﩮﩯﫚-﫿﬇-﬒﬘-﬜﬷﬽﬿﭂﭅﯂-﯒﵀-﵏﶐﶑﷈-﷯﷾﷿︚-︟﹓﹧﹬-﹯﹵﻽-＀﾿-￁￈￉￐￑￘￙￝-￟￧￯-￻￾￿",astral:"\ud800[\udc0c\udc27\udc3b\udc3e\udc4e\udc4f\udc5e-\udc7f\udcfb-\udcff\udd03-\udd06\udd34-\udd36\udd8f\udd9d-\udd9f\udda1-\uddcf\uddfe-\ude7f\ude9d-\ude9f\uded1-\udedf\udefc-\udeff\udf24-\udf2c\udf4b-\udf4f\udf7b-\udf7f\udf9e\udfc4-\udfc7\udfd6-\udfff]|\ud801[\udc9e\udc9f\udcaa-\udcaf\udcd4-\udcd7\udcfc-\udcff\udd28-\udd2f\udd64-\udd6e\udd70-\uddff\udf37-\udf3f\udf56-\udf5f\udf68-\udfff]|\ud802[\udc06\udc07\udc09\udc36\udc39-\udc3b\udc3d\udc3e\udc56\udc9f-\udca6\udcb0-\udcdf\udcf3\udcf6-\udcfa\udd1c-\udd1e\udd3a-\udd3e\udd40-\udd7f\uddb8-\uddbb\uddd0\uddd1\ude04\ude07-\ude0b\ude14\ude18\ude36\ude37\ude3b-\ude3e\ude49-\ude4f\ude59-\ude5f\udea0-\udebf\udee7-\udeea\udef7-\udeff\udf36-\udf38\udf56\udf57\udf73-\udf77\udf92-\udf98\udf9d-\udfa8\udfb0-\udfff]|\ud803[\udc49-\udc7f\udcb3-\udcbf\udcf3-\udcf9\udd28-\udd2f\udd3a-\ude5f\ude7f\udeaa\udeae\udeaf\udeb2-\udeff\udf28-\udf2f\udf5a-\udfaf\udfcc-\udfdf\udff7-\udfff]|\ud804[\udc4e-\udc51\udc70-\udc7e\udcbd\udcc2-\udccf\udce9-\udcef\udcfa-\udcff\udd35\udd48-\udd4f\udd77-\udd7f\udde0\uddf5-\uddff\ude12\ude3f-\ude7f\ude87\ude89\ude8e\ude9e\udeaa-\udeaf\udeeb-\udeef\udefa-\udeff\udf04\udf0d\udf0e\udf11\udf12\udf29\udf31\udf34\udf3a\udf45\udf46\udf49\udf4a\udf4e\udf4f\udf51-\udf56\udf58-\udf5c\udf64\udf65\udf6d-\udf6f\udf75-\udfff]|\ud805[\udc5c\udc62-\udc7f\udcc8-\udccf\udcda-\udd7f\uddb6\uddb7\uddde-\uddff\ude45-\ude4f\ude5a-\ude5f\ude6d-\ude7f\udeb9-\udebf\udeca-\udeff\udf1b\udf1c\udf2c-\udf2f\udf40-\udfff]|\ud806[\udc3c-\udc9f\udcf3-\udcfe\udd07\udd08\udd0a\udd0b\udd14\udd17\udd36\udd39\udd3a\udd47-\udd4f\udd5a-\udd9f\udda8\udda9\uddd8\uddd9\udde5-\uddff\ude48-\ude4f\udea3-\udebf\udef9-\udfff]|\ud807[\udc09\udc37\udc46-\udc4f\udc6d-\udc6f\udc90\udc91\udca8\udcb7-\udcff\udd07\udd0a\udd37-\udd39\udd3b\udd3e\udd48-\udd4f\udd5a-\udd5f\udd66\udd69\udd8f\udd92\udd99-\udd9f\uddaa-\udedf\udef9-\udfaf\udfb1-\udfbf\udff2-\udffe]|\ud808[\udf9a-\udfff]|\ud809[\udc6f\udc75-\udc7f\udd44-\udfff]|[\ud80a\ud80b\ud80e-\ud810\ud812-\ud819\ud824-\ud82b\ud82d\ud82e\ud830-\ud833\ud837\ud839\ud83f\ud87b-\ud87d\ud87f\ud885-\udb3f\udb41-\udbff][\udc00-\udfff]|\ud80d[\udc2f-\udfff]|\ud811[\ude47-\udfff]|\ud81a[\ude39-\ude3f\ude5f\ude6a-\ude6d\ude70-\udecf\udeee\udeef\udef6-\udeff\udf46-\udf4f\udf5a\udf62\udf78-\udf7c\udf90-\udfff]|\ud81b[\udc00-\ude3f\ude9b-\udeff\udf4b-\udf4e\udf88-\udf8e\udfa0-\udfdf\udfe5-\udfef\udff2-\udfff]|\ud821[\udff8-\udfff]|\ud823[\udcd6-\udcff\udd09-\udfff]|\ud82c[\udd1f-\udd4f\udd53-\udd63\udd68-\udd6f\udefc-\udfff]|\ud82f[\udc6b-\udc6f\udc7d-\udc7f\udc89-\udc8f\udc9a\udc9b\udca0-\udfff]|\ud834[\udcf6-\udcff\udd27\udd28\udd73-\udd7a\udde9-\uddff\ude46-\udedf\udef4-\udeff\udf57-\udf5f\udf79-\udfff]|\ud835[\udc55\udc9d\udca0\udca1\udca3\udca4\udca7\udca8\udcad\udcba\udcbc\udcc4\udd06\udd0b\udd0c\udd15\udd1d\udd3a\udd3f\udd45\udd47-\udd49\udd51\udea6\udea7\udfcc\udfcd]|\ud836[\ude8c-\ude9a\udea0\udeb0-\udfff]|\ud838[\udc07\udc19\udc1a\udc22\udc25\udc2b-\udcff\udd2d-\udd2f\udd3e\udd3f\udd4a-\udd4d\udd50-\udebf\udefa-\udefe\udf00-\udfff]|\ud83a[\udcc5\udcc6\udcd7-\udcff\udd4c-\udd4f\udd5a-\udd5d\udd60-\udfff]|\ud83b[\udc00-\udc70\udcb5-\udd00\udd3e-\uddff\ude04\ude20\ude23\ude25\ude26\ude28\ude33\ude38\ude3a\ude3c-\ude41\ude43-\ude46\ude48\ude4a\ude4c\ude50\ude53\ude55\ude56\ude58\ude5a\ude5c\ude5e\ude60\ude63\ude65\ude66\ude6b\ude73\ude78\ude7d\ude7f\ude8a\ude9c-\udea0\udea4\udeaa\udebc-\udeef\udef2-\udfff]|\ud83c[\udc2c-\udc2f\udc94-\udc9f\udcaf\udcb0\udcc0\udcd0\udcf6-\udcff\uddae-\udde5\ude03-\ude0f\ude3c-\ude3f\ude49-\ude4f\ude52-\ude5f\ude66-\udeff]|\ud83d[\uded8-\udedf\udeed-\udeef\udefd-\udeff\udf74-\udf7f\udfd9-\udfdf\udfec-\udfff]|\ud83e[\udc0c-\udc0f\udc48-\udc4f\udc5a-\udc5f\udc88-\udc8f\udcae\udcaf\udcb2-\udcff\udd79\uddcc\ude54-\ude5f\ude6e\ude6f\ude75-\ude77\ude7b-\ude7f\ude87-\ude8f\udea9-\udeaf\udeb7-\udebf\udec3-\udecf\uded7-\udeff\udf93\udfcb-\udfef\udffa-\udfff]|\ud869[\udede-\udeff]|\ud86d[\udf35-\udf3f]|\ud86e[\udc1e\udc1f]|\ud873[\udea2-\udeaf]|\ud87a[\udfe1-\udfff]|\ud87e[\ude1e-\udfff]|\ud884[\udf4b-\udfff]|\udb40[\udc00-\udcff\uddf0-\udfff]"},{name:"Cc",alias:"Control",bmp:"\0--"},{name:"Cf",alias:"Format",bmp:"­؀-؅؜۝܏࣢᠎​-‏‪-‮⁠-⁤⁦-⁯\ufeff￹-￻",astral:"\ud804[\udcbd\udccd]|\ud80d[\udc30-\udc38]|\ud82f[\udca0-\udca3]|\ud834[\udd73-\udd7a]|\udb40[\udc01\udc20-\udc7f]"},{name:"Cn",alias:"Unassigned",bmp:"͸͹΀-΃΋΍΢԰՗՘֋֌֐׈-׏׫-׮׵-׿؝܎݋݌޲-޿߻߼࠮࠯࠿࡜࡝࡟࡫-࢟ࢵࣈ-࣒঄঍঎঑঒঩঱঳-঵঺঻৅৆৉৊৏-৖৘-৛৞৤৥৿਀਄਋-਎਑਒਩਱਴਷਺਻਽੃-੆੉੊੎-੐੒-੘੝੟-੥੷-઀઄઎઒઩઱઴઺઻૆૊૎૏૑-૟૤૥૲-૸଀଄଍଎଑଒଩଱଴଺଻୅୆୉୊୎-୔୘-୛୞୤୥୸-஁஄஋-஍஑஖-஘஛஝஠-஢஥-஧஫-஭஺-஽௃-௅௉௎௏௑-௖௘-௥௻-௿఍఑఩఺-఼౅౉౎-౔౗౛-౟౤౥౰-౶಍಑಩಴಺಻೅೉೎-೔೗-ೝ೟೤೥೰ೳ-೿഍഑൅൉൐-൓൤൥඀඄඗-඙඲඼඾඿෇-෉෋-෎෕෗෠-෥෰෱෵-฀฻-฾๜-຀຃຅຋຤຦຾຿໅໇໎໏໚໛໠-໿཈཭-཰྘྽࿍࿛-࿿჆჈-჌჎჏቉቎቏቗቙቞቟኉኎኏኱኶኷኿዁዆዇዗጑጖጗፛፜፽-፿᎚-᎟᏶᏷᏾᏿᚝-᚟᛹-᛿ᜍ᜕-ᜟ᜷-᜿᝔-᝟᝭᝱᝴-᝿៞៟៪-៯៺-៿᠏᠚-᠟᡹-᡿᢫-᢯᣶-᣿᤟᤬-᤯᤼-᤿᥁-᥃᥮᥯᥵-᥿᦬-᦯᧊-᧏᧛-᧝᨜᨝᩟᩽᩾᪊-᪏᪚-᪟᪮᪯᫁-᫿ᭌ-᭏᭽-᭿᯴-᯻᰸-᰺᱊-᱌Ᲊ-᲏᲻᲼᳈-᳏᳻-᳿᷺἖἗἞἟὆὇὎὏὘὚὜὞὾὿᾵῅῔῕῜῰῱῵῿⁥⁲⁳₏₝-₟⃀-⃏⃱-⃿↌-↏␧-␿⑋-⑟⭴⭵⮖Ⱟⱟ⳴-⳸⴦⴨-⴬⴮⴯⵨-⵮⵱-⵾⶗-⶟⶧⶯⶷⶿⷇⷏⷗⷟⹓-⹿⺚⻴-⻿⿖-⿯⿼-⿿぀゗゘㄀-㄄㄰㆏㇤-㇯㈟鿽-鿿꒍-꒏꓇-꓏꘬-꘿꛸-꛿ꟀꟁꟋ-ꟴ꠭-꠯꠺-꠿꡸-꡿꣆-꣍꣚-꣟꥔-꥞꥽-꥿꧎꧚-꧝꧿꨷-꨿꩎꩏꩚꩛꫃-꫚꫷-꬀꬇꬈꬏꬐꬗-꬟꬧꬯꭬-꭯꯮꯯꯺-꯿힤-힯퟇-퟊퟼-퟿﩮﩯﫚-﫿﬇-﬒﬘-﬜﬷﬽﬿﭂﭅﯂-﯒﵀-﵏﶐﶑﷈-﷯﷾﷿︚-︟﹓﹧﹬-﹯﹵﻽﻾＀﾿-￁￈￉￐￑￘￙￝-￟￧￯-￸￾￿",astral:"\ud800[\udc0c\udc27\udc3b\udc3e\udc4e\udc4f\udc5e-\udc7f\udcfb-\udcff\udd03-\udd06\udd34-\udd36\udd8f\udd9d-\udd9f\udda1-\uddcf\uddfe-\ude7f\ude9d-\ude9f\uded1-\udedf\udefc-\udeff\udf24-\udf2c\udf4b-\udf4f\udf7b-\udf7f\udf9e\udfc4-\udfc7\udfd6-\udfff]|\ud801[\udc9e\udc9f\udcaa-\udcaf\udcd4-\udcd7\udcfc-\udcff\udd28-\udd2f\udd64-\udd6e\udd70-\uddff\udf37-\udf3f\udf56-\udf5f\udf68-\udfff]|\ud802[\udc06\udc07\udc09\udc36\udc39-\udc3b\udc3d\udc3e\udc56\udc9f-\udca6\udcb0-\udcdf\udcf3\udcf6-\udcfa\udd1c-\udd1e\udd3a-\udd3e\udd40-\udd7f\uddb8-\uddbb\uddd0\uddd1\ude04\ude07-\ude0b\ude14\ude18\ude36\ude37\ude3b-\ude3e\ude49-\ude4f\ude59-\ude5f\udea0-\udebf\udee7-\udeea\udef7-\udeff\udf36-\udf38\udf56\udf57\udf73-\udf77\udf92-\udf98\udf9d-\udfa8\udfb0-\udfff]|\ud803[\udc49-\udc7f\udcb3-\udcbf\udcf3-\udcf9\udd28-\udd2f\udd3a-\ude5f\ude7f\udeaa\udeae\udeaf\udeb2-\udeff\udf28-\udf2f\udf5a-\udfaf\udfcc-\udfdf\udff7-\udfff]|\ud804[\udc4e-\udc51\udc70-\udc7e\udcc2-\udccc\udcce\udccf\udce9-\udcef\udcfa-\udcff\udd35\udd48-\udd4f\udd77-\udd7f\udde0\uddf5-\uddff\ude12\ude3f-\ude7f\ude87\ude89\ude8e\ude9e\udeaa-\udeaf\udeeb-\udeef\udefa-\udeff\udf04\udf0d\udf0e\udf11\udf12\udf29\udf31\udf34\udf3a\udf45\udf46\udf49\udf4a\udf4e\udf4f\udf51-\udf56\udf58-\udf5c\udf64\udf65\udf6d-\udf6f\udf75-\udfff]|\ud805[\udc5c\udc62-\udc7f\udcc8-\udccf\udcda-\udd7f\uddb6\uddb7\uddde-\uddff\ude45-\ude4f\ude5a-\ude5f\ude6d-\ude7f\udeb9-\udebf\udeca-\udeff\udf1b\udf1c\udf2c-\udf2f\udf40-\udfff]|\ud806[\udc3c-\udc9f\udcf3-\udcfe\udd07\udd08\udd0a\udd0b\udd14\udd17\udd36\udd39\udd3a\udd47-\udd4f\udd5a-\udd9f\udda8\udda9\uddd8\uddd9\udde5-\uddff\ude48-\ude4f\udea3-\udebf\udef9-\udfff]|\ud807[\udc09\udc37\udc46-\udc4f\udc6d-\udc6f\udc90\udc91\udca8\udcb7-\udcff\udd07\udd0a\udd37-\udd39\udd3b\udd3e\udd48-\udd4f\udd5a-\udd5f\udd66\udd69\udd8f\udd92\udd99-\udd9f\uddaa-\udedf\udef9-\udfaf\udfb1-\udfbf\udff2-\udffe]|\ud808[\udf9a-\udfff]|\ud809[\udc6f\udc75-\udc7f\udd44-\udfff]|[\ud80a\ud80b\ud80e-\ud810\ud812-\ud819\ud824-\ud82b\ud82d\ud82e\ud830-\ud833\ud837\ud839\ud83f\ud87b-\ud87d\ud87f\ud885-\udb3f\udb41-\udb7f][\udc00-\udfff]|\ud80d[\udc2f\udc39-\udfff]|\ud811[\ude47-\udfff]|\ud81a[\ude39-\ude3f\ude5f\ude6a-\ude6d\ude70-\udecf\udeee\udeef\udef6-\udeff\udf46-\udf4f\udf5a\udf62\udf78-\udf7c\udf90-\udfff]|\ud81b[\udc00-\ude3f\ude9b-\udeff\udf4b-\udf4e\udf88-\udf8e\udfa0-\udfdf\udfe5-\udfef\udff2-\udfff]|\ud821[\udff8-\udfff]|\ud823[\udcd6-\udcff\udd09-\udfff]|\ud82c[\udd1f-\udd4f\udd53-\udd63\udd68-\udd6f\udefc-\udfff]|\ud82f[\udc6b-\udc6f\udc7d-\udc7f\udc89-\udc8f\udc9a\udc9b\udca4-\udfff]|\ud834[\udcf6-\udcff\udd27\udd28\udde9-\uddff\ude46-\udedf\udef4-\udeff\udf57-\udf5f\udf79-\udfff]|\ud835[\udc55\udc9d\udca0\udca1\udca3\udca4\udca7\udca8\udcad\udcba\udcbc\udcc4\udd06\udd0b\udd0c\udd15\udd1d\udd3a\udd3f\udd45\udd47-\udd49\udd51\udea6\udea7\udfcc\udfcd]|\ud836[\ude8c-\ude9a\udea0\udeb0-\udfff]|\ud838[\udc07\udc19\udc1a\udc22\udc25\udc2b-\udcff\udd2d-\udd2f\udd3e\udd3f\udd4a-\udd4d\udd50-\udebf\udefa-\udefe\udf00-\udfff]|\ud83a[\udcc5\udcc6\udcd7-\udcff\udd4c-\udd4f\udd5a-\udd5d\udd60-\udfff]|\ud83b[\udc00-\udc70\udcb5-\udd00\udd3e-\uddff\ude04\ude20\ude23\ude25\ude26\ude28\ude33\ude38\ude3a\ude3c-\ude41\ude43-\ude46\ude48\ude4a\ude4c\ude50\ude53\ude55\ude56\ude58\ude5a\ude5c\ude5e\ude60\ude63\ude65\ude66\ude6b\ude73\ude78\ude7d\ude7f\ude8a\ude9c-\udea0\udea4\udeaa\udebc-\udeef\udef2-\udfff]|\ud83c[\udc2c-\udc2f\udc94-\udc9f\udcaf\udcb0\udcc0\udcd0\udcf6-\udcff\uddae-\udde5\ude03-\ude0f\ude3c-\ude3f\ude49-\ude4f\ude52-\ude5f\ude66-\udeff]|\ud83d[\uded8-\udedf\udeed-\udeef\udefd-\udeff\udf74-\udf7f\udfd9-\udfdf\udfec-\udfff]|\ud83e[\udc0c-\udc0f\udc48-\udc4f\udc5a-\udc5f\udc88-\udc8f\udcae\udcaf\udcb2-\udcff\udd79\uddcc\ude54-\ude5f\ude6e\ude6f\ude75-\ude77\ude7b-\ude7f\ude87-\ude8f\udea9-\udeaf\udeb7-\udebf\udec3-\udecf\uded7-\udeff\udf93\udfcb-\udfef\udffa-\udfff]|\ud869[\udede-\udeff]|\ud86d[\udf35-\udf3f]|\ud86e[\udc1e\udc1f]|\ud873[\udea2-\udeaf]|\ud87a[\udfe1-\udfff]|\ud87e[\ude1e-\udfff]|\ud884[\udf4b-\udfff]|\udb40[\udc00\udc02-\udc1f\udc80-\udcff\uddf0-\udfff]|[\udbbf\udbff][\udffe\udfff]"},{name:"Co",alias:"Private_Use",bmp:"-",astral:"[\udb80-\udbbe\udbc0-\udbfe][\udc00-\udfff]|[\udbbf\udbff][\udc00-\udffd]"},{name:"Cs",alias:"Surrogate",bmp:"\ud800-\udfff"},{name:"L",alias:"Letter",bmp:"A-Za-zªµºÀ-ÖØ-öø-ˁˆ-ˑˠ-ˤˬˮͰ-ʹͶͷͺ-ͽͿΆΈ-ΊΌΎ-ΡΣ-ϵϷ-ҁҊ-ԯԱ-Ֆՙՠ-ֈא-תׯ-ײؠ-يٮٯٱ-ۓەۥۦۮۯۺ-ۼۿܐܒ-ܯݍ-ޥޱߊ-ߪߴߵߺࠀ-ࠕࠚࠤࠨࡀ-ࡘࡠ-ࡪࢠ-ࢴࢶ-ࣇऄ-हऽॐक़-ॡॱ-ঀঅ-ঌএঐও-নপ-রলশ-হঽৎড়ঢ়য়-ৡৰৱৼਅ-ਊਏਐਓ-ਨਪ-ਰਲਲ਼ਵਸ਼ਸਹਖ਼-ੜਫ਼ੲ-ੴઅ-ઍએ-ઑઓ-નપ-રલળવ-હઽૐૠૡૹଅ-ଌଏଐଓ-ନପ-ରଲଳଵ-ହଽଡ଼ଢ଼ୟ-ୡୱஃஅ-ஊஎ-ஐஒ-கஙசஜஞடணதந-பம-ஹௐఅ-ఌఎ-ఐఒ-నప-హఽౘ-ౚౠౡಀಅ-ಌಎ-ಐಒ-ನಪ-ಳವ-ಹಽೞೠೡೱೲഄ-ഌഎ-ഐഒ-ഺഽൎൔ-ൖൟ-ൡൺ-ൿඅ-ඖක-නඳ-රලව-ෆก-ะาำเ-ๆກຂຄຆ-ຊຌ-ຣລວ-ະາຳຽເ-ໄໆໜ-ໟༀཀ-ཇཉ-ཬྈ-ྌက-ဪဿၐ-ၕၚ-ၝၡၥၦၮ-ၰၵ-ႁႎႠ-ჅჇჍა-ჺჼ-ቈቊ-ቍቐ-ቖቘቚ-ቝበ-ኈኊ-ኍነ-ኰኲ-ኵኸ-ኾዀዂ-ዅወ-ዖዘ-ጐጒ-ጕጘ-ፚᎀ-ᎏᎠ-Ᏽᏸ-ᏽᐁ-ᙬᙯ-ᙿᚁ-ᚚᚠ-ᛪᛱ-ᛸᜀ-ᜌᜎ-ᜑᜠ-ᜱᝀ-ᝑᝠ-ᝬᝮ-ᝰក-ឳៗៜᠠ-ᡸᢀ-ᢄᢇ-ᢨᢪᢰ-ᣵᤀ-ᤞᥐ-ᥭᥰ-ᥴᦀ-ᦫᦰ-ᧉᨀ-ᨖᨠ-ᩔᪧᬅ-ᬳᭅ-ᭋᮃ-ᮠᮮᮯᮺ-ᯥᰀ-ᰣᱍ-ᱏᱚ-ᱽᲀ-ᲈᲐ-ᲺᲽ-Ჿᳩ-ᳬᳮ-ᳳᳵᳶᳺᴀ-ᶿḀ-ἕἘ-Ἕἠ-ὅὈ-Ὅὐ-ὗὙὛὝὟ-ώᾀ-ᾴᾶ-ᾼιῂ-ῄῆ-ῌῐ-ΐῖ-Ίῠ-Ῥῲ-ῴῶ-ῼⁱⁿₐ-ₜℂℇℊ-ℓℕℙ-ℝℤΩℨK-ℭℯ-ℹℼ-ℿⅅ-ⅉⅎↃↄⰀ-Ⱞⰰ-ⱞⱠ-ⳤⳫ-ⳮⳲⳳⴀ-ⴥⴧⴭⴰ-ⵧⵯⶀ-ⶖⶠ-ⶦⶨ-ⶮⶰ-ⶶⶸ-ⶾⷀ-ⷆⷈ-ⷎⷐ-ⷖⷘ-ⷞⸯ々〆〱-〵〻〼ぁ-ゖゝ-ゟァ-ヺー-ヿㄅ-ㄯㄱ-ㆎㆠ-ㆿㇰ-ㇿ㐀-䶿一-鿼ꀀ-ꒌꓐ-ꓽꔀ-ꘌꘐ-ꘟꘪꘫꙀ-ꙮꙿ-ꚝꚠ-ꛥꜗ-ꜟꜢ-ꞈꞋ-ꞿꟂ-ꟊꟵ-ꠁꠃ-ꠅꠇ-ꠊꠌ-ꠢꡀ-ꡳꢂ-ꢳꣲ-ꣷꣻꣽꣾꤊ-ꤥꤰ-ꥆꥠ-ꥼꦄ-ꦲꧏꧠ-ꧤꧦ-ꧯꧺ-ꧾꨀ-ꨨꩀ-ꩂꩄ-ꩋꩠ-ꩶꩺꩾ-ꪯꪱꪵꪶꪹ-ꪽꫀꫂꫛ-ꫝꫠ-ꫪꫲ-ꫴꬁ-ꬆꬉ-ꬎꬑ-ꬖꬠ-ꬦꬨ-ꬮꬰ-ꭚꭜ-ꭩꭰ-ꯢ가-힣ힰ-ퟆퟋ-ퟻ豈-舘並-龎ﬀ-ﬆﬓ-ﬗיִײַ-ﬨשׁ-זּטּ-לּמּנּסּףּפּצּ-ﮱﯓ-ﴽﵐ-ﶏﶒ-ﷇﷰ-ﷻﹰ-ﹴﹶ-ﻼＡ-Ｚａ-ｚｦ-ﾾￂ-ￇￊ-ￏￒ-ￗￚ-ￜ",astral:"\ud800[\udc00-\udc0b\udc0d-\udc26\udc28-\udc3a\udc3c\udc3d\udc3f-\udc4d\udc50-\udc5d\udc80-\udcfa\ude80-\ude9c\udea0-\uded0\udf00-\udf1f\udf2d-\udf40\udf42-\udf49\udf50-\udf75\udf80-\udf9d\udfa0-\udfc3\udfc8-\udfcf]|\ud801[\udc00-\udc9d\udcb0-\udcd3\udcd8-\udcfb\udd00-\udd27\udd30-\udd63\ude00-\udf36\udf40-\udf55\udf60-\udf67]|\ud802[\udc00-\udc05\udc08\udc0a-\udc35\udc37\udc38\udc3c\udc3f-\udc55\udc60-\udc76\udc80-\udc9e\udce0-\udcf2\udcf4\udcf5\udd00-\udd15\udd20-\udd39\udd80-\uddb7\uddbe\uddbf\ude00\ude10-\ude13\ude15-\ude17\ude19-\ude35\ude60-\ude7c\ude80-\ude9c\udec0-\udec7\udec9-\udee4\udf00-\udf35\udf40-\udf55\udf60-\udf72\udf80-\udf91]|\ud803[\udc00-\udc48\udc80-\udcb2\udcc0-\udcf2\udd00-\udd23\ude80-\udea9\udeb0\udeb1\udf00-\udf1c\udf27\udf30-\udf45\udfb0-\udfc4\udfe0-\udff6]|\ud804[\udc03-\udc37\udc83-\udcaf\udcd0-\udce8\udd03-\udd26\udd44\udd47\udd50-\udd72\udd76\udd83-\uddb2\uddc1-\uddc4\uddda\udddc\ude00-\ude11\ude13-\ude2b\ude80-\ude86\ude88\ude8a-\ude8d\ude8f-\ude9d\ude9f-\udea8\udeb0-\udede\udf05-\udf0c\udf0f\udf10\udf13-\udf28\udf2a-\udf30\udf32\udf33\udf35-\udf39\udf3d\udf50\udf5d-\udf61]|\ud805[\udc00-\udc34\udc47-\udc4a\udc5f-\udc61\udc80-\udcaf\udcc4\udcc5\udcc7\udd80-\uddae\uddd8-\udddb\ude00-\ude2f\ude44\ude80-\udeaa\udeb8\udf00-\udf1a]|\ud806[\udc00-\udc2b\udca0-\udcdf\udcff-\udd06\udd09\udd0c-\udd13\udd15\udd16\udd18-\udd2f\udd3f\udd41\udda0-\udda7\uddaa-\uddd0\udde1\udde3\ude00\ude0b-\ude32\ude3a\ude50\ude5c-\ude89\ude9d\udec0-\udef8]|\ud807[\udc00-\udc08\udc0a-\udc2e\udc40\udc72-\udc8f\udd00-\udd06\udd08\udd09\udd0b-\udd30\udd46\udd60-\udd65\udd67\udd68\udd6a-\udd89\udd98\udee0-\udef2\udfb0]|\ud808[\udc00-\udf99]|\ud809[\udc80-\udd43]|[\ud80c\ud81c-\ud820\ud822\ud840-\ud868\ud86a-\ud86c\ud86f-\ud872\ud874-\ud879\ud880-\ud883][\udc00-\udfff]|\ud80d[\udc00-\udc2e]|\ud811[\udc00-\ude46]|\ud81a[\udc00-\ude38\ude40-\ude5e\uded0-\udeed\udf00-\udf2f\udf40-\udf43\udf63-\udf77\udf7d-\udf8f]|\ud81b[\ude40-\ude7f\udf00-\udf4a\udf50\udf93-\udf9f\udfe0\udfe1\udfe3]|\ud821[\udc00-\udff7]|\ud823[\udc00-\udcd5\udd00-\udd08]|\ud82c[\udc00-\udd1e\udd50-\udd52\udd64-\udd67\udd70-\udefb]|\ud82f[\udc00-\udc6a\udc70-\udc7c\udc80-\udc88\udc90-\udc99]|\ud835[\udc00-\udc54\udc56-\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd1e-\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd52-\udea5\udea8-\udec0\udec2-\udeda\udedc-\udefa\udefc-\udf14\udf16-\udf34\udf36-\udf4e\udf50-\udf6e\udf70-\udf88\udf8a-\udfa8\udfaa-\udfc2\udfc4-\udfcb]|\ud838[\udd00-\udd2c\udd37-\udd3d\udd4e\udec0-\udeeb]|\ud83a[\udc00-\udcc4\udd00-\udd43\udd4b]|\ud83b[\ude00-\ude03\ude05-\ude1f\ude21\ude22\ude24\ude27\ude29-\ude32\ude34-\ude37\ude39\ude3b\ude42\ude47\ude49\ude4b\ude4d-\ude4f\ude51\ude52\ude54\ude57\ude59\ude5b\ude5d\ude5f\ude61\ude62\ude64\ude67-\ude6a\ude6c-\ude72\ude74-\ude77\ude79-\ude7c\ude7e\ude80-\ude89\ude8b-\ude9b\udea1-\udea3\udea5-\udea9\udeab-\udebb]|\ud869[\udc00-\udedd\udf00-\udfff]|\ud86d[\udc00-\udf34\udf40-\udfff]|\ud86e[\udc00-\udc1d\udc20-\udfff]|\ud873[\udc00-\udea1\udeb0-\udfff]|\ud87a[\udc00-\udfe0]|\ud87e[\udc00-\ude1d]|\ud884[\udc00-\udf4a]"},{name:"LC",alias:"Cased_Letter",bmp:"A-Za-zµÀ-ÖØ-öø-ƺƼ-ƿǄ-ʓʕ-ʯͰ-ͳͶͷͻ-ͽͿΆΈ-ΊΌΎ-ΡΣ-ϵϷ-ҁҊ-ԯԱ-Ֆՠ-ֈႠ-ჅჇჍა-ჺჽ-ჿᎠ-Ᏽᏸ-ᏽᲀ-ᲈᲐ-ᲺᲽ-Ჿᴀ-ᴫᵫ-ᵷᵹ-ᶚḀ-ἕἘ-Ἕἠ-ὅὈ-Ὅὐ-ὗὙὛὝὟ-ώᾀ-ᾴᾶ-ᾼιῂ-ῄῆ-ῌῐ-ΐῖ-Ίῠ-Ῥῲ-ῴῶ-ῼℂℇℊ-ℓℕℙ-ℝℤΩℨK-ℭℯ-ℴℹℼ-ℿⅅ-ⅉⅎↃↄⰀ-Ⱞⰰ-ⱞⱠ-ⱻⱾ-ⳤⳫ-ⳮⳲⳳⴀ-ⴥⴧⴭꙀ-ꙭꚀ-ꚛꜢ-ꝯꝱ-ꞇꞋ-ꞎꞐ-ꞿꟂ-ꟊꟵꟶꟺꬰ-ꭚꭠ-ꭨꭰ-ꮿﬀ-ﬆﬓ-ﬗＡ-Ｚａ-ｚ",astral:"\ud801[\udc00-\udc4f\udcb0-\udcd3\udcd8-\udcfb]|\ud803[\udc80-\udcb2\udcc0-\udcf2]|\ud806[\udca0-\udcdf]|\ud81b[\ude40-\ude7f]|\ud835[\udc00-\udc54\udc56-\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd1e-\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd52-\udea5\udea8-\udec0\udec2-\udeda\udedc-\udefa\udefc-\udf14\udf16-\udf34\udf36-\udf4e\udf50-\udf6e\udf70-\udf88\udf8a-\udfa8\udfaa-\udfc2\udfc4-\udfcb]|\ud83a[\udd00-\udd43]"},{name:"Ll",alias:"Lowercase_Letter",bmp:"a-zµß-öø-ÿāăąćĉċčďđēĕėęěĝğġģĥħĩīĭįıĳĵķĸĺļľŀłńņňŉŋōŏőœŕŗřśŝşšţťŧũūŭůűųŵŷźżž-ƀƃƅƈƌƍƒƕƙ-ƛƞơƣƥƨƪƫƭưƴƶƹƺƽ-ƿǆǉǌǎǐǒǔǖǘǚǜǝǟǡǣǥǧǩǫǭǯǰǳǵǹǻǽǿȁȃȅȇȉȋȍȏȑȓȕȗșțȝȟȡȣȥȧȩȫȭȯȱȳ-ȹȼȿɀɂɇɉɋɍɏ-ʓʕ-ʯͱͳͷͻ-ͽΐά-ώϐϑϕ-ϗϙϛϝϟϡϣϥϧϩϫϭϯ-ϳϵϸϻϼа-џѡѣѥѧѩѫѭѯѱѳѵѷѹѻѽѿҁҋҍҏґғҕҗҙқҝҟҡңҥҧҩҫҭүұҳҵҷҹһҽҿӂӄӆӈӊӌӎӏӑӓӕӗәӛӝӟӡӣӥӧөӫӭӯӱӳӵӷӹӻӽӿԁԃԅԇԉԋԍԏԑԓԕԗԙԛԝԟԡԣԥԧԩԫԭԯՠ-ֈა-ჺჽ-ჿᏸ-ᏽᲀ-ᲈᴀ-ᴫᵫ-ᵷᵹ-ᶚḁḃḅḇḉḋḍḏḑḓḕḗḙḛḝḟḡḣḥḧḩḫḭḯḱḳḵḷḹḻḽḿṁṃṅṇṉṋṍṏṑṓṕṗṙṛṝṟṡṣṥṧṩṫṭṯṱṳṵṷṹṻṽṿẁẃẅẇẉẋẍẏẑẓẕ-ẝẟạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹỻỽỿ-ἇἐ-ἕἠ-ἧἰ-ἷὀ-ὅὐ-ὗὠ-ὧὰ-ώᾀ-ᾇᾐ-ᾗᾠ-ᾧᾰ-ᾴᾶᾷιῂ-ῄῆῇῐ-ΐῖῗῠ-ῧῲ-ῴῶῷℊℎℏℓℯℴℹℼℽⅆ-ⅉⅎↄⰰ-ⱞⱡⱥⱦⱨⱪⱬⱱⱳⱴⱶ-ⱻⲁⲃⲅⲇⲉⲋⲍⲏⲑⲓⲕⲗⲙⲛⲝⲟⲡⲣⲥⲧⲩⲫⲭⲯⲱⲳⲵⲷⲹⲻⲽⲿⳁⳃⳅⳇⳉⳋⳍⳏⳑⳓⳕⳗⳙⳛⳝⳟⳡⳣⳤⳬⳮⳳⴀ-ⴥⴧⴭꙁꙃꙅꙇꙉꙋꙍꙏꙑꙓꙕꙗꙙꙛꙝꙟꙡꙣꙥꙧꙩꙫꙭꚁꚃꚅꚇꚉꚋꚍꚏꚑꚓꚕꚗꚙꚛꜣꜥꜧꜩꜫꜭꜯ-ꜱꜳꜵꜷꜹꜻꜽꜿꝁꝃꝅꝇꝉꝋꝍꝏꝑꝓꝕꝗꝙꝛꝝꝟꝡꝣꝥꝧꝩꝫꝭꝯꝱ-ꝸꝺꝼꝿꞁꞃꞅꞇꞌꞎꞑꞓ-ꞕꞗꞙꞛꞝꞟꞡꞣꞥꞧꞩꞯꞵꞷꞹꞻꞽꞿꟃꟈꟊꟶꟺꬰ-ꭚꭠ-ꭨꭰ-ꮿﬀ-ﬆﬓ-ﬗａ-ｚ",astral:"\ud801[\udc28-\udc4f\udcd8-\udcfb]|\ud803[\udcc0-\udcf2]|\ud806[\udcc0-\udcdf]|\ud81b[\ude60-\ude7f]|\ud835[\udc1a-\udc33\udc4e-\udc54\udc56-\udc67\udc82-\udc9b\udcb6-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udccf\udcea-\udd03\udd1e-\udd37\udd52-\udd6b\udd86-\udd9f\uddba-\uddd3\uddee-\ude07\ude22-\ude3b\ude56-\ude6f\ude8a-\udea5\udec2-\udeda\udedc-\udee1\udefc-\udf14\udf16-\udf1b\udf36-\udf4e\udf50-\udf55\udf70-\udf88\udf8a-\udf8f\udfaa-\udfc2\udfc4-\udfc9\udfcb]|\ud83a[\udd22-\udd43]"},{name:"Lm",alias:"Modifier_Letter",bmp:"ʰ-ˁˆ-ˑˠ-ˤˬˮʹͺՙـۥۦߴߵߺࠚࠤࠨॱๆໆჼៗᡃᪧᱸ-ᱽᴬ-ᵪᵸᶛ-ᶿⁱⁿₐ-ₜⱼⱽⵯⸯ々〱-〵〻ゝゞー-ヾꀕꓸ-ꓽꘌꙿꚜꚝꜗ-ꜟꝰꞈꟸꟹꧏꧦꩰꫝꫳꫴꭜ-ꭟꭩｰﾞﾟ",astral:"\ud81a[\udf40-\udf43]|\ud81b[\udf93-\udf9f\udfe0\udfe1\udfe3]|\ud838[\udd37-\udd3d]|𞥋"},{name:"Lo",alias:"Other_Letter",bmp:"ªºƻǀ-ǃʔא-תׯ-ײؠ-ؿف-يٮٯٱ-ۓەۮۯۺ-ۼۿܐܒ-ܯݍ-ޥޱߊ-ߪࠀ-ࠕࡀ-ࡘࡠ-ࡪࢠ-ࢴࢶ-ࣇऄ-हऽॐक़-ॡॲ-ঀঅ-ঌএঐও-নপ-রলশ-হঽৎড়ঢ়য়-ৡৰৱৼਅ-ਊਏਐਓ-ਨਪ-ਰਲਲ਼ਵਸ਼ਸਹਖ਼-ੜਫ਼ੲ-ੴઅ-ઍએ-ઑઓ-નપ-રલળવ-હઽૐૠૡૹଅ-ଌଏଐଓ-ନପ-ରଲଳଵ-ହଽଡ଼ଢ଼ୟ-ୡୱஃஅ-ஊஎ-ஐஒ-கஙசஜஞடணதந-பம-ஹௐఅ-ఌఎ-ఐఒ-నప-హఽౘ-ౚౠౡಀಅ-ಌಎ-ಐಒ-ನಪ-ಳವ-ಹಽೞೠೡೱೲഄ-ഌഎ-ഐഒ-ഺഽൎൔ-ൖൟ-ൡൺ-ൿඅ-ඖක-නඳ-රලව-ෆก-ะาำเ-ๅກຂຄຆ-ຊຌ-ຣລວ-ະາຳຽເ-ໄໜ-ໟༀཀ-ཇཉ-ཬྈ-ྌက-ဪဿၐ-ၕၚ-ၝၡၥၦၮ-ၰၵ-ႁႎᄀ-ቈቊ-ቍቐ-ቖቘቚ-ቝበ-ኈኊ-ኍነ-ኰኲ-ኵኸ-ኾዀዂ-ዅወ-ዖዘ-ጐጒ-ጕጘ-ፚᎀ-ᎏᐁ-ᙬᙯ-ᙿᚁ-ᚚᚠ-ᛪᛱ-ᛸᜀ-ᜌᜎ-ᜑᜠ-ᜱᝀ-ᝑᝠ-ᝬᝮ-ᝰក-ឳៜᠠ-ᡂᡄ-ᡸᢀ-ᢄᢇ-ᢨᢪᢰ-ᣵᤀ-ᤞᥐ-ᥭᥰ-ᥴᦀ-ᦫᦰ-ᧉᨀ-ᨖᨠ-ᩔᬅ-ᬳᭅ-ᭋᮃ-ᮠᮮᮯᮺ-ᯥᰀ-ᰣᱍ-ᱏᱚ-ᱷᳩ-ᳬᳮ-ᳳᳵᳶᳺℵ-ℸⴰ-ⵧⶀ-ⶖⶠ-ⶦⶨ-ⶮⶰ-ⶶⶸ-ⶾⷀ-ⷆⷈ-ⷎⷐ-ⷖⷘ-ⷞ〆〼ぁ-ゖゟァ-ヺヿㄅ-ㄯㄱ-ㆎㆠ-ㆿㇰ-ㇿ㐀-䶿一-鿼ꀀ-ꀔꀖ-ꒌꓐ-ꓷꔀ-ꘋꘐ-ꘟꘪꘫꙮꚠ-ꛥꞏꟷꟻ-ꠁꠃ-ꠅꠇ-ꠊꠌ-ꠢꡀ-ꡳꢂ-ꢳꣲ-ꣷꣻꣽꣾꤊ-ꤥꤰ-ꥆꥠ-ꥼꦄ-ꦲꧠ-ꧤꧧ-ꧯꧺ-ꧾꨀ-ꨨꩀ-ꩂꩄ-ꩋꩠ-ꩯꩱ-ꩶꩺꩾ-ꪯꪱꪵꪶꪹ-ꪽꫀꫂꫛꫜꫠ-ꫪꫲꬁ-ꬆꬉ-ꬎꬑ-ꬖꬠ-ꬦꬨ-ꬮꯀ-ꯢ가-힣ힰ-ퟆퟋ-ퟻ豈-舘並-龎יִײַ-ﬨשׁ-זּטּ-לּמּנּסּףּפּצּ-ﮱﯓ-ﴽﵐ-ﶏﶒ-ﷇﷰ-ﷻﹰ-ﹴﹶ-ﻼｦ-ｯｱ-ﾝﾠ-ﾾￂ-ￇￊ-ￏￒ-ￗￚ-ￜ",astral:"\ud800[\udc00-\udc0b\udc0d-\udc26\udc28-\udc3a\udc3c\udc3d\udc3f-\udc4d\udc50-\udc5d\udc80-\udcfa\ude80-\ude9c\udea0-\uded0\udf00-\udf1f\udf2d-\udf40\udf42-\udf49\udf50-\udf75\udf80-\udf9d\udfa0-\udfc3\udfc8-\udfcf]|\ud801[\udc50-\udc9d\udd00-\udd27\udd30-\udd63\ude00-\udf36\udf40-\udf55\udf60-\udf67]|\ud802[\udc00-\udc05\udc08\udc0a-\udc35\udc37\udc38\udc3c\udc3f-\udc55\udc60-\udc76\udc80-\udc9e\udce0-\udcf2\udcf4\udcf5\udd00-\udd15\udd20-\udd39\udd80-\uddb7\uddbe\uddbf\ude00\ude10-\ude13\ude15-\ude17\ude19-\ude35\ude60-\ude7c\ude80-\ude9c\udec0-\udec7\udec9-\udee4\udf00-\udf35\udf40-\udf55\udf60-\udf72\udf80-\udf91]|\ud803[\udc00-\udc48\udd00-\udd23\ude80-\udea9\udeb0\udeb1\udf00-\udf1c\udf27\udf30-\udf45\udfb0-\udfc4\udfe0-\udff6]|\ud804[\udc03-\udc37\udc83-\udcaf\udcd0-\udce8\udd03-\udd26\udd44\udd47\udd50-\udd72\udd76\udd83-\uddb2\uddc1-\uddc4\uddda\udddc\ude00-\ude11\ude13-\ude2b\ude80-\ude86\ude88\ude8a-\ude8d\ude8f-\ude9d\ude9f-\udea8\udeb0-\udede\udf05-\udf0c\udf0f\udf10\udf13-\udf28\udf2a-\udf30\udf32\udf33\udf35-\udf39\udf3d\udf50\udf5d-\udf61]|\ud805[\udc00-\udc34\udc47-\udc4a\udc5f-\udc61\udc80-\udcaf\udcc4\udcc5\udcc7\udd80-\uddae\uddd8-\udddb\ude00-\ude2f\ude44\ude80-\udeaa\udeb8\udf00-\udf1a]|\ud806[\udc00-\udc2b\udcff-\udd06\udd09\udd0c-\udd13\udd15\udd16\udd18-\udd2f\udd3f\udd41\udda0-\udda7\uddaa-\uddd0\udde1\udde3\ude00\ude0b-\ude32\ude3a\ude50\ude5c-\ude89\ude9d\udec0-\udef8]|\ud807[\udc00-\udc08\udc0a-\udc2e\udc40\udc72-\udc8f\udd00-\udd06\udd08\udd09\udd0b-\udd30\udd46\udd60-\udd65\udd67\udd68\udd6a-\udd89\udd98\udee0-\udef2\udfb0]|\ud808[\udc00-\udf99]|\ud809[\udc80-\udd43]|[\ud80c\ud81c-\ud820\ud822\ud840-\ud868\ud86a-\ud86c\ud86f-\ud872\ud874-\ud879\ud880-\ud883][\udc00-\udfff]|\ud80d[\udc00-\udc2e]|\ud811[\udc00-\ude46]|\ud81a[\udc00-\ude38\ude40-\ude5e\uded0-\udeed\udf00-\udf2f\udf63-\udf77\udf7d-\udf8f]|\ud81b[\udf00-\udf4a\udf50]|\ud821[\udc00-\udff7]|\ud823[\udc00-\udcd5\udd00-\udd08]|\ud82c[\udc00-\udd1e\udd50-\udd52\udd64-\udd67\udd70-\udefb]|\ud82f[\udc00-\udc6a\udc70-\udc7c\udc80-\udc88\udc90-\udc99]|\ud838[\udd00-\udd2c\udd4e\udec0-\udeeb]|\ud83a[\udc00-\udcc4]|\ud83b[\ude00-\ude03\ude05-\ude1f\ude21\ude22\ude24\ude27\ude29-\ude32\ude34-\ude37\ude39\ude3b\ude42\ude47\ude49\ude4b\ude4d-\ude4f\ude51\ude52\ude54\ude57\ude59\ude5b\ude5d\ude5f\ude61\ude62\ude64\ude67-\ude6a\ude6c-\ude72\ude74-\ude77\ude79-\ude7c\ude7e\ude80-\ude89\ude8b-\ude9b\udea1-\udea3\udea5-\udea9\udeab-\udebb]|\ud869[\udc00-\udedd\udf00-\udfff]|\ud86d[\udc00-\udf34\udf40-\udfff]|\ud86e[\udc00-\udc1d\udc20-\udfff]|\ud873[\udc00-\udea1\udeb0-\udfff]|\ud87a[\udc00-\udfe0]|\ud87e[\udc00-\ude1d]|\ud884[\udc00-\udf4a]"},{name:"Lt",alias:"Titlecase_Letter",bmp:"ǅǈǋǲᾈ-ᾏᾘ-ᾟᾨ-ᾯᾼῌῼ"},{name:"Lu",alias:"Uppercase_Letter",bmp:"A-ZÀ-ÖØ-ÞĀĂĄĆĈĊČĎĐĒĔĖĘĚĜĞĠĢĤĦĨĪĬĮİĲĴĶĹĻĽĿŁŃŅŇŊŌŎŐŒŔŖŘŚŜŞŠŢŤŦŨŪŬŮŰŲŴŶŸŹŻŽƁƂƄƆƇƉ-ƋƎ-ƑƓƔƖ-ƘƜƝƟƠƢƤƦƧƩƬƮƯƱ-ƳƵƷƸƼǄǇǊǍǏǑǓǕǗǙǛǞǠǢǤǦǨǪǬǮǱǴǶ-ǸǺǼǾȀȂȄȆȈȊȌȎȐȒȔȖȘȚȜȞȠȢȤȦȨȪȬȮȰȲȺȻȽȾɁɃ-ɆɈɊɌɎͰͲͶͿΆΈ-ΊΌΎΏΑ-ΡΣ-ΫϏϒ-ϔϘϚϜϞϠϢϤϦϨϪϬϮϴϷϹϺϽ-ЯѠѢѤѦѨѪѬѮѰѲѴѶѸѺѼѾҀҊҌҎҐҒҔҖҘҚҜҞҠҢҤҦҨҪҬҮҰҲҴҶҸҺҼҾӀӁӃӅӇӉӋӍӐӒӔӖӘӚӜӞӠӢӤӦӨӪӬӮӰӲӴӶӸӺӼӾԀԂԄԆԈԊԌԎԐԒԔԖԘԚԜԞԠԢԤԦԨԪԬԮԱ-ՖႠ-ჅჇჍᎠ-ᏵᲐ-ᲺᲽ-ᲿḀḂḄḆḈḊḌḎḐḒḔḖḘḚḜḞḠḢḤḦḨḪḬḮḰḲḴḶḸḺḼḾṀṂṄṆṈṊṌṎṐṒṔṖṘṚṜṞṠṢṤṦṨṪṬṮṰṲṴṶṸṺṼṾẀẂẄẆẈẊẌẎẐẒẔẞẠẢẤẦẨẪẬẮẰẲẴẶẸẺẼẾỀỂỄỆỈỊỌỎỐỒỔỖỘỚỜỞỠỢỤỦỨỪỬỮỰỲỴỶỸỺỼỾἈ-ἏἘ-ἝἨ-ἯἸ-ἿὈ-ὍὙὛὝὟὨ-ὯᾸ-ΆῈ-ΉῘ-ΊῨ-ῬῸ-Ώℂℇℋ-ℍℐ-ℒℕℙ-ℝℤΩℨK-ℭℰ-ℳℾℿⅅↃⰀ-ⰮⱠⱢ-ⱤⱧⱩⱫⱭ-ⱰⱲⱵⱾ-ⲀⲂⲄⲆⲈⲊⲌⲎⲐⲒⲔⲖⲘⲚⲜⲞⲠⲢⲤⲦⲨⲪⲬⲮⲰⲲⲴⲶⲸⲺⲼⲾⳀⳂⳄⳆⳈⳊⳌⳎⳐⳒⳔⳖⳘⳚⳜⳞⳠⳢⳫⳭⳲꙀꙂꙄꙆꙈꙊꙌꙎꙐꙒꙔꙖꙘꙚꙜꙞꙠꙢꙤꙦꙨꙪꙬꚀꚂꚄꚆꚈꚊꚌꚎꚐꚒꚔꚖꚘꚚꜢꜤꜦꜨꜪꜬꜮꜲꜴꜶꜸꜺꜼꜾꝀꝂꝄꝆꝈꝊꝌꝎꝐꝒꝔꝖꝘꝚꝜꝞꝠꝢꝤꝦꝨꝪꝬꝮꝹꝻꝽꝾꞀꞂꞄꞆꞋꞍꞐꞒꞖꞘꞚꞜꞞꞠꞢꞤꞦꞨꞪ-ꞮꞰ-ꞴꞶꞸꞺꞼꞾꟂꟄ-ꟇꟉꟵＡ-Ｚ",astral:"\ud801[\udc00-\udc27\udcb0-\udcd3]|\ud803[\udc80-\udcb2]|\ud806[\udca0-\udcbf]|\ud81b[\ude40-\ude5f]|\ud835[\udc00-\udc19\udc34-\udc4d\udc68-\udc81\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb5\udcd0-\udce9\udd04\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd38\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd6c-\udd85\udda0-\uddb9\uddd4-\udded\ude08-\ude21\ude3c-\ude55\ude70-\ude89\udea8-\udec0\udee2-\udefa\udf1c-\udf34\udf56-\udf6e\udf90-\udfa8\udfca]|\ud83a[\udd00-\udd21]"},{name:"M",alias:"Mark",bmp:"̀-ͯ҃-҉֑-ׇֽֿׁׂׅׄؐ-ًؚ-ٰٟۖ-ۜ۟-۪ۤۧۨ-ܑۭܰ-݊ަ-ް߫-߽߳ࠖ-࠙ࠛ-ࠣࠥ-ࠧࠩ-࡙࠭-࡛࣓-ࣣ࣡-ःऺ-़ा-ॏ॑-ॗॢॣঁ-ঃ়া-ৄেৈো-্ৗৢৣ৾ਁ-ਃ਼ਾ-ੂੇੈੋ-੍ੑੰੱੵઁ-ઃ઼ા-ૅે-ૉો-્ૢૣૺ-૿ଁ-ଃ଼ା-ୄେୈୋ-୍୕-ୗୢୣஂா-ூெ-ைொ-்ௗఀ-ఄా-ౄె-ైొ-్ౕౖౢౣಁ-ಃ಼ಾ-ೄೆ-ೈೊ-್ೕೖೢೣഀ-ഃ഻഼ാ-ൄെ-ൈൊ-്ൗൢൣඁ-ඃ්ා-ුූෘ-ෟෲෳัิ-ฺ็-๎ັິ-ຼ່-ໍ༹༘༙༵༷༾༿ཱ-྄྆྇ྍ-ྗྙ-ྼ࿆ါ-ှၖ-ၙၞ-ၠၢ-ၤၧ-ၭၱ-ၴႂ-ႍႏႚ-ႝ፝-፟ᜒ-᜔ᜲ-᜴ᝒᝓᝲᝳ឴-៓៝᠋-᠍ᢅᢆᢩᤠ-ᤫᤰ-᤻ᨗ-ᨛᩕ-ᩞ᩠-᩿᩼᪰-ᫀᬀ-ᬄ᬴-᭄᭫-᭳ᮀ-ᮂᮡ-ᮭ᯦-᯳ᰤ-᰷᳐-᳔᳒-᳨᳭᳴᳷-᳹᷀-᷹᷻-᷿⃐-⃰⳯-⵿⳱ⷠ-〪ⷿ-゙゚〯꙯-꙲ꙴ-꙽ꚞꚟ꛰꛱ꠂ꠆ꠋꠣ-ꠧ꠬ꢀꢁꢴ-ꣅ꣠-꣱ꣿꤦ-꤭ꥇ-꥓ꦀ-ꦃ꦳-꧀ꧥꨩ-ꨶꩃꩌꩍꩻ-ꩽꪰꪲ-ꪴꪷꪸꪾ꪿꫁ꫫ-ꫯꫵ꫶ꯣ-ꯪ꯬꯭ﬞ︀-️︠-︯",astral:"\ud800[\uddfd\udee0\udf76-\udf7a]|\ud802[\ude01-\ude03\ude05\ude06\ude0c-\ude0f\ude38-\ude3a\ude3f\udee5\udee6]|\ud803[\udd24-\udd27\udeab\udeac\udf46-\udf50]|\ud804[\udc00-\udc02\udc38-\udc46\udc7f-\udc82\udcb0-\udcba\udd00-\udd02\udd27-\udd34\udd45\udd46\udd73\udd80-\udd82\uddb3-\uddc0\uddc9-\uddcc\uddce\uddcf\ude2c-\ude37\ude3e\udedf-\udeea\udf00-\udf03\udf3b\udf3c\udf3e-\udf44\udf47\udf48\udf4b-\udf4d\udf57\udf62\udf63\udf66-\udf6c\udf70-\udf74]|\ud805[\udc35-\udc46\udc5e\udcb0-\udcc3\uddaf-\uddb5\uddb8-\uddc0\udddc\udddd\ude30-\ude40\udeab-\udeb7\udf1d-\udf2b]|\ud806[\udc2c-\udc3a\udd30-\udd35\udd37\udd38\udd3b-\udd3e\udd40\udd42\udd43\uddd1-\uddd7\uddda-\udde0\udde4\ude01-\ude0a\ude33-\ude39\ude3b-\ude3e\ude47\ude51-\ude5b\ude8a-\ude99]|\ud807[\udc2f-\udc36\udc38-\udc3f\udc92-\udca7\udca9-\udcb6\udd31-\udd36\udd3a\udd3c\udd3d\udd3f-\udd45\udd47\udd8a-\udd8e\udd90\udd91\udd93-\udd97\udef3-\udef6]|\ud81a[\udef0-\udef4\udf30-\udf36]|\ud81b[\udf4f\udf51-\udf87\udf8f-\udf92\udfe4\udff0\udff1]|\ud82f[\udc9d\udc9e]|\ud834[\udd65-\udd69\udd6d-\udd72\udd7b-\udd82\udd85-\udd8b\uddaa-\uddad\ude42-\ude44]|\ud836[\ude00-\ude36\ude3b-\ude6c\ude75\ude84\ude9b-\ude9f\udea1-\udeaf]|\ud838[\udc00-\udc06\udc08-\udc18\udc1b-\udc21\udc23\udc24\udc26-\udc2a\udd30-\udd36\udeec-\udeef]|\ud83a[\udcd0-\udcd6\udd44-\udd4a]|\udb40[\udd00-\uddef]"},{name:"Mc",alias:"Spacing_Mark",bmp:"ःऻा-ीॉ-ौॎॏংঃা-ীেৈোৌৗਃਾ-ੀઃા-ીૉોૌଂଃାୀେୈୋୌୗாிுூெ-ைொ-ௌௗఁ-ఃు-ౄಂಃಾೀ-ೄೇೈೊೋೕೖംഃാ-ീെ-ൈൊ-ൌൗංඃා-ෑෘ-ෟෲෳ༾༿ཿါာေးျြၖၗၢ-ၤၧ-ၭႃႄႇ-ႌႏႚ-ႜាើ-ៅះៈᤣ-ᤦᤩ-ᤫᤰᤱᤳ-ᤸᨙᨚᩕᩗᩡᩣᩤᩭ-ᩲᬄᬵᬻᬽ-ᭁᭃ᭄ᮂᮡᮦᮧ᮪ᯧᯪ-ᯬᯮ᯲᯳ᰤ-ᰫᰴᰵ᳡᳷〮〯ꠣꠤꠧꢀꢁꢴ-ꣃꥒ꥓ꦃꦴꦵꦺꦻꦾ-꧀ꨯꨰꨳꨴꩍꩻꩽꫫꫮꫯꫵꯣꯤꯦꯧꯩꯪ꯬",astral:"\ud804[\udc00\udc02\udc82\udcb0-\udcb2\udcb7\udcb8\udd2c\udd45\udd46\udd82\uddb3-\uddb5\uddbf\uddc0\uddce\ude2c-\ude2e\ude32\ude33\ude35\udee0-\udee2\udf02\udf03\udf3e\udf3f\udf41-\udf44\udf47\udf48\udf4b-\udf4d\udf57\udf62\udf63]|\ud805[\udc35-\udc37\udc40\udc41\udc45\udcb0-\udcb2\udcb9\udcbb-\udcbe\udcc1\uddaf-\uddb1\uddb8-\uddbb\uddbe\ude30-\ude32\ude3b\ude3c\ude3e\udeac\udeae\udeaf\udeb6\udf20\udf21\udf26]|\ud806[\udc2c-\udc2e\udc38\udd30-\udd35\udd37\udd38\udd3d\udd40\udd42\uddd1-\uddd3\udddc-\udddf\udde4\ude39\ude57\ude58\ude97]|\ud807[\udc2f\udc3e\udca9\udcb1\udcb4\udd8a-\udd8e\udd93\udd94\udd96\udef5\udef6]|\ud81b[\udf51-\udf87\udff0\udff1]|\ud834[\udd65\udd66\udd6d-\udd72]"},{name:"Me",alias:"Enclosing_Mark",bmp:"҈҉᪾⃝-⃠⃢-⃤꙰-꙲"},{name:"Mn",alias:"Nonspacing_Mark",bmp:"̀-ͯ҃-֑҇-ׇֽֿׁׂׅׄؐ-ًؚ-ٰٟۖ-ۜ۟-۪ۤۧۨ-ܑۭܰ-݊ަ-ް߫-߽߳ࠖ-࠙ࠛ-ࠣࠥ-ࠧࠩ-࡙࠭-࡛࣓-ࣣ࣡-ंऺ़ु-ै्॑-ॗॢॣঁ়ু-ৄ্ৢৣ৾ਁਂ਼ੁੂੇੈੋ-੍ੑੰੱੵઁં઼ુ-ૅેૈ્ૢૣૺ-૿ଁ଼ିୁ-ୄ୍୕ୖୢୣஂீ்ఀఄా-ీె-ైొ-్ౕౖౢౣಁ಼ಿೆೌ್ೢೣഀഁ഻഼ു-ൄ്ൢൣඁ්ි-ුූัิ-ฺ็-๎ັິ-ຼ່-ໍཱ༹༘༙༵༷-ཾྀ-྄྆྇ྍ-ྗྙ-ྼ࿆ိ-ူဲ-့္်ွှၘၙၞ-ၠၱ-ၴႂႅႆႍႝ፝-፟ᜒ-᜔ᜲ-᜴ᝒᝓᝲᝳ឴឵ិ-ួំ៉-៓៝᠋-᠍ᢅᢆᢩᤠ-ᤢᤧᤨᤲ᤹-᤻ᨘᨗᨛᩖᩘ-ᩞ᩠ᩢᩥ-ᩬᩳ-᩿᩼᪰-᪽ᪿᫀᬀ-ᬃ᬴ᬶ-ᬺᬼᭂ᭫-᭳ᮀᮁᮢ-ᮥᮨᮩ᮫-ᮭ᯦ᯨᯩᯭᯯ-ᯱᰬ-ᰳᰶ᰷᳐-᳔᳒-᳢᳠-᳨᳭᳴᳸᳹᷀-᷹᷻-᷿⃐-⃥⃜⃡-⃰⳯-⵿⳱ⷠ-〪ⷿ-゙゚〭꙯ꙴ-꙽ꚞꚟ꛰꛱ꠂ꠆ꠋꠥꠦ꠬꣄ꣅ꣠-꣱ꣿꤦ-꤭ꥇ-ꥑꦀ-ꦂ꦳ꦶ-ꦹꦼꦽꧥꨩ-ꨮꨱꨲꨵꨶꩃꩌꩼꪰꪲ-ꪴꪷꪸꪾ꪿꫁ꫬꫭ꫶ꯥꯨ꯭ﬞ︀-️︠-︯",astral:"\ud800[\uddfd\udee0\udf76-\udf7a]|\ud802[\ude01-\ude03\ude05\ude06\ude0c-\ude0f\ude38-\ude3a\ude3f\udee5\udee6]|\ud803[\udd24-\udd27\udeab\udeac\udf46-\udf50]|\ud804[\udc01\udc38-\udc46\udc7f-\udc81\udcb3-\udcb6\udcb9\udcba\udd00-\udd02\udd27-\udd2b\udd2d-\udd34\udd73\udd80\udd81\uddb6-\uddbe\uddc9-\uddcc\uddcf\ude2f-\ude31\ude34\ude36\ude37\ude3e\udedf\udee3-\udeea\udf00\udf01\udf3b\udf3c\udf40\udf66-\udf6c\udf70-\udf74]|\ud805[\udc38-\udc3f\udc42-\udc44\udc46\udc5e\udcb3-\udcb8\udcba\udcbf\udcc0\udcc2\udcc3\uddb2-\uddb5\uddbc\uddbd\uddbf\uddc0\udddc\udddd\ude33-\ude3a\ude3d\ude3f\ude40\udeab\udead\udeb0-\udeb5\udeb7\udf1d-\udf1f\udf22-\udf25\udf27-\udf2b]|\ud806[\udc2f-\udc37\udc39\udc3a\udd3b\udd3c\udd3e\udd43\uddd4-\uddd7\uddda\udddb\udde0\ude01-\ude0a\ude33-\ude38\ude3b-\ude3e\ude47\ude51-\ude56\ude59-\ude5b\ude8a-\ude96\ude98\ude99]|\ud807[\udc30-\udc36\udc38-\udc3d\udc3f\udc92-\udca7\udcaa-\udcb0\udcb2\udcb3\udcb5\udcb6\udd31-\udd36\udd3a\udd3c\udd3d\udd3f-\udd45\udd47\udd90\udd91\udd95\udd97\udef3\udef4]|\ud81a[\udef0-\udef4\udf30-\udf36]|\ud81b[\udf4f\udf8f-\udf92\udfe4]|\ud82f[\udc9d\udc9e]|\ud834[\udd67-\udd69\udd7b-\udd82\udd85-\udd8b\uddaa-\uddad\ude42-\ude44]|\ud836[\ude00-\ude36\ude3b-\ude6c\ude75\ude84\ude9b-\ude9f\udea1-\udeaf]|\ud838[\udc00-\udc06\udc08-\udc18\udc1b-\udc21\udc23\udc24\udc26-\udc2a\udd30-\udd36\udeec-\udeef]|\ud83a[\udcd0-\udcd6\udd44-\udd4a]|\udb40[\udd00-\uddef]"},{name:"N",alias:"Number",bmp:"0-9²³¹¼-¾٠-٩۰-۹߀-߉०-९০-৯৴-৹੦-੯૦-૯୦-୯୲-୷௦-௲౦-౯౸-౾೦-೯൘-൞൦-൸෦-෯๐-๙໐-໙༠-༳၀-၉႐-႙፩-፼ᛮ-ᛰ០-៩៰-៹᠐-᠙᥆-᥏᧐-᧚᪀-᪉᪐-᪙᭐-᭙᮰-᮹᱀-᱉᱐-᱙⁰⁴-⁹₀-₉⅐-ↂↅ-↉①-⒛⓪-⓿❶-➓⳽〇〡-〩〸-〺㆒-㆕㈠-㈩㉈-㉏㉑-㉟㊀-㊉㊱-㊿꘠-꘩ꛦ-ꛯ꠰-꠵꣐-꣙꤀-꤉꧐-꧙꧰-꧹꩐-꩙꯰-꯹０-９",astral:"\ud800[\udd07-\udd33\udd40-\udd78\udd8a\udd8b\udee1-\udefb\udf20-\udf23\udf41\udf4a\udfd1-\udfd5]|\ud801[\udca0-\udca9]|\ud802[\udc58-\udc5f\udc79-\udc7f\udca7-\udcaf\udcfb-\udcff\udd16-\udd1b\uddbc\uddbd\uddc0-\uddcf\uddd2-\uddff\ude40-\ude48\ude7d\ude7e\ude9d-\ude9f\udeeb-\udeef\udf58-\udf5f\udf78-\udf7f\udfa9-\udfaf]|\ud803[\udcfa-\udcff\udd30-\udd39\ude60-\ude7e\udf1d-\udf26\udf51-\udf54\udfc5-\udfcb]|\ud804[\udc52-\udc6f\udcf0-\udcf9\udd36-\udd3f\uddd0-\uddd9\udde1-\uddf4\udef0-\udef9]|\ud805[\udc50-\udc59\udcd0-\udcd9\ude50-\ude59\udec0-\udec9\udf30-\udf3b]|\ud806[\udce0-\udcf2\udd50-\udd59]|\ud807[\udc50-\udc6c\udd50-\udd59\udda0-\udda9\udfc0-\udfd4]|\ud809[\udc00-\udc6e]|\ud81a[\ude60-\ude69\udf50-\udf59\udf5b-\udf61]|\ud81b[\ude80-\ude96]|\ud834[\udee0-\udef3\udf60-\udf78]|\ud835[\udfce-\udfff]|\ud838[\udd40-\udd49\udef0-\udef9]|\ud83a[\udcc7-\udccf\udd50-\udd59]|\ud83b[\udc71-\udcab\udcad-\udcaf\udcb1-\udcb4\udd01-\udd2d\udd2f-\udd3d]|\ud83c[\udd00-\udd0c]|\ud83e[\udff0-\udff9]"},{name:"Nd",alias:"Decimal_Number",bmp:"0-9٠-٩۰-۹߀-߉०-९০-৯੦-੯૦-૯୦-୯௦-௯౦-౯೦-೯൦-൯෦-෯๐-๙໐-໙༠-༩၀-၉႐-႙០-៩᠐-᠙᥆-᥏᧐-᧙᪀-᪉᪐-᪙᭐-᭙᮰-᮹᱀-᱉᱐-᱙꘠-꘩꣐-꣙꤀-꤉꧐-꧙꧰-꧹꩐-꩙꯰-꯹０-９",astral:"\ud801[\udca0-\udca9]|\ud803[\udd30-\udd39]|\ud804[\udc66-\udc6f\udcf0-\udcf9\udd36-\udd3f\uddd0-\uddd9\udef0-\udef9]|\ud805[\udc50-\udc59\udcd0-\udcd9\ude50-\ude59\udec0-\udec9\udf30-\udf39]|\ud806[\udce0-\udce9\udd50-\udd59]|\ud807[\udc50-\udc59\udd50-\udd59\udda0-\udda9]|\ud81a[\ude60-\ude69\udf50-\udf59]|\ud835[\udfce-\udfff]|\ud838[\udd40-\udd49\udef0-\udef9]|\ud83a[\udd50-\udd59]|\ud83e[\udff0-\udff9]"},{name:"Nl",alias:"Letter_Number",bmp:"ᛮ-ᛰⅠ-ↂↅ-ↈ〇〡-〩〸-〺ꛦ-ꛯ",astral:"\ud800[\udd40-\udd74\udf41\udf4a\udfd1-\udfd5]|\ud809[\udc00-\udc6e]"},{name:"No",alias:"Other_Number",bmp:"²³¹¼-¾৴-৹୲-୷௰-௲౸-౾൘-൞൰-൸༪-༳፩-፼៰-៹᧚⁰⁴-⁹₀-₉⅐-⅟↉①-⒛⓪-⓿❶-➓⳽㆒-㆕㈠-㈩㉈-㉏㉑-㉟㊀-㊉㊱-㊿꠰-꠵",astral:"\ud800[\udd07-\udd33\udd75-\udd78\udd8a\udd8b\udee1-\udefb\udf20-\udf23]|\ud802[\udc58-\udc5f\udc79-\udc7f\udca7-\udcaf\udcfb-\udcff\udd16-\udd1b\uddbc\uddbd\uddc0-\uddcf\uddd2-\uddff\ude40-\ude48\ude7d\ude7e\ude9d-\ude9f\udeeb-\udeef\udf58-\udf5f\udf78-\udf7f\udfa9-\udfaf]|\ud803[\udcfa-\udcff\ude60-\ude7e\udf1d-\udf26\udf51-\udf54\udfc5-\udfcb]|\ud804[\udc52-\udc65\udde1-\uddf4]|\ud805[\udf3a\udf3b]|\ud806[\udcea-\udcf2]|\ud807[\udc5a-\udc6c\udfc0-\udfd4]|\ud81a[\udf5b-\udf61]|\ud81b[\ude80-\ude96]|\ud834[\udee0-\udef3\udf60-\udf78]|\ud83a[\udcc7-\udccf]|\ud83b[\udc71-\udcab\udcad-\udcaf\udcb1-\udcb4\udd01-\udd2d\udd2f-\udd3d]|\ud83c[\udd00-\udd0c]"},{name:"P",alias:"Punctuation",bmp:"!-#%-\\*,-\\/:;\\?@\\[-\\]_\\{\\}¡§«¶·»¿;·՚-՟։֊־׀׃׆׳״؉؊،؍؛؞؟٪-٭۔܀-܍߷-߹࠰-࠾࡞।॥॰৽੶૰౷಄෴๏๚๛༄-༒༔༺-༽྅࿐-࿔࿙࿚၊-၏჻፠-፨᐀᙮᚛᚜᛫-᛭᜵᜶។-៖៘-៚᠀-᠊᥄᥅᨞᨟᪠-᪦᪨-᪭᭚-᭠᯼-᯿᰻-᰿᱾᱿᳀-᳇᳓‐-‧‰-⁃⁅-⁑⁓-⁞⁽⁾₍₎⌈-⌋〈〉❨-❵⟅⟆⟦-⟯⦃-⦘⧘-⧛⧼⧽⳹-⳼⳾⳿⵰⸀-⸮⸰-⹏⹒、-〃〈-】〔-〟〰〽゠・꓾꓿꘍-꘏꙳꙾꛲-꛷꡴-꡷꣎꣏꣸-꣺꣼꤮꤯꥟꧁-꧍꧞꧟꩜-꩟꫞꫟꫰꫱꯫﴾﴿︐-︙︰-﹒﹔-﹡﹣﹨﹪﹫！-＃％-＊，-／：；？＠［-］＿｛｝｟-･",astral:"\ud800[\udd00-\udd02\udf9f\udfd0]|𐕯|\ud802[\udc57\udd1f\udd3f\ude50-\ude58\ude7f\udef0-\udef6\udf39-\udf3f\udf99-\udf9c]|\ud803[\udead\udf55-\udf59]|\ud804[\udc47-\udc4d\udcbb\udcbc\udcbe-\udcc1\udd40-\udd43\udd74\udd75\uddc5-\uddc8\uddcd\udddb\udddd-\udddf\ude38-\ude3d\udea9]|\ud805[\udc4b-\udc4f\udc5a\udc5b\udc5d\udcc6\uddc1-\uddd7\ude41-\ude43\ude60-\ude6c\udf3c-\udf3e]|\ud806[\udc3b\udd44-\udd46\udde2\ude3f-\ude46\ude9a-\ude9c\ude9e-\udea2]|\ud807[\udc41-\udc45\udc70\udc71\udef7\udef8\udfff]|\ud809[\udc70-\udc74]|\ud81a[\ude6e\ude6f\udef5\udf37-\udf3b\udf44]|\ud81b[\ude97-\ude9a\udfe2]|𛲟|\ud836[\ude87-\ude8b]|\ud83a[\udd5e\udd5f]"},{name:"Pc",alias:"Connector_Punctuation",bmp:"_‿⁀⁔︳︴﹍-﹏＿"},{name:"Pd",alias:"Dash_Punctuation",bmp:"\\-֊־᐀᠆‐-―⸗⸚⸺⸻⹀〜〰゠︱︲﹘﹣－",astral:"𐺭"},{name:"Pe",alias:"Close_Punctuation",bmp:"\\)\\]\\}༻༽᚜⁆⁾₎⌉⌋〉❩❫❭❯❱❳❵⟆⟧⟩⟫⟭⟯⦄⦆⦈⦊⦌⦎⦐⦒⦔⦖⦘⧙⧛⧽⸣⸥⸧⸩〉》」』】〕〗〙〛〞〟﴾︘︶︸︺︼︾﹀﹂﹄﹈﹚﹜﹞）］｝｠｣"},{name:"Pf",alias:"Final_Punctuation",bmp:"»’”›⸃⸅⸊⸍⸝⸡"},{name:"Pi",alias:"Initial_Punctuation",bmp:"«‘‛“‟‹⸂⸄⸉⸌⸜⸠"},{name:"Po",alias:"Other_Punctuation",bmp:"!-#%-'\\*,\\.\\/:;\\?@\\¡§¶·¿;·՚-՟։׀׃׆׳״؉؊،؍؛؞؟٪-٭۔܀-܍߷-߹࠰-࠾࡞।॥॰৽੶૰౷಄෴๏๚๛༄-༒༔྅࿐-࿔࿙࿚၊-၏჻፠-፨᙮᛫-᛭᜵᜶។-៖៘-៚᠀-᠅᠇-᠊᥄᥅᨞᨟᪠-᪦᪨-᪭᭚-᭠᯼-᯿᰻-᰿᱾᱿᳀-᳇᳓‖‗†-‧‰-‸※-‾⁁-⁃⁇-⁑⁓⁕-⁞⳹-⳼⳾⳿⵰⸀⸁⸆-⸈⸋⸎-⸖⸘⸙⸛⸞⸟⸪-⸮⸰-⸹⸼-⸿⹁⹃-⹏⹒、-〃〽・꓾꓿꘍-꘏꙳꙾꛲-꛷꡴-꡷꣎꣏꣸-꣺꣼꤮꤯꥟꧁-꧍꧞꧟꩜-꩟꫞꫟꫰꫱꯫︐-︖︙︰﹅﹆﹉-﹌﹐-﹒﹔-﹗﹟-﹡﹨﹪﹫！-＃％-＇＊，．／：；？＠＼｡､･",astral:"\ud800[\udd00-\udd02\udf9f\udfd0]|𐕯|\ud802[\udc57\udd1f\udd3f\ude50-\ude58\ude7f\udef0-\udef6\udf39-\udf3f\udf99-\udf9c]|\ud803[\udf55-\udf59]|\ud804[\udc47-\udc4d\udcbb\udcbc\udcbe-\udcc1\udd40-\udd43\udd74\udd75\uddc5-\uddc8\uddcd\udddb\udddd-\udddf\ude38-\ude3d\udea9]|\ud805[\udc4b-\udc4f\udc5a\udc5b\udc5d\udcc6\uddc1-\uddd7\ude41-\ude43\ude60-\ude6c\udf3c-\udf3e]|\ud806[\udc3b\udd44-\udd46\udde2\ude3f-\ude46\ude9a-\ude9c\ude9e-\udea2]|\ud807[\udc41-\udc45\udc70\udc71\udef7\udef8\udfff]|\ud809[\udc70-\udc74]|\ud81a[\ude6e\ude6f\udef5\udf37-\udf3b\udf44]|\ud81b[\ude97-\ude9a\udfe2]|𛲟|\ud836[\ude87-\ude8b]|\ud83a[\udd5e\udd5f]"},{name:"Ps",alias:"Open_Punctuation",bmp:"\\(\\[\\{༺༼᚛‚„⁅⁽₍⌈⌊〈❨❪❬❮❰❲❴⟅⟦⟨⟪⟬⟮⦃⦅⦇⦉⦋⦍⦏⦑⦓⦕⦗⧘⧚⧼⸢⸤⸦⸨⹂〈《「『【〔〖〘〚〝﴿︗︵︷︹︻︽︿﹁﹃﹇﹙﹛﹝（［｛｟｢"},{name:"S",alias:"Symbol",bmp:"\\$\\+<->\\^`\\|~¢-¦¨©¬®-±´¸×÷˂-˅˒-˟˥-˫˭˯-˿͵΄΅϶҂֍-֏؆-؈؋؎؏۞۩۽۾߶߾߿৲৳৺৻૱୰௳-௺౿൏൹฿༁-༃༓༕-༗༚-༟༴༶༸྾-࿅࿇-࿌࿎࿏࿕-࿘႞႟᎐-᎙᙭៛᥀᧞-᧿᭡-᭪᭴-᭼᾽᾿-῁῍-῏῝-῟῭-`´῾⁄⁒⁺-⁼₊-₌₠-₿℀℁℃-℆℈℉℔№-℘℞-℣℥℧℩℮℺℻⅀-⅄⅊-⅍⅏↊↋←-⌇⌌-⌨⌫-␦⑀-⑊⒜-ⓩ─-❧➔-⟄⟇-⟥⟰-⦂⦙-⧗⧜-⧻⧾-⭳⭶-⮕⮗-⯿⳥-⳪⹐⹑⺀-⺙⺛-⻳⼀-⿕⿰-⿻〄〒〓〠〶〷〾〿゛゜㆐㆑㆖-㆟㇀-㇣㈀-㈞㈪-㉇㉐㉠-㉿㊊-㊰㋀-㏿䷀-䷿꒐-꓆꜀-꜖꜠꜡꞉꞊꠨-꠫꠶-꠹꩷-꩹꭛꭪꭫﬩﮲-﯁﷼﷽﹢﹤-﹦﹩＄＋＜-＞＾｀｜～￠-￦￨-￮￼�",astral:"\ud800[\udd37-\udd3f\udd79-\udd89\udd8c-\udd8e\udd90-\udd9c\udda0\uddd0-\uddfc]|\ud802[\udc77\udc78\udec8]|𑜿|\ud807[\udfd5-\udff1]|\ud81a[\udf3c-\udf3f\udf45]|𛲜|\ud834[\udc00-\udcf5\udd00-\udd26\udd29-\udd64\udd6a-\udd6c\udd83\udd84\udd8c-\udda9\uddae-\udde8\ude00-\ude41\ude45\udf00-\udf56]|\ud835[\udec1\udedb\udefb\udf15\udf35\udf4f\udf6f\udf89\udfa9\udfc3]|\ud836[\udc00-\uddff\ude37-\ude3a\ude6d-\ude74\ude76-\ude83\ude85\ude86]|\ud838[\udd4f\udeff]|\ud83b[\udcac\udcb0\udd2e\udef0\udef1]|\ud83c[\udc00-\udc2b\udc30-\udc93\udca0-\udcae\udcb1-\udcbf\udcc1-\udccf\udcd1-\udcf5\udd0d-\uddad\udde6-\ude02\ude10-\ude3b\ude40-\ude48\ude50\ude51\ude60-\ude65\udf00-\udfff]|\ud83d[\udc00-\uded7\udee0-\udeec\udef0-\udefc\udf00-\udf73\udf80-\udfd8\udfe0-\udfeb]|\ud83e[\udc00-\udc0b\udc10-\udc47\udc50-\udc59\udc60-\udc87\udc90-\udcad\udcb0\udcb1\udd00-\udd78\udd7a-\uddcb\uddcd-\ude53\ude60-\ude6d\ude70-\ude74\ude78-\ude7a\ude80-\ude86\ude90-\udea8\udeb0-\udeb6\udec0-\udec2\uded0-\uded6\udf00-\udf92\udf94-\udfca]"},{name:"Sc",alias:"Currency_Symbol",bmp:"\\$¢-¥֏؋߾߿৲৳৻૱௹฿៛₠-₿꠸﷼﹩＄￠￡￥￦",astral:"\ud807[\udfdd-\udfe0]|𞋿|𞲰"},{name:"Sk",alias:"Modifier_Symbol",bmp:"\\^`¨¯´¸˂-˅˒-˟˥-˫˭˯-˿͵΄΅᾽᾿-῁῍-῏῝-῟῭-`´῾゛゜꜀-꜖꜠꜡꞉꞊꭛꭪꭫﮲-﯁＾｀￣",astral:"\ud83c[\udffb-\udfff]"},{name:"Sm",alias:"Math_Symbol",bmp:"\\+<->\\|~¬±×÷϶؆-؈⁄⁒⁺-⁼₊-₌℘⅀-⅄⅋←-↔↚↛↠↣↦↮⇎⇏⇒⇔⇴-⋿⌠⌡⍼⎛-⎳⏜-⏡▷◁◸-◿♯⟀-⟄⟇-⟥⟰-⟿⤀-⦂⦙-⧗⧜-⧻⧾-⫿⬰-⭄⭇-⭌﬩﹢﹤-﹦＋＜-＞｜～￢￩-￬",astral:"\ud835[\udec1\udedb\udefb\udf15\udf35\udf4f\udf6f\udf89\udfa9\udfc3]|\ud83b[\udef0\udef1]"},{name:"So",alias:"Other_Symbol",bmp:"¦©®°҂֍֎؎؏۞۩۽۾߶৺୰௳-௸௺౿൏൹༁-༃༓༕-༗༚-༟༴༶༸྾-࿅࿇-࿌࿎࿏࿕-࿘႞႟᎐-᎙᙭᥀᧞-᧿᭡-᭪᭴-᭼℀℁℃-℆℈℉℔№℗℞-℣℥℧℩℮℺℻⅊⅌⅍⅏↊↋↕-↙↜-↟↡↢↤↥↧-↭↯-⇍⇐⇑⇓⇕-⇳⌀-⌇⌌-⌟⌢-⌨⌫-⍻⍽-⎚⎴-⏛⏢-␦⑀-⑊⒜-ⓩ─-▶▸-◀◂-◷☀-♮♰-❧➔-➿⠀-⣿⬀-⬯⭅⭆⭍-⭳⭶-⮕⮗-⯿⳥-⳪⹐⹑⺀-⺙⺛-⻳⼀-⿕⿰-⿻〄〒〓〠〶〷〾〿㆐㆑㆖-㆟㇀-㇣㈀-㈞㈪-㉇㉐㉠-㉿㊊-㊰㋀-㏿䷀-䷿꒐-꓆꠨-꠫꠶꠷꠹꩷-꩹﷽￤￨￭￮￼�",astral:"\ud800[\udd37-\udd3f\udd79-\udd89\udd8c-\udd8e\udd90-\udd9c\udda0\uddd0-\uddfc]|\ud802[\udc77\udc78\udec8]|𑜿|\ud807[\udfd5-\udfdc\udfe1-\udff1]|\ud81a[\udf3c-\udf3f\udf45]|𛲜|\ud834[\udc00-\udcf5\udd00-\udd26\udd29-\udd64\udd6a-\udd6c\udd83\udd84\udd8c-\udda9\uddae-\udde8\ude00-\ude41\ude45\udf00-\udf56]|\ud836[\udc00-\uddff\ude37-\ude3a\ude6d-\ude74\ude76-\ude83\ude85\ude86]|𞅏|\ud83b[\udcac\udd2e]|\ud83c[\udc00-\udc2b\udc30-\udc93\udca0-\udcae\udcb1-\udcbf\udcc1-\udccf\udcd1-\udcf5\udd0d-\uddad\udde6-\ude02\ude10-\ude3b\ude40-\ude48\ude50\ude51\ude60-\ude65\udf00-\udffa]|\ud83d[\udc00-\uded7\udee0-\udeec\udef0-\udefc\udf00-\udf73\udf80-\udfd8\udfe0-\udfeb]|\ud83e[\udc00-\udc0b\udc10-\udc47\udc50-\udc59\udc60-\udc87\udc90-\udcad\udcb0\udcb1\udd00-\udd78\udd7a-\uddcb\uddcd-\ude53\ude60-\ude6d\ude70-\ude74\ude78-\ude7a\ude80-\ude86\ude90-\udea8\udeb0-\udeb6\udec0-\udec2\uded0-\uded6\udf00-\udf92\udf94-\udfca]"},{name:"Z",alias:"Separator",bmp:"    - \u2028\u2029  　"},{name:"Zl",alias:"Line_Separator",bmp:"\u2028"},{name:"Zp",alias:"Paragraph_Separator",bmp:"\u2029"},{name:"Zs",alias:"Space_Separator",bmp:"    -   　"}]},616:u=>{u.exports=[{name:"ASCII",bmp:"\0-"},{name:"Alphabetic",bmp:"A-Za-zªµºÀ-ÖØ-öø-ˁˆ-ˑˠ-ˤˬˮͅͰ-ʹͶͷͺ-ͽͿΆΈ-ΊΌΎ-ΡΣ-ϵϷ-ҁҊ-ԯԱ-Ֆՙՠ-ֈְ-ׇֽֿׁׂׅׄא-תׯ-ײؐ-ؚؠ-ٗٙ-ٟٮ-ۓە-ۜۡ-ۭۨ-ۯۺ-ۼۿܐ-ܿݍ-ޱߊ-ߪߴߵߺࠀ-ࠗࠚ-ࠬࡀ-ࡘࡠ-ࡪࢠ-ࢴࢶ-ࣇࣔ-ࣣࣟ-ࣰࣩ-ऻऽ-ौॎ-ॐॕ-ॣॱ-ঃঅ-ঌএঐও-নপ-রলশ-হঽ-ৄেৈোৌৎৗড়ঢ়য়-ৣৰৱৼਁ-ਃਅ-ਊਏਐਓ-ਨਪ-ਰਲਲ਼ਵਸ਼ਸਹਾ-ੂੇੈੋੌੑਖ਼-ੜਫ਼ੰ-ੵઁ-ઃઅ-ઍએ-ઑઓ-નપ-રલળવ-હઽ-ૅે-ૉોૌૐૠ-ૣૹ-ૼଁ-ଃଅ-ଌଏଐଓ-ନପ-ରଲଳଵ-ହଽ-ୄେୈୋୌୖୗଡ଼ଢ଼ୟ-ୣୱஂஃஅ-ஊஎ-ஐஒ-கஙசஜஞடணதந-பம-ஹா-ூெ-ைொ-ௌௐௗఀ-ఃఅ-ఌఎ-ఐఒ-నప-హఽ-ౄె-ైొ-ౌౕౖౘ-ౚౠ-ౣಀ-ಃಅ-ಌಎ-ಐಒ-ನಪ-ಳವ-ಹಽ-ೄೆ-ೈೊ-ೌೕೖೞೠ-ೣೱೲഀ-ഌഎ-ഐഒ-ഺഽ-ൄെ-ൈൊ-ൌൎൔ-ൗൟ-ൣൺ-ൿඁ-ඃඅ-ඖක-නඳ-රලව-ෆා-ුූෘ-ෟෲෳก-ฺเ-ๆํກຂຄຆ-ຊຌ-ຣລວ-ູົ-ຽເ-ໄໆໍໜ-ໟༀཀ-ཇཉ-ཬཱ-ཱྀྈ-ྗྙ-ྼက-ံးျ-ဿၐ-ႏႚ-ႝႠ-ჅჇჍა-ჺჼ-ቈቊ-ቍቐ-ቖቘቚ-ቝበ-ኈኊ-ኍነ-ኰኲ-ኵኸ-ኾዀዂ-ዅወ-ዖዘ-ጐጒ-ጕጘ-ፚᎀ-ᎏᎠ-Ᏽᏸ-ᏽᐁ-ᙬᙯ-ᙿᚁ-ᚚᚠ-ᛪᛮ-ᛸᜀ-ᜌᜎ-ᜓᜠ-ᜳᝀ-ᝓᝠ-ᝬᝮ-ᝰᝲᝳក-ឳា-ៈៗៜᠠ-ᡸᢀ-ᢪᢰ-ᣵᤀ-ᤞᤠ-ᤫᤰ-ᤸᥐ-ᥭᥰ-ᥴᦀ-ᦫᦰ-ᧉᨀ-ᨛᨠ-ᩞᩡ-ᩴᪧᪿᫀᬀ-ᬳᬵ-ᭃᭅ-ᭋᮀ-ᮩᮬ-ᮯᮺ-ᯥᯧ-ᯱᰀ-ᰶᱍ-ᱏᱚ-ᱽᲀ-ᲈᲐ-ᲺᲽ-Ჿᳩ-ᳬᳮ-ᳳᳵᳶᳺᴀ-ᶿᷧ-ᷴḀ-ἕἘ-Ἕἠ-ὅὈ-Ὅὐ-ὗὙὛὝὟ-ώᾀ-ᾴᾶ-ᾼιῂ-ῄῆ-ῌῐ-ΐῖ-Ίῠ-Ῥῲ-ῴῶ-ῼⁱⁿₐ-ₜℂℇℊ-ℓℕℙ-ℝℤΩℨK-ℭℯ-ℹℼ-ℿⅅ-ⅉⅎⅠ-ↈⒶ-ⓩⰀ-Ⱞⰰ-ⱞⱠ-ⳤⳫ-ⳮⳲⳳⴀ-ⴥⴧⴭⴰ-ⵧⵯⶀ-ⶖⶠ-ⶦⶨ-ⶮⶰ-ⶶⶸ-ⶾⷀ-ⷆⷈ-ⷎⷐ-ⷖⷘ-ⷞⷠ-ⷿⸯ々-〇〡-〩〱-〵〸-〼ぁ-ゖゝ-ゟァ-ヺー-ヿㄅ-ㄯㄱ-ㆎㆠ-ㆿㇰ-ㇿ㐀-䶿一-鿼ꀀ-ꒌꓐ-ꓽꔀ-ꘌꘐ-ꘟꘪꘫꙀ-ꙮꙴ-ꙻꙿ-ꛯꜗ-ꜟꜢ-ꞈꞋ-ꞿꟂ-ꟊꟵ-ꠅꠇ-ꠧꡀ-ꡳꢀ-ꣃꣅꣲ-ꣷꣻꣽ-ꣿꤊ-ꤪꤰ-ꥒꥠ-ꥼꦀ-ꦲꦴ-ꦿꧏꧠ-ꧯꧺ-ꧾꨀ-ꨶꩀ-ꩍꩠ-ꩶꩺ-ꪾꫀꫂꫛ-ꫝꫠ-ꫯꫲ-ꫵꬁ-ꬆꬉ-ꬎꬑ-ꬖꬠ-ꬦꬨ-ꬮꬰ-ꭚꭜ-ꭩꭰ-ꯪ가-힣ힰ-ퟆퟋ-ퟻ豈-舘並-龎ﬀ-ﬆﬓ-ﬗיִ-ﬨשׁ-זּטּ-לּמּנּסּףּפּצּ-ﮱﯓ-ﴽﵐ-ﶏﶒ-ﷇﷰ-ﷻﹰ-ﹴﹶ-ﻼＡ-Ｚａ-ｚｦ-ﾾￂ-ￇￊ-ￏￒ-ￗￚ-ￜ",astral:"\ud800[\udc00-\udc0b\udc0d-\udc26\udc28-\udc3a\udc3c\udc3d\udc3f-\udc4d\udc50-\udc5d\udc80-\udcfa\udd40-\udd74\ude80-\ude9c\udea0-\uded0\udf00-\udf1f\udf2d-\udf4a\udf50-\udf7a\udf80-\udf9d\udfa0-\udfc3\udfc8-\udfcf\udfd1-\udfd5]|\ud801[\udc00-\udc9d\udcb0-\udcd3\udcd8-\udcfb\udd00-\udd27\udd30-\udd63\ude00-\udf36\udf40-\udf55\udf60-\udf67]|\ud802[\udc00-\udc05\udc08\udc0a-\udc35\udc37\udc38\udc3c\udc3f-\udc55\udc60-\udc76\udc80-\udc9e\udce0-\udcf2\udcf4\udcf5\udd00-\udd15\udd20-\udd39\udd80-\uddb7\uddbe\uddbf\ude00-\ude03\ude05\ude06\ude0c-\ude13\ude15-\ude17\ude19-\ude35\ude60-\ude7c\ude80-\ude9c\udec0-\udec7\udec9-\udee4\udf00-\udf35\udf40-\udf55\udf60-\udf72\udf80-\udf91]|\ud803[\udc00-\udc48\udc80-\udcb2\udcc0-\udcf2\udd00-\udd27\ude80-\udea9\udeab\udeac\udeb0\udeb1\udf00-\udf1c\udf27\udf30-\udf45\udfb0-\udfc4\udfe0-\udff6]|\ud804[\udc00-\udc45\udc82-\udcb8\udcd0-\udce8\udd00-\udd32\udd44-\udd47\udd50-\udd72\udd76\udd80-\uddbf\uddc1-\uddc4\uddce\uddcf\uddda\udddc\ude00-\ude11\ude13-\ude34\ude37\ude3e\ude80-\ude86\ude88\ude8a-\ude8d\ude8f-\ude9d\ude9f-\udea8\udeb0-\udee8\udf00-\udf03\udf05-\udf0c\udf0f\udf10\udf13-\udf28\udf2a-\udf30\udf32\udf33\udf35-\udf39\udf3d-\udf44\udf47\udf48\udf4b\udf4c\udf50\udf57\udf5d-\udf63]|\ud805[\udc00-\udc41\udc43-\udc45\udc47-\udc4a\udc5f-\udc61\udc80-\udcc1\udcc4\udcc5\udcc7\udd80-\uddb5\uddb8-\uddbe\uddd8-\udddd\ude00-\ude3e\ude40\ude44\ude80-\udeb5\udeb8\udf00-\udf1a\udf1d-\udf2a]|\ud806[\udc00-\udc38\udca0-\udcdf\udcff-\udd06\udd09\udd0c-\udd13\udd15\udd16\udd18-\udd35\udd37\udd38\udd3b\udd3c\udd3f-\udd42\udda0-\udda7\uddaa-\uddd7\uddda-\udddf\udde1\udde3\udde4\ude00-\ude32\ude35-\ude3e\ude50-\ude97\ude9d\udec0-\udef8]|\ud807[\udc00-\udc08\udc0a-\udc36\udc38-\udc3e\udc40\udc72-\udc8f\udc92-\udca7\udca9-\udcb6\udd00-\udd06\udd08\udd09\udd0b-\udd36\udd3a\udd3c\udd3d\udd3f-\udd41\udd43\udd46\udd47\udd60-\udd65\udd67\udd68\udd6a-\udd8e\udd90\udd91\udd93-\udd96\udd98\udee0-\udef6\udfb0]|\ud808[\udc00-\udf99]|\ud809[\udc00-\udc6e\udc80-\udd43]|[\ud80c\ud81c-\ud820\ud822\ud840-\ud868\ud86a-\ud86c\ud86f-\ud872\ud874-\ud879\ud880-\ud883][\udc00-\udfff]|\ud80d[\udc00-\udc2e]|\ud811[\udc00-\ude46]|\ud81a[\udc00-\ude38\ude40-\ude5e\uded0-\udeed\udf00-\udf2f\udf40-\udf43\udf63-\udf77\udf7d-\udf8f]|\ud81b[\ude40-\ude7f\udf00-\udf4a\udf4f-\udf87\udf8f-\udf9f\udfe0\udfe1\udfe3\udff0\udff1]|\ud821[\udc00-\udff7]|\ud823[\udc00-\udcd5\udd00-\udd08]|\ud82c[\udc00-\udd1e\udd50-\udd52\udd64-\udd67\udd70-\udefb]|\ud82f[\udc00-\udc6a\udc70-\udc7c\udc80-\udc88\udc90-\udc99\udc9e]|\ud835[\udc00-\udc54\udc56-\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd1e-\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd52-\udea5\udea8-\udec0\udec2-\udeda\udedc-\udefa\udefc-\udf14\udf16-\udf34\udf36-\udf4e\udf50-\udf6e\udf70-\udf88\udf8a-\udfa8\udfaa-\udfc2\udfc4-\udfcb]|\ud838[\udc00-\udc06\udc08-\udc18\udc1b-\udc21\udc23\udc24\udc26-\udc2a\udd00-\udd2c\udd37-\udd3d\udd4e\udec0-\udeeb]|\ud83a[\udc00-\udcc4\udd00-\udd43\udd47\udd4b]|\ud83b[\ude00-\ude03\ude05-\ude1f\ude21\ude22\ude24\ude27\ude29-\ude32\ude34-\ude37\ude39\ude3b\ude42\ude47\ude49\ude4b\ude4d-\ude4f\ude51\ude52\ude54\ude57\ude59\ude5b\ude5d\ude5f\ude61\ude62\ude64\ude67-\ude6a\ude6c-\ude72\ude74-\ude77\ude79-\ude7c\ude7e\ude80-\ude89\ude8b-\ude9b\udea1-\udea3\udea5-\udea9\udeab-\udebb]|\ud83c[\udd30-\udd49\udd50-\udd69\udd70-\udd89]|\ud869[\udc00-\udedd\udf00-\udfff]|\ud86d[\udc00-\udf34\udf40-\udfff]|\ud86e[\udc00-\udc1d\udc20-\udfff]|\ud873[\udc00-\udea1\udeb0-\udfff]|\ud87a[\udc00-\udfe0]|\ud87e[\udc00-\ude1d]|\ud884[\udc00-\udf4a]"},{name:"Any",isBmpLast:true,bmp:"\0-￿",astral:"[\ud800-\udbff][\udc00-\udfff]"},{name:"Default_Ignorable_Code_Point",bmp:"­͏؜ᅟᅠ឴឵᠋-᠎​-‏‪-‮⁠-⁯ㅤ︀-️\ufeffﾠ￰-￸",astral:"\ud82f[\udca0-\udca3]|\ud834[\udd73-\udd7a]|[\udb40-\udb43][\udc00-\udfff]"},{name:"Lowercase",bmp:"a-zªµºß-öø-ÿāăąćĉċčďđēĕėęěĝğġģĥħĩīĭįıĳĵķĸĺļľŀłńņňŉŋōŏőœŕŗřśŝşšţťŧũūŭůűųŵŷźżž-ƀƃƅƈƌƍƒƕƙ-ƛƞơƣƥƨƪƫƭưƴƶƹƺƽ-ƿǆǉǌǎǐǒǔǖǘǚǜǝǟǡǣǥǧǩǫǭǯǰǳǵǹǻǽǿȁȃȅȇȉȋȍȏȑȓȕȗșțȝȟȡȣȥȧȩȫȭȯȱȳ-ȹȼȿɀɂɇɉɋɍɏ-ʓʕ-ʸˀˁˠ-ˤͅͱͳͷͺ-ͽΐά-ώϐϑϕ-ϗϙϛϝϟϡϣϥϧϩϫϭϯ-ϳϵϸϻϼа-џѡѣѥѧѩѫѭѯѱѳѵѷѹѻѽѿҁҋҍҏґғҕҗҙқҝҟҡңҥҧҩҫҭүұҳҵҷҹһҽҿӂӄӆӈӊӌӎӏӑӓӕӗәӛӝӟӡӣӥӧөӫӭӯӱӳӵӷӹӻӽӿԁԃԅԇԉԋԍԏԑԓԕԗԙԛԝԟԡԣԥԧԩԫԭԯՠ-ֈა-ჺჽ-ჿᏸ-ᏽᲀ-ᲈᴀ-ᶿḁḃḅḇḉḋḍḏḑḓḕḗḙḛḝḟḡḣḥḧḩḫḭḯḱḳḵḷḹḻḽḿṁṃṅṇṉṋṍṏṑṓṕṗṙṛṝṟṡṣṥṧṩṫṭṯṱṳṵṷṹṻṽṿẁẃẅẇẉẋẍẏẑẓẕ-ẝẟạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹỻỽỿ-ἇἐ-ἕἠ-ἧἰ-ἷὀ-ὅὐ-ὗὠ-ὧὰ-ώᾀ-ᾇᾐ-ᾗᾠ-ᾧᾰ-ᾴᾶᾷιῂ-ῄῆῇῐ-ΐῖῗῠ-ῧῲ-ῴῶῷⁱⁿₐ-ₜℊℎℏℓℯℴℹℼℽⅆ-ⅉⅎⅰ-ⅿↄⓐ-ⓩⰰ-ⱞⱡⱥⱦⱨⱪⱬⱱⱳⱴⱶ-ⱽⲁⲃⲅⲇⲉⲋⲍⲏⲑⲓⲕⲗⲙⲛⲝⲟⲡⲣⲥⲧⲩⲫⲭⲯⲱⲳⲵⲷⲹⲻⲽⲿⳁⳃⳅⳇⳉⳋⳍⳏⳑⳓⳕⳗⳙⳛⳝⳟⳡⳣⳤⳬⳮⳳⴀ-ⴥⴧⴭꙁꙃꙅꙇꙉꙋꙍꙏꙑꙓꙕꙗꙙꙛꙝꙟꙡꙣꙥꙧꙩꙫꙭꚁꚃꚅꚇꚉꚋꚍꚏꚑꚓꚕꚗꚙꚛ-ꚝꜣꜥꜧꜩꜫꜭꜯ-ꜱꜳꜵꜷꜹꜻꜽꜿꝁꝃꝅꝇꝉꝋꝍꝏꝑꝓꝕꝗꝙꝛꝝꝟꝡꝣꝥꝧꝩꝫꝭꝯ-ꝸꝺꝼꝿꞁꞃꞅꞇꞌꞎꞑꞓ-ꞕꞗꞙꞛꞝꞟꞡꞣꞥꞧꞩꞯꞵꞷꞹꞻꞽꞿꟃꟈꟊꟶꟸ-ꟺꬰ-ꭚꭜ-ꭨꭰ-ꮿﬀ-ﬆﬓ-ﬗａ-ｚ",astral:"\ud801[\udc28-\udc4f\udcd8-\udcfb]|\ud803[\udcc0-\udcf2]|\ud806[\udcc0-\udcdf]|\ud81b[\ude60-\ude7f]|\ud835[\udc1a-\udc33\udc4e-\udc54\udc56-\udc67\udc82-\udc9b\udcb6-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udccf\udcea-\udd03\udd1e-\udd37\udd52-\udd6b\udd86-\udd9f\uddba-\uddd3\uddee-\ude07\ude22-\ude3b\ude56-\ude6f\ude8a-\udea5\udec2-\udeda\udedc-\udee1\udefc-\udf14\udf16-\udf1b\udf36-\udf4e\udf50-\udf55\udf70-\udf88\udf8a-\udf8f\udfaa-\udfc2\udfc4-\udfc9\udfcb]|\ud83a[\udd22-\udd43]"},{name:"Noncharacter_Code_Point",bmp:"﷐-﷯￾￿",astral:"[\ud83f\ud87f\ud8bf\ud8ff\ud93f\ud97f\ud9bf\ud9ff\uda3f\uda7f\udabf\udaff\udb3f\udb7f\udbbf\udbff][\udffe\udfff]"},{name:"Uppercase",bmp:"A-ZÀ-ÖØ-ÞĀĂĄĆĈĊČĎĐĒĔĖĘĚĜĞĠĢĤĦĨĪĬĮİĲĴĶĹĻĽĿŁŃŅŇŊŌŎŐŒŔŖŘŚŜŞŠŢŤŦŨŪŬŮŰŲŴŶŸŹŻŽƁƂƄƆƇƉ-ƋƎ-ƑƓƔƖ-ƘƜƝƟƠƢƤƦƧƩƬƮƯƱ-ƳƵƷƸƼǄǇǊǍǏǑǓǕǗǙǛǞǠǢǤǦǨǪǬǮǱǴǶ-ǸǺǼǾȀȂȄȆȈȊȌȎȐȒȔȖȘȚȜȞȠȢȤȦȨȪȬȮȰȲȺȻȽȾɁɃ-ɆɈɊɌɎͰͲͶͿΆΈ-ΊΌΎΏΑ-ΡΣ-ΫϏϒ-ϔϘϚϜϞϠϢϤϦϨϪϬϮϴϷϹϺϽ-ЯѠѢѤѦѨѪѬѮѰѲѴѶѸѺѼѾҀҊҌҎҐҒҔҖҘҚҜҞҠҢҤҦҨҪҬҮҰҲҴҶҸҺҼҾӀӁӃӅӇӉӋӍӐӒӔӖӘӚӜӞӠӢӤӦӨӪӬӮӰӲӴӶӸӺӼӾԀԂԄԆԈԊԌԎԐԒԔԖԘԚԜԞԠԢԤԦԨԪԬԮԱ-ՖႠ-ჅჇჍᎠ-ᏵᲐ-ᲺᲽ-ᲿḀḂḄḆḈḊḌḎḐḒḔḖḘḚḜḞḠḢḤḦḨḪḬḮḰḲḴḶḸḺḼḾṀṂṄṆṈṊṌṎṐṒṔṖṘṚṜṞṠṢṤṦṨṪṬṮṰṲṴṶṸṺṼṾẀẂẄẆẈẊẌẎẐẒẔẞẠẢẤẦẨẪẬẮẰẲẴẶẸẺẼẾỀỂỄỆỈỊỌỎỐỒỔỖỘỚỜỞỠỢỤỦỨỪỬỮỰỲỴỶỸỺỼỾἈ-ἏἘ-ἝἨ-ἯἸ-ἿὈ-ὍὙὛὝὟὨ-ὯᾸ-ΆῈ-ΉῘ-ΊῨ-ῬῸ-Ώℂℇℋ-ℍℐ-ℒℕℙ-ℝℤΩℨK-ℭℰ-ℳℾℿⅅⅠ-ⅯↃⒶ-ⓏⰀ-ⰮⱠⱢ-ⱤⱧⱩⱫⱭ-ⱰⱲⱵⱾ-ⲀⲂⲄⲆⲈⲊⲌⲎⲐⲒⲔⲖⲘⲚⲜⲞⲠⲢⲤⲦⲨⲪⲬⲮⲰⲲⲴⲶⲸⲺⲼⲾⳀⳂⳄⳆⳈⳊⳌⳎⳐⳒⳔⳖⳘⳚⳜⳞⳠⳢⳫⳭⳲꙀꙂꙄꙆꙈꙊꙌꙎꙐꙒꙔꙖꙘꙚꙜꙞꙠꙢꙤꙦꙨꙪꙬꚀꚂꚄꚆꚈꚊꚌꚎꚐꚒꚔꚖꚘꚚꜢꜤꜦꜨꜪꜬꜮꜲꜴꜶꜸꜺꜼꜾꝀꝂꝄꝆꝈꝊꝌꝎꝐꝒꝔꝖꝘꝚꝜꝞꝠꝢꝤꝦꝨꝪꝬꝮꝹꝻꝽꝾꞀꞂꞄꞆꞋꞍꞐꞒꞖꞘꞚꞜꞞꞠꞢꞤꞦꞨꞪ-ꞮꞰ-ꞴꞶꞸꞺꞼꞾꟂꟄ-ꟇꟉꟵＡ-Ｚ",astral:"\ud801[\udc00-\udc27\udcb0-\udcd3]|\ud803[\udc80-\udcb2]|\ud806[\udca0-\udcbf]|\ud81b[\ude40-\ude5f]|\ud835[\udc00-\udc19\udc34-\udc4d\udc68-\udc81\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb5\udcd0-\udce9\udd04\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd38\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd6c-\udd85\udda0-\uddb9\uddd4-\udded\ude08-\ude21\ude3c-\ude55\ude70-\ude89\udea8-\udec0\udee2-\udefa\udf1c-\udf34\udf56-\udf6e\udf90-\udfa8\udfca]|\ud83a[\udd00-\udd21]|\ud83c[\udd30-\udd49\udd50-\udd69\udd70-\udd89]"},{name:"White_Space",bmp:"\t-\r    - \u2028\u2029  　"}]},2524:u=>{u.exports=[{name:"Adlam",astral:"\ud83a[\udd00-\udd4b\udd50-\udd59\udd5e\udd5f]"},{name:"Ahom",astral:"\ud805[\udf00-\udf1a\udf1d-\udf2b\udf30-\udf3f]"},{name:"Anatolian_Hieroglyphs",astral:"\ud811[\udc00-\ude46]"},{name:"Arabic",bmp:"؀-؄؆-؋؍-ؚ؜؞ؠ-ؿف-يٖ-ٯٱ-ۜ۞-ۿݐ-ݿࢠ-ࢴࢶ-ࣇ࣓-ࣣ࣡-ࣿﭐ-﯁ﯓ-ﴽﵐ-ﶏﶒ-ﷇﷰ-﷽ﹰ-ﹴﹶ-ﻼ",astral:"\ud803[\ude60-\ude7e]|\ud83b[\ude00-\ude03\ude05-\ude1f\ude21\ude22\ude24\ude27\ude29-\ude32\ude34-\ude37\ude39\ude3b\ude42\ude47\ude49\ude4b\ude4d-\ude4f\ude51\ude52\ude54\ude57\ude59\ude5b\ude5d\ude5f\ude61\ude62\ude64\ude67-\ude6a\ude6c-\ude72\ude74-\ude77\ude79-\ude7c\ude7e\ude80-\ude89\ude8b-\ude9b\udea1-\udea3\udea5-\udea9\udeab-\udebb\udef0\udef1]"},{name:"Armenian",bmp:"Ա-Ֆՙ-֊֍-֏ﬓ-ﬗ"},{name:"Avestan",astral:"\ud802[\udf00-\udf35\udf39-\udf3f]"},{name:"Balinese",bmp:"ᬀ-ᭋ᭐-᭼"},{name:"Bamum",bmp:"ꚠ-꛷",astral:"\ud81a[\udc00-\ude38]"},{name:"Bassa_Vah",astral:"\ud81a[\uded0-\udeed\udef0-\udef5]"},{name:"Batak",bmp:"ᯀ-᯳᯼-᯿"},{name:"Bengali",bmp:"ঀ-ঃঅ-ঌএঐও-নপ-রলশ-হ়-ৄেৈো-ৎৗড়ঢ়য়-ৣ০-৾"},{name:"Bhaiksuki",astral:"\ud807[\udc00-\udc08\udc0a-\udc36\udc38-\udc45\udc50-\udc6c]"},{name:"Bopomofo",bmp:"˪˫ㄅ-ㄯㆠ-ㆿ"},{name:"Brahmi",astral:"\ud804[\udc00-\udc4d\udc52-\udc6f\udc7f]"},{name:"Braille",bmp:"⠀-⣿"},{name:"Buginese",bmp:"ᨀ-ᨛ᨞᨟"},{name:"Buhid",bmp:"ᝀ-ᝓ"},{name:"Canadian_Aboriginal",bmp:"᐀-ᙿᢰ-ᣵ"},{name:"Carian",astral:"\ud800[\udea0-\uded0]"},{name:"Caucasian_Albanian",astral:"\ud801[\udd30-\udd63\udd6f]"},{name:"Chakma",astral:"\ud804[\udd00-\udd34\udd36-\udd47]"},{name:"Cham",bmp:"ꨀ-ꨶꩀ-ꩍ꩐-꩙꩜-꩟"},{name:"Cherokee",bmp:"Ꭰ-Ᏽᏸ-ᏽꭰ-ꮿ"},{name:"Chorasmian",astral:"\ud803[\udfb0-\udfcb]"},{name:"Common",bmp:"\0-@\\[-`\\{-©«-¹»-¿×÷ʹ-˟˥-˩ˬ-˿ʹ;΅·؅،؛؟ـ۝࣢।॥฿࿕-࿘჻᛫-᛭᜵᜶᠂᠃᠅᳓᳡ᳩ-ᳬᳮ-ᳳᳵ-᳷ᳺ -​‎-⁤⁦-⁰⁴-⁾₀-₎₠-₿℀-℥℧-℩ℬ-ℱℳ-⅍⅏-⅟↉-↋←-␦⑀-⑊①-⟿⤀-⭳⭶-⮕⮗-⯿⸀-⹒⿰-⿻　-〄〆〈-〠〰-〷〼-〿゛゜゠・ー㆐-㆟㇀-㇣㈠-㉟㉿-㋏㋿㍘-㏿䷀-䷿꜀-꜡ꞈ-꞊꠰-꠹꤮ꧏ꭛꭪꭫﴾﴿︐-︙︰-﹒﹔-﹦﹨-﹫\ufeff！-＠［-｀｛-･ｰﾞﾟ￠-￦￨-￮￹-�",astral:"\ud800[\udd00-\udd02\udd07-\udd33\udd37-\udd3f\udd90-\udd9c\uddd0-\uddfc\udee1-\udefb]|\ud81b[\udfe2\udfe3]|\ud82f[\udca0-\udca3]|\ud834[\udc00-\udcf5\udd00-\udd26\udd29-\udd66\udd6a-\udd7a\udd83\udd84\udd8c-\udda9\uddae-\udde8\udee0-\udef3\udf00-\udf56\udf60-\udf78]|\ud835[\udc00-\udc54\udc56-\udc9c\udc9e\udc9f\udca2\udca5\udca6\udca9-\udcac\udcae-\udcb9\udcbb\udcbd-\udcc3\udcc5-\udd05\udd07-\udd0a\udd0d-\udd14\udd16-\udd1c\udd1e-\udd39\udd3b-\udd3e\udd40-\udd44\udd46\udd4a-\udd50\udd52-\udea5\udea8-\udfcb\udfce-\udfff]|\ud83b[\udc71-\udcb4\udd01-\udd3d]|\ud83c[\udc00-\udc2b\udc30-\udc93\udca0-\udcae\udcb1-\udcbf\udcc1-\udccf\udcd1-\udcf5\udd00-\uddad\udde6-\uddff\ude01\ude02\ude10-\ude3b\ude40-\ude48\ude50\ude51\ude60-\ude65\udf00-\udfff]|\ud83d[\udc00-\uded7\udee0-\udeec\udef0-\udefc\udf00-\udf73\udf80-\udfd8\udfe0-\udfeb]|\ud83e[\udc00-\udc0b\udc10-\udc47\udc50-\udc59\udc60-\udc87\udc90-\udcad\udcb0\udcb1\udd00-\udd78\udd7a-\uddcb\uddcd-\ude53\ude60-\ude6d\ude70-\ude74\ude78-\ude7a\ude80-\ude86\ude90-\udea8\udeb0-\udeb6\udec0-\udec2\uded0-\uded6\udf00-\udf92\udf94-\udfca\udff0-\udff9]|\udb40[\udc01\udc20-\udc7f]"},{name:"Coptic",bmp:"Ϣ-ϯⲀ-ⳳ⳹-⳿"},{name:"Cuneiform",astral:"\ud808[\udc00-\udf99]|\ud809[\udc00-\udc6e\udc70-\udc74\udc80-\udd43]"},{name:"Cypriot",astral:"\ud802[\udc00-\udc05\udc08\udc0a-\udc35\udc37\udc38\udc3c\udc3f]"},{name:"Cyrillic",bmp:"Ѐ-҄҇-ԯᲀ-ᲈᴫᵸⷠ-ⷿꙀ-ꚟ︮︯"},{name:"Deseret",astral:"\ud801[\udc00-\udc4f]"},{name:"Devanagari",bmp:"ऀ-ॐॕ-ॣ०-ॿ꣠-ꣿ"},{name:"Dives_Akuru",astral:"\ud806[\udd00-\udd06\udd09\udd0c-\udd13\udd15\udd16\udd18-\udd35\udd37\udd38\udd3b-\udd46\udd50-\udd59]"},{name:"Dogra",astral:"\ud806[\udc00-\udc3b]"},{name:"Duployan",astral:"\ud82f[\udc00-\udc6a\udc70-\udc7c\udc80-\udc88\udc90-\udc99\udc9c-\udc9f]"},{name:"Egyptian_Hieroglyphs",astral:"\ud80c[\udc00-\udfff]|\ud80d[\udc00-\udc2e\udc30-\udc38]"},{name:"Elbasan",astral:"\ud801[\udd00-\udd27]"},{name:"Elymaic",astral:"\ud803[\udfe0-\udff6]"},{name:"Ethiopic",bmp:"ሀ-ቈቊ-ቍቐ-ቖቘቚ-ቝበ-ኈኊ-ኍነ-ኰኲ-ኵኸ-ኾዀዂ-ዅወ-ዖዘ-ጐጒ-ጕጘ-ፚ፝-፼ᎀ-᎙ⶀ-ⶖⶠ-ⶦⶨ-ⶮⶰ-ⶶⶸ-ⶾⷀ-ⷆⷈ-ⷎⷐ-ⷖⷘ-ⷞꬁ-ꬆꬉ-ꬎꬑ-ꬖꬠ-ꬦꬨ-ꬮ"},{name:"Georgian",bmp:"Ⴀ-ჅჇჍა-ჺჼ-ჿᲐ-ᲺᲽ-Ჿⴀ-ⴥⴧⴭ"},{name:"Glagolitic",bmp:"Ⰰ-Ⱞⰰ-ⱞ",astral:"\ud838[\udc00-\udc06\udc08-\udc18\udc1b-\udc21\udc23\udc24\udc26-\udc2a]"},{name:"Gothic",astral:"\ud800[\udf30-\udf4a]"},{name:"Grantha",astral:"\ud804[\udf00-\udf03\udf05-\udf0c\udf0f\udf10\udf13-\udf28\udf2a-\udf30\udf32\udf33\udf35-\udf39\udf3c-\udf44\udf47\udf48\udf4b-\udf4d\udf50\udf57\udf5d-\udf63\udf66-\udf6c\udf70-\udf74]"},{name:"Greek",bmp:"Ͱ-ͳ͵-ͷͺ-ͽͿ΄ΆΈ-ΊΌΎ-ΡΣ-ϡϰ-Ͽᴦ-ᴪᵝ-ᵡᵦ-ᵪᶿἀ-ἕἘ-Ἕἠ-ὅὈ-Ὅὐ-ὗὙὛὝὟ-ώᾀ-ᾴᾶ-ῄῆ-ΐῖ-Ί῝-`ῲ-ῴῶ-῾Ωꭥ",astral:"\ud800[\udd40-\udd8e\udda0]|\ud834[\ude00-\ude45]"},{name:"Gujarati",bmp:"ઁ-ઃઅ-ઍએ-ઑઓ-નપ-રલળવ-હ઼-ૅે-ૉો-્ૐૠ-ૣ૦-૱ૹ-૿"},{name:"Gunjala_Gondi",astral:"\ud807[\udd60-\udd65\udd67\udd68\udd6a-\udd8e\udd90\udd91\udd93-\udd98\udda0-\udda9]"},{name:"Gurmukhi",bmp:"ਁ-ਃਅ-ਊਏਐਓ-ਨਪ-ਰਲਲ਼ਵਸ਼ਸਹ਼ਾ-ੂੇੈੋ-੍ੑਖ਼-ੜਫ਼੦-੶"},{name:"Han",bmp:"⺀-⺙⺛-⻳⼀-⿕々〇〡-〩〸-〻㐀-䶿一-鿼豈-舘並-龎",astral:"\ud81b[\udff0\udff1]|[\ud840-\ud868\ud86a-\ud86c\ud86f-\ud872\ud874-\ud879\ud880-\ud883][\udc00-\udfff]|\ud869[\udc00-\udedd\udf00-\udfff]|\ud86d[\udc00-\udf34\udf40-\udfff]|\ud86e[\udc00-\udc1d\udc20-\udfff]|\ud873[\udc00-\udea1\udeb0-\udfff]|\ud87a[\udc00-\udfe0]|\ud87e[\udc00-\ude1d]|\ud884[\udc00-\udf4a]"},{name:"Hangul",bmp:"ᄀ-ᇿ〮〯ㄱ-ㆎ㈀-㈞㉠-㉾ꥠ-ꥼ가-힣ힰ-ퟆퟋ-ퟻﾠ-ﾾￂ-ￇￊ-ￏￒ-ￗￚ-ￜ"},{name:"Hanifi_Rohingya",astral:"\ud803[\udd00-\udd27\udd30-\udd39]"},{name:"Hanunoo",bmp:"ᜠ-᜴"},{name:"Hatran",astral:"\ud802[\udce0-\udcf2\udcf4\udcf5\udcfb-\udcff]"},{name:"Hebrew",bmp:"֑-ׇא-תׯ-״יִ-זּטּ-לּמּנּסּףּפּצּ-ﭏ"},{name:"Hiragana",bmp:"ぁ-ゖゝ-ゟ",astral:"\ud82c[\udc01-\udd1e\udd50-\udd52]|🈀"},{name:"Imperial_Aramaic",astral:"\ud802[\udc40-\udc55\udc57-\udc5f]"},{name:"Inherited",bmp:"̀-ًͯ҅҆-ٰٕ॑-॔᪰-ᫀ᳐-᳔᳒-᳢᳠-᳨᳭᳴᳸᳹᷀-᷹᷻-᷿‌‍⃐-〪⃰-゙゚〭︀-️︠-︭",astral:"\ud800[\uddfd\udee0]|𑌻|\ud834[\udd67-\udd69\udd7b-\udd82\udd85-\udd8b\uddaa-\uddad]|\udb40[\udd00-\uddef]"},{name:"Inscriptional_Pahlavi",astral:"\ud802[\udf60-\udf72\udf78-\udf7f]"},{name:"Inscriptional_Parthian",astral:"\ud802[\udf40-\udf55\udf58-\udf5f]"},{name:"Javanese",bmp:"ꦀ-꧍꧐-꧙꧞꧟"},{name:"Kaithi",astral:"\ud804[\udc80-\udcc1\udccd]"},{name:"Kannada",bmp:"ಀ-ಌಎ-ಐಒ-ನಪ-ಳವ-ಹ಼-ೄೆ-ೈೊ-್ೕೖೞೠ-ೣ೦-೯ೱೲ"},{name:"Katakana",bmp:"ァ-ヺヽ-ヿㇰ-ㇿ㋐-㋾㌀-㍗ｦ-ｯｱ-ﾝ",astral:"\ud82c[\udc00\udd64-\udd67]"},{name:"Kayah_Li",bmp:"꤀-꤭꤯"},{name:"Kharoshthi",astral:"\ud802[\ude00-\ude03\ude05\ude06\ude0c-\ude13\ude15-\ude17\ude19-\ude35\ude38-\ude3a\ude3f-\ude48\ude50-\ude58]"},{name:"Khitan_Small_Script",astral:"𖿤|\ud822[\udf00-\udfff]|\ud823[\udc00-\udcd5]"},{name:"Khmer",bmp:"ក-៝០-៩៰-៹᧠-᧿"},{name:"Khojki",astral:"\ud804[\ude00-\ude11\ude13-\ude3e]"},{name:"Khudawadi",astral:"\ud804[\udeb0-\udeea\udef0-\udef9]"},{name:"Lao",bmp:"ກຂຄຆ-ຊຌ-ຣລວ-ຽເ-ໄໆ່-ໍ໐-໙ໜ-ໟ"},{name:"Latin",bmp:"A-Za-zªºÀ-ÖØ-öø-ʸˠ-ˤᴀ-ᴥᴬ-ᵜᵢ-ᵥᵫ-ᵷᵹ-ᶾḀ-ỿⁱⁿₐ-ₜKÅℲⅎⅠ-ↈⱠ-ⱿꜢ-ꞇꞋ-ꞿꟂ-ꟊꟵ-ꟿꬰ-ꭚꭜ-ꭤꭦ-ꭩﬀ-ﬆＡ-Ｚａ-ｚ"},{name:"Lepcha",bmp:"ᰀ-᰷᰻-᱉ᱍ-ᱏ"},{name:"Limbu",bmp:"ᤀ-ᤞᤠ-ᤫᤰ-᤻᥀᥄-᥏"},{name:"Linear_A",astral:"\ud801[\ude00-\udf36\udf40-\udf55\udf60-\udf67]"},{name:"Linear_B",astral:"\ud800[\udc00-\udc0b\udc0d-\udc26\udc28-\udc3a\udc3c\udc3d\udc3f-\udc4d\udc50-\udc5d\udc80-\udcfa]"},{name:"Lisu",bmp:"ꓐ-꓿",astral:"𑾰"},{name:"Lycian",astral:"\ud800[\ude80-\ude9c]"},{name:"Lydian",astral:"\ud802[\udd20-\udd39\udd3f]"},{name:"Mahajani",astral:"\ud804[\udd50-\udd76]"},{name:"Makasar",astral:"\ud807[\udee0-\udef8]"},{name:"Malayalam",bmp:"ഀ-ഌഎ-ഐഒ-ൄെ-ൈൊ-൏ൔ-ൣ൦-ൿ"},{name:"Mandaic",bmp:"ࡀ-࡛࡞"},{name:"Manichaean",astral:"\ud802[\udec0-\udee6\udeeb-\udef6]"},{name:"Marchen",astral:"\ud807[\udc70-\udc8f\udc92-\udca7\udca9-\udcb6]"},{name:"Masaram_Gondi",astral:"\ud807[\udd00-\udd06\udd08\udd09\udd0b-\udd36\udd3a\udd3c\udd3d\udd3f-\udd47\udd50-\udd59]"},{name:"Medefaidrin",astral:"\ud81b[\ude40-\ude9a]"},{name:"Meetei_Mayek",bmp:"ꫠ-꫶ꯀ-꯭꯰-꯹"},{name:"Mende_Kikakui",astral:"\ud83a[\udc00-\udcc4\udcc7-\udcd6]"},{name:"Meroitic_Cursive",astral:"\ud802[\udda0-\uddb7\uddbc-\uddcf\uddd2-\uddff]"},{name:"Meroitic_Hieroglyphs",astral:"\ud802[\udd80-\udd9f]"},{name:"Miao",astral:"\ud81b[\udf00-\udf4a\udf4f-\udf87\udf8f-\udf9f]"},{name:"Modi",astral:"\ud805[\ude00-\ude44\ude50-\ude59]"},{name:"Mongolian",bmp:"᠀᠁᠄᠆-᠎᠐-᠙ᠠ-ᡸᢀ-ᢪ",astral:"\ud805[\ude60-\ude6c]"},{name:"Mro",astral:"\ud81a[\ude40-\ude5e\ude60-\ude69\ude6e\ude6f]"},{name:"Multani",astral:"\ud804[\ude80-\ude86\ude88\ude8a-\ude8d\ude8f-\ude9d\ude9f-\udea9]"},{name:"Myanmar",bmp:"က-႟ꧠ-ꧾꩠ-ꩿ"},{name:"Nabataean",astral:"\ud802[\udc80-\udc9e\udca7-\udcaf]"},{name:"Nandinagari",astral:"\ud806[\udda0-\udda7\uddaa-\uddd7\uddda-\udde4]"},{name:"New_Tai_Lue",bmp:"ᦀ-ᦫᦰ-ᧉ᧐-᧚᧞᧟"},{name:"Newa",astral:"\ud805[\udc00-\udc5b\udc5d-\udc61]"},{name:"Nko",bmp:"߀-ߺ߽-߿"},{name:"Nushu",astral:"𖿡|\ud82c[\udd70-\udefb]"},{name:"Nyiakeng_Puachue_Hmong",astral:"\ud838[\udd00-\udd2c\udd30-\udd3d\udd40-\udd49\udd4e\udd4f]"},{name:"Ogham",bmp:" -᚜"},{name:"Ol_Chiki",bmp:"᱐-᱿"},{name:"Old_Hungarian",astral:"\ud803[\udc80-\udcb2\udcc0-\udcf2\udcfa-\udcff]"},{name:"Old_Italic",astral:"\ud800[\udf00-\udf23\udf2d-\udf2f]"},{name:"Old_North_Arabian",astral:"\ud802[\ude80-\ude9f]"},{name:"Old_Permic",astral:"\ud800[\udf50-\udf7a]"},{name:"Old_Persian",astral:"\ud800[\udfa0-\udfc3\udfc8-\udfd5]"},{name:"Old_Sogdian",astral:"\ud803[\udf00-\udf27]"},{name:"Old_South_Arabian",astral:"\ud802[\ude60-\ude7f]"},{name:"Old_Turkic",astral:"\ud803[\udc00-\udc48]"},{name:"Oriya",bmp:"ଁ-ଃଅ-ଌଏଐଓ-ନପ-ରଲଳଵ-ହ଼-ୄେୈୋ-୍୕-ୗଡ଼ଢ଼ୟ-ୣ୦-୷"},{name:"Osage",astral:"\ud801[\udcb0-\udcd3\udcd8-\udcfb]"},{name:"Osmanya",astral:"\ud801[\udc80-\udc9d\udca0-\udca9]"},{name:"Pahawh_Hmong",astral:"\ud81a[\udf00-\udf45\udf50-\udf59\udf5b-\udf61\udf63-\udf77\udf7d-\udf8f]"},{name:"Palmyrene",astral:"\ud802[\udc60-\udc7f]"},{name:"Pau_Cin_Hau",astral:"\ud806[\udec0-\udef8]"},{name:"Phags_Pa",bmp:"ꡀ-꡷"},{name:"Phoenician",astral:"\ud802[\udd00-\udd1b\udd1f]"},{name:"Psalter_Pahlavi",astral:"\ud802[\udf80-\udf91\udf99-\udf9c\udfa9-\udfaf]"},{name:"Rejang",bmp:"ꤰ-꥓꥟"},{name:"Runic",bmp:"ᚠ-ᛪᛮ-ᛸ"},{name:"Samaritan",bmp:"ࠀ-࠭࠰-࠾"},{name:"Saurashtra",bmp:"ꢀ-ꣅ꣎-꣙"},{name:"Sharada",astral:"\ud804[\udd80-\udddf]"},{name:"Shavian",astral:"\ud801[\udc50-\udc7f]"},{name:"Siddham",astral:"\ud805[\udd80-\uddb5\uddb8-\udddd]"},{name:"SignWriting",astral:"\ud836[\udc00-\ude8b\ude9b-\ude9f\udea1-\udeaf]"},{name:"Sinhala",bmp:"ඁ-ඃඅ-ඖක-නඳ-රලව-ෆ්ා-ුූෘ-ෟ෦-෯ෲ-෴",astral:"\ud804[\udde1-\uddf4]"},{name:"Sogdian",astral:"\ud803[\udf30-\udf59]"},{name:"Sora_Sompeng",astral:"\ud804[\udcd0-\udce8\udcf0-\udcf9]"},{name:"Soyombo",astral:"\ud806[\ude50-\udea2]"},{name:"Sundanese",bmp:"ᮀ-ᮿ᳀-᳇"},{name:"Syloti_Nagri",bmp:"ꠀ-꠬"},{name:"Syriac",bmp:"܀-܍܏-݊ݍ-ݏࡠ-ࡪ"},{name:"Tagalog",bmp:"ᜀ-ᜌᜎ-᜔"},{name:"Tagbanwa",bmp:"ᝠ-ᝬᝮ-ᝰᝲᝳ"},{name:"Tai_Le",bmp:"ᥐ-ᥭᥰ-ᥴ"},{name:"Tai_Tham",bmp:"ᨠ-ᩞ᩠-᩿᩼-᪉᪐-᪙᪠-᪭"},{name:"Tai_Viet",bmp:"ꪀ-ꫂꫛ-꫟"},{name:"Takri",astral:"\ud805[\ude80-\udeb8\udec0-\udec9]"},{name:"Tamil",bmp:"ஂஃஅ-ஊஎ-ஐஒ-கஙசஜஞடணதந-பம-ஹா-ூெ-ைொ-்ௐௗ௦-௺",astral:"\ud807[\udfc0-\udff1\udfff]"},{name:"Tangut",astral:"𖿠|[\ud81c-\ud820][\udc00-\udfff]|\ud821[\udc00-\udff7]|\ud822[\udc00-\udeff]|\ud823[\udd00-\udd08]"},{name:"Telugu",bmp:"ఀ-ఌఎ-ఐఒ-నప-హఽ-ౄె-ైొ-్ౕౖౘ-ౚౠ-ౣ౦-౯౷-౿"},{name:"Thaana",bmp:"ހ-ޱ"},{name:"Thai",bmp:"ก-ฺเ-๛"},{name:"Tibetan",bmp:"ༀ-ཇཉ-ཬཱ-ྗྙ-ྼ྾-࿌࿎-࿔࿙࿚"},{name:"Tifinagh",bmp:"ⴰ-ⵧⵯ⵰⵿"},{name:"Tirhuta",astral:"\ud805[\udc80-\udcc7\udcd0-\udcd9]"},{name:"Ugaritic",astral:"\ud800[\udf80-\udf9d\udf9f]"},{name:"Vai",bmp:"ꔀ-ꘫ"},{name:"Wancho",astral:"\ud838[\udec0-\udef9\udeff]"},{name:"Warang_Citi",astral:"\ud806[\udca0-\udcf2\udcff]"},{name:"Yezidi",astral:"\ud803[\ude80-\udea9\udeab-\udead\udeb0\udeb1]"},{name:"Yi",bmp:"ꀀ-ꒌ꒐-꓆"},{name:"Zanabazar_Square",astral:"\ud806[\ude00-\ude47]"}]},1106:(u,d,r)=>{"use strict";const a=r(5747);const formatLocation=u=>{const d=u.file!=undefined?u.file:"<anonymous>";return`${d}:${u.start.line}:${u.start.column}`};const locate=(u,d,r=undefined)=>{if(!(u instanceof Error)){return u}if(u.loc===undefined&&d!=undefined){u.loc=d;u.message+=` at ${formatLocation(d)}`}if(u.pleaseStack===undefined&&r!=undefined){u.pleaseStack=r.slice()}return u};const groupErrors=(u,d)=>{const r=new d(u.map((u=>u.message)).join("\n"));r.diagnostics=u;return r};const formatFrames=(u,d)=>{const r=u.map((u=>u.loc)).concat([d]);const a=["<program>"].concat(u.map((u=>u.name)));return a.map(((u,d)=>{const a=r[d]!=undefined?formatLocation(r[d]):"native";return`    at ${u} (${a})`})).reverse().join("\n")};const formatStack=u=>{const d=u.pleaseStack;if(d==undefined||d.length===0){return""}return formatFrames(d,u.loc)};const codeFrame=(u,d)=>{const r=u.replace(/\r/g,"").split("\n");const a=r[d.start.line-1];const t=d.end.line===d.start.line?d.end.column-d.start.column:a.length-d.start.column+1;const c=String(d.start.line);return`${c} | ${a}\n`+`${" ".repeat(c.length)} | ${" ".repeat(d.start.column-1)}`+"^".repeat(Math.max(t,1))};const formatError=(u,d=undefined)=>{if(u instanceof Error&&u.diagnostics!=undefined){return u.diagnostics.map((u=>formatError(u,d))).join("\n")}const r=u instanceof Error?u.message:String(u);if(!(u instanceof Error)||u.loc==undefined){return r}const t=formatStack(u);const c=t!==""?"\n"+t:"";if(d==undefined){try{d=a.readFileSync(u.loc.file,"utf8")}catch(u){return r+c}}return r+"\n"+codeFrame(d,u.loc)+c};u.exports={formatLocation:formatLocation,locate:locate,groupErrors:groupErrors,formatFrames:formatFrames,formatStack:formatStack,codeFrame:codeFrame,formatError:formatError}},9391:(u,d,r)=>{"use strict";const{step:a,checkProperty:t}=r(663);const checkArray=(u,d)=>{if(!Array.isArray(u)){throw new TypeError(`The first argument to ${d} must be an array`)}};const checkFunction=(u,d)=>{if(typeof u!=="function"){throw new TypeError(`The second argument to ${d} must be a function`)}};const checkCount=(u,d,r="number of elements")=>{if(!Number.isInteger(u)||u<0){throw new RangeError(`The ${r} of ${d} must be a non negative integer`)}};const call=(u,...d)=>({fn:u,args:d});const callNow=u=>{let d=u.next();while(!d.done){const{fn:r,args:a}=d.value;d=u.next(r(...a))}return d.value};const c=Object.create(null);const createHash=(u,d)=>{const r={};if(u.length%2!==0){throw new Error("To create a hash the number of arguments must be a multiple of two")}for(let a=0;a<u.length;a+=2){r[t(u[a],d)]=u[a+1]}return r};c.filter=function*(u,d){checkArray(u,"filter");checkFunction(d,"filter");const r=[];for(const a of u){if((yield call(d,a))!==false){r.push(a)}}return r};c.reduce=function*(u,d,...r){checkArray(u,"reduce");checkFunction(d,"reduce");if(r.length===0&&u.length===0){throw new TypeError("reduce needs an initial value for an empty array")}const a=r.length===0?1:0;let t=r.length===0?u[0]:r[0];for(const r of u.slice(a)){t=yield call(d,t,r)}return t};c.find=function*(u,d){checkArray(u,"find");checkFunction(d,"find");for(const r of u){if((yield call(d,r))!==false){return r}}return undefined};c.some=function*(u,d){checkArray(u,"some");checkFunction(d,"some");for(const r of u){if((yield call(d,r))!==false){return true}}return false};c.every=function*(u,d){checkArray(u,"every");checkFunction(d,"every");for(const r of u){if((yield call(d,r))===false){return false}}return true};c["sort-by"]=function*(u,d){checkArray(u,"sort-by");checkFunction(d,"sort-by");const r=[];for(const a of u){r.push({element:a,key:yield call(d,a)})}return r.sort(((u,d)=>u.key<d.key?-1:u.key>d.key?1:0)).map((({element:u})=>u))};const createCallbacks=u=>{const d=Object.assign(Object.create(null),c);d.map=function*(...d){if(!Array.isArray(d[0])){return createHash(d,u)}const[r,a]=d;checkFunction(a,"map");const t=[];for(const u of r){t.push(yield call(a,u))}return t};d["group-by"]=function*(d,r){checkArray(d,"group-by");checkFunction(r,"group-by");const a={};for(const c of d){const d=t(yield call(r,c),u);if(!Object.prototype.hasOwnProperty.call(a,d)){a[d]=[]}a[d].push(c)}return a};return d};const o=Object.create(null);o.zip=(...u)=>{u.forEach((u=>checkArray(u,"zip")));if(u.length===0){return[]}const d=Math.min(...u.map((u=>u.length)));return Array.from({length:d},((d,r)=>u.map((u=>u[r]))))};const range=(u,d)=>{if(u.length===0||u.length>3||u.some((u=>typeof u!=="number"))){throw new TypeError("range needs between one and three numbers")}const[r,t,c=1]=u.length===1?[0,...u]:u;if(c===0){throw new RangeError("The step of range can't be 0")}const o=[];for(let u=r;c>0?u<t:u>t;u+=c){a(d);o.push(u)}return o};o.flatten=(u,d=1)=>{checkArray(u,"flatten");checkCount(d,"flatten","depth");return u.flat(d)};o.take=(u,d)=>{checkArray(u,"take");checkCount(d,"take");return u.slice(0,d)};o.drop=(u,d)=>{checkArray(u,"drop");checkCount(d,"drop");return u.slice(d)};const i=new WeakMap;const createCollections=u=>{const d=Object.create(null);const r=createCallbacks(u);Object.keys(r).forEach((u=>{d[u]=(...d)=>callNow(r[u](...d));i.set(d[u],r[u])}));d.range=(...d)=>range(d,u);return Object.assign(d,o)};const D=createCollections(undefined);u.exports={collections:D,generators:i,createCollections:createCollections,createHash:createHash}},970:(u,d,r)=>{"use strict";const{LimitError:a}=r(663);const{formatLocation:t}=r(1106);class PleaseError extends Error{constructor(u,d,r){super(u);this.name=d;this.value=r}}const createError=u=>{if(typeof u==="string"){return new PleaseError(u,"Error",undefined)}if(u==undefined||typeof u.message!=="string"){throw new TypeError("throw needs a message or an object with a message")}const d=typeof u.kind==="string"?u.kind:"Error";return new PleaseError(u.message,d,u)};const raise=u=>{throw createError(u)};const isCatchable=u=>!(u instanceof a);const toErrorValue=u=>{if(!(u instanceof Error)){return{kind:"Error",message:String(u),location:undefined,line:undefined,column:undefined,value:u}}const d=u.loc;const r=d!=undefined?t(d):undefined;const a=` at ${r}`;const c=r!==undefined&&u.message.endsWith(a)?u.message.slice(0,-a.length):u.message;return{kind:u.name,message:c,location:r,line:d!=undefined?d.start.line:undefined,column:d!=undefined?d.start.column:undefined,value:u instanceof PleaseError?u.value:undefined}};const attempt=(u,{handler:d=undefined,cleanup:r=undefined})=>{const finish=u=>{if(r!==undefined){r()}return u};let a=undefined;try{a=u()}catch(u){if(!isCatchable(u)){throw u}if(d===undefined){finish(undefined);throw u}try{a=d(toErrorValue(u))}catch(u){if(isCatchable(u)){finish(undefined)}throw u}}return finish(a)};u.exports={PleaseError:PleaseError,createError:createError,raise:raise,isCatchable:isCatchable,toErrorValue:toErrorValue,attempt:attempt}},3273:(u,d,r)=>{"use strict";const{step:a}=r(663);const toData=(u,d,r,t)=>{a(t);if(typeof u==="bigint"){throw new TypeError(`json-stringify can't write the big integer at ${r}`)}if(typeof u==="function"){return undefined}if(u===null||typeof u!=="object"){return u}if(d.includes(u)){throw new TypeError(`json-stringify can't write a cyclic value: the one at ${r} `+"contains itself")}const c=d.concat([u]);if(Array.isArray(u)){return u.map(((u,d)=>toData(u,c,`${r}[${d}]`,t)))}const o=Object.create(null);Object.keys(u).forEach((d=>{o[d]=toData(u[d],c,`${r}.${d}`,t)}));return o};const t=Object.create(null);t["json-parse"]=u=>{if(typeof u!=="string"){throw new TypeError("The text given to json-parse must be a string")}try{return JSON.parse(u)}catch(u){throw new SyntaxError(`json-parse got invalid JSON: ${u.message}`)}};const stringify=(u,d,r)=>{if(typeof d!=="number"&&typeof d!=="string"){throw new TypeError("The indentation of json-stringify must be a number or a string")}return JSON.stringify(toData(u,[],"$",r),null,d)};const createJSON=u=>Object.assign(Object.create(null),t,{"json-stringify":(d,r=0)=>stringify(d,r,u)});const c=createJSON(undefined);u.exports={json:c,createJSON:createJSON}},5381:u=>{"use strict";const checkNumbers=(u,d)=>{if(u.some((u=>typeof u!=="number"&&typeof u!=="bigint"))){throw new TypeError(`The arguments to ${d} must be numbers`)}};const d=Object.create(null);d.pi=Math.PI;d.abs=u=>{checkNumbers([u],"abs");return u<0?-u:u};d.floor=u=>{checkNumbers([u],"floor");return typeof u==="bigint"?u:Math.floor(u)};d.ceil=u=>{checkNumbers([u],"ceil");return typeof u==="bigint"?u:Math.ceil(u)};d.round=u=>{checkNumbers([u],"round");return typeof u==="bigint"?u:Math.round(u)};d.min=(...u)=>{checkNumbers(u,"min");if(u.length===0){throw new RangeError("min needs at least one number")}return u.reduce(((u,d)=>d<u?d:u))};d.max=(...u)=>{checkNumbers(u,"max");if(u.length===0){throw new RangeError("max needs at least one number")}return u.reduce(((u,d)=>d>u?d:u))};d.sqrt=u=>{checkNumbers([u],"sqrt");if(typeof u==="number"){return Math.sqrt(u)}if(u<0n){throw new RangeError("The square root of a negative big integer")}const improve=d=>{const r=(d+u/d)/2n;return r<d?improve(r):d};return u<2n?u:improve(u)};d.pow=(u,d)=>{checkNumbers([u,d],"pow");return u**d};d.div=(u,d)=>{checkNumbers([u,d],"div");return typeof u==="bigint"&&typeof d==="bigint"?u/d:Math.trunc(Number(u)/Number(d))};["sin","cos","tan","asin","acos","atan","atan2"].forEach((u=>{d[u]=(...d)=>{checkNumbers(d,u);return Math[u](...d)}}));const createRandom=()=>{let u=undefined;const next=()=>{if(u===undefined){return Math.random()}u=u+1831565813|0;let d=Math.imul(u^u>>>15,u|1);d^=d+Math.imul(d^d>>>7,d|61);return((d^d>>>14)>>>0)/4294967296};const d=Object.create(null);d.random=(...u)=>{if(u.length===0){return next()}if(!Number.isInteger(u[0])||u[0]<=0){throw new RangeError("The maximum of random must be a positive integer")}return Math.floor(next()*u[0])};d["seed-random"]=(d=undefined)=>{if(d!==undefined&&!Number.isInteger(d)){throw new TypeError("The seed of seed-random must be an integer")}u=d===undefined?undefined:d|0;return d};return d};Object.assign(d,createRandom());d.big=u=>{if(!["number","string","bigint"].includes(typeof u)){throw new TypeError("big needs a number or a string")}try{return BigInt(u)}catch(d){throw new RangeError(`${String(u)} isn't an integer`)}};d.number=u=>{checkNumbers([u],"number");return Number(u)};u.exports={math:d,createRandom:createRandom}},6700:(u,d,r)=>{"use strict";const{checkProperty:a}=r(663);const{operations:t}=r(765);const c=Object.create(null);["+","-","*","/","%","**"].forEach((u=>{c[u]=t[u]}));const createMethods=u=>{const sub=(d,...r)=>{r[0]=a(r[0],u);if(r[0]<0&&d instanceof Array){r[0]+=d.length}if(d[r[0]]==undefined){return undefined}const t=r.slice(1);if(t.length===0){return d[r[0]]}return sub(d[r[0]],...t)};const assign=(d,r,...t)=>{if(typeof d!=="object"||d==undefined){throw new TypeError(`The object ${JSON.stringify(d)} isn't indexable`)}t[0]=a(t[0],u);if(t[0]<0&&d instanceof Array){t[0]+=d.length}const c=t.slice(1);if(c.length===0){d[t[0]]=r;return}assign(d[t[0]],r,...c)};const d=Object.create(null);d.sub=sub;d["="]=assign;const findMethod=(u,r)=>{if(typeof u==="number"&&r in c){return c[r]}return d[r]};const member=(u,d,r)=>{if(!(d in Object(u))){const a=findMethod(u,d);if(a!==undefined){return(...d)=>a(u,...r,...d)}}if(typeof u[d]!=="function"){return u[d]}return(...a)=>u[d](...r,...a)};return{sub:sub,assign:assign,member:member}};const o=new WeakMap;const methodsOf=u=>{if(!o.has(u)){o.set(u,createMethods(u))}return o.get(u)};const{sub:i,assign:D,member:l}=createMethods(undefined);u.exports={sub:i,assign:D,member:l,methodsOf:methodsOf}},765:u=>{"use strict";const d={"+":[1,Infinity],"-":[1,Infinity],"*":[1,Infinity],"/":[1,Infinity],"%":[2,2],"**":[2,2],"==":[2,Infinity],"!=":[2,Infinity],"<":[2,Infinity],">":[2,Infinity],"<=":[2,Infinity],">=":[2,Infinity],"&&":[1,Infinity],"||":[1,Infinity],"!":[1,1]};const acceptsOperands=(u,r)=>{const[a,t]=d[u];return r>=a&&r<=t};const checkOperands=(u,r)=>{if(acceptsOperands(u,r)){return}const[a,t]=d[u];let c=String(a);if(t===Infinity){c=`at least ${a}`}throw new TypeError(`Wrong number of operands to ${u}: expected `+`${c} but got ${r}`)};const fold=(u,d,r=(u=>u))=>(...a)=>{checkOperands(u,a.length);if(a.length===1){return r(a[0])}return a.reduce(((u,r)=>d(u,r)))};const chain=(u,d)=>(...r)=>{checkOperands(u,r.length);return r.slice(1).every(((u,a)=>d(r[a],u)))};const r=Object.create(null);r["+"]=fold("+",((u,d)=>u+d));r["-"]=fold("-",((u,d)=>u-d),(u=>-u));r["*"]=fold("*",((u,d)=>u*d));r["/"]=fold("/",((u,d)=>u/d),(u=>1/u));r["%"]=fold("%",((u,d)=>u%d));r["**"]=fold("**",((u,d)=>u**d));r["=="]=chain("==",((u,d)=>u==d));r["!="]=chain("!=",((u,d)=>u!=d));r["<"]=chain("<",((u,d)=>u<d));r[">"]=chain(">",((u,d)=>u>d));r["<="]=chain("<=",((u,d)=>u<=d));r[">="]=chain(">=",((u,d)=>u>=d));r["&&"]=fold("&&",((u,d)=>u&&d));r["||"]=fold("||",((u,d)=>u||d));r["!"]=(...u)=>{checkOperands("!",u.length);return!u[0]};u.exports={operations:r,acceptsOperands:acceptsOperands}},1947:(u,d,r)=>{"use strict";const a=r(7750);const{checkProperty:t}=r(663);const checkString=(u,d,r="first")=>{if(typeof u!=="string"){throw new TypeError(`The ${r} argument to ${d} must be a string`)}};const checkPattern=(u,d)=>{if(typeof u!=="string"&&!(u instanceof RegExp)){throw new TypeError(`The second argument to ${d} must be a string or a regular `+"expression")}};const c=Object.create(null);c.split=(u,d,r=undefined)=>{checkString(u,"split");checkPattern(d,"split");return a.split(u,d,r)};c.join=(u,d="")=>{if(!Array.isArray(u)){throw new TypeError("The first argument to join must be an array")}checkString(d,"join","second");return u.join(d)};c.trim=u=>{checkString(u,"trim");return u.trim()};c["trim-start"]=u=>{checkString(u,"trim-start");return u.trimStart()};c["trim-end"]=u=>{checkString(u,"trim-end");return u.trimEnd()};c["pad-start"]=(u,d,r=" ")=>{checkString(u,"pad-start");checkString(r,"pad-start","third");return u.padStart(d,r)};c["pad-end"]=(u,d,r=" ")=>{checkString(u,"pad-end");checkString(r,"pad-end","third");return u.padEnd(d,r)};c.replace=(u,d,r)=>{checkString(u,"replace");checkPattern(d,"replace");if(typeof r==="function"){const u=r;r=(d,...r)=>{const a=r.slice(0,r.findIndex(Number.isInteger));return u(d,...a)}}return a.replace(u,d,r,"all")};c.upper=u=>{checkString(u,"upper");return u.toUpperCase()};c.lower=u=>{checkString(u,"lower");return u.toLowerCase()};c.slice=(u,d,r=undefined)=>{checkString(u,"slice");return u.slice(d,r)};c["char-code"]=(u,d=0)=>{checkString(u,"char-code");return u.codePointAt(d)};c["from-char-code"]=(...u)=>String.fromCodePoint(...u);const format=(u,d,r)=>{checkString(u,"format");let a=0;return u.replace(/\{\{|\}\}|\{([^{}]*)\}/g,((u,c)=>{if(c===undefined){return u[0]}let o=false;let i=undefined;if(c===""){o=a<d.length;i=d[a++]}else if(/^\d+$/.test(c)){o=Number(c)<d.length;i=d[Number(c)]}else if(d[0]!=undefined){t(c,r);o=c in Object(d[0]);i=d[0][c]}if(!o){throw new RangeError(`There isn't a value for {${c}} in format`)}return String(i)}))};const createStrings=u=>Object.assign(Object.create(null),c,{format:(d,...r)=>format(d,r,u)});const o=createStrings(undefined);u.exports={strings:o,createStrings:createStrings}},181:(u,d,r)=>{"use strict";const a=r(5747);const{defaultRuntime:t}=r(1522);let c=process.argv.slice(2);const checkPath=(u,d)=>{if(typeof u!=="string"){throw new TypeError(`The path given to ${d} must be a string`)}};const o=Object.create(null);o["read-file"]=u=>{checkPath(u,"read-file");return a.readFileSync(u,"utf8")};o["write-file"]=(u,d)=>{checkPath(u,"write-file");if(typeof d!=="string"){throw new TypeError("The content given to write-file must be a string")}a.writeFileSync(u,d);return d};o["file-exists"]=u=>{checkPath(u,"file-exists");return a.existsSync(u)};o["list-dir"]=(u=".")=>{checkPath(u,"list-dir");return a.readdirSync(u).sort()};o.args=()=>c.slice();o.env=(...u)=>{if(u.length===0){return Object.assign({},process.env)}return process.env[u[0]]};const setExitCode=(u,d)=>{if(!Number.isInteger(u)||u<0||u>255){throw new RangeError("The exit code must be an integer between 0 and 255")}if(d!==undefined){d.exitCode=u}return u};const createSystem=u=>Object.assign(Object.create(null),o,{"exit-code":d=>setExitCode(d,u)});const i=createSystem(undefined);const setArguments=u=>{c=u.slice()};const resetExitCode=(u=t)=>{u.exitCode=undefined};const exitStatus=(u=t)=>u.exitCode!==undefined?u.exitCode:0;u.exports={system:i,createSystem:createSystem,setArguments:setArguments,resetExitCode:resetExitCode,exitStatus:exitStatus}},1522:u=>{"use strict";const createRuntime=()=>({callStack:{frames:[],site:undefined},debugHooks:{enter:undefined,leave:undefined},sandbox:undefined,exitCode:undefined});const d=createRuntime();u.exports={createRuntime:createRuntime,defaultRuntime:d}},663:u=>{"use strict";const d=["constructor","prototype","__proto__","__defineGetter__","__defineSetter__","__lookupGetter__","__lookupSetter__"];const r=["XRegExp","require","read-file","write-file","file-exists","list-dir","args","env","exit-code"];const a=["steps","time","memory"];const t=1e3;const isSandboxed=u=>u!==undefined&&u.sandbox!==undefined;const step=u=>{if(isSandboxed(u)){u.sandbox.step()}};const checkResult=(u,d)=>{if(isSandboxed(d)){d.sandbox.check(u)}return u};const isBlocked=(u,r)=>isSandboxed(r)&&d.includes(String(u));const toPropertyKey=u=>{if(typeof u==="function"||typeof u==="object"&&u!==null){return String(u)}return u};const checkProperty=(u,d)=>{const r=toPropertyKey(u);if(isBlocked(r,d)){throw new TypeError(`The property ${String(r)} can't be accessed in the sandbox`)}return r};class LimitError extends RangeError{}const sizeOf=u=>{if(typeof u==="string"){return u.length*2}return Array.isArray(u)?u.length*8:0};const createSandbox=u=>{const{steps:d=Infinity,time:r=Infinity,memory:a=Infinity}=u;const c=Date.now()+r;const o=process.memoryUsage().heapUsed;let i=0;let D=0;const checkTime=()=>{if(Date.now()>c){throw new LimitError(`The program exceeded the time limit of ${r}ms`)}};const checkMemory=u=>{if(D+u>a){throw new LimitError(`The program exceeded the memory limit of ${a} bytes`)}};return{step:()=>{i++;if(i>d){throw new LimitError(`The program exceeded the limit of ${d} steps`)}checkTime();if(i%t===0){D=process.memoryUsage().heapUsed-o;checkMemory(0)}},check:u=>{checkTime();checkMemory(sizeOf(u))}}};const runSandboxed=(u,d,r)=>{Object.keys(d).forEach((u=>{if(!a.includes(u)){throw new Error(`Unknown limit: ${u}`)}if(typeof d[u]!=="number"||!(d[u]>=0)){throw new Error(`The limit ${u} must be a non negative number`)}}));const t=u.sandbox;u.sandbox=createSandbox(d);try{return r()}finally{u.sandbox=t}};u.exports={BLOCKED_PROPERTIES:d,HIDDEN_GLOBALS:r,LimitError:LimitError,isSandboxed:isSandboxed,step:step,checkResult:checkResult,isBlocked:isBlocked,toPropertyKey:toPropertyKey,checkProperty:checkProperty,runSandboxed:runSandboxed}},5747:u=>{"use strict";u.exports=require("fs")}};var d={};function __nccwpck_require__(r){var a=d[r];if(a!==undefined){return a.exports}var t=d[r]={exports:{}};var c=true;try{u[r](t,t.exports,__nccwpck_require__);c=false}finally{if(c)delete d[r]}return t.exports}if(typeof __nccwpck_require__!=="undefined")__nccwpck_require__.ab=__dirname+"/";var r={};(()=>{const u=__nccwpck_require__(7750);const d=__nccwpck_require__(6700);const r=__nccwpck_require__(765).operations;const a=__nccwpck_require__(1947).strings;const t=__nccwpck_require__(9391).collections;const c=__nccwpck_require__(5381).math;const o=__nccwpck_require__(181).system;const i=__nccwpck_require__(3273).json;const D=__nccwpck_require__(970);let l;let p;(()=>{let u=[p=l=3];console.log(...u);return u})()})();module.exports=r})();
\ No newline at end of file
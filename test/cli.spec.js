@@ -0,0 +1,171 @@
+// @ts-check
+/**
+ * @description A file with the tests for the executables of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+require('chai').should();
+const {spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {compile} = require('../src/main.js');
+
+// The tests start processes, so they take longer than the other ones
+describe('Executables', () => {
+  let folder;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'please-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(folder, {recursive: true});
+  });
+
+  /**
+   * Writes a file in the temporary folder
+   * @param {string} name The name of the file
+   * @param {string} source The content
+   * @return {string} The path of the file from the current folder, the way
+   *     the executables receive the plugins
+   */
+  const write = (name, source) => {
+    const fileName = path.join(folder, name);
+    fs.writeFileSync(fileName, source);
+    return path.relative(process.cwd(), fileName);
+  };
+
+  /**
+   * Runs an executable
+   * @param {string} name The name of the executable
+   * @param {Array<string>} args The arguments
+   * @param {string} [input] The standard input of the process
+   * @return {Object} The status and the output of the process
+   */
+  const please = (name, args, input = '') => {
+    const {status, stdout} = spawnSync(
+        process.execPath, [path.join('src/bin', name), ...args],
+        {encoding: 'utf8', input},
+    );
+    return {status, output: stdout.trim().split('\n')};
+  };
+
+  const greet = () => write('greet.js', `module.exports = {
+    name: 'greet',
+    globals: {greet: (name) => 'Hi ' + name},
+  };`);
+
+  it('run with plugins and arguments', () => {
+    const plugin = greet();
+    const shout = write('shout.js', `module.exports = {
+      name: 'shout',
+      globals: {shout: (text) => text.toUpperCase()},
+    };`);
+    const program = write('greet.pls', 'println(shout(greet(args()[0])))');
+    please('run.js', ['-p', plugin, '-p', shout, program, 'Ana', '-p', 'x'])
+        .should.eql({status: 0, output: ['HI ANA']});
+    please('please.js', ['run', '--plugin', plugin, '--plugin', shout,
+      program, 'Bob']).should.eql({status: 0, output: ['HI BOB']});
+    const args = write('args.pls', 'println(args())');
+    please('run.js', ['-p', plugin, '-e', 'closure', args, '-p', plugin])
+        .output.should.eql(['[ \'-p\', \'' + plugin + '\' ]']);
+  }).timeout(10000);
+
+  it('load the plugins of the language', () => {
+    const module = write('module.pls', '"From the module"');
+    const program = write('require.pls', `println(require(${
+      JSON.stringify(module)}))`);
+    please('run.js', ['-p', 'src/lib/plugins/require.js', program])
+        .should.eql({status: 0, output: ['From the module']});
+    please('run.js', ['-p', 'src/lib/plugins/repl.js', '-p',
+      'src/lib/plugins/require.js', write('repl.pls', 'help()')])
+        .output.should.have.lengthOf(2);
+  }).timeout(10000);
+
+  it('compile with plugins', () => {
+    const program = write('require.pls', 'require("module.pls")');
+    const compiled = path.join(folder, 'require.cpls');
+    please('compile.js', [program, '-o', compiled]).output[0]
+        .should.match(/Undefined binding: require/);
+    fs.existsSync(compiled).should.equal(false);
+    please('compile.js', ['-p', 'src/lib/plugins/require.js', program, '-o',
+      compiled]).should.eql({status: 0, output: ['']});
+    JSON.parse(fs.readFileSync(compiled, 'utf8')).type.should.equal('Call');
+  }).timeout(10000);
+
+  it('interpret with plugins and arguments', () => {
+    const plugin = write('after.js', `module.exports = {
+      name: 'after',
+      afterEvaluate: (value) => console.log('after', value),
+    };`);
+    write('args.pls', 'args()');
+    const compiled = path.join(folder, 'args.cpls');
+    compile(path.join(folder, 'args.pls'), compiled);
+    please('interpret.js', ['-p', plugin, compiled, 'a', 'b']).should.eql({
+      status: 0,
+      output: ['after [ \'a\', \'b\' ]'],
+    });
+    please('interpret.js', [path.join(folder, 'missing.cpls')])
+        .status.should.equal(1);
+  }).timeout(10000);
+
+  it('debug and serve the protocols with plugins', () => {
+    const plugin = greet();
+    const after = write('after.js', `module.exports = {
+      name: 'after',
+      afterEvaluate: (value) => console.log('after', value),
+    };`);
+    const program = write('greet.pls', 'println(greet("Ana"))');
+    please('debug.js', ['-p', plugin, '-p', after, program], 'continue\n')
+        .output.slice(-2).should.eql([
+          '(debug) Hi Ana',
+          'after [ \'Hi Ana\' ]',
+        ]);
+    const names = write('names.pls', 'do(\n' +
+        '  println(greet("Ana")),\n' +
+        '  println(greet("Bob")),\n' +
+        '  println(greet("Eve")),\n)');
+    please('debug.js', [names, '-p', plugin, '-b', '2', '3', '4'],
+        'continue\ncontinue').output.filter((line) => {
+      return line.startsWith('(debug)');
+    }).should.eql([
+      '(debug) Hi Ana',
+      '(debug) Hi Bob',
+      '(debug) There was an error: The program was stopped by the ' +
+      `debugger at ${names}:1:1`,
+    ]);
+    please('debug.js', [path.join(folder, 'missing.pls')]).output[0]
+        .should.match(/^There was an error: ENOENT/);
+    const message = (body) => {
+      const text = JSON.stringify(body);
+      return `Content-Length: ${Buffer.byteLength(text)}\r\n\r\n${text}`;
+    };
+    please('language-server.js', ['-p', plugin, '-p', after], message({
+      jsonrpc: '2.0', id: 1, method: 'initialize', params: {},
+    })).output[2].should.match(/"id":1,"result":{"capabilities"/);
+    please('debug-adapter.js', ['-p', plugin, '-p', after], message({
+      seq: 1, type: 'request', command: 'initialize', arguments: {},
+    })).output[2].should.match(/"command":"initialize","success":true/);
+  }).timeout(10000);
+
+  it('exit with the status of the program', () => {
+    please('run.js', [write('code.pls', 'do(exit-code(3), "done")')])
+        .status.should.equal(3);
+    please('run.js', [write('big.pls', '300')]).should.eql({
+      status: 0,
+      output: [''],
+    });
+    const compiled = path.join(folder, 'result.cpls');
+    compile(write('result.pls', '12'), compiled);
+    please('interpret.js', [compiled]).status.should.equal(0);
+    const child = JSON.stringify(write('child.pls', '"child"'));
+    please('run.js', ['-p', 'src/lib/plugins/require.js', write('parent.pls',
+        `do(exit-code(3), require(${child}), "end")`)]).status.should.equal(3);
+    please('run.js', [write('error.pls', 'undefinedWord')])
+        .status.should.equal(1);
+  }).timeout(10000);
+});
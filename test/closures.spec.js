@@ -0,0 +1,123 @@
+// @ts-check
+/**
+ * @description A file with the tests for the closure engine of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const fs = require('fs');
+const {inspect} = require('util');
+const sinon = require('sinon');
+const {
+  run,
+  runFromFile,
+  keywords,
+  formatError,
+  compileToClosures,
+  parse,
+} = require('../src/main.js');
+const {debugHooks} = require('../src/lib/runtime.js').defaultRuntime;
+const {Environment} = require('../src/lib/environment.js');
+
+describe('Closure engine', () => {
+  const result = [];
+  let logStub;
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+    logStub.callsFake((...args) => {
+      args.forEach((arg) => result.push(inspect(arg)));
+    });
+  });
+
+  afterEach(() => {
+    result.splice(0, result.length);
+    logStub.restore();
+  });
+
+  const outcome = (runner, engine) => {
+    const output = {};
+    try {
+      output.value = inspect(runner({engine}));
+    } catch (err) {
+      output.error = formatError(err);
+    }
+    output.logs = result.splice(0, result.length);
+    return output;
+  };
+
+  const sameOutput = (runner) => {
+    outcome(runner, 'closure').should.eql(outcome(runner, 'tree'));
+  };
+
+  const files = ['test/pls/', 'test/pls/interpreter-errors/']
+      .map((directory) => fs.readdirSync(directory)
+          .filter((file) => file.endsWith('.pls'))
+          .map((file) => directory + file))
+      .reduce((all, list) => all.concat(list), []);
+
+  files.forEach((fileName) => {
+    it(`runs ${fileName} like the tree walker`, () => {
+      sameOutput((options) => runFromFile(fileName, options));
+    }).timeout(10000);
+  });
+
+  const programs = [
+    'do(def(x, 1), do(println(x), def(x, 2)))',
+    'do(def(x, 1), do(def(f, fn(x)), println(f()), def(x, 2)))',
+    'do(def(a, object()), =(a.b.c, 1), =(a.b.c.d, 2), println(a.b))',
+    'do(def(f, fn(a, b, c, +(a, +(b, c)))), f(1, 2, 3))',
+    '=(nothing, 1, 2)',
+    'array(1)[undefined]',
+  ];
+
+  programs.forEach((program) => {
+    it(`runs ${program} like the tree walker`, () => {
+      sameOutput((options) => run(program, undefined, options));
+    });
+  });
+
+  it('runs the keywords of the plugins', () => {
+    keywords.twice = (args, scope) => args[0].evaluate(scope) * 2;
+    const previous = keywords.if;
+    keywords.if = () => 'replaced';
+    try {
+      run('twice(3)', undefined, {engine: 'closure'}).should.equal(6);
+      run('if(true, 1, 2)', undefined, {engine: 'closure'})
+          .should.equal('replaced');
+    } finally {
+      delete keywords.twice;
+      keywords.if = previous;
+    }
+  });
+
+  it('notifies the debugger', () => {
+    const enter = sinon.fake();
+    const leave = sinon.fake();
+    Object.assign(debugHooks, {enter, leave});
+    try {
+      run('+(1, 2)', undefined, {engine: 'closure'}).should.equal(3);
+      should.throw(() => {
+        run('undefinedFunction(2)', undefined, {engine: 'closure'});
+      }, /Undefined binding: undefinedFunction at <anonymous>:1:1/);
+    } finally {
+      Object.assign(debugHooks, {enter: undefined, leave: undefined});
+    }
+    enter.callCount.should.equal(2);
+    leave.callCount.should.equal(2);
+  });
+
+  it('compiles ASTs that were not resolved', () => {
+    const scope = new Environment(null, undefined, {x: 4});
+    compileToClosures(parse('x'))(scope).should.equal(4);
+  });
+
+  it('fails with unknown engines', () => {
+    should.throw(() => {
+      run('1', undefined, {engine: 'bytecode'});
+    }, /Unknown engine: bytecode/);
+  });
+});
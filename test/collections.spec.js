@@ -0,0 +1,113 @@
+// @ts-check
+/**
+ * @description A file with the tests for the collection library of Please
+ *     lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {run} = require('../src/main.js');
+const {runTranspiled, both} = require('./helpers/transpiled.js');
+
+describe('Collections', () => {
+  it('map, filter and reduce arrays', () => {
+    both('map(array(1, 2), fn(x, +(x, 1)))').should.eql([2, 3]);
+    both('filter(array(0, 1, false, undefined), fn(x, x))')
+        .should.eql([0, 1, undefined]);
+    both('reduce(array(1, 2, 3), fn(a, b, *(a, b)))').should.equal(6);
+    both('reduce(array("a", "b"), +, "")').should.equal('ab');
+    both('reduce(array(), +, 0)').should.equal(0);
+  });
+
+  it('find and test the elements', () => {
+    both('find(array(1, 2, 3), fn(x, >(x, 1)))').should.equal(2);
+    should.equal(both('find(array(1), fn(x, false))'), undefined);
+    both('array(some(array(), fn(x, true)), every(array(), fn(x, false)))')
+        .should.eql([false, true]);
+  });
+
+  it('zip, flatten, take and drop arrays', () => {
+    both('zip(array(1, 2, 3), array("a", "b"))')
+        .should.eql([[1, 'a'], [2, 'b']]);
+    both('zip()').should.eql([]);
+    both('flatten(array(1, array(2, array(3))), 2)').should.eql([1, 2, 3]);
+    both('array(take(array(1, 2), 5), drop(array(1, 2), 5))')
+        .should.eql([[1, 2], []]);
+  });
+
+  it('create ranges', () => {
+    both('range(3)').should.eql([0, 1, 2]);
+    both('range(5, 0, -2)').should.eql([5, 3, 1]);
+    both('range(0, 1, 0.5)').should.eql([0, 0.5]);
+    both('range(2, 1)').should.eql([]);
+    should.throw(() => {
+      run('range(1000)', {limits: {steps: 100}});
+    }, /exceeded the limit of 100 steps/);
+  });
+
+  it('sort and group arrays', () => {
+    both('sort-by(array("bb", "a", "cc", "d"), fn(s, length(s)))')
+        .should.eql(['a', 'd', 'bb', 'cc']);
+    both('sort-by(array(2, 1, 2), fn(x, x))').should.eql([1, 2, 2]);
+    both('group-by(array(1, 2, 3), fn(x, >(x, 1)))')
+        .should.eql({false: [1], true: [2, 3]});
+    should.throw(() => {
+      run('group-by(array(1), fn(x, "__proto__"))', {limits: {}});
+    }, /The property __proto__ can't be accessed in the sandbox/);
+  });
+
+  it('keep map as an alias of hash when it doesn\'t receive an array', () => {
+    both('map("a", 1, "b", map{c: 2})').should.eql({a: 1, b: {c: 2}});
+    both('map()').should.eql({});
+    run('map(array(1), fn(x, x))').should.eql([1]);
+    should.throw(() => {
+      run('map("a")');
+    }, /the number of arguments must be a multiple of two/);
+    should.throw(() => {
+      run('map("__proto__", 1)', {limits: {}});
+    }, /The property __proto__ can't be accessed in the sandbox/);
+  });
+
+  it('check their arguments', () => {
+    [
+      {program: 'map(array(), 1)', error: /second argument to map must be/},
+      {program: 'filter(1, +)', error: /first argument to filter must be/},
+      {program: 'filter(array(), 1)', error: /second argument to filter/},
+      {program: 'reduce(1, +)', error: /first argument to reduce/},
+      {program: 'reduce(array(), 1)', error: /second argument to reduce/},
+      {program: 'reduce(array(), +)', error: /needs an initial value/},
+      {program: 'find(1, +)', error: /first argument to find must be/},
+      {program: 'find(array(), 1)', error: /second argument to find must/},
+      {program: 'some(1, +)', error: /first argument to some must be/},
+      {program: 'some(array(), 1)', error: /second argument to some must/},
+      {program: 'every(1, +)', error: /first argument to every must be/},
+      {program: 'every(array(), 1)', error: /second argument to every/},
+      {program: 'zip(array(), 1)', error: /first argument to zip must/},
+      {program: 'range()', error: /between one and three numbers/},
+      {program: 'range(1, 2, 3, 4)', error: /between one and three/},
+      {program: 'range("a")', error: /between one and three numbers/},
+      {program: 'sort-by(1, +)', error: /first argument to sort-by/},
+      {program: 'sort-by(array(), 1)', error: /second argument to sort-by/},
+      {program: 'group-by(1, +)', error: /first argument to group-by/},
+      {program: 'group-by(array(), 1)', error: /second argument to group/},
+      {program: 'flatten(1)', error: /first argument to flatten must/},
+      {program: 'take(1, 1)', error: /first argument to take must be/},
+      {program: 'drop(1, 1)', error: /first argument to drop must be/},
+    ].forEach((test) => {
+      should.throw(() => run(test.program), TypeError, test.error);
+      should.throw(() => runTranspiled(test.program), TypeError, test.error);
+    });
+    [
+      {program: 'range(1, 2, 0)', error: /The step of range can't be 0/},
+      {program: 'take(array(), -1)', error: /elements of take must be a/},
+      {program: 'drop(array(), 0.5)', error: /elements of drop must be a/},
+      {program: 'flatten(array(), -1)', error: /depth of flatten must be/},
+    ].forEach((test) => {
+      should.throw(() => run(test.program), RangeError, test.error);
+      should.throw(() => runTranspiled(test.program), RangeError, test.error);
+    });
+  });
+});
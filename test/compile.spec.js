@@ -8,7 +8,13 @@
 'use strict';
 
 const should = require('chai').should();
-const {parseFromFile, optimize} = require('../src/main.js');
+const {
+  parseFromFile,
+  parseWithRecovery,
+  optimize,
+  compile,
+  formatError,
+} = require('../src/main.js');
 const fs = require('fs');
 
 describe('Compiler', () => {
@@ -65,6 +71,19 @@ describe('Compiler', () => {
       runTest(test);
     });
   });
+
+  it('compile folds the constants of the resolved programs', () => {
+    const destination = 'test/pls/constant-folding.cpls';
+    try {
+      ['if', 'constant-folding', 'constant-propagation'].forEach((name) => {
+        compile('test/pls/' + name + '.pls', destination);
+        JSON.parse(fs.readFileSync(destination, 'utf8')).should.eql(
+            JSON.parse(fs.readFileSync('test/cpls/' + name + '.cpls', 'utf8')));
+      });
+    } finally {
+      fs.rmSync(destination, {force: true});
+    }
+  });
 });
 
 describe('Compiler errors', () => {
@@ -91,3 +110,82 @@ describe('Compiler errors', () => {
     runTest(test);
   });
 });
+
+describe('Compiler error recovery', () => {
+  const basePath = 'test/pls/compiler-errors/';
+
+  it('reports all the errors', () => {
+    const fileName = basePath + 'several-errors.pls';
+    const {diagnostics} = parseWithRecovery(
+        fs.readFileSync(fileName, 'utf8'), fileName,
+    );
+    diagnostics.map((diagnostic) => diagnostic.message).should.eql([
+      `Unexpected token: 2, expected '[', '(' or '{' at ${fileName}:2:12`,
+      `Expected ',' or ')' at ${fileName}:3:12`,
+      `Invalid token: \\ at ${fileName}:4:5`,
+      `Unexpected token: , at ${fileName}:4:6`,
+      `Unexpected token: ( at ${fileName}:5:5`,
+      `Unexpected token: [ at ${fileName}:5:10`,
+      `Unexpected token: c, expected '[', '(' or '{' at ${fileName}:5:17`,
+      `Expected ',' or ')' at ${fileName}:7:1`,
+    ]);
+    diagnostics.forEach((diagnostic) => {
+      diagnostic.should.be.instanceOf(SyntaxError);
+      diagnostic.loc.file.should.eql(fileName);
+    });
+  });
+
+  it('returns a partial AST', () => {
+    const {ast} = parseWithRecovery('do(f(1 2), g(x]), h(,y)');
+    ast.args.map((arg) => arg.operator.name).should.eql(['f', 'g', 'h']);
+    ast.args.map((arg) => arg.args.length).should.eql([1, 1, 1]);
+    ast.args[2].args[0].name.should.eql('y');
+  });
+
+  it('without errors', () => {
+    const {ast, diagnostics} = parseWithRecovery('+(1, 2)');
+    diagnostics.should.eql([]);
+    ast.args.length.should.eql(2);
+  });
+
+  it('unexpected text and EOF', () => {
+    const messages = (program) => parseWithRecovery(program).diagnostics
+        .map((diagnostic) => diagnostic.message);
+    messages('a) b').should.eql(['Unexpected text after program at ' +
+        '<anonymous>:1:2']);
+    messages('do(1 2').should.eql([
+      'Unexpected token: 2, expected \'[\', \'(\' or \'{\' at <anonymous>:1:6',
+      'Expected \',\' or \')\' at <anonymous>:1:7',
+    ]);
+    messages('do(').should.eql(['Unexpected EOF at <anonymous>:1:4']);
+    messages(')').should.eql(['Unexpected token: ) at <anonymous>:1:1']);
+  });
+
+  it('compile reports all the errors', () => {
+    const fileName = basePath + 'several-errors.pls';
+    try {
+      compile(fileName, basePath + 'several-errors.cpls');
+      should.fail('compile should throw');
+    } catch (err) {
+      err.should.be.instanceOf(SyntaxError);
+      err.diagnostics.length.should.eql(8);
+      err.message.split('\n').length.should.eql(8);
+      const formatted = formatError(err).split('\n');
+      formatted.length.should.eql(24);
+      formatted.slice(0, 3).should.eql([
+        `Unexpected token: 2, expected '[', '(' or '{' at ${fileName}:2:12`,
+        '2 |   def(x, 1 2),',
+        '  |            ^',
+      ]);
+    }
+    fs.existsSync(basePath + 'several-errors.cpls').should.eql(false);
+  });
+
+  it('compile reports the words that aren\'t defined', () => {
+    const fileName = 'test/pls/interpreter-errors/stack-trace.pls';
+    const destination = 'test/pls/interpreter-errors/stack-trace.cpls';
+    should.throw(() => compile(fileName, destination), ReferenceError,
+        `Undefined binding: y at ${fileName}:2:25`);
+    fs.existsSync(destination).should.eql(false);
+  });
+});
@@ -0,0 +1,296 @@
+// @ts-check
+/**
+ * @description A file with the tests for the Debug Adapter Protocol server
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {
+  DebugSession,
+  createTransport,
+  encodeMessage,
+  MessageReader,
+  keywords,
+} = require('../src/main.js');
+const {debugHooks} = require('../src/lib/runtime.js').defaultRuntime;
+const path = require('path');
+const sinon = require('sinon');
+
+const fileName = 'test/pls/debug.pls';
+const filePath = path.resolve(fileName);
+
+/**
+ * Runs a session with a client that sends a list of requests, one each time
+ *     the server reads
+ * @param {Array} requests The requests as pairs of command and arguments
+ * @return {Array} The messages sent by the server
+ */
+const session = (requests) => {
+  const messages = [];
+  let seq = 1;
+  new DebugSession({
+    read: () => {
+      if (requests.length === 0) {
+        return null;
+      }
+      const [command, args] = requests.shift();
+      return {seq: seq++, type: 'request', command, arguments: args};
+    },
+    write: (message) => messages.push(message),
+  }).start();
+  return messages;
+};
+
+/**
+ * Finds the body of the response to a command
+ * @param {Array} messages The messages sent by the server
+ * @param {string} command The command
+ * @param {number} [index] Which of the responses to that command
+ * @return {object} The response
+ */
+const response = (messages, command, index = 0) => {
+  return messages.filter((message) => {
+    return message.type === 'response' && message.command === command;
+  })[index];
+};
+
+/**
+ * Finds the events sent by the server
+ * @param {Array} messages The messages sent by the server
+ * @param {string} event The name of the events
+ * @return {Array} The bodies of the events
+ */
+const events = (messages, event) => {
+  return messages.filter((message) => message.event === event)
+      .map((message) => message.body);
+};
+
+/**
+ * The requests to start debugging the test file
+ * @param {Array} lines The lines with breakpoints
+ * @param {boolean} [stopOnEntry] Whether to pause before the first call
+ * @return {Array} The requests
+ */
+const launch = (lines, stopOnEntry = false) => [
+  ['initialize'],
+  ['launch', {program: fileName, stopOnEntry}],
+  ['setBreakpoints', {
+    source: {path: fileName},
+    breakpoints: lines.map((line) => ({line})),
+  }],
+  ['configurationDone'],
+];
+
+describe('Debug Adapter Protocol', () => {
+  let logStub;
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    logStub.restore();
+  });
+
+  it('messages are framed with their length', () => {
+    const reader = new MessageReader();
+    const text = encodeMessage({text: 'ñ'});
+    text.should.eql('Content-Length: 13\r\n\r\n{"text":"ñ"}');
+    reader.push(text.slice(0, 10));
+    should.not.exist(reader.next());
+    reader.push(Buffer.from(text.slice(10) + text).slice(0, 30));
+    reader.next().should.eql({text: 'ñ'});
+    should.not.exist(reader.next());
+    reader.push(Buffer.from(text).slice(5));
+    reader.next().should.eql({text: 'ñ'});
+    reader.push('Length: 2\r\n\r\n{}');
+    should.throw(() => reader.next(), 'Invalid message header: Length: 2');
+  });
+
+  it('transport over chunks of input', () => {
+    const input = launch([]).map(([command, args], i) => {
+      const request = {seq: i + 1, type: 'request', command, arguments: args};
+      return encodeMessage(request);
+    }).join('');
+    const chunks = input.match(/[^]{1,7}/g);
+    let output = '';
+    const transport = createTransport(
+        () => chunks.length > 0 ? chunks.shift() : null,
+        (text) => output += text,
+    );
+    new DebugSession(transport).start();
+    const reader = new MessageReader();
+    reader.push(output);
+    const messages = [];
+    for (let message = reader.next(); message; message = reader.next()) {
+      messages.push(message);
+    }
+    messages.map((message) => message.command || message.event).should.eql([
+      'initialize', 'initialized', 'launch', 'setBreakpoints',
+      'configurationDone', 'output', 'exited', 'terminated',
+    ]);
+    messages.map((message) => message.seq).should.eql([1, 2, 3, 4, 5, 6, 7, 8]);
+    events(messages, 'output').should.eql([
+      {category: 'stdout', output: '7\n'},
+    ]);
+    logStub.called.should.be.false;
+  });
+
+  it('breakpoints, stack trace and variables', () => {
+    const messages = session(launch([3]).concat([
+      ['threads'],
+      ['stackTrace'],
+      ['scopes', {frameId: 0}],
+      ['variables', {variablesReference: 2}],
+      ['scopes', {frameId: 1}],
+      ['evaluate', {expression: 'array(x, array(1))'}],
+      ['variables', {variablesReference: 5}],
+      ['continue'],
+      ['disconnect'],
+    ]));
+    response(messages, 'initialize').body.should.eql({
+      supportsConfigurationDoneRequest: true,
+      supportsEvaluateForHovers: true,
+    });
+    response(messages, 'setBreakpoints').body.should.eql({
+      breakpoints: [{verified: true, line: 3}],
+    });
+    events(messages, 'stopped').should.eql([
+      {reason: 'breakpoint', threadId: 1},
+    ]);
+    response(messages, 'threads').body.should.eql({
+      threads: [{id: 1, name: 'main'}],
+    });
+    const source = {name: 'debug.pls', path: filePath};
+    response(messages, 'stackTrace').body.should.eql({
+      stackFrames: [
+        {id: 0, name: 'f', line: 3, column: 5, source},
+        {id: 1, name: '<program>', line: 6, column: 10, source},
+      ],
+      totalFrames: 2,
+    });
+    response(messages, 'scopes').body.scopes.map((scope) => scope.name)
+        .should.eql(['Local', 'Scope 1', 'Scope 2', 'Scope 3']);
+    response(messages, 'variables').body.should.eql({
+      variables: [
+        {name: 'x', value: '3', type: 'number', variablesReference: 0},
+      ],
+    });
+    response(messages, 'scopes', 1).body.should.eql({scopes: []});
+    response(messages, 'evaluate').body.should.eql({
+      result: '[ 3, [ 1 ] ]',
+      variablesReference: 5,
+    });
+    response(messages, 'variables', 1).body.variables.should.eql([
+      {name: '0', value: '3', type: 'number', variablesReference: 0},
+      {name: '1', value: '[ 1 ]', type: 'array', variablesReference: 6},
+      {name: 'length', value: '2', type: 'number', variablesReference: 0},
+    ]);
+    events(messages, 'exited').should.eql([{exitCode: 0}]);
+    response(messages, 'disconnect').success.should.be.true;
+  });
+
+  it('stepping', () => {
+    const messages = session(launch([], true).concat([
+      ['stepIn'],
+      ['next'],
+      ['stepIn'],
+      ['stepIn'],
+      ['stepIn'],
+      ['stepOut'],
+      ['stackTrace'],
+      ['continue'],
+    ]));
+    events(messages, 'stopped').map((event) => event.reason).should.eql([
+      'entry', 'step', 'step', 'step', 'step', 'step', 'step',
+    ]);
+    response(messages, 'stackTrace').body.stackFrames.map((frame) => {
+      return frame.line;
+    }).should.eql([7]);
+    events(messages, 'terminated').should.have.length(1);
+  });
+
+  it('functions called from JS have a native frame', () => {
+    keywords.callNow = (args, scope) => args[0].evaluate(scope)();
+    const messages = session([
+      ['launch', {program: 'test/pls/debug-native.pls'}],
+      ['setBreakpoints', {source: {path: 'test/pls/debug-native.pls'}}],
+      ['setBreakpoints', {
+        source: {path: 'test/pls/debug-native.pls'},
+        breakpoints: [{line: 2}],
+      }],
+      ['configurationDone'],
+      ['stackTrace'],
+      ['continue'],
+    ]);
+    delete keywords.callNow;
+    response(messages, 'setBreakpoints').body.should.eql({breakpoints: []});
+    const frames = response(messages, 'stackTrace').body.stackFrames;
+    frames.map((frame) => frame.name).should.eql(['<anonymous>', '<program>']);
+    frames[1].should.eql({id: 1, name: '<program>', line: 0, column: 0});
+  });
+
+  it('failing requests', () => {
+    const messages = session([
+      ['stackTrace'],
+      ['continue'],
+      ['unknown'],
+      ['hasOwnProperty'],
+      ['launch', {}],
+      ['launch', {program: fileName}],
+      ['setBreakpoints', {source: {path: fileName}, breakpoints: [{line: 6}]}],
+      ['configurationDone'],
+      ['variables', {variablesReference: 1}],
+      ['evaluate', {expression: 'x'}],
+      ['evaluate', {expression: 'f('}],
+      ['continue'],
+    ]);
+    messages.filter((message) => message.success === false)
+        .map((message) => message.message).should.eql([
+          'The program isn\'t paused',
+          'The program isn\'t paused',
+          'Unknown request: unknown',
+          'Unknown request: hasOwnProperty',
+          'The program to debug is missing',
+          'Invalid variables reference: 1',
+          'Undefined binding: x at <anonymous>:1:1',
+          'Unexpected EOF at <anonymous>:1:3',
+        ]);
+  });
+
+  it('errors in the program', () => {
+    const program = 'test/pls/interpreter-errors/undefined-binding.pls';
+    const messages = session([
+      ['launch', {program}],
+      ['configurationDone'],
+    ]);
+    events(messages, 'output').should.eql([{
+      category: 'stderr',
+      output: `Undefined binding: x at ${path.resolve(program)}:1:1\n` +
+          '1 | x\n  | ^\n',
+    }]);
+    events(messages, 'exited').should.eql([{exitCode: 1}]);
+  });
+
+  it('disconnecting stops the program', () => {
+    const messages = session(launch([3]).concat([
+      ['disconnect'],
+      ['threads'],
+    ]));
+    events(messages, 'output')[0].output.should.match(
+        /^The program was stopped by the debugger/,
+    );
+    events(messages, 'exited').should.eql([{exitCode: 1}]);
+    should.not.exist(response(messages, 'threads'));
+    should.not.exist(debugHooks.enter);
+  });
+
+  it('the end of the input stops the program', () => {
+    const messages = session(launch([3]));
+    events(messages, 'stopped').should.have.length(1);
+    events(messages, 'exited').should.eql([{exitCode: 1}]);
+  });
+});
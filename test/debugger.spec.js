@@ -0,0 +1,299 @@
+// @ts-check
+/**
+ * @description A file with the tests for the Please lang debugger
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {
+  Debugger,
+  terminalFrontend,
+  Call,
+  Word,
+  topScope,
+} = require('../src/main.js');
+const {debugHooks} = require('../src/lib/runtime.js').defaultRuntime;
+const {readInput} = require('../src/lib/debugger.js');
+const fs = require('fs');
+const sinon = require('sinon');
+
+const fileName = 'test/pls/debug.pls';
+
+describe('Debugger', () => {
+  let logStub;
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    logStub.restore();
+  });
+
+  /**
+   * Creates a debugger that answers the pauses with a list of commands and
+   *     stores the line of every pause
+   * @param {Array} commands The commands
+   * @return {Debugger} The debugger, with the lines in its lines property
+   */
+  const scripted = (commands) => {
+    const dbg = new Debugger((event) => {
+      dbg.lines.push(event.loc.start.line);
+      return commands.shift();
+    });
+    dbg.lines = [];
+    return dbg;
+  };
+
+  it('step into', () => {
+    const dbg = scripted(Array(8).fill('step-into').concat(['continue']));
+    dbg.runFromFile(fileName, true).should.eql([7]);
+    dbg.lines.should.eql([1, 2, 2, 6, 6, 2, 3, 3, 4]);
+    should.not.exist(debugHooks.enter);
+  });
+
+  it('step over and step out', () => {
+    const dbg = scripted([
+      'step-into', 'step-over', 'step-into', 'step-into',
+      'step-into', 'step-out', 'step-out', 'continue',
+    ]);
+    dbg.runFromFile(fileName, true);
+    dbg.lines.should.eql([1, 2, 6, 6, 2, 3, 7]);
+  });
+
+  it('breakpoints', () => {
+    const dbg = scripted(['continue', 'continue']);
+    dbg.setBreakpoint(fileName, 3);
+    dbg.setBreakpoint(fileName, 7);
+    dbg.setBreakpoint(fileName, 8);
+    dbg.removeBreakpoint(fileName, 8).should.eql(true);
+    dbg.removeBreakpoint(fileName, 8).should.eql(false);
+    dbg.removeBreakpoint('other.pls', 8).should.eql(false);
+    dbg.runFromFile(fileName);
+    dbg.lines.should.eql([3, 7]);
+  });
+
+  it('breakpoints in loops', () => {
+    const dbg = scripted(['continue', 'continue', 'continue']);
+    dbg.setBreakpoint('loop.pls', 3);
+    dbg.run('for(def(i, 0), <(i, 3), =(i, +(i, 1)),\n' +
+        '  do(\n    println(i)\n  )\n)', 'loop.pls');
+    dbg.lines.should.eql([3, 3, 3]);
+  });
+
+  it('quit and unknown commands', () => {
+    should.throw(() => scripted(['quit']).run('println(1)', undefined, true),
+        /stopped by the debugger/);
+    should.throw(() => scripted(['jump']).run('println(1)', undefined, true),
+        /Unknown debugger command: jump/);
+    should.not.exist(debugHooks.enter);
+  });
+
+  it('calls without location', () => {
+    const dbg = scripted([]);
+    dbg.attach(true);
+    new Call(new Word({name: 'println'}), []).evaluate(topScope);
+    dbg.detach();
+    dbg.lines.should.eql([]);
+  });
+
+  it('evaluate and scope chain', () => {
+    const dbg = new Debugger((event, dbg) => {
+      dbg.evaluate('+(y, 1)', event.scope).should.eql(7);
+      debugHooks.enter.should.be.a('function');
+      const chain = dbg.scopeChain(event.scope);
+      chain.length.should.eql(4);
+      Object.assign({}, chain[0]).should.eql({y: 6});
+      Object.assign({}, chain[1]).should.eql({x: 3});
+      return 'continue';
+    });
+    dbg.setBreakpoint(fileName, 4);
+    dbg.runFromFile(fileName);
+    const scope = Object.assign(Object.create(topScope), {a: 1});
+    dbg.scopeChain(Object.assign(Object.create(scope), {b: 2}))
+        .map((bindings) => Object.assign({}, bindings))
+        .should.eql([{b: 2}, {a: 1}]);
+  });
+
+  it('sources', () => {
+    const dbg = new Debugger(() => 'continue');
+    dbg.sourceOf(fileName).should.match(/^do\(/);
+    dbg.sourceOf(fileName).should.match(/^do\(/);
+    should.not.exist(dbg.sourceOf('non-existent.pls'));
+  });
+});
+
+describe('Terminal debugger', () => {
+  let logStub;
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    logStub.restore();
+  });
+
+  /**
+   * Runs the debug file with a list of input lines
+   * @param {Array} input The lines
+   * @param {Array} breakpoints The lines with breakpoints
+   * @return {Array} The output lines
+   */
+  const session = (input, breakpoints = []) => {
+    const output = [];
+    const io = {
+      readLine: () => input.length > 0 ? input.shift() : null,
+      write: (text) => {
+        output.push(...text.split('\n'));
+      },
+    };
+    const dbg = new Debugger(terminalFrontend(io));
+    breakpoints.forEach((line) => dbg.setBreakpoint(fileName, line));
+    try {
+      dbg.runFromFile(fileName, breakpoints.length === 0);
+    } catch (err) {
+      output.push(err.message);
+    }
+    return output;
+  };
+
+  it('pauses and lists the source', () => {
+    session(['', 'l', 'list', 'c']).should.eql([
+      `Paused at ${fileName}:1:1 (step)`,
+      '1 | do(',
+      '  | ^^^',
+      '1 | do(',
+      '  | ^^^',
+      '1 | do(',
+      '  | ^^^',
+    ]);
+  });
+
+  it('stepping commands', () => {
+    session(['s', 'step', 'n', 'next', 'o', 'out', 'continue'])
+        .filter((line) => line.startsWith('Paused'))
+        .should.eql([
+          `Paused at ${fileName}:1:1 (step)`,
+          `Paused at ${fileName}:2:3 (step)`,
+          `Paused at ${fileName}:2:10 (step)`,
+          `Paused at ${fileName}:6:3 (step)`,
+          `Paused at ${fileName}:7:3 (step)`,
+        ]);
+  });
+
+  it('breakpoints', () => {
+    const output = session([
+      'b 7', 'break 2', `b ${fileName}:5`, 'b x', 'd 2', 'delete 2', 'd x',
+      'd other.pls:2', 'c', 'c',
+    ], [4]);
+    output.filter((line) => !line.includes('|')).should.eql([
+      `Paused at ${fileName}:4:5 (breakpoint)`,
+      `Breakpoint set at ${fileName}:7`,
+      `Breakpoint set at ${fileName}:2`,
+      `Breakpoint set at ${fileName}:5`,
+      'Expected a line number',
+      `Breakpoint removed at ${fileName}:2`,
+      'There is no breakpoint there',
+      'There is no breakpoint there',
+      'There is no breakpoint there',
+      `Paused at ${fileName}:7:3 (breakpoint)`,
+    ]);
+  });
+
+  it('print, watches and scope', () => {
+    const output = session([
+      'p *(y, x)', 'print z', 'w x', 'watch y', 'u 3', 'unwatch x', 'scope',
+      'c', 'u 1', 'c',
+    ], [4, 7]);
+    output.filter((line) => !line.includes('|')).should.eql([
+      `Paused at ${fileName}:4:5 (breakpoint)`,
+      '18',
+      'Undefined binding: z at <anonymous>:1:1',
+      '1: x = 3',
+      '2: y = 6',
+      'There is no watch expression with that number',
+      'There is no watch expression with that number',
+      'Scope 0:',
+      '  y = 6',
+      'Scope 1:',
+      '  x = 3',
+      'Scope 2:',
+      '  f = [Function: f]',
+      'Scope 3:',
+      `Paused at ${fileName}:7:3 (breakpoint)`,
+      '1: x = Undefined binding: x at <anonymous>:1:1',
+      '2: y = Undefined binding: y at <anonymous>:1:1',
+    ]);
+  });
+
+  it('backtrace', () => {
+    session(['bt', 'backtrace', 'c'], [4])
+        .filter((line) => line.startsWith('    at')).should.eql([
+          `    at f (${fileName}:4:5)`,
+          `    at <program> (${fileName}:6:10)`,
+          `    at f (${fileName}:4:5)`,
+          `    at <program> (${fileName}:6:10)`,
+        ]);
+  });
+
+  it('help, unknown commands, quit and end of input', () => {
+    const output = session(['h', 'help', 'jump', 'toString', 'q']);
+    output.filter((line) => line.startsWith('s, step')).length.should.eql(2);
+    output.slice(-3).should.eql([
+      'Unknown command: jump. Type help to see the commands',
+      'Unknown command: toString. Type help to see the commands',
+      'The program was stopped by the debugger',
+    ]);
+    session(['quit']).pop().should.match(/stopped by the debugger/);
+    session([]).pop().should.match(/stopped by the debugger/);
+  });
+
+  it('values that can\'t be shown as source', () => {
+    const output = [];
+    const input = ['p f()', 'c'];
+    const onPause = terminalFrontend({
+      readLine: () => input.shift(),
+      write: (text) => output.push(text),
+    });
+    const dbg = new Debugger(() => 'continue');
+    const scope = {f: () => {
+      // eslint-disable-next-line no-throw-literal
+      throw 'text';
+    }};
+    const loc = {
+      file: 'non-existent.pls',
+      start: {line: 1, column: 1},
+      end: {line: 1, column: 4},
+    };
+    onPause({reason: 'step', scope, loc, frames: []}, dbg)
+        .should.eql('continue');
+    output.should.eql([
+      'Paused at non-existent.pls:1:1 (step)',
+      'non-existent.pls:1:1',
+      '\'text\'',
+    ]);
+  });
+
+  it('waits for the input without keeping the processor busy', () => {
+    const again = Object.assign(new Error('no data yet'), {code: 'EAGAIN'});
+    const readStub = sinon.stub(fs, 'readSync');
+    const waitSpy = sinon.spy(Atomics, 'wait');
+    try {
+      readStub.onCall(0).throws(again);
+      readStub.onCall(1).throws(again);
+      readStub.onCall(2).returns(3);
+      readInput(0, Buffer.alloc(8)).should.equal(3);
+      readStub.callCount.should.equal(3);
+      waitSpy.callCount.should.equal(2);
+      readStub.onCall(3).throws(new Error('closed'));
+      should.throw(() => readInput(0, Buffer.alloc(8)), /closed/);
+    } finally {
+      readStub.restore();
+      waitSpy.restore();
+    }
+  });
+});
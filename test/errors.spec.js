@@ -0,0 +1,208 @@
+// @ts-check
+/**
+ * @description A file with the tests for the locations of the Please errors
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {
+  run,
+  runFromFile,
+  parse,
+  jsonToAST,
+  Call,
+  Word,
+  formatError,
+} = require('../src/main.js');
+const {codeFrame} = require('../src/lib/errors.js');
+const sinon = require('sinon');
+
+describe('Source locations', () => {
+  it('nodes store their span', () => {
+    const ast = parse('do(\n  x,\n  f(1)\n)', 'test.pls');
+    ast.loc.should.eql({
+      file: 'test.pls',
+      start: {line: 1, column: 1, offset: 0},
+      end: {line: 4, column: 2, offset: 17},
+    });
+    ast.args[1].loc.should.eql({
+      file: 'test.pls',
+      start: {line: 3, column: 3, offset: 11},
+      end: {line: 3, column: 7, offset: 15},
+    });
+  });
+
+  it('the dot operator has a location', () => {
+    const ast = parse('x.y');
+    ast.args[0].loc.start.should.eql({line: 1, column: 3, offset: 2});
+    ast.loc.end.should.eql({line: 1, column: 4, offset: 3});
+  });
+
+  it('locations survive the conversion from JSON', () => {
+    const ast = parse('do(r/a/, x[1], y(2))', 'test.pls');
+    jsonToAST(JSON.parse(JSON.stringify(ast))).should.eql(ast);
+  });
+});
+
+describe('Runtime error locations', () => {
+  const basePath = 'test/pls/interpreter-errors/';
+
+  const testList = [
+    {name: 'undefined-binding', location: ':1:1'},
+    {name: 'call-non-function', location: ':3:3'},
+    {name: 'if-args-number', location: ':1:1'},
+  ];
+
+  testList.forEach((test) => {
+    it(test.name, () => {
+      should.throw(() => {
+        runFromFile(basePath + test.name + '.pls');
+      }, basePath + test.name + '.pls' + test.location);
+    });
+  });
+
+  it('without a file name', () => {
+    should.throw(() => run('do(\n  r/(/\n)'), /at <anonymous>:2:3$/);
+  });
+
+  it('errors inside a method call', () => {
+    should.throw(() => run('x[1]'), /Undefined binding: x at <anonymous>:1:1/);
+    should.throw(() => run('do(def(x, 1), x[y])'), /<anonymous>:1:17/);
+  });
+
+  it('values that aren\'t errors', () => {
+    const scope = {f: () => {
+      // eslint-disable-next-line no-throw-literal
+      throw 'text';
+    }};
+    should.throw(() => parse('f()').evaluate(scope), 'text');
+  });
+
+  it('nodes without a location', () => {
+    should.throw(() => new Call(new Word({name: 'x'}), []).evaluate({}),
+        /^Undefined binding: x$/);
+  });
+});
+
+describe('Error formatting', () => {
+  it('excerpt from the source', () => {
+    try {
+      run('do(\n  def(x, 1),\n  x(2)\n)');
+    } catch (err) {
+      formatError(err, 'do(\n  def(x, 1),\n  x(2)\n)').should.eql(
+          'Calling a non-function. at <anonymous>:3:3\n' +
+          '3 |   x(2)\n' +
+          '  |   ^^^^',
+      );
+    }
+  });
+
+  it('excerpt from the file', () => {
+    try {
+      runFromFile('test/pls/interpreter-errors/undefined-binding.pls');
+    } catch (err) {
+      formatError(err).should.match(/\n1 \| x\n {2}\| \^$/);
+    }
+  });
+
+  it('excerpt of a multiline node', () => {
+    const loc = {start: {line: 1, column: 4}, end: {line: 2, column: 2}};
+    codeFrame('do(\n)', loc).should.eql('1 | do(\n  |    ^');
+    codeFrame('abc(\n)', loc).should.eql('1 | abc(\n  |    ^');
+  });
+
+  it('errors without excerpt', () => {
+    formatError('text').should.eql('text');
+    formatError(new Error('no location')).should.eql('no location');
+    try {
+      run('x');
+    } catch (err) {
+      formatError(err).should.eql('Undefined binding: x at <anonymous>:1:1');
+    }
+  });
+});
+
+describe('Please stack traces', () => {
+  const {callStack} = require('../src/lib/runtime.js').defaultRuntime;
+  const {formatStack} = require('../src/lib/errors.js');
+  let logStub;
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+  });
+
+  afterEach(() => {
+    logStub.restore();
+  });
+
+  const errorOf = (callback) => {
+    let error;
+    try {
+      callback();
+    } catch (err) {
+      error = err;
+    }
+    should.exist(error);
+    return error;
+  };
+
+  it('nested functions', () => {
+    const fileName = 'test/pls/interpreter-errors/stack-trace.pls';
+    const error = errorOf(() => runFromFile(fileName));
+    error.pleaseStack.map((frame) => frame.name)
+        .should.eql(['outer', 'inner']);
+    formatError(error).split('\n').should.eql([
+      `Undefined binding: y at ${fileName}:2:25`,
+      '2 |   def(inner, fn(x, +(x, y))),',
+      '  |                         ^',
+      `    at inner (${fileName}:2:25)`,
+      `    at outer (${fileName}:3:22)`,
+      `    at <program> (${fileName}:5:3)`,
+    ]);
+    callStack.frames.should.eql([]);
+  });
+
+  it('anonymous functions and wrong number of arguments', () => {
+    const error = errorOf(() => run('do(\n  def(f, ->{x, x}),\n' +
+        '  fn(f(1, 2))(),\n)'));
+    formatStack(error).split('\n').should.eql([
+      '    at <anonymous> (<anonymous>:3:6)',
+      '    at <program> (<anonymous>:3:3)',
+    ]);
+  });
+
+  it('tail calls replace the frame of the caller', () => {
+    const error = errorOf(() => run('do(\n  def(inner, fn(x, y)),\n' +
+        '  def(outer, fn(x, inner(x))),\n  outer(2),\n)'));
+    formatStack(error).split('\n').should.eql([
+      '    at inner (<anonymous>:2:20)',
+      '    at <program> (<anonymous>:4:3)',
+    ]);
+    const anonymous = errorOf(() => run('do(\n  def(f, fn(x, fn(y, z)(x))),' +
+        '\n  f(1),\n)'));
+    formatStack(anonymous).split('\n').should.eql([
+      '    at <anonymous> (<anonymous>:2:22)',
+      '    at <program> (<anonymous>:3:3)',
+    ]);
+  });
+
+  it('only the functions defined with let are named', () => {
+    run('do(def(f, fn(1)), def(g, f), g)').name.should.eql('f');
+    run('def(f, fn(x, x))').name.should.eql('f');
+    run('def(x, 1)').should.eql(1);
+  });
+
+  it('functions called from JS', () => {
+    const error = errorOf(() => run('fn(x)')());
+    formatError(error).should.eql(
+        'Undefined binding: x at <anonymous>:1:4\n' +
+        '    at <anonymous> (<anonymous>:1:4)\n' +
+        '    at <program> (native)',
+    );
+    formatStack(new Error('no stack')).should.eql('');
+    formatStack(errorOf(() => run('x'))).should.eql('');
+  });
+});
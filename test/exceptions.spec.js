@@ -0,0 +1,180 @@
+// @ts-check
+/**
+ * @description A file with the tests for try, catch, finally and throw in
+ *     Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {run, parse, interpret, optimize} = require('../src/main.js');
+const {callStack} = require('../src/lib/runtime.js').defaultRuntime;
+const {
+  toErrorValue,
+  PleaseError,
+} = require('../src/lib/plugins/exceptions.js');
+const {runTranspiled, both: bothWays} = require('./helpers/transpiled.js');
+
+describe('Exceptions', () => {
+  ['tree', 'closure', 'stackless'].forEach((engine) => {
+    describe(`with the ${engine} engine`, () => {
+      const both = (program) => bothWays(program, {engine});
+
+      it('catch the errors of the body', () => {
+        run('try(throw("boom"), catch(e, e))', {engine}).should.eql({
+          kind: 'Error',
+          message: 'boom',
+          location: '<anonymous>:1:5',
+          line: 1,
+          column: 5,
+          value: undefined,
+        });
+        run('try(fn(x, x)(), catch(e, array(e.kind, e.message)))', {engine})
+            .should.eql(['TypeError', 'Wrong number of arguments']);
+        run('try(missing, catch(e, array(e.kind, e.message)))', {engine})
+            .should.eql(['ReferenceError', 'Undefined binding: missing']);
+        both('try(+(1, 2), catch(e, 0))').should.equal(3);
+        both('try(do(def(x, 1), x), catch(x, x))').should.equal(1);
+      });
+
+      it('throw custom errors', () => {
+        both('try(throw(hash("kind", "Http", "message", "not found", ' +
+            '"status", 404)), catch(e, array(e.kind, e.message, ' +
+            'e.value.status)))').should.eql(['Http', 'not found', 404]);
+        both('try(throw(object("message", "plain")), ' +
+            'catch(e, array(e.kind, e.message)))')
+            .should.eql(['Error', 'plain']);
+        both('try(throw(1), catch(e, e.message))')
+            .should.equal('throw needs a message or an object with a message');
+        should.throw(() => {
+          run('throw(hash("kind", "Custom", "message", "uncaught"))', {engine});
+        }, PleaseError, /^uncaught at <anonymous>:1:1$/);
+      });
+
+      it('run the finally clause in any case', () => {
+        both('do(def(log, array()), try(1, finally(log["push"](2))), log)')
+            .should.eql([2]);
+        both('do(def(log, array()), try(throw("a"), catch(e, 1), ' +
+            'finally(log["push"](2))), log)').should.eql([2]);
+        both('do(def(log, array()), array(try(try(throw("a"), ' +
+            'finally(log["push"]("finally"))), catch(e, e.message)), log))')
+            .should.eql(['a', ['finally']]);
+        both('do(def(log, array()), array(try(try(throw("a"), ' +
+            'catch(e, throw("b")), finally(log["push"]("finally"))), ' +
+            'catch(e, e.message)), log))').should.eql(['b', ['finally']]);
+        both('try(try(1, finally(throw("c"))), catch(e, e.message))')
+            .should.equal('c');
+        run('try(1, catch(e, 2), finally(def(x, 3)))', {engine})
+            .should.equal(1);
+      });
+
+      it('run the body in its own scope', () => {
+        both('do(def(x, 5), try(def(x, 1), catch(e, 2)), x)').should.equal(5);
+        both('do(def(y, 5), try(=(y, 1), finally(2)), y)').should.equal(1);
+        should.throw(() => {
+          run('do(try(def(x, 1), catch(e, 2)), x)', {engine});
+        }, ReferenceError, /Undefined binding: x/);
+        should.throw(() => {
+          runTranspiled('do(try(def(x, 1), catch(e, 2)), x)');
+        }, ReferenceError, /x is not defined/);
+      });
+
+      it('rethrow the errors', () => {
+        both('try(try(throw("a"), catch(e, throw(e))), ' +
+            'catch(e, array(e.message, e.value.message)))')
+            .should.eql(['a', 'a']);
+      });
+
+      it('catch the errors of the functions they call', () => {
+        run('do(def(f, fn(n, if(==(n, 0), throw("deep"), +(1, f(-(n, 1)))))),' +
+            ' try(f(100), catch(e, e.message)))', {engine})
+            .should.equal('deep');
+        callStack.frames.should.eql([]);
+        run('map(array(1), fn(x, try(throw("a"), catch(e, x))))', {engine})
+            .should.eql([1]);
+      });
+
+      it('check their syntax', () => {
+        [
+          'try(1)',
+          'try(1, 2)',
+          'try(1, finally(2), catch(e, 3))',
+          'try(1, catch(1, 2))',
+          'try(1, catch(e, 2), finally(3), 4)',
+          'try(1, catch(e, 2), catch(e, 3))',
+          'try(1, catch(e), finally(3))',
+          'try(1, catch(e, 2, 3))',
+          'try(1, finally(2, 3))',
+          'try(1, finally())',
+          'try(1, finally(2), finally(3))',
+        ].forEach((program) => {
+          [
+            () => run(program, {engine}),
+            () => runTranspiled(program),
+          ].forEach((runner) => {
+            should.throw(runner, SyntaxError,
+                /try needs a body and then catch\(name, body\)/);
+          });
+        });
+        ['catch(e, 1)', 'try(catch(e, 1), finally(2))'].forEach((program) => {
+          [
+            () => run(program, {engine}),
+            () => runTranspiled(program),
+          ].forEach((runner) => {
+            should.throw(runner, SyntaxError,
+                /catch and finally can only be clauses of a try/);
+          });
+        });
+        ['throw()', 'throw("a", "b")'].forEach((program) => {
+          [
+            () => run(program, {engine}),
+            () => runTranspiled(program),
+          ].forEach((runner) => {
+            should.throw(runner, SyntaxError, /throw needs the error to throw/);
+          });
+        });
+      });
+
+      it('can\'t catch the limits of the sandbox', () => {
+        should.throw(() => {
+          run('try(while(true, 1), catch(e, 1))',
+              {engine, limits: {steps: 50}});
+        }, RangeError, /exceeded the limit of 50 steps/);
+        should.throw(() => {
+          run('try(while(true, 1), finally(1))',
+              {engine, limits: {steps: 50}});
+        }, RangeError, /exceeded the limit of 50 steps/);
+        should.throw(() => {
+          run('try(throw("a"), catch(e, while(true, 1)), finally(1))',
+              {engine, limits: {steps: 50}});
+        }, RangeError, /exceeded the limit of 50 steps/);
+      });
+    });
+  });
+
+  it('the stackless engine catches errors of deep recursions', () => {
+    run('do(def(f, fn(n, if(==(n, 0), throw("deep"), +(1, f(-(n, 1)))))),' +
+        ' try(f(20000), catch(e, e.message)))', {engine: 'stackless'})
+        .should.equal('deep');
+  });
+
+  it('the values of the errors that aren\'t JS errors', () => {
+    toErrorValue('oops').should.eql({kind: 'Error', message: 'oops',
+      location: undefined, line: undefined, column: undefined, value: 'oops'});
+    toErrorValue(new TypeError('plain')).should.include(
+        {kind: 'TypeError', message: 'plain', location: undefined},
+    );
+  });
+
+  it('the optimizer doesn\'t propagate constants into the clauses', () => {
+    interpret(optimize(parse(
+        'do(def(e, 1), def(x, 2), try(throw("a"), catch(e, =(x, 3)), ' +
+        'finally(def(y, 4))), array(e, x))',
+    ))).should.eql([1, 3]);
+    should.throw(() => {
+      interpret(optimize(parse('do(try(def(x, 1), catch(e, 2)), x)')));
+    }, ReferenceError, /Undefined binding: x/);
+  });
+});
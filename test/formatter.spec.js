@@ -0,0 +1,157 @@
+// @ts-check
+/**
+ * @description A file with the tests for the Please lang formatter
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {
+  format,
+  formatFile,
+  parse,
+  parseWithComments,
+} = require('../src/main.js');
+const fs = require('fs');
+
+/**
+ * Converts an AST to JSON without the locations
+ * @param {object} ast The AST
+ * @return {string} The JSON
+ */
+const withoutLocations = (ast) => {
+  return JSON.stringify(ast, (key, value) => key === 'loc' ? undefined : value);
+};
+
+describe('Formatter', () => {
+  it('comments are kept by the lexer', () => {
+    const {comments} = parseWithComments('// a\nx /* b\n c */ // d');
+    comments.map((comment) => comment.text)
+        .should.eql(['// a', '/* b\n c */', '// d']);
+    comments[1].loc.start.should.eql({line: 2, column: 3, offset: 7});
+    comments[1].loc.end.should.eql({line: 3, column: 6, offset: 17});
+    comments[2].loc.start.should.eql({line: 3, column: 7, offset: 18});
+  });
+
+  it('canonical brackets, indentation, dots and pairs', () => {
+    formatFile('test/pls/object.pls').should.eql(
+        'do(\n' +
+        '  def(x, object(\n' +
+        '    c: 0,\n' +
+        '    gc: ->(element(self, "c")),\n' +
+        '    sc: ->(value, =(self, "c", value)),\n' +
+        '    inc: ->(=(self, "c", +(element(self, "c"), 1)))\n' +
+        '  )),\n' +
+        '\n' +
+        '  println(x.gc()), // 0\n' +
+        '  x.sc(4),\n' +
+        '  println(x.gc()), // 4\n' +
+        '  x.inc(),\n' +
+        '  println(x.gc()), // 5\n' +
+        '  println(x.c) // 5\n' +
+        ')\n',
+    );
+  });
+
+  it('the programs keep their meaning and formatting is idempotent', () => {
+    const files = fs.readdirSync('test/pls').filter((file) => {
+      return file.endsWith('.pls');
+    });
+    files.forEach((file) => {
+      const source = fs.readFileSync(`test/pls/${file}`, 'utf8');
+      const formatted = format(source);
+      withoutLocations(parse(formatted)).should.eql(
+          withoutLocations(parse(source)), file,
+      );
+      format(formatted).should.eql(formatted, file);
+    });
+    format(fs.readFileSync('test/pls/debug.pls', 'utf8'))
+        .should.eql(fs.readFileSync('test/pls/debug.pls', 'utf8'));
+  });
+
+  it('values', () => {
+    format('f{\'a"\\n\', -1.5, 1e21, r/a.b/gi, x["a b"], x["+", 1], 4.x}')
+        .should.eql(
+            'f("a\\"\\n", -1.5, 1e+21, r/a.b/gi, x["a b"], x["+", 1], 4.x)\n',
+        );
+    format('hash("a", 1, "b c", 2)').should.eql('hash("a", 1, "b c", 2)\n');
+    format('hash("a", 1, "b")').should.eql('hash("a", 1, "b")\n');
+    format('map("a", 1)').should.eql('map(a: 1)\n');
+    format('map(list, f)').should.eql('map(list, f)\n');
+    format('f("a", 1)').should.eql('f("a", 1)\n');
+    format('do(x)').should.eql('do(x)\n');
+  });
+
+  it('long lines', () => {
+    const long = 'a'.repeat(30);
+    format(`f(${long}, ${long}, ${long})`).should.eql(
+        `f(\n  ${long},\n  ${long},\n  ${long}\n)\n`,
+    );
+    format(`f(${long}, g(${long}, ${long}))`).should.eql(
+        `f(${long}, g(\n  ${long},\n  ${long}\n))\n`,
+    );
+    format(`f(do(a, b), "${'a'.repeat(80)}")`).should.eql(
+        `f(\n  do(\n    a,\n    b\n  ),\n  "${'a'.repeat(80)}"\n)\n`,
+    );
+    format(`f(${long}, ${long}, do(a, b))`).should.eql(
+        `f(${long}, ${long}, do(\n  a,\n  b\n))\n`,
+    );
+    const medium = 'a'.repeat(24);
+    format(`f(${medium}, ${medium}, ${medium}, do(a, b))`).should.eql(
+        `f(\n  ${medium},\n  ${medium},\n  ${medium},\n  do(\n    a,\n` +
+        '    b\n  )\n)\n',
+    );
+    format(`hash(${long}: 1, ${long}: hash(${long}: 2))`).should.eql(
+        `hash(\n  ${long}: 1,\n  ${long}: hash(${long}: 2)\n)\n`,
+    );
+  });
+
+  it('calls whose operator is broken', () => {
+    format('fn(a, do(a, b))(1)').should.eql(
+        'fn(a, do(\n  a,\n  b\n))(1)\n',
+    );
+    format('do(a, b).length').should.eql('do(\n  a,\n  b\n).length\n');
+    format('do(a, b)()').should.eql('do(\n  a,\n  b\n)()\n');
+    format('fn(a, do(a, b))(do(a, b))').should.eql(
+        'fn(a, do(\n  a,\n  b\n))(do(\n  a,\n  b\n))\n',
+    );
+  });
+
+  it('comments', () => {
+    format(
+        '// first\n\n' +
+        '/* second */ do { // open\n' +
+        '  a, // after a\n' +
+        '\n' +
+        '  // before b\n' +
+        '  b /* after b */, c\n' +
+        '  // end\n' +
+        '} // last\n' +
+        '// after\n\n' +
+        '// end of file',
+    ).should.eql(
+        '// first\n\n' +
+        '/* second */\n' +
+        'do(\n' +
+        '  // open\n' +
+        '  a, // after a\n' +
+        '\n' +
+        '  // before b\n' +
+        '  b, /* after b */\n' +
+        '  c\n' +
+        '  // end\n' +
+        ') // last\n' +
+        '// after\n\n' +
+        '// end of file\n',
+    );
+    format('f(/* empty */)').should.eql('f(\n  /* empty */\n)\n');
+    format('x[/* c */ "y"]').should.eql('x[\n  /* c */\n  "y"\n]\n');
+    format('hash(a: // c\n 1)').should.eql('hash(\n  "a", // c\n  1\n)\n');
+  });
+
+  it('syntax errors', () => {
+    should.throw(() => format('do(', 'test.pls'), /test\.pls:1:4/);
+  });
+});
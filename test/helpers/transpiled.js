@@ -0,0 +1,49 @@
+// @ts-check
+/**
+ * @description A file with the helpers of the tests that compare the
+ *     transpiled programs with the interpreted ones
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+require('chai').should();
+const {createRequire} = require('module');
+const path = require('path');
+const {run, parse} = require('../../src/main.js');
+const {convertToJS} = require('../../src/lib/transpiler.js');
+
+/**
+ * Runs the JS of a transpiled program. Its preface requires the libraries
+ *     from the folder of the executables, as a transpiled file would
+ * @param {string} js The JS code
+ * @param {string} [file] The file the JS is in, it requires from there
+ * @return {*} The value of the program
+ */
+const runJS = (js, file = 'src/bin/transpiled.js') => {
+  const fileRequire = createRequire(path.resolve(file));
+  return new Function('require', 'js', 'return eval(js)')(fileRequire, js);
+};
+
+/**
+ * Transpiles a Please program and runs it
+ * @param {string} program The program
+ * @return {*} The value of the program
+ */
+const runTranspiled = (program) => runJS(convertToJS(parse(program)));
+
+/**
+ * Runs a program with the interpreter and transpiled and checks that both
+ *     give the same value
+ * @param {string} program The program
+ * @param {Object} [options] The options of the interpreter
+ * @return {*} The value of the program
+ */
+const both = (program, options = {}) => {
+  const result = run(program, options);
+  [runTranspiled(program)].should.eql([result]);
+  return result;
+};
+
+module.exports = {runJS, runTranspiled, both};
@@ -8,7 +8,7 @@
 'use strict';
 
 const should = require('chai').should();
-const {runFromFile} = require('../src/main.js');
+const {run, runFromFile} = require('../src/main.js');
 const sinon = require('sinon');
 
 describe('Interpreter', () => {
@@ -77,6 +77,30 @@ describe('Interpreter', () => {
     {name: 'expressive-assignments', result: [{'z': 50}]},
     {name: 'if-at-end', result: [4]},
     {name: 'constant-folding', result: [19, false]},
+    {name: 'tail-calls', result: ['done', 5000050000, false, 100000]},
+    {name: 'strings', result: [
+      ['  one', 'two', 'three '], 'one-three', '007', 'ab  ', 'x',
+      '14/05/2021', 'a/b/c', 'heLLo', '1 + 2 = 3', 'Ada is 36', 65, 'Hi',
+      'leas', 'pls',
+    ]},
+    {name: 'collections', result: [
+      [1, 4, 9, 16, 25, 36], [1, 2, 3], 5, 21, true, false,
+      ['Grace', 'Alan', 'Ada'], {3: ['one', 'two'], 5: ['three']},
+      [1, 2, 3], [1, 2], [5, 6],
+    ]},
+    {name: 'math', result: [
+      2, -8, true, false, true, false, 3, 2, 3, 3, 2, 8, 4, 1024, -3, 100,
+      15511210043330985984000000n, 3n, 1000000000000n, 0.6011037519201636, 2,
+      12,
+    ]},
+    {name: 'json', result: [
+      '{"x":4,"y":2}', 'Ada', 'js', '[\n  1,\n  {\n    "a": []\n  }\n]',
+      '[null,null]',
+    ]},
+    {name: 'try', result: [
+      'contents of a.txt', true, ['NotFound', 'no name', ''], 'Error: boom',
+      'inner', 'twice',
+    ]},
   ];
 
   const runLogTest = (test) => {
@@ -89,6 +113,35 @@ describe('Interpreter', () => {
   logTestList.forEach((test) => {
     runLogTest(test);
   });
+
+  it('doesn\'t change the objects of the host', () => {
+    run('do(def(x, array(1)), =(x, 0, 2), x["sub"](0))').should.equal(2);
+    Object.prototype.should.not.have.property('sub');
+    Object.prototype.should.not.have.property('=');
+    Number.prototype.should.not.have.property('+');
+  });
+
+  it('prefers the properties of the values to the methods of Please', () => {
+    run('hash("sub", 7)["sub"]').should.equal(7);
+    run('do(def(x, hash{sub: fn(a, +(a, 1))}), x["sub"](1))').should.equal(2);
+    should.equal(run('"a"["+"]'), undefined);
+    run('4["+"](1, 2)').should.equal(7);
+  });
+
+  it('counts down 1,000,000 steps in tail calls with every engine', () => {
+    const program = 'do(\n' +
+        '  def(countdown, fn(n, if(==(n, 0), "done", countdown(-(n, 1))))),\n' +
+        '  countdown(1000000),\n)';
+    ['tree', 'closure', 'stackless'].forEach((engine) => {
+      run(program, {engine}).should.equal('done');
+    });
+  }).timeout(10000);
+
+  it('indexes several levels at once', () => {
+    const program = 'do(def(x, array(array(array(1, 2)))), ' +
+        '=(x, 0, 0, -1, 3), x["sub"](0, -1, -1))';
+    run(program).should.equal(3);
+  });
 });
 
 describe('Interpreter errors', () => {
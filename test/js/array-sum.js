@@ -1,5 +1,5 @@
 const $XRegExp = require('xregexp');
-require('../lib/plugins/monkey-patch.js');
+const $methods = require('../lib/plugins/methods.js');
 (() => {
   let $sum;
   $sum = (($nums, ) => {
@@ -11,7 +11,7 @@ require('../lib/plugins/monkey-patch.js');
       (() => {
         while (($i < $nums.length) !== false) {
           (() => {
-            $s = ($s + $nums.sub($i));
+            $s = ($s + $methods.sub($nums, $i));
             return $i = ($i + 1);
           })()
         }
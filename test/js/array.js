@@ -1,17 +1,17 @@
 const $XRegExp = require('xregexp');
-require('../lib/plugins/monkey-patch.js');
+const $methods = require('../lib/plugins/methods.js');
 (() => {
   let $x;
   $x = [
     [1, 4], 3, 2
   ];
   (() => {
-    let val = [$x.sub(0)];
+    let val = [$methods.sub($x, 0)];
     console.log(...val);
     return val;
   })();
   (() => {
-    let val = [$x.sub(1)];
+    let val = [$methods.sub($x, 1)];
     console.log(...val);
     return val;
   })();
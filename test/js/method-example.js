@@ -1,5 +1,5 @@
 const $XRegExp = require('xregexp');
-require('../lib/plugins/monkey-patch.js');
+const $methods = require('../lib/plugins/methods.js');
 (() => {
   (() => {
     let val = [(() => {
@@ -9,10 +9,7 @@ require('../lib/plugins/monkey-patch.js');
       if (op == undefined) {
         return undefined;
       }
-      if (typeof op[name] !== 'function') {
-        return op[name];
-      }
-      return (...args) => op[name](...processedArgs, ...args);
+      return $methods.member(op, name, processedArgs);
     })()];
     console.log(...val);
     return val;
@@ -25,10 +22,7 @@ require('../lib/plugins/monkey-patch.js');
       if (op == undefined) {
         return undefined;
       }
-      if (typeof op[name] !== 'function') {
-        return op[name];
-      }
-      return (...args) => op[name](...processedArgs, ...args);
+      return $methods.member(op, name, processedArgs);
     })()(2)];
     console.log(...val);
     return val;
@@ -0,0 +1,73 @@
+// @ts-check
+/**
+ * @description A file with the tests for the JSON library of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {run} = require('../src/main.js');
+const {both} = require('./helpers/transpiled.js');
+
+describe('JSON', () => {
+  it('parse JSON as hashes and arrays', () => {
+    both('json-parse("{\\"a\\": [1, true, null]}")')
+        .should.eql({a: [1, true, null]});
+    both('json-parse("\\"pls\\"")').should.equal('pls');
+    should.throw(() => {
+      run('json-parse("{a: 1}")');
+    }, SyntaxError, /json-parse got invalid JSON: /);
+    should.throw(() => {
+      run('json-parse(1)');
+    }, TypeError, /The text given to json-parse must be a string/);
+  });
+
+  it('write hashes, arrays and values', () => {
+    both('json-stringify(hash{"a": array(1, "b", undefined)})')
+        .should.equal('{"a":[1,"b",null]}');
+    both('json-stringify(hash("f", fn(x, x), "n", /(1, 0)))')
+        .should.equal('{"n":null}');
+    should.equal(both('json-stringify(fn(x, x))'), undefined);
+    both('json-stringify(json-parse("{\\"__proto__\\": 1}"))')
+        .should.equal('{"__proto__":1}');
+  });
+
+  it('write the data of the objects without their environment', () => {
+    ['tree', 'closure', 'stackless'].forEach((engine) => {
+      run('json-stringify(object("a", 1, "get", ->{self}))', {engine})
+          .should.equal('{"a":1}');
+    });
+    both('json-stringify(array(object("a", object("b", 2))))')
+        .should.equal('[{"a":{"b":2}}]');
+    both('json-stringify(object("toJSON", ->{1}))').should.equal('{}');
+  });
+
+  it('pretty print', () => {
+    both('json-stringify(hash("a", array(1)), 2)')
+        .should.equal('{\n  "a": [\n    1\n  ]\n}');
+    both('json-stringify(array(1), "--")').should.equal('[\n--1\n]');
+    should.throw(() => {
+      run('json-stringify(1, true)');
+    }, TypeError, /indentation of json-stringify must be a number or a string/);
+  });
+
+  it('don\'t write cyclic values or big integers', () => {
+    should.throw(() => {
+      both('do(def(o, object("a", 1)), =(o, "me", array(o)), ' +
+          'json-stringify(o))');
+    }, TypeError, /can't write a cyclic value: the one at \$.me\[0\] contains/);
+    both('do(def(a, array()), json-stringify(array(a, a)))')
+        .should.equal('[[],[]]');
+    should.throw(() => {
+      run('json-stringify(hash("n", big(1)))');
+    }, TypeError, /json-stringify can't write the big integer at \$.n/);
+  });
+
+  it('count the steps in the sandbox', () => {
+    should.throw(() => {
+      run('json-stringify(range(1000))', {limits: {steps: 1100}});
+    }, /exceeded the limit of 1100 steps/);
+  });
+});
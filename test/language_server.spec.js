@@ -0,0 +1,387 @@
+// @ts-check
+/**
+ * @description A file with the tests for the static analysis and the
+ *     Language Server Protocol server
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {parse, analyze, LanguageServer} = require('../src/main.js');
+const {scopeAt, bindingsAt, symbolAt} = require('../src/lib/analysis.js');
+
+/**
+ * Describes the references of an analysis as name@line:column -> line:column
+ *     of the definition, or undefined, or keyword
+ * @param {object} analysis The analysis
+ * @return {Array} The descriptions
+ */
+const describeReferences = (analysis) => {
+  const position = (loc) => `${loc.start.line}:${loc.start.column}`;
+  return analysis.references.map((reference) => {
+    let target = 'undefined';
+    if (reference.keyword) {
+      target = 'keyword';
+    } else if (reference.definition !== undefined) {
+      target = position(reference.definition.loc);
+    }
+    return `${reference.name}@${position(reference.loc)} -> ${target}`;
+  });
+};
+
+describe('Static analysis', () => {
+  it('definitions, parameters and references', () => {
+    const analysis = analyze(parse(
+        'do(\n' +
+        '  def(f, fn(x, +(x, y))),\n' +
+        '  def(y, f(1)),\n' +
+        '  fn(1, x)\n' +
+        ')',
+    ));
+    describeReferences(analysis).should.eql([
+      'do@1:1 -> keyword',
+      'def@2:3 -> keyword',
+      'fn@2:10 -> keyword',
+      '+@2:16 -> undefined',
+      'x@2:18 -> 2:13',
+      'y@2:21 -> 3:7',
+      'def@3:3 -> keyword',
+      'f@3:10 -> 2:7',
+      'fn@4:3 -> keyword',
+      'x@4:9 -> undefined',
+    ]);
+    analysis.definitions.map((definition) => definition.kind)
+        .should.eql(['parameter', 'function', 'variable']);
+    analysis.definitions[1].references.should.have.length(1);
+    analysis.scopes.should.have.length(4);
+  });
+
+  it('the last definition before the reference is chosen', () => {
+    const analysis = analyze(parse(
+        'do(g(), def(x, 1), x, def(x, 2), x, def(g, fn(x)))',
+    ));
+    describeReferences(analysis).filter((text) => !text.endsWith('keyword'))
+        .should.eql([
+          'g@1:4 -> 1:41',
+          'x@1:20 -> 1:13',
+          'x@1:34 -> 1:27',
+          'x@1:47 -> 1:27',
+        ]);
+  });
+
+  it('scopes of the other keywords', () => {
+    const analysis = analyze(parse(
+        'do(\n' +
+        '  foreach(e, arr, println(e)),\n' +
+        '  while(false, def(w, 1)),\n' +
+        '  for(def(i, 0), <(i, 1), =(i, +(i, 1)), w),\n' +
+        '  object("a", self, "b", x.y),\n' +
+        '  def(1, e),\n' +
+        '  foreach(1, e, e),\n' +
+        '  if(true, r/a/, w)\n' +
+        ')',
+    ));
+    describeReferences(analysis).filter((text) => {
+      return !text.endsWith('keyword') && /^[a-z]/.test(text);
+    }).should.eql([
+      'arr@2:14 -> undefined',
+      'println@2:19 -> undefined',
+      'e@2:27 -> 2:11',
+      'false@3:9 -> undefined',
+      'i@4:20 -> 4:11',
+      'i@4:29 -> 4:11',
+      'i@4:34 -> 4:11',
+      'w@4:42 -> undefined',
+      'self@5:15 -> 5:3',
+      'x@5:26 -> undefined',
+      'e@6:10 -> undefined',
+      'e@7:14 -> undefined',
+      'e@7:17 -> undefined',
+      'true@8:6 -> undefined',
+      'w@8:18 -> undefined',
+    ]);
+  });
+
+  it('scopes of the clauses of try', () => {
+    const analysis = analyze(parse(
+        'try(def(x, 1), catch(e, +(e, x)), finally(e))',
+    ));
+    describeReferences(analysis).should.eql([
+      'try@1:1 -> keyword',
+      'def@1:5 -> keyword',
+      'catch@1:16 -> keyword',
+      '+@1:25 -> undefined',
+      'e@1:27 -> 1:22',
+      'x@1:30 -> undefined',
+      'finally@1:35 -> keyword',
+      'e@1:43 -> undefined',
+    ]);
+    analysis.scopes.should.have.length(4);
+    analyze(parse('try(e)')).references.should.have.length(2);
+  });
+
+  it('programs that couldn\'t be parsed', () => {
+    const analysis = analyze(undefined);
+    analysis.references.should.eql([]);
+    should.not.exist(analysis.root.loc);
+  });
+
+  it('queries by offset', () => {
+    const source = 'do(def(a, 1), fn(b, do(def(a, 2), a)), c)';
+    const analysis = analyze(parse(source));
+    scopeAt(analysis, source.indexOf('b')).should.equal(
+        analysis.scopes[2],
+    );
+    const word = analyze(parse('x'));
+    scopeAt(word, 0).should.equal(word.root);
+    [...bindingsAt(analysis, source.lastIndexOf('a')).keys()]
+        .should.eql(['a', 'b']);
+    bindingsAt(analysis, source.lastIndexOf('a')).get('a').loc.start.column
+        .should.eql(28);
+    symbolAt(analysis, source.lastIndexOf('a')).definition.loc.start.column
+        .should.eql(28);
+    symbolAt(analysis, source.indexOf('b')).name.should.eql('b');
+    should.not.exist(symbolAt(analysis, source.indexOf('1')));
+  });
+});
+
+describe('Language Server Protocol', () => {
+  const uri = 'file:///test.pls';
+  const text = 'do(\n' +
+      '  def(f, fn(x, +(x, y))),\n' +
+      '  def(z, f(3)),\n' +
+      '  println(z),\n' +
+      '  object("a", self)\n' +
+      ')';
+
+  /**
+   * Runs a server with a client that sends a list of messages
+   * @param {Array} messages The messages, the ones with an id are requests
+   * @return {Array} The messages sent by the server
+   */
+  const serve = (messages) => {
+    const output = [];
+    new LanguageServer({
+      read: () => messages.length > 0 ? messages.shift() : null,
+      write: (message) => output.push(message),
+    }).start();
+    return output;
+  };
+
+  /**
+   * Creates the messages to open the test document and make a request
+   * @param {string} method The method of the request
+   * @param {object} [position] The position of the request
+   * @param {string} [source] The text of the document
+   * @return {Array} The messages
+   */
+  const request = (method, position = undefined, source = text) => [
+    {jsonrpc: '2.0', method: 'textDocument/didOpen', params: {
+      textDocument: {uri, languageId: 'please', version: 1, text: source},
+    }},
+    {jsonrpc: '2.0', id: 1, method, params: {textDocument: {uri}, position}},
+  ];
+
+  /**
+   * Finds the result of the request
+   * @param {Array} output The messages sent by the server
+   * @return {*} The result
+   */
+  const result = (output) => {
+    return output.find((message) => message.id === 1).result;
+  };
+
+  it('initialize, shutdown and exit', () => {
+    const output = serve([
+      {jsonrpc: '2.0', id: 1, method: 'initialize', params: {}},
+      {jsonrpc: '2.0', method: 'initialized', params: {}},
+      {jsonrpc: '2.0', id: 2, method: 'shutdown'},
+      {jsonrpc: '2.0', method: 'exit'},
+      {jsonrpc: '2.0', id: 3, method: 'shutdown'},
+    ]);
+    output.should.have.length(2);
+    output[0].result.capabilities.should.eql({
+      textDocumentSync: 1,
+      completionProvider: {},
+      definitionProvider: true,
+      hoverProvider: true,
+      documentSymbolProvider: true,
+    });
+    output[0].result.serverInfo.name.should.eql('please-language-server');
+    output[1].should.eql({jsonrpc: '2.0', id: 2, result: null});
+  });
+
+  it('errors', () => {
+    serve([
+      {jsonrpc: '2.0', id: 1, method: 'unknown'},
+      {jsonrpc: '2.0', id: 2, method: 'textDocument/hover', params: {
+        textDocument: {uri}, position: {line: 0, character: 0},
+      }},
+    ]).map((message) => message.error).should.eql([
+      {code: -32601, message: 'Unhandled method: unknown'},
+      {code: -32603, message: `The document isn't open: ${uri}`},
+    ]);
+  });
+
+  it('diagnostics', () => {
+    const output = serve([
+      ...request('textDocument/documentSymbol'),
+      {jsonrpc: '2.0', method: 'textDocument/didChange', params: {
+        textDocument: {uri, version: 2},
+        contentChanges: [{text: 'do('}, {text: 'do(1,,\n  x'}],
+      }},
+      {jsonrpc: '2.0', method: 'textDocument/didClose', params: {
+        textDocument: {uri},
+      }},
+    ]).filter((message) => {
+      return message.method === 'textDocument/publishDiagnostics';
+    }).map((message) => message.params);
+    output.should.eql([
+      {uri, diagnostics: [{
+        range: {
+          start: {line: 1, character: 20},
+          end: {line: 1, character: 21},
+        },
+        severity: 2,
+        source: 'please',
+        message: 'Undefined binding: y',
+      }]},
+      {uri, diagnostics: [
+        {
+          range: {
+            start: {line: 0, character: 5},
+            end: {line: 0, character: 6},
+          },
+          severity: 1,
+          source: 'please',
+          message: 'Unexpected token: ,',
+        },
+        {
+          range: {
+            start: {line: 1, character: 3},
+            end: {line: 1, character: 3},
+          },
+          severity: 1,
+          source: 'please',
+          message: 'Expected \',\' or \')\'',
+        },
+        {
+          range: {
+            start: {line: 1, character: 2},
+            end: {line: 1, character: 3},
+          },
+          severity: 2,
+          source: 'please',
+          message: 'Undefined binding: x',
+        },
+      ]},
+      {uri, diagnostics: []},
+    ]);
+  });
+
+  it('completion', () => {
+    const items = result(serve(request('textDocument/completion',
+        {line: 1, character: 19})));
+    items.slice(0, 4).should.eql([
+      {label: 'x', kind: 6, detail: 'parameter defined at line 2'},
+      {label: 'f', kind: 3, detail: 'function defined at line 2'},
+      {label: 'z', kind: 6, detail: 'variable defined at line 3'},
+      {label: 'if', kind: 14, detail: 'keyword'},
+    ]);
+    items.should.deep.include({label: 'println', kind: 3,
+      detail: 'built-in'});
+    items.should.deep.include({label: 'true', kind: 6, detail: 'built-in'});
+    items.filter((item) => item.label === 'f').should.have.length(1);
+  });
+
+  it('completion of names that shadow keywords and built-ins', () => {
+    const items = result(serve(request('textDocument/completion',
+        {line: 0, character: 0}, 'do(def(println, 1), def(if, 2))')));
+    items.filter((item) => {
+      return item.label === 'println' || item.label === 'if';
+    }).map((item) => item.kind).should.eql([6, 6]);
+  });
+
+  it('go to definition', () => {
+    const definition = (line, character) => {
+      return result(serve(request('textDocument/definition',
+          {line, character})));
+    };
+    definition(2, 10).should.eql({uri, range: {
+      start: {line: 1, character: 6},
+      end: {line: 1, character: 7},
+    }});
+    definition(1, 6).range.start.should.eql({line: 1, character: 6});
+    definition(4, 15).range.start.should.eql({line: 4, character: 2});
+    should.equal(definition(3, 3), null);
+    should.equal(definition(2, 11), null);
+  });
+
+  it('hover', () => {
+    const hover = (line, character) => {
+      return result(serve(request('textDocument/hover', {line, character})));
+    };
+    hover(2, 10).should.eql({
+      contents: {
+        kind: 'markdown',
+        value: '```please\n(function) f\n```\nDefined at line 2, column 7',
+      },
+      range: {start: {line: 2, character: 9}, end: {line: 2, character: 10}},
+    });
+    hover(3, 3).contents.value.should.eql('```please\n(built-in) println\n```');
+    hover(0, 1).contents.value.should.eql('```please\n(keyword) do\n```');
+    should.equal(hover(1, 20), null);
+    should.equal(hover(2, 11), null);
+  });
+
+  it('positions in documents with CRLF line endings', () => {
+    const source = 'do(\r\n  def(a, 1),\r\n  def(b, 2),\r\n' +
+        '  def(c, 3),\r\n  println(a, b, c)\r\n)';
+    const definition = (line, character) => {
+      return result(serve(request('textDocument/definition',
+          {line, character}, source)));
+    };
+    definition(4, 10).range.start.should.eql({line: 1, character: 6});
+    definition(4, 13).range.start.should.eql({line: 2, character: 6});
+    result(serve(request('textDocument/hover', {line: 4, character: 16},
+        source))).range.should.eql({
+      start: {line: 4, character: 16},
+      end: {line: 4, character: 17},
+    });
+  });
+
+  it('document symbols', () => {
+    result(serve(request('textDocument/documentSymbol'))).should.eql([
+      {
+        name: 'f',
+        kind: 12,
+        range: {
+          start: {line: 1, character: 2},
+          end: {line: 1, character: 24},
+        },
+        selectionRange: {
+          start: {line: 1, character: 6},
+          end: {line: 1, character: 7},
+        },
+      },
+      {
+        name: 'z',
+        kind: 13,
+        range: {
+          start: {line: 2, character: 2},
+          end: {line: 2, character: 14},
+        },
+        selectionRange: {
+          start: {line: 2, character: 6},
+          end: {line: 2, character: 7},
+        },
+      },
+    ]);
+    result(serve(request('textDocument/documentSymbol', undefined,
+        'def(g, fn(x, x))'))).map((symbol) => symbol.name).should.eql(['g']);
+    result(serve(request('textDocument/documentSymbol', undefined, ')')))
+        .should.eql([]);
+  });
+});
@@ -0,0 +1,151 @@
+// @ts-check
+/**
+ * @description A file with the tests for the Please lang linter
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {
+  lint,
+  lintFile,
+  formatProblem,
+  findConfig,
+  loadConfig,
+} = require('../src/main.js');
+
+/**
+ * Lints a program and describes its problems as rule@line:column
+ * @param {string} source The source of the program
+ * @param {object} [config] The configuration of the rules
+ * @return {Array} The descriptions
+ */
+const describeProblems = (source, config = {}) => {
+  return lint(source, undefined, config).map((problem) => {
+    return `${problem.rule}@${problem.loc.start.line}:` +
+        problem.loc.start.column;
+  });
+};
+
+describe('Linter', () => {
+  it('unused definitions', () => {
+    describeProblems(
+        'do(def(a, 1), def(f, fn(x, 1)), def(g, fn(g())), println(a))',
+    ).should.eql(['unused-definition@1:19']);
+  });
+
+  it('assignments to bindings that were never defined', () => {
+    describeProblems(
+        'do(def(a, 1), set(a, 2), =(b, 3), =(c, 0, 4), =(a.x, 5), ' +
+        '=(println, 6), println(a))',
+    ).should.eql([
+      'undefined-assignment@1:28',
+      'undefined-assignment@1:37',
+    ]);
+  });
+
+  it('keywords with a wrong number of arguments', () => {
+    const problems = lint(
+        'do(if(1), while(1, 2), for(1), foreach(e, 1, 2), def(x), fn(), ' +
+        'set(1), object(1, 2), do())',
+    ).filter((problem) => problem.rule === 'keyword-arity');
+    problems.map((problem) => problem.message).should.eql([
+      'Wrong number of arguments to if: expected between 2 and 3 but got 1',
+      'Wrong number of arguments to for: expected 4 but got 1',
+      'Wrong number of arguments to def: expected 2 but got 1',
+      'Wrong number of arguments to fn: expected at least 1 but got 0',
+      'Wrong number of arguments to set: expected at least 2 but got 1',
+    ]);
+    problems.map((problem) => problem.severity)
+        .should.eql(['error', 'error', 'error', 'error', 'error']);
+  });
+
+  it('definitions that shadow built-ins', () => {
+    describeProblems(
+        'do(def(println, 1), fn(arr, arr), foreach(len, 1, len), ' +
+        'object("a", self), println)',
+    ).should.eql([
+      'shadowed-builtin@1:8',
+      'shadowed-builtin@1:24',
+      'shadowed-builtin@1:43',
+    ]);
+  });
+
+  it('unreachable branches', () => {
+    describeProblems(
+        'do(\n' +
+        '  if(true, 1, 2),\n' +
+        '  if(false, 1, 2),\n' +
+        '  if(==(+(1, 2), 3), 1, 2),\n' +
+        '  if(<(1, x), 1, 2),\n' +
+        '  if("", 1),\n' +
+        '  if(undefined, 1, 2),\n' +
+        '  if(arr(1, 2), 1, 2),\n' +
+        '  if(%(1), 1, 2),\n' +
+        '  if(1),\n' +
+        '  def(x, fn(false, if(false, 1, 2)))\n' +
+        ')',
+        {rules: {'unused-definition': 'off', 'shadowed-builtin': 'off'}},
+    ).should.eql([
+      'unreachable-branch@2:15',
+      'unreachable-branch@3:13',
+      'unreachable-branch@4:25',
+      'unreachable-branch@7:20',
+      'keyword-arity@10:3',
+    ]);
+  });
+
+  it('unreachable branches of the unary operators', () => {
+    describeProblems(
+        'do(if(!(true), 1, 2), if(>=(%(5, 2), 1), 1, 2), if(!(1, 2), 1, 2))',
+    ).should.eql([
+      'unreachable-branch@1:16',
+      'unreachable-branch@1:45',
+    ]);
+  });
+
+  it('configuration', () => {
+    describeProblems('do(def(println, 1), def(if, 2), =(x, 1))', {
+      rules: {
+        'unused-definition': 'off',
+        'shadowed-builtin': 'error',
+        'undefined-assignment': 'warn',
+      },
+    }).should.eql(['shadowed-builtin@1:8', 'undefined-assignment@1:35']);
+    lint('def(println, 1)', undefined, {rules: {
+      'unused-definition': 'off',
+      'shadowed-builtin': 'error',
+    }})[0].severity.should.eql('error');
+    should.throw(() => lint('1', undefined, {rules: {unknown: 'off'}}),
+        'Unknown lint rule: unknown');
+    should.throw(() => lint('1', undefined, {rules: {'keyword-arity': 2}}),
+        'Invalid severity for the lint rule keyword-arity: 2');
+  });
+
+  it('configuration files', () => {
+    const configFile = findConfig('test/pls/lint');
+    configFile.should.eql('test/pls/lint/.pleaselintrc.json');
+    should.not.exist(findConfig('test/pls'));
+    should.not.exist(findConfig());
+    lintFile('test/pls/object.pls', loadConfig(configFile)).should.eql([]);
+    should.throw(() => loadConfig('test/pls/lint/invalid.json'),
+        'Invalid severity for the lint rule unused-definition: true');
+  });
+
+  it('files and problems as text', () => {
+    lintFile('test/pls/false-if.pls').map(formatProblem).should.eql([
+      'test/pls/false-if.pls:3:18: warn: The then branch is unreachable ' +
+      'because the condition is always false (unreachable-branch)',
+    ]);
+    formatProblem(lint('def(x, 1)')[0]).should.eql(
+        '<anonymous>:1:5: warn: \'x\' is defined but never used ' +
+        '(unused-definition)',
+    );
+  });
+
+  it('syntax errors', () => {
+    should.throw(() => lint('do(1,,', 'test.pls'), /test\.pls:1:6/);
+  });
+});
@@ -0,0 +1,123 @@
+// @ts-check
+/**
+ * @description A file with the tests for the math library and the
+ *     operators of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {run, parse, createInterpreter} = require('../src/main.js');
+const {optimize} = require('../src/lib/optimization.js');
+const {Value} = require('../src/lib/ast.js');
+const {runTranspiled, both} = require('./helpers/transpiled.js');
+
+describe('Math', () => {
+  it('have the new operators', () => {
+    both('array(%(-7, 2), **(2, -1), **(-3, 2), <=(3, 2), >=(3, 3))')
+        .should.eql([-1, 0.5, 9, false, true]);
+    both('array(!(0), !(array()), !(!(false)))')
+        .should.eql([true, false, false]);
+    both('reduce(array(2, 3), **)').should.equal(8);
+    both('map(array(true, false), !)').should.eql([false, true]);
+  });
+
+  it('fold the new operators', () => {
+    ['%(7, 4)', '**(2, 3)', '<=(1, 2)', '>=(1, 2)', '!(0)']
+        .forEach((program) => {
+          const folded = optimize(parse(program));
+          folded.should.be.instanceOf(Value);
+          folded.value.should.equal(run(program));
+        });
+    optimize(parse('+(1, 2, f())')).should.not.be.instanceOf(Value);
+  });
+
+  it('round and compare numbers', () => {
+    both('array(abs(-2.5), abs(2), floor(-2.5), ceil(-2.5), round(-2.5))')
+        .should.eql([2.5, 2, -3, -2, -2]);
+    both('array(min(3), max(1, 3, 2), min(big(2), 1))')
+        .should.eql([3, 3, 1]);
+    both('array(sqrt(2), pow(9, 0.5), div(7, -2), div(big(-7), 2))')
+        .should.eql([Math.SQRT2, 3, -3, -3]);
+  });
+
+  it('have the trigonometric functions', () => {
+    both('array(cos(0), tan(0), asin(1), acos(1), atan(0), atan2(1, 1))')
+        .should.eql([1, 0, Math.PI / 2, 0, 0, Math.PI / 4]);
+    both('sin(pi)').should.equal(Math.sin(Math.PI));
+  });
+
+  it('work with big integers', () => {
+    both('**(big(2), big(100))').should.equal(2n ** 100n);
+    both('array(abs(big(-5)), floor(big(5)), ceil(big(5)), round(big(5)))')
+        .should.eql([5n, 5n, 5n, 5n]);
+    both('array(sqrt(big(0)), sqrt(big(1)), sqrt(big(99)), sqrt(big(100)))')
+        .should.eql([0n, 1n, 9n, 10n]);
+    both('array(pow(big(3), big(3)), div(big(-7), big(2)), %(big(7), big(2)))')
+        .should.eql([27n, -3n, 1n]);
+    both('array(big("12"), big(big(1)), number(big(3)), number(1))')
+        .should.eql([12n, 1n, 3, 1]);
+  });
+
+  it('generate the same random numbers with a seed', () => {
+    const program = 'do(seed-random(7), array(random(), random(100)))';
+    const numbers = both(program);
+    run(program).should.eql(numbers);
+    numbers[0].should.be.within(0, 1);
+    Number.isInteger(numbers[1]).should.equal(true);
+    run('seed-random(-1)').should.equal(-1);
+    should.equal(run('seed-random()'), undefined);
+    run('random()').should.be.within(0, 1);
+  });
+
+  it('keep a generator of random numbers for each interpreter', () => {
+    const seeded = run('do(seed-random(7), array(random(), random()))');
+    const first = createInterpreter();
+    const second = createInterpreter();
+    first.run('seed-random(7)');
+    second.run('seed-random(7)');
+    first.run('random()').should.equal(seeded[0]);
+    second.run('seed-random(3)');
+    first.run('random()').should.equal(seeded[1]);
+    run('seed-random(7)');
+    run('seed-random(3)', {limits: {}});
+    run('random()').should.equal(seeded[0]);
+    // The numbers of the other tests are unpredictable again
+    run('seed-random()');
+  });
+
+  it('check their arguments', () => {
+    [
+      {program: 'abs("1")', error: /The arguments to abs must be numbers/},
+      {program: 'floor("1")', error: /The arguments to floor must be/},
+      {program: 'ceil("1")', error: /The arguments to ceil must be/},
+      {program: 'round("1")', error: /The arguments to round must be/},
+      {program: 'min(1, "1")', error: /The arguments to min must be/},
+      {program: 'max("1")', error: /The arguments to max must be/},
+      {program: 'sqrt("1")', error: /The arguments to sqrt must be/},
+      {program: 'pow(1, "1")', error: /The arguments to pow must be/},
+      {program: 'div("1", 1)', error: /The arguments to div must be/},
+      {program: 'atan2(1, "1")', error: /The arguments to atan2 must be/},
+      {program: 'number("1")', error: /The arguments to number must be/},
+      {program: 'seed-random(0.5)', error: /seed of seed-random must be/},
+      {program: 'big(true)', error: /big needs a number or a string/},
+    ].forEach((test) => {
+      should.throw(() => run(test.program), TypeError, test.error);
+      should.throw(() => runTranspiled(test.program), TypeError, test.error);
+    });
+    [
+      {program: 'min()', error: /min needs at least one number/},
+      {program: 'max()', error: /max needs at least one number/},
+      {program: 'sqrt(big(-1))', error: /square root of a negative big/},
+      {program: 'random(0)', error: /maximum of random must be a positive/},
+      {program: 'random(1.5)', error: /maximum of random must be/},
+      {program: 'big(1.5)', error: /1.5 isn't an integer/},
+      {program: 'big("a")', error: /a isn't an integer/},
+    ].forEach((test) => {
+      should.throw(() => run(test.program), RangeError, test.error);
+      should.throw(() => runTranspiled(test.program), RangeError, test.error);
+    });
+  });
+});
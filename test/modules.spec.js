@@ -0,0 +1,291 @@
+// @ts-check
+/**
+ * @description A file with the tests for the modules of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const {
+  run,
+  runFromFile,
+  interpret,
+  interpretFromFile,
+  createInterpreter,
+  convertToJSFromFile,
+  transpile,
+  parse,
+  topScope,
+} = require('../src/main.js');
+const {convertToJS} = require('../src/lib/transpiler.js');
+const {optimize} = require('../src/lib/optimization.js');
+const {Environment, EMPTY_LAYOUT} = require('../src/lib/environment.js');
+const {ModuleRegistry, resolveModule} = require('../src/lib/modules.js');
+const requirePlugin = require('../src/lib/plugins/require.js');
+const {runJS} = require('./helpers/transpiled.js');
+
+describe('Modules', () => {
+  const basePath = 'test/pls/modules/';
+  const result = [];
+  let logStub;
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+    logStub.callsFake((...args) => args.forEach((arg) => result.push(arg)));
+  });
+
+  afterEach(() => {
+    result.splice(0, result.length);
+    logStub.restore();
+  });
+
+  ['tree', 'closure', 'stackless'].forEach((engine) => {
+    it(`import and export bindings with the ${engine} engine`, () => {
+      runFromFile('test/pls/modules.pls', {engine}).should.equal(16);
+      result.should.eql(['loading shapes', 9, 12, 'cm']);
+    });
+  });
+
+  it('load the modules again in each run', () => {
+    runFromFile('test/pls/modules.pls');
+    run('import("./test/pls/modules/shapes.pls", area)', 'main.pls');
+    run('import("test/pls/modules/shapes.pls").unit').should.equal('cm');
+    result.should.eql([
+      'loading shapes', 9, 12, 'cm', 'loading shapes', 'loading shapes',
+    ]);
+  });
+
+  it('work in compiled files and other interpreters', () => {
+    const interpreter = createInterpreter();
+    interpreter.run('do(import("units.pls", unit), unit)', basePath + 'a.pls')
+        .should.equal('cm');
+    interpretFromFile('test/cpls/modules.cpls').should.equal(16);
+  });
+
+  it('work the same when transpiled', () => {
+    const js = convertToJSFromFile('test/pls/modules.pls');
+    runJS(js);
+    result.should.eql(['loading shapes', 9, 12, 'cm']);
+    const program = parse('do(import("test/pls/modules/units.pls", unit), ' +
+        'println(unit))');
+    runJS(convertToJS(program));
+    result.should.eql(['loading shapes', 9, 12, 'cm', 'cm']);
+  });
+
+  it('detect the circular imports', () => {
+    const cycle = 'Circular import: test/pls/modules/circular-a.pls -> ' +
+        'test/pls/modules/circular-b.pls -> test/pls/modules/circular-a.pls';
+    should.throw(() => runFromFile(basePath + 'circular-a.pls'), cycle);
+    should.throw(() => {
+      run('import("./circular-a.pls")', basePath + 'main.pls');
+    }, cycle);
+    should.throw(() => {
+      runJS(convertToJSFromFile(basePath + 'circular-a.pls'));
+    }, 'Circular import: circular-a.pls -> circular-b.pls -> circular-a.pls');
+  });
+
+  it('check the bindings they import', () => {
+    should.throw(() => {
+      runFromFile(basePath + 'missing-export.pls');
+    }, ReferenceError, 'The module test/pls/modules/units.pls doesn\'t ' +
+        'export size');
+    should.throw(() => {
+      runJS(convertToJSFromFile(basePath + 'missing-export.pls'));
+    }, ReferenceError, 'The module units.pls doesn\'t export size');
+  });
+
+  it('report the errors in imports and exports', () => {
+    [
+      {program: 'import()', error: /must be the path of a module/},
+      {program: 'import(1)', error: /must be the path of a module/},
+      {program: 'import("a.pls", 1)', error: /to import must be words/},
+      {program: 'export()', error: /export needs the bindings/},
+      {program: 'export(1)', error: /to export must be words/},
+    ].forEach((test) => {
+      should.throw(() => run(test.program), SyntaxError, test.error);
+      should.throw(() => {
+        convertToJS(parse(test.program));
+      }, SyntaxError, test.error);
+    });
+    should.throw(() => run('import("missing.pls")'), /no such file/);
+    should.throw(() => {
+      run('import("./units.pls")', {limits: {}});
+    }, /Modules can't be imported in the sandbox/);
+  });
+
+  it('need a module', () => {
+    const env = new Environment(null, EMPTY_LAYOUT, topScope);
+    should.throw(() => {
+      parse('import("units.pls")').evaluate(env);
+    }, /Modules can only be imported by programs in a module/);
+    should.throw(() => {
+      parse('export(true)').evaluate(env);
+    }, /Only the programs in a module can export bindings/);
+  });
+
+  it('keep the constants the optimizer can\'t see', () => {
+    interpret(optimize(parse(`do(
+      def(unit, 1),
+      import("test/pls/modules/units.pls", unit),
+      def(size, 2),
+      export(size),
+      unit
+    )`))).should.equal('cm');
+  });
+
+  it('resolve the paths from the importing file', () => {
+    resolveModule('./b.pls', 'lib/a.pls', '/base').should.equal('lib/b.pls');
+    resolveModule('../b.pls', 'lib/a.pls', '/base').should.equal('b.pls');
+    resolveModule('b.pls', undefined, '/base').should.equal('b.pls');
+    resolveModule('/base/c/b.pls', '/base/a.pls', '/base')
+        .should.equal('c/b.pls');
+  });
+
+  it('run each module once', () => {
+    const registry = new ModuleRegistry();
+    const run = sinon.fake((exports) => exports.x = 1);
+    const exports = registry.load('a.pls', run);
+    should.equal(exports.x, 1);
+    Object.isFrozen(exports).should.equal(true);
+    should.equal(registry.load('a.pls', run), exports);
+    run.callCount.should.equal(1);
+    registry.run(undefined, () => 2).should.equal(2);
+  });
+});
+
+describe('Packages', () => {
+  const basePath = 'test/pls/packages/';
+
+  ['tree', 'closure', 'stackless'].forEach((engine) => {
+    it(`are imported from node_modules with the ${engine} engine`, () => {
+      const logStub = sinon.stub(console, 'log');
+      try {
+        runFromFile(basePath + 'main.pls', {engine})
+            .should.equal('Hello Please');
+      } finally {
+        logStub.restore();
+      }
+    });
+  });
+
+  it('are found from the folder of the importing file', () => {
+    run('import("greetings").greet("you")', basePath + 'lib/other.pls')
+        .should.equal('Hello you');
+    resolveModule('greetings', 'lib/a.pls', path.resolve(basePath))
+        .should.equal('node_modules/greetings/lib/greetings.pls');
+    should.throw(() => {
+      run('import("greetings")');
+    }, 'Cannot find the Please package greetings');
+    should.throw(() => {
+      run('import("no-entry")', basePath + 'main.pls');
+    }, 'The package no-entry doesn\'t have a please field in its ' +
+        'package.json');
+  });
+
+  it('are included in the transpiled programs', () => {
+    const js = convertToJSFromFile(basePath + 'main.pls');
+    js.should.include('"node_modules/greetings/lib/greetings.pls"');
+    const logStub = sinon.stub(console, 'log');
+    try {
+      runJS(js);
+      logStub.calledOnceWith('Hello Please').should.equal(true);
+    } finally {
+      logStub.restore();
+    }
+  });
+
+  it('are loaded by require from the current folder', () => {
+    const {run} = createInterpreter({plugins: [requirePlugin]});
+    const cwd = process.cwd();
+    process.chdir(basePath);
+    try {
+      run('require("greetings")("require")')
+          .should.equal('Hello require');
+    } finally {
+      process.chdir(cwd);
+    }
+    should.throw(() => {
+      run('require("chai")');
+    }, 'The package chai doesn\'t have a please field in its package.json');
+  });
+});
+
+describe('JS modules', () => {
+  const basePath = 'test/pls/packages/';
+
+  ['tree', 'closure', 'stackless'].forEach((engine) => {
+    it(`are loaded with js-require with the ${engine} engine`, () => {
+      runFromFile(basePath + 'js-require.pls', {engine}).should.equal(10);
+    });
+  });
+
+  it('are found like Node does', () => {
+    should.equal(run('js-require("chai")'), require('chai'));
+    should.throw(() => {
+      run('js-require("./helper.js")');
+    }, /Cannot find module '.\/helper.js'/);
+    should.throw(() => {
+      run('js-require("./helper.js")', {limits: {}});
+    }, /JS modules can't be required in the sandbox/);
+    const env = new Environment(null, EMPTY_LAYOUT, topScope);
+    parse('js-require("path")').evaluate(env).should.equal(path);
+  });
+
+  it('need the name of a module', () => {
+    ['js-require()', 'js-require(1)', 'js-require("a", "b")'].forEach((p) => {
+      should.throw(() => run(p), SyntaxError, /needs the name of a JS module/);
+    });
+    should.throw(() => {
+      convertToJS(parse('js-require(path)'));
+    }, SyntaxError, /needs the name of a JS module/);
+  });
+
+  it('are resolved when the program is transpiled', () => {
+    const js = convertToJSFromFile(basePath + 'js-require.pls');
+    js.should.include('require("./helper.js")');
+    js.should.include('require("path")');
+    convertToJSFromFile(basePath + 'js-require.pls', 'test/out/program.js')
+        .should.include('require("../pls/packages/helper.js")');
+    convertToJS(parse('js-require("chai")')).should.include(
+        'require("chai")',
+    );
+    convertToJS(parse(`js-require(${JSON.stringify(
+        path.resolve(basePath, 'helper.js'))})`))
+        .should.include('require("./test/pls/packages/helper.js")');
+    should.throw(() => {
+      convertToJS(parse('js-require("./missing.js")'));
+    }, /Cannot find module '.\/missing.js'/);
+  });
+
+  it('are required from the transpiled file where it is moved', () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'please-'));
+    try {
+      const project = path.join(folder, 'project');
+      fs.mkdirSync(path.join(project, 'src'), {recursive: true});
+      fs.mkdirSync(path.join(project, 'bin'));
+      ['js-require.pls', 'helper.js'].forEach((name) => {
+        fs.copyFileSync(basePath + name, path.join(project, 'src', name));
+      });
+      // The preface requires the libraries and their dependencies from the
+      // parent folder, as the executables of the language do
+      ['src/lib', 'node_modules'].forEach((name) => {
+        fs.symlinkSync(path.resolve(name),
+            path.join(project, path.basename(name)), 'junction');
+      });
+      transpile(path.join(project, 'src', 'js-require.pls'),
+          path.join(project, 'bin', 'program.js'));
+      const moved = path.join(folder, 'moved');
+      fs.renameSync(project, moved);
+      const file = path.join(moved, 'bin', 'program.js');
+      runJS(fs.readFileSync(file, 'utf8'), file).should.equal(10);
+    } finally {
+      fs.rmSync(folder, {recursive: true});
+    }
+  });
+});
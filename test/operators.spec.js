@@ -0,0 +1,88 @@
+// @ts-check
+/**
+ * @description A file with the tests for the operators of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const sinon = require('sinon');
+const {run, parse} = require('../src/main.js');
+const {optimize} = require('../src/lib/optimization.js');
+const {Value} = require('../src/lib/ast.js');
+const {runTranspiled, both} = require('./helpers/transpiled.js');
+
+describe('Operators', () => {
+  it('combine any number of operands from left to right', () => {
+    both('array(+(1, 2, 3), -(10, 1, 2), *(2, 3, 4), /(24, 2, 3))')
+        .should.eql([6, 7, 24, 4]);
+    both('array(+(5), -(5), +("a", 1, 2), +(-3, -(0, 2)))')
+        .should.eql([5, -5, 'a12', -5]);
+  });
+
+  it('negate and invert a single operand', () => {
+    both('array(-(5), -(-(5)), /(2), /(-4), -("3"), /(0))')
+        .should.eql([-5, 5, 0.5, -0.25, -3, Infinity]);
+    both('do(def(x, 4), array(-(x), /(x), -(-(x)), /(/(x))))')
+        .should.eql([-4, 0.25, 4, 4]);
+    both('array(5["-"](), 4["/"]())').should.eql([-5, 0.25]);
+    both('array(&&(1, 2, 3), &&(1, false, 3), ||(false, 0), ||(4))')
+        .should.eql([3, false, 0, 4]);
+  });
+
+  it('chain the comparisons', () => {
+    both('array(<(1, 2, 3), <(1, 3, 2), >(3, 2, 1), <=(1, 1, 2))')
+        .should.eql([true, false, true, true]);
+    both('array(>=(2, 2, 3), ==(1, 1, 1), ==(1, 1, 2), !=(1, 2, 1))')
+        .should.eql([false, true, false, true]);
+  });
+
+  it('evaluate each operand once', () => {
+    const logStub = sinon.stub(console, 'log');
+    try {
+      both('array(<(1, println(2)[0], 3), &&(false, println(4)))')
+          .should.eql([true, false]);
+      logStub.args.should.eql([[2], [4], [2], [4]]);
+    } finally {
+      logStub.restore();
+    }
+  });
+
+  it('check their number of operands', () => {
+    [
+      {program: '+()', error: /to \+: expected at least 1 but got 0/},
+      {program: '&&()', error: /to &&: expected at least 1 but got 0/},
+      {program: '<(1)', error: /to <: expected at least 2 but got 1/},
+      {program: '%(1, 2, 3)', error: /to %: expected 2 but got 3/},
+      {program: '**(2)', error: /to \*\*: expected 2 but got 1/},
+      {program: '!(true, false)', error: /to !: expected 1 but got 2/},
+    ].forEach((test) => {
+      ['tree', 'closure', 'stackless'].forEach((engine) => {
+        should.throw(() => {
+          run(test.program, {engine});
+        }, TypeError, test.error);
+      });
+      should.throw(() => runTranspiled(test.program), TypeError, test.error);
+    });
+    run('if(true, 1, %(1))').should.equal(1);
+    runTranspiled('if(true, 1, %(1))').should.equal(1);
+  });
+
+  it('are the same functions as the methods of the numbers', () => {
+    both('array(10["-", 1, 2](), 2["**", 3](), 7["%"](2), 4["+"]())')
+        .should.eql([7, 8, 1, 4]);
+    both('reduce(array(array(1, 2), array(3)), fn(a, b, +(a, len(b))), 0)')
+        .should.equal(3);
+    both('do(def(lt, <), lt(1, 2, 3))').should.equal(true);
+  });
+
+  it('are folded when the number of operands is right', () => {
+    const folded = optimize(parse('do(+(1, 2, 3), <(1, 2, 0))'));
+    folded.args.map((arg) => arg.value).should.eql([6, false]);
+    optimize(parse('%(1)')).should.not.be.instanceOf(Value);
+    optimize(parse('array(-(5), /(4))')).args.map((arg) => arg.value)
+        .should.eql([-5, 0.25]);
+  });
+});
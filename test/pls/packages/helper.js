@@ -0,0 +1,3 @@
+'use strict';
+
+module.exports = {double: (x) => x * 2};
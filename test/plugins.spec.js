@@ -1,6 +1,6 @@
 // @ts-check
 /**
- * @description A file that tests the language extensions for the REPL
+ * @description A file that tests the plugins and the plugin API
  * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
  * @since 22/04/2021
  */
@@ -8,12 +8,24 @@
 'use strict';
 
 const should = require('chai').should();
-const {parse, topScope} = require('../src/main.js');
-require('../src/lib/plugins/repl.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  run,
+  createInterpreter,
+  usePlugin,
+  loadPlugin,
+  parse,
+  Value,
+  Debugger,
+} = require('../src/main.js');
+const replPlugin = require('../src/lib/plugins/repl.js');
 const sinon = require('sinon');
-require('../src/lib/plugins/require.js');
+const requirePlugin = require('../src/lib/plugins/require.js');
 
 describe('REPL', () => {
+  const {run} = createInterpreter({plugins: [replPlugin]});
   const result = [];
   let logStub;
 
@@ -28,7 +40,7 @@ describe('REPL', () => {
   });
 
   it('help', () => {
-    parse('help()').evaluate(topScope);
+    run('help()');
     result.should.eql([
       'help()'.blue + ' shows this message'.green,
       'exit() or CTRL-D'.blue + ' exits the REPL'.green,
@@ -36,7 +48,7 @@ describe('REPL', () => {
   });
 
   it('exit', () => {
-    parse('exit()').evaluate(topScope);
+    run('exit()');
     result.should.eql([
       '\nPlease come back soon!'.blue,
     ]);
@@ -44,6 +56,7 @@ describe('REPL', () => {
 });
 
 describe('require', () => {
+  const {run} = createInterpreter({plugins: [requirePlugin]});
   const result = [];
   let logStub;
 
@@ -59,18 +72,304 @@ describe('require', () => {
 
   it('require with default value', () => {
     const require = 'require("./test/pls/println.pls")';
-    parse('do(' + require + ', ' + require + ')').evaluate(topScope);
+    run('do(' + require + ', ' + require + ')');
     result.should.eql(['Hello world\nHello']);
   });
 
   it('require with value', () => {
     const require = 'require("./test/pls/currying.pls")';
-    parse('do(' + require + ', ' + require + ')').evaluate(topScope);
+    run('do(' + require + ', ' + require + ')');
     result.should.eql([12]);
   });
 
   it('invalid require', () => {
-    should.throw(() => parse('require(2)').evaluate(topScope),
-        /Invalid argument/);
+    should.throw(() => run('require(2)'), /Invalid argument/);
+  });
+});
+
+const twicePlugin = {
+  name: 'twice',
+  keywords: {
+    twice: (args, scope) => args[0].evaluate(scope) * 2,
+  },
+  generateJS: {
+    twice: (value) => `(${value} * 2)`,
+  },
+};
+
+describe('Interpreters', () => {
+  it('have their own top scope and keywords', () => {
+    const first = createInterpreter({
+      plugins: [replPlugin, requirePlugin, twicePlugin],
+    });
+    const second = createInterpreter({globals: {answer: 42}});
+    ['tree', 'closure', 'stackless'].forEach((engine) => {
+      first.run('twice(3)', undefined, {engine}).should.equal(6);
+      second.run('answer', undefined, {engine}).should.equal(42);
+      should.throw(() => {
+        second.run('twice(3)', undefined, {engine});
+      }, /Undefined binding: twice/);
+      should.throw(() => {
+        first.run('answer', undefined, {engine});
+      }, /Undefined binding: answer/);
+    });
+    should.throw(() => second.run('help()'), /Undefined binding: help/);
+    should.throw(() => run('require("a.pls")'), /Undefined binding: require/);
+    should.throw(() => run('answer'), /Undefined binding: answer/);
+  });
+
+  it('keep their own modules', () => {
+    const logStub = sinon.stub(console, 'log');
+    try {
+      const program = 'require("./test/pls/println.pls")';
+      const first = createInterpreter({plugins: [requirePlugin]});
+      const second = createInterpreter({plugins: [requirePlugin]});
+      first.run(program);
+      first.run(program);
+      first.run('require("test/pls/println.pls")');
+      second.run(program);
+      logStub.callCount.should.equal(2);
+      Object.keys(first.modules).should.eql(['test/pls/println.pls']);
+    } finally {
+      logStub.restore();
+    }
+  });
+
+  it('keep their own call stack, debugger and sandbox', () => {
+    ['tree', 'closure', 'stackless'].forEach((engine) => {
+      const second = createInterpreter();
+      const first = createInterpreter({
+        globals: {
+          loop: () => second.run(`do(
+            def(i, 0),
+            while(<(i, 20), =(i, +(i, 1))),
+            element(hash(), "constructor")
+          )`, undefined, {engine}),
+          fail: () => {
+            try {
+              second.run('do(def(g, fn(missing)), g())', undefined, {engine});
+            } catch (err) {
+              return err.pleaseStack.map((frame) => frame.name);
+            }
+          },
+        },
+      });
+      first.run('loop()', undefined, {engine, limits: {steps: 10}})
+          .should.equal(Object);
+      should.throw(() => {
+        second.run('element(hash(), "constructor")', undefined,
+            {engine, limits: {}});
+      }, /The property constructor can't be accessed in the sandbox/);
+      first.run('do(def(f, fn(fail())), f())', undefined, {engine})
+          .should.eql(['g']);
+      const paused = [];
+      const dbg = new Debugger((event) => {
+        paused.push(event.node.operator.name);
+        return 'continue';
+      }, second);
+      dbg.attach(true);
+      try {
+        first.run('+(1, 2)', undefined, {engine}).should.equal(3);
+        paused.should.eql([]);
+        second.run('+(1, 2)', undefined, {engine}).should.equal(3);
+        paused.should.eql(['+']);
+      } finally {
+        dbg.detach();
+      }
+    });
+  });
+
+  it('interpret compiled files', () => {
+    createInterpreter().interpretFromFile('test/cpls/fixing-scope.cpls')
+        .should.equal(50);
+  });
+});
+
+describe('Plugin API', () => {
+  it('checks the plugins', () => {
+    [
+      {plugin: 'twice', error: /A plugin must be an object/},
+      {plugin: null, error: /A plugin must be an object/},
+      {plugin: String, error: /A plugin must be an object/},
+      {plugin: {}, error: /A plugin must have a name/},
+      {plugin: {name: ''}, error: /A plugin must have a name/},
+      {plugin: {name: 'a', keyword: {}}, error: /a: unknown field keyword/},
+      {plugin: {name: 'a', globals: 1}, error: /a: globals must be an obj/},
+      {plugin: {name: 'a', nodeTypes: null}, error: /nodeTypes must be an/},
+      {
+        plugin: {name: 'a', keywords: {b: 1}},
+        error: /a: keywords.b must be a function/,
+      },
+      {plugin: {name: 'a', passes: {}}, error: /passes must be an array/},
+      {plugin: {name: 'a', passes: [1]}, error: /passes must be an array/},
+      {plugin: {name: 'a', install: {}}, error: /install must be a function/},
+      {
+        plugin: {name: 'a', afterEvaluate: 'b'},
+        error: /a: afterEvaluate must be a function/,
+      },
+    ].forEach((test) => {
+      should.throw(() => {
+        createInterpreter({plugins: [test.plugin]});
+      }, TypeError, test.error);
+    });
+  });
+
+  it('reports the conflicts', () => {
+    const conflict = (plugins) => {
+      return () => createInterpreter({plugins: [twicePlugin, ...plugins]});
+    };
+    should.throw(conflict([twicePlugin]), /The plugin twice is already inst/);
+    should.throw(
+        conflict([{name: 'b', globals: {twice: 2}}]),
+        'The plugin b defines the binding twice, which is already defined ' +
+        'by the plugin twice',
+    );
+    should.throw(
+        conflict([{name: 'b', keywords: {println: Math.abs}}]),
+        'The plugin b defines the keyword println, which is already defined ' +
+        'by the language',
+    );
+    should.throw(
+        conflict([{name: 'b', generateJS: {twice: String}}]),
+        'The plugin b defines the JS generator twice, which is already ' +
+        'defined by the plugin twice',
+    );
+    should.throw(
+        conflict([{name: 'b', nodeTypes: {Call: Object}}]),
+        'The plugin b defines the node type Call, which is already defined ' +
+        'by the language',
+    );
+  });
+
+  it('doesn\'t install the plugins with conflicts', () => {
+    should.throw(() => {
+      usePlugin({name: 'half', globals: {half: 1, println: 2}});
+    }, /defines the binding println/);
+    should.throw(() => run('half'), /Undefined binding: half/);
+    run('println.name').should.not.equal(2);
+  });
+
+  it('adds keywords with their JS', () => {
+    const interpreter = createInterpreter({plugins: [twicePlugin]});
+    ['tree', 'closure', 'stackless'].forEach((engine) => {
+      interpreter.run('twice(+(1, 2))', {engine}).should.equal(6);
+    });
+    const js = interpreter.convertToJS(parse('println(twice(3))'));
+    js.should.include('(3 * 2)');
+    createInterpreter().convertToJS(parse('twice(3)')).should.include(
+        'twice(3)',
+    );
+  });
+
+  it('adds node types', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'please-'));
+    const fileName = path.join(directory, 'answer.cpls');
+    fs.writeFileSync(fileName, JSON.stringify({
+      type: 'Call',
+      operator: {type: 'Word', name: '+'},
+      args: [{type: 'Answer'}, {type: 'Value', value: 1}],
+    }));
+    try {
+      const interpreter = createInterpreter({
+        plugins: [{
+          name: 'answer',
+          nodeTypes: {Answer: () => new Value({value: 42})},
+        }],
+      });
+      interpreter.interpretFromFile(fileName).should.equal(43);
+      should.throw(() => {
+        createInterpreter().interpretFromFile(fileName);
+      }, /Invalid node type: Answer/);
+    } finally {
+      fs.rmSync(directory, {recursive: true});
+    }
+  });
+
+  it('adds optimizer passes', () => {
+    const values = [];
+    const interpreter = createInterpreter({
+      plugins: [{
+        name: 'passes',
+        passes: [
+          (ast) => {
+            values.push(ast.value);
+            return ast;
+          },
+          (ast) => new Value({value: ast.value * 10}),
+        ],
+      }],
+    });
+    interpreter.optimize(parse('+(1, 2)')).value.should.equal(30);
+    values.should.eql([3]);
+    createInterpreter().optimize(parse('+(1, 2)')).value.should.equal(3);
+  });
+
+  it('runs the hooks', () => {
+    const hooks = [];
+    const interpreter = createInterpreter({
+      plugins: [
+        {
+          name: 'first',
+          install: (installed) => hooks.push(installed.plugins.length),
+          beforeParse: (source, fileName) => {
+            hooks.push(fileName);
+            return source.replace('answer', '42');
+          },
+          afterEvaluate: (value, ast) => hooks.push(value, ast.type),
+        },
+        {
+          name: 'second',
+          beforeParse: (source) => `+(${source}, 1)`,
+        },
+      ],
+    });
+    hooks.should.eql([1]);
+    interpreter.run('answer', 'answer.pls').should.equal(43);
+    hooks.should.eql([1, 'answer.pls', 43, 'Call']);
+    interpreter.run('answer').should.equal(43);
+    hooks.should.eql([1, 'answer.pls', 43, 'Call', undefined, 43, 'Call']);
+    should.throw(() => {
+      createInterpreter({
+        plugins: [{name: 'broken', beforeParse: () => undefined}],
+      }).run('1');
+    }, TypeError, /The beforeParse hook of the plugin broken must return a/);
+  });
+
+  it('installs the plugins in the interpreter of the process', () => {
+    usePlugin({name: 'process-answer', globals: {processAnswer: 42}});
+    run('processAnswer').should.equal(42);
+    should.throw(() => {
+      usePlugin({name: 'process-answer'});
+    }, /The plugin process-answer is already installed/);
+    should.throw(() => {
+      createInterpreter().run('processAnswer');
+    }, /Undefined binding: processAnswer/);
+  });
+
+  it('loads the plugins from files', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'please-'));
+    const write = (name, source) => {
+      const fileName = path.join(directory, name);
+      fs.writeFileSync(fileName, source);
+      return fileName;
+    };
+    try {
+      loadPlugin(write('plugin.js', `module.exports = {
+        name: 'file-answer',
+        globals: {fileAnswer: 42},
+      };`));
+      run('fileAnswer').should.equal(42);
+      loadPlugin(write('legacy.js', `
+        const {topScope} = require(${JSON.stringify(require.resolve(
+      '../src/main.js'))});
+        topScope.legacyAnswer = 43;
+      `));
+      run('legacyAnswer').should.equal(43);
+      should.throw(() => {
+        loadPlugin(write('function.js', 'module.exports = () => {};'));
+      }, /A plugin must be an object/);
+    } finally {
+      fs.rmSync(directory, {recursive: true});
+    }
   });
 });
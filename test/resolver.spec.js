@@ -0,0 +1,124 @@
+// @ts-check
+/**
+ * @description A file with the tests for the resolver of the Please lang and
+ *     the environments where the programs are evaluated
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {
+  parse,
+  run,
+  resolve,
+  topScope,
+  keywords,
+} = require('../src/main.js');
+
+/**
+ * Describes where a word was resolved as depth:slot, global or dynamic
+ * @param {object} word The word
+ * @return {string} The description
+ */
+const describeWord = (word) => {
+  if (word.slot !== undefined) {
+    return `${word.depth}:${word.slot}`;
+  }
+  return word.global ? 'global' : 'dynamic';
+};
+
+describe('Resolver', () => {
+  it('words get the depth and the slot of their binding', () => {
+    const ast = parse('do(def(a, 1), def(f, fn(b, do(+(a, b), c))))');
+    const {layout, diagnostics} = resolve(ast);
+    layout.names.should.eql([]);
+    ast.layout.names.should.eql(['a', 'f']);
+    const fnCall = ast.args[1].args[1];
+    fnCall.layout.names.should.eql(['b']);
+    const sum = fnCall.args[1].args[0];
+    [sum.operator, ...sum.args].map(describeWord)
+        .should.eql(['global', '2:0', '1:0']);
+    diagnostics.map((diagnostic) => diagnostic.message).should.eql([
+      'Undefined binding: c at <anonymous>:1:40',
+    ]);
+  });
+
+  it('the scopes of the loops', () => {
+    const ast = parse('foreach(e, arr(1), for(def(i, 0), <(i, e), 1, i))');
+    resolve(ast).layout.names.should.eql([]);
+    ast.layout.names.should.eql(['e']);
+    const loop = ast.args[2];
+    loop.layout.names.should.eql(['i']);
+    [loop.args[1].args[0], loop.args[1].args[1], loop.args[3]]
+        .map(describeWord).should.eql(['0:0', '1:0', '0:0']);
+    resolve(parse('foreach(1, e, e)')).diagnostics.should.have.length(2);
+  });
+
+  it('the scopes of the clauses of try', () => {
+    const ast = parse('try(def(x, 1), catch(e, e), finally(do(x, e)))');
+    resolve(ast).layout.names.should.eql([]);
+    ast.layout.names.should.eql(['x']);
+    const [, handler, cleanup] = ast.args;
+    handler.layout.names.should.eql(['e']);
+    cleanup.layout.names.should.eql([]);
+    [handler.args[1], ...cleanup.args[0].args].map(describeWord)
+        .should.eql(['0:0', 'global', 'global']);
+    const invalid = parse('try(1, e)');
+    resolve(invalid).diagnostics.should.eql([]);
+    describeWord(invalid.args[1]).should.equal('dynamic');
+  });
+
+  it('the bindings that can be created while running', () => {
+    keywords.custom = (args) => args.length;
+    try {
+      const ast = parse(
+          'do(def(x, 1), object("a", x, "f", fn(y, y)), custom(x), z, x)',
+      );
+      const {diagnostics} = resolve(ast);
+      const object = ast.args[1];
+      const custom = ast.args[2];
+      [object.args[1], object.args[3].args[1], custom.args[0], ast.args[3],
+        ast.args[4]].map(describeWord)
+          .should.eql(['dynamic', '0:0', 'dynamic', 'dynamic', '0:0']);
+      diagnostics.should.eql([]);
+      run('do(def(x, 1), custom(x, x))').should.eql(2);
+    } finally {
+      delete keywords.custom;
+    }
+  });
+
+  it('the annotations aren\'t part of the JSON of the AST', () => {
+    const source = 'do(def(x, 1), fn(y, +(x, y)))';
+    const ast = parse(source);
+    resolve(ast);
+    JSON.stringify(ast).should.eql(JSON.stringify(parse(source)));
+  });
+});
+
+describe('Environments', () => {
+  it('the outer binding is used until the inner one is defined', () => {
+    run('do(def(x, 1), do(def(y, x), def(x, 2), arr(y, x)))')
+        .should.eql([1, 2]);
+    should.throw(() => run('do(if(false, def(x, 1)), x)'),
+        'Undefined binding: x');
+  });
+
+  it('definitions and assignments inside an object', () => {
+    const object = run('object("a", def(b, 2), "c", b, "d", =(self, 3), ' +
+        '"e", self)');
+    [object.a, object.b, object.c, object.d, object.e]
+        .should.eql([2, 2, 2, 3, 3]);
+  });
+
+  it('programs that weren\'t resolved', () => {
+    const scope = Object.create(topScope);
+    parse('do(def(x, 1), =(x, +(x, 1)), def(y, x))').evaluate(scope)
+        .should.eql(2);
+    parse('def(z, 3)').evaluate(scope);
+    scope.z.should.eql(3);
+    should.throw(() => parse('=(w, 1)').evaluate(scope),
+        'Tried to assign to a non existent variable: w');
+  });
+});
@@ -0,0 +1,164 @@
+// @ts-check
+/**
+ * @description A file with the tests for the sandbox of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {run} = require('../src/main.js');
+const {LimitError} = require('../src/lib/sandbox.js');
+const {runtime} = require('../src/lib/interpreter.js');
+
+describe('Sandbox', () => {
+  ['tree', 'closure', 'stackless'].forEach((engine) => {
+    describe(`with the ${engine} engine`, () => {
+      const sandboxed = (program, limits = {}) => {
+        return run(program, {engine, limits});
+      };
+
+      it('stops the programs that run too many steps', () => {
+        should.throw(() => {
+          sandboxed('while(true, 1)', {steps: 100});
+        }, /exceeded the limit of 100 steps at <anonymous>:1:1/);
+        should.throw(() => {
+          sandboxed('for(def(i, 0), true, 1, 1)', {steps: 100});
+        }, /exceeded the limit of 100 steps/);
+        should.throw(() => {
+          sandboxed('foreach(x, array(1, 2, 3), x)', {steps: 2});
+        }, /exceeded the limit of 2 steps/);
+        should.throw(() => {
+          sandboxed('do(def(f, fn(f())), f())', {steps: 50});
+        }, /exceeded the limit of 50 steps/);
+        sandboxed('+(1, 2)', {steps: 1}).should.equal(3);
+      });
+
+      it('stops the programs that run for too long', () => {
+        should.throw(() => {
+          sandboxed('while(true, 1)', {time: 20});
+        }, /exceeded the time limit of 20ms/);
+      });
+
+      it('stops the programs that use too much memory', () => {
+        should.throw(() => {
+          sandboxed(`do(
+            def(list, array()),
+            while(true, list.push(array(1, 2, 3, 4, 5, 6, 7, 8)))
+          )`, {memory: 1e6});
+        }, /exceeded the memory limit of 1000000 bytes/);
+        [
+          '"x"["repeat"](50000000)',
+          'map(array(1, 2), fn(x, "y".repeat(1000000)))',
+          '"x".repeat(200000).split("")',
+        ].forEach((program) => {
+          should.throw(() => {
+            sandboxed(program, {memory: 1e6});
+          }, LimitError, /exceeded the memory limit of 1000000 bytes/);
+        });
+        sandboxed('"x".repeat(1000)', {memory: 1e6}).should.have.lengthOf(1000);
+      });
+
+      it('blocks the properties that reach the host', () => {
+        [
+          'println.constructor',
+          'println["constructor"]',
+          'fn(1).prototype',
+          'do(def(x, array()), =(x.__proto__.y, 1))',
+          'do(def(x, array()), =(x, "__proto__", "y", 1))',
+          'do(def(x, array()), =(x, "__proto__", 1))',
+          'element(array(), "__proto__", "y")',
+          'hash("__proto__", 1)',
+          'object("constructor", 1)',
+          'object().__defineGetter__',
+        ].forEach((program) => {
+          should.throw(() => {
+            sandboxed(program);
+          }, /can't be accessed in the sandbox/);
+        });
+        should.throw(() => {
+          sandboxed('object("x", constructor)');
+        }, /Undefined binding: constructor/);
+        ({}).should.not.have.property('y');
+      });
+
+      it('checks the same key the property access uses', () => {
+        const keys = `def(tricky, fn(name, object(
+          "calls", 0,
+          "toString", fn(do(
+            =(self.calls, +(self.calls, 1)),
+            if(==(self.calls, 1), "x", name)
+          ))
+        )))`;
+        should.equal(sandboxed(`do(
+          ${keys},
+          element(fn(x, x), tricky("constructor"))
+        )`), undefined);
+        should.equal(sandboxed(`do(
+          ${keys},
+          def(f, fn(x, x)),
+          =(f[tricky("constructor")][tricky("prototype")]["polluted"], 42),
+          f.x
+        )`), undefined);
+        sandboxed(`do(${keys}, hash(tricky("constructor"), 1))`)
+            .should.deep.equal({x: 1});
+        sandboxed(`do(${keys}, object(tricky("constructor"), 1).x)`)
+            .should.equal(1);
+        sandboxed(`do(
+          ${keys},
+          def(a, array(1)),
+          =(a, tricky("constructor"), 2),
+          a.x
+        )`).should.equal(2);
+        Function.prototype.should.not.have.property('polluted');
+      });
+
+      it('hides the bindings that reach the host', () => {
+        should.throw(() => {
+          sandboxed('XRegExp("a")');
+        }, /Undefined binding: XRegExp/);
+        should.throw(() => {
+          sandboxed('require("./a.pls")');
+        }, /Undefined binding: require/);
+      });
+
+      it('runs the programs that respect the limits', () => {
+        sandboxed(`do(
+          def(total, 0),
+          foreach(x, array(1, 2, 3), =(total, +(total, x))),
+          def(point, object("x", 1, "y", total)),
+          point.y
+        )`, {steps: 100, time: 1000, memory: 1e8}).should.equal(6);
+      });
+    });
+  });
+
+  it('leaves the programs that are not sandboxed as they were', () => {
+    run('println.constructor("return 1")()').should.equal(1);
+    run('element(object("x", constructor), "x")').should.equal(Object);
+    run('+(1, 2)', null).should.equal(3);
+    run('+(1, 2)', 'file.pls', {}).should.equal(3);
+    should.equal(runtime.sandbox, undefined);
+  });
+
+  it('deactivates the sandbox after the program fails', () => {
+    should.throw(() => {
+      run('undefinedFunction()', {limits: {}});
+    }, /Undefined binding/);
+    should.equal(runtime.sandbox, undefined);
+    run('println.constructor("return 1")()', 'file.pls').should.equal(1);
+  });
+
+  it('checks the limits', () => {
+    should.throw(() => {
+      run('1', {limits: {cpu: 1}});
+    }, /Unknown limit: cpu/);
+    should.throw(() => {
+      run('1', {limits: {steps: -1}});
+    }, /The limit steps must be a non negative number/);
+    should.throw(() => {
+      run('1', {limits: {time: '1'}});
+    }, /The limit time must be a non negative number/);
+  });
+});
@@ -0,0 +1,148 @@
+// @ts-check
+/**
+ * @description A file with the tests for the stackless engine of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const fs = require('fs');
+const {inspect} = require('util');
+const sinon = require('sinon');
+const {run, runFromFile, keywords, formatError} = require('../src/main.js');
+const {
+  debugHooks,
+  callStack,
+} = require('../src/lib/runtime.js').defaultRuntime;
+
+describe('Stackless engine', () => {
+  const result = [];
+  let logStub;
+
+  beforeEach(() => {
+    logStub = sinon.stub(console, 'log');
+    logStub.callsFake((...args) => {
+      args.forEach((arg) => result.push(inspect(arg)));
+    });
+  });
+
+  afterEach(() => {
+    result.splice(0, result.length);
+    logStub.restore();
+  });
+
+  const outcome = (runner, engine) => {
+    const output = {};
+    try {
+      output.value = inspect(runner({engine}));
+    } catch (err) {
+      output.error = formatError(err);
+    }
+    output.logs = result.splice(0, result.length);
+    return output;
+  };
+
+  const sameOutput = (runner) => {
+    outcome(runner, 'stackless').should.eql(outcome(runner, 'tree'));
+  };
+
+  const files = ['test/pls/', 'test/pls/interpreter-errors/']
+      .map((directory) => fs.readdirSync(directory)
+          .filter((file) => file.endsWith('.pls'))
+          .map((file) => directory + file))
+      .reduce((all, list) => all.concat(list), []);
+
+  files.forEach((fileName) => {
+    it(`runs ${fileName} like the tree walker`, () => {
+      sameOutput((options) => runFromFile(fileName, options));
+    }).timeout(10000);
+  });
+
+  const programs = [
+    'do()',
+    'if(false, 1)',
+    'do(def(a, object()), =(a.b.c, 1), =(a.b.c.d, 2), println(a.b))',
+    'do(def(f, fn(a, b, c, +(a, +(b, c)))), f(1, 2, 3))',
+    '=(nothing, 1, 2)',
+    'array(1)[undefined]',
+    'do(def(twice, fn(x, *(x, 2))), array(1, 2, 3).map(twice))',
+    'do(def(lib, hash("map", map)), lib.map(array(1, 2), fn(x, -(x))))',
+    'filter(array(1, 2), fn(x, throw("no")))',
+    'try(sort-by(1, fn(x, x)), catch(e, e.message))',
+  ];
+
+  programs.forEach((program) => {
+    it(`runs ${program} like the tree walker`, () => {
+      sameOutput((options) => run(program, undefined, options));
+    });
+  });
+
+  it('recursion deeper than the JavaScript stack', () => {
+    const program = 'do(\n' +
+        '  def(depth, fn(n, if(==(n, 0), 0, +(1, depth(-(n, 1)))))),\n' +
+        '  depth(10000),\n)';
+    run(program, undefined, {engine: 'stackless'}).should.equal(10000);
+    should.throw(() => run(program), /Maximum call stack size exceeded/);
+    callStack.frames.should.eql([]);
+  });
+
+  it('recursion through methods deeper than the JavaScript stack', () => {
+    const program = 'do(\n' +
+        '  def(counter, object(\n' +
+        '    "countdown",\n' +
+        '    fn(n, if(==(n, 0), "done", self["countdown"](-(n, 1)))),\n' +
+        '    "depth", fn(n, if(==(n, 0), 0, +(1, self.depth(-(n, 1))))),\n' +
+        '  )),\n' +
+        '  array(counter["countdown"](100000), counter.depth(100000)),\n)';
+    run(program, {engine: 'stackless'}).should.eql(['done', 100000]);
+    should.throw(() => run(program), /Maximum call stack size exceeded/);
+    callStack.frames.should.eql([]);
+  }).timeout(10000);
+
+  it('recursion through the collection library deeper than the ' +
+      'JavaScript stack', () => {
+    const program = 'do(\n' +
+        '  def(depth, fn(n, if(==(n, 0), 0,\n' +
+        '    +(1, reduce(map(array(-(n, 1)), depth), fn(a, b, +(a, b)), 0))\n' +
+        '  ))),\n' +
+        '  def(odd, fn(n, some(array(n), fn(m, if(==(m, 0), false, ' +
+        '!(odd(-(m, 1)))))))),\n' +
+        '  array(depth(50000), odd(50001)),\n)';
+    run(program, {engine: 'stackless'}).should.eql([50000, true]);
+    should.throw(() => run(program), /Maximum call stack size exceeded/);
+    callStack.frames.should.eql([]);
+  }).timeout(10000);
+
+  it('runs the keywords of the plugins', () => {
+    keywords.twice = (args, scope) => args[0].evaluate(scope) * 2;
+    const previous = keywords.if;
+    keywords.if = () => 'replaced';
+    try {
+      run('twice(3)', undefined, {engine: 'stackless'}).should.equal(6);
+      run('if(true, 1, 2)', undefined, {engine: 'stackless'})
+          .should.equal('replaced');
+    } finally {
+      delete keywords.twice;
+      keywords.if = previous;
+    }
+  });
+
+  it('notifies the debugger', () => {
+    const enter = sinon.fake();
+    const leave = sinon.fake();
+    Object.assign(debugHooks, {enter, leave});
+    try {
+      run('+(1, 2)', undefined, {engine: 'stackless'}).should.equal(3);
+      should.throw(() => {
+        run('do(def(f, fn(g())), f())', undefined, {engine: 'stackless'});
+      }, /Undefined binding: g at <anonymous>:1:14/);
+    } finally {
+      Object.assign(debugHooks, {enter: undefined, leave: undefined});
+    }
+    enter.callCount.should.equal(6);
+    leave.callCount.should.equal(6);
+    callStack.frames.should.eql([]);
+  });
+});
@@ -0,0 +1,98 @@
+// @ts-check
+/**
+ * @description A file with the tests for the string library of Please lang
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const {run, parse} = require('../src/main.js');
+const {convertToJS} = require('../src/lib/transpiler.js');
+const {runTranspiled, both} = require('./helpers/transpiled.js');
+
+describe('Strings', () => {
+  it('split and join strings', () => {
+    both('split("a,b,c", ",", 2)').should.eql(['a', 'b']);
+    both('split("a1b22c", r/\\d+/)').should.eql(['a', 'b', 'c']);
+    both('join(array(1, 2, 3))').should.equal('123');
+    both('join(split("a b", " "), ", ")').should.equal('a, b');
+  });
+
+  it('trim and pad strings', () => {
+    both('trim("\\t a \\n")').should.equal('a');
+    both('array(trim-start(" a "), trim-end(" a "))')
+        .should.eql(['a ', ' a']);
+    both('array(pad-start("a", 3), pad-end("a", 3, "-+"))')
+        .should.eql(['  a', 'a-+']);
+  });
+
+  it('replace every match of a pattern', () => {
+    both('replace("a+a+a", "+", "-")').should.equal('a-a-a');
+    both('replace("x1y23", r/\\d/, "#")').should.equal('x#y##');
+    both('replace("ab", r/(a)(b)/, "$2$1")').should.equal('ba');
+    both('replace("a b", r/\\w/, fn(match, upper(match)))')
+        .should.equal('A B');
+    both('replace("1-2", r/(\\d)-(?<b>\\d)/, fn(m, a, b, +(b, a)))')
+        .should.equal('21');
+    both('replace("ab", "b", upper)').should.equal('aB');
+  });
+
+  it('format templates', () => {
+    both('format("{}-{}-{0}", "a", "b")').should.equal('a-b-a');
+    both('format("{{{}}}", 1)').should.equal('{1}');
+    both('format("{x}: {y}", hash(x: 1, y: array(2, 3)))')
+        .should.equal('1: 2,3');
+    both('format("{length}", "abc")').should.equal('3');
+  });
+
+  it('work with char codes and slices', () => {
+    both('array(char-code("ab", 1), char-code("😀"), char-code("", 0))')
+        .should.eql([98, 128512, undefined]);
+    both('array(from-char-code(128512), from-char-code())')
+        .should.eql(['😀', '']);
+    both('array(slice("Please", 3), slice("Please", -3, -1))')
+        .should.eql(['ase', 'as']);
+    both('array(upper("Ab"), lower("Ab"))').should.eql(['AB', 'ab']);
+  });
+
+  it('can be passed as values', () => {
+    both('do(def(f, upper), f("a"))').should.equal('A');
+    convertToJS(parse('trim')).should.include('\n$strings["trim"]\n');
+  });
+
+  it('check their arguments', () => {
+    [
+      {program: 'split(1, ",")', error: /first argument to split must be/},
+      {program: 'split("a", 1)', error: /second argument to split must be/},
+      {program: 'join("ab")', error: /first argument to join must be an/},
+      {program: 'join(array(), 1)', error: /second argument to join must/},
+      {program: 'trim(1)', error: /first argument to trim must be/},
+      {program: 'trim-start(1)', error: /argument to trim-start must/},
+      {program: 'trim-end(1)', error: /argument to trim-end must/},
+      {program: 'pad-start(1, 2)', error: /first argument to pad-start/},
+      {program: 'pad-end("a", 2, 0)', error: /third argument to pad-end/},
+      {program: 'replace(1, "a", "b")', error: /argument to replace must/},
+      {program: 'replace("a", 1, "b")', error: /a string or a regular/},
+      {program: 'upper(1)', error: /first argument to upper must be/},
+      {program: 'lower(1)', error: /first argument to lower must be/},
+      {program: 'slice(1, 0)', error: /first argument to slice must be/},
+      {program: 'char-code(1)', error: /argument to char-code must be/},
+      {program: 'format(1)', error: /first argument to format must be/},
+    ].forEach((test) => {
+      should.throw(() => run(test.program), TypeError, test.error);
+      should.throw(() => runTranspiled(test.program), TypeError, test.error);
+    });
+  });
+
+  it('need a value for each placeholder', () => {
+    ['format("{}")', 'format("{1}", 0)', 'format("{a}")',
+      'format("{a}", hash())'].forEach((program) => {
+      should.throw(() => run(program), RangeError, /There isn't a value/);
+    });
+    should.throw(() => {
+      run('format("{constructor}", hash())', {limits: {}});
+    }, /The property constructor can't be accessed in the sandbox/);
+  });
+});
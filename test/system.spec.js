@@ -0,0 +1,130 @@
+// @ts-check
+/**
+ * @description A file with the tests for the library of Please lang to
+ *     write scripts
+ * @author Daniel del Castillo de la Rosa <alu0101225548@ull.edu.es>
+ * @since 19/10/2026
+ */
+
+'use strict';
+
+const should = require('chai').should();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  run,
+  createInterpreter,
+  setArguments,
+  resetExitCode,
+  exitStatus,
+} = require('../src/main.js');
+const requirePlugin = require('../src/lib/plugins/require.js');
+const {runTranspiled, both} = require('./helpers/transpiled.js');
+
+describe('System', () => {
+  let folder;
+
+  beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'please-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(folder, {recursive: true});
+    process.exitCode = undefined;
+    setArguments([]);
+    resetExitCode();
+  });
+
+  it('read and write files', () => {
+    const file = JSON.stringify(path.join(folder, 'a.txt'));
+    run(`write-file(${file}, "hello")`).should.equal('hello');
+    both(`array(read-file(${file}), file-exists(${file}))`)
+        .should.eql(['hello', true]);
+    runTranspiled(`write-file(${file}, "bye")`);
+    run(`read-file(${file})`).should.equal('bye');
+    both(`file-exists(${JSON.stringify(path.join(folder, 'b'))})`)
+        .should.equal(false);
+    should.throw(() => {
+      run(`read-file(${JSON.stringify(path.join(folder, 'b'))})`);
+    }, /no such file or directory/);
+  });
+
+  it('list folders', () => {
+    fs.writeFileSync(path.join(folder, 'b.pls'), '');
+    fs.mkdirSync(path.join(folder, 'a'));
+    both(`list-dir(${JSON.stringify(folder)})`).should.eql(['a', 'b.pls']);
+    both('list-dir()').should.include('package.json');
+  });
+
+  it('get the arguments and the environment', () => {
+    setArguments(['a', '-b']);
+    both('args()').should.eql(['a', '-b']);
+    run('do(args().push("c"), args())').should.eql(['a', '-b']);
+    process.env.PLEASE_TEST = 'yes';
+    try {
+      both('array(env("PLEASE_TEST"), env().PLEASE_TEST)')
+          .should.eql(['yes', 'yes']);
+      should.equal(both('env("PLEASE_MISSING")'), undefined);
+    } finally {
+      delete process.env.PLEASE_TEST;
+    }
+  });
+
+  it('give the exit status of a script', () => {
+    exitStatus().should.equal(0);
+    run('3').should.equal(3);
+    exitStatus().should.equal(0);
+    run('exit-code(2)').should.equal(2);
+    should.equal(process.exitCode, undefined);
+    exitStatus().should.equal(2);
+    run('"next"');
+    exitStatus().should.equal(2);
+    resetExitCode();
+    exitStatus().should.equal(0);
+    runTranspiled('exit-code(4)');
+    process.exitCode.should.equal(4);
+    runTranspiled('map(array(5), exit-code)');
+    process.exitCode.should.equal(5);
+  });
+
+  it('keep the exit code of each interpreter', () => {
+    const child = path.join(folder, 'child.pls');
+    fs.writeFileSync(child, '"child"');
+    const interpreter = createInterpreter({plugins: [requirePlugin]});
+    interpreter.run(`do(exit-code(3), require(${JSON.stringify(child)}), 4)`)
+        .should.equal(4);
+    exitStatus(interpreter.runtime).should.equal(3);
+    exitStatus().should.equal(0);
+    run('exit-code(5)');
+    exitStatus(interpreter.runtime).should.equal(3);
+    resetExitCode(interpreter.runtime);
+    exitStatus(interpreter.runtime).should.equal(0);
+    exitStatus().should.equal(5);
+  });
+
+  it('check their arguments', () => {
+    [
+      {program: 'read-file(1)', error: /path given to read-file must be a/},
+      {program: 'write-file(1, "")', error: /path given to write-file/},
+      {program: 'write-file("a", 1)', error: /content given to write-file/},
+      {program: 'file-exists(1)', error: /path given to file-exists must/},
+      {program: 'list-dir(1)', error: /path given to list-dir must be/},
+    ].forEach((test) => {
+      should.throw(() => run(test.program), TypeError, test.error);
+      should.throw(() => runTranspiled(test.program), TypeError, test.error);
+    });
+    ['exit-code(256)', 'exit-code(-1)', 'exit-code("1")'].forEach((program) => {
+      should.throw(() => run(program), RangeError, /between 0 and 255/);
+    });
+  });
+
+  it('aren\'t in the sandbox', () => {
+    ['read-file("a")', 'write-file("a", "")', 'file-exists("a")',
+      'list-dir()', 'args()', 'env()', 'exit-code(1)'].forEach((program) => {
+      should.throw(() => {
+        run(program, {limits: {}});
+      }, /Undefined binding/);
+    });
+  });
+});
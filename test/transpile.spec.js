@@ -47,6 +47,12 @@ const testList = [
   'if-at-end',
   'method-undefined',
   'constant-folding',
+  'modules',
+  'strings',
+  'collections',
+  'math',
+  'json',
+  'try',
 ];
 
 describe('Transpiler', () => {